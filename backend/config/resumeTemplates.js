@@ -0,0 +1,121 @@
+/**
+ * Resume Templates
+ * Themes used by services/pdfService.js for PDF downloads and by
+ * services/resumeExportService.js for DOCX heading colors. `atsSafe`
+ * templates stick to one column, black text, standard section headings
+ * and no decorative glyphs so applicant tracking systems parse them cleanly.
+ */
+
+const DEFAULT_TEMPLATE = 'classic';
+
+const TEMPLATES = {
+    classic: {
+        name: 'Classic',
+        description: 'Centered header with blue section headings',
+        layout: 'single',
+        atsSafe: false,
+        fonts: { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique' },
+        colors: { primary: '#2563eb', secondary: '#64748b', text: '#1e293b' },
+        headerAlign: 'center',
+        // Rule under the header, in points; 0 for none
+        divider: 2,
+        bullet: '•',
+        footer: true,
+        headings: {
+            summary: 'Professional Summary',
+            experience: 'Professional Experience',
+            education: 'Education',
+            skills: 'Skills',
+            projects: 'Projects'
+        }
+    },
+    minimal: {
+        name: 'Minimal',
+        description: 'Serif type, left-aligned, grayscale',
+        layout: 'single',
+        atsSafe: false,
+        fonts: { regular: 'Times-Roman', bold: 'Times-Bold', italic: 'Times-Italic' },
+        colors: { primary: '#111827', secondary: '#4b5563', text: '#111827' },
+        headerAlign: 'left',
+        divider: 1,
+        bullet: '•',
+        footer: false,
+        headings: {
+            summary: 'Summary',
+            experience: 'Experience',
+            education: 'Education',
+            skills: 'Skills',
+            projects: 'Projects'
+        }
+    },
+    modern: {
+        name: 'Modern',
+        description: 'Two columns with skills and education in a sidebar',
+        // Sidebar sections render in the narrow left column
+        layout: 'sidebar',
+        sidebar: ['education', 'skills'],
+        atsSafe: false,
+        fonts: { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique' },
+        colors: { primary: '#0f766e', secondary: '#64748b', text: '#1f2937' },
+        headerAlign: 'left',
+        divider: 1,
+        bullet: '•',
+        footer: false,
+        headings: {
+            summary: 'Profile',
+            experience: 'Experience',
+            education: 'Education',
+            skills: 'Skills',
+            projects: 'Projects'
+        }
+    },
+    ats: {
+        name: 'ATS-safe',
+        description: 'Single column, plain black text and standard headings for applicant tracking systems',
+        layout: 'single',
+        atsSafe: true,
+        fonts: { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica' },
+        colors: { primary: '#000000', secondary: '#000000', text: '#000000' },
+        headerAlign: 'left',
+        divider: 0,
+        bullet: '-',
+        footer: false,
+        headings: {
+            summary: 'SUMMARY',
+            experience: 'EXPERIENCE',
+            education: 'EDUCATION',
+            skills: 'SKILLS',
+            projects: 'PROJECTS'
+        }
+    }
+};
+
+/**
+ * Template by id, or undefined when the id is unknown
+ * @param {string} [id] - Template id; defaults to DEFAULT_TEMPLATE
+ * @returns {Object|undefined} - Template with its id
+ */
+const getTemplate = (id = DEFAULT_TEMPLATE) => {
+    if (!Object.prototype.hasOwnProperty.call(TEMPLATES, id)) return undefined;
+    return { id, ...TEMPLATES[id] };
+};
+
+/**
+ * Public summary of every template for template pickers
+ * @returns {Object[]} - { id, name, description, layout, atsSafe, default }
+ */
+const listTemplates = () => Object.entries(TEMPLATES).map(([id, template]) => ({
+    id,
+    name: template.name,
+    description: template.description,
+    layout: template.layout,
+    atsSafe: template.atsSafe,
+    default: id === DEFAULT_TEMPLATE
+}));
+
+module.exports = {
+    TEMPLATES,
+    DEFAULT_TEMPLATE,
+    getTemplate,
+    listTemplates,
+};
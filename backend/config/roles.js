@@ -5,6 +5,7 @@
 
 const ROLES = {
     USER: 'student', // Default role (also 'alumni' has similar base permissions)
+    INSTRUCTOR: 'instructor',
     MODERATOR: 'moderator',
     ADMIN: 'admin'
 };
@@ -24,6 +25,11 @@ const PERMISSIONS = {
     VIEW_REPORTS: 'view_reports',
     RESOLVE_REPORTS: 'resolve_reports',
 
+    // Teaching
+    MANAGE_ASSIGNMENTS: 'manage_assignments',
+    MANAGE_QUIZZES: 'manage_quizzes',
+    MANAGE_COURSES: 'manage_courses',
+
     // System
     VIEW_LOGS: 'view_logs',
     MANAGE_SETTINGS: 'manage_settings'
@@ -36,6 +42,12 @@ const ROLE_PERMISSIONS = {
         // They can only manage their own data (handled by ownership checks, not RBAC middleware)
     ],
 
+    [ROLES.INSTRUCTOR]: [
+        PERMISSIONS.MANAGE_ASSIGNMENTS,
+        PERMISSIONS.MANAGE_QUIZZES,
+        PERMISSIONS.MANAGE_COURSES
+    ],
+
     [ROLES.MODERATOR]: [
         PERMISSIONS.VIEW_USERS,
         PERMISSIONS.BAN_USER,
@@ -56,6 +68,9 @@ const ROLE_PERMISSIONS = {
         PERMISSIONS.VIEW_ANY_PROFILE,
         PERMISSIONS.VIEW_REPORTS,
         PERMISSIONS.RESOLVE_REPORTS,
+        PERMISSIONS.MANAGE_ASSIGNMENTS,
+        PERMISSIONS.MANAGE_QUIZZES,
+        PERMISSIONS.MANAGE_COURSES,
         PERMISSIONS.VIEW_LOGS,
         PERMISSIONS.MANAGE_SETTINGS
     ]
@@ -0,0 +1,40 @@
+/**
+ * Sandbox Language Runtimes
+ * Shared by every sandbox backend (services/dockerSandbox.js,
+ * services/localSandbox.js). Commands run with the project directory as
+ * the working directory; `image` is only used by the Docker backend.
+ */
+
+const RUNTIMES = {
+    javascript: {
+        image: 'node:16-alpine',
+        filename: 'main.js',
+        cmd: ['node', 'main.js'],
+        projectCmd: (entry) => ['node', entry],
+        // Syntax check stands in for compilation when judging
+        compileCmd: ['node', '--check', 'main.js'],
+        runCmd: ['node', 'main.js'],
+        // V8 reserves far more address space than it uses, so the local
+        // backend caps the heap with a flag instead of RLIMIT_AS
+        heapLimitArgs: (memoryLimitMb) => [`--max-old-space-size=${memoryLimitMb}`]
+    },
+    python: {
+        image: 'python:3.9-alpine',
+        filename: 'main.py',
+        cmd: ['python', 'main.py'],
+        projectCmd: (entry) => ['python', entry],
+        compileCmd: ['python', '-m', 'py_compile', 'main.py'],
+        runCmd: ['python', 'main.py']
+    },
+    cpp: {
+        image: 'frolvlad/alpine-gxx', // Lightweight GCC
+        filename: 'main.cpp',
+        cmd: ['sh', '-c', 'g++ main.cpp -o main && ./main'],
+        // Compile every translation unit in the tree; the entry holds main()
+        projectCmd: () => ['sh', '-c', 'g++ $(find . -name "*.cpp") -o main && ./main'],
+        compileCmd: ['g++', '-O2', '-o', 'main', 'main.cpp'],
+        runCmd: ['./main']
+    }
+};
+
+module.exports = RUNTIMES;
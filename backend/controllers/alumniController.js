@@ -2,6 +2,14 @@ const Alumni = require('../models/Alumni');
 const AlumniConnection = require('../models/AlumniConnection');
 const AlumniEvent = require('../models/AlumniEvent');
 const User = require('../models/User');
+const MentorshipService = require('../services/mentorshipService');
+const EventService = require('../services/eventService');
+const UrlSigner = require('../utils/urlSigner');
+
+const EVENT_EDITABLE_FIELDS = [
+  'title', 'description', 'eventType', 'startDate', 'endDate', 'timezone', 'location',
+  'capacity', 'tags', 'imageUrl', 'status', 'registrationDeadline', 'isPublic', 'survey'
+];
 
 // @desc    Create alumni profile
 // @route   POST /api/alumni/profile
@@ -359,67 +367,293 @@ exports.getEvents = async (req, res) => {
   }
 };
 
-// @desc    Register for event
+// Shared lookup for event handlers: the event plus the caller's alumni profile (if any)
+const loadEventContext = async (req, res) => {
+  const [event, alumniProfile] = await Promise.all([
+    AlumniEvent.findById(req.params.eventId),
+    Alumni.findOne({ user: req.user.id })
+  ]);
+
+  if (!event) {
+    res.status(404).json({ message: 'Event not found' });
+    return null;
+  }
+  return { event, alumniProfile };
+};
+
+const sendServiceError = (res, result) => res.status(result.status).json({ message: result.error });
+
+// @desc    Register for event (joins the waitlist when the event is full)
 // @route   POST /api/alumni/events/:eventId/register
 // @access  Private
 exports.registerForEvent = async (req, res) => {
   try {
-    const { eventId } = req.params;
+    const context = await loadEventContext(req, res);
+    if (!context) return;
 
-    const alumniProfile = await Alumni.findOne({ user: req.user.id });
+    if (!context.alumniProfile) {
+      return res.status(404).json({ message: 'Alumni profile not found' });
+    }
 
-    if (!alumniProfile) {
+    const result = await EventService.register(context.event, context.alumniProfile);
+    if (result.error) return sendServiceError(res, result);
+
+    const event = result.event;
+    await event.populate([
+      {
+        path: 'organizer',
+        populate: { path: 'user', select: 'name email profilePicture' }
+      },
+      {
+        path: 'attendees.alumni',
+        populate: { path: 'user', select: 'name email profilePicture' }
+      }
+    ]);
+
+    res.status(result.registration === 'waitlisted' ? 202 : 200).json({
+      success: true,
+      data: event,
+      registration: result.registration,
+      waitlistPosition: result.position || null
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Cancel registration or leave the waitlist
+// @route   DELETE /api/alumni/events/:eventId/register
+// @access  Private
+exports.cancelEventRegistration = async (req, res) => {
+  try {
+    const context = await loadEventContext(req, res);
+    if (!context) return;
+
+    if (!context.alumniProfile) {
       return res.status(404).json({ message: 'Alumni profile not found' });
     }
 
-    const event = await AlumniEvent.findById(eventId);
+    const result = await EventService.cancel(context.event, context.alumniProfile);
+    if (result.error) return sendServiceError(res, result);
 
-    if (!event) {
-      return res.status(404).json({ message: 'Event not found' });
+    res.json({
+      success: true,
+      message: 'Registration cancelled',
+      promoted: result.promoted.length
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Update event (capacity changes promote from the waitlist)
+// @route   PATCH /api/alumni/events/:eventId
+// @access  Private (organizer or admin)
+exports.updateEvent = async (req, res) => {
+  try {
+    const context = await loadEventContext(req, res);
+    if (!context) return;
+
+    if (!EventService.isOrganizer(context.event, context.alumniProfile, req.user)) {
+      return res.status(403).json({ message: 'Only the organizer can update this event' });
     }
 
-    // Check if registration deadline has passed
-    if (event.registrationDeadline && new Date() > event.registrationDeadline) {
-      return res.status(400).json({ message: 'Registration deadline has passed' });
+    const updates = Object.fromEntries(
+      EVENT_EDITABLE_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+    );
+    if (updates.survey) {
+      // sentAt is managed by the survey task
+      updates.survey = { questions: updates.survey.questions || [], sentAt: context.event.survey?.sentAt };
     }
 
-    // Check capacity
-    if (event.capacity && event.attendees.length >= event.capacity) {
-      return res.status(400).json({ message: 'Event is full' });
+    const result = await EventService.update(context.event, updates, req.user.id);
+
+    res.json({
+      success: true,
+      data: result.event,
+      promoted: result.promoted.length
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
     }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
 
-    // Check if already registered
-    const alreadyRegistered = event.attendees.some(
-      attendee => attendee.alumni.toString() === alumniProfile._id.toString()
-    );
+// @desc    Get the caller's signed check-in ticket and QR code
+// @route   GET /api/alumni/events/:eventId/ticket
+// @access  Private
+exports.getEventTicket = async (req, res) => {
+  try {
+    const context = await loadEventContext(req, res);
+    if (!context) return;
 
-    if (alreadyRegistered) {
-      return res.status(400).json({ message: 'Already registered for this event' });
+    if (!context.alumniProfile) {
+      return res.status(404).json({ message: 'Alumni profile not found' });
     }
 
-    event.attendees.push({ alumni: alumniProfile._id });
-    await event.save();
+    const result = await EventService.ticket(context.event, context.alumniProfile);
+    if (result.error) return sendServiceError(res, result);
 
-    await event.populate([
-      {
-        path: 'organizer',
-        populate: { path: 'user', select: 'name email profilePicture' }
-      },
-      {
-        path: 'attendees.alumni',
-        populate: { path: 'user', select: 'name email profilePicture' }
-      }
-    ]);
+    res.json({
+      success: true,
+      data: result.ticket
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Check in an attendee by scanning their ticket
+// @route   POST /api/alumni/events/:eventId/check-in
+// @access  Private (organizer or admin)
+exports.checkInAttendee = async (req, res) => {
+  try {
+    const context = await loadEventContext(req, res);
+    if (!context) return;
+
+    if (!EventService.isOrganizer(context.event, context.alumniProfile, req.user)) {
+      return res.status(403).json({ message: 'Only the organizer can check in attendees' });
+    }
+
+    const result = await EventService.checkIn(context.event, req.body.code, req.user.id);
+    if (result.error) return sendServiceError(res, result);
 
     res.json({
       success: true,
-      data: event
+      data: result.attendee
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Registration, waitlist and check-in report
+// @route   GET /api/alumni/events/:eventId/attendance
+// @access  Private (organizer or admin)
+exports.getEventAttendance = async (req, res) => {
+  try {
+    const context = await loadEventContext(req, res);
+    if (!context) return;
+
+    if (!EventService.isOrganizer(context.event, context.alumniProfile, req.user)) {
+      return res.status(403).json({ message: 'Only the organizer can view attendance' });
+    }
+
+    const attendance = await EventService.attendance(context.event);
+
+    res.json({
+      success: true,
+      data: attendance
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Submit the post-event survey
+// @route   POST /api/alumni/events/:eventId/survey
+// @access  Private (checked-in attendees)
+exports.submitEventSurvey = async (req, res) => {
+  try {
+    const context = await loadEventContext(req, res);
+    if (!context) return;
+
+    if (!context.alumniProfile) {
+      return res.status(404).json({ message: 'Alumni profile not found' });
+    }
+
+    const result = await EventService.submitSurvey(context.event, context.alumniProfile, req.body.answers);
+    if (result.error) return sendServiceError(res, result);
+
+    res.status(201).json({
+      success: true,
+      data: result.response
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Aggregated survey results
+// @route   GET /api/alumni/events/:eventId/survey/results
+// @access  Private (organizer or admin)
+exports.getEventSurveyResults = async (req, res) => {
+  try {
+    const context = await loadEventContext(req, res);
+    if (!context) return;
+
+    if (!EventService.isOrganizer(context.event, context.alumniProfile, req.user)) {
+      return res.status(403).json({ message: 'Only the organizer can view survey results' });
+    }
+
+    const results = await EventService.surveyResults(context.event);
+
+    res.json({
+      success: true,
+      data: results
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
 
+// @desc    Download an event as an .ics file
+// @route   GET /api/alumni/events/:eventId/calendar.ics
+// @access  Private
+exports.getEventCalendar = async (req, res) => {
+  try {
+    const context = await loadEventContext(req, res);
+    if (!context) return;
+
+    const { event, alumniProfile } = context;
+    if (event.status === 'draft' && !EventService.isOrganizer(event, alumniProfile, req.user)) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="event-${event._id}.ics"`);
+    res.send(EventService.eventCalendar(event, alumniProfile, req.user));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get the caller's signed calendar subscription URL
+// @route   GET /api/alumni/events/calendar/feed
+// @access  Private
+exports.getCalendarFeedUrl = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { url: EventService.feedPath(req.user.id) }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Subscribed calendar feed of upcoming events. Calendar apps can't
+//          send auth headers, so the URL itself is signed.
+// @route   GET /api/alumni/calendar/:userId.ics
+// @access  Public (signed URL)
+exports.getUserCalendarFeed = async (req, res) => {
+  try {
+    if (!UrlSigner.verify(req.originalUrl)) {
+      return res.status(403).json({ message: 'Invalid or expired calendar link' });
+    }
+
+    const calendar = await EventService.userCalendar(req.params.userId);
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, max-age=900');
+    res.send(calendar);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
 // @desc    Get alumni statistics
 // @route   GET /api/alumni/stats
 // @access  Private
@@ -465,6 +699,7 @@ exports.getAlumniStats = async (req, res) => {
 
     const mentorsAvailable = await Alumni.countDocuments({ mentorshipAvailable: true });
     const hiringAlumni = await Alumni.countDocuments({ willingToHire: true });
+    const mentorship = await MentorshipService.getStats();
 
     res.json({
       success: true,
@@ -474,7 +709,8 @@ exports.getAlumniStats = async (req, res) => {
         alumniByMajor,
         alumniByIndustry,
         mentorsAvailable,
-        hiringAlumni
+        hiringAlumni,
+        mentorship
       }
     });
   } catch (error) {
@@ -0,0 +1,487 @@
+const Alumni = require('../models/Alumni');
+const MentorshipOffer = require('../models/MentorshipOffer');
+const MentorshipRequest = require('../models/MentorshipRequest');
+const MentorshipSession = require('../models/MentorshipSession');
+const MentorshipService = require('../services/mentorshipService');
+
+const OFFER_FIELDS = ['title', 'description', 'topics', 'format', 'capacity', 'isActive'];
+
+const mentorPopulate = {
+  path: 'mentor',
+  select: 'user major industry currentCompany currentPosition skills mentorshipAreas',
+  populate: { path: 'user', select: 'username firstName lastName profilePicture' }
+};
+
+const toSlots = (slots = []) => slots.map(({ startsAt, endsAt }) => ({ startsAt, endsAt }));
+
+const sendServiceError = (res, result) => res.status(result.status).json({ message: result.error });
+
+const handleError = (res, error) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({ message: error.message });
+  }
+  res.status(500).json({ message: 'Server error', error: error.message });
+};
+
+// Load an offer and check the caller is the alumnus who published it
+const findOwnOffer = async (req, res) => {
+  const alumniProfile = await Alumni.findOne({ user: req.user.id });
+  const offer = await MentorshipOffer.findById(req.params.offerId);
+
+  if (!offer) {
+    res.status(404).json({ message: 'Mentorship offer not found' });
+    return null;
+  }
+  if (!alumniProfile || offer.mentor.toString() !== alumniProfile._id.toString()) {
+    res.status(403).json({ message: 'Not authorized to manage this offer' });
+    return null;
+  }
+  return offer;
+};
+
+// Work out whether the caller is the mentor or the mentee of a request/session
+const participantRole = async (req, doc) => {
+  if (doc.mentee.toString() === req.user.id) return 'mentee';
+  const alumniProfile = await Alumni.findOne({ user: req.user.id }).select('_id');
+  return alumniProfile && doc.mentor.toString() === alumniProfile._id.toString() ? 'mentor' : null;
+};
+
+// @desc    Publish a mentorship offer
+// @route   POST /api/alumni/mentorship/offers
+// @access  Private (alumni)
+exports.createOffer = async (req, res) => {
+  try {
+    const alumniProfile = await Alumni.findOne({ user: req.user.id });
+
+    if (!alumniProfile) {
+      return res.status(404).json({ message: 'Alumni profile not found' });
+    }
+
+    const fields = Object.fromEntries(
+      OFFER_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+    );
+
+    const offer = await MentorshipOffer.create({
+      ...fields,
+      mentor: alumniProfile._id,
+      slots: toSlots(req.body.slots)
+    });
+
+    if (!alumniProfile.mentorshipAvailable) {
+      alumniProfile.mentorshipAvailable = true;
+      await alumniProfile.save();
+    }
+
+    res.status(201).json({
+      success: true,
+      data: offer
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// @desc    Browse active mentorship offers
+// @route   GET /api/alumni/mentorship/offers
+// @access  Private
+exports.getOffers = async (req, res) => {
+  try {
+    const { topic, page = 1, limit = 20 } = req.query;
+
+    const query = { isActive: true };
+    if (topic) query.topics = topic.toLowerCase();
+
+    const offers = await MentorshipOffer.find(query)
+      .populate(mentorPopulate)
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const count = await MentorshipOffer.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: offers.map(offer => ({ ...offer.toObject(), slots: offer.openSlots() })),
+      totalPages: Math.ceil(count / limit),
+      currentPage: page,
+      total: count
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// @desc    Offers published by the current alumnus
+// @route   GET /api/alumni/mentorship/offers/mine
+// @access  Private (alumni)
+exports.getMyOffers = async (req, res) => {
+  try {
+    const alumniProfile = await Alumni.findOne({ user: req.user.id });
+
+    if (!alumniProfile) {
+      return res.status(404).json({ message: 'Alumni profile not found' });
+    }
+
+    const offers = await MentorshipOffer.find({ mentor: alumniProfile._id })
+      .populate('slots.session', 'mentee status agenda')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: offers,
+      count: offers.length
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// @desc    Mentorship offers ranked for the current student by skills, industry and major
+// @route   GET /api/alumni/mentorship/matches
+// @access  Private
+exports.getMentorMatches = async (req, res) => {
+  try {
+    const { skills, topics, industry, major, limit = 20 } = req.query;
+
+    const matches = await MentorshipService.getMatches(
+      req.user.id,
+      { skills, topics, industry, major },
+      Math.min(50, parseInt(limit) || 20)
+    );
+
+    res.json({
+      success: true,
+      data: matches,
+      count: matches.length
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// @desc    Update a mentorship offer
+// @route   PUT /api/alumni/mentorship/offers/:offerId
+// @access  Private (offer owner)
+exports.updateOffer = async (req, res) => {
+  try {
+    const offer = await findOwnOffer(req, res);
+    if (!offer) return;
+
+    OFFER_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        offer[field] = req.body[field];
+      }
+    });
+
+    await offer.save();
+
+    res.json({
+      success: true,
+      data: offer
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// @desc    Add availability slots to an offer
+// @route   POST /api/alumni/mentorship/offers/:offerId/slots
+// @access  Private (offer owner)
+exports.addSlots = async (req, res) => {
+  try {
+    const offer = await findOwnOffer(req, res);
+    if (!offer) return;
+
+    offer.slots.push(...toSlots(req.body.slots));
+    await offer.save();
+
+    res.status(201).json({
+      success: true,
+      data: offer.openSlots()
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// @desc    Remove an open availability slot
+// @route   DELETE /api/alumni/mentorship/offers/:offerId/slots/:slotId
+// @access  Private (offer owner)
+exports.removeSlot = async (req, res) => {
+  try {
+    const offer = await findOwnOffer(req, res);
+    if (!offer) return;
+
+    const slot = offer.slots.id(req.params.slotId);
+
+    if (!slot) {
+      return res.status(404).json({ message: 'Slot not found' });
+    }
+
+    if (slot.status !== 'open') {
+      return res.status(400).json({ message: 'Booked slots must be cancelled from the session' });
+    }
+
+    slot.deleteOne();
+    await offer.save();
+
+    res.json({
+      success: true,
+      data: offer.openSlots()
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// @desc    Request mentorship under an offer
+// @route   POST /api/alumni/mentorship/offers/:offerId/requests
+// @access  Private
+exports.requestMentorship = async (req, res) => {
+  try {
+    const offer = await MentorshipOffer.findById(req.params.offerId);
+
+    if (!offer) {
+      return res.status(404).json({ message: 'Mentorship offer not found' });
+    }
+
+    const result = await MentorshipService.requestMentorship(offer, req.user.id, {
+      message: req.body.message,
+      goals: req.body.goals
+    });
+    if (result.error) return sendServiceError(res, result);
+
+    res.status(201).json({
+      success: true,
+      data: result.request
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// @desc    Mentorship requests sent (role=mentee) or received (role=mentor)
+// @route   GET /api/alumni/mentorship/requests
+// @access  Private
+exports.getMentorshipRequests = async (req, res) => {
+  try {
+    const { role = 'mentee', status } = req.query;
+
+    const query = {};
+    if (role === 'mentor') {
+      const alumniProfile = await Alumni.findOne({ user: req.user.id });
+      if (!alumniProfile) {
+        return res.status(404).json({ message: 'Alumni profile not found' });
+      }
+      query.mentor = alumniProfile._id;
+    } else {
+      query.mentee = req.user.id;
+    }
+    if (status) query.status = status;
+
+    const requests = await MentorshipRequest.find(query)
+      .populate('offer', 'title topics format')
+      .populate(mentorPopulate)
+      .populate('mentee', 'username firstName lastName profilePicture')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: requests,
+      count: requests.length
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// @desc    Accept or decline a mentorship request
+// @route   PUT /api/alumni/mentorship/requests/:requestId
+// @access  Private (mentor)
+exports.respondToMentorshipRequest = async (req, res) => {
+  try {
+    const request = await MentorshipRequest.findById(req.params.requestId);
+
+    if (!request) {
+      return res.status(404).json({ message: 'Mentorship request not found' });
+    }
+
+    if (await participantRole(req, request) !== 'mentor') {
+      return res.status(403).json({ message: 'Not authorized to respond to this request' });
+    }
+
+    const result = await MentorshipService.respond(request, req.body.status === 'accepted');
+    if (result.error) return sendServiceError(res, result);
+
+    res.json({
+      success: true,
+      data: result.request
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// @desc    Withdraw (mentee) or complete (either side) a mentorship
+// @route   PUT /api/alumni/mentorship/requests/:requestId/close
+// @access  Private (mentor or mentee)
+exports.closeMentorshipRequest = async (req, res) => {
+  try {
+    const request = await MentorshipRequest.findById(req.params.requestId);
+
+    if (!request) {
+      return res.status(404).json({ message: 'Mentorship request not found' });
+    }
+
+    const role = await participantRole(req, request);
+    const { status } = req.body;
+
+    if (!role || (status === 'cancelled' && role !== 'mentee')) {
+      return res.status(403).json({ message: 'Not authorized to close this request' });
+    }
+
+    const result = await MentorshipService.closeRequest(request, req.user.id, status);
+    if (result.error) return sendServiceError(res, result);
+
+    res.json({
+      success: true,
+      data: result.request
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// @desc    Book an open slot on an accepted mentorship
+// @route   POST /api/alumni/mentorship/requests/:requestId/book
+// @access  Private (mentee)
+exports.bookMentorshipSession = async (req, res) => {
+  try {
+    const request = await MentorshipRequest.findById(req.params.requestId);
+
+    if (!request || request.mentee.toString() !== req.user.id) {
+      return res.status(404).json({ message: 'Mentorship request not found' });
+    }
+
+    const result = await MentorshipService.bookSlot(request, req.body.slotId, { agenda: req.body.agenda });
+    if (result.error) return sendServiceError(res, result);
+
+    res.status(201).json({
+      success: true,
+      data: result.session
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// @desc    Mentorship sessions as mentee or mentor (role=mentor)
+// @route   GET /api/alumni/mentorship/sessions
+// @access  Private
+exports.getMentorshipSessions = async (req, res) => {
+  try {
+    const { role = 'mentee', status, upcoming } = req.query;
+
+    const query = {};
+    if (role === 'mentor') {
+      const alumniProfile = await Alumni.findOne({ user: req.user.id });
+      if (!alumniProfile) {
+        return res.status(404).json({ message: 'Alumni profile not found' });
+      }
+      query.mentor = alumniProfile._id;
+    } else {
+      query.mentee = req.user.id;
+    }
+    if (status) query.status = status;
+    if (upcoming === 'true') query.startsAt = { $gte: new Date() };
+
+    const sessions = await MentorshipSession.find(query)
+      .populate('offer', 'title format')
+      .populate(mentorPopulate)
+      .populate('mentee', 'username firstName lastName profilePicture')
+      .sort({ startsAt: upcoming === 'true' ? 1 : -1 });
+
+    res.json({
+      success: true,
+      data: sessions,
+      count: sessions.length
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// @desc    Update a booked session: cancel (either side) or set the meeting link (mentor)
+// @route   PUT /api/alumni/mentorship/sessions/:sessionId
+// @access  Private (mentor or mentee)
+exports.updateMentorshipSession = async (req, res) => {
+  try {
+    const session = await MentorshipSession.findById(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({ message: 'Mentorship session not found' });
+    }
+
+    const role = await participantRole(req, session);
+    if (!role) {
+      return res.status(403).json({ message: 'Not authorized to update this session' });
+    }
+
+    const { status, reason, meetingLink } = req.body;
+    let result = { session };
+
+    if (status === 'cancelled') {
+      result = await MentorshipService.cancelSession(session, req.user.id, reason);
+    } else if (status === 'completed' || status === 'no-show') {
+      if (role !== 'mentor') {
+        return res.status(403).json({ message: 'Only the mentor can close a session' });
+      }
+      result = await MentorshipService.closeSession(session, status);
+    } else if (meetingLink !== undefined) {
+      if (role !== 'mentor') {
+        return res.status(403).json({ message: 'Only the mentor can set the meeting link' });
+      }
+      session.meetingLink = meetingLink;
+      await session.save();
+    }
+    if (result.error) return sendServiceError(res, result);
+
+    res.json({
+      success: true,
+      data: result.session
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
+
+// @desc    Rate a completed session
+// @route   POST /api/alumni/mentorship/sessions/:sessionId/feedback
+// @access  Private (mentor or mentee)
+exports.submitMentorshipFeedback = async (req, res) => {
+  try {
+    const session = await MentorshipSession.findById(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({ message: 'Mentorship session not found' });
+    }
+
+    const role = await participantRole(req, session);
+    if (!role) {
+      return res.status(403).json({ message: 'Not authorized to review this session' });
+    }
+
+    const result = await MentorshipService.submitFeedback(session, role, {
+      rating: req.body.rating,
+      comment: req.body.comment
+    });
+    if (result.error) return sendServiceError(res, result);
+
+    res.json({
+      success: true,
+      data: result.session
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+};
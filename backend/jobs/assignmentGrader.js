@@ -0,0 +1,47 @@
+const Queue = require('bull');
+const mongoose = require('mongoose');
+const AssignmentService = require('../services/assignmentService');
+const failStaleSubmissions = require('./tasks/failStaleSubmissions');
+const logger = require('../utils/logger');
+
+// Reuse Redis URL
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+
+const gradingQueue = new Queue('assignment-grading', REDIS_URL);
+
+// One submission at a time per worker: each test already spins up a container
+gradingQueue.process(async (job) => {
+    const { submissionId } = job.data;
+
+    logger.info(`Grading submission ${submissionId}`);
+    const submission = await AssignmentService.gradeSubmission(submissionId);
+
+    if (submission) {
+        logger.info(`Submission ${submissionId} graded: ${submission.verdict} (${submission.score}/${submission.maxScore})`);
+    }
+});
+
+// A job that errors or stalls past Bull's retry limit never reaches gradeSubmission's
+// own error handling; fail its submission so the student is not locked out
+gradingQueue.on('failed', async (job, error) => {
+    const { submissionId } = job.data;
+    logger.error(`Grading job for submission ${submissionId} failed:`, error);
+
+    try {
+        await AssignmentService.failSubmission(submissionId);
+    } catch (err) {
+        logger.error(`Could not mark submission ${submissionId} failed:`, err);
+    }
+});
+
+// Runs that were in flight when the last worker died never finish; sweep them
+// once the database is up (the scheduler repeats the sweep every few minutes)
+const sweepStaleRuns = () => failStaleSubmissions.execute().catch(() => {});
+
+if (mongoose.connection.readyState === 1) {
+    sweepStaleRuns();
+} else {
+    mongoose.connection.once('connected', sweepStaleRuns);
+}
+
+module.exports = gradingQueue;
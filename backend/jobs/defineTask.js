@@ -0,0 +1,36 @@
+const logger = require('../utils/logger');
+
+/**
+ * Build a scheduler task around `run`. The task's execute() returns what
+ * `run` resolves to, logs `summarize(result)` when it returns a message
+ * and logs then rethrows failures so the scheduler records them.
+ *
+ * @param {Object} options
+ * @param {string} options.name - Task name used by the scheduler and admin routes
+ * @param {string} options.schedule - Cron expression
+ * @param {string} options.description - Shown in the admin task list
+ * @param {Function} options.run - Does the work, resolves to the task result
+ * @param {Function} [options.summarize] - Result → log message, or nothing to stay quiet
+ * @param {string} [options.level] - Logger level for the summary
+ * @param {boolean} [options.enabled]
+ */
+const defineTask = ({ name, schedule, description, run, summarize, level = 'info', enabled = true }) => ({
+    name,
+    schedule,
+    enabled,
+    description,
+
+    async execute() {
+        try {
+            const result = await run();
+            const message = summarize && summarize(result);
+            if (message) logger[level](message);
+            return result;
+        } catch (error) {
+            logger.error(`Task ${name} failed:`, error);
+            throw error;
+        }
+    }
+});
+
+module.exports = defineTask;
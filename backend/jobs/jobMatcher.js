@@ -0,0 +1,20 @@
+const Queue = require('bull');
+const JobService = require('../services/jobService');
+const logger = require('../utils/logger');
+
+// Reuse Redis URL
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+
+const matchQueue = new Queue('job-matching', REDIS_URL);
+
+// One analysis at a time per worker: each is a long Mistral call
+matchQueue.process(async (job) => {
+    const { jobId, resumeId } = job.data;
+
+    const match = await JobService.processMatch(job.data);
+    if (match) {
+        logger.info(`Resume ${resumeId} matched against job ${jobId}: ${match.matchScore} (${match.source})`);
+    }
+});
+
+module.exports = matchQueue;
@@ -2,10 +2,12 @@ const cron = require('node-cron');
 const logger = require('../utils/logger');
 
 // Import all tasks
-const cleanupSessions = require('./tasks/cleanupSessions');
-const sendDigestEmail = require('./tasks/sendDigestEmail');
-const archiveOldData = require('./tasks/archiveOldData');
 const aggregateMetrics = require('./tasks/aggregateMetrics');
+const sendMentorshipReminders = require('./tasks/sendMentorshipReminders');
+const sendEventSurveys = require('./tasks/sendEventSurveys');
+const closeExpiredPolls = require('./tasks/closeExpiredPolls');
+const publishScheduledPosts = require('./tasks/publishScheduledPosts');
+const failStaleSubmissions = require('./tasks/failStaleSubmissions');
 
 /**
  * Task Registry - Centralized management of all scheduled tasks
@@ -166,9 +168,11 @@ class Scheduler {
 const scheduler = new Scheduler();
 
 // Register all tasks
-scheduler.register(cleanupSessions);
-scheduler.register(sendDigestEmail);
-scheduler.register(archiveOldData);
 scheduler.register(aggregateMetrics);
+scheduler.register(sendMentorshipReminders);
+scheduler.register(sendEventSurveys);
+scheduler.register(closeExpiredPolls);
+scheduler.register(publishScheduledPosts);
+scheduler.register(failStaleSubmissions);
 
 module.exports = scheduler;
@@ -0,0 +1,14 @@
+const PollService = require('../../services/pollService');
+const defineTask = require('../defineTask');
+
+/**
+ * Task: Close polls whose end time has passed and freeze their results
+ * Runs: Every 5 minutes
+ */
+module.exports = defineTask({
+    name: 'closeExpiredPolls',
+    schedule: '*/5 * * * *', // Every 5 minutes
+    description: 'Close expired polls and store their final results',
+    run: () => PollService.closeExpired(),
+    summarize: ({ closed }) => closed && `Closed ${closed} expired polls`
+});
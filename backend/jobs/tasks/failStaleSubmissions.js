@@ -0,0 +1,15 @@
+const AssignmentService = require('../../services/assignmentService');
+const defineTask = require('../defineTask');
+
+/**
+ * Task: Fail assignment submissions stuck in grading (worker died mid-run)
+ * Runs: Every 5 minutes
+ */
+module.exports = defineTask({
+    name: 'failStaleSubmissions',
+    schedule: '*/5 * * * *', // Every 5 minutes
+    description: 'Mark grading runs that never finished as failed so students can resubmit',
+    run: () => AssignmentService.failStaleRuns(),
+    summarize: ({ failed }) => failed && `Failed ${failed} stale grading runs`,
+    level: 'warn'
+});
@@ -0,0 +1,14 @@
+const PostPublishService = require('../../services/postPublishService');
+const defineTask = require('../defineTask');
+
+/**
+ * Task: Publish scheduled posts whose time has come
+ * Runs: Every minute
+ */
+module.exports = defineTask({
+    name: 'publishScheduledPosts',
+    schedule: '* * * * *', // Every minute
+    description: 'Publish scheduled posts, moderating them at publish time',
+    run: () => PostPublishService.publishDue(),
+    summarize: ({ published }) => published && `Published ${published} scheduled posts`
+});
@@ -0,0 +1,14 @@
+const EventService = require('../../services/eventService');
+const defineTask = require('../defineTask');
+
+/**
+ * Task: Invite checked-in attendees to post-event surveys
+ * Runs: Every hour
+ */
+module.exports = defineTask({
+    name: 'sendEventSurveys',
+    schedule: '0 * * * *', // Every hour
+    description: 'Send post-event survey invitations to checked-in attendees of events that just ended',
+    run: () => EventService.sendDueSurveys(),
+    summarize: ({ events, sent }) => events && `Sent ${sent} survey invitations for ${events} events`
+});
@@ -0,0 +1,14 @@
+const MentorshipService = require('../../services/mentorshipService');
+const defineTask = require('../defineTask');
+
+/**
+ * Task: Remind mentors and mentees of upcoming mentorship sessions
+ * Runs: Every 15 minutes (day-before and hour-before reminders)
+ */
+module.exports = defineTask({
+    name: 'sendMentorshipReminders',
+    schedule: '*/15 * * * *', // Every 15 minutes
+    description: 'Send day-before and hour-before reminders for booked mentorship sessions',
+    run: () => MentorshipService.sendDueReminders(),
+    summarize: ({ sent }) => sent && `Sent ${sent} mentorship session reminders`
+});
@@ -61,6 +61,22 @@ const initEventConsumer = async () => {
                             post: payload.postId,
                             content: payload.text
                         });
+                    } else if (type === 'POST_SHARED') {
+                        await NotificationService.sendNotification({
+                            recipient: payload.targetUserId,
+                            sender: payload.actorId,
+                            type: 'share',
+                            post: payload.postId,
+                            content: payload.text
+                        });
+                    } else if (type === 'USER_MENTIONED') {
+                        await NotificationService.sendNotification({
+                            recipient: payload.targetUserId,
+                            sender: payload.actorId,
+                            type: 'mention',
+                            post: payload.postId,
+                            content: payload.text
+                        });
                     } else if (type === 'USER_FOLLOWED') {
                         await NotificationService.sendNotification({
                             recipient: payload.targetUserId,
@@ -1,9 +1,38 @@
 const Post = require('../models/Post');
 const User = require('../models/User');
 const Product = require('../models/Product');
+const Course = require('../models/Course');
 const SearchIndexService = require('../services/searchIndexService');
+const CourseService = require('../services/courseService');
 const logger = require('../utils/logger');
 
+/**
+ * Upsert a post into the search index, or drop it when it is no longer
+ * public. Called by the change stream and directly after post edits, so
+ * edits are re-indexed even where change streams are unavailable.
+ */
+const syncPost = async (doc) => {
+    // Posts written before drafts existed have no status and count as published
+    const published = !doc.status || doc.status === 'published';
+    // Reposts have no text of their own to search
+    if (published && doc.shareKind !== 'repost' && doc.visibility === 'public' && !doc.isDeleted) {
+        await SearchIndexService.upsertDocument('posts', {
+            id: doc._id.toString(),
+            content: doc.content,
+            caption: doc.caption,
+            tags: doc.tags,
+            authorId: (doc.user._id || doc.user).toString(),
+            createdAt: doc.createdAt,
+            likeCount: doc.likeCount,
+            isEdited: !!doc.isEdited,
+            editedAt: doc.editedAt || null
+        });
+    } else {
+        // If private, deleted, a repost or not yet published, remove from index
+        await SearchIndexService.deleteDocument('posts', doc._id.toString());
+    }
+};
+
 const initMongoSync = () => {
     logger.info('Initializing MongoDB Change Streams for Search Sync...');
 
@@ -13,22 +42,8 @@ const initMongoSync = () => {
 
         postStream.on('change', async (change) => {
             try {
-                if (change.operationType === 'insert' || change.operationType === 'update') {
-                    const doc = change.fullDocument;
-                    if (doc.visibility === 'public' && !doc.isDeleted) {
-                        await SearchIndexService.upsertDocument('posts', {
-                            id: doc._id.toString(),
-                            content: doc.content,
-                            caption: doc.caption,
-                            tags: doc.tags,
-                            authorId: doc.user.toString(),
-                            createdAt: doc.createdAt,
-                            likeCount: doc.likeCount
-                        });
-                    } else {
-                        // If private or deleted, remove from index
-                        await SearchIndexService.deleteDocument('posts', doc._id.toString());
-                    }
+                if (change.operationType === 'insert' || change.operationType === 'update' || change.operationType === 'replace') {
+                    if (change.fullDocument) await syncPost(change.fullDocument);
                 } else if (change.operationType === 'delete') {
                     await SearchIndexService.deleteDocument('posts', change.documentKey._id.toString());
                 }
@@ -85,9 +100,31 @@ const initMongoSync = () => {
             });
         }
 
+        // --- COURSE SYNC ---
+        const courseStream = Course.watch([], { fullDocument: 'updateLookup' });
+
+        courseStream.on('change', async (change) => {
+            try {
+                if (change.operationType === 'insert' || change.operationType === 'update' || change.operationType === 'replace') {
+                    const doc = change.fullDocument;
+                    if (doc?.status === 'published') {
+                        await SearchIndexService.upsertDocument('courses', await CourseService.toSearchDocument(doc));
+                    } else {
+                        // Drafts and archived courses are not searchable
+                        await SearchIndexService.deleteDocument('courses', change.documentKey._id.toString());
+                    }
+                } else if (change.operationType === 'delete') {
+                    await SearchIndexService.deleteDocument('courses', change.documentKey._id.toString());
+                }
+            } catch (err) {
+                logger.error('Course Sync Error:', err);
+            }
+        });
+
     } catch (error) {
         logger.warn('Change Streams Initialization Failed (Replica Set required):', error.message);
     }
 };
 
 module.exports = initMongoSync;
+module.exports.syncPost = syncPost;
@@ -44,15 +44,29 @@ class MessageMock {
     const message = {
       _id: this._generateId(),
       sender: messageData.sender,
-      receiver: messageData.receiver,
+      receiver: messageData.receiver || null,
+      conversation: messageData.conversation || null,
       content: messageData.content,
       messageType: messageData.messageType || 'text',
       attachmentUrl: messageData.attachmentUrl || null,
+      replyTo: messageData.replyTo || null,
+      storyReply: messageData.storyReply || null,
+      reactions: [],
+      isEdited: false,
+      editedAt: null,
+      editHistory: [],
       isRead: false,
       readAt: null,
+      receipts: (messageData.receipts || []).map(r => ({
+        user: r.user.toString(),
+        deliveredAt: null,
+        readAt: null
+      })),
       isDeleted: false,
       deletedBy: [],
-      conversationId: MessageMock.generateConversationId(messageData.sender, messageData.receiver),
+      conversationId: messageData.conversation
+        ? messageData.conversation.toString()
+        : MessageMock.generateConversationId(messageData.sender, messageData.receiver),
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
@@ -66,6 +80,75 @@ class MessageMock {
     return this.messages.find(msg => msg._id === id) || null;
   }
 
+  async findByIdLean(id) {
+    return this.findById(id);
+  }
+
+  // Add the reaction, or remove it if the user already reacted with that emoji
+  async toggleReaction(id, userId, emoji) {
+    const message = await this.findById(id);
+    if (!message) return null;
+
+    const index = message.reactions.findIndex(r => r.user === userId && r.emoji === emoji);
+    if (index > -1) {
+      message.reactions.splice(index, 1);
+    } else {
+      message.reactions.push({ emoji, user: userId, reactedAt: new Date().toISOString() });
+    }
+
+    message.updatedAt = new Date().toISOString();
+    this._saveMessages();
+    return message;
+  }
+
+  async editContent(id, content) {
+    const message = await this.findById(id);
+    if (!message) return null;
+
+    const now = new Date().toISOString();
+    message.editHistory.push({ content: message.content, editedAt: now });
+    message.content = content;
+    message.isEdited = true;
+    message.editedAt = now;
+    message.updatedAt = now;
+    this._saveMessages();
+    return message;
+  }
+
+  // Set deliveredAt or readAt on the user's receipt; returns the messages that changed
+  async markReceipts(ids, userId, field, at = new Date()) {
+    const timestamp = new Date(at).toISOString();
+    const changed = [];
+
+    this.messages
+      .filter(msg => ids.map(String).includes(msg._id))
+      .forEach(msg => {
+        const receipt = (msg.receipts || []).find(r => r.user === userId && !r[field]);
+        if (!receipt) return;
+
+        receipt[field] = timestamp;
+        if (field === 'readAt') {
+          receipt.deliveredAt = receipt.deliveredAt || timestamp;
+          if (msg.receiver === userId) {
+            msg.isRead = true;
+            msg.readAt = timestamp;
+          }
+        }
+        changed.push({ _id: msg._id, sender: msg.sender, conversationId: msg.conversationId });
+      });
+
+    if (changed.length > 0) this._saveMessages();
+    return changed;
+  }
+
+  async markConversationRead(conversationId, userId, at = new Date()) {
+    const ids = this.messages
+      .filter(msg => msg.conversationId === conversationId)
+      .map(msg => msg._id);
+
+    return this.markReceipts(ids, userId, 'readAt', at);
+  }
+
   async find(query = {}) {
     let results = [...this.messages];
 
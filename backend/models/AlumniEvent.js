@@ -27,6 +27,11 @@ const alumniEventSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  // IANA zone the organizer scheduled in; dates themselves are stored in UTC
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
   location: {
     type: {
       type: String,
@@ -55,8 +60,49 @@ const alumniEventSchema = new mongoose.Schema({
     attended: {
       type: Boolean,
       default: false
+    },
+    checkedInAt: Date,
+    checkedInBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    promotedFromWaitlist: {
+      type: Boolean,
+      default: false
     }
   }],
+  // First come, first served once capacity frees up
+  waitlist: [{
+    alumni: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Alumni'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  survey: {
+    questions: [{
+      prompt: {
+        type: String,
+        required: true,
+        maxlength: 300
+      },
+      kind: {
+        type: String,
+        enum: ['rating', 'text', 'choice'],
+        default: 'rating'
+      },
+      options: [String],
+      required: {
+        type: Boolean,
+        default: false
+      }
+    }],
+    // Set once attendees have been asked to respond
+    sentAt: Date
+  },
   tags: [{
     type: String
   }],
@@ -83,5 +129,39 @@ const alumniEventSchema = new mongoose.Schema({
 alumniEventSchema.index({ startDate: 1 });
 alumniEventSchema.index({ eventType: 1 });
 alumniEventSchema.index({ status: 1 });
+alumniEventSchema.index({ 'attendees.alumni': 1 });
+alumniEventSchema.index({ 'waitlist.alumni': 1 });
+
+alumniEventSchema.pre('validate', function (next) {
+  if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+    this.invalidate('endDate', 'Event must end after it starts');
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: this.timezone });
+  } catch (error) {
+    this.invalidate('timezone', `Unknown timezone: ${this.timezone}`);
+  }
+
+  if (this.isModified('location') && ['virtual', 'hybrid'].includes(this.location?.type) && !this.location.virtualLink) {
+    this.invalidate('location.virtualLink', 'Virtual and hybrid events need a virtual link');
+  }
+
+  (this.survey?.questions || []).forEach((question, i) => {
+    if (question.kind === 'choice' && (question.options || []).length < 2) {
+      this.invalidate(`survey.questions.${i}.options`, 'Choice questions need at least two options');
+    }
+  });
+  next();
+});
+
+alumniEventSchema.methods.findAttendee = function (alumniId) {
+  return this.attendees.find(a => a.alumni?.toString() === alumniId.toString());
+};
+
+alumniEventSchema.methods.waitlistPosition = function (alumniId) {
+  const index = this.waitlist.findIndex(w => w.alumni?.toString() === alumniId.toString());
+  return index === -1 ? null : index + 1;
+};
 
 module.exports = mongoose.model('AlumniEvent', alumniEventSchema);
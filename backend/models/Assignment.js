@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+/**
+ * Assignment Model
+ * Auto-graded coding assignment. Test cases are stdin/expected-stdout
+ * pairs; only tests flagged as samples are ever shown to students.
+ */
+const testCaseSchema = new mongoose.Schema({
+    input: {
+        type: String,
+        default: ''
+    },
+    expectedOutput: {
+        type: String,
+        required: true
+    },
+    points: {
+        type: Number,
+        min: 0,
+        default: 1
+    },
+    // Sample tests are visible to students, the rest are hidden
+    isSample: {
+        type: Boolean,
+        default: false
+    },
+    // Per-test overrides of the assignment-wide limits
+    timeLimitMs: {
+        type: Number,
+        min: 100,
+        max: 10000
+    },
+    memoryLimitMb: {
+        type: Number,
+        min: 16,
+        max: 512
+    }
+});
+
+const assignmentSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 200
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    languages: {
+        type: [{ type: String, enum: ['javascript', 'python', 'cpp'] }],
+        validate: [langs => langs.length > 0, 'At least one language is required'],
+        default: ['javascript', 'python', 'cpp']
+    },
+    starterCode: {
+        type: Map,
+        of: String,
+        default: {}
+    },
+    tests: {
+        type: [testCaseSchema],
+        validate: [tests => tests.length > 0 && tests.length <= 50, 'An assignment needs 1-50 test cases']
+    },
+    timeLimitMs: {
+        type: Number,
+        min: 100,
+        max: 10000,
+        default: 2000
+    },
+    memoryLimitMb: {
+        type: Number,
+        min: 16,
+        max: 512,
+        default: 128
+    },
+    dueAt: Date,
+    allowLateSubmissions: {
+        type: Boolean,
+        default: false
+    },
+    // 0 means unlimited
+    maxSubmissions: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    isPublished: {
+        type: Boolean,
+        default: false
+    }
+}, {
+    timestamps: true
+});
+
+assignmentSchema.index({ isPublished: 1, dueAt: 1 });
+
+assignmentSchema.virtual('maxScore').get(function () {
+    return this.tests.reduce((sum, t) => sum + t.points, 0);
+});
+
+/**
+ * Student-facing view: hidden test inputs and outputs are stripped
+ */
+assignmentSchema.methods.toStudentJSON = function () {
+    const obj = this.toObject({ virtuals: true });
+    obj.tests = obj.tests.map((t, index) => (t.isSample
+        ? { index, input: t.input, expectedOutput: t.expectedOutput, points: t.points, isSample: true }
+        : { index, points: t.points, isSample: false }));
+    return obj;
+};
+
+module.exports = mongoose.model('Assignment', assignmentSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const VERDICTS = ['AC', 'WA', 'TLE', 'MLE', 'OLE', 'RE', 'CE'];
+
+/**
+ * Assignment Submission Model
+ * One graded attempt. Verdicts: AC accepted, WA wrong answer,
+ * TLE time limit exceeded, MLE memory limit exceeded, OLE output limit
+ * exceeded, RE runtime error, CE compilation error.
+ */
+const assignmentSubmissionSchema = new mongoose.Schema({
+    assignment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Assignment',
+        required: true
+    },
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    language: {
+        type: String,
+        enum: ['javascript', 'python', 'cpp'],
+        required: true
+    },
+    code: {
+        type: String,
+        required: true,
+        maxlength: 100000
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'graded', 'failed'],
+        default: 'queued'
+    },
+    // Overall verdict: AC only if every test passed, else the first failure
+    verdict: {
+        type: String,
+        enum: VERDICTS
+    },
+    score: {
+        type: Number,
+        default: 0
+    },
+    maxScore: {
+        type: Number,
+        default: 0
+    },
+    testResults: [{
+        index: Number,
+        verdict: { type: String, enum: VERDICTS },
+        timeMs: Number,
+        points: Number,
+        earned: Number,
+        // Only kept for sample tests
+        stdout: String,
+        stderr: String,
+        _id: false
+    }],
+    compileOutput: String,
+    isLate: {
+        type: Boolean,
+        default: false
+    },
+    // When grading last started; runs left 'running' long past it are failed by a sweep
+    startedAt: Date,
+    gradedAt: Date
+}, {
+    timestamps: true
+});
+
+assignmentSubmissionSchema.index({ assignment: 1, student: 1, createdAt: -1 });
+assignmentSubmissionSchema.index({ student: 1, createdAt: -1 });
+assignmentSubmissionSchema.index({ status: 1, startedAt: 1 }); // Stale grading runs
+
+const AssignmentSubmission = mongoose.model('AssignmentSubmission', assignmentSubmissionSchema);
+AssignmentSubmission.VERDICTS = VERDICTS;
+
+module.exports = AssignmentSubmission;
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+/**
+ * Code Room Model
+ * Persistent state for collaborative code-editor rooms: a small project
+ * tree of files, each with its own language. Live presence (cursors,
+ * selections) is kept in Redis, not here.
+ */
+const codeFileSchema = new mongoose.Schema({
+    // POSIX-style path relative to the project root, e.g. "src/utils.js"
+    path: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 200
+    },
+    content: {
+        type: String,
+        default: ''
+    },
+    language: {
+        type: String,
+        default: 'plaintext'
+    },
+    // Bumped on every saved edit
+    version: {
+        type: Number,
+        default: 1
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const codeRoomSchema = new mongoose.Schema({
+    roomId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+    name: {
+        type: String,
+        default: 'Untitled Project'
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Users the owner let in; nobody else can join the room
+    members: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    files: [codeFileSchema],
+    // Empty folders; folders holding files are implied by file paths
+    folders: [{
+        type: String,
+        trim: true,
+        maxlength: 200
+    }],
+    // File executed by "run project"
+    entryFile: {
+        type: String,
+        default: 'main.js'
+    },
+    lastRun: {
+        at: Date,
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        success: Boolean,
+        statusCode: Number
+    },
+    lastActiveAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+codeRoomSchema.index({ owner: 1, lastActiveAt: -1 });
+
+module.exports = mongoose.model('CodeRoom', codeRoomSchema);
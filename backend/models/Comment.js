@@ -24,6 +24,12 @@ const commentSchema = new mongoose.Schema({
     ref: 'Comment',
     default: null
   },
+  // Nesting level in the reply tree (0 = top-level comment)
+  depth: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   likes: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -51,6 +57,13 @@ const commentSchema = new mongoose.Schema({
     default: false
   },
   editedAt: Date,
+  editHistory: [{
+    content: String,
+    editedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   isDeleted: {
     type: Boolean,
     default: false
@@ -64,6 +77,7 @@ const commentSchema = new mongoose.Schema({
 commentSchema.index({ post: 1, createdAt: -1 });
 commentSchema.index({ user: 1, createdAt: -1 });
 commentSchema.index({ parentComment: 1 });
+commentSchema.index({ post: 1, parentComment: 1, _id: 1 }); // Cursor pagination per thread level
 
 // Method to toggle like
 commentSchema.methods.toggleLike = async function(userId) {
@@ -96,4 +110,20 @@ commentSchema.methods.decrementRepliesCount = async function() {
   return this.save();
 };
 
+// Method to edit content, keeping the previous version in the history
+commentSchema.methods.edit = async function(content) {
+  this.editHistory.push({ content: this.content, editedAt: new Date() });
+  this.content = content;
+  this.isEdited = true;
+  this.editedAt = new Date();
+  return this.save();
+};
+
+// Method to soft delete (keeps the node so the reply tree stays intact)
+commentSchema.methods.softDelete = async function() {
+  this.isDeleted = true;
+  this.deletedAt = new Date();
+  return this.save();
+};
+
 module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+
+/**
+ * Conversation Model
+ * Multi-member conversations for clubs and study groups.
+ * 'group' lets every member post, 'channel' only lets owners/admins post.
+ * 1:1 messages keep using the derived conversationId on Message.
+ */
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['owner', 'admin', 'member'],
+    default: 'member'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Everything sent after this point counts as unread for the member
+  lastReadAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const conversationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['group', 'channel'],
+    default: 'group'
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  avatar: {
+    type: String,
+    default: null
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  joinPolicy: {
+    type: String,
+    enum: ['open', 'request', 'invite'],
+    default: 'invite'
+  },
+  members: [memberSchema],
+  pendingRequests: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    },
+    _id: false
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastMessageAt: {
+    type: Date,
+    default: null
+  },
+  isArchived: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+conversationSchema.index({ 'members.user': 1, lastMessageAt: -1 }); // A user's conversations
+conversationSchema.index({ joinPolicy: 1, isArchived: 1 }); // Discoverable (open) groups
+
+// Static helpers shared with mockdb/conversationDB.js so routes can use either backend
+
+conversationSchema.statics.findForMember = function (userId) {
+  return this.find({ 'members.user': userId, isArchived: false })
+    .sort({ lastMessageAt: -1, updatedAt: -1 })
+    .lean();
+};
+
+conversationSchema.statics.findByIdLean = function (id) {
+  return this.findById(id).lean();
+};
+
+conversationSchema.statics.updateFields = function (id, fields) {
+  return this.findByIdAndUpdate(id, { $set: fields }, { new: true }).lean();
+};
+
+conversationSchema.statics.addMember = function (id, member) {
+  return this.findOneAndUpdate(
+    { _id: id, 'members.user': { $ne: member.user } },
+    {
+      $push: { members: member },
+      $pull: { pendingRequests: { user: member.user } }
+    },
+    { new: true }
+  ).lean();
+};
+
+conversationSchema.statics.removeMember = function (id, userId) {
+  return this.findByIdAndUpdate(
+    id,
+    { $pull: { members: { user: userId } } },
+    { new: true }
+  ).lean();
+};
+
+conversationSchema.statics.setMemberRole = function (id, userId, role) {
+  return this.findOneAndUpdate(
+    { _id: id, 'members.user': userId },
+    { $set: { 'members.$.role': role } },
+    { new: true }
+  ).lean();
+};
+
+conversationSchema.statics.markRead = function (id, userId, readAt = new Date()) {
+  return this.updateOne(
+    { _id: id, 'members.user': userId },
+    { $set: { 'members.$.lastReadAt': readAt } }
+  );
+};
+
+conversationSchema.statics.addJoinRequest = function (id, userId) {
+  return this.findOneAndUpdate(
+    { _id: id, 'pendingRequests.user': { $ne: userId } },
+    { $push: { pendingRequests: { user: userId } } },
+    { new: true }
+  ).lean();
+};
+
+conversationSchema.statics.removeJoinRequest = function (id, userId) {
+  return this.findByIdAndUpdate(
+    id,
+    { $pull: { pendingRequests: { user: userId } } },
+    { new: true }
+  ).lean();
+};
+
+const Conversation = mongoose.model('Conversation', conversationSchema);
+
+module.exports = Conversation;
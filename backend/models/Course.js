@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+
+const DIFFICULTIES = ['Beginner', 'Intermediate', 'Advanced'];
+
+/**
+ * Course Model
+ * Catalog entry plus syllabus: ordered modules, each with ordered
+ * lessons. Lessons may require other lessons of the same course to be
+ * completed first; the course itself may require other courses.
+ */
+const lessonSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 200
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    topics: [{ type: String, trim: true }],
+    contentType: {
+        type: String,
+        enum: ['video', 'article', 'quiz', 'assignment', 'live'],
+        default: 'article'
+    },
+    // Video/article URL or body; only served to enrolled students unless isPreview
+    contentUrl: String,
+    body: String,
+    quiz: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Quiz'
+    },
+    assignment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Assignment'
+    },
+    durationMinutes: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Free preview for visitors who are not enrolled
+    isPreview: {
+        type: Boolean,
+        default: false
+    },
+    // Lessons of this course that must be completed first
+    prerequisites: [mongoose.Schema.Types.ObjectId]
+});
+
+const moduleSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 200
+    },
+    subtitle: {
+        type: String,
+        default: ''
+    },
+    lessons: [lessonSchema]
+});
+
+const courseSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 200
+    },
+    subtitle: {
+        type: String,
+        default: ''
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    instructor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    category: {
+        type: String,
+        trim: true,
+        index: true
+    },
+    tags: [{ type: String, trim: true }],
+    difficulty: {
+        type: String,
+        enum: DIFFICULTIES,
+        default: 'Beginner'
+    },
+    price: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    thumbnail: String,
+    // Courses that must be completed before enrolling
+    prerequisites: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course'
+    }],
+    modules: [moduleSchema],
+    status: {
+        type: String,
+        enum: ['draft', 'published', 'archived'],
+        default: 'draft',
+        index: true
+    },
+    publishedAt: Date,
+    enrollmentCount: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+courseSchema.index({ status: 1, category: 1, createdAt: -1 });
+
+courseSchema.virtual('lessonCount').get(function () {
+    return (this.modules || []).reduce((sum, m) => sum + m.lessons.length, 0);
+});
+
+courseSchema.virtual('durationMinutes').get(function () {
+    return (this.modules || []).reduce(
+        (sum, m) => sum + m.lessons.reduce((total, l) => total + (l.durationMinutes || 0), 0),
+        0
+    );
+});
+
+courseSchema.pre('validate', function (next) {
+    if (this.prerequisites.some(id => id.equals(this._id))) {
+        this.invalidate('prerequisites', 'A course cannot be its own prerequisite');
+    }
+
+    const lessonIds = new Set(this.modules.flatMap(m => m.lessons.map(l => l._id.toString())));
+    this.modules.forEach((module, m) => module.lessons.forEach((lesson, l) => {
+        const unknown = lesson.prerequisites.find(id => !lessonIds.has(id.toString()) || id.equals(lesson._id));
+        if (unknown) {
+            this.invalidate(`modules.${m}.lessons.${l}.prerequisites`, `Lesson prerequisite ${unknown} is not another lesson of this course`);
+        }
+    }));
+
+    if (this.isModified('status') && this.status === 'published' && !this.publishedAt) {
+        this.publishedAt = new Date();
+    }
+    next();
+});
+
+/**
+ * Find a lesson anywhere in the syllabus
+ * @returns {{module, lesson}|null}
+ */
+courseSchema.methods.findLesson = function (lessonId) {
+    for (const module of this.modules) {
+        const lesson = module.lessons.id(lessonId);
+        if (lesson) return { module, lesson };
+    }
+    return null;
+};
+
+courseSchema.statics.DIFFICULTIES = DIFFICULTIES;
+
+module.exports = mongoose.model('Course', courseSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+/**
+ * Enrollment Model
+ * A student's membership in a course and their per-lesson progress
+ */
+const enrollmentSchema = new mongoose.Schema({
+    course: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    status: {
+        type: String,
+        enum: ['active', 'completed', 'dropped'],
+        default: 'active'
+    },
+    completedLessons: [{
+        lesson: mongoose.Schema.Types.ObjectId,
+        completedAt: { type: Date, default: Date.now },
+        _id: false
+    }],
+    progressPercent: {
+        type: Number,
+        default: 0
+    },
+    lastLesson: mongoose.Schema.Types.ObjectId,
+    lastActivityAt: Date,
+    completedAt: Date
+}, {
+    timestamps: true
+});
+
+enrollmentSchema.index({ course: 1, user: 1 }, { unique: true });
+enrollmentSchema.index({ course: 1, status: 1 });
+
+enrollmentSchema.methods.hasCompleted = function (lessonId) {
+    return this.completedLessons.some(c => c.lesson.toString() === lessonId.toString());
+};
+
+module.exports = mongoose.model('Enrollment', enrollmentSchema);
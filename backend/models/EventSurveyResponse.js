@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const eventSurveyResponseSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AlumniEvent',
+    required: true
+  },
+  alumni: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alumni',
+    required: true
+  },
+  answers: [{
+    // _id of the question in event.survey.questions
+    question: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    rating: {
+      type: Number,
+      min: 1,
+      max: 5
+    },
+    text: {
+      type: String,
+      maxlength: 2000
+    },
+    choice: String
+  }]
+}, {
+  timestamps: true
+});
+
+eventSurveyResponseSchema.index({ event: 1, alumni: 1 }, { unique: true });
+
+module.exports = mongoose.model('EventSurveyResponse', eventSurveyResponseSchema);
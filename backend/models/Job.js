@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+/**
+ * Job Model
+ * A job or internship posted by an alumnus (usually at their current
+ * company) or an admin. Alumni postings can take referral requests.
+ */
+const jobSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: [true, 'Role title is required'],
+        trim: true,
+        maxlength: 120
+    },
+    company: {
+        type: String,
+        required: [true, 'Company is required'],
+        trim: true,
+        maxlength: 120
+    },
+    description: {
+        type: String,
+        required: [true, 'Description is required'],
+        maxlength: 10000
+    },
+    type: {
+        type: String,
+        enum: ['full-time', 'part-time', 'internship', 'contract'],
+        default: 'full-time'
+    },
+    workplace: {
+        type: String,
+        enum: ['onsite', 'remote', 'hybrid'],
+        default: 'onsite'
+    },
+    location: {
+        city: String,
+        state: String,
+        country: String
+    },
+    tags: [{ type: String, trim: true, lowercase: true }],
+    skills: [{ type: String, trim: true, lowercase: true }],
+    salaryRange: {
+        min: Number,
+        max: Number,
+        currency: { type: String, default: 'USD' }
+    },
+    deadline: Date,
+    // Apply on the company's site instead of (or as well as) here
+    externalUrl: String,
+    postedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Set when the poster has an alumni profile
+    alumni: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Alumni'
+    },
+    referralsEnabled: {
+        type: Boolean,
+        default: false
+    },
+    status: {
+        type: String,
+        enum: ['open', 'closed'],
+        default: 'open'
+    },
+    applicationCount: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+jobSchema.index({ status: 1, deadline: 1 });
+jobSchema.index({ tags: 1 });
+jobSchema.index({ skills: 1 });
+jobSchema.index({ postedBy: 1 });
+jobSchema.index({ title: 'text', company: 'text', description: 'text' });
+
+jobSchema.pre('validate', function (next) {
+    if (this.referralsEnabled && !this.alumni) {
+        this.invalidate('referralsEnabled', 'Only alumni postings can take referral requests');
+    }
+    if (this.salaryRange?.min != null && this.salaryRange?.max != null && this.salaryRange.max < this.salaryRange.min) {
+        this.invalidate('salaryRange.max', 'Maximum salary must not be below the minimum');
+    }
+    next();
+});
+
+jobSchema.methods.isAcceptingApplications = function (now = new Date()) {
+    return this.status === 'open' && (!this.deadline || this.deadline >= now);
+};
+
+module.exports = mongoose.model('Job', jobSchema);
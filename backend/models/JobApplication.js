@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+/**
+ * JobApplication Model
+ * A student's application to a Job with one of their resumes, its
+ * referral request (alumni postings only) and the resume/job match used
+ * to rank applicants.
+ */
+const jobApplicationSchema = new mongoose.Schema({
+    job: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Job',
+        required: true
+    },
+    applicant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    resume: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Resume',
+        required: true
+    },
+    coverLetter: {
+        type: String,
+        maxlength: 5000
+    },
+    status: {
+        type: String,
+        enum: ['submitted', 'reviewing', 'shortlisted', 'rejected', 'hired', 'withdrawn'],
+        default: 'submitted'
+    },
+    referral: {
+        status: {
+            type: String,
+            enum: ['none', 'requested', 'referred', 'declined'],
+            default: 'none'
+        },
+        note: { type: String, maxlength: 500 },
+        requestedAt: Date,
+        respondedAt: Date,
+        // The alumnus' note to the hiring team
+        recommendation: { type: String, maxlength: 1000 }
+    },
+    // Copied from the JobMatch once the resume has been analyzed
+    matchScore: Number,
+    matchSource: {
+        type: String,
+        enum: ['ai', 'keywords']
+    }
+}, {
+    timestamps: true
+});
+
+jobApplicationSchema.index({ job: 1, applicant: 1 }, { unique: true });
+jobApplicationSchema.index({ job: 1, matchScore: -1 });
+jobApplicationSchema.index({ applicant: 1, createdAt: -1 });
+
+module.exports = mongoose.model('JobApplication', jobApplicationSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+/**
+ * JobMatch Model
+ * Cached analysis of one resume against one job. Recomputed when either
+ * side changes after analyzedAt. `source` is `ai` for
+ * aiService.analyzeResumeAgainstJob results and `keywords` for the
+ * skill-overlap estimate used until (or instead of) the AI analysis.
+ */
+const jobMatchSchema = new mongoose.Schema({
+    job: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Job',
+        required: true
+    },
+    resume: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Resume',
+        required: true
+    },
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    source: {
+        type: String,
+        enum: ['ai', 'keywords'],
+        required: true
+    },
+    matchScore: {
+        type: Number,
+        min: 0,
+        max: 100
+    },
+    overallAssessment: String,
+    overallRecommendation: String,
+    matchingKeywords: [String],
+    missingKeywords: [String],
+    strengths: [String],
+    gaps: [String],
+    // Last AI failure, kept so a broken resume isn't retried on every request
+    error: String,
+    analyzedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+jobMatchSchema.index({ job: 1, resume: 1 }, { unique: true });
+jobMatchSchema.index({ student: 1, matchScore: -1 });
+
+module.exports = mongoose.model('JobMatch', jobMatchSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const slotSchema = new mongoose.Schema({
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'booked'],
+    default: 'open'
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MentorshipSession'
+  }
+});
+
+const mentorshipOfferSchema = new mongoose.Schema({
+  mentor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alumni',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: 120
+  },
+  description: {
+    type: String,
+    maxlength: 1000
+  },
+  topics: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  format: {
+    type: String,
+    enum: ['video', 'call', 'chat', 'in-person'],
+    default: 'video'
+  },
+  // Mentees the alumnus will take on at once
+  capacity: {
+    type: Number,
+    min: 1,
+    max: 50,
+    default: 3
+  },
+  slots: [slotSchema],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+mentorshipOfferSchema.index({ mentor: 1 });
+mentorshipOfferSchema.index({ isActive: 1, topics: 1 });
+
+mentorshipOfferSchema.pre('validate', function (next) {
+  this.slots.forEach((slot, index) => {
+    if (slot.startsAt && slot.endsAt && slot.endsAt <= slot.startsAt) {
+      this.invalidate(`slots.${index}.endsAt`, 'Slots must end after they start');
+    }
+  });
+  next();
+});
+
+mentorshipOfferSchema.methods.openSlots = function (now = new Date()) {
+  return this.slots.filter(slot => slot.status === 'open' && slot.startsAt > now);
+};
+
+module.exports = mongoose.model('MentorshipOffer', mentorshipOfferSchema);
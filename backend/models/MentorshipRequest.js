@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const mentorshipRequestSchema = new mongoose.Schema({
+  offer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MentorshipOffer',
+    required: true
+  },
+  mentor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alumni',
+    required: true
+  },
+  mentee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: String,
+    maxlength: 500
+  },
+  goals: {
+    type: String,
+    maxlength: 500
+  },
+  // Accepted requests count against the offer's capacity until completed or cancelled
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'cancelled', 'completed'],
+    default: 'pending'
+  },
+  // Match when the request was made
+  matchScore: {
+    type: Number
+  },
+  matchReasons: [{
+    type: String
+  }],
+  respondedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+mentorshipRequestSchema.index({ offer: 1, status: 1 });
+mentorshipRequestSchema.index({ mentee: 1, status: 1 });
+mentorshipRequestSchema.index({ mentor: 1, status: 1 });
+
+module.exports = mongoose.model('MentorshipRequest', mentorshipRequestSchema);
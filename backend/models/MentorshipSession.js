@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const feedbackSchema = new mongoose.Schema({
+  rating: {
+    type: Number,
+    min: 1,
+    max: 5,
+    required: true
+  },
+  comment: {
+    type: String,
+    maxlength: 1000
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const mentorshipSessionSchema = new mongoose.Schema({
+  offer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MentorshipOffer',
+    required: true
+  },
+  request: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MentorshipRequest',
+    required: true
+  },
+  mentor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alumni',
+    required: true
+  },
+  mentee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // _id of the booked entry in MentorshipOffer.slots
+  slot: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  agenda: {
+    type: String,
+    maxlength: 1000
+  },
+  meetingLink: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['booked', 'completed', 'cancelled', 'no-show'],
+    default: 'booked'
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancellationReason: {
+    type: String,
+    maxlength: 300
+  },
+  remindersSent: {
+    dayBefore: Date,
+    hourBefore: Date
+  },
+  // Each side rates the other once the session is completed
+  menteeFeedback: feedbackSchema,
+  mentorFeedback: feedbackSchema
+}, {
+  timestamps: true
+});
+
+mentorshipSessionSchema.index({ mentor: 1, startsAt: -1 });
+mentorshipSessionSchema.index({ mentee: 1, startsAt: -1 });
+mentorshipSessionSchema.index({ status: 1, startsAt: 1 });
+
+module.exports = mongoose.model('MentorshipSession', mentorshipSessionSchema);
@@ -6,10 +6,16 @@ const messageSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Set for 1:1 messages only; group messages are addressed via `conversation`
   receiver: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function () { return !this.conversation; }
+  },
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    default: null
   },
   content: {
     type: String,
@@ -26,6 +32,39 @@ const messageSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Quoted message this one replies to (same conversation)
+  replyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  // Snapshot of the story being replied to; stories themselves expire after 24h
+  storyReply: {
+    story: { type: mongoose.Schema.Types.ObjectId, ref: 'Story' },
+    mediaType: { type: String, enum: ['image', 'video', 'text'] },
+    mediaUrl: String,
+    text: String
+  },
+  reactions: [{
+    emoji: { type: String, required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    reactedAt: { type: Date, default: Date.now },
+    _id: false
+  }],
+  isEdited: {
+    type: Boolean,
+    default: false
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  editHistory: [{
+    content: String,
+    editedAt: { type: Date, default: Date.now },
+    _id: false
+  }],
+  // Legacy 1:1 read flag, kept in sync with the receiver's receipt
   isRead: {
     type: Boolean,
     default: false
@@ -34,6 +73,13 @@ const messageSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // One entry per recipient (the receiver for 1:1, every other member for groups)
+  receipts: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    deliveredAt: { type: Date, default: null },
+    readAt: { type: Date, default: null },
+    _id: false
+  }],
   isDeleted: {
     type: Boolean,
     default: false
@@ -61,6 +107,10 @@ messageSchema.index({ sender: 1, createdAt: -1 }); // Sender's message history
 messageSchema.index({ receiver: 1, createdAt: -1 }); // Receiver's message history
 messageSchema.index({ conversationId: 1, isRead: 1 }); // Unread messages per conversation
 messageSchema.index({ isDeleted: 1, createdAt: -1 }); // Filter deleted messages
+messageSchema.index({ conversation: 1, createdAt: -1 }); // Group conversation history
+messageSchema.index({ 'receipts.user': 1, 'receipts.readAt': 1 }); // Pending receipts per recipient
+// In-conversation search; no stemming or stop words, so it matches whole words like the search pattern
+messageSchema.index({ content: 'text' }, { name: 'idx_message_content_words', default_language: 'none' });
 
 // Compound index for common conversation queries
 messageSchema.index({
@@ -75,10 +125,97 @@ messageSchema.statics.generateConversationId = function (userId1, userId2) {
   return `${ids[0]}_${ids[1]}`;
 };
 
+// Static helpers shared with mockdb/messageDB.js so routes can use either backend
+
+messageSchema.statics.findByIdLean = function (id) {
+  return this.findById(id).lean();
+};
+
+// Add the reaction, or remove it if the user already reacted with that emoji
+messageSchema.statics.toggleReaction = async function (id, userId, emoji) {
+  const removed = await this.findOneAndUpdate(
+    { _id: id, reactions: { $elemMatch: { user: userId, emoji } } },
+    { $pull: { reactions: { user: userId, emoji } } },
+    { new: true }
+  ).lean();
+
+  if (removed) return removed;
+
+  return this.findByIdAndUpdate(
+    id,
+    { $push: { reactions: { user: userId, emoji, reactedAt: new Date() } } },
+    { new: true }
+  ).lean();
+};
+
+messageSchema.statics.editContent = async function (id, content) {
+  const message = await this.findById(id);
+  if (!message) return null;
+
+  message.editHistory.push({ content: message.content, editedAt: new Date() });
+  message.content = content;
+  message.isEdited = true;
+  message.editedAt = new Date();
+  await message.save();
+  return message.toObject();
+};
+
+/**
+ * Set deliveredAt or readAt on the user's receipt for the given messages.
+ * Reading implies delivery. Returns the messages that actually changed.
+ * @param {Array<string>} ids - Message IDs
+ * @param {string} userId - Recipient
+ * @param {'deliveredAt'|'readAt'} field
+ */
+messageSchema.statics.markReceipts = async function (ids, userId, field, at = new Date()) {
+  const filter = {
+    _id: { $in: ids },
+    receipts: { $elemMatch: { user: userId, [field]: null } }
+  };
+
+  const changed = await this.find(filter).select('_id sender conversationId').lean();
+  if (changed.length === 0) return [];
+
+  const set = { [`receipts.$[r].${field}`]: at };
+  await this.updateMany(filter, { $set: set }, { arrayFilters: [{ 'r.user': userId, [`r.${field}`]: null }] });
+
+  if (field === 'readAt') {
+    await this.updateMany(
+      { _id: { $in: ids }, receipts: { $elemMatch: { user: userId, deliveredAt: null } } },
+      { $set: { 'receipts.$[r].deliveredAt': at } },
+      { arrayFilters: [{ 'r.user': userId, 'r.deliveredAt': null }] }
+    );
+    await this.updateMany(
+      { _id: { $in: ids }, receiver: userId, isRead: false },
+      { $set: { isRead: true, readAt: at } }
+    );
+  }
+
+  return changed;
+};
+
+/**
+ * Mark every message in a conversation as read for one recipient
+ */
+messageSchema.statics.markConversationRead = async function (conversationId, userId, at = new Date()) {
+  const ids = await this.find({
+    conversationId,
+    receipts: { $elemMatch: { user: userId, readAt: null } }
+  }).distinct('_id');
+
+  return this.markReceipts(ids, userId, 'readAt', at);
+};
+
 // Instance method to mark as read
 messageSchema.methods.markAsRead = async function () {
   this.isRead = true;
   this.readAt = new Date();
+  this.receipts.forEach(r => {
+    if (r.user.toString() === this.receiver.toString()) {
+      r.readAt = r.readAt || this.readAt;
+      r.deliveredAt = r.deliveredAt || this.readAt;
+    }
+  });
   return this.save();
 };
 
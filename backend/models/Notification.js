@@ -14,7 +14,7 @@ const notificationSchema = new mongoose.Schema({
     },
     type: {
         type: String,
-        enum: ['like', 'comment', 'follow', 'mention', 'message'],
+        enum: ['like', 'comment', 'follow', 'mention', 'share', 'message', 'study_buddy', 'study_room', 'mentorship', 'job', 'event', 'resume_review'],
         required: true
     },
     post: {
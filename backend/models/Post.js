@@ -1,6 +1,33 @@
 const mongoose = require("mongoose");
 const PointSchema = require('./Location');
 
+// Final poll counts, frozen when the poll closes
+const pollResultsSchema = new mongoose.Schema(
+  {
+    totalVotes: Number,
+    totalVoters: Number,
+    options: [
+      {
+        _id: false,
+        option: mongoose.Schema.Types.ObjectId,
+        text: String,
+        votes: Number
+      }
+    ]
+  },
+  { _id: false }
+);
+
+// Prior state of an edited post
+const postRevisionSchema = new mongoose.Schema({
+  content: String,
+  tags: [String],
+  visibility: String,
+  // When this version was replaced, and by whom
+  editedAt: { type: Date, default: Date.now },
+  editedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+});
+
 /* ============================================================
    📌 POST SCHEMA
    ============================================================ */
@@ -22,7 +49,10 @@ const postSchema = new mongoose.Schema(
     ------------------------- */
     content: {
       type: String,
-      required: true,
+      // A plain repost carries only the reference to what it shares
+      required: function () {
+        return this.shareKind !== "repost";
+      },
       maxlength: 5000,
       trim: true
     },
@@ -33,6 +63,18 @@ const postSchema = new mongoose.Schema(
       default: "text"
     },
 
+    /* -------------------------
+       🗓 PUBLISHING
+    ------------------------- */
+    // Drafts and scheduled posts are only visible to their author until published
+    status: {
+      type: String,
+      enum: ["draft", "scheduled", "published"],
+      default: "published"
+    },
+    scheduledAt: Date,
+    publishedAt: Date,
+
     /* -------------------------
        🖼 MEDIA
     ------------------------- */
@@ -52,10 +94,10 @@ const postSchema = new mongoose.Schema(
        📊 POLLS
     ------------------------- */
     poll: {
-      question: String,
+      question: { type: String, trim: true, maxlength: 300 },
       options: [
         {
-          text: String,
+          text: { type: String, trim: true, maxlength: 200 },
           votes: [
             {
               user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
@@ -65,7 +107,18 @@ const postSchema = new mongoose.Schema(
         }
       ],
       endsAt: Date,
-      allowMultipleVotes: { type: Boolean, default: false }
+      allowMultipleVotes: { type: Boolean, default: false },
+      // Anonymous polls never expose who voted, only counts
+      anonymous: { type: Boolean, default: false },
+      // Whether voters may remove or change their vote before the poll closes
+      allowVoteChange: { type: Boolean, default: true },
+      // Set once when the poll ends (expiry or closed by the author)
+      closedAt: Date,
+      // Final results frozen at close
+      results: {
+        type: pollResultsSchema,
+        default: undefined
+      }
     },
 
     /* -------------------------
@@ -90,6 +143,12 @@ const postSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "Post"
     },
+    // repost: shares the post as is; quote: adds the sharer's own text.
+    // Quotes of quotes chain through sharedPost back to the original.
+    shareKind: {
+      type: String,
+      enum: ["repost", "quote"]
+    },
 
     /* -------------------------
        🔐 VISIBILITY
@@ -120,6 +179,11 @@ const postSchema = new mongoose.Schema(
     isPinned: { type: Boolean, default: false },
     isEdited: { type: Boolean, default: false },
     editedAt: Date,
+    // Earlier versions, oldest first; select("+revisions") to load them
+    revisions: {
+      type: [postRevisionSchema],
+      select: false
+    },
 
     /* -------------------------
        🧠 SEMANTIC SEARCH
@@ -137,10 +201,97 @@ const postSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
-    optimisticConcurrency: true
+    optimisticConcurrency: true,
+    toJSON: {
+      // Voter ids of anonymous polls stay server-side
+      transform: (doc, ret) => {
+        if (ret.poll?.anonymous && Array.isArray(ret.poll.options)) {
+          ret.poll.options = ret.poll.options.map(({ votes, ...option }) => ({
+            ...option,
+            votesCount: (votes || []).length
+          }));
+        }
+        return ret;
+      }
+    }
+  }
+);
+
+/* ============================================================
+   ✅ VALIDATION
+   ============================================================ */
+
+postSchema.statics.POLL_OPTION_LIMITS = { min: 2, max: 6 };
+
+postSchema.statics.UNPUBLISHED_STATUSES = ["draft", "scheduled"];
+
+postSchema.pre("validate", function (next) {
+  if (this.status === "scheduled" && !this.scheduledAt) {
+    this.invalidate("scheduledAt", "Scheduled posts need a publish time");
+  }
+  if (this.postType === "shared" && (!this.sharedPost || !this.shareKind)) {
+    this.invalidate("sharedPost", "A shared post needs the post it shares");
+  }
+  if (this.postType !== "poll") return next();
+
+  const { min, max } = this.constructor.POLL_OPTION_LIMITS;
+  const options = this.poll?.options || [];
+
+  if (!this.poll?.question) {
+    this.invalidate("poll.question", "A poll needs a question");
+  }
+  if (options.length < min || options.length > max) {
+    this.invalidate("poll.options", `A poll needs between ${min} and ${max} options`);
+  }
+  if (options.some(option => !option.text)) {
+    this.invalidate("poll.options", "Poll options cannot be empty");
   }
+  const texts = options.map(option => (option.text || "").toLowerCase());
+  if (new Set(texts).size !== texts.length) {
+    this.invalidate("poll.options", "Poll options must be unique");
+  }
+  if (this.isNew && this.poll?.endsAt && this.poll.endsAt <= new Date()) {
+    this.invalidate("poll.endsAt", "Poll end time must be in the future");
+  }
+  if (this.status === "scheduled" && this.poll?.endsAt && this.poll.endsAt <= this.scheduledAt) {
+    this.invalidate("poll.endsAt", "Poll must end after the post is published");
+  }
+  next();
+});
+
+/* ============================================================
+   🙈 UNPUBLISHED POSTS
+   Drafts and scheduled posts never reach feeds, search or
+   recommendations: every query hides them unless it filters on
+   `status` itself (the author's own drafts, the publish task) or
+   sets the `includeUnpublished` option.
+   ============================================================ */
+
+const UNPUBLISHED = postSchema.statics.UNPUBLISHED_STATUSES;
+
+function hideUnpublished() {
+  const filter = this.getFilter();
+  if (Object.prototype.hasOwnProperty.call(filter, "status") || this.getOptions().includeUnpublished) return;
+  this.where({ status: { $nin: UNPUBLISHED } });
+}
+
+postSchema.pre(
+  ["find", "findOne", "countDocuments", "distinct", "findOneAndUpdate", "updateOne", "updateMany"],
+  hideUnpublished
 );
 
+postSchema.pre("aggregate", function () {
+  if (this.options.includeUnpublished) return;
+  const pipeline = this.pipeline();
+  const firstMatch = pipeline.find(stage => stage.$match)?.$match;
+  if (firstMatch && Object.prototype.hasOwnProperty.call(firstMatch, "status")) return;
+
+  // These stages must stay first in the pipeline
+  const first = Object.keys(pipeline[0] || {})[0];
+  const position = ["$geoNear", "$search", "$searchMeta", "$vectorSearch"].includes(first) ? 1 : 0;
+  pipeline.splice(position, 0, { $match: { status: { $nin: UNPUBLISHED } } });
+});
+
 /* ============================================================
    📊 INDEXING STRATEGY (LARGE COLLECTION OPTIMIZED)
    ============================================================ */
@@ -158,6 +309,12 @@ postSchema.index(
   }
 );
 
+// Author's drafts and the publish queue
+postSchema.index(
+  { status: 1, scheduledAt: 1 },
+  { name: "idx_publish_queue" }
+);
+
 // Global public feed
 postSchema.index(
   { visibility: 1, isDeleted: 1, createdAt: -1 },
@@ -209,6 +366,28 @@ postSchema.index(
   { name: "idx_shared_posts" }
 );
 
+// One live repost per user and post
+postSchema.index(
+  { user: 1, sharedPost: 1 },
+  {
+    name: "idx_unique_repost",
+    unique: true,
+    partialFilterExpression: { shareKind: "repost", isDeleted: false }
+  }
+);
+
+/* -------------------------
+   📊 POLL EXPIRY
+------------------------- */
+
+postSchema.index(
+  { "poll.endsAt": 1 },
+  {
+    name: "idx_poll_expiry",
+    partialFilterExpression: { postType: "poll" }
+  }
+);
+
 /* -------------------------
    📍 GEO DISCOVERY
 ------------------------- */
@@ -243,6 +422,41 @@ postSchema.methods.incrementViews = async function () {
   return this.save();
 };
 
+/**
+ * Whether `userId` may see this post: public posts are visible to
+ * everyone, followers-only posts to the author's followers, private
+ * posts to the author alone.
+ */
+postSchema.methods.isVisibleTo = async function (userId) {
+  if (this.visibility === "public") return true;
+  if (!userId) return false;
+
+  const authorId = (this.user._id || this.user).toString();
+  if (authorId === userId.toString()) return true;
+  if (this.visibility === "private") return false;
+
+  return !!(await mongoose.model("User").exists({ _id: authorId, followers: userId }));
+};
+
+/**
+ * Apply an edit, keeping the previous content, tags and visibility as a
+ * revision. Load the post with select("+revisions") first so the history
+ * is appended to rather than replaced.
+ */
+postSchema.methods.edit = async function (changes, editorId) {
+  this.revisions.push({
+    content: this.content,
+    tags: [...(this.tags || [])],
+    visibility: this.visibility,
+    editedBy: editorId
+  });
+
+  Object.assign(this, changes);
+  this.isEdited = true;
+  this.editedAt = new Date();
+  return this.save();
+};
+
 postSchema.methods.softDelete = async function () {
   this.isDeleted = true;
   this.deletedAt = new Date();
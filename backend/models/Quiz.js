@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+
+const QUESTION_TYPES = ['mcq', 'multi', 'numeric', 'short'];
+
+/**
+ * Quiz Model
+ * Timed quiz with a bank of questions. Each attempt draws its questions
+ * from named pools (or the whole bank) in random order; answer keys
+ * never leave the server.
+ */
+const optionSchema = new mongoose.Schema({
+    text: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 500
+    },
+    isCorrect: {
+        type: Boolean,
+        default: false
+    }
+});
+
+const questionSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: QUESTION_TYPES,
+        required: true
+    },
+    prompt: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 2000
+    },
+    hint: {
+        type: String,
+        maxlength: 500
+    },
+    // Shown after submission
+    explanation: {
+        type: String,
+        maxlength: 2000
+    },
+    points: {
+        type: Number,
+        min: 0,
+        default: 1
+    },
+    // Pool this question is drawn from (see quiz.pools)
+    pool: {
+        type: String,
+        trim: true,
+        default: 'default'
+    },
+    // mcq / multi
+    options: [optionSchema],
+    // numeric: correct when |response - answer| <= tolerance
+    answer: Number,
+    tolerance: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // short: any of these, compared trimmed and (unless caseSensitive) lowercased
+    acceptedAnswers: [{ type: String, trim: true }],
+    caseSensitive: {
+        type: Boolean,
+        default: false
+    }
+});
+
+questionSchema.pre('validate', function (next) {
+    const correct = (this.options || []).filter(o => o.isCorrect).length;
+
+    if (this.type === 'mcq' && (this.options.length < 2 || correct !== 1)) {
+        this.invalidate('options', 'Multiple-choice questions need at least 2 options and exactly one correct option');
+    }
+    if (this.type === 'multi' && (this.options.length < 2 || correct < 1)) {
+        this.invalidate('options', 'Multi-select questions need at least 2 options and one or more correct options');
+    }
+    if (this.type === 'numeric' && typeof this.answer !== 'number') {
+        this.invalidate('answer', 'Numeric questions need an answer');
+    }
+    if (this.type === 'short' && !(this.acceptedAnswers || []).some(a => a)) {
+        this.invalidate('acceptedAnswers', 'Short-answer questions need at least one accepted answer');
+    }
+    next();
+});
+
+const poolSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Questions drawn from this pool per attempt
+    draw: {
+        type: Number,
+        min: 1,
+        required: true
+    }
+}, { _id: false });
+
+const badgeSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        trim: true,
+        match: /^[a-z0-9_-]+$/
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    icon: String,
+    // Awarded when an attempt scores at least this percentage
+    minPercent: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 100
+    }
+}, { _id: false });
+
+const quizSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 200
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    questions: {
+        type: [questionSchema],
+        validate: [questions => questions.length > 0 && questions.length <= 200, 'A quiz needs 1-200 questions']
+    },
+    // Empty means every question is asked
+    pools: [poolSchema],
+    shuffleOptions: {
+        type: Boolean,
+        default: true
+    },
+    // 0 means untimed
+    timeLimitSec: {
+        type: Number,
+        min: 0,
+        max: 4 * 60 * 60,
+        default: 0
+    },
+    // 0 means unlimited
+    maxAttempts: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    passPercent: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 60
+    },
+    // XP for a perfect score; attempts earn it pro rata
+    xpReward: {
+        type: Number,
+        min: 0,
+        default: 100
+    },
+    badges: [badgeSchema],
+    // Attempts must be linked to an active proctoring ExamSession
+    requiresProctoring: {
+        type: Boolean,
+        default: false
+    },
+    isPublished: {
+        type: Boolean,
+        default: false
+    }
+}, {
+    timestamps: true
+});
+
+quizSchema.index({ isPublished: 1, createdAt: -1 });
+
+quizSchema.pre('validate', function (next) {
+    for (const pool of this.pools || []) {
+        const available = this.questions.filter(q => q.pool === pool.name).length;
+        if (pool.draw > available) {
+            this.invalidate('pools', `Pool "${pool.name}" draws ${pool.draw} questions but only has ${available}`);
+        }
+    }
+    next();
+});
+
+/**
+ * Student-facing view: answer keys and the question bank are stripped
+ */
+quizSchema.methods.toStudentJSON = function () {
+    const obj = this.toObject();
+    const questionCount = obj.pools.length
+        ? obj.pools.reduce((sum, p) => sum + p.draw, 0)
+        : obj.questions.length;
+
+    delete obj.questions;
+    delete obj.pools;
+    return { ...obj, questionCount };
+};
+
+quizSchema.statics.QUESTION_TYPES = QUESTION_TYPES;
+
+module.exports = mongoose.model('Quiz', quizSchema);
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+/**
+ * Quiz Attempt Model
+ * One sitting of a quiz: the questions drawn for it (in the order shown),
+ * the answers saved so far and, once finished, the server-side score.
+ */
+const drawnQuestionSchema = new mongoose.Schema({
+    questionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    // Option ids in the order they were shown
+    optionOrder: [mongoose.Schema.Types.ObjectId],
+    points: {
+        type: Number,
+        default: 1
+    }
+}, { _id: false });
+
+const answerSchema = new mongoose.Schema({
+    questionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    // Option id (mcq), option ids (multi), number (numeric) or text (short)
+    response: mongoose.Schema.Types.Mixed,
+    answeredAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Filled in when the attempt is scored
+    correct: Boolean,
+    earned: Number
+}, { _id: false });
+
+const quizAttemptSchema = new mongoose.Schema({
+    quiz: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Quiz',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    questions: [drawnQuestionSchema],
+    answers: [answerSchema],
+    status: {
+        type: String,
+        // expired: submitted (or closed) after the time limit; terminated: proctoring ended it
+        enum: ['in_progress', 'submitted', 'expired', 'terminated'],
+        default: 'in_progress'
+    },
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Unset for untimed quizzes
+    expiresAt: Date,
+    submittedAt: Date,
+    score: {
+        type: Number,
+        default: 0
+    },
+    maxScore: {
+        type: Number,
+        default: 0
+    },
+    percent: {
+        type: Number,
+        default: 0
+    },
+    passed: {
+        type: Boolean,
+        default: false
+    },
+    xpAwarded: {
+        type: Number,
+        default: 0
+    },
+    badgesAwarded: [String],
+    examSession: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ExamSession'
+    },
+    integrityScore: Number
+}, {
+    timestamps: true
+});
+
+quizAttemptSchema.index({ quiz: 1, user: 1, createdAt: -1 });
+quizAttemptSchema.index({ quiz: 1, status: 1, percent: -1 });
+// At most one unfinished attempt per user and quiz, even when two starts race
+quizAttemptSchema.index(
+    { quiz: 1, user: 1 },
+    { unique: true, partialFilterExpression: { status: 'in_progress' }, name: 'one_open_attempt_per_user' }
+);
+
+quizAttemptSchema.virtual('timeTakenSec').get(function () {
+    if (!this.submittedAt) return null;
+    return Math.round((this.submittedAt - this.startedAt) / 1000);
+});
+
+quizAttemptSchema.methods.isFinished = function () {
+    return this.status !== 'in_progress';
+};
+
+module.exports = mongoose.model('QuizAttempt', quizAttemptSchema);
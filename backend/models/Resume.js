@@ -34,17 +34,45 @@ const resumeSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['draft', 'submitted', 'reviewed'],
+    enum: ['draft', 'submitted', 'in_review', 'reviewed'],
     default: 'draft'
   },
+  // Bumped whenever content changes so reviews know which version they commented on
+  version: {
+    type: Number,
+    default: 1
+  },
+  // Open request for reviewers; cleared once enough reviewers are assigned
+  reviewRequest: {
+    reviewersNeeded: {
+      type: Number,
+      min: 0,
+      max: 3
+    },
+    note: {
+      type: String,
+      maxlength: 500
+    },
+    requestedAt: Date
+  },
   aiGenerated: {
     type: Boolean,
     default: false
   },
+  // Legacy single reviewer; assignments now live on ResumeReview
   assignedAlumni: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }
 }, { timestamps: true });
 
+resumeSchema.index({ 'reviewRequest.reviewersNeeded': 1, 'reviewRequest.requestedAt': 1 });
+
+// Fields of each entry in the list sections; skills are plain strings
+resumeSchema.statics.ENTRY_FIELDS = {
+  experience: ['title', 'company', 'duration', 'description'],
+  education: ['degree', 'institution', 'year', 'gpa'],
+  projects: ['title', 'description', 'link']
+};
+
 module.exports = mongoose.model('Resume', resumeSchema);
\ No newline at end of file
@@ -1,5 +1,54 @@
 const mongoose = require('mongoose');
 
+const RESUME_SECTIONS = ['summary', 'experience', 'education', 'skills', 'projects'];
+
+// Inline comment anchored to a resume section entry (content.experience[i], ...)
+const reviewCommentSchema = new mongoose.Schema({
+  section: {
+    type: String,
+    enum: RESUME_SECTIONS,
+    required: true
+  },
+  // Entry index within the section; unset for summary and for whole-section comments
+  index: {
+    type: Number,
+    min: 0
+  },
+  // Field of the entry, e.g. 'description' on an experience item
+  field: {
+    type: String,
+    maxlength: 50
+  },
+  // Text the comment was written against, to flag it outdated once the resume changes
+  quote: {
+    type: String,
+    maxlength: 5000
+  },
+  body: {
+    type: String,
+    required: true,
+    maxlength: 2000
+  },
+  kind: {
+    type: String,
+    enum: ['comment', 'suggestion'],
+    default: 'comment'
+  },
+  // Proposed replacement for the anchored field (suggestions only)
+  replacement: {
+    type: String,
+    maxlength: 5000
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved', 'accepted', 'rejected'],
+    default: 'open'
+  },
+  resolvedAt: Date,
+  // Resume version the accepted suggestion was applied in
+  appliedInVersion: Number
+}, { timestamps: true });
+
 const resumeReviewSchema = new mongoose.Schema({
   resume: {
     type: mongoose.Schema.Types.ObjectId,
@@ -11,16 +60,66 @@ const resumeReviewSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // assigned -> in_progress -> submitted -> completed (student addressed every comment);
+  // declined by the reviewer or cancelled by the student end it early
+  status: {
+    type: String,
+    enum: ['assigned', 'in_progress', 'submitted', 'completed', 'declined', 'cancelled'],
+    default: 'assigned'
+  },
+  // Resume version under review
+  resumeVersion: {
+    type: Number,
+    default: 1
+  },
+  // Overall feedback, required on submit
   comments: {
     type: String,
-    required: true
+    maxlength: 5000
   },
   rating: {
     type: Number,
     min: 1,
     max: 5
   },
-  suggestions: [String]
+  suggestions: [String],
+  inlineComments: [reviewCommentSchema],
+  assignedAt: {
+    type: Date,
+    default: Date.now
+  },
+  submittedAt: Date,
+  completedAt: Date,
+  declineReason: {
+    type: String,
+    maxlength: 500
+  }
 }, { timestamps: true });
 
-module.exports = mongoose.model('ResumeReview', resumeReviewSchema);
\ No newline at end of file
+resumeReviewSchema.index({ resume: 1, reviewer: 1, status: 1 });
+resumeReviewSchema.index({ reviewer: 1, status: 1 });
+
+resumeReviewSchema.pre('validate', function (next) {
+  if (['submitted', 'completed'].includes(this.status) && !this.comments && !this.inlineComments.length) {
+    this.invalidate('comments', 'A review needs overall comments or inline comments before it is submitted');
+  }
+
+  this.inlineComments.forEach((comment, i) => {
+    if (comment.section === 'summary' && comment.index !== undefined && comment.index !== null) {
+      this.invalidate(`inlineComments.${i}.index`, 'Summary comments are not indexed');
+    }
+    if (comment.kind === 'suggestion' && (comment.replacement === undefined || comment.replacement === null)) {
+      this.invalidate(`inlineComments.${i}.replacement`, 'Suggestions need replacement text');
+    }
+  });
+  next();
+});
+
+resumeReviewSchema.statics.SECTIONS = RESUME_SECTIONS;
+resumeReviewSchema.statics.ACTIVE_STATUSES = ['assigned', 'in_progress'];
+
+module.exports = mongoose.model('ResumeReview', resumeReviewSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Immutable snapshot of a resume's content after one change
+const resumeVersionSchema = new mongoose.Schema({
+  resume: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Resume',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'ai_generate', 'ai_enhance', 'job_optimized', 'review', 'rollback', 'import'],
+    required: true
+  },
+  // Short description of the change, e.g. "Enhanced experience[0].description"
+  note: {
+    type: String,
+    maxlength: 300
+  },
+  // Source-specific details: enhanced section, job title, restored version, applied review, import format
+  meta: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  content: {
+    experience: [{
+      title: String,
+      company: String,
+      duration: String,
+      description: String
+    }],
+    education: [{
+      degree: String,
+      institution: String,
+      year: String,
+      gpa: String
+    }],
+    skills: [String],
+    projects: [{
+      title: String,
+      description: String,
+      link: String
+    }]
+  },
+  summary: {
+    type: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+resumeVersionSchema.index({ resume: 1, version: -1 }, { unique: true });
+
+resumeVersionSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Resume versions are immutable'));
+  }
+  next();
+});
+
+const rejectUpdate = function (next) {
+  next(new Error('Resume versions are immutable'));
+};
+resumeVersionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], rejectUpdate);
+
+module.exports = mongoose.model('ResumeVersion', resumeVersionSchema);
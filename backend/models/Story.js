@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+const STORY_TTL_HOURS = 24;
+
+/**
+ * Story Model
+ * Ephemeral image/video/text stories. A TTL index removes each story once
+ * `expiresAt` passes; reads also filter on `expiresAt` because the TTL
+ * monitor only runs about once a minute. Highlights keep their own copies.
+ */
+const storySchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    mediaType: {
+        type: String,
+        enum: ['image', 'video', 'text'],
+        required: true
+    },
+    mediaUrl: {
+        type: String,
+        required: function () { return this.mediaType !== 'text'; }
+    },
+    thumbnail: String,
+    // Body for text stories, caption for media stories
+    text: {
+        type: String,
+        trim: true,
+        maxlength: 500,
+        required: function () { return this.mediaType === 'text'; }
+    },
+    background: {
+        type: String,
+        default: '#4f46e5'
+    },
+    // Seconds the story is shown for in the viewer
+    duration: {
+        type: Number,
+        min: 1,
+        max: 60,
+        default: 5
+    },
+    viewers: [{
+        user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        viewedAt: { type: Date, default: Date.now },
+        _id: false
+    }],
+    viewersCount: {
+        type: Number,
+        default: 0
+    },
+    expiresAt: {
+        type: Date,
+        default: () => new Date(Date.now() + STORY_TTL_HOURS * 60 * 60 * 1000)
+    }
+}, {
+    timestamps: true
+});
+
+// Auto-delete expired stories
+storySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0, name: 'idx_story_ttl' });
+
+// Active stories per author
+storySchema.index({ user: 1, expiresAt: -1, createdAt: 1 }, { name: 'idx_story_user_active' });
+
+// Query helper for stories that have not expired yet
+storySchema.query.active = function () {
+    return this.where({ expiresAt: { $gt: new Date() } });
+};
+
+// Record a view once per user; returns true if it was a new view
+storySchema.statics.recordView = async function (storyId, userId) {
+    const result = await this.updateOne(
+        { _id: storyId, 'viewers.user': { $ne: userId } },
+        {
+            $push: { viewers: { user: userId, viewedAt: new Date() } },
+            $inc: { viewersCount: 1 }
+        }
+    );
+    return result.modifiedCount > 0;
+};
+
+storySchema.methods.hasBeenViewedBy = function (userId) {
+    return this.viewers.some(v => v.user.toString() === userId.toString());
+};
+
+const Story = mongoose.model('Story', storySchema);
+Story.STORY_TTL_HOURS = STORY_TTL_HOURS;
+
+module.exports = Story;
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+/**
+ * Story Highlight Model
+ * Permanent, titled collections pinned to a profile. Items are snapshots
+ * of the original stories so they survive the 24h story expiry.
+ */
+const highlightItemSchema = new mongoose.Schema({
+    story: { type: mongoose.Schema.Types.ObjectId, ref: 'Story' },
+    mediaType: {
+        type: String,
+        enum: ['image', 'video', 'text'],
+        required: true
+    },
+    mediaUrl: String,
+    thumbnail: String,
+    text: String,
+    background: String,
+    duration: Number,
+    postedAt: Date
+});
+
+const storyHighlightSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 30
+    },
+    coverUrl: String,
+    items: {
+        type: [highlightItemSchema],
+        validate: [items => items.length <= 100, 'A highlight can hold at most 100 stories']
+    },
+    order: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+storyHighlightSchema.index({ user: 1, order: 1, createdAt: -1 });
+
+// Snapshot a story into a highlight item
+storyHighlightSchema.statics.itemFromStory = function (story) {
+    return {
+        story: story._id,
+        mediaType: story.mediaType,
+        mediaUrl: story.mediaUrl,
+        thumbnail: story.thumbnail,
+        text: story.text,
+        background: story.background,
+        duration: story.duration,
+        postedAt: story.createdAt
+    };
+};
+
+module.exports = mongoose.model('StoryHighlight', storyHighlightSchema);
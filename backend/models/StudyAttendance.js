@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+/**
+ * StudyAttendance Model
+ * One student's presence in one study-room session: every join/leave
+ * interval, plus the running total once intervals close. Joins outside
+ * any scheduled session are kept as drop-ins (session: null).
+ */
+const intervalSchema = new mongoose.Schema({
+    joinedAt: {
+        type: Date,
+        required: true
+    },
+    leftAt: Date
+}, { _id: false });
+
+const studyAttendanceSchema = new mongoose.Schema({
+    room: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StudyRoom',
+        required: true
+    },
+    // _id of the entry in StudyRoom.sessions
+    session: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    intervals: [intervalSchema],
+    // Sum of closed intervals
+    totalSeconds: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+studyAttendanceSchema.index({ room: 1, session: 1, user: 1 }, { unique: true });
+studyAttendanceSchema.index({ user: 1, createdAt: -1 });
+
+studyAttendanceSchema.methods.isPresent = function () {
+    const last = this.intervals[this.intervals.length - 1];
+    return !!last && !last.leftAt;
+};
+
+module.exports = mongoose.model('StudyAttendance', studyAttendanceSchema);
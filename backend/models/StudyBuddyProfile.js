@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * StudyBuddyProfile Model
+ * A student's opt-in to study-buddy matching: what they want to study,
+ * how, and when. Only profiles with isActive set are suggested to others.
+ */
+const availabilitySchema = new mongoose.Schema({
+    // 0 = Sunday ... 6 = Saturday, in the profile's timezone
+    day: {
+        type: Number,
+        min: 0,
+        max: 6,
+        required: true
+    },
+    start: {
+        type: String,
+        match: TIME_PATTERN,
+        required: true
+    },
+    end: {
+        type: String,
+        match: TIME_PATTERN,
+        required: true
+    }
+}, { _id: false });
+
+const studyBuddyProfileSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    isActive: {
+        type: Boolean,
+        default: true,
+        index: true
+    },
+    major: {
+        type: String,
+        trim: true
+    },
+    subjects: [{ type: String, trim: true, lowercase: true }],
+    goals: {
+        type: String,
+        maxlength: 500
+    },
+    studyStyle: {
+        type: String,
+        enum: ['quiet', 'discussion', 'mixed'],
+        default: 'mixed'
+    },
+    mode: {
+        type: String,
+        enum: ['in_person', 'online', 'either'],
+        default: 'either'
+    },
+    // How far away in-person buddies may be
+    maxDistanceKm: {
+        type: Number,
+        min: 1,
+        max: 200,
+        default: 10
+    },
+    availability: [availabilitySchema],
+    // IANA zone the availability windows are expressed in
+    timezone: {
+        type: String,
+        default: 'UTC',
+        validate: {
+            validator: (zone) => {
+                try {
+                    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+                    return true;
+                } catch {
+                    return false;
+                }
+            },
+            message: 'Unknown timezone'
+        }
+    }
+}, {
+    timestamps: true
+});
+
+studyBuddyProfileSchema.index({ isActive: 1, subjects: 1 });
+
+studyBuddyProfileSchema.pre('validate', function (next) {
+    this.availability.forEach((slot, index) => {
+        if (slot.start && slot.end && slot.start >= slot.end) {
+            this.invalidate(`availability.${index}.end`, 'Availability windows must end after they start');
+        }
+    });
+    next();
+});
+
+module.exports = mongoose.model('StudyBuddyProfile', studyBuddyProfileSchema);
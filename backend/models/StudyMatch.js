@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+/**
+ * StudyMatch Model
+ * A study-buddy pairing between two students. It starts `pending` when
+ * one side accepts a suggestion and only becomes `accepted` (a
+ * connection) once the other side accepts too.
+ */
+const studyMatchSchema = new mongoose.Schema({
+    // Both members, sorted so each pair has one document
+    users: {
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+        validate: [users => users.length === 2, 'A match has exactly two users']
+    },
+    pairKey: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    acceptedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    status: {
+        type: String,
+        enum: ['pending', 'accepted', 'declined', 'ended'],
+        default: 'pending'
+    },
+    // Compatibility when the match was proposed
+    score: Number,
+    reasons: [String],
+    respondedAt: Date,
+    endedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+studyMatchSchema.index({ users: 1, status: 1 });
+
+studyMatchSchema.statics.pairKeyFor = function (a, b) {
+    return [a.toString(), b.toString()].sort().join(':');
+};
+
+studyMatchSchema.methods.otherUser = function (userId) {
+    return this.users.find(id => id.toString() !== userId.toString());
+};
+
+module.exports = mongoose.model('StudyMatch', studyMatchSchema);
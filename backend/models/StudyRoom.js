@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+/**
+ * StudyRoom Model
+ * A persistent study room: who may join, when it meets, and the shared
+ * Pomodoro timer its members study by. Media still flows over the
+ * /webrtc namespace; this is the state that outlives a call.
+ */
+const sessionSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        trim: true,
+        maxlength: 120
+    },
+    startsAt: {
+        type: Date,
+        required: true
+    },
+    endsAt: {
+        type: Date,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['scheduled', 'cancelled'],
+        default: 'scheduled'
+    }
+});
+
+const studyRoomSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Room name is required'],
+        trim: true,
+        maxlength: 100
+    },
+    description: {
+        type: String,
+        maxlength: 1000
+    },
+    subject: {
+        type: String,
+        trim: true,
+        lowercase: true
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    // public: anyone; campus: same email domain as campusDomain; invite: owner + invitees
+    visibility: {
+        type: String,
+        enum: ['public', 'campus', 'invite'],
+        default: 'invite'
+    },
+    campusDomain: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+    invitees: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    capacity: {
+        type: Number,
+        min: 2,
+        max: 50,
+        default: 10
+    },
+    sessions: [sessionSchema],
+    pomodoro: {
+        focusMinutes: { type: Number, min: 1, max: 120, default: 25 },
+        shortBreakMinutes: { type: Number, min: 1, max: 60, default: 5 },
+        longBreakMinutes: { type: Number, min: 1, max: 60, default: 15 },
+        // Focus blocks before a long break
+        cyclesBeforeLongBreak: { type: Number, min: 1, max: 10, default: 4 },
+        // When false any member may start, pause, skip or reset the timer
+        hostOnly: { type: Boolean, default: true }
+    },
+    // Last broadcast timer state, so a restart resumes where it left off
+    timer: {
+        status: { type: String, enum: ['idle', 'running', 'paused'], default: 'idle' },
+        phase: { type: String, enum: ['focus', 'short_break', 'long_break'], default: 'focus' },
+        cycle: { type: Number, default: 1 },
+        phaseEndsAt: Date,
+        // Time left in the phase while paused
+        remainingMs: Number
+    },
+    isArchived: {
+        type: Boolean,
+        default: false
+    }
+}, {
+    timestamps: true
+});
+
+studyRoomSchema.index({ visibility: 1, campusDomain: 1, isArchived: 1 });
+studyRoomSchema.index({ invitees: 1 });
+studyRoomSchema.index({ 'sessions.startsAt': 1 });
+
+studyRoomSchema.pre('validate', function (next) {
+    if (this.visibility === 'campus' && !this.campusDomain) {
+        this.invalidate('campusDomain', 'Campus-only rooms need a campus email domain');
+    }
+    this.sessions.forEach((session, index) => {
+        if (session.startsAt && session.endsAt && session.endsAt <= session.startsAt) {
+            this.invalidate(`sessions.${index}.endsAt`, 'Sessions must end after they start');
+        }
+    });
+
+    // Scheduled sessions may not overlap, so attendance maps to one session
+    const scheduled = this.sessions
+        .filter(session => session.status === 'scheduled' && session.startsAt && session.endsAt)
+        .sort((a, b) => a.startsAt - b.startsAt);
+    for (let i = 1; i < scheduled.length; i++) {
+        if (scheduled[i].startsAt < scheduled[i - 1].endsAt) {
+            this.invalidate('sessions', 'Scheduled sessions cannot overlap');
+            break;
+        }
+    }
+    next();
+});
+
+module.exports = mongoose.model('StudyRoom', studyRoomSchema);
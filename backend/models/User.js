@@ -38,7 +38,7 @@ const userSchema = new mongoose.Schema({
   bio: { type: String, default: '' },
   role: {
     type: String,
-    enum: ['user', 'moderator', 'admin'],
+    enum: ['user', 'instructor', 'moderator', 'admin'],
     default: 'user'
   },
 
@@ -79,6 +79,32 @@ const userSchema = new mongoose.Schema({
     lastUsed: Date
   }],
 
+  // Preferences (managed via /api/account/settings)
+  settings: {
+    fontSize: { type: String, enum: ['small', 'medium', 'large'], default: 'medium' },
+    theme: { type: String, enum: ['light', 'dark', 'auto'], default: 'auto' },
+    notifications: {
+      email: { type: Boolean, default: true },
+      push: { type: Boolean, default: true },
+      inApp: { type: Boolean, default: true }
+    },
+    privacy: {
+      profileVisibility: { type: String, enum: ['public', 'followers', 'private'], default: 'public' },
+      showEmail: { type: Boolean, default: false },
+      showPhone: { type: Boolean, default: false }
+    }
+  },
+
+  // Gamification (quiz XP and badges)
+  xp: { type: Number, default: 0, index: true },
+  badges: [{
+    key: String,
+    name: String,
+    icon: String,
+    quiz: { type: mongoose.Schema.Types.ObjectId, ref: 'Quiz' },
+    awardedAt: { type: Date, default: Date.now }
+  }],
+
   // Location
   lastLocation: {
     type: PointSchema,
@@ -137,6 +163,31 @@ userSchema.methods.generatePasswordResetToken = function () {
   return resetToken;
 };
 
+/**
+ * Whether `viewer` may see this user's profile content (stories, highlights...).
+ * Blocking in either direction hides everything; otherwise the owner's
+ * privacy.profileVisibility decides.
+ * @param {object|null} viewer - Viewer user document (needs _id and blockedUsers)
+ */
+userSchema.methods.canBeViewedBy = function (viewer) {
+  if (!viewer) return false;
+
+  const viewerId = viewer._id.toString();
+  if (viewerId === this._id.toString()) return true;
+
+  const hasBlocked = (user, otherId) =>
+    (user.blockedUsers || []).some(id => id.toString() === otherId);
+
+  if (hasBlocked(this, viewerId) || hasBlocked(viewer, this._id.toString())) return false;
+
+  const visibility = this.settings?.privacy?.profileVisibility || 'public';
+  if (visibility === 'private') return false;
+  if (visibility === 'followers') {
+    return (this.followers || []).some(id => id.toString() === viewerId);
+  }
+  return true;
+};
+
 /* ============================================================
    📊 DATABASE INDEXES (From previous file content)
    ============================================================ */
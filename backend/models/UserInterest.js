@@ -20,6 +20,9 @@ const userInterestSchema = new mongoose.Schema({
         default: new Map()
     },
 
+    // Hashtags the user follows (stored without '#', lowercase)
+    followedHashtags: [{ type: String, trim: true, lowercase: true }],
+
     // Users this person frequently interacts with
     userAffinities: {
         type: Map,
@@ -57,6 +60,9 @@ const userInterestSchema = new mongoose.Schema({
     timestamps: true
 });
 
+// Follower counts on hashtag pages
+userInterestSchema.index({ followedHashtags: 1 });
+
 /**
  * Update tag weight based on interaction
  */
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 
+const DEFAULT_LAYER_ID = 'default';
+
 /**
  * Whiteboard Model
  * Stores collaborative canvas state and history
@@ -24,20 +26,40 @@ const whiteboardSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     }],
+    // Named layers, drawn bottom (lowest order) to top
+    layers: {
+        type: [{
+            id: { type: String, required: true },
+            name: { type: String, required: true, trim: true, maxlength: 50 },
+            order: { type: Number, default: 0 },
+            visible: { type: Boolean, default: true },
+            locked: { type: Boolean, default: false },
+            _id: false
+        }],
+        default: () => [{ id: DEFAULT_LAYER_ID, name: 'Layer 1', order: 0 }]
+    },
     // Canvas elements (shapes, drawings, text)
     elements: [{
         id: { type: String, required: true },
         type: { type: String, enum: ['path', 'rect', 'circle', 'text', 'image'], required: true },
         data: mongoose.Schema.Types.Mixed, // Coordinates, colors, etc.
+        layerId: { type: String, default: DEFAULT_LAYER_ID },
         createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
         createdAt: { type: Date, default: Date.now },
+        // Bumped on every change; clients send it back as baseVersion
         version: { type: Number, default: 1 }
     }],
-    // Version for conflict resolution (CRDT-lite)
+    // Board-wide operation counter; every operation log entry gets the next value
     version: {
         type: Number,
         default: 0
     },
+    // Operations at or below this version can no longer be undone (set on restore)
+    historyFloor: {
+        type: Number,
+        default: 0
+    },
     // Cursor positions of active users
     cursors: [{
         userId: mongoose.Schema.Types.ObjectId,
@@ -63,4 +85,7 @@ const whiteboardSchema = new mongoose.Schema({
 whiteboardSchema.index({ owner: 1, createdAt: -1 });
 whiteboardSchema.index({ collaborators: 1 });
 
-module.exports = mongoose.model('Whiteboard', whiteboardSchema);
+const Whiteboard = mongoose.model('Whiteboard', whiteboardSchema);
+Whiteboard.DEFAULT_LAYER_ID = DEFAULT_LAYER_ID;
+
+module.exports = Whiteboard;
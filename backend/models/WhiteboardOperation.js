@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+/**
+ * Whiteboard Operation Model
+ * Append-only log of board changes. Each entry records the element state
+ * before and after the change, which drives per-user undo/redo and lets
+ * exports replay the board up to any version.
+ */
+const whiteboardOperationSchema = new mongoose.Schema({
+    roomId: {
+        type: String,
+        required: true
+    },
+    // Board version produced by this operation
+    seq: {
+        type: Number,
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['add', 'update', 'delete', 'clear', 'restore-elements', 'layers', 'restore'],
+        required: true
+    },
+    elementId: String,
+    // Element state before/after ('clear' and 'restore-elements' store arrays)
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+    // Full layer list after 'layers' and 'restore' operations
+    layers: mongoose.Schema.Types.Mixed,
+    // Full element list after a 'restore' operation
+    elements: mongoose.Schema.Types.Mixed,
+    // Undo/redo bookkeeping for the author's own history
+    status: {
+        type: String,
+        enum: ['applied', 'undone', 'discarded', 'conflict'],
+        default: 'applied'
+    },
+    // Set on compensating operations generated by undo/redo
+    undoOf: { type: mongoose.Schema.Types.ObjectId, ref: 'WhiteboardOperation' },
+    redoOf: { type: mongoose.Schema.Types.ObjectId, ref: 'WhiteboardOperation' },
+    // Element version(s) right after the last undo, checked before a redo
+    guard: mongoose.Schema.Types.Mixed,
+    undoneAt: Date
+}, {
+    timestamps: true
+});
+
+whiteboardOperationSchema.index({ roomId: 1, seq: 1 }, { unique: true });
+whiteboardOperationSchema.index({ roomId: 1, user: 1, status: 1, seq: -1 });
+
+module.exports = mongoose.model('WhiteboardOperation', whiteboardOperationSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+/**
+ * Whiteboard Snapshot Model
+ * Full copies of a board taken periodically and on demand. Historical
+ * versions are rebuilt from the nearest snapshot plus the operation log.
+ */
+const whiteboardSnapshotSchema = new mongoose.Schema({
+    roomId: {
+        type: String,
+        required: true
+    },
+    // Board version captured by this snapshot
+    version: {
+        type: Number,
+        required: true
+    },
+    label: {
+        type: String,
+        trim: true,
+        maxlength: 100
+    },
+    // 'auto' snapshots are taken every few operations and before restores
+    trigger: {
+        type: String,
+        enum: ['auto', 'manual', 'restore'],
+        default: 'auto'
+    },
+    layers: mongoose.Schema.Types.Mixed,
+    elements: mongoose.Schema.Types.Mixed,
+    elementCount: {
+        type: Number,
+        default: 0
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+whiteboardSnapshotSchema.index({ roomId: 1, version: -1 });
+
+module.exports = mongoose.model('WhiteboardSnapshot', whiteboardSnapshotSchema);
@@ -11,8 +11,35 @@ const {
   createEvent,
   getEvents,
   registerForEvent,
+  cancelEventRegistration,
+  updateEvent,
+  getEventTicket,
+  checkInAttendee,
+  getEventAttendance,
+  submitEventSurvey,
+  getEventSurveyResults,
+  getEventCalendar,
+  getCalendarFeedUrl,
+  getUserCalendarFeed,
   getAlumniStats
 } = require('../controllers/alumniController');
+const {
+  createOffer,
+  getOffers,
+  getMyOffers,
+  getMentorMatches,
+  updateOffer,
+  addSlots,
+  removeSlot,
+  requestMentorship,
+  getMentorshipRequests,
+  respondToMentorshipRequest,
+  closeMentorshipRequest,
+  bookMentorshipSession,
+  getMentorshipSessions,
+  updateMentorshipSession,
+  submitMentorshipFeedback
+} = require('../controllers/mentorshipController');
 const { protect } = require('../middleware/authMiddleware');
 const { body, param, query, validationResult } = require('express-validator');
 
@@ -117,12 +144,26 @@ router.post(
       .withMessage('Invalid event type'),
     body('startDate').isISO8601().withMessage('Invalid start date'),
     body('endDate').isISO8601().withMessage('Invalid end date'),
-    body('location.type').isIn(['virtual', 'physical', 'hybrid'])
+    body('location.type').isIn(['virtual', 'physical', 'hybrid']),
+    body('timezone').optional().isString(),
+    body('capacity').optional().isInt({ min: 1 })
   ],
   validate,
   createEvent
 );
 
+router.get('/events/calendar/feed', protect, getCalendarFeedUrl);
+
+// Signed URL instead of protect: calendar apps subscribe without auth headers
+router.get(
+  '/calendar/:userId.ics',
+  [
+    param('userId').isMongoId()
+  ],
+  validate,
+  getUserCalendarFeed
+);
+
 router.get(
   '/events',
   protect,
@@ -146,6 +187,273 @@ router.post(
   registerForEvent
 );
 
+router.delete(
+  '/events/:eventId/register',
+  protect,
+  [
+    param('eventId').isMongoId()
+  ],
+  validate,
+  cancelEventRegistration
+);
+
+router.patch(
+  '/events/:eventId',
+  protect,
+  [
+    param('eventId').isMongoId(),
+    body('eventType').optional().isIn(['networking', 'workshop', 'reunion', 'webinar', 'career-fair', 'social', 'other']),
+    body('status').optional().isIn(['draft', 'published', 'cancelled', 'completed']),
+    body('startDate').optional().isISO8601(),
+    body('endDate').optional().isISO8601(),
+    body('capacity').optional({ values: 'null' }).isInt({ min: 1 }),
+    body('location.type').optional().isIn(['virtual', 'physical', 'hybrid']),
+    body('survey.questions').optional().isArray({ max: 20 }),
+    body('survey.questions.*.kind').optional().isIn(['rating', 'text', 'choice'])
+  ],
+  validate,
+  updateEvent
+);
+
+router.get(
+  '/events/:eventId/ticket',
+  protect,
+  [
+    param('eventId').isMongoId()
+  ],
+  validate,
+  getEventTicket
+);
+
+router.post(
+  '/events/:eventId/check-in',
+  protect,
+  [
+    param('eventId').isMongoId(),
+    body('code').isString().withMessage('Ticket code is required')
+  ],
+  validate,
+  checkInAttendee
+);
+
+router.get(
+  '/events/:eventId/attendance',
+  protect,
+  [
+    param('eventId').isMongoId()
+  ],
+  validate,
+  getEventAttendance
+);
+
+router.post(
+  '/events/:eventId/survey',
+  protect,
+  [
+    param('eventId').isMongoId(),
+    body('answers').isArray({ min: 1, max: 20 }).withMessage('Answers are required'),
+    body('answers.*.question').isMongoId()
+  ],
+  validate,
+  submitEventSurvey
+);
+
+router.get(
+  '/events/:eventId/survey/results',
+  protect,
+  [
+    param('eventId').isMongoId()
+  ],
+  validate,
+  getEventSurveyResults
+);
+
+router.get(
+  '/events/:eventId/calendar.ics',
+  protect,
+  [
+    param('eventId').isMongoId()
+  ],
+  validate,
+  getEventCalendar
+);
+
+// Mentorship routes
+const slotValidators = [
+  body('slots').optional().isArray({ max: 50 }),
+  body('slots.*.startsAt').isISO8601().withMessage('Invalid slot start'),
+  body('slots.*.endsAt').isISO8601().withMessage('Invalid slot end')
+];
+
+router.post(
+  '/mentorship/offers',
+  protect,
+  [
+    body('title').notEmpty().isLength({ max: 120 }).withMessage('Title is required'),
+    body('description').optional().isLength({ max: 1000 }),
+    body('topics').optional().isArray(),
+    body('format').optional().isIn(['video', 'call', 'chat', 'in-person']),
+    body('capacity').optional().isInt({ min: 1, max: 50 }),
+    ...slotValidators
+  ],
+  validate,
+  createOffer
+);
+
+router.get(
+  '/mentorship/offers',
+  protect,
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+  ],
+  validate,
+  getOffers
+);
+
+router.get('/mentorship/offers/mine', protect, getMyOffers);
+
+router.get(
+  '/mentorship/matches',
+  protect,
+  [
+    query('limit').optional().isInt({ min: 1, max: 50 })
+  ],
+  validate,
+  getMentorMatches
+);
+
+router.put(
+  '/mentorship/offers/:offerId',
+  protect,
+  [
+    param('offerId').isMongoId(),
+    body('title').optional().notEmpty().isLength({ max: 120 }),
+    body('topics').optional().isArray(),
+    body('format').optional().isIn(['video', 'call', 'chat', 'in-person']),
+    body('capacity').optional().isInt({ min: 1, max: 50 }),
+    body('isActive').optional().isBoolean()
+  ],
+  validate,
+  updateOffer
+);
+
+router.post(
+  '/mentorship/offers/:offerId/slots',
+  protect,
+  [
+    param('offerId').isMongoId(),
+    body('slots').isArray({ min: 1, max: 50 }).withMessage('Provide at least one slot'),
+    ...slotValidators.slice(1)
+  ],
+  validate,
+  addSlots
+);
+
+router.delete(
+  '/mentorship/offers/:offerId/slots/:slotId',
+  protect,
+  [
+    param('offerId').isMongoId(),
+    param('slotId').isMongoId()
+  ],
+  validate,
+  removeSlot
+);
+
+router.post(
+  '/mentorship/offers/:offerId/requests',
+  protect,
+  [
+    param('offerId').isMongoId(),
+    body('message').optional().isLength({ max: 500 }),
+    body('goals').optional().isLength({ max: 500 })
+  ],
+  validate,
+  requestMentorship
+);
+
+router.get(
+  '/mentorship/requests',
+  protect,
+  [
+    query('role').optional().isIn(['mentor', 'mentee']),
+    query('status').optional().isIn(['pending', 'accepted', 'declined', 'cancelled', 'completed'])
+  ],
+  validate,
+  getMentorshipRequests
+);
+
+router.put(
+  '/mentorship/requests/:requestId',
+  protect,
+  [
+    param('requestId').isMongoId(),
+    body('status').isIn(['accepted', 'declined']).withMessage('Invalid status')
+  ],
+  validate,
+  respondToMentorshipRequest
+);
+
+router.put(
+  '/mentorship/requests/:requestId/close',
+  protect,
+  [
+    param('requestId').isMongoId(),
+    body('status').isIn(['cancelled', 'completed']).withMessage('Invalid status')
+  ],
+  validate,
+  closeMentorshipRequest
+);
+
+router.post(
+  '/mentorship/requests/:requestId/book',
+  protect,
+  [
+    param('requestId').isMongoId(),
+    body('slotId').isMongoId().withMessage('Invalid slot ID'),
+    body('agenda').optional().isLength({ max: 1000 })
+  ],
+  validate,
+  bookMentorshipSession
+);
+
+router.get(
+  '/mentorship/sessions',
+  protect,
+  [
+    query('role').optional().isIn(['mentor', 'mentee']),
+    query('status').optional().isIn(['booked', 'completed', 'cancelled', 'no-show'])
+  ],
+  validate,
+  getMentorshipSessions
+);
+
+router.put(
+  '/mentorship/sessions/:sessionId',
+  protect,
+  [
+    param('sessionId').isMongoId(),
+    body('status').optional().isIn(['cancelled', 'completed', 'no-show']),
+    body('reason').optional().isLength({ max: 300 }),
+    body('meetingLink').optional().isURL()
+  ],
+  validate,
+  updateMentorshipSession
+);
+
+router.post(
+  '/mentorship/sessions/:sessionId/feedback',
+  protect,
+  [
+    param('sessionId').isMongoId(),
+    body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be 1-5'),
+    body('comment').optional().isLength({ max: 1000 })
+  ],
+  validate,
+  submitMentorshipFeedback
+);
+
 // Statistics route
 router.get('/stats', protect, getAlumniStats);
 
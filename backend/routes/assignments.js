@@ -0,0 +1,345 @@
+const express = require('express');
+const router = express.Router();
+const jwt = require('jsonwebtoken');
+const Assignment = require('../models/Assignment');
+const AssignmentSubmission = require('../models/AssignmentSubmission');
+const User = require('../models/User');
+const AssignmentService = require('../services/assignmentService');
+const gradingQueue = require('../jobs/assignmentGrader');
+const logger = require('../utils/logger');
+const { apiLimiter } = require('../middleware/rateLimitMiddleware');
+const { paginateCursor } = require('../utils/pagination');
+const { isValidObjectId } = require('../utils/validators');
+const { hasPermission, PERMISSIONS } = require('../config/roles');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'college_media_secret_key';
+
+const EDITABLE_FIELDS = [
+    'title', 'description', 'languages', 'starterCode', 'tests', 'timeLimitMs',
+    'memoryLimitMb', 'dueAt', 'allowLateSubmissions', 'maxSubmissions', 'isPublished'
+];
+
+router.use(apiLimiter);
+
+// Middleware to verify token
+const verifyToken = (req, res, next) => {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) return res.status(401).json({ success: false, message: 'No token' });
+    try {
+        const decoded = jwt.verify(token, JWT_SECRET);
+        req.userId = decoded.userId;
+        next();
+    } catch (error) {
+        res.status(401).json({ success: false, message: 'Invalid token' });
+    }
+};
+
+// Resolve the caller's role once per request
+const loadRole = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.userId).select('role');
+        if (!user) return res.status(401).json({ success: false, message: 'User not found' });
+
+        req.userRole = user.role;
+        req.canManage = hasPermission(user.role, PERMISSIONS.MANAGE_ASSIGNMENTS);
+        req.isAdmin = user.role === 'admin';
+        next();
+    } catch (error) {
+        logger.error('Load role error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+const requireInstructor = (req, res, next) => {
+    if (!req.canManage) {
+        return res.status(403).json({ success: false, message: 'Instructor access required' });
+    }
+    next();
+};
+
+// Resolve :assignmentId. Students only see published assignments.
+const loadAssignment = async (req, res, next) => {
+    const { assignmentId } = req.params;
+    if (!isValidObjectId(assignmentId)) {
+        return res.status(400).json({ success: false, message: 'Invalid assignment ID' });
+    }
+
+    try {
+        const assignment = await Assignment.findById(assignmentId);
+        if (!assignment) {
+            return res.status(404).json({ success: false, message: 'Assignment not found' });
+        }
+
+        req.ownsAssignment = req.isAdmin || assignment.createdBy.toString() === req.userId;
+        if (!assignment.isPublished && !req.ownsAssignment) {
+            return res.status(404).json({ success: false, message: 'Assignment not found' });
+        }
+
+        req.assignment = assignment;
+        next();
+    } catch (error) {
+        logger.error('Load assignment error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+const requireOwner = (req, res, next) => {
+    if (!req.ownsAssignment) {
+        return res.status(403).json({ success: false, message: 'Not authorized' });
+    }
+    next();
+};
+
+const pickEditable = (body) => Object.fromEntries(
+    EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+/**
+ * @route   POST /api/assignments
+ * @desc    Create an auto-graded assignment with hidden test cases
+ * @access  Private (instructors)
+ */
+router.post('/', verifyToken, loadRole, requireInstructor, async (req, res) => {
+    try {
+        const assignment = await Assignment.create({
+            ...pickEditable(req.body),
+            createdBy: req.userId
+        });
+
+        res.status(201).json({ success: true, data: assignment, message: 'Assignment created' });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        logger.error('Create assignment error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create assignment' });
+    }
+});
+
+/**
+ * @route   GET /api/assignments
+ * @desc    Published assignments; instructors also get their drafts (?mine=true for only their own)
+ * @access  Private
+ */
+router.get('/', verifyToken, loadRole, async (req, res) => {
+    try {
+        const filter = req.canManage && req.query.mine === 'true'
+            ? { createdBy: req.userId }
+            : { $or: [{ isPublished: true }, ...(req.canManage ? [{ createdBy: req.userId }] : [])] };
+
+        const assignments = await Assignment.find(filter)
+            .select('-tests.input -tests.expectedOutput -starterCode')
+            .sort({ dueAt: 1, createdAt: -1 })
+            .populate('createdBy', 'username firstName lastName');
+
+        res.json({ success: true, data: assignments });
+    } catch (error) {
+        logger.error('List assignments error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load assignments' });
+    }
+});
+
+/**
+ * @route   GET /api/assignments/dashboard
+ * @desc    Instructor dashboard: submissions, average best scores and verdicts per assignment
+ * @access  Private (instructors)
+ */
+router.get('/dashboard', verifyToken, loadRole, requireInstructor, async (req, res) => {
+    try {
+        const data = await AssignmentService.getInstructorDashboard(req.userId, req.isAdmin && req.query.all === 'true');
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error('Assignment dashboard error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load dashboard' });
+    }
+});
+
+/**
+ * @route   GET /api/assignments/submissions/:submissionId
+ * @desc    One submission with per-test verdicts (student or assignment owner)
+ * @access  Private
+ */
+router.get('/submissions/:submissionId', verifyToken, loadRole, async (req, res) => {
+    try {
+        const { submissionId } = req.params;
+        if (!isValidObjectId(submissionId)) {
+            return res.status(400).json({ success: false, message: 'Invalid submission ID' });
+        }
+
+        const submission = await AssignmentSubmission.findById(submissionId)
+            .populate('assignment', 'title createdBy')
+            .populate('student', 'username firstName lastName');
+        if (!submission) {
+            return res.status(404).json({ success: false, message: 'Submission not found' });
+        }
+
+        const isStudent = submission.student._id.toString() === req.userId;
+        const isOwner = req.isAdmin || submission.assignment?.createdBy.toString() === req.userId;
+        if (!isStudent && !isOwner) {
+            return res.status(404).json({ success: false, message: 'Submission not found' });
+        }
+
+        res.json({ success: true, data: submission });
+    } catch (error) {
+        logger.error('Get submission error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load submission' });
+    }
+});
+
+/**
+ * @route   GET /api/assignments/:assignmentId
+ * @desc    Assignment details; hidden tests are stripped for students
+ * @access  Private
+ */
+router.get('/:assignmentId', verifyToken, loadRole, loadAssignment, (req, res) => {
+    const data = req.ownsAssignment
+        ? req.assignment.toObject({ virtuals: true })
+        : req.assignment.toStudentJSON();
+
+    res.json({ success: true, data });
+});
+
+/**
+ * @route   PATCH /api/assignments/:assignmentId
+ * @access  Private (owner)
+ */
+router.patch('/:assignmentId', verifyToken, loadRole, loadAssignment, requireOwner, async (req, res) => {
+    try {
+        req.assignment.set(pickEditable(req.body));
+        await req.assignment.save();
+
+        res.json({ success: true, data: req.assignment, message: 'Assignment updated' });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        logger.error('Update assignment error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update assignment' });
+    }
+});
+
+/**
+ * @route   DELETE /api/assignments/:assignmentId
+ * @desc    Delete an assignment and its submission history
+ * @access  Private (owner)
+ */
+router.delete('/:assignmentId', verifyToken, loadRole, loadAssignment, requireOwner, async (req, res) => {
+    try {
+        await AssignmentSubmission.deleteMany({ assignment: req.assignment._id });
+        await req.assignment.deleteOne();
+
+        res.json({ success: true, message: 'Assignment deleted' });
+    } catch (error) {
+        logger.error('Delete assignment error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete assignment' });
+    }
+});
+
+/**
+ * @route   POST /api/assignments/:assignmentId/submissions
+ * @desc    Submit code for grading. Grading runs in the background; the
+ *          student receives a `submission_graded` socket event when done.
+ * @access  Private
+ */
+router.post('/:assignmentId/submissions', verifyToken, loadRole, loadAssignment, async (req, res) => {
+    try {
+        const { language, code } = req.body;
+        const assignment = req.assignment;
+
+        if (!assignment.isPublished) {
+            return res.status(400).json({ success: false, message: 'Assignment is not published' });
+        }
+        if (!assignment.languages.includes(language)) {
+            return res.status(400).json({ success: false, message: `Language must be one of: ${assignment.languages.join(', ')}` });
+        }
+        if (typeof code !== 'string' || !code.trim() || code.length > 100000) {
+            return res.status(400).json({ success: false, message: 'Code must be 1-100000 characters' });
+        }
+
+        const isLate = !!assignment.dueAt && assignment.dueAt < new Date();
+        if (isLate && !assignment.allowLateSubmissions) {
+            return res.status(400).json({ success: false, message: 'The due date has passed' });
+        }
+
+        const [attempts, pending] = await Promise.all([
+            AssignmentSubmission.countDocuments({ assignment: assignment._id, student: req.userId }),
+            AssignmentSubmission.exists({ assignment: assignment._id, student: req.userId, status: { $in: ['queued', 'running'] } })
+        ]);
+        if (assignment.maxSubmissions && attempts >= assignment.maxSubmissions) {
+            return res.status(400).json({ success: false, message: 'Submission limit reached' });
+        }
+        if (pending) {
+            return res.status(429).json({ success: false, message: 'Your previous submission is still being graded' });
+        }
+
+        const submission = await AssignmentSubmission.create({
+            assignment: assignment._id,
+            student: req.userId,
+            language,
+            code,
+            isLate,
+            maxScore: assignment.maxScore
+        });
+
+        await gradingQueue.add({ submissionId: submission._id.toString() }, { attempts: 1, removeOnComplete: true });
+
+        res.status(202).json({
+            success: true,
+            data: { _id: submission._id, status: submission.status, attempt: attempts + 1 },
+            message: 'Submission queued for grading'
+        });
+    } catch (error) {
+        logger.error('Submit assignment error:', error);
+        res.status(500).json({ success: false, message: 'Failed to submit' });
+    }
+});
+
+/**
+ * @route   GET /api/assignments/:assignmentId/submissions
+ * @desc    Submission history: the caller's own, or (owners) everyone's / ?student=
+ * @access  Private
+ */
+router.get('/:assignmentId/submissions', verifyToken, loadRole, loadAssignment, async (req, res) => {
+    try {
+        const query = { assignment: req.assignment._id };
+
+        if (!req.ownsAssignment) {
+            query.student = req.userId;
+        } else if (req.query.student) {
+            if (!isValidObjectId(req.query.student)) {
+                return res.status(400).json({ success: false, message: 'Invalid student ID' });
+            }
+            query.student = req.query.student;
+        }
+
+        const result = await paginateCursor(AssignmentSubmission, query, {
+            limit: Math.min(50, Math.max(1, parseInt(req.query.limit) || 20)),
+            cursor: isValidObjectId(req.query.cursor) ? req.query.cursor : null,
+            sort: '-_id',
+            select: '-code',
+            populate: { path: 'student', select: 'username firstName lastName' }
+        });
+
+        res.json({ success: true, data: result.data, pagination: result.pagination });
+    } catch (error) {
+        logger.error('List submissions error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load submissions' });
+    }
+});
+
+/**
+ * @route   GET /api/assignments/:assignmentId/scores
+ * @desc    Best score per student
+ * @access  Private (owner)
+ */
+router.get('/:assignmentId/scores', verifyToken, loadRole, loadAssignment, requireOwner, async (req, res) => {
+    try {
+        const scores = await AssignmentService.getScoreboard(req.assignment._id);
+        res.json({ success: true, data: { maxScore: req.assignment.maxScore, scores } });
+    } catch (error) {
+        logger.error('Assignment scores error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load scores' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,615 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const MessageMongo = require('../models/Message');
+const MessageMock = require('../mockdb/messageDB');
+const ConversationService = require('../services/conversationService');
+const MessageService = require('../services/messageService');
+const logger = require('../utils/logger');
+const { apiLimiter } = require('../middleware/rateLimitMiddleware');
+const { isValidMessageContent, isValidURL, isValidObjectId } = require('../utils/validators');
+const cache = require('../utils/cache');
+const { emitToUsers } = require('../socket');
+
+const router = express.Router();
+const JWT_SECRET = process.env.JWT_SECRET || 'college_media_secret_key';
+
+const CONVERSATION_TYPES = ['group', 'channel'];
+const JOIN_POLICIES = ['open', 'request', 'invite'];
+const MAX_MEMBERS = 500;
+
+// Apply general rate limiter to all conversation routes
+router.use(apiLimiter);
+
+// Middleware to verify JWT token
+const verifyToken = (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Access denied. No token provided.'
+    });
+  }
+
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    req.userId = decoded.userId;
+    next();
+  } catch {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid token.'
+    });
+  }
+};
+
+// Attach the active backend's conversation store to the request
+const withStore = (req, res, next) => {
+  req.useMongoDB = !!req.app.get('dbConnection')?.useMongoDB;
+  req.conversations = ConversationService.getStore(req.useMongoDB);
+  next();
+};
+
+// Load :conversationId and require the caller to be a member unless `allowNonMember`
+const loadConversation = ({ allowNonMember = false } = {}) => async (req, res, next) => {
+  try {
+    const { conversationId } = req.params;
+
+    if (req.useMongoDB && !isValidObjectId(conversationId)) {
+      return res.status(400).json({ success: false, data: null, message: 'Invalid conversation ID' });
+    }
+
+    const conversation = await req.conversations.findByIdLean(conversationId);
+    if (!conversation || conversation.isArchived) {
+      return res.status(404).json({ success: false, data: null, message: 'Conversation not found' });
+    }
+
+    if (!allowNonMember && !ConversationService.getMember(conversation, req.userId)) {
+      return res.status(403).json({ success: false, data: null, message: 'Not a member of this conversation' });
+    }
+
+    req.conversation = conversation;
+    next();
+  } catch (error) {
+    logger.error('Load conversation error:', error);
+    res.status(500).json({ success: false, data: null, message: 'Error loading conversation' });
+  }
+};
+
+const requireAdmin = (req, res, next) => {
+  if (!ConversationService.isAdmin(req.conversation, req.userId)) {
+    return res.status(403).json({ success: false, data: null, message: 'Only conversation admins can do this' });
+  }
+  next();
+};
+
+// Push an event to every member's personal room
+const emitToMembers = (conversation, event, payload) => {
+  emitToUsers(conversation.members.map(m => m.user), event, payload);
+};
+
+// Unread counts are cached per user, so a group change makes every member's stale
+const invalidateMemberUnreadCounts = async (conversation) => {
+  try {
+    await Promise.all(conversation.members.map(m =>
+      cache.del(cache.generateKey('user-unread-count', (m.user._id || m.user).toString()))
+    ));
+  } catch (cacheErr) {
+    logger.warn('Failed to invalidate member unread counts:', cacheErr);
+  }
+};
+
+router.use(verifyToken, withStore);
+
+/**
+ * @route   POST /api/conversations
+ * @desc    Create a group conversation or channel; the creator becomes owner
+ * @access  Private
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { title, type = 'group', avatar, description, joinPolicy = 'invite', memberIds = [] } = req.body;
+
+    if (!title || typeof title !== 'string' || !title.trim() || title.length > 100) {
+      return res.status(400).json({ success: false, data: null, message: 'Title must be 1-100 characters' });
+    }
+    if (!CONVERSATION_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, data: null, message: 'Type must be group or channel' });
+    }
+    if (!JOIN_POLICIES.includes(joinPolicy)) {
+      return res.status(400).json({ success: false, data: null, message: 'Join policy must be open, request or invite' });
+    }
+    if (avatar && !isValidURL(avatar)) {
+      return res.status(400).json({ success: false, data: null, message: 'Invalid avatar URL format' });
+    }
+    if (!Array.isArray(memberIds) || memberIds.length >= MAX_MEMBERS) {
+      return res.status(400).json({ success: false, data: null, message: `Member list must contain fewer than ${MAX_MEMBERS} users` });
+    }
+    if (req.useMongoDB && !memberIds.every(isValidObjectId)) {
+      return res.status(400).json({ success: false, data: null, message: 'Invalid member ID format' });
+    }
+
+    const others = [...new Set(memberIds.map(String))].filter(id => id !== req.userId);
+    if ((await ConversationService.findMissingUsers(others, req.useMongoDB)).length) {
+      return res.status(400).json({ success: false, data: null, message: 'Unknown user in member list' });
+    }
+    const members = [
+      { user: req.userId, role: 'owner' },
+      ...others.map(user => ({ user, role: 'member' }))
+    ];
+
+    const conversation = ConversationService.toPlain(await req.conversations.create({
+      type,
+      title: title.trim(),
+      avatar: avatar || null,
+      description,
+      joinPolicy,
+      members,
+      createdBy: req.userId
+    }));
+
+    emitToMembers(conversation, 'conversation_created', conversation);
+
+    res.status(201).json({
+      success: true,
+      data: conversation,
+      message: 'Conversation created successfully'
+    });
+  } catch (error) {
+    logger.error('Create conversation error:', error);
+    res.status(500).json({ success: false, data: null, message: 'Error creating conversation' });
+  }
+});
+
+/**
+ * @route   GET /api/conversations
+ * @desc    List the caller's group conversations with per-member unread counts
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const conversations = await req.conversations.findForMember(req.userId);
+
+    const data = await Promise.all(conversations.map(async (conversation) => ({
+      ...conversation,
+      myRole: ConversationService.getMember(conversation, req.userId).role,
+      unreadCount: await ConversationService.countUnread(conversation, req.userId, req.useMongoDB)
+    })));
+
+    res.json({
+      success: true,
+      data,
+      message: 'Conversations retrieved successfully'
+    });
+  } catch (error) {
+    logger.error('List conversations error:', error);
+    res.status(500).json({ success: false, data: null, message: 'Error retrieving conversations' });
+  }
+});
+
+/**
+ * @route   GET /api/conversations/:conversationId
+ * @desc    Get conversation details. Non-members only see open/request groups.
+ * @access  Private
+ */
+router.get('/:conversationId', loadConversation({ allowNonMember: true }), async (req, res) => {
+  const { conversation } = req;
+  const member = ConversationService.getMember(conversation, req.userId);
+
+  if (!member) {
+    if (conversation.joinPolicy === 'invite') {
+      return res.status(404).json({ success: false, data: null, message: 'Conversation not found' });
+    }
+
+    return res.json({
+      success: true,
+      data: {
+        _id: conversation._id,
+        type: conversation.type,
+        title: conversation.title,
+        avatar: conversation.avatar,
+        description: conversation.description,
+        joinPolicy: conversation.joinPolicy,
+        memberCount: conversation.members.length
+      },
+      message: 'Conversation retrieved successfully'
+    });
+  }
+
+  const data = { ...conversation, myRole: member.role };
+  if (!ConversationService.isAdmin(conversation, req.userId)) delete data.pendingRequests;
+
+  res.json({ success: true, data, message: 'Conversation retrieved successfully' });
+});
+
+/**
+ * @route   PATCH /api/conversations/:conversationId
+ * @desc    Update title, avatar, description or join policy (admins)
+ * @access  Private
+ */
+router.patch('/:conversationId', loadConversation(), requireAdmin, async (req, res) => {
+  try {
+    const updates = {};
+    const { title, avatar, description, joinPolicy } = req.body;
+
+    if (title !== undefined) {
+      if (typeof title !== 'string' || !title.trim() || title.length > 100) {
+        return res.status(400).json({ success: false, data: null, message: 'Title must be 1-100 characters' });
+      }
+      updates.title = title.trim();
+    }
+    if (avatar !== undefined) {
+      if (avatar && !isValidURL(avatar)) {
+        return res.status(400).json({ success: false, data: null, message: 'Invalid avatar URL format' });
+      }
+      updates.avatar = avatar || null;
+    }
+    if (description !== undefined) updates.description = String(description).slice(0, 500);
+    if (joinPolicy !== undefined) {
+      if (!JOIN_POLICIES.includes(joinPolicy)) {
+        return res.status(400).json({ success: false, data: null, message: 'Join policy must be open, request or invite' });
+      }
+      updates.joinPolicy = joinPolicy;
+    }
+
+    const conversation = ConversationService.toPlain(
+      await req.conversations.updateFields(req.conversation._id, updates)
+    );
+
+    emitToMembers(conversation, 'conversation_updated', conversation);
+
+    res.json({ success: true, data: conversation, message: 'Conversation updated successfully' });
+  } catch (error) {
+    logger.error('Update conversation error:', error);
+    res.status(500).json({ success: false, data: null, message: 'Error updating conversation' });
+  }
+});
+
+/**
+ * @route   POST /api/conversations/:conversationId/members
+ * @desc    Add a member (admins, any join policy)
+ * @access  Private
+ */
+router.post('/:conversationId/members', loadConversation(), requireAdmin, async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    if (!userId || (req.useMongoDB && !isValidObjectId(userId))) {
+      return res.status(400).json({ success: false, data: null, message: 'Invalid user ID format' });
+    }
+    if (ConversationService.getMember(req.conversation, userId)) {
+      return res.status(409).json({ success: false, data: null, message: 'User is already a member' });
+    }
+    if (req.conversation.members.length >= MAX_MEMBERS) {
+      return res.status(400).json({ success: false, data: null, message: 'Conversation is full' });
+    }
+    if ((await ConversationService.findMissingUsers([userId], req.useMongoDB)).length) {
+      return res.status(400).json({ success: false, data: null, message: 'User not found' });
+    }
+
+    const conversation = ConversationService.toPlain(
+      await req.conversations.addMember(req.conversation._id, { user: userId, role: 'member' })
+    );
+
+    emitToMembers(conversation, 'conversation_member_added', { conversationId: conversation._id, userId });
+
+    res.status(201).json({ success: true, data: conversation, message: 'Member added successfully' });
+  } catch (error) {
+    logger.error('Add member error:', error);
+    res.status(500).json({ success: false, data: null, message: 'Error adding member' });
+  }
+});
+
+/**
+ * @route   DELETE /api/conversations/:conversationId/members/:userId
+ * @desc    Leave (own user ID) or remove a member (admins; the owner cannot be removed)
+ * @access  Private
+ */
+router.delete('/:conversationId/members/:userId', loadConversation(), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const target = ConversationService.getMember(req.conversation, userId);
+    const isSelf = userId === req.userId;
+
+    if (!target) {
+      return res.status(404).json({ success: false, data: null, message: 'Member not found' });
+    }
+    if (!isSelf) {
+      if (!ConversationService.isAdmin(req.conversation, req.userId)) {
+        return res.status(403).json({ success: false, data: null, message: 'Only conversation admins can do this' });
+      }
+      const actor = ConversationService.getMember(req.conversation, req.userId);
+      if (target.role === 'owner' || (target.role === 'admin' && actor.role !== 'owner')) {
+        return res.status(403).json({ success: false, data: null, message: 'Cannot remove this member' });
+      }
+    }
+
+    const conversation = await ConversationService.removeMember(req.conversation, userId, req.useMongoDB);
+    if (!conversation) {
+      return res.status(404).json({ success: false, data: null, message: 'Conversation not found' });
+    }
+
+    emitToMembers(req.conversation, 'conversation_member_removed', { conversationId: req.conversation._id, userId });
+
+    res.json({
+      success: true,
+      data: conversation.isArchived ? null : conversation,
+      message: isSelf ? 'Left conversation successfully' : 'Member removed successfully'
+    });
+  } catch (error) {
+    logger.error('Remove member error:', error);
+    res.status(500).json({ success: false, data: null, message: 'Error removing member' });
+  }
+});
+
+/**
+ * @route   PUT /api/conversations/:conversationId/members/:userId/role
+ * @desc    Promote to admin or demote to member (owner only)
+ * @access  Private
+ */
+router.put('/:conversationId/members/:userId/role', loadConversation(), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+    const actor = ConversationService.getMember(req.conversation, req.userId);
+    const target = ConversationService.getMember(req.conversation, userId);
+
+    if (actor.role !== 'owner') {
+      return res.status(403).json({ success: false, data: null, message: 'Only the owner can change roles' });
+    }
+    if (!['admin', 'member'].includes(role)) {
+      return res.status(400).json({ success: false, data: null, message: 'Role must be admin or member' });
+    }
+    if (!target) {
+      return res.status(404).json({ success: false, data: null, message: 'Member not found' });
+    }
+    if (target.role === 'owner') {
+      return res.status(400).json({ success: false, data: null, message: 'Cannot change the owner role' });
+    }
+
+    const conversation = ConversationService.toPlain(
+      await req.conversations.setMemberRole(req.conversation._id, userId, role)
+    );
+
+    emitToMembers(conversation, 'conversation_updated', conversation);
+
+    res.json({ success: true, data: conversation, message: 'Member role updated successfully' });
+  } catch (error) {
+    logger.error('Update member role error:', error);
+    res.status(500).json({ success: false, data: null, message: 'Error updating member role' });
+  }
+});
+
+/**
+ * @route   POST /api/conversations/:conversationId/join
+ * @desc    Join an open conversation, or request to join a 'request' one
+ * @access  Private
+ */
+router.post('/:conversationId/join', loadConversation({ allowNonMember: true }), async (req, res) => {
+  try {
+    const { conversation } = req;
+
+    if (ConversationService.getMember(conversation, req.userId)) {
+      return res.status(409).json({ success: false, data: null, message: 'Already a member' });
+    }
+
+    if (conversation.joinPolicy === 'invite') {
+      return res.status(404).json({ success: false, data: null, message: 'Conversation not found' });
+    }
+
+    if (conversation.joinPolicy === 'request') {
+      await req.conversations.addJoinRequest(conversation._id, req.userId);
+      return res.status(202).json({ success: true, data: null, message: 'Join request sent' });
+    }
+
+    if (conversation.members.length >= MAX_MEMBERS) {
+      return res.status(400).json({ success: false, data: null, message: 'Conversation is full' });
+    }
+
+    const updated = ConversationService.toPlain(
+      await req.conversations.addMember(conversation._id, { user: req.userId, role: 'member' })
+    );
+
+    emitToMembers(updated, 'conversation_member_added', { conversationId: updated._id, userId: req.userId });
+
+    res.json({ success: true, data: updated, message: 'Joined conversation successfully' });
+  } catch (error) {
+    logger.error('Join conversation error:', error);
+    res.status(500).json({ success: false, data: null, message: 'Error joining conversation' });
+  }
+});
+
+/**
+ * @route   POST /api/conversations/:conversationId/requests/:userId/approve
+ * @desc    Approve a pending join request (admins)
+ * @access  Private
+ */
+router.post('/:conversationId/requests/:userId/approve', loadConversation(), requireAdmin, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const pending = req.conversation.pendingRequests.some(r => r.user.toString() === userId);
+
+    if (!pending) {
+      return res.status(404).json({ success: false, data: null, message: 'Join request not found' });
+    }
+
+    const conversation = ConversationService.toPlain(
+      await req.conversations.addMember(req.conversation._id, { user: userId, role: 'member' })
+    );
+
+    emitToMembers(conversation, 'conversation_member_added', { conversationId: conversation._id, userId });
+
+    res.json({ success: true, data: conversation, message: 'Join request approved' });
+  } catch (error) {
+    logger.error('Approve join request error:', error);
+    res.status(500).json({ success: false, data: null, message: 'Error approving join request' });
+  }
+});
+
+/**
+ * @route   DELETE /api/conversations/:conversationId/requests/:userId
+ * @desc    Reject a pending join request (admins)
+ * @access  Private
+ */
+router.delete('/:conversationId/requests/:userId', loadConversation(), requireAdmin, async (req, res) => {
+  try {
+    await req.conversations.removeJoinRequest(req.conversation._id, req.params.userId);
+    res.json({ success: true, data: null, message: 'Join request rejected' });
+  } catch (error) {
+    logger.error('Reject join request error:', error);
+    res.status(500).json({ success: false, data: null, message: 'Error rejecting join request' });
+  }
+});
+
+/**
+ * @route   POST /api/conversations/:conversationId/messages
+ * @desc    Send a message to every member
+ * @access  Private
+ */
+router.post('/:conversationId/messages', loadConversation(), async (req, res) => {
+  try {
+    const { content, messageType, attachmentUrl, replyTo } = req.body;
+    const { conversation } = req;
+
+    if (!ConversationService.canPost(conversation, req.userId)) {
+      return res.status(403).json({ success: false, data: null, message: 'Only admins can post in this channel' });
+    }
+    if (!isValidMessageContent(content)) {
+      return res.status(400).json({ success: false, data: null, message: 'Message content must be 1-2000 characters' });
+    }
+    if (attachmentUrl && !isValidURL(attachmentUrl)) {
+      return res.status(400).json({ success: false, data: null, message: 'Invalid attachment URL format' });
+    }
+    if (replyTo && !(await MessageService.isValidReplyTarget(replyTo, conversation._id.toString(), req.userId, req.useMongoDB))) {
+      return res.status(400).json({ success: false, data: null, message: 'Reply target must be a message in this conversation' });
+    }
+
+    const messageData = {
+      sender: req.userId,
+      conversation: conversation._id,
+      content,
+      messageType: messageType || 'text',
+      attachmentUrl: attachmentUrl || null,
+      replyTo: replyTo || null,
+      receipts: MessageService.buildReceipts(conversation.members.map(m => m.user), req.userId)
+    };
+
+    let message;
+
+    if (req.useMongoDB) {
+      message = await MessageMongo.create({
+        ...messageData,
+        conversationId: conversation._id.toString()
+      });
+      message = await message.populate([
+        { path: 'sender', select: 'username firstName lastName profilePicture' },
+        { path: 'replyTo', select: 'sender content messageType isEdited' }
+      ]);
+    } else {
+      message = await MessageMock.create(messageData);
+    }
+
+    const sentAt = new Date(message.createdAt);
+    await Promise.all([
+      req.conversations.updateFields(conversation._id, { lastMessageAt: sentAt }),
+      // The sender has implicitly read everything up to their own message
+      req.conversations.markRead(conversation._id, req.userId, sentAt)
+    ]);
+    await invalidateMemberUnreadCounts(conversation);
+
+    emitToMembers(conversation, 'new_message', message);
+
+    res.status(201).json({
+      success: true,
+      data: message,
+      message: 'Message sent successfully'
+    });
+  } catch (error) {
+    logger.error('Send group message error:', error);
+    res.status(500).json({ success: false, data: null, message: 'Error sending message' });
+  }
+});
+
+/**
+ * @route   GET /api/conversations/:conversationId/messages
+ * @desc    Get messages in a group conversation (newest first)
+ * @access  Private
+ */
+router.get('/:conversationId/messages', loadConversation(), async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+    const conversationId = req.conversation._id.toString();
+
+    let messages;
+    let totalMessages;
+
+    if (req.useMongoDB) {
+      const query = { conversationId, deletedBy: { $nin: [req.userId] } };
+
+      totalMessages = await MessageMongo.countDocuments(query);
+      messages = await MessageMongo.find(query)
+        .populate('sender', 'username firstName lastName profilePicture')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit);
+    } else {
+      const allMessages = (await MessageMock.find({ conversationId }))
+        .filter(msg => !msg.deletedBy.includes(req.userId))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+      totalMessages = allMessages.length;
+      messages = allMessages.slice((page - 1) * limit, page * limit);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        messages,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(totalMessages / limit),
+          totalMessages,
+          limit
+        }
+      },
+      message: 'Messages retrieved successfully'
+    });
+  } catch (error) {
+    logger.error('Get group messages error:', error);
+    res.status(500).json({ success: false, data: null, message: 'Error retrieving messages' });
+  }
+});
+
+/**
+ * @route   PUT /api/conversations/:conversationId/read-all
+ * @desc    Mark every message in the conversation as read for the caller
+ * @access  Private
+ */
+router.put('/:conversationId/read-all', loadConversation(), async (req, res) => {
+  try {
+    const readAt = new Date();
+    await Promise.all([
+      req.conversations.markRead(req.conversation._id, req.userId, readAt),
+      MessageService.markConversationRead(req.conversation._id.toString(), req.userId, req.useMongoDB)
+    ]);
+    await invalidateMemberUnreadCounts(req.conversation);
+
+    emitToMembers(req.conversation, 'conversation_read', {
+      conversationId: req.conversation._id,
+      userId: req.userId,
+      readAt
+    });
+
+    res.json({
+      success: true,
+      data: { unreadCount: 0 },
+      message: 'Conversation marked as read'
+    });
+  } catch (error) {
+    logger.error('Mark conversation read error:', error);
+    res.status(500).json({ success: false, data: null, message: 'Error marking conversation as read' });
+  }
+});
+
+module.exports = router;
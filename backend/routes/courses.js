@@ -0,0 +1,538 @@
+const express = require('express');
+const router = express.Router();
+const jwt = require('jsonwebtoken');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const User = require('../models/User');
+const CourseService = require('../services/courseService');
+const SearchIndexService = require('../services/searchIndexService');
+const logger = require('../utils/logger');
+const { apiLimiter } = require('../middleware/rateLimitMiddleware');
+const { isValidObjectId } = require('../utils/validators');
+const { hasPermission, PERMISSIONS } = require('../config/roles');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'college_media_secret_key';
+
+const EDITABLE_FIELDS = [
+    'title', 'subtitle', 'description', 'category', 'tags', 'difficulty',
+    'price', 'thumbnail', 'prerequisites', 'modules', 'status'
+];
+
+const SORTS = {
+    newest: { mongo: { publishedAt: -1 }, meili: ['createdAt:desc'] },
+    popular: { mongo: { enrollmentCount: -1 }, meili: ['enrollmentCount:desc'] },
+    price_asc: { mongo: { price: 1 }, meili: ['price:asc'] },
+    price_desc: { mongo: { price: -1 }, meili: ['price:desc'] }
+};
+
+router.use(apiLimiter);
+
+// Middleware to verify token
+const verifyToken = (req, res, next) => {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) return res.status(401).json({ success: false, message: 'No token' });
+    try {
+        const decoded = jwt.verify(token, JWT_SECRET);
+        req.userId = decoded.userId;
+        next();
+    } catch (error) {
+        res.status(401).json({ success: false, message: 'Invalid token' });
+    }
+};
+
+// Optional auth - the catalog and syllabi are public
+const optionalAuth = (req, res, next) => {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (token) {
+        try {
+            const decoded = jwt.verify(token, JWT_SECRET);
+            req.userId = decoded.userId;
+        } catch (error) {
+            // Token invalid, continue as unauthenticated
+        }
+    }
+    next();
+};
+
+// Resolve the caller's role once per request (anonymous callers have none)
+const loadRole = async (req, res, next) => {
+    if (!req.userId) return next();
+
+    try {
+        const user = await User.findById(req.userId).select('role');
+        if (!user) return res.status(401).json({ success: false, message: 'User not found' });
+
+        req.canManage = hasPermission(user.role, PERMISSIONS.MANAGE_COURSES);
+        req.isAdmin = user.role === 'admin';
+        next();
+    } catch (error) {
+        logger.error('Load role error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+const requireInstructor = (req, res, next) => {
+    if (!req.canManage) {
+        return res.status(403).json({ success: false, message: 'Instructor access required' });
+    }
+    next();
+};
+
+// Resolve :courseId. Drafts and archived courses are only visible to their instructor.
+const loadCourse = async (req, res, next) => {
+    const { courseId } = req.params;
+    if (!isValidObjectId(courseId)) {
+        return res.status(400).json({ success: false, message: 'Invalid course ID' });
+    }
+
+    try {
+        const course = await Course.findById(courseId);
+        if (!course) {
+            return res.status(404).json({ success: false, message: 'Course not found' });
+        }
+
+        req.ownsCourse = !!req.userId && (req.isAdmin || course.instructor.toString() === req.userId);
+        if (course.status !== 'published' && !req.ownsCourse) {
+            return res.status(404).json({ success: false, message: 'Course not found' });
+        }
+
+        req.course = course;
+        next();
+    } catch (error) {
+        logger.error('Load course error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+const requireOwner = (req, res, next) => {
+    if (!req.ownsCourse) {
+        return res.status(403).json({ success: false, message: 'Not authorized' });
+    }
+    next();
+};
+
+// Caller's active or completed enrollment in req.course
+const requireEnrollment = async (req, res, next) => {
+    try {
+        const enrollment = await Enrollment.findOne({
+            course: req.course._id,
+            user: req.userId,
+            status: { $ne: 'dropped' }
+        });
+        if (!enrollment) {
+            return res.status(403).json({ success: false, message: 'Enroll in the course first' });
+        }
+
+        req.enrollment = enrollment;
+        next();
+    } catch (error) {
+        logger.error('Load enrollment error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+const pickEditable = (body) => Object.fromEntries(
+    EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Meili filter values are quoted strings
+const quote = (value) => `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+
+const CATALOG_SELECT = 'title subtitle category tags difficulty price thumbnail instructor enrollmentCount publishedAt createdAt modules.lessons.durationMinutes';
+
+/**
+ * @route   GET /api/courses
+ * @desc    Published course catalog. ?q= searches the `courses` index
+ *          (falling back to Mongo when MeiliSearch is down); filters:
+ *          category, difficulty, tag, price=free|paid, instructor;
+ *          sort=newest|popular|price_asc|price_desc; page, limit.
+ * @access  Public
+ */
+router.get('/', optionalAuth, async (req, res) => {
+    try {
+        const { q, category, difficulty, tag, price, instructor } = req.query;
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+        const sort = SORTS[req.query.sort] || null;
+
+        const query = { status: 'published' };
+        if (category) query.category = String(category);
+        if (difficulty) query.difficulty = String(difficulty);
+        if (tag) query.tags = String(tag);
+        if (price === 'free') query.price = 0;
+        if (price === 'paid') query.price = { $gt: 0 };
+        if (instructor && isValidObjectId(instructor)) query.instructor = instructor;
+
+        let courses;
+        let total;
+
+        const search = typeof q === 'string' && q.trim()
+            ? await SearchIndexService.searchCourses(q.trim(), {
+                filter: [
+                    category && `category = ${quote(category)}`,
+                    difficulty && `difficulty = ${quote(difficulty)}`,
+                    tag && `tags = ${quote(tag)}`,
+                    price === 'free' && 'isFree = true',
+                    price === 'paid' && 'isFree = false',
+                    query.instructor && `instructorId = ${quote(instructor)}`
+                ].filter(Boolean),
+                sort: sort?.meili,
+                limit,
+                offset: (page - 1) * limit
+            })
+            : undefined;
+
+        if (search) {
+            // Keep the index's ranking; Mongo re-checks that each hit is still published
+            const found = await Course.find({ ...query, _id: { $in: search.ids } })
+                .select(CATALOG_SELECT)
+                .populate('instructor', 'username firstName lastName profilePicture');
+            const byId = new Map(found.map(c => [c._id.toString(), c]));
+            courses = search.ids.map(id => byId.get(id)).filter(Boolean);
+            total = search.total;
+        } else {
+            if (search === null) {
+                const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+                query.$or = [{ title: pattern }, { subtitle: pattern }, { tags: pattern }, { category: pattern }];
+            }
+
+            [courses, total] = await Promise.all([
+                Course.find(query)
+                    .select(CATALOG_SELECT)
+                    .sort(sort?.mongo || { publishedAt: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit)
+                    .populate('instructor', 'username firstName lastName profilePicture'),
+                Course.countDocuments(query)
+            ]);
+        }
+
+        res.json({
+            success: true,
+            data: courses.map(c => {
+                const obj = c.toObject({ virtuals: true });
+                delete obj.modules;
+                return obj;
+            }),
+            pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+        });
+    } catch (error) {
+        logger.error('Course catalog error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load courses' });
+    }
+});
+
+/**
+ * @route   POST /api/courses
+ * @desc    Create a course (drafts until status is set to published)
+ * @access  Private (instructors)
+ */
+router.post('/', verifyToken, loadRole, requireInstructor, async (req, res) => {
+    try {
+        const course = await Course.create({
+            ...pickEditable(req.body),
+            instructor: req.userId
+        });
+
+        res.status(201).json({ success: true, data: course, message: 'Course created' });
+    } catch (error) {
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        logger.error('Create course error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create course' });
+    }
+});
+
+/**
+ * @route   GET /api/courses/enrolled
+ * @desc    Courses the caller is enrolled in, with progress
+ * @access  Private
+ */
+router.get('/enrolled', verifyToken, async (req, res) => {
+    try {
+        const filter = { user: req.userId, status: { $ne: 'dropped' } };
+        if (['active', 'completed'].includes(req.query.status)) filter.status = req.query.status;
+
+        const enrollments = await Enrollment.find(filter)
+            .select('-completedLessons')
+            .sort({ lastActivityAt: -1, createdAt: -1 })
+            .populate({
+                path: 'course',
+                select: 'title subtitle thumbnail category difficulty instructor',
+                populate: { path: 'instructor', select: 'username firstName lastName' }
+            })
+            .lean();
+
+        res.json({ success: true, data: enrollments.filter(e => e.course) });
+    } catch (error) {
+        logger.error('Enrolled courses error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load enrolled courses' });
+    }
+});
+
+/**
+ * @route   GET /api/courses/dashboard
+ * @desc    Instructor dashboard: students, completion rate and average progress per course
+ * @access  Private (instructors)
+ */
+router.get('/dashboard', verifyToken, loadRole, requireInstructor, async (req, res) => {
+    try {
+        const data = await CourseService.getInstructorDashboard(req.userId, req.isAdmin && req.query.all === 'true');
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error('Course dashboard error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load dashboard' });
+    }
+});
+
+/**
+ * @route   GET /api/courses/:courseId
+ * @desc    Course with its syllabus. Lesson content is only included for
+ *          the instructor, enrolled students and preview lessons.
+ * @access  Public
+ */
+router.get('/:courseId', optionalAuth, loadRole, loadCourse, async (req, res) => {
+    try {
+        const course = req.course;
+        const enrollment = req.userId
+            ? await Enrollment.findOne({ course: course._id, user: req.userId, status: { $ne: 'dropped' } })
+            : null;
+
+        await course.populate([
+            { path: 'instructor', select: 'username firstName lastName profilePicture bio' },
+            { path: 'prerequisites', select: 'title status' }
+        ]);
+
+        const data = CourseService.syllabusView(course, {
+            canAccessContent: req.ownsCourse || !!enrollment,
+            enrollment
+        });
+        data.enrollment = enrollment
+            ? { status: enrollment.status, progress: CourseService.computeProgress(course, enrollment), lastLesson: enrollment.lastLesson }
+            : null;
+
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error('Get course error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load course' });
+    }
+});
+
+/**
+ * @route   PATCH /api/courses/:courseId
+ * @desc    Update course details or the syllabus (modules replace the
+ *          existing ones; send lesson _ids back to keep student progress)
+ * @access  Private (instructor)
+ */
+router.patch('/:courseId', verifyToken, loadRole, loadCourse, requireOwner, async (req, res) => {
+    try {
+        req.course.set(pickEditable(req.body));
+        await req.course.save();
+
+        res.json({ success: true, data: req.course, message: 'Course updated' });
+    } catch (error) {
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        logger.error('Update course error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update course' });
+    }
+});
+
+/**
+ * @route   DELETE /api/courses/:courseId
+ * @desc    Delete a course without students; courses with enrollments must be archived instead
+ * @access  Private (instructor)
+ */
+router.delete('/:courseId', verifyToken, loadRole, loadCourse, requireOwner, async (req, res) => {
+    try {
+        if (await Enrollment.exists({ course: req.course._id, status: { $ne: 'dropped' } })) {
+            return res.status(409).json({ success: false, message: 'Course has students; archive it instead' });
+        }
+
+        await Enrollment.deleteMany({ course: req.course._id });
+        await Course.updateMany({ prerequisites: req.course._id }, { $pull: { prerequisites: req.course._id } });
+        await req.course.deleteOne();
+
+        res.json({ success: true, message: 'Course deleted' });
+    } catch (error) {
+        logger.error('Delete course error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete course' });
+    }
+});
+
+/**
+ * @route   POST /api/courses/:courseId/enroll
+ * @desc    Enroll in a published course once its prerequisite courses are completed
+ * @access  Private
+ */
+router.post('/:courseId/enroll', verifyToken, loadRole, loadCourse, async (req, res) => {
+    try {
+        const course = req.course;
+        if (course.status !== 'published') {
+            return res.status(400).json({ success: false, message: 'Course is not open for enrollment' });
+        }
+        if (course.instructor.toString() === req.userId) {
+            return res.status(400).json({ success: false, message: 'You teach this course' });
+        }
+
+        const existing = await Enrollment.findOne({ course: course._id, user: req.userId });
+        if (existing && existing.status !== 'dropped') {
+            return res.status(409).json({ success: false, message: 'Already enrolled' });
+        }
+
+        const missing = await CourseService.missingCoursePrerequisites(course, req.userId);
+        if (missing.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Complete the prerequisite courses first',
+                data: { missingPrerequisites: missing }
+            });
+        }
+
+        let enrollment;
+        if (existing) {
+            // Re-enrolling keeps earlier lesson progress. Only the request that
+            // flips the enrollment back from dropped gets to count it.
+            const reactivated = await Enrollment.findOneAndUpdate(
+                { _id: existing._id, status: 'dropped' },
+                { $set: { status: 'active', lastActivityAt: new Date() } },
+                { new: true }
+            );
+            if (!reactivated) {
+                return res.status(409).json({ success: false, message: 'Already enrolled' });
+            }
+            enrollment = (await CourseService.refreshProgress(course, reactivated._id, reactivated.lastLesson)).enrollment;
+        } else {
+            enrollment = await Enrollment.create({ course: course._id, user: req.userId, lastActivityAt: new Date() });
+        }
+        await Course.updateOne({ _id: course._id }, { $inc: { enrollmentCount: 1 } });
+
+        res.status(201).json({ success: true, data: enrollment, message: 'Enrolled' });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, message: 'Already enrolled' });
+        }
+        logger.error('Enroll error:', error);
+        res.status(500).json({ success: false, message: 'Failed to enroll' });
+    }
+});
+
+/**
+ * @route   DELETE /api/courses/:courseId/enroll
+ * @desc    Drop a course (progress is kept if the student re-enrolls)
+ * @access  Private
+ */
+router.delete('/:courseId/enroll', verifyToken, loadRole, loadCourse, async (req, res) => {
+    try {
+        const result = await Enrollment.updateOne(
+            { course: req.course._id, user: req.userId, status: { $ne: 'dropped' } },
+            { $set: { status: 'dropped' } }
+        );
+        if (result.modifiedCount === 0) {
+            return res.status(404).json({ success: false, message: 'Not enrolled' });
+        }
+
+        await Course.updateOne({ _id: req.course._id, enrollmentCount: { $gt: 0 } }, { $inc: { enrollmentCount: -1 } });
+
+        res.json({ success: true, message: 'Dropped course' });
+    } catch (error) {
+        logger.error('Drop course error:', error);
+        res.status(500).json({ success: false, message: 'Failed to drop course' });
+    }
+});
+
+/**
+ * @route   GET /api/courses/:courseId/progress
+ * @desc    The caller's completion per module and overall
+ * @access  Private (enrolled)
+ */
+router.get('/:courseId/progress', verifyToken, loadRole, loadCourse, requireEnrollment, (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            status: req.enrollment.status,
+            completedLessons: req.enrollment.completedLessons,
+            lastLesson: req.enrollment.lastLesson,
+            ...CourseService.computeProgress(req.course, req.enrollment)
+        }
+    });
+});
+
+/**
+ * @route   POST /api/courses/:courseId/lessons/:lessonId/complete
+ * @desc    Mark a lesson complete (its prerequisite lessons must be complete)
+ * @access  Private (enrolled)
+ */
+router.post('/:courseId/lessons/:lessonId/complete', verifyToken, loadRole, loadCourse, requireEnrollment, async (req, res) => {
+    try {
+        if (!isValidObjectId(req.params.lessonId)) {
+            return res.status(400).json({ success: false, message: 'Invalid lesson ID' });
+        }
+
+        const result = await CourseService.completeLesson(req.course, req.enrollment, req.params.lessonId);
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.error,
+                data: result.missing ? { missingPrerequisites: result.missing } : undefined
+            });
+        }
+
+        res.json({ success: true, data: { status: result.enrollment.status, ...result.progress } });
+    } catch (error) {
+        logger.error('Complete lesson error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update progress' });
+    }
+});
+
+/**
+ * @route   DELETE /api/courses/:courseId/lessons/:lessonId/complete
+ * @desc    Mark a lesson as not completed
+ * @access  Private (enrolled)
+ */
+router.delete('/:courseId/lessons/:lessonId/complete', verifyToken, loadRole, loadCourse, requireEnrollment, async (req, res) => {
+    try {
+        if (!isValidObjectId(req.params.lessonId)) {
+            return res.status(400).json({ success: false, message: 'Invalid lesson ID' });
+        }
+
+        const result = await CourseService.uncompleteLesson(req.course, req.enrollment, req.params.lessonId);
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+
+        res.json({ success: true, data: { status: result.enrollment.status, ...result.progress } });
+    } catch (error) {
+        logger.error('Uncomplete lesson error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update progress' });
+    }
+});
+
+/**
+ * @route   GET /api/courses/:courseId/students
+ * @desc    Enrolled students with their progress (?status=active|completed|dropped)
+ * @access  Private (instructor)
+ */
+router.get('/:courseId/students', verifyToken, loadRole, loadCourse, requireOwner, async (req, res) => {
+    try {
+        const filter = { course: req.course._id };
+        if (['active', 'completed', 'dropped'].includes(req.query.status)) filter.status = req.query.status;
+
+        const students = await Enrollment.find(filter)
+            .select('-completedLessons')
+            .sort({ progressPercent: -1, createdAt: 1 })
+            .populate('user', 'username firstName lastName profilePicture')
+            .lean();
+
+        res.json({ success: true, data: students });
+    } catch (error) {
+        logger.error('Course students error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load students' });
+    }
+});
+
+module.exports = router;
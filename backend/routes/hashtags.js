@@ -0,0 +1,161 @@
+const express = require('express');
+const router = express.Router();
+const jwt = require('jsonwebtoken');
+const HashtagService = require('../services/hashtagService');
+const ShareService = require('../services/shareService');
+const logger = require('../utils/logger');
+const { apiLimiter } = require('../middleware/rateLimitMiddleware');
+const { parsePaginationParams, createPaginationMeta } = require('../utils/pagination');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'college_media_secret_key';
+const VALID_TAG = /^[\p{L}\p{N}_]{1,50}$/u;
+
+const verifyToken = (req, res, next) => {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) return res.status(401).json({ success: false, message: 'No token' });
+    try {
+        const decoded = jwt.verify(token, JWT_SECRET);
+        req.userId = decoded.userId;
+        next();
+    } catch (error) {
+        res.status(401).json({ success: false, message: 'Invalid token' });
+    }
+};
+
+// Optional auth - doesn't fail if no token
+const optionalAuth = (req, res, next) => {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (token) {
+        try {
+            const decoded = jwt.verify(token, JWT_SECRET);
+            req.userId = decoded.userId;
+        } catch (e) { }
+    }
+    next();
+};
+
+// Normalize :tag ("#Hackathon" -> "hackathon")
+const parseTag = (req, res, next) => {
+    const tag = HashtagService.normalize(req.params.tag);
+    if (!VALID_TAG.test(tag)) {
+        return res.status(400).json({ success: false, message: 'Invalid hashtag' });
+    }
+    req.tag = tag;
+    next();
+};
+
+/**
+ * @swagger
+ * /api/hashtags/following:
+ *   get:
+ *     summary: Get the hashtags the caller follows
+ *     tags: [Hashtags]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/following', verifyToken, async (req, res) => {
+    try {
+        const tags = await HashtagService.following(req.userId);
+        res.json({ success: true, data: tags, message: 'Followed hashtags retrieved' });
+    } catch (error) {
+        logger.error('Get followed hashtags error:', error);
+        res.status(500).json({ success: false, message: 'Failed to get followed hashtags' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/hashtags/{tag}:
+ *   get:
+ *     summary: Get a hashtag page - public posts with the tag (newest first) and its follower count
+ *     tags: [Hashtags]
+ *     parameters:
+ *       - in: path
+ *         name: tag
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ */
+router.get('/:tag', optionalAuth, parseTag, async (req, res) => {
+    try {
+        const { page, limit } = parsePaginationParams(req.query, { defaultLimit: 20, maxLimit: 50 });
+        const [{ posts, postCount, followerCount }, isFollowing] = await Promise.all([
+            HashtagService.page(req.tag, { page, limit }),
+            HashtagService.isFollowing(req.userId, req.tag)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                tag: req.tag,
+                postCount,
+                followerCount,
+                isFollowing,
+                posts: await ShareService.attachShared(posts, req.userId)
+            },
+            pagination: createPaginationMeta(postCount, page, limit),
+            message: 'Hashtag retrieved'
+        });
+    } catch (error) {
+        logger.error('Get hashtag error:', error);
+        res.status(500).json({ success: false, message: 'Failed to get hashtag' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/hashtags/{tag}/follow:
+ *   post:
+ *     summary: Follow a hashtag (its posts are boosted in the recommended feed)
+ *     tags: [Hashtags]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:tag/follow', verifyToken, apiLimiter, parseTag, async (req, res) => {
+    try {
+        const { followerCount } = await HashtagService.follow(req.userId, req.tag);
+        res.json({
+            success: true,
+            data: { tag: req.tag, isFollowing: true, followerCount },
+            message: `Following #${req.tag}`
+        });
+    } catch (error) {
+        logger.error('Follow hashtag error:', error);
+        res.status(500).json({ success: false, message: 'Failed to follow hashtag' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/hashtags/{tag}/follow:
+ *   delete:
+ *     summary: Unfollow a hashtag
+ *     tags: [Hashtags]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:tag/follow', verifyToken, apiLimiter, parseTag, async (req, res) => {
+    try {
+        const { followerCount } = await HashtagService.unfollow(req.userId, req.tag);
+        res.json({
+            success: true,
+            data: { tag: req.tag, isFollowing: false, followerCount },
+            message: `Unfollowed #${req.tag}`
+        });
+    } catch (error) {
+        logger.error('Unfollow hashtag error:', error);
+        res.status(500).json({ success: false, message: 'Failed to unfollow hashtag' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,435 @@
+const express = require('express');
+const router = express.Router();
+const jwt = require('jsonwebtoken');
+const Job = require('../models/Job');
+const JobApplication = require('../models/JobApplication');
+const User = require('../models/User');
+const JobService = require('../services/jobService');
+const matchQueue = require('../jobs/jobMatcher');
+const logger = require('../utils/logger');
+const { apiLimiter } = require('../middleware/rateLimitMiddleware');
+const { paginateCursor } = require('../utils/pagination');
+const { isValidObjectId } = require('../utils/validators');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'college_media_secret_key';
+
+const EDITABLE_FIELDS = [
+    'title', 'company', 'description', 'type', 'workplace', 'location', 'tags', 'skills',
+    'salaryRange', 'deadline', 'externalUrl', 'referralsEnabled', 'status'
+];
+const APPLICATION_STATUSES = ['reviewing', 'shortlisted', 'rejected', 'hired'];
+
+router.use(apiLimiter);
+
+// Middleware to verify token
+const verifyToken = (req, res, next) => {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) return res.status(401).json({ success: false, message: 'No token' });
+    try {
+        const decoded = jwt.verify(token, JWT_SECRET);
+        req.userId = decoded.userId;
+        next();
+    } catch (error) {
+        res.status(401).json({ success: false, message: 'Invalid token' });
+    }
+};
+
+// Posting and review permissions depend on the caller's role
+const loadUser = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.userId).select('role');
+        if (!user) return res.status(401).json({ success: false, message: 'User not found' });
+
+        req.user = user;
+        next();
+    } catch (error) {
+        logger.error('Load user error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+const loadJob = async (req, res, next) => {
+    const { jobId } = req.params;
+    if (!isValidObjectId(jobId)) {
+        return res.status(400).json({ success: false, message: 'Invalid job ID' });
+    }
+
+    try {
+        const job = await Job.findById(jobId);
+        if (!job) return res.status(404).json({ success: false, message: 'Job not found' });
+
+        req.isPoster = JobService.isPoster(job, req.user);
+        req.job = job;
+        next();
+    } catch (error) {
+        logger.error('Load job error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+const requirePoster = (req, res, next) => {
+    if (!req.isPoster) {
+        return res.status(403).json({ success: false, message: 'Only the poster can do that' });
+    }
+    next();
+};
+
+// Resolve :applicationId within :jobId for its applicant or the poster
+const loadApplication = async (req, res, next) => {
+    const { applicationId } = req.params;
+    if (!isValidObjectId(applicationId)) {
+        return res.status(400).json({ success: false, message: 'Invalid application ID' });
+    }
+
+    try {
+        const application = await JobApplication.findOne({ _id: applicationId, job: req.job._id });
+        const isApplicant = application?.applicant.toString() === req.userId;
+        if (!application || (!isApplicant && !req.isPoster)) {
+            return res.status(404).json({ success: false, message: 'Application not found' });
+        }
+
+        req.isApplicant = isApplicant;
+        req.application = application;
+        next();
+    } catch (error) {
+        logger.error('Load application error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+const requireApplicant = (req, res, next) => {
+    if (!req.isApplicant) {
+        return res.status(403).json({ success: false, message: 'Only the applicant can do that' });
+    }
+    next();
+};
+
+const pickEditable = (body) => Object.fromEntries(
+    EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// Dedupe on job + resume so repeated requests don't pile up analyses
+const queueMatches = (entries) => Promise.all(entries.map(({ jobId, resumeId, applicationId }) =>
+    matchQueue.add(
+        { jobId, resumeId, applicationId },
+        { jobId: `${jobId}:${resumeId}:${applicationId || ''}`, attempts: 1, removeOnComplete: true }
+    )
+)).catch(err => logger.error('Failed to queue job matches:', err));
+
+const sendResult = (res, result, successStatus = 200, message) => {
+    if (result.error) {
+        return res.status(result.status).json({ success: false, message: result.error });
+    }
+    res.status(successStatus).json({ success: true, data: result.application, message });
+};
+
+const isValidationError = (error) => error.name === 'ValidationError' || error.name === 'CastError';
+
+/**
+ * @route   POST /api/jobs
+ * @desc    Post a job or internship. Alumni and admins only; alumni
+ *          postings may set referralsEnabled to take referral requests.
+ * @access  Private
+ */
+router.post('/', verifyToken, loadUser, async (req, res) => {
+    try {
+        const { alumni, error, status } = await JobService.posterProfile(req.user);
+        if (error) return res.status(status).json({ success: false, message: error });
+
+        const job = new Job({
+            ...pickEditable(req.body),
+            company: req.body.company || alumni?.currentCompany,
+            status: 'open',
+            postedBy: req.userId,
+            alumni: alumni?._id
+        });
+        await job.save();
+
+        res.status(201).json({ success: true, data: job, message: 'Job posted' });
+    } catch (error) {
+        if (isValidationError(error)) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        logger.error('Create job error:', error);
+        res.status(500).json({ success: false, message: 'Failed to post job' });
+    }
+});
+
+/**
+ * @route   GET /api/jobs
+ * @desc    Open jobs, newest first. Filters: q, type, workplace, tag,
+ *          company; includeExpired=true keeps jobs past their deadline.
+ * @access  Private
+ */
+router.get('/', verifyToken, async (req, res) => {
+    try {
+        const { q, type, workplace, tag, company } = req.query;
+        const query = { status: 'open' };
+        if (req.query.includeExpired !== 'true') {
+            query.$or = [{ deadline: null }, { deadline: { $gte: new Date() } }];
+        }
+        if (q) query.$text = { $search: String(q) };
+        if (type) query.type = String(type);
+        if (workplace) query.workplace = String(workplace);
+        if (tag) query.tags = String(tag).toLowerCase();
+        if (company) query.company = String(company);
+
+        const result = await paginateCursor(Job, query, {
+            limit: Math.min(50, Math.max(1, parseInt(req.query.limit) || 20)),
+            cursor: isValidObjectId(req.query.cursor) ? req.query.cursor : null,
+            sort: '-_id',
+            populate: { path: 'postedBy', select: 'username firstName lastName profilePicture' }
+        });
+
+        res.json({ success: true, data: result.data, pagination: result.pagination });
+    } catch (error) {
+        logger.error('List jobs error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load jobs' });
+    }
+});
+
+/**
+ * @route   GET /api/jobs/recommended
+ * @desc    Open jobs ranked against the caller's resume (resumeId, or
+ *          their latest). Scores are AI matches where analyzed and keyword
+ *          estimates otherwise; missing analyses are queued.
+ * @access  Private
+ */
+router.get('/recommended', verifyToken, async (req, res) => {
+    try {
+        const { resumeId } = req.query;
+        if (resumeId && !isValidObjectId(resumeId)) {
+            return res.status(400).json({ success: false, message: 'Invalid resume ID' });
+        }
+
+        const result = await JobService.recommend(req.userId, {
+            resumeId,
+            limit: Math.min(50, Math.max(1, parseInt(req.query.limit) || 10))
+        });
+        if (result.error) return res.status(result.status).json({ success: false, message: result.error });
+
+        queueMatches(result.pending);
+        res.json({ success: true, data: result.recommendations, resume: result.resume, analyzing: result.pending.length });
+    } catch (error) {
+        logger.error('Recommend jobs error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load recommendations' });
+    }
+});
+
+/**
+ * @route   GET /api/jobs/posted
+ * @desc    Jobs the caller posted, open and closed
+ * @access  Private
+ */
+router.get('/posted', verifyToken, async (req, res) => {
+    try {
+        const jobs = await Job.find({ postedBy: req.userId }).sort({ createdAt: -1 });
+        res.json({ success: true, data: jobs });
+    } catch (error) {
+        logger.error('List posted jobs error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load jobs' });
+    }
+});
+
+/**
+ * @route   GET /api/jobs/applications
+ * @desc    The caller's applications with job, status and referral state
+ * @access  Private
+ */
+router.get('/applications', verifyToken, async (req, res) => {
+    try {
+        const applications = await JobApplication.find({ applicant: req.userId })
+            .sort({ createdAt: -1 })
+            .populate('job', 'title company type workplace location deadline status')
+            .populate('resume', 'summary updatedAt');
+
+        res.json({ success: true, data: applications });
+    } catch (error) {
+        logger.error('List my applications error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load applications' });
+    }
+});
+
+/**
+ * @route   GET /api/jobs/:jobId
+ * @desc    Job details, with the caller's application if they applied
+ * @access  Private
+ */
+router.get('/:jobId', verifyToken, loadUser, loadJob, async (req, res) => {
+    try {
+        await req.job.populate('postedBy', 'username firstName lastName profilePicture');
+        const application = await JobApplication.findOne({ job: req.job._id, applicant: req.userId })
+            .select('status referral.status createdAt');
+
+        res.json({ success: true, data: req.job, application, isPoster: req.isPoster });
+    } catch (error) {
+        logger.error('Get job error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load job' });
+    }
+});
+
+/**
+ * @route   PATCH /api/jobs/:jobId
+ * @desc    Edit a posting, or set status: closed to stop applications
+ * @access  Private (poster or admin)
+ */
+router.patch('/:jobId', verifyToken, loadUser, loadJob, requirePoster, async (req, res) => {
+    try {
+        req.job.set(pickEditable(req.body));
+        await req.job.save();
+
+        res.json({ success: true, data: req.job, message: 'Job updated' });
+    } catch (error) {
+        if (isValidationError(error)) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        logger.error('Update job error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update job' });
+    }
+});
+
+/**
+ * @route   DELETE /api/jobs/:jobId
+ * @desc    Close a posting. Applications are kept for the poster's records.
+ * @access  Private (poster or admin)
+ */
+router.delete('/:jobId', verifyToken, loadUser, loadJob, requirePoster, async (req, res) => {
+    try {
+        req.job.status = 'closed';
+        await req.job.save();
+
+        res.json({ success: true, message: 'Job closed' });
+    } catch (error) {
+        logger.error('Close job error:', error);
+        res.status(500).json({ success: false, message: 'Failed to close job' });
+    }
+});
+
+/**
+ * @route   POST /api/jobs/:jobId/apply
+ * @desc    Apply with one of the caller's resumes. Body: resumeId,
+ *          coverLetter, and requestReferral + referralNote on postings
+ *          that take referrals.
+ * @access  Private
+ */
+router.post('/:jobId/apply', verifyToken, loadUser, loadJob, async (req, res) => {
+    try {
+        const { resumeId, coverLetter, requestReferral, referralNote } = req.body;
+        if (!isValidObjectId(resumeId)) {
+            return res.status(400).json({ success: false, message: 'A valid resumeId is required' });
+        }
+
+        const result = await JobService.apply(req.job, req.userId, { resumeId, coverLetter, requestReferral: requestReferral === true, referralNote });
+        if (result.queueAnalysis) {
+            queueMatches([{ jobId: req.job._id.toString(), resumeId, applicationId: result.application._id.toString() }]);
+        }
+        sendResult(res, result, 201, 'Application submitted');
+    } catch (error) {
+        if (isValidationError(error)) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        logger.error('Apply to job error:', error);
+        res.status(500).json({ success: false, message: 'Failed to submit application' });
+    }
+});
+
+/**
+ * @route   GET /api/jobs/:jobId/applications
+ * @desc    Applicants ranked by resume match (AI-analyzed where available)
+ *          with referral state. Unanalyzed resumes are queued.
+ * @access  Private (poster or admin)
+ */
+router.get('/:jobId/applications', verifyToken, loadUser, loadJob, requirePoster, async (req, res) => {
+    try {
+        const { applications, pending } = await JobService.rankApplicants(req.job);
+
+        queueMatches(pending.map(application => ({
+            jobId: req.job._id.toString(),
+            resumeId: application.resume._id.toString(),
+            applicationId: application._id.toString()
+        })));
+        res.json({ success: true, data: applications, analyzing: pending.length });
+    } catch (error) {
+        logger.error('Rank applicants error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load applications' });
+    }
+});
+
+/**
+ * @route   PATCH /api/jobs/:jobId/applications/:applicationId
+ * @desc    Move an application to reviewing, shortlisted, rejected or hired
+ * @access  Private (poster or admin)
+ */
+router.patch('/:jobId/applications/:applicationId', verifyToken, loadUser, loadJob, requirePoster, loadApplication, async (req, res) => {
+    try {
+        const { status } = req.body;
+        if (!APPLICATION_STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, message: `status must be one of: ${APPLICATION_STATUSES.join(', ')}` });
+        }
+
+        const result = await JobService.updateStatus(req.job, req.application, status, req.userId);
+        sendResult(res, result, 200, 'Application updated');
+    } catch (error) {
+        logger.error('Update application error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update application' });
+    }
+});
+
+/**
+ * @route   DELETE /api/jobs/:jobId/applications/:applicationId
+ * @desc    Withdraw an application. The applicant may re-apply later.
+ * @access  Private (applicant)
+ */
+router.delete('/:jobId/applications/:applicationId', verifyToken, loadUser, loadJob, loadApplication, requireApplicant, async (req, res) => {
+    try {
+        const result = await JobService.withdraw(req.application);
+        sendResult(res, result, 200, 'Application withdrawn');
+    } catch (error) {
+        logger.error('Withdraw application error:', error);
+        res.status(500).json({ success: false, message: 'Failed to withdraw application' });
+    }
+});
+
+/**
+ * @route   POST /api/jobs/:jobId/applications/:applicationId/referral
+ * @desc    Ask the posting alumnus for a referral. Body: note.
+ * @access  Private (applicant)
+ */
+router.post('/:jobId/applications/:applicationId/referral', verifyToken, loadUser, loadJob, loadApplication, requireApplicant, async (req, res) => {
+    try {
+        const result = await JobService.requestReferral(req.job, req.application, req.body.note);
+        sendResult(res, result, 200, 'Referral requested');
+    } catch (error) {
+        if (isValidationError(error)) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        logger.error('Request referral error:', error);
+        res.status(500).json({ success: false, message: 'Failed to request referral' });
+    }
+});
+
+/**
+ * @route   PATCH /api/jobs/:jobId/applications/:applicationId/referral
+ * @desc    Respond to a referral request. Body: decision (refer|decline),
+ *          recommendation (note to the hiring team when referring).
+ * @access  Private (poster or admin)
+ */
+router.patch('/:jobId/applications/:applicationId/referral', verifyToken, loadUser, loadJob, requirePoster, loadApplication, async (req, res) => {
+    try {
+        const { decision, recommendation } = req.body;
+        if (!['refer', 'decline'].includes(decision)) {
+            return res.status(400).json({ success: false, message: 'decision must be refer or decline' });
+        }
+
+        const result = await JobService.respondReferral(req.job, req.application, { decision, recommendation }, req.userId);
+        sendResult(res, result, 200, decision === 'refer' ? 'Candidate referred' : 'Referral declined');
+    } catch (error) {
+        if (isValidationError(error)) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        logger.error('Respond to referral error:', error);
+        res.status(500).json({ success: false, message: 'Failed to respond to referral' });
+    }
+});
+
+module.exports = router;
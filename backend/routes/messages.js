@@ -6,7 +6,7 @@ const UserMock = require('../mockdb/userDB');
 const { validateMessage, validateMessageId, checkValidation } = require('../middleware/validationMiddleware');
 const logger = require('../utils/logger');
 const { apiLimiter } = require('../middleware/rateLimitMiddleware');
-const { isValidMessageContent, isValidURL, isValidObjectId } = require('../utils/validators');
+const { isValidMessageContent, isValidURL, isValidObjectId, isValidEmoji } = require('../utils/validators');
 
 const { parsePaginationParams, paginateQuery, paginateArray } = require('../utils/pagination');
 const { cacheMiddleware, invalidateCache } = require('../middleware/cacheMiddleware');
@@ -18,10 +18,12 @@ const { hasPermission } = require('../config/roles');
 
 const { getIO, isUserOnline } = require('../socket');
 const NotificationService = require('../services/notificationService');
+const ConversationService = require('../services/conversationService');
+const MessageService = require('../services/messageService');
+const StoryService = require('../services/storyService');
 const router = express.Router();
 const jwt = require('jsonwebtoken');
 
-const router = express.Router();
 const JWT_SECRET =
   process.env.JWT_SECRET || "college_media_secret_key";
 
@@ -83,7 +85,7 @@ const verifyToken = (req, res, next) => {
  */
 router.post('/', verifyToken, validateMessage, checkValidation, invalidateCache(['user-conversations::userId', 'user-unread-count::userId']), async (req, res) => {
   try {
-    const { receiver, content, messageType, attachmentUrl } = req.body;
+    const { receiver, content, messageType, attachmentUrl, replyTo, storyId } = req.body;
 
     // Validate message content
     if (!isValidMessageContent(content)) {
@@ -122,12 +124,53 @@ router.post('/', verifyToken, validateMessage, checkValidation, invalidateCache(
         });
       }
 
+      if (
+        replyTo &&
+        !(await MessageService.isValidReplyTarget(
+          replyTo,
+          MessageMock.generateConversationId(req.userId, receiver),
+          req.userId,
+          useMongoDB
+        ))
+      ) {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          message: "Reply target must be a message in this conversation",
+        });
+      }
+
+      // Story replies land in the author's DMs with a snapshot of the story
+      let storyReply = null;
+      if (storyId) {
+        const viewer = useMongoDB ? await StoryService.loadViewer(req.userId) : null;
+        const found = await StoryService.getVisibleStory(storyId, viewer);
+
+        if (!found || found.story.user.toString() !== receiver) {
+          return res.status(400).json({
+            success: false,
+            data: null,
+            message: "Story is unavailable or does not belong to the receiver",
+          });
+        }
+
+        storyReply = {
+          story: found.story._id,
+          mediaType: found.story.mediaType,
+          mediaUrl: found.story.thumbnail || found.story.mediaUrl,
+          text: found.story.text,
+        };
+      }
+
       const messageData = {
         sender: req.userId,
         receiver,
         content,
         messageType: messageType || "text",
         attachmentUrl: attachmentUrl || null,
+        replyTo: replyTo || null,
+        storyReply,
+        receipts: MessageService.buildReceipts([receiver], req.userId),
       };
 
       let message;
@@ -144,10 +187,10 @@ router.post('/', verifyToken, validateMessage, checkValidation, invalidateCache(
           conversationId,
         });
 
-        message = await message.populate(
-          "sender receiver",
-          "username firstName lastName profilePicture"
-        );
+        message = await message.populate([
+          { path: "sender receiver", select: "username firstName lastName profilePicture" },
+          { path: "replyTo", select: "sender content messageType isEdited" },
+        ]);
       } else {
         message = await MessageMock.create(messageData);
       }
@@ -156,18 +199,24 @@ router.post('/', verifyToken, validateMessage, checkValidation, invalidateCache(
          🔌 DEPENDENCY CALL (Notification Service)
          - Failure will NOT break main flow
       -------------------------------------------------- */
-      const notificationResult = await req.callDependency(
-        {
-          method: "POST",
-          url: process.env.NOTIFICATION_SERVICE_URL || "https://example.com/notify",
-          data: {
-            userId: receiver,
-            type: "NEW_MESSAGE",
-            message: "You have received a new message",
+      if (typeof req.callDependency === 'function') {
+        await req.callDependency(
+          {
+            method: "POST",
+            url: process.env.NOTIFICATION_SERVICE_URL || "https://example.com/notify",
+            data: {
+              userId: receiver,
+              type: "NEW_MESSAGE",
+              message: "You have received a new message",
+            },
           },
-        },
-        { delivered: false } // ✅ fallback
-      );
+          { delivered: false } // ✅ fallback
+        );
+      }
+
+    const receiverUser = useMongoDB
+      ? await UserMongo.findById(receiver).select('firstName lastName username email')
+      : await UserMock.findById(receiver);
 
     // Invalidate receiver's cache manually
     try {
@@ -219,7 +268,52 @@ router.post('/', verifyToken, validateMessage, checkValidation, invalidateCache(
       message: 'Error sending message'
     });
   }
-);
+});
+
+/**
+ * @route   GET /api/messages/search?q=&page=&limit=
+ * @desc    Search the caller's own conversations (any term, case-insensitive substring)
+ * @access  Private
+ */
+router.get('/search', verifyToken, async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+
+    if (q.length < 2 || q.length > 100) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Search query must be 2-100 characters'
+      });
+    }
+
+    const { page, limit } = parsePaginationParams(req.query, { defaultLimit: 20, maxLimit: 50 });
+    const useMongoDB = req.app.get('dbConnection')?.useMongoDB;
+
+    const { results, total } = await MessageService.search(req.userId, q, { page, limit }, useMongoDB);
+
+    res.json({
+      success: true,
+      data: {
+        results,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalResults: total,
+          limit
+        }
+      },
+      message: 'Search completed successfully'
+    });
+  } catch (error) {
+    logger.error('Message search error:', error);
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Error searching messages'
+    });
+  }
+});
 
 /**
  * @route   GET /api/messages/conversations
@@ -234,6 +328,7 @@ router.get('/conversations', verifyToken, cacheMiddleware({ prefix: 'user-conver
     if (useMongoDB) {
       const messages = await MessageMongo.find({
         $or: [{ sender: req.userId }, { receiver: req.userId }],
+        conversation: null, // group threads are listed by /api/conversations
         deletedBy: { $nin: [req.userId] },
       })
         .populate(
@@ -258,16 +353,34 @@ router.get('/conversations', verifyToken, cacheMiddleware({ prefix: 'user-conver
         ) {
           map.get(msg.conversationId).unreadCount++;
         }
+      });
 
-        const conv = conversationMap.get(conversationId);
-        conv.messages.push(msg);
+      conversations = Array.from(map.values());
+    } else {
+      const allMessages = await MessageMock.find();
+      const map = new Map();
 
-        if (msg.receiver === req.userId && !msg.isRead) {
-          conv.unreadCount++;
-        }
-      });
+      allMessages
+        .filter(msg =>
+          !msg.conversation &&
+          (msg.sender === req.userId || msg.receiver === req.userId) &&
+          !msg.deletedBy.includes(req.userId)
+        )
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .forEach((msg) => {
+          if (!map.has(msg.conversationId)) {
+            map.set(msg.conversationId, {
+              conversationId: msg.conversationId,
+              lastMessage: msg,
+              unreadCount: 0,
+            });
+          }
+          if (msg.receiver === req.userId && !msg.isRead) {
+            map.get(msg.conversationId).unreadCount++;
+          }
+        });
 
-      conversations = Array.from(conversationMap.values());
+      conversations = Array.from(map.values());
     }
 
     res.json({
@@ -329,6 +442,16 @@ router.get('/conversation/:userId', verifyToken, cacheMiddleware({ prefix: 'user
       totalMessages = messages.length;
     }
 
+    // Fetching the thread counts as delivery of the caller's incoming messages
+    await MessageService.markReceipts(
+      messages
+        .filter(msg => (msg.receiver?._id || msg.receiver)?.toString() === req.userId)
+        .map(msg => msg._id.toString()),
+      req.userId,
+      'deliveredAt',
+      useMongoDB
+    );
+
     res.json({
       success: true,
       data: {
@@ -354,77 +477,258 @@ router.get('/conversation/:userId', verifyToken, cacheMiddleware({ prefix: 'user
 
 /**
  * @route   PUT /api/messages/:messageId/read
- * @desc    Mark a message as read
+ * @desc    Mark a message as read (records the caller's read receipt)
  * @access  Private
  */
 router.put('/:messageId/read', verifyToken, validateMessageId, checkValidation, invalidateCache(['user-conversations::userId', 'user-unread-count::userId']), async (req, res) => {
   try {
     const { messageId } = req.params;
-    const dbConnection = req.app.get('dbConnection');
-    const useMongoDB = dbConnection?.useMongoDB;
+    const useMongoDB = req.app.get('dbConnection')?.useMongoDB;
+    const store = MessageService.getStore(useMongoDB);
 
-    let message;
+    let message = await store.findByIdLean(messageId);
 
-    if (useMongoDB) {
-      message = await MessageMongo.findById(messageId);
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'Message not found'
+      });
+    }
 
-      if (!message) {
-        return res.status(404).json({
-          success: false,
-          data: null,
-          message: 'Message not found'
-        });
-      }
+    // Only recipients can mark as read
+    const isRecipient = (message.receipts || []).some(r => r.user.toString() === req.userId)
+      || (message.receiver && message.receiver.toString() === req.userId);
 
-      // Only receiver can mark as read
-      if (message.receiver.toString() !== req.userId) {
-        return res.status(403).json({
-          success: false,
-          data: null,
-          message: 'Not authorized to mark this message as read'
-        });
-      }
+    if (!isRecipient || !(await MessageService.canAccess(message, req.userId, useMongoDB))) {
+      return res.status(403).json({
+        success: false,
+        data: null,
+        message: 'Not authorized to mark this message as read'
+      });
+    }
 
-      if (!message.isRead) {
-        await message.markAsRead();
-      }
-    } else {
-      message = await MessageMock.findById(messageId);
+    await MessageService.markReceipts([messageId], req.userId, 'readAt', useMongoDB);
+    message = await store.findByIdLean(messageId);
 
-      if (!message) {
-        return res.status(404).json({
-          success: false,
-          data: null,
-          message: 'Message not found'
-        });
-      }
+    res.json({
+      success: true,
+      data: message,
+      message: 'Message marked as read'
+    });
+  } catch (error) {
+    logger.error('Mark message read error:', error);
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Error marking message as read'
+    });
+  }
+});
 
-      if (message.receiver !== req.userId) {
-        return res.status(403).json({
-          success: false,
-          data: null,
-          message: 'Not authorized to mark this message as read'
-        });
-      }
+/**
+ * @route   GET /api/messages/:messageId/receipts
+ * @desc    Per-recipient delivery/read receipts (sender only)
+ * @access  Private
+ */
+router.get('/:messageId/receipts', verifyToken, validateMessageId, checkValidation, async (req, res) => {
+  try {
+    const useMongoDB = req.app.get('dbConnection')?.useMongoDB;
+    const message = await MessageService.getStore(useMongoDB).findByIdLean(req.params.messageId);
 
-      if (!message.isRead) {
-        await MessageMock.updateOne(
-          { _id: messageId },
-          { $set: { isRead: true, readAt: new Date().toISOString() } }
-        );
-        message = await MessageMock.findById(messageId);
-      }
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'Message not found'
+      });
     }
 
+    if (message.sender.toString() !== req.userId) {
+      return res.status(403).json({
+        success: false,
+        data: null,
+        message: 'Only the sender can view receipts'
+      });
+    }
+
+    const receipts = message.receipts || [];
+
     res.json({
       success: true,
-      data: conversations,
-      payload: conversations,
-      meta: { apiVersion: req.apiVersion },
-      message: "Conversations retrieved successfully",
+      data: {
+        receipts,
+        deliveredCount: receipts.filter(r => r.deliveredAt).length,
+        readCount: receipts.filter(r => r.readAt).length,
+        recipientCount: receipts.length
+      },
+      message: 'Receipts retrieved successfully'
+    });
+  } catch (error) {
+    logger.error('Get receipts error:', error);
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Error retrieving receipts'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/messages/:messageId/reactions
+ * @desc    Toggle an emoji reaction on a message
+ * @access  Private
+ */
+router.post('/:messageId/reactions', verifyToken, validateMessageId, checkValidation, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { emoji } = req.body;
+    const useMongoDB = req.app.get('dbConnection')?.useMongoDB;
+    const store = MessageService.getStore(useMongoDB);
+
+    if (!isValidEmoji(emoji)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Reaction must be a single emoji'
+      });
+    }
+
+    const message = await store.findByIdLean(messageId);
+
+    if (!(await MessageService.canAccess(message, req.userId, useMongoDB))) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'Message not found'
+      });
+    }
+
+    const updated = await store.toggleReaction(messageId, req.userId, emoji);
+    await MessageService.invalidateCaches(await MessageService.getParticipantIds(updated, useMongoDB));
+
+    await MessageService.emitToParticipants(updated, 'message_reaction', {
+      messageId,
+      conversationId: updated.conversationId,
+      reactions: updated.reactions
+    }, useMongoDB);
+
+    res.json({
+      success: true,
+      data: { reactions: updated.reactions },
+      message: 'Reaction updated'
+    });
+  } catch (error) {
+    logger.error('Toggle reaction error:', error);
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Error updating reaction'
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/messages/:messageId
+ * @desc    Edit a message (sender only); previous content goes to editHistory
+ * @access  Private
+ */
+router.patch('/:messageId', verifyToken, validateMessageId, checkValidation, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { content } = req.body;
+    const useMongoDB = req.app.get('dbConnection')?.useMongoDB;
+    const store = MessageService.getStore(useMongoDB);
+
+    if (!isValidMessageContent(content)) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        message: 'Message content must be 1-2000 characters'
+      });
+    }
+
+    const message = await store.findByIdLean(messageId);
+
+    if (!(await MessageService.canAccess(message, req.userId, useMongoDB))) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'Message not found'
+      });
+    }
+
+    if (message.sender.toString() !== req.userId) {
+      return res.status(403).json({
+        success: false,
+        data: null,
+        message: 'Only the sender can edit this message'
+      });
+    }
+
+    const updated = content === message.content
+      ? message
+      : await store.editContent(messageId, content);
+
+    if (updated !== message) {
+      await MessageService.invalidateCaches(await MessageService.getParticipantIds(updated, useMongoDB));
+      await MessageService.emitToParticipants(updated, 'message_edited', {
+        messageId,
+        conversationId: updated.conversationId,
+        content: updated.content,
+        isEdited: true,
+        editedAt: updated.editedAt
+      }, useMongoDB);
+    }
+
+    res.json({
+      success: true,
+      data: updated,
+      message: 'Message updated successfully'
+    });
+  } catch (error) {
+    logger.error('Edit message error:', error);
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Error editing message'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/messages/:messageId/history
+ * @desc    Edit history of a message (conversation participants)
+ * @access  Private
+ */
+router.get('/:messageId/history', verifyToken, validateMessageId, checkValidation, async (req, res) => {
+  try {
+    const useMongoDB = req.app.get('dbConnection')?.useMongoDB;
+    const message = await MessageService.getStore(useMongoDB).findByIdLean(req.params.messageId);
+
+    if (!(await MessageService.canAccess(message, req.userId, useMongoDB))) {
+      return res.status(404).json({
+        success: false,
+        data: null,
+        message: 'Message not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        current: { content: message.content, editedAt: message.editedAt },
+        history: message.editHistory || []
+      },
+      message: 'Edit history retrieved successfully'
+    });
+  } catch (error) {
+    logger.error('Get message history error:', error);
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Error retrieving edit history'
     });
-  } catch (err) {
-    next(err);
   }
 });
 
@@ -548,6 +852,9 @@ router.get('/unread/count', verifyToken, cacheMiddleware({ prefix: 'user-unread-
 
     let unreadCount;
 
+    // Group conversations track read state per member, not per message
+    const groupUnreadCount = await ConversationService.countAllUnread(req.userId, useMongoDB);
+
     if (useMongoDB) {
       unreadCount = await MessageMongo.countDocuments({
         receiver: req.userId,
@@ -564,7 +871,11 @@ router.get('/unread/count', verifyToken, cacheMiddleware({ prefix: 'user-unread-
 
     res.json({
       success: true,
-      data: { unreadCount },
+      data: {
+        unreadCount: unreadCount + groupUnreadCount,
+        directUnreadCount: unreadCount,
+        groupUnreadCount
+      },
       message: 'Unread count retrieved successfully'
     });
   } catch (error) {
@@ -618,15 +929,25 @@ router.put('/conversation/:userId/read-all', verifyToken, invalidateCache(['user
       }
     }
 
+    // Per-recipient receipts (also tells the sender live)
+    await MessageService.markConversationRead(
+      MessageMock.generateConversationId(req.userId, userId),
+      req.userId,
+      useMongoDB
+    );
+
     res.json({
       success: true,
-      data: { unreadCount },
-      payload: { unreadCount },
-      meta: { apiVersion: req.apiVersion },
-      message: "Unread count retrieved successfully",
+      data: null,
+      message: 'Conversation marked as read'
+    });
+  } catch (error) {
+    logger.error('Mark conversation read error:', error);
+    res.status(500).json({
+      success: false,
+      data: null,
+      message: 'Error marking conversation as read'
     });
-  } catch (err) {
-    next(err);
   }
 });
 
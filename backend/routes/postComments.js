@@ -0,0 +1,378 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const jwt = require('jsonwebtoken');
+const Comment = require('../models/Comment');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const NotificationService = require('../services/notificationService');
+const logger = require('../utils/logger');
+const { apiLimiter } = require('../middleware/rateLimitMiddleware');
+const { paginateCursor } = require('../utils/pagination');
+const { isValidObjectId } = require('../utils/validators');
+const { hasPermission, PERMISSIONS } = require('../config/roles');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'college_media_secret_key';
+
+// Replies deeper than this are rejected so threads stay readable
+const MAX_COMMENT_DEPTH = 8;
+const MAX_PAGE_SIZE = 50;
+
+// Middleware to verify token
+const verifyToken = (req, res, next) => {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) return res.status(401).json({ success: false, message: 'No token' });
+    try {
+        const decoded = jwt.verify(token, JWT_SECRET);
+        req.userId = decoded.userId;
+        next();
+    } catch (error) {
+        res.status(401).json({ success: false, message: 'Invalid token' });
+    }
+};
+
+// Optional auth - doesn't fail if no token
+const optionalAuth = (req, res, next) => {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (token) {
+        try {
+            const decoded = jwt.verify(token, JWT_SECRET);
+            req.userId = decoded.userId;
+        } catch (e) { }
+    }
+    next();
+};
+
+// Resolve :postId, rejecting deleted posts
+const loadPost = async (req, res, next) => {
+    const { postId } = req.params;
+    if (!isValidObjectId(postId)) {
+        return res.status(400).json({ success: false, message: 'Invalid post ID' });
+    }
+
+    try {
+        const post = await Post.findOne({ _id: postId, isDeleted: false });
+        if (!post) return res.status(404).json({ success: false, message: 'Post not found' });
+        req.post = post;
+        next();
+    } catch (error) {
+        logger.error('Load post error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// Resolve :commentId within the current post
+const loadComment = async (req, res, next) => {
+    const { commentId } = req.params;
+    if (!isValidObjectId(commentId)) {
+        return res.status(400).json({ success: false, message: 'Invalid comment ID' });
+    }
+
+    try {
+        const comment = await Comment.findOne({ _id: commentId, post: req.post._id });
+        if (!comment) return res.status(404).json({ success: false, message: 'Comment not found' });
+        req.comment = comment;
+        next();
+    } catch (error) {
+        logger.error('Load comment error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+/**
+ * Shape a comment for API output. Deleted comments keep their place in the
+ * tree (so replies stay reachable) but lose their content and author.
+ */
+const serializeComment = (comment, userId) => {
+    const obj = comment.toObject();
+    delete obj.editHistory;
+
+    obj.likedByMe = !!userId && comment.likes.some(l => l.user.toString() === userId);
+    delete obj.likes;
+
+    if (comment.isDeleted) {
+        obj.content = '[deleted]';
+        obj.user = null;
+        obj.mentions = [];
+    }
+
+    return obj;
+};
+
+// Fetch one level of the tree with a cursor on _id (chronological order)
+const listLevel = async (req, parentComment) => {
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit) || 20));
+    const cursor = isValidObjectId(req.query.cursor) ? req.query.cursor : null;
+
+    const result = await paginateCursor(Comment, { post: req.post._id, parentComment }, {
+        limit,
+        cursor,
+        sort: '_id',
+        populate: { path: 'user', select: 'username firstName lastName profilePicture' }
+    });
+
+    return {
+        comments: result.data.map(c => serializeComment(c, req.userId)),
+        pagination: result.pagination
+    };
+};
+
+const canModerate = async (userId) => {
+    const user = await User.findById(userId).select('role');
+    return !!user && hasPermission(user.role, PERMISSIONS.DELETE_ANY_POST);
+};
+
+/**
+ * @swagger
+ * /api/posts/{postId}/comments:
+ *   get:
+ *     summary: List top-level comments of a post (cursor paginated)
+ *     tags: [Comments]
+ *     parameters:
+ *       - in: query
+ *         name: cursor
+ *         schema: { type: string }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer }
+ */
+router.get('/', optionalAuth, loadPost, async (req, res) => {
+    try {
+        const data = await listLevel(req, null);
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error('List comments error:', error);
+        res.status(500).json({ success: false, message: 'Failed to get comments' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/posts/{postId}/comments/{commentId}/replies:
+ *   get:
+ *     summary: List direct replies of a comment (cursor paginated, one depth at a time)
+ *     tags: [Comments]
+ */
+router.get('/:commentId/replies', optionalAuth, loadPost, loadComment, async (req, res) => {
+    try {
+        const data = await listLevel(req, req.comment._id);
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error('List replies error:', error);
+        res.status(500).json({ success: false, message: 'Failed to get replies' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/posts/{postId}/comments:
+ *   post:
+ *     summary: Comment on a post, or reply to a comment via parentCommentId
+ *     tags: [Comments]
+ */
+router.post('/', verifyToken, apiLimiter, loadPost, async (req, res) => {
+    try {
+        const { content, parentCommentId } = req.body;
+
+        if (!content || typeof content !== 'string' || !content.trim()) {
+            return res.status(400).json({ success: false, message: 'Comment content is required' });
+        }
+
+        let parent = null;
+        if (parentCommentId) {
+            if (!isValidObjectId(parentCommentId)) {
+                return res.status(400).json({ success: false, message: 'Invalid parent comment ID' });
+            }
+
+            parent = await Comment.findOne({ _id: parentCommentId, post: req.post._id });
+            if (!parent || parent.isDeleted) {
+                return res.status(404).json({ success: false, message: 'Parent comment not found' });
+            }
+            if (parent.depth + 1 > MAX_COMMENT_DEPTH) {
+                return res.status(400).json({ success: false, message: 'Maximum reply depth reached' });
+            }
+        }
+
+        const comment = await Comment.create({
+            post: req.post._id,
+            user: req.userId,
+            content,
+            parentComment: parent ? parent._id : null,
+            depth: parent ? parent.depth + 1 : 0
+        });
+
+        await Post.updateOne({ _id: req.post._id }, { $inc: { commentsCount: 1 } });
+        if (parent) await Comment.updateOne({ _id: parent._id }, { $inc: { repliesCount: 1 } });
+
+        // Notify the post author and, for replies, the parent comment author
+        const recipients = new Set([req.post.user?.toString()]);
+        if (parent) recipients.add(parent.user.toString());
+        recipients.delete(req.userId);
+        recipients.delete(undefined);
+
+        recipients.forEach(recipient => {
+            NotificationService.sendNotification({
+                recipient,
+                sender: req.userId,
+                type: 'comment',
+                post: req.post._id,
+                comment: comment._id,
+                content: content.substring(0, 100)
+            });
+        });
+
+        await comment.populate('user', 'username firstName lastName profilePicture');
+
+        res.status(201).json({
+            success: true,
+            data: serializeComment(comment, req.userId),
+            message: 'Comment created successfully'
+        });
+    } catch (error) {
+        logger.error('Create comment error:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/posts/{postId}/comments/{commentId}:
+ *   patch:
+ *     summary: Edit a comment (previous content is kept in the edit history)
+ *     tags: [Comments]
+ */
+router.patch('/:commentId', verifyToken, apiLimiter, loadPost, loadComment, async (req, res) => {
+    try {
+        const { content } = req.body;
+        const { comment } = req;
+
+        if (comment.user.toString() !== req.userId) {
+            return res.status(403).json({ success: false, message: 'Not authorized to edit this comment' });
+        }
+        if (comment.isDeleted) {
+            return res.status(410).json({ success: false, message: 'Comment has been deleted' });
+        }
+        if (!content || typeof content !== 'string' || !content.trim()) {
+            return res.status(400).json({ success: false, message: 'Comment content is required' });
+        }
+
+        if (content.trim() !== comment.content) {
+            await comment.edit(content);
+        }
+
+        res.json({
+            success: true,
+            data: serializeComment(comment, req.userId),
+            message: 'Comment updated successfully'
+        });
+    } catch (error) {
+        logger.error('Edit comment error:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/posts/{postId}/comments/{commentId}/history:
+ *   get:
+ *     summary: Get the edit history of a comment
+ *     tags: [Comments]
+ */
+router.get('/:commentId/history', optionalAuth, loadPost, loadComment, async (req, res) => {
+    const { comment } = req;
+
+    if (comment.isDeleted) {
+        return res.status(410).json({ success: false, message: 'Comment has been deleted' });
+    }
+
+    res.json({
+        success: true,
+        data: {
+            current: { content: comment.content, editedAt: comment.editedAt },
+            history: comment.editHistory
+        }
+    });
+});
+
+/**
+ * @swagger
+ * /api/posts/{postId}/comments/{commentId}:
+ *   delete:
+ *     summary: Soft delete a comment (author, post author or moderator)
+ *     tags: [Comments]
+ */
+router.delete('/:commentId', verifyToken, loadPost, loadComment, async (req, res) => {
+    try {
+        const { comment, post } = req;
+
+        if (comment.isDeleted) {
+            return res.json({ success: true, message: 'Comment deleted successfully' });
+        }
+
+        const isAllowed = comment.user.toString() === req.userId
+            || post.user?.toString() === req.userId
+            || await canModerate(req.userId);
+
+        if (!isAllowed) {
+            return res.status(403).json({ success: false, message: 'Not authorized to delete this comment' });
+        }
+
+        await comment.softDelete();
+
+        await Post.updateOne(
+            { _id: post._id, commentsCount: { $gt: 0 } },
+            { $inc: { commentsCount: -1 } }
+        );
+        if (comment.parentComment) {
+            await Comment.updateOne(
+                { _id: comment.parentComment, repliesCount: { $gt: 0 } },
+                { $inc: { repliesCount: -1 } }
+            );
+        }
+
+        res.json({ success: true, message: 'Comment deleted successfully' });
+    } catch (error) {
+        logger.error('Delete comment error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete comment' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/posts/{postId}/comments/{commentId}/like:
+ *   post:
+ *     summary: Like or unlike a comment
+ *     tags: [Comments]
+ */
+router.post('/:commentId/like', verifyToken, loadPost, loadComment, async (req, res) => {
+    try {
+        const { comment } = req;
+
+        if (comment.isDeleted) {
+            return res.status(410).json({ success: false, message: 'Comment has been deleted' });
+        }
+
+        await comment.toggleLike(req.userId);
+        const liked = comment.likes.some(l => l.user.toString() === req.userId);
+
+        if (liked && comment.user.toString() !== req.userId) {
+            NotificationService.sendNotification({
+                recipient: comment.user,
+                sender: req.userId,
+                type: 'like',
+                post: req.post._id,
+                comment: comment._id
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { liked, likesCount: comment.likesCount },
+            message: liked ? 'Comment liked' : 'Comment unliked'
+        });
+    } catch (error) {
+        logger.error('Like comment error:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+module.exports = router;
@@ -5,12 +5,20 @@ const Post = require('../models/Post');
 const User = require('../models/User');
 const ModerationService = require('../services/moderationService');
 const RecommendationEngine = require('../services/recommendationEngine');
+const RecommenderService = require('../services/recommender');
 const EventPublisher = require('../events/publisher');
 const AIModerator = require('../services/aiModerator');
 const logger = require('../utils/logger');
 const { apiLimiter } = require('../middleware/rateLimitMiddleware');
-const { checkPermission, PERMISSIONS } = require('../middleware/rbacMiddleware');
+const { hasPermission, PERMISSIONS } = require('../config/roles');
 const EmbeddingService = require('../services/embeddingService');
+const PollService = require('../services/pollService');
+const PostPublishService = require('../services/postPublishService');
+const ShareService = require('../services/shareService');
+const HashtagService = require('../services/hashtagService');
+const { syncPost } = require('../listeners/mongoSync');
+const { isValidObjectId } = require('../utils/validators');
+const { parsePaginationParams, paginateQuery } = require('../utils/pagination');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'college_media_secret_key';
 
@@ -91,49 +99,70 @@ router.get('/users/recommended', verifyToken, async (req, res) => {
     }
 });
 
+const CREATED_MESSAGES = {
+    draft: 'Draft saved successfully',
+    scheduled: 'Post scheduled successfully',
+    published: 'Post created successfully'
+};
+
 /**
  * @swagger
  * /api/v1/posts:
  *   post:
- *     summary: Create a new post
+ *     summary: Create a new post, or save it as a draft (status draft) or schedule it (scheduledAt)
  *     tags: [Posts]
  */
 router.post('/', verifyToken, apiLimiter, async (req, res) => {
     try {
-        const { content, tags, visibility, images } = req.body;
+        const { content, tags, visibility, images, postType } = req.body;
+
+        if (postType === 'shared') {
+            return res.status(400).json({ success: false, message: 'Use the repost or quote endpoints to share a post' });
+        }
+
+        const publishing = PostPublishService.resolveState(req.body);
+        if (publishing.error) {
+            return res.status(publishing.status).json({ success: false, message: publishing.error });
+        }
+        const { status, scheduledAt } = publishing.state;
 
+        let poll;
+        if (postType === 'poll') {
+            // A scheduled poll's duration counts from its publish time
+            const built = PollService.build(req.body.poll, scheduledAt || new Date());
+            if (built.error) {
+                return res.status(built.status).json({ success: false, message: built.error });
+            }
+            poll = built.poll;
+        }
 
+        // A poll's question doubles as its text when no caption is given
+        const text = content || poll?.question;
+        const entities = await HashtagService.entities(text, tags, req.userId);
 
         const post = await Post.create({
-            author: req.userId,
-            content,
-            tags,
+            user: req.userId,
+            content: text,
+            postType,
+            poll,
+            tags: entities.tags,
+            mentions: entities.mentions,
             visibility,
-            images
+            images,
+            status,
+            scheduledAt,
+            publishedAt: status === 'published' ? new Date() : undefined
         });
 
-        // 🧠 Generate Embedding Asynchronously
-        if (content) {
-            EmbeddingService.generateEmbedding(content)
-                .then(vector => {
-                    if (vector) {
-                        post.embedding = vector;
-                        post.save().catch(err => logger.error('Embedding Save Error', err));
-                    }
-                })
-                .catch(err => logger.error('Embedding Generation Failed', err));
+        // Drafts and scheduled posts are moderated and indexed when they go live
+        if (status === 'published') {
+            PostPublishService.afterPublish(post, { image: images && images.length > 0 ? images[0] : null });
         }
 
-        // Trigger AI Moderation Scan
-        AIModerator.scan(post._id, 'Post', content, images && images.length > 0 ? images[0] : null);
-
-        // Update targetId for content safety check
-        ModerationService.checkAndFlag(content, 'Post', post._id, req.userId);
-
         res.status(201).json({
             success: true,
             data: post,
-            message: 'Post created successfully'
+            message: CREATED_MESSAGES[status]
         });
     } catch (error) {
         logger.error('Create post error:', error);
@@ -158,9 +187,9 @@ router.post('/:postId/like', verifyToken, async (req, res) => {
         // Update like count and get post
         const post = await Post.findByIdAndUpdate(postId, { $inc: { likeCount: 1 } }, { new: true });
 
-        if (post && post.author.toString() !== req.userId) {
+        if (post && post.user.toString() !== req.userId) {
             EventPublisher.publish('POST_LIKED', {
-                targetUserId: post.author,
+                targetUserId: post.user,
                 actorId: req.userId,
                 postId: post._id
             });
@@ -220,10 +249,580 @@ router.get('/', optionalAuth, async (req, res) => {
             .skip((page - 1) * limit)
             .limit(parseInt(limit));
 
-        res.json({ success: true, data: posts });
+        res.json({ success: true, data: await ShareService.attachShared(posts, req.userId) });
     } catch (error) {
         res.status(500).json({ success: false, message: 'Server error' });
     }
 });
 
+// The caller's own drafts or scheduled posts
+const listOwnPosts = (req, status, sort) => {
+    const { page, limit } = parsePaginationParams(req.query, { defaultLimit: 20, maxLimit: 50 });
+    return paginateQuery(Post, { user: req.userId, status, isDeleted: false }, { page, limit, sort });
+};
+
+/**
+ * @swagger
+ * /api/v1/posts/drafts:
+ *   get:
+ *     summary: Get the caller's drafts (most recently updated first)
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/drafts', verifyToken, async (req, res) => {
+    try {
+        const { data, pagination } = await listOwnPosts(req, 'draft', '-updatedAt');
+        res.json({ success: true, data, pagination, message: 'Drafts retrieved' });
+    } catch (error) {
+        logger.error('Get drafts error:', error);
+        res.status(500).json({ success: false, message: 'Failed to get drafts' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/posts/scheduled:
+ *   get:
+ *     summary: Get the caller's scheduled posts (next to publish first)
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/scheduled', verifyToken, async (req, res) => {
+    try {
+        const { data, pagination } = await listOwnPosts(req, 'scheduled', 'scheduledAt');
+        res.json({ success: true, data, pagination, message: 'Scheduled posts retrieved' });
+    } catch (error) {
+        logger.error('Get scheduled posts error:', error);
+        res.status(500).json({ success: false, message: 'Failed to get scheduled posts' });
+    }
+});
+
+// Fields an author may change after publishing
+const EDITABLE_FIELDS = ['content', 'tags', 'visibility'];
+
+// Resolve :postId (with its revision history), rejecting deleted posts.
+// Drafts and scheduled posts resolve for their author only.
+const loadPost = async (req, res, next) => {
+    const { postId } = req.params;
+    if (!isValidObjectId(postId)) {
+        return res.status(400).json({ success: false, message: 'Invalid post ID' });
+    }
+
+    try {
+        const post = await Post.findOne({ _id: postId, isDeleted: false })
+            .setOptions({ includeUnpublished: true })
+            .select('+revisions');
+        if (!post || (post.status !== 'published' && post.user.toString() !== req.userId)) {
+            return res.status(404).json({ success: false, message: 'Post not found' });
+        }
+        req.post = post;
+        next();
+    } catch (error) {
+        logger.error('Load post error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+const canModerate = async (userId) => {
+    const user = await User.findById(userId).select('role');
+    return !!user && hasPermission(user.role, PERMISSIONS.DELETE_ANY_POST);
+};
+
+// Post output without the revision history
+const serializePost = (post) => {
+    const obj = post.toJSON();
+    delete obj.revisions;
+    return obj;
+};
+
+/**
+ * @swagger
+ * /api/v1/posts/{postId}:
+ *   patch:
+ *     summary: Edit a post's content, tags or visibility (previous version is kept as a revision). Drafts and scheduled posts can also be rescheduled, turned into drafts or published.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.patch('/:postId', verifyToken, apiLimiter, loadPost, async (req, res) => {
+    try {
+        const { post } = req;
+
+        if (post.user.toString() !== req.userId) {
+            return res.status(403).json({ success: false, message: 'Not authorized to edit this post' });
+        }
+        if (req.body.poll !== undefined || req.body.postType !== undefined) {
+            return res.status(400).json({ success: false, message: 'Post type and poll options cannot be edited' });
+        }
+        if (post.shareKind === 'repost') {
+            return res.status(400).json({ success: false, message: 'Reposts cannot be edited' });
+        }
+        if (req.body.content !== undefined && (typeof req.body.content !== 'string' || !req.body.content.trim())) {
+            return res.status(400).json({ success: false, message: 'Post content is required' });
+        }
+        if (req.body.tags !== undefined && (!Array.isArray(req.body.tags) || req.body.tags.some(tag => typeof tag !== 'string'))) {
+            return res.status(400).json({ success: false, message: 'tags must be an array of strings' });
+        }
+
+        const unpublished = Post.UNPUBLISHED_STATUSES.includes(post.status);
+        const { status, scheduledAt } = req.body;
+        let publishing;
+        if (status !== undefined || (scheduledAt !== undefined && scheduledAt !== null)) {
+            if (!unpublished && (status !== 'published' || scheduledAt != null)) {
+                return res.status(400).json({ success: false, message: 'Published posts cannot be scheduled or turned back into drafts' });
+            }
+            if (unpublished) {
+                publishing = PostPublishService.resolveState({ status, scheduledAt });
+                if (publishing.error) {
+                    return res.status(publishing.status).json({ success: false, message: publishing.error });
+                }
+            }
+        }
+
+        const changes = {};
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] === undefined) return;
+            let value = req.body[field];
+            if (field === 'content') value = value.trim();
+            // Stored tags are trimmed and lowercased, so compare them that way
+            if (field === 'tags') value = value.map(tag => tag.trim().toLowerCase());
+            const current = field === 'tags' ? [...(post.tags || [])] : post[field];
+            if (JSON.stringify(value) !== JSON.stringify(current)) changes[field] = value;
+        });
+
+        // #tags and @mentions written in the text follow the text
+        let newMentions = [];
+        if (changes.content !== undefined || changes.tags !== undefined) {
+            const text = changes.content ?? post.content;
+            const entities = await HashtagService.entities(text, changes.tags, req.userId);
+            const tags = changes.tags !== undefined ? entities.tags : HashtagService.retag(post.tags, post.content, text);
+            if (JSON.stringify(tags) !== JSON.stringify([...(post.tags || [])])) changes.tags = tags;
+            else delete changes.tags;
+
+            const previous = new Set((post.mentions || []).map(String));
+            const mentions = entities.mentions.map(String);
+            if (changes.content !== undefined && (mentions.length !== previous.size || mentions.some(id => !previous.has(id)))) {
+                changes.mentions = entities.mentions;
+                newMentions = entities.mentions.filter(id => !previous.has(id.toString()));
+            }
+        }
+
+        if (unpublished) {
+            // Nobody has seen it yet: edit in place, without a revision.
+            // Moderation and indexing happen when it is published.
+            const from = post.status;
+            Object.assign(post, changes);
+            if (publishing && publishing.state.status !== 'published') Object.assign(post, publishing.state);
+            // Fails if the scheduler publishes the post in the meantime
+            post.$where = { status: from };
+            await post.save();
+
+            if (publishing?.state.status === 'published') {
+                const result = await PostPublishService.publish(post._id, { from: [post.status] });
+                if (result.error) {
+                    return res.status(result.status).json({ success: false, message: result.error });
+                }
+                return res.json({ success: true, data: serializePost(result.post), message: 'Post published successfully' });
+            }
+
+            return res.json({ success: true, data: serializePost(post), message: 'Post updated successfully' });
+        }
+
+        if (!Object.keys(changes).length) {
+            return res.json({ success: true, data: serializePost(post), message: 'No changes to save' });
+        }
+
+        await post.edit(changes, req.userId);
+
+        if (changes.content !== undefined) {
+            // Re-check the new text; the previous verdict no longer applies
+            AIModerator.scan(post._id, 'Post', post.content, null);
+            ModerationService.checkAndFlag(post.content, 'Post', post._id, req.userId);
+
+            EmbeddingService.generateEmbedding(post.content)
+                .then(vector => {
+                    if (vector) return Post.updateOne({ _id: post._id }, { $set: { embedding: vector } });
+                })
+                .catch(err => logger.error('Embedding Generation Failed', err));
+        }
+
+        syncPost(post).catch(err => logger.error('Post search sync error:', err));
+        // Only people newly mentioned by this edit
+        if (newMentions.length) {
+            HashtagService.notifyMentions(post, newMentions).catch(err => logger.error('Mention notification error:', err));
+        }
+
+        res.json({
+            success: true,
+            data: serializePost(post),
+            message: 'Post updated successfully'
+        });
+    } catch (error) {
+        if (error.name === 'VersionError' || error.name === 'DocumentNotFoundError') {
+            return res.status(409).json({ success: false, message: 'The post was changed by another request. Reload and try again.' });
+        }
+        logger.error('Edit post error:', error);
+        res.status(400).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/posts/{postId}/revisions:
+ *   get:
+ *     summary: Get the revision history of a post (author or moderator)
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/:postId/revisions', verifyToken, loadPost, async (req, res) => {
+    try {
+        const { post } = req;
+
+        if (post.user.toString() !== req.userId && !(await canModerate(req.userId))) {
+            return res.status(403).json({ success: false, message: 'Not authorized to view revisions of this post' });
+        }
+
+        await post.populate('revisions.editedBy', 'username firstName lastName profilePicture');
+
+        res.json({
+            success: true,
+            data: {
+                current: {
+                    content: post.content,
+                    tags: post.tags,
+                    visibility: post.visibility,
+                    isEdited: post.isEdited,
+                    editedAt: post.editedAt
+                },
+                // Newest first
+                revisions: [...post.revisions].reverse()
+            },
+            message: 'Post revisions retrieved'
+        });
+    } catch (error) {
+        logger.error('Get post revisions error:', error);
+        res.status(500).json({ success: false, message: 'Failed to get revisions' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/posts/{postId}/publish:
+ *   post:
+ *     summary: Publish a draft or scheduled post now
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:postId/publish', verifyToken, apiLimiter, loadPost, async (req, res) => {
+    try {
+        const { post } = req;
+
+        if (post.user.toString() !== req.userId) {
+            return res.status(403).json({ success: false, message: 'Not authorized to publish this post' });
+        }
+        if (post.status === 'published') {
+            return res.status(400).json({ success: false, message: 'Post is already published' });
+        }
+
+        const result = await PostPublishService.publish(post._id, { from: [post.status] });
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+
+        res.json({ success: true, data: serializePost(result.post), message: 'Post published successfully' });
+    } catch (error) {
+        logger.error('Publish post error:', error);
+        res.status(500).json({ success: false, message: 'Failed to publish post' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/posts/{postId}/schedule:
+ *   delete:
+ *     summary: Cancel a scheduled post (it is kept as a draft)
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:postId/schedule', verifyToken, loadPost, async (req, res) => {
+    try {
+        const { post } = req;
+
+        if (post.user.toString() !== req.userId) {
+            return res.status(403).json({ success: false, message: 'Not authorized to change this post' });
+        }
+
+        // Conditional on the status so a post the scheduler just published stays published
+        const draft = await Post.findOneAndUpdate(
+            { _id: post._id, status: 'scheduled' },
+            { $set: { status: 'draft' }, $unset: { scheduledAt: 1 } },
+            { new: true }
+        );
+        if (!draft) {
+            return res.status(409).json({ success: false, message: 'Post is not scheduled' });
+        }
+
+        res.json({ success: true, data: draft, message: 'Schedule cancelled, post kept as a draft' });
+    } catch (error) {
+        logger.error('Cancel scheduled post error:', error);
+        res.status(500).json({ success: false, message: 'Failed to cancel scheduled post' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/posts/{postId}/repost:
+ *   post:
+ *     summary: Repost a public post (reposting a repost shares the original)
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:postId/repost', verifyToken, apiLimiter, async (req, res) => {
+    try {
+        if (!isValidObjectId(req.params.postId)) {
+            return res.status(400).json({ success: false, message: 'Invalid post ID' });
+        }
+
+        const result = await ShareService.share(req.userId, req.params.postId, { kind: 'repost' });
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+
+        res.status(201).json({ success: true, data: result.post, message: 'Post reposted successfully' });
+    } catch (error) {
+        logger.error('Repost error:', error);
+        res.status(500).json({ success: false, message: 'Failed to repost' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/posts/{postId}/repost:
+ *   delete:
+ *     summary: Undo a repost
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:postId/repost', verifyToken, async (req, res) => {
+    try {
+        if (!isValidObjectId(req.params.postId)) {
+            return res.status(400).json({ success: false, message: 'Invalid post ID' });
+        }
+
+        const result = await ShareService.unrepost(req.userId, req.params.postId);
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+
+        res.json({ success: true, message: 'Repost removed' });
+    } catch (error) {
+        logger.error('Undo repost error:', error);
+        res.status(500).json({ success: false, message: 'Failed to remove repost' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/posts/{postId}/quote:
+ *   post:
+ *     summary: Quote a public post with your own text
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:postId/quote', verifyToken, apiLimiter, async (req, res) => {
+    try {
+        const { content, visibility } = req.body;
+        if (!isValidObjectId(req.params.postId)) {
+            return res.status(400).json({ success: false, message: 'Invalid post ID' });
+        }
+        if (typeof content !== 'string' || !content.trim()) {
+            return res.status(400).json({ success: false, message: 'A quote needs some text' });
+        }
+
+        const result = await ShareService.share(req.userId, req.params.postId, { kind: 'quote', content, visibility });
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+
+        const [data] = await ShareService.attachShared([result.post], req.userId);
+        res.status(201).json({ success: true, data, message: 'Post quoted successfully' });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        logger.error('Quote post error:', error);
+        res.status(500).json({ success: false, message: 'Failed to quote post' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/posts/{postId}/attribution:
+ *   get:
+ *     summary: Get the chain of posts a share points back to, ending at the original (or a tombstone)
+ *     tags: [Posts]
+ */
+router.get('/:postId/attribution', optionalAuth, async (req, res) => {
+    try {
+        const { postId } = req.params;
+        if (!isValidObjectId(postId)) {
+            return res.status(400).json({ success: false, message: 'Invalid post ID' });
+        }
+
+        const post = await Post.findOne({ _id: postId, isDeleted: false });
+        if (!post || !(await post.isVisibleTo(req.userId))) {
+            return res.status(404).json({ success: false, message: 'Post not found' });
+        }
+
+        res.json({
+            success: true,
+            data: await ShareService.attribution(post, req.userId),
+            message: 'Attribution retrieved'
+        });
+    } catch (error) {
+        logger.error('Get attribution error:', error);
+        res.status(500).json({ success: false, message: 'Failed to get attribution' });
+    }
+});
+
+// Resolve :postId to a poll post the user may see
+const loadPoll = async (req, res, next) => {
+    const { postId } = req.params;
+    if (!isValidObjectId(postId)) {
+        return res.status(400).json({ success: false, message: 'Invalid post ID' });
+    }
+
+    try {
+        const post = await Post.findOne({ _id: postId, isDeleted: false, postType: 'poll' });
+        if (!post || !(await post.isVisibleTo(req.userId))) {
+            return res.status(404).json({ success: false, message: 'Poll not found' });
+        }
+        req.post = post;
+        next();
+    } catch (error) {
+        logger.error('Load poll error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+/**
+ * @swagger
+ * /api/v1/posts/{postId}/poll:
+ *   get:
+ *     summary: Get poll results (final snapshot once closed) and the caller's votes
+ *     tags: [Posts]
+ */
+router.get('/:postId/poll', optionalAuth, loadPoll, async (req, res) => {
+    try {
+        let post = req.post;
+        // Expired polls are closed on first read if the scheduler has not got to them yet
+        if (PollService.isClosed(post) && !post.poll.closedAt) {
+            const closed = await PollService.close(post._id);
+            post = closed.post || await Post.findById(post._id);
+        }
+
+        res.json({
+            success: true,
+            data: await PollService.results(post, req.userId),
+            message: 'Poll results retrieved'
+        });
+    } catch (error) {
+        logger.error('Get poll error:', error);
+        res.status(500).json({ success: false, message: 'Failed to get poll' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/posts/{postId}/poll/vote:
+ *   post:
+ *     summary: Vote with { optionIds } (one id unless the poll is multi-choice); replaces an earlier vote when vote changes are allowed
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:postId/poll/vote', verifyToken, apiLimiter, loadPoll, async (req, res) => {
+    try {
+        const { optionIds, optionId } = req.body;
+        const result = await PollService.vote(req.post, req.userId, optionIds ?? optionId);
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+
+        res.json({
+            success: true,
+            data: result.results,
+            message: result.changed ? 'Vote changed' : 'Vote recorded'
+        });
+    } catch (error) {
+        logger.error('Poll vote error:', error);
+        res.status(500).json({ success: false, message: 'Failed to record vote' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/posts/{postId}/poll/vote:
+ *   delete:
+ *     summary: Remove the caller's vote while the poll is open
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:postId/poll/vote', verifyToken, apiLimiter, loadPoll, async (req, res) => {
+    try {
+        const result = await PollService.unvote(req.post, req.userId);
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+
+        res.json({ success: true, data: result.results, message: 'Vote removed' });
+    } catch (error) {
+        logger.error('Poll unvote error:', error);
+        res.status(500).json({ success: false, message: 'Failed to remove vote' });
+    }
+});
+
+/**
+ * @swagger
+ * /api/v1/posts/{postId}/poll/close:
+ *   post:
+ *     summary: End the poll early and freeze the final results (author only)
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/:postId/poll/close', verifyToken, loadPoll, async (req, res) => {
+    try {
+        if (req.post.user.toString() !== req.userId) {
+            return res.status(403).json({ success: false, message: 'Only the author can close this poll' });
+        }
+
+        const result = await PollService.close(req.post._id);
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+
+        res.json({
+            success: true,
+            data: await PollService.results(result.post, req.userId),
+            message: 'Poll closed'
+        });
+    } catch (error) {
+        logger.error('Close poll error:', error);
+        res.status(500).json({ success: false, message: 'Failed to close poll' });
+    }
+});
+
+// Threaded comments: /api/posts/:postId/comments
+router.use('/:postId/comments', require('./postComments'));
+
 module.exports = router;
@@ -0,0 +1,440 @@
+const express = require('express');
+const router = express.Router();
+const jwt = require('jsonwebtoken');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const User = require('../models/User');
+const QuizService = require('../services/quizService');
+const logger = require('../utils/logger');
+const { apiLimiter } = require('../middleware/rateLimitMiddleware');
+const { paginateCursor } = require('../utils/pagination');
+const { isValidObjectId } = require('../utils/validators');
+const { hasPermission, PERMISSIONS } = require('../config/roles');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'college_media_secret_key';
+
+const EDITABLE_FIELDS = [
+    'title', 'description', 'questions', 'pools', 'shuffleOptions', 'timeLimitSec',
+    'maxAttempts', 'passPercent', 'xpReward', 'badges', 'requiresProctoring', 'isPublished'
+];
+
+router.use(apiLimiter);
+
+// Middleware to verify token
+const verifyToken = (req, res, next) => {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) return res.status(401).json({ success: false, message: 'No token' });
+    try {
+        const decoded = jwt.verify(token, JWT_SECRET);
+        req.userId = decoded.userId;
+        next();
+    } catch (error) {
+        res.status(401).json({ success: false, message: 'Invalid token' });
+    }
+};
+
+// Resolve the caller's role once per request
+const loadRole = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.userId).select('role');
+        if (!user) return res.status(401).json({ success: false, message: 'User not found' });
+
+        req.canManage = hasPermission(user.role, PERMISSIONS.MANAGE_QUIZZES);
+        req.isAdmin = user.role === 'admin';
+        next();
+    } catch (error) {
+        logger.error('Load role error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+const requireInstructor = (req, res, next) => {
+    if (!req.canManage) {
+        return res.status(403).json({ success: false, message: 'Instructor access required' });
+    }
+    next();
+};
+
+const loadQuizById = async (req, res, quizId) => {
+    const quiz = await Quiz.findById(quizId);
+    if (!quiz) {
+        res.status(404).json({ success: false, message: 'Quiz not found' });
+        return null;
+    }
+
+    req.ownsQuiz = req.isAdmin || quiz.createdBy.toString() === req.userId;
+    if (!quiz.isPublished && !req.ownsQuiz) {
+        res.status(404).json({ success: false, message: 'Quiz not found' });
+        return null;
+    }
+
+    req.quiz = quiz;
+    return quiz;
+};
+
+// Resolve :quizId. Students only see published quizzes.
+const loadQuiz = async (req, res, next) => {
+    if (!isValidObjectId(req.params.quizId)) {
+        return res.status(400).json({ success: false, message: 'Invalid quiz ID' });
+    }
+
+    try {
+        if (await loadQuizById(req, res, req.params.quizId)) next();
+    } catch (error) {
+        logger.error('Load quiz error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// Resolve :attemptId and its quiz. Visible to the student and the quiz owner.
+const loadAttempt = async (req, res, next) => {
+    const { attemptId } = req.params;
+    if (!isValidObjectId(attemptId)) {
+        return res.status(400).json({ success: false, message: 'Invalid attempt ID' });
+    }
+
+    try {
+        const attempt = await QuizAttempt.findById(attemptId);
+        if (!attempt) {
+            return res.status(404).json({ success: false, message: 'Attempt not found' });
+        }
+
+        req.ownsAttempt = attempt.user.toString() === req.userId;
+        if (!(await loadQuizById(req, res, attempt.quiz))) return;
+
+        if (!req.ownsAttempt && !req.ownsQuiz) {
+            return res.status(404).json({ success: false, message: 'Attempt not found' });
+        }
+
+        req.attempt = attempt;
+        next();
+    } catch (error) {
+        logger.error('Load attempt error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+const requireOwner = (req, res, next) => {
+    if (!req.ownsQuiz) {
+        return res.status(403).json({ success: false, message: 'Not authorized' });
+    }
+    next();
+};
+
+const pickEditable = (body) => Object.fromEntries(
+    EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+const parseLimit = (value, fallback = 20) => Math.min(100, Math.max(1, parseInt(value) || fallback));
+
+// Attempt as returned to clients: live questions while running, a review once finished
+const attemptView = (quiz, attempt) => {
+    const base = {
+        _id: attempt._id,
+        quiz: attempt.quiz,
+        status: attempt.status,
+        startedAt: attempt.startedAt,
+        expiresAt: attempt.expiresAt,
+        examSession: attempt.examSession
+    };
+
+    if (!attempt.isFinished()) {
+        return {
+            ...base,
+            serverTime: new Date(),
+            questions: QuizService.presentQuestions(quiz, attempt),
+            answers: attempt.answers.map(a => ({ questionId: a.questionId, response: a.response }))
+        };
+    }
+
+    return {
+        ...base,
+        submittedAt: attempt.submittedAt,
+        timeTakenSec: attempt.timeTakenSec,
+        score: attempt.score,
+        maxScore: attempt.maxScore,
+        percent: attempt.percent,
+        passed: attempt.passed,
+        xpAwarded: attempt.xpAwarded,
+        badgesAwarded: attempt.badgesAwarded,
+        integrityScore: attempt.integrityScore,
+        review: QuizService.reviewAttempt(quiz, attempt)
+    };
+};
+
+/**
+ * @route   POST /api/quizzes
+ * @desc    Create a quiz (MCQ, multi-select, numeric and short-answer questions)
+ * @access  Private (instructors)
+ */
+router.post('/', verifyToken, loadRole, requireInstructor, async (req, res) => {
+    try {
+        const quiz = await Quiz.create({
+            ...pickEditable(req.body),
+            createdBy: req.userId
+        });
+
+        res.status(201).json({ success: true, data: quiz, message: 'Quiz created' });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        logger.error('Create quiz error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create quiz' });
+    }
+});
+
+/**
+ * @route   GET /api/quizzes
+ * @desc    Published quizzes; instructors also get their drafts (?mine=true for only their own)
+ * @access  Private
+ */
+router.get('/', verifyToken, loadRole, async (req, res) => {
+    try {
+        const filter = req.canManage && req.query.mine === 'true'
+            ? { createdBy: req.userId }
+            : { $or: [{ isPublished: true }, ...(req.canManage ? [{ createdBy: req.userId }] : [])] };
+
+        const quizzes = await Quiz.find(filter)
+            .sort({ createdAt: -1 })
+            .populate('createdBy', 'username firstName lastName');
+
+        res.json({ success: true, data: quizzes.map(q => q.toStudentJSON()) });
+    } catch (error) {
+        logger.error('List quizzes error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load quizzes' });
+    }
+});
+
+/**
+ * @route   GET /api/quizzes/leaderboard
+ * @desc    Users ranked by total quiz XP, with the caller's own rank and badges
+ * @access  Private
+ */
+router.get('/leaderboard', verifyToken, async (req, res) => {
+    try {
+        const data = await QuizService.getXpLeaderboard(req.userId, parseLimit(req.query.limit));
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error('XP leaderboard error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load leaderboard' });
+    }
+});
+
+/**
+ * @route   GET /api/quizzes/attempts/:attemptId
+ * @desc    An attempt: questions and saved answers while running, scored review once finished
+ * @access  Private (student or quiz owner)
+ */
+router.get('/attempts/:attemptId', verifyToken, loadRole, loadAttempt, async (req, res) => {
+    try {
+        await QuizService.closeIfExpired(req.quiz, req.attempt);
+        const attempt = req.attempt.isFinished() ? req.attempt : await QuizAttempt.findById(req.attempt._id);
+
+        res.json({ success: true, data: attemptView(req.quiz, attempt) });
+    } catch (error) {
+        logger.error('Get attempt error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load attempt' });
+    }
+});
+
+/**
+ * @route   PUT /api/quizzes/attempts/:attemptId/answers
+ * @desc    Save answers ({ answers: [{ questionId, response }] }) without submitting
+ * @access  Private (student)
+ */
+router.put('/attempts/:attemptId/answers', verifyToken, loadRole, loadAttempt, async (req, res) => {
+    if (!req.ownsAttempt) {
+        return res.status(403).json({ success: false, message: 'Not authorized' });
+    }
+
+    try {
+        const result = await QuizService.saveAnswers(req.quiz, req.attempt, req.body.answers);
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+
+        res.json({ success: true, data: result });
+    } catch (error) {
+        logger.error('Save answers error:', error);
+        res.status(500).json({ success: false, message: 'Failed to save answers' });
+    }
+});
+
+/**
+ * @route   POST /api/quizzes/attempts/:attemptId/submit
+ * @desc    Finish an attempt (optionally saving final answers first) and score it
+ * @access  Private (student)
+ */
+router.post('/attempts/:attemptId/submit', verifyToken, loadRole, loadAttempt, async (req, res) => {
+    if (!req.ownsAttempt) {
+        return res.status(403).json({ success: false, message: 'Not authorized' });
+    }
+
+    try {
+        const { quiz, attempt } = req;
+        if (attempt.isFinished()) {
+            return res.status(400).json({ success: false, message: 'Attempt is already finished' });
+        }
+
+        // Final answers are only taken before the deadline; afterwards the saved ones count
+        if (Array.isArray(req.body.answers) && req.body.answers.length && !QuizService.isPastDeadline(attempt)) {
+            const saved = await QuizService.saveAnswers(quiz, attempt, req.body.answers);
+            if (saved.error) {
+                return res.status(saved.status).json({ success: false, message: saved.error });
+            }
+        }
+
+        const fresh = await QuizAttempt.findById(attempt._id);
+        const finished = await QuizService.finishAttempt(quiz, fresh);
+
+        res.json({ success: true, data: attemptView(quiz, finished) });
+    } catch (error) {
+        logger.error('Submit attempt error:', error);
+        res.status(500).json({ success: false, message: 'Failed to submit attempt' });
+    }
+});
+
+/**
+ * @route   GET /api/quizzes/:quizId
+ * @desc    Quiz details; the question bank and answers are only returned to the owner
+ * @access  Private
+ */
+router.get('/:quizId', verifyToken, loadRole, loadQuiz, async (req, res) => {
+    try {
+        if (req.ownsQuiz) {
+            return res.json({ success: true, data: req.quiz });
+        }
+
+        const attempts = await QuizAttempt.find({ quiz: req.quiz._id, user: req.userId })
+            .select('status percent passed startedAt expiresAt submittedAt')
+            .sort({ createdAt: -1 })
+            .lean();
+
+        res.json({
+            success: true,
+            data: {
+                ...req.quiz.toStudentJSON(),
+                myAttempts: attempts,
+                attemptsLeft: req.quiz.maxAttempts ? Math.max(0, req.quiz.maxAttempts - attempts.length) : null
+            }
+        });
+    } catch (error) {
+        logger.error('Get quiz error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load quiz' });
+    }
+});
+
+/**
+ * @route   PATCH /api/quizzes/:quizId
+ * @access  Private (owner)
+ */
+router.patch('/:quizId', verifyToken, loadRole, loadQuiz, requireOwner, async (req, res) => {
+    try {
+        req.quiz.set(pickEditable(req.body));
+        await req.quiz.save();
+
+        res.json({ success: true, data: req.quiz, message: 'Quiz updated' });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        logger.error('Update quiz error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update quiz' });
+    }
+});
+
+/**
+ * @route   DELETE /api/quizzes/:quizId
+ * @desc    Delete a quiz and its attempts (XP and badges already earned are kept)
+ * @access  Private (owner)
+ */
+router.delete('/:quizId', verifyToken, loadRole, loadQuiz, requireOwner, async (req, res) => {
+    try {
+        await QuizAttempt.deleteMany({ quiz: req.quiz._id });
+        await req.quiz.deleteOne();
+
+        res.json({ success: true, message: 'Quiz deleted' });
+    } catch (error) {
+        logger.error('Delete quiz error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete quiz' });
+    }
+});
+
+/**
+ * @route   POST /api/quizzes/:quizId/attempts
+ * @desc    Start an attempt (or resume the unfinished one). Proctored quizzes
+ *          accept { examSessionId } or open a new exam session.
+ * @access  Private
+ */
+router.post('/:quizId/attempts', verifyToken, loadRole, loadQuiz, async (req, res) => {
+    try {
+        if (!req.quiz.isPublished) {
+            return res.status(400).json({ success: false, message: 'Quiz is not published' });
+        }
+
+        const result = await QuizService.startAttempt(req.quiz, req.userId, { examSessionId: req.body.examSessionId });
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+
+        res.status(result.resumed ? 200 : 201).json({
+            success: true,
+            data: attemptView(req.quiz, result.attempt),
+            resumed: result.resumed
+        });
+    } catch (error) {
+        logger.error('Start attempt error:', error);
+        res.status(500).json({ success: false, message: 'Failed to start attempt' });
+    }
+});
+
+/**
+ * @route   GET /api/quizzes/:quizId/attempts
+ * @desc    Attempt history: the caller's own, or (owners) everyone's / ?user=
+ * @access  Private
+ */
+router.get('/:quizId/attempts', verifyToken, loadRole, loadQuiz, async (req, res) => {
+    try {
+        const query = { quiz: req.quiz._id };
+
+        if (!req.ownsQuiz) {
+            query.user = req.userId;
+        } else if (req.query.user) {
+            if (!isValidObjectId(req.query.user)) {
+                return res.status(400).json({ success: false, message: 'Invalid user ID' });
+            }
+            query.user = req.query.user;
+        }
+
+        const result = await paginateCursor(QuizAttempt, query, {
+            limit: Math.min(50, parseLimit(req.query.limit)),
+            cursor: isValidObjectId(req.query.cursor) ? req.query.cursor : null,
+            sort: '-_id',
+            select: '-questions -answers',
+            populate: { path: 'user', select: 'username firstName lastName' }
+        });
+
+        res.json({ success: true, data: result.data, pagination: result.pagination });
+    } catch (error) {
+        logger.error('List attempts error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load attempts' });
+    }
+});
+
+/**
+ * @route   GET /api/quizzes/:quizId/leaderboard
+ * @desc    Best attempt per user, ranked by score then time taken
+ * @access  Private
+ */
+router.get('/:quizId/leaderboard', verifyToken, loadRole, loadQuiz, async (req, res) => {
+    try {
+        const leaders = await QuizService.getLeaderboard(req.quiz._id, parseLimit(req.query.limit));
+        res.json({ success: true, data: leaders.map((entry, index) => ({ rank: index + 1, ...entry })) });
+    } catch (error) {
+        logger.error('Quiz leaderboard error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load leaderboard' });
+    }
+});
+
+module.exports = router;
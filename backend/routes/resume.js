@@ -9,6 +9,10 @@ const Resume = require('../models/Resume');
 const ResumeReview = require('../models/ResumeReview');
 const aiService = require('../services/aiService');
 const pdfService = require('../services/pdfService');
+const ResumeReviewService = require('../services/resumeReviewService');
+const ResumeVersionService = require('../services/resumeVersionService');
+const ResumeExportService = require('../services/resumeExportService');
+const { getTemplate, listTemplates } = require('../config/resumeTemplates');
 
 const { protect } = require('../middleware/authMiddleware');
 
@@ -69,23 +73,33 @@ router.post('/', protect, async (req, res) => {
       status
     } = req.body;
 
-    const resumeFields = {
-      student: req.user.id,
-      content: {
-        experience: experience || [],
-        education: education || [],
-        skills: skills || [],
-        projects: projects || []
-      },
-      fileUrl: fileUrl || null,
-      status: status || 'draft'
+    let resume = await Resume.findOne({ student: req.user.id });
+    if (!resume) {
+      resume = new Resume({ student: req.user.id });
+    }
+
+    resume.content = {
+      experience: experience || [],
+      education: education || [],
+      skills: skills || [],
+      projects: projects || []
     };
+    resume.fileUrl = fileUrl || null;
+    // Review states are driven by the review workflow, not by saving
+    if (status === 'draft') {
+      resume.status = status;
+    }
 
-    let resume = await Resume.findOneAndUpdate(
-      { student: req.user.id },
-      { $set: resumeFields },
-      { new: true, upsert: true, setDefaultsOnInsert: true }
-    );
+    const saved = await ResumeVersionService.commit(resume, { source: 'manual', userId: req.user.id });
+    if (saved.error) {
+      return res.status(saved.status).json({ success: false, message: saved.error });
+    }
+
+    // Saving with status "submitted" still asks for a review, as before reviewer assignment existed
+    if (status === 'submitted' && resume.status === 'draft') {
+      const requested = await ResumeReviewService.requestReview(resume, { reviewers: 1 });
+      if (!requested.error) resume = requested.resume;
+    }
 
     res.json({
       success: true,
@@ -99,18 +113,51 @@ router.post('/', protect, async (req, res) => {
   }
 });
 
+// Resolve :id and :reviewId for the resume owner or the assigned reviewer.
+// Sends the error response and returns null when either is missing.
+const loadReview = async (req, res) => {
+  const { id, reviewId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(reviewId)) {
+    res.status(400).json({ success: false, message: 'Invalid ID' });
+    return null;
+  }
+
+  const [resume, review] = await Promise.all([
+    Resume.findById(id),
+    ResumeReview.findOne({ _id: reviewId, resume: id })
+  ]);
+  const isOwner = resume && resume.student.toString() === req.user.id;
+  const isReviewer = review && review.reviewer.toString() === req.user.id;
+
+  if (!resume || !review || (!isOwner && !isReviewer)) {
+    res.status(404).json({ success: false, message: 'Review not found' });
+    return null;
+  }
+  return { resume, review, isOwner, isReviewer };
+};
+
+const sendReviewResult = (res, result, message) => {
+  if (result.error) {
+    return res.status(result.status).json({ success: false, message: result.error, conflicts: result.conflicts });
+  }
+  res.json({ success: true, message, data: result.review || result.comment });
+};
+
 // @route   GET /api/resume/feed
-// @desc    Get resumes needing review (Alumni Only)
+// @desc    Resumes waiting for reviewers (Alumni Only)
 // @access  Private (Alumni)
 router.get('/feed', protect, async (req, res) => {
   try {
-    if (req.user.role !== 'alumni') {
+    if (!(await ResumeReviewService.isReviewer(req.user))) {
       return res.status(403).json({ success: false, message: 'Access denied. Alumni only.' });
     }
 
-    const resumes = await Resume.find({ status: 'submitted' })
+    const resumes = await Resume.find({
+      'reviewRequest.reviewersNeeded': { $gt: 0 },
+      student: { $ne: req.user.id }
+    })
       .populate('student', ['username', 'firstName', 'lastName', 'profilePicture', 'bio'])
-      .sort({ updatedAt: -1 });
+      .sort({ 'reviewRequest.requestedAt': 1 });
 
     res.json({
       success: true,
@@ -124,56 +171,363 @@ router.get('/feed', protect, async (req, res) => {
   }
 });
 
+// @route   GET /api/resume/reviews/assigned
+// @desc    Reviews assigned to the caller (status filter optional)
+// @access  Private (Alumni)
+router.get('/reviews/assigned', protect, async (req, res) => {
+  try {
+    const query = { reviewer: req.user.id };
+    if (req.query.status) {
+      query.status = req.query.status;
+    } else {
+      query.status = { $in: ResumeReview.ACTIVE_STATUSES };
+    }
+
+    const reviews = await ResumeReview.find(query)
+      .populate('student', ['username', 'firstName', 'lastName', 'profilePicture'])
+      .populate('resume', ['summary', 'content', 'version', 'reviewRequest.note', 'updatedAt'])
+      .sort({ assignedAt: 1 });
+
+    res.json({
+      success: true,
+      count: reviews.length,
+      data: reviews
+    });
+
+  } catch (err) {
+    console.error('Error fetching assigned reviews:', err.message);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+});
+
+// @route   POST /api/resume/:id/request-review
+// @desc    Ask for 1-3 reviewers; assigned by reviewer load, queued when all are busy
+// @access  Private (Student)
+router.post('/:id/request-review', protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid ID' });
+    }
+
+    const resume = await Resume.findOne({ _id: req.params.id, student: req.user.id });
+    if (!resume) {
+      return res.status(404).json({ success: false, message: 'Resume not found' });
+    }
+
+    const result = await ResumeReviewService.requestReview(resume, {
+      reviewers: req.body.reviewers,
+      note: req.body.note
+    });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    res.json({
+      success: true,
+      message: result.queued
+        ? `${result.assigned} reviewer(s) assigned, ${result.queued} queued until a reviewer is free`
+        : `${result.assigned} reviewer(s) assigned`,
+      data: result.resume
+    });
+
+  } catch (err) {
+    console.error('Error requesting review:', err.message);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+});
+
+// @route   POST /api/resume/:id/claim
+// @desc    Pick a queued resume from the feed to review (Alumni Only)
+// @access  Private (Alumni)
+router.post('/:id/claim', protect, async (req, res) => {
+  try {
+    if (!(await ResumeReviewService.isReviewer(req.user))) {
+      return res.status(403).json({ success: false, message: 'Access denied. Alumni only.' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid ID' });
+    }
+
+    const resume = await Resume.findById(req.params.id);
+    if (!resume) {
+      return res.status(404).json({ success: false, message: 'Resume not found' });
+    }
+
+    const result = await ResumeReviewService.claim(resume, req.user);
+    sendReviewResult(res, result, 'Review claimed');
+
+  } catch (err) {
+    console.error('Error claiming review:', err.message);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+});
+
 // @route   POST /api/resume/:id/review
-// @desc    Submit a review (Alumni Only)
+// @desc    Submit a review in one step (Alumni Only). Uses the caller's
+//          assigned review if they have one.
 // @access  Private (Alumni)
 router.post('/:id/review', protect, async (req, res) => {
-  const session = await mongoose.startSession();
-  session.startTransaction();
-
   try {
-    if (req.user.role !== 'alumni') {
-      await session.abortTransaction();
+    if (!(await ResumeReviewService.isReviewer(req.user))) {
       return res.status(403).json({ success: false, message: 'Access denied. Alumni only.' });
     }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid ID' });
+    }
 
     const { comments, rating, suggestions } = req.body;
-    const resumeId = req.params.id;
-
-    const resume = await Resume.findById(resumeId).session(session);
+    const resume = await Resume.findById(req.params.id);
     if (!resume) {
-      await session.abortTransaction();
       return res.status(404).json({ success: false, message: 'Resume not found' });
     }
+    if (resume.student.toString() === req.user.id) {
+      return res.status(400).json({ success: false, message: 'You cannot review your own resume' });
+    }
 
-    const newReview = new ResumeReview({
-      resume: resumeId,
+    let review = await ResumeReview.findOne({
+      resume: resume._id,
       reviewer: req.user.id,
-      comments,
-      rating,
-      suggestions: suggestions || []
+      status: { $in: ResumeReview.ACTIVE_STATUSES }
     });
+    if (!review && resume.reviewRequest?.reviewersNeeded) {
+      const claimed = await ResumeReviewService.claim(resume, req.user);
+      if (claimed.error) return sendReviewResult(res, claimed);
+      review = claimed.review;
+    }
+    if (!review) {
+      review = new ResumeReview({
+        resume: resume._id,
+        reviewer: req.user.id,
+        student: resume.student,
+        resumeVersion: resume.version
+      });
+    }
+
+    const result = await ResumeReviewService.submit(review, { comments, rating, suggestions });
+    sendReviewResult(res, result, 'Review submitted successfully');
+
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    console.error('Error submitting review:', err.message);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+});
 
-    await newReview.save({ session });
+// @route   GET /api/resume/:id/reviews
+// @desc    Reviews of a resume; inline comments are flagged outdated when
+//          the anchored text has changed since
+// @access  Private (Student owner, or their reviewers)
+router.get('/:id/reviews', protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid ID' });
+    }
 
-    resume.status = 'reviewed';
-    resume.assignedAlumni = req.user.id;
-    await resume.save({ session });
+    const resume = await Resume.findById(req.params.id);
+    if (!resume) {
+      return res.status(404).json({ success: false, message: 'Resume not found' });
+    }
 
-    await session.commitTransaction();
+    const isOwner = resume.student.toString() === req.user.id;
+    const query = { resume: resume._id };
+    // Reviewers only see their own review
+    if (!isOwner) query.reviewer = req.user.id;
+
+    const reviews = await ResumeReview.find(query)
+      .populate('reviewer', ['username', 'firstName', 'lastName', 'profilePicture'])
+      .sort({ assignedAt: 1 });
+    if (!isOwner && !reviews.length) {
+      return res.status(404).json({ success: false, message: 'Resume not found' });
+    }
 
     res.json({
       success: true,
-      message: 'Review submitted successfully',
-      data: newReview
+      count: reviews.length,
+      data: reviews.map(review => ResumeReviewService.withAnchorState(review, resume))
+    });
+
+  } catch (err) {
+    console.error('Error fetching reviews:', err.message);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+});
+
+// @route   POST /api/resume/:id/reviews/:reviewId/comments
+// @desc    Add an inline comment or suggestion anchored to a section:
+//          { section, index, field, body, kind: comment|suggestion, replacement }
+// @access  Private (Assigned reviewer)
+router.post('/:id/reviews/:reviewId/comments', protect, async (req, res) => {
+  try {
+    const context = await loadReview(req, res);
+    if (!context) return;
+    if (!context.isReviewer) {
+      return res.status(403).json({ success: false, message: 'Only the reviewer can comment' });
+    }
+
+    const { section, index, field, body, kind, replacement } = req.body;
+    if (!ResumeReview.SECTIONS.includes(section)) {
+      return res.status(400).json({ success: false, message: `section must be one of: ${ResumeReview.SECTIONS.join(', ')}` });
+    }
+    if (index !== undefined && index !== null && (!Number.isInteger(index) || index < 0)) {
+      return res.status(400).json({ success: false, message: 'index must be a non-negative integer' });
+    }
+
+    const result = await ResumeReviewService.addComment(context.review, context.resume, {
+      section, index, field, body, kind, replacement
     });
+    if (result.error) return sendReviewResult(res, result);
+
+    res.status(201).json({ success: true, message: 'Comment added', data: result.comment });
 
   } catch (err) {
-    await session.abortTransaction();
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: err.message });
+    }
+    console.error('Error adding review comment:', err.message);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+});
+
+// @route   DELETE /api/resume/:id/reviews/:reviewId/comments/:commentId
+// @desc    Remove an inline comment before the review is submitted
+// @access  Private (Assigned reviewer)
+router.delete('/:id/reviews/:reviewId/comments/:commentId', protect, async (req, res) => {
+  try {
+    const context = await loadReview(req, res);
+    if (!context) return;
+    if (!context.isReviewer) {
+      return res.status(403).json({ success: false, message: 'Only the reviewer can remove comments' });
+    }
+
+    const result = await ResumeReviewService.removeComment(context.review, req.params.commentId);
+    sendReviewResult(res, result, 'Comment removed');
+
+  } catch (err) {
+    console.error('Error removing review comment:', err.message);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+});
+
+// @route   PATCH /api/resume/:id/reviews/:reviewId/comments/:commentId
+// @desc    Resolve, accept, reject or reopen an inline comment
+// @access  Private (Student owner)
+router.patch('/:id/reviews/:reviewId/comments/:commentId', protect, async (req, res) => {
+  try {
+    const context = await loadReview(req, res);
+    if (!context) return;
+    if (!context.isOwner) {
+      return res.status(403).json({ success: false, message: 'Only the resume owner can address comments' });
+    }
+
+    const { action } = req.body;
+    if (!['resolve', 'accept', 'reject', 'reopen'].includes(action)) {
+      return res.status(400).json({ success: false, message: 'action must be resolve, accept, reject or reopen' });
+    }
+
+    const result = await ResumeReviewService.updateComment(context.review, req.params.commentId, action);
+    sendReviewResult(res, result, 'Comment updated');
+
+  } catch (err) {
+    console.error('Error updating review comment:', err.message);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+});
+
+// @route   POST /api/resume/:id/reviews/:reviewId/submit
+// @desc    Submit an assigned review: { comments, rating, suggestions }
+// @access  Private (Assigned reviewer)
+router.post('/:id/reviews/:reviewId/submit', protect, async (req, res) => {
+  try {
+    const context = await loadReview(req, res);
+    if (!context) return;
+    if (!context.isReviewer) {
+      return res.status(403).json({ success: false, message: 'Only the reviewer can submit' });
+    }
+
+    const { comments, rating, suggestions } = req.body;
+    const result = await ResumeReviewService.submit(context.review, { comments, rating, suggestions });
+    sendReviewResult(res, result, 'Review submitted successfully');
+
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: err.message });
+    }
     console.error('Error submitting review:', err.message);
     res.status(500).json({ success: false, message: 'Server Error' });
-  } finally {
-    session.endSession();
+  }
+});
+
+// @route   POST /api/resume/:id/reviews/:reviewId/decline
+// @desc    Hand an assigned review back; another reviewer is assigned
+// @access  Private (Assigned reviewer)
+router.post('/:id/reviews/:reviewId/decline', protect, async (req, res) => {
+  try {
+    const context = await loadReview(req, res);
+    if (!context) return;
+    if (!context.isReviewer) {
+      return res.status(403).json({ success: false, message: 'Only the reviewer can decline' });
+    }
+
+    const result = await ResumeReviewService.decline(context.review, req.body.reason);
+    sendReviewResult(res, result, 'Review declined');
+
+  } catch (err) {
+    console.error('Error declining review:', err.message);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+});
+
+// @route   DELETE /api/resume/:id/reviews/:reviewId
+// @desc    Cancel a review that hasn't been submitted yet
+// @access  Private (Student owner)
+router.delete('/:id/reviews/:reviewId', protect, async (req, res) => {
+  try {
+    const context = await loadReview(req, res);
+    if (!context) return;
+    if (!context.isOwner) {
+      return res.status(403).json({ success: false, message: 'Only the resume owner can cancel a review' });
+    }
+
+    const result = await ResumeReviewService.cancel(context.review);
+    sendReviewResult(res, result, 'Review cancelled');
+
+  } catch (err) {
+    console.error('Error cancelling review:', err.message);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+});
+
+// @route   POST /api/resume/:id/apply-suggestions
+// @desc    Apply all accepted suggestions as a new resume version.
+//          Suggestions on text that changed since are reported as conflicts.
+// @access  Private (Student owner)
+router.post('/:id/apply-suggestions', protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid ID' });
+    }
+
+    const resume = await Resume.findOne({ _id: req.params.id, student: req.user.id });
+    if (!resume) {
+      return res.status(404).json({ success: false, message: 'Resume not found' });
+    }
+
+    const result = await ResumeReviewService.applySuggestions(resume);
+    if (result.error) return sendReviewResult(res, result);
+
+    res.json({
+      success: true,
+      message: `Applied ${result.applied.length} suggestion(s) as version ${result.version}`,
+      data: result.resume,
+      applied: result.applied,
+      conflicts: result.conflicts
+    });
+
+  } catch (err) {
+    console.error('Error applying suggestions:', err.message);
+    res.status(500).json({ success: false, message: 'Server Error' });
   }
 });
 
@@ -220,26 +574,30 @@ router.post('/generate', protect, async (req, res) => {
 
     console.log('✅ AI generation finished successfully');
 
-    // Save the AI-generated resume
-    const resumeFields = {
-      student: req.user.id,
-      content: {
-        experience: generatedContent.experience,
-        education: generatedContent.education,
-        skills: generatedContent.skills,
-        projects: generatedContent.projects
-      },
-      summary: generatedContent.summary,
-      status: 'draft',
-      aiGenerated: true
+    // Save the AI-generated resume as a new version; earlier text stays in the history
+    let resume = await Resume.findOne({ student: req.user.id });
+    if (!resume) {
+      resume = new Resume({ student: req.user.id });
+    }
+
+    resume.content = {
+      experience: generatedContent.experience,
+      education: generatedContent.education,
+      skills: generatedContent.skills,
+      projects: generatedContent.projects
     };
+    resume.summary = generatedContent.summary;
+    resume.aiGenerated = true;
 
     console.log('💾 Saving resume to database...');
-    let resume = await Resume.findOneAndUpdate(
-      { student: req.user.id },
-      { $set: resumeFields },
-      { new: true, upsert: true, setDefaultsOnInsert: true }
-    );
+    const saved = await ResumeVersionService.commit(resume, {
+      source: 'ai_generate',
+      userId: req.user.id,
+      note: 'Generated with AI'
+    });
+    if (saved.error) {
+      return res.status(saved.status).json({ success: false, message: saved.error });
+    }
 
     console.log('✅ Resume saved successfully');
     res.json({
@@ -258,12 +616,23 @@ router.post('/generate', protect, async (req, res) => {
   }
 });
 
+// AI skill output is free text ("Languages: JS, Go" lines, bullets); flatten it to a list
+const parseSkillList = (text) => [...new Set(
+  text.split(/\r?\n/)
+    .map(line => line.replace(/\*\*/g, '').replace(/^\s*(?:[*•-]|\d+[.)])\s*/, ''))
+    .map(line => (line.includes(':') ? line.slice(line.indexOf(':') + 1) : line))
+    .flatMap(line => line.split(','))
+    .map(skill => skill.trim())
+    .filter(skill => skill && skill.length <= 60)
+)];
+
 // @route   POST /api/resume/enhance/:section
-// @desc    Enhance specific section using AI
+// @desc    Enhance specific section using AI. With resumeId (and index for
+//          experience) the result is saved as a new resume version.
 // @access  Private
 router.post('/enhance/:section', protect, async (req, res) => {
   try {
-    const { content } = req.body;
+    const { content, resumeId, index } = req.body;
     const { section } = req.params;
 
     if (!content) {
@@ -273,12 +642,47 @@ router.post('/enhance/:section', protect, async (req, res) => {
       });
     }
 
+    let resume = null;
+    if (resumeId) {
+      if (!mongoose.Types.ObjectId.isValid(resumeId)) {
+        return res.status(400).json({ success: false, message: 'Invalid resume ID' });
+      }
+      resume = await Resume.findOne({ _id: resumeId, student: req.user.id });
+      if (!resume) {
+        return res.status(404).json({ success: false, message: 'Resume not found' });
+      }
+      if (section === 'experience' && !resume.content.experience[index]) {
+        return res.status(400).json({ success: false, message: 'index must point to an existing experience entry' });
+      }
+    }
+
     const enhancedContent = await aiService.enhanceSection(section, content);
 
+    if (resume) {
+      if (section === 'experience') {
+        resume.content.experience[index].description = enhancedContent;
+      } else if (section === 'summary') {
+        resume.summary = enhancedContent;
+      } else {
+        resume.content.skills = parseSkillList(enhancedContent);
+      }
+      resume.markModified('content');
+
+      const saved = await ResumeVersionService.commit(resume, {
+        source: 'ai_enhance',
+        userId: req.user.id,
+        note: section === 'experience' ? `Enhanced experience[${index}] with AI` : `Enhanced ${section} with AI`,
+        meta: { section, index: section === 'experience' ? index : undefined }
+      });
+      if (saved.error) {
+        return res.status(saved.status).json({ success: false, message: saved.error });
+      }
+    }
+
     res.json({
       success: true,
       message: 'Content enhanced successfully',
-      data: { enhanced: enhancedContent }
+      data: { enhanced: enhancedContent, resume: resume || undefined }
     });
 
   } catch (err) {
@@ -315,32 +719,90 @@ router.get('/my-resume', protect, async (req, res) => {
   }
 });
 
+// Export formats other than PDF
+const EXPORT_FORMATS = {
+  docx: { extension: 'docx', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' }
+};
+
+// Resolve :id (plus ?version=N and ?template=) for downloads by the owner or an alumni reviewer.
+// Sends the error response and returns null when anything is missing.
+const loadDownload = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid ID' });
+    return null;
+  }
+
+  const template = getTemplate(req.query.template || undefined);
+  if (!template) {
+    res.status(400).json({
+      success: false,
+      message: `Unknown template. Available templates: ${listTemplates().map(t => t.id).join(', ')}`
+    });
+    return null;
+  }
+
+  const resume = await Resume.findById(req.params.id).populate('student', 'firstName lastName email phone linkedin');
+
+  if (!resume) {
+    res.status(404).json({ success: false, message: 'Resume not found' });
+    return null;
+  }
+
+  // Check if user owns this resume or is an alumni reviewer
+  if (resume.student._id.toString() !== req.user.id && req.user.role !== 'alumni') {
+    res.status(403).json({ success: false, message: 'Not authorized to download this resume' });
+    return null;
+  }
+
+  let resumeData = resume;
+  let versionSuffix = '';
+  if (req.query.version !== undefined) {
+    const versionNumber = parseInt(req.query.version, 10);
+    const version = Number.isInteger(versionNumber)
+      ? await ResumeVersionService.find(resume._id, versionNumber)
+      : null;
+    if (!version) {
+      res.status(404).json({ success: false, message: 'Resume version not found' });
+      return null;
+    }
+    resumeData = version;
+    versionSuffix = `_v${version.version}`;
+  }
+
+  const fileName = `${resume.student.firstName}_${resume.student.lastName}_Resume${versionSuffix}`;
+  return { resume, resumeData, template, fileName };
+};
+
+// @route   GET /api/resume/templates
+// @desc    Available resume templates (PDF themes)
+// @access  Private
+router.get('/templates', protect, (req, res) => {
+  res.json({
+    success: true,
+    data: listTemplates()
+  });
+});
+
 // @route   GET /api/resume/:id/download
-// @desc    Download Resume as PDF
+// @desc    Download Resume as PDF (?template=ats, ?version=N for an earlier version)
 // @access  Private
 router.get('/:id/download', protect, async (req, res) => {
   try {
     console.log('📄 PDF download request for resume:', req.params.id);
     
-    const resume = await Resume.findById(req.params.id).populate('student', 'firstName lastName email phone linkedin');
-    
-    if (!resume) {
-      return res.status(404).json({ success: false, message: 'Resume not found' });
-    }
+    const download = await loadDownload(req, res);
+    if (!download) return;
 
-    // Check if user owns this resume or is an alumni reviewer
-    if (resume.student._id.toString() !== req.user.id && req.user.role !== 'alumni') {
-      return res.status(403).json({ success: false, message: 'Not authorized to download this resume' });
-    }
-
-    console.log('✅ Resume found, generating PDF...');
+    console.log(`✅ Resume found, generating PDF (${download.template.id} template)...`);
 
     // Generate PDF
-    const doc = pdfService.generateResumePDF(resume, resume.student);
+    const doc = pdfService.generateResumePDF(download.resumeData, download.resume.student, download.template);
 
     // Set response headers
     res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="${resume.student.firstName}_${resume.student.lastName}_Resume.pdf"`);
+    res.setHeader('Content-Disposition', `attachment; filename="${download.fileName}.pdf"`);
 
     // Pipe the PDF to response
     doc.pipe(res);
@@ -354,6 +816,210 @@ router.get('/:id/download', protect, async (req, res) => {
   }
 });
 
+// @route   GET /api/resume/:id/export/:format
+// @desc    Export Resume as DOCX, Markdown or JSON Resume (?template= for DOCX, ?version=N)
+// @access  Private
+router.get('/:id/export/:format', protect, async (req, res) => {
+  try {
+    if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, req.params.format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+    const format = EXPORT_FORMATS[req.params.format];
+
+    const download = await loadDownload(req, res);
+    if (!download) return;
+
+    const { resumeData, template } = download;
+    const student = download.resume.student;
+    let body;
+    if (req.params.format === 'docx') {
+      body = ResumeExportService.toDocx(resumeData, student, template);
+    } else if (req.params.format === 'markdown') {
+      body = ResumeExportService.toMarkdown(resumeData, student);
+    } else {
+      body = JSON.stringify(ResumeExportService.toJsonResume(resumeData, student), null, 2);
+    }
+
+    res.setHeader('Content-Type', format.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${download.fileName}.${format.extension}"`);
+    res.send(body);
+
+  } catch (err) {
+    console.error('Error exporting resume:', err.message);
+    res.status(500).json({ success: false, message: 'Error exporting resume' });
+  }
+});
+
+// @route   POST /api/resume/import/json-resume
+// @desc    Replace resume content with a JSON Resume document (https://jsonresume.org/schema)
+// @access  Private (Student)
+router.post('/import/json-resume', protect, async (req, res) => {
+  try {
+    const imported = ResumeExportService.fromJsonResume(req.body);
+    if (imported.error) {
+      return res.status(imported.status).json({ success: false, message: imported.error });
+    }
+
+    let resume = await Resume.findOne({ student: req.user.id });
+    if (!resume) {
+      resume = new Resume({ student: req.user.id });
+    }
+
+    resume.content = imported.content;
+    resume.summary = imported.summary;
+
+    const saved = await ResumeVersionService.commit(resume, {
+      source: 'import',
+      userId: req.user.id,
+      note: 'Imported from JSON Resume',
+      meta: { format: 'json-resume', ignored: imported.ignored }
+    });
+    if (saved.error) {
+      return res.status(saved.status).json({ success: false, message: saved.error });
+    }
+
+    res.json({
+      success: true,
+      message: imported.ignored.length
+        ? `Resume imported. Sections without a counterpart were skipped: ${imported.ignored.join(', ')}`
+        : 'Resume imported successfully',
+      ignored: imported.ignored,
+      data: saved.resume
+    });
+
+  } catch (err) {
+    console.error('Error importing resume:', err.message);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+});
+
+// Resolve :id for its owner (reviewers may read history but not roll back)
+const loadOwnResume = async (req, res, { allowReviewer = false } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid ID' });
+    return null;
+  }
+
+  const resume = await Resume.findById(req.params.id);
+  const isOwner = resume && resume.student.toString() === req.user.id;
+  const isReviewer = resume && !isOwner && allowReviewer &&
+    await ResumeReview.exists({ resume: resume._id, reviewer: req.user.id });
+
+  if (!resume || (!isOwner && !isReviewer)) {
+    res.status(404).json({ success: false, message: 'Resume not found' });
+    return null;
+  }
+  return resume;
+};
+
+// @route   GET /api/resume/:id/versions
+// @desc    Version history, newest first (source, note, author, date)
+// @access  Private (Owner or reviewers)
+router.get('/:id/versions', protect, async (req, res) => {
+  try {
+    const resume = await loadOwnResume(req, res, { allowReviewer: true });
+    if (!resume) return;
+
+    const versions = await ResumeVersionService.list(resume._id);
+
+    res.json({
+      success: true,
+      currentVersion: resume.version,
+      count: versions.length,
+      data: versions
+    });
+
+  } catch (err) {
+    console.error('Error fetching resume versions:', err.message);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+});
+
+// @route   GET /api/resume/:id/versions/diff?from=N&to=M
+// @desc    Section-level diff between two versions (to defaults to current)
+// @access  Private (Owner or reviewers)
+router.get('/:id/versions/diff', protect, async (req, res) => {
+  try {
+    const resume = await loadOwnResume(req, res, { allowReviewer: true });
+    if (!resume) return;
+
+    const from = parseInt(req.query.from, 10);
+    const to = req.query.to !== undefined ? parseInt(req.query.to, 10) : resume.version;
+    if (!Number.isInteger(from) || !Number.isInteger(to)) {
+      return res.status(400).json({ success: false, message: 'from and to must be version numbers' });
+    }
+
+    const [fromVersion, toVersion] = await Promise.all([
+      ResumeVersionService.find(resume._id, from),
+      ResumeVersionService.find(resume._id, to)
+    ]);
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({ success: false, message: 'Resume version not found' });
+    }
+
+    res.json({
+      success: true,
+      data: ResumeVersionService.diff(fromVersion, toVersion)
+    });
+
+  } catch (err) {
+    console.error('Error diffing resume versions:', err.message);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+});
+
+// @route   GET /api/resume/:id/versions/:version
+// @desc    Full content of one version
+// @access  Private (Owner or reviewers)
+router.get('/:id/versions/:version', protect, async (req, res) => {
+  try {
+    const resume = await loadOwnResume(req, res, { allowReviewer: true });
+    if (!resume) return;
+
+    const version = await ResumeVersionService.find(resume._id, parseInt(req.params.version, 10) || 0);
+    if (!version) {
+      return res.status(404).json({ success: false, message: 'Resume version not found' });
+    }
+
+    res.json({
+      success: true,
+      data: version
+    });
+
+  } catch (err) {
+    console.error('Error fetching resume version:', err.message);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+});
+
+// @route   POST /api/resume/:id/versions/:version/rollback
+// @desc    Restore an earlier version's content as a new version
+// @access  Private (Owner)
+router.post('/:id/versions/:version/rollback', protect, async (req, res) => {
+  try {
+    const resume = await loadOwnResume(req, res);
+    if (!resume) return;
+
+    const result = await ResumeVersionService.rollback(resume, parseInt(req.params.version, 10) || 0, req.user.id);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    res.json({
+      success: true,
+      message: `Restored version ${req.params.version} as version ${result.resume.version}`,
+      data: result.resume
+    });
+
+  } catch (err) {
+    console.error('Error rolling back resume:', err.message);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+});
+
 // @route   POST /api/resume/ats-check
 // @desc    Check resume ATS compatibility
 // @access  Private
@@ -408,14 +1074,50 @@ router.post('/ats-check', protect, async (req, res) => {
   }
 });
 
+// Apply the parts of a job optimization that map onto stored fields: the
+// optimized summary, added skills and rewrites of whole experience descriptions
+const applyJobOptimization = (resume, optimization) => {
+  const optimizedSummary = optimization.summaryOptimization?.optimizedSummary;
+  if (optimizedSummary) {
+    resume.summary = optimizedSummary;
+  }
+
+  const skillsToAdd = optimization.skillsOptimization?.skillsToAdd || [];
+  resume.content.skills = [...new Set([...resume.content.skills, ...skillsToAdd])];
+
+  (optimization.experienceOptimization || []).forEach(({ currentSection, optimizedVersion }) => {
+    const entry = resume.content.experience.find(item => item.description && item.description.trim() === currentSection?.trim());
+    if (entry && optimizedVersion) {
+      entry.description = optimizedVersion;
+    }
+  });
+  resume.markModified('content');
+};
+
 // @route   POST /api/resume/optimize-for-job
-// @desc    Optimize resume for specific job description
+// @desc    Optimize resume for specific job description. With resumeId the
+//          stored resume is analyzed; add apply: true to save the result as
+//          a new job-optimized version.
 // @access  Private
 router.post('/optimize-for-job', protect, async (req, res) => {
   console.log('🎯 /resume/optimize-for-job HIT');
   
   try {
-    const { content, summary, personalInfo, jobDescription } = req.body;
+    const { personalInfo, jobDescription, resumeId, apply } = req.body;
+    let { content, summary } = req.body;
+
+    let resume = null;
+    if (resumeId) {
+      if (!mongoose.Types.ObjectId.isValid(resumeId)) {
+        return res.status(400).json({ success: false, message: 'Invalid resume ID' });
+      }
+      resume = await Resume.findOne({ _id: resumeId, student: req.user.id });
+      if (!resume) {
+        return res.status(404).json({ success: false, message: 'Resume not found' });
+      }
+      content = resume.toObject().content;
+      summary = resume.summary;
+    }
 
     // Validate inputs
     if (!jobDescription || jobDescription.trim().length < 50) {
@@ -454,10 +1156,24 @@ router.post('/optimize-for-job', protect, async (req, res) => {
     console.log('✅ Job optimization completed successfully');
     console.log('📈 Match Score:', optimization.matchScore);
 
+    if (resume && apply === true) {
+      applyJobOptimization(resume, optimization);
+      const saved = await ResumeVersionService.commit(resume, {
+        source: 'job_optimized',
+        userId: req.user.id,
+        note: 'Optimized for a job description',
+        meta: { matchScore: optimization.matchScore, jobDescription: jobDescription.trim().slice(0, 200) }
+      });
+      if (saved.error) {
+        return res.status(saved.status).json({ success: false, message: saved.error });
+      }
+    }
+
     res.json({
       success: true,
       message: 'Resume optimized for job description',
-      data: optimization
+      data: optimization,
+      resume: resume && apply === true ? resume : undefined
     });
 
   } catch (err) {
@@ -0,0 +1,385 @@
+const express = require('express');
+const router = express.Router();
+const jwt = require('jsonwebtoken');
+const Story = require('../models/Story');
+const StoryHighlight = require('../models/StoryHighlight');
+const User = require('../models/User');
+const StoryService = require('../services/storyService');
+const logger = require('../utils/logger');
+const { apiLimiter } = require('../middleware/rateLimitMiddleware');
+const { isValidObjectId, isValidURL } = require('../utils/validators');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'college_media_secret_key';
+
+const MAX_ACTIVE_STORIES = 30;
+const MAX_HIGHLIGHTS = 50;
+
+router.use(apiLimiter);
+
+// Middleware to verify token
+const verifyToken = (req, res, next) => {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) return res.status(401).json({ success: false, message: 'No token' });
+    try {
+        const decoded = jwt.verify(token, JWT_SECRET);
+        req.userId = decoded.userId;
+        next();
+    } catch (error) {
+        res.status(401).json({ success: false, message: 'Invalid token' });
+    }
+};
+
+// Resolve :storyId to an active story the caller may see
+const loadVisibleStory = async (req, res, next) => {
+    try {
+        const viewer = await StoryService.loadViewer(req.userId);
+        const found = await StoryService.getVisibleStory(req.params.storyId, viewer);
+        if (!found) return res.status(404).json({ success: false, message: 'Story not found' });
+
+        req.story = found.story;
+        req.storyOwner = found.owner;
+        next();
+    } catch (error) {
+        logger.error('Load story error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// Resolve :highlightId to a highlight owned by the caller
+const loadOwnHighlight = async (req, res, next) => {
+    const { highlightId } = req.params;
+    if (!isValidObjectId(highlightId)) {
+        return res.status(400).json({ success: false, message: 'Invalid highlight ID' });
+    }
+
+    try {
+        const highlight = await StoryHighlight.findById(highlightId);
+        if (!highlight || highlight.user.toString() !== req.userId) {
+            return res.status(404).json({ success: false, message: 'Highlight not found' });
+        }
+        req.highlight = highlight;
+        next();
+    } catch (error) {
+        logger.error('Load highlight error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+/**
+ * Snapshot the caller's own stories (active or not yet purged) for a highlight
+ */
+const snapshotOwnStories = async (userId, storyIds) => {
+    if (!Array.isArray(storyIds) || storyIds.some(id => !isValidObjectId(id))) return null;
+
+    const stories = await Story.find({ _id: { $in: storyIds }, user: userId });
+    if (stories.length !== new Set(storyIds).size) return null;
+
+    const byId = new Map(stories.map(s => [s._id.toString(), s]));
+    return [...new Set(storyIds)].map(id => StoryHighlight.itemFromStory(byId.get(id)));
+};
+
+/**
+ * @route   POST /api/stories
+ * @desc    Post a story that expires after 24 hours
+ * @access  Private
+ */
+router.post('/', verifyToken, async (req, res) => {
+    try {
+        const { mediaType, mediaUrl, thumbnail, text, background, duration } = req.body;
+
+        if (!['image', 'video', 'text'].includes(mediaType)) {
+            return res.status(400).json({ success: false, message: 'mediaType must be image, video or text' });
+        }
+        if (mediaType !== 'text' && !isValidURL(mediaUrl)) {
+            return res.status(400).json({ success: false, message: 'A valid mediaUrl is required' });
+        }
+        if (mediaType === 'text' && (typeof text !== 'string' || !text.trim())) {
+            return res.status(400).json({ success: false, message: 'Text stories need text' });
+        }
+
+        const activeCount = await Story.countDocuments({ user: req.userId }).active();
+        if (activeCount >= MAX_ACTIVE_STORIES) {
+            return res.status(429).json({ success: false, message: `You can have at most ${MAX_ACTIVE_STORIES} active stories` });
+        }
+
+        const story = await Story.create({
+            user: req.userId,
+            mediaType,
+            mediaUrl: mediaType === 'text' ? undefined : mediaUrl,
+            thumbnail,
+            text,
+            background,
+            duration
+        });
+
+        res.status(201).json({
+            success: true,
+            data: StoryService.serialize(story, req.userId),
+            message: 'Story posted'
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        logger.error('Create story error:', error);
+        res.status(500).json({ success: false, message: 'Failed to post story' });
+    }
+});
+
+/**
+ * @route   GET /api/stories/feed
+ * @desc    Active stories from the caller and the people they follow, grouped by author
+ * @access  Private
+ */
+router.get('/feed', verifyToken, async (req, res) => {
+    try {
+        const feed = await StoryService.getFeed(req.userId);
+        res.json({ success: true, data: feed });
+    } catch (error) {
+        logger.error('Story feed error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load stories' });
+    }
+});
+
+/**
+ * @route   GET /api/stories/user/:userId
+ * @desc    A user's active stories, subject to blocking and profile visibility
+ * @access  Private
+ */
+router.get('/user/:userId', verifyToken, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        if (!isValidObjectId(userId)) {
+            return res.status(400).json({ success: false, message: 'Invalid user ID' });
+        }
+
+        const [viewer, owner] = await Promise.all([
+            StoryService.loadViewer(req.userId),
+            User.findOne({ _id: userId, isDeleted: false })
+        ]);
+        if (!owner || !owner.canBeViewedBy(viewer)) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        const stories = await Story.find({ user: userId }).active().sort({ createdAt: 1 });
+
+        res.json({
+            success: true,
+            data: {
+                user: StoryService.publicOwner(owner),
+                stories: stories.map(s => StoryService.serialize(s, req.userId))
+            }
+        });
+    } catch (error) {
+        logger.error('Get user stories error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load stories' });
+    }
+});
+
+/**
+ * @route   POST /api/stories/highlights
+ * @desc    Create a highlight from the caller's own stories
+ * @access  Private
+ */
+router.post('/highlights', verifyToken, async (req, res) => {
+    try {
+        const { title, coverUrl, storyIds = [] } = req.body;
+
+        if (typeof title !== 'string' || !title.trim()) {
+            return res.status(400).json({ success: false, message: 'Title is required' });
+        }
+        if (coverUrl && !isValidURL(coverUrl)) {
+            return res.status(400).json({ success: false, message: 'Invalid cover URL' });
+        }
+
+        const count = await StoryHighlight.countDocuments({ user: req.userId });
+        if (count >= MAX_HIGHLIGHTS) {
+            return res.status(400).json({ success: false, message: `You can have at most ${MAX_HIGHLIGHTS} highlights` });
+        }
+
+        const items = await snapshotOwnStories(req.userId, storyIds);
+        if (!items) {
+            return res.status(400).json({ success: false, message: 'Highlights can only contain your own stories' });
+        }
+
+        const highlight = await StoryHighlight.create({
+            user: req.userId,
+            title,
+            coverUrl: coverUrl || items[0]?.thumbnail || items[0]?.mediaUrl,
+            items,
+            order: count
+        });
+
+        res.status(201).json({ success: true, data: highlight, message: 'Highlight created' });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        logger.error('Create highlight error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create highlight' });
+    }
+});
+
+/**
+ * @route   GET /api/stories/highlights/user/:userId
+ * @desc    A user's highlights, subject to blocking and profile visibility
+ * @access  Private
+ */
+router.get('/highlights/user/:userId', verifyToken, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        if (!isValidObjectId(userId)) {
+            return res.status(400).json({ success: false, message: 'Invalid user ID' });
+        }
+
+        const [viewer, owner] = await Promise.all([
+            StoryService.loadViewer(req.userId),
+            User.findOne({ _id: userId, isDeleted: false })
+        ]);
+        if (!owner || !owner.canBeViewedBy(viewer)) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        const highlights = await StoryHighlight.find({ user: userId }).sort({ order: 1, createdAt: -1 });
+        res.json({ success: true, data: highlights });
+    } catch (error) {
+        logger.error('Get highlights error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load highlights' });
+    }
+});
+
+/**
+ * @route   PATCH /api/stories/highlights/:highlightId
+ * @desc    Rename, change cover, reorder, or add/remove stories
+ * @access  Private (owner)
+ */
+router.patch('/highlights/:highlightId', verifyToken, loadOwnHighlight, async (req, res) => {
+    try {
+        const { title, coverUrl, order, addStoryIds, removeItemIds } = req.body;
+        const highlight = req.highlight;
+
+        if (title !== undefined) highlight.title = title;
+        if (order !== undefined) highlight.order = order;
+        if (coverUrl !== undefined) {
+            if (coverUrl && !isValidURL(coverUrl)) {
+                return res.status(400).json({ success: false, message: 'Invalid cover URL' });
+            }
+            highlight.coverUrl = coverUrl;
+        }
+
+        if (Array.isArray(removeItemIds)) {
+            const remove = new Set(removeItemIds.map(String));
+            highlight.items = highlight.items.filter(item => !remove.has(item._id.toString()));
+        }
+
+        if (addStoryIds !== undefined) {
+            const existing = new Set(highlight.items.map(item => item.story?.toString()));
+            const fresh = Array.isArray(addStoryIds) ? addStoryIds.filter(id => !existing.has(String(id))) : addStoryIds;
+            const items = await snapshotOwnStories(req.userId, fresh);
+            if (!items) {
+                return res.status(400).json({ success: false, message: 'Highlights can only contain your own stories' });
+            }
+            highlight.items.push(...items);
+        }
+
+        await highlight.save();
+        res.json({ success: true, data: highlight, message: 'Highlight updated' });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        logger.error('Update highlight error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update highlight' });
+    }
+});
+
+/**
+ * @route   DELETE /api/stories/highlights/:highlightId
+ * @access  Private (owner)
+ */
+router.delete('/highlights/:highlightId', verifyToken, loadOwnHighlight, async (req, res) => {
+    try {
+        await req.highlight.deleteOne();
+        res.json({ success: true, message: 'Highlight deleted' });
+    } catch (error) {
+        logger.error('Delete highlight error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete highlight' });
+    }
+});
+
+/**
+ * @route   GET /api/stories/:storyId
+ * @access  Private
+ */
+router.get('/:storyId', verifyToken, loadVisibleStory, (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            ...StoryService.serialize(req.story, req.userId),
+            user: StoryService.publicOwner(req.storyOwner)
+        }
+    });
+});
+
+/**
+ * @route   POST /api/stories/:storyId/view
+ * @desc    Record that the caller watched a story (idempotent)
+ * @access  Private
+ */
+router.post('/:storyId/view', verifyToken, loadVisibleStory, async (req, res) => {
+    try {
+        const isOwner = req.story.user.toString() === req.userId;
+        const recorded = isOwner ? false : await Story.recordView(req.story._id, req.userId);
+
+        res.json({ success: true, data: { recorded } });
+    } catch (error) {
+        logger.error('Record story view error:', error);
+        res.status(500).json({ success: false, message: 'Failed to record view' });
+    }
+});
+
+/**
+ * @route   GET /api/stories/:storyId/viewers
+ * @desc    Who watched a story, most recent first
+ * @access  Private (owner)
+ */
+router.get('/:storyId/viewers', verifyToken, loadVisibleStory, async (req, res) => {
+    try {
+        if (req.story.user.toString() !== req.userId) {
+            return res.status(403).json({ success: false, message: 'Only the author can see viewers' });
+        }
+
+        await req.story.populate('viewers.user', 'username firstName lastName profilePicture');
+        const viewers = req.story.viewers
+            .filter(v => v.user)
+            .sort((a, b) => b.viewedAt - a.viewedAt);
+
+        res.json({
+            success: true,
+            data: { viewers, viewersCount: req.story.viewersCount }
+        });
+    } catch (error) {
+        logger.error('Get story viewers error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load viewers' });
+    }
+});
+
+/**
+ * @route   DELETE /api/stories/:storyId
+ * @access  Private (owner)
+ */
+router.delete('/:storyId', verifyToken, loadVisibleStory, async (req, res) => {
+    try {
+        if (req.story.user.toString() !== req.userId) {
+            return res.status(403).json({ success: false, message: 'Not authorized' });
+        }
+
+        await req.story.deleteOne();
+        res.json({ success: true, message: 'Story deleted' });
+    } catch (error) {
+        logger.error('Delete story error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete story' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,218 @@
+const express = require('express');
+const router = express.Router();
+const jwt = require('jsonwebtoken');
+const StudyBuddyProfile = require('../models/StudyBuddyProfile');
+const StudyMatch = require('../models/StudyMatch');
+const StudyBuddyService = require('../services/studyBuddyService');
+const logger = require('../utils/logger');
+const { apiLimiter } = require('../middleware/rateLimitMiddleware');
+const { isValidObjectId } = require('../utils/validators');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'college_media_secret_key';
+
+const PROFILE_FIELDS = ['isActive', 'major', 'subjects', 'goals', 'studyStyle', 'mode', 'maxDistanceKm', 'availability', 'timezone'];
+
+router.use(apiLimiter);
+
+// Middleware to verify token
+const verifyToken = (req, res, next) => {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) return res.status(401).json({ success: false, message: 'No token' });
+    try {
+        const decoded = jwt.verify(token, JWT_SECRET);
+        req.userId = decoded.userId;
+        next();
+    } catch (error) {
+        res.status(401).json({ success: false, message: 'Invalid token' });
+    }
+};
+
+// Resolve :matchId for one of its two members
+const loadMatch = async (req, res, next) => {
+    const { matchId } = req.params;
+    if (!isValidObjectId(matchId)) {
+        return res.status(400).json({ success: false, message: 'Invalid match ID' });
+    }
+
+    try {
+        const match = await StudyMatch.findById(matchId);
+        if (!match || !match.users.some(id => id.toString() === req.userId)) {
+            return res.status(404).json({ success: false, message: 'Match not found' });
+        }
+
+        req.match = match;
+        next();
+    } catch (error) {
+        logger.error('Load match error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+const sendResult = (res, result, successStatus = 200, message) => {
+    if (result.error) {
+        return res.status(result.status).json({ success: false, message: result.error });
+    }
+    res.status(successStatus).json({ success: true, data: result.match, connected: result.connected, message });
+};
+
+/**
+ * @route   GET /api/study-buddies/profile
+ * @desc    The caller's matching profile (null until they opt in)
+ * @access  Private
+ */
+router.get('/profile', verifyToken, async (req, res) => {
+    try {
+        const profile = await StudyBuddyProfile.findOne({ user: req.userId });
+        res.json({ success: true, data: profile });
+    } catch (error) {
+        logger.error('Get study buddy profile error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load profile' });
+    }
+});
+
+/**
+ * @route   PUT /api/study-buddies/profile
+ * @desc    Opt in (or update) with subjects, study style, mode, availability
+ *          windows ({ day, start: "HH:MM", end: "HH:MM" }) and timezone.
+ *          Set isActive: false to stop being suggested.
+ * @access  Private
+ */
+router.put('/profile', verifyToken, async (req, res) => {
+    try {
+        const updates = Object.fromEntries(
+            PROFILE_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+        );
+
+        let profile = await StudyBuddyProfile.findOne({ user: req.userId });
+        if (!profile) profile = new StudyBuddyProfile({ user: req.userId });
+        profile.set(updates);
+        await profile.save();
+
+        res.json({ success: true, data: profile, message: 'Study buddy profile saved' });
+    } catch (error) {
+        if (error.name === 'ValidationError' || error.name === 'CastError') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        logger.error('Save study buddy profile error:', error);
+        res.status(500).json({ success: false, message: 'Failed to save profile' });
+    }
+});
+
+/**
+ * @route   GET /api/study-buddies/suggestions
+ * @desc    Ranked study-buddy candidates with a compatibility score, a
+ *          per-signal breakdown and the reasons each was suggested
+ * @access  Private (opted in)
+ */
+router.get('/suggestions', verifyToken, async (req, res) => {
+    try {
+        const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 10));
+        const suggestions = await StudyBuddyService.getSuggestions(req.userId, limit);
+
+        if (suggestions === null) {
+            return res.status(400).json({ success: false, message: 'Turn on study-buddy matching first' });
+        }
+
+        res.json({ success: true, data: suggestions });
+    } catch (error) {
+        logger.error('Study buddy suggestions error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load suggestions' });
+    }
+});
+
+/**
+ * @route   GET /api/study-buddies/matches
+ * @desc    The caller's matches: ?status=accepted (default), or pending
+ *          split into incoming and outgoing requests
+ * @access  Private
+ */
+router.get('/matches', verifyToken, async (req, res) => {
+    try {
+        const status = req.query.status === 'pending' ? 'pending' : 'accepted';
+
+        const matches = await StudyMatch.find({ users: req.userId, status })
+            .sort({ updatedAt: -1 })
+            .populate('users', 'username firstName lastName profilePicture')
+            .lean();
+
+        const data = matches.map(match => ({
+            ...match,
+            buddy: match.users.find(u => u._id.toString() !== req.userId),
+            direction: match.requestedBy.toString() === req.userId ? 'outgoing' : 'incoming'
+        }));
+
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error('List study matches error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load matches' });
+    }
+});
+
+/**
+ * @route   POST /api/study-buddies/matches
+ * @desc    Accept a suggested buddy ({ userId }). Becomes a connection once
+ *          they accept too (immediately, if they already asked for you).
+ * @access  Private (opted in)
+ */
+router.post('/matches', verifyToken, async (req, res) => {
+    try {
+        const { userId } = req.body;
+        if (!isValidObjectId(userId)) {
+            return res.status(400).json({ success: false, message: 'Invalid user ID' });
+        }
+
+        const result = await StudyBuddyService.requestMatch(req.userId, userId);
+        sendResult(res, result, result.connected ? 200 : 201, result.connected ? 'You are now study buddies' : 'Request sent');
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, message: 'Request already sent' });
+        }
+        logger.error('Request study match error:', error);
+        res.status(500).json({ success: false, message: 'Failed to send request' });
+    }
+});
+
+/**
+ * @route   POST /api/study-buddies/matches/:matchId/accept
+ * @access  Private (recipient)
+ */
+router.post('/matches/:matchId/accept', verifyToken, loadMatch, async (req, res) => {
+    try {
+        const result = await StudyBuddyService.respond(req.match, req.userId, true);
+        sendResult(res, result, 200, 'You are now study buddies');
+    } catch (error) {
+        logger.error('Accept study match error:', error);
+        res.status(500).json({ success: false, message: 'Failed to accept request' });
+    }
+});
+
+/**
+ * @route   POST /api/study-buddies/matches/:matchId/decline
+ * @access  Private (recipient)
+ */
+router.post('/matches/:matchId/decline', verifyToken, loadMatch, async (req, res) => {
+    try {
+        const result = await StudyBuddyService.respond(req.match, req.userId, false);
+        sendResult(res, result, 200, 'Request declined');
+    } catch (error) {
+        logger.error('Decline study match error:', error);
+        res.status(500).json({ success: false, message: 'Failed to decline request' });
+    }
+});
+
+/**
+ * @route   DELETE /api/study-buddies/matches/:matchId
+ * @desc    Withdraw a sent request or end a study-buddy connection
+ * @access  Private (member)
+ */
+router.delete('/matches/:matchId', verifyToken, loadMatch, async (req, res) => {
+    try {
+        const result = await StudyBuddyService.endMatch(req.match, req.userId);
+        sendResult(res, result, 200, 'Match ended');
+    } catch (error) {
+        logger.error('End study match error:', error);
+        res.status(500).json({ success: false, message: 'Failed to end match' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,374 @@
+const express = require('express');
+const router = express.Router();
+const jwt = require('jsonwebtoken');
+const StudyRoom = require('../models/StudyRoom');
+const User = require('../models/User');
+const StudyRoomService = require('../services/studyRoomService');
+const logger = require('../utils/logger');
+const { apiLimiter } = require('../middleware/rateLimitMiddleware');
+const { isValidObjectId } = require('../utils/validators');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'college_media_secret_key';
+
+const EDITABLE_FIELDS = ['name', 'description', 'subject', 'visibility', 'capacity', 'pomodoro'];
+const POMODORO_FIELDS = ['focusMinutes', 'shortBreakMinutes', 'longBreakMinutes', 'cyclesBeforeLongBreak', 'hostOnly'];
+
+router.use(apiLimiter);
+
+// Middleware to verify token
+const verifyToken = (req, res, next) => {
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) return res.status(401).json({ success: false, message: 'No token' });
+    try {
+        const decoded = jwt.verify(token, JWT_SECRET);
+        req.userId = decoded.userId;
+        next();
+    } catch (error) {
+        res.status(401).json({ success: false, message: 'Invalid token' });
+    }
+};
+
+// Access policy needs the caller's email domain and role
+const loadUser = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.userId).select('email role');
+        if (!user) return res.status(401).json({ success: false, message: 'User not found' });
+
+        req.user = user;
+        next();
+    } catch (error) {
+        logger.error('Load user error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+// Resolve :roomId. Rooms the caller may not join are reported as missing.
+const loadRoom = async (req, res, next) => {
+    const { roomId } = req.params;
+    if (!isValidObjectId(roomId)) {
+        return res.status(400).json({ success: false, message: 'Invalid room ID' });
+    }
+
+    try {
+        const room = await StudyRoom.findById(roomId);
+        if (!room || (!StudyRoomService.canAccess(room, req.user) && req.user.role !== 'admin')) {
+            return res.status(404).json({ success: false, message: 'Study room not found' });
+        }
+
+        req.isHost = StudyRoomService.isHost(room, req.userId) || req.user.role === 'admin';
+        req.room = room;
+        next();
+    } catch (error) {
+        logger.error('Load study room error:', error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+const requireHost = (req, res, next) => {
+    if (!req.isHost) {
+        return res.status(403).json({ success: false, message: 'Only the host can do that' });
+    }
+    next();
+};
+
+const pickEditable = (body) => {
+    const updates = Object.fromEntries(
+        EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+    );
+    if (updates.pomodoro && typeof updates.pomodoro === 'object') {
+        updates.pomodoro = Object.fromEntries(
+            POMODORO_FIELDS.filter(field => body.pomodoro[field] !== undefined).map(field => [field, body.pomodoro[field]])
+        );
+    }
+    return updates;
+};
+
+// Campus-only rooms are scoped to the host's email domain
+const applySettings = async (room, updates) => {
+    const { pomodoro, ...rest } = updates;
+    room.set(rest);
+    if (pomodoro) Object.entries(pomodoro).forEach(([key, value]) => room.set(`pomodoro.${key}`, value));
+
+    if (room.visibility === 'campus' && room.isModified('visibility')) {
+        const owner = await User.findById(room.owner).select('email');
+        room.campusDomain = StudyRoomService.emailDomain(owner?.email);
+    }
+};
+
+const isValidationError = (error) => error.name === 'ValidationError' || error.name === 'CastError';
+
+/**
+ * @route   POST /api/study-rooms
+ * @desc    Create a persistent study room. visibility is public, campus
+ *          (same email domain as the host) or invite (host + invitees).
+ *          Optional sessions: [{ title, startsAt, endsAt, repeatWeeks }].
+ * @access  Private
+ */
+router.post('/', verifyToken, loadUser, async (req, res) => {
+    try {
+        const room = new StudyRoom({ owner: req.userId });
+        await applySettings(room, pickEditable(req.body));
+
+        if (Array.isArray(req.body.sessions)) {
+            room.sessions = req.body.sessions.flatMap(session => StudyRoomService.buildSessions(session));
+        }
+        await room.save();
+
+        if (Array.isArray(req.body.invitees)) {
+            await StudyRoomService.invite(room, req.body.invitees.filter(isValidObjectId), req.userId);
+        }
+
+        res.status(201).json({ success: true, data: room, message: 'Study room created' });
+    } catch (error) {
+        if (isValidationError(error)) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        logger.error('Create study room error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create study room' });
+    }
+});
+
+/**
+ * @route   GET /api/study-rooms
+ * @desc    Rooms the caller can join, soonest upcoming session first.
+ *          ?mine=true for rooms they host, ?subject= to filter.
+ * @access  Private
+ */
+router.get('/', verifyToken, loadUser, async (req, res) => {
+    try {
+        const filter = req.query.mine === 'true'
+            ? { owner: req.userId }
+            : StudyRoomService.accessFilter(req.user);
+        if (req.query.subject) filter.subject = String(req.query.subject).toLowerCase();
+
+        const rooms = await StudyRoom.find(filter)
+            .select('-timer')
+            .populate('owner', 'username firstName lastName profilePicture')
+            .lean();
+
+        const now = new Date();
+        const data = rooms.map(room => {
+            const { sessions, invitees, ...rest } = room;
+            const nextSession = sessions
+                .filter(session => session.status === 'scheduled' && session.endsAt > now)
+                .sort((a, b) => a.startsAt - b.startsAt)[0] || null;
+            return { ...rest, nextSession, inviteeCount: invitees.length };
+        });
+
+        data.sort((a, b) => (a.nextSession?.startsAt || Infinity) - (b.nextSession?.startsAt || Infinity));
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error('List study rooms error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load study rooms' });
+    }
+});
+
+/**
+ * @route   GET /api/study-rooms/attendance/export
+ * @desc    The caller's study hours per room session, as JSON or
+ *          ?format=csv. Optional ?from= and ?to= dates.
+ * @access  Private
+ */
+router.get('/attendance/export', verifyToken, async (req, res) => {
+    try {
+        const from = req.query.from ? new Date(req.query.from) : null;
+        const to = req.query.to ? new Date(req.query.to) : null;
+        if ((from && isNaN(from)) || (to && isNaN(to))) {
+            return res.status(400).json({ success: false, message: 'Invalid date range' });
+        }
+
+        const { rows, totalHours } = await StudyRoomService.studyHours(req.userId, { from, to });
+
+        if (req.query.format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv');
+            res.setHeader('Content-Disposition', 'attachment; filename="study-hours.csv"');
+            return res.send(StudyRoomService.toCsv(rows));
+        }
+
+        res.json({ success: true, data: { totalHours, sessions: rows } });
+    } catch (error) {
+        logger.error('Export study hours error:', error);
+        res.status(500).json({ success: false, message: 'Failed to export study hours' });
+    }
+});
+
+/**
+ * @route   GET /api/study-rooms/:roomId
+ * @desc    Room details, schedule and current Pomodoro state
+ * @access  Private (members)
+ */
+router.get('/:roomId', verifyToken, loadUser, loadRoom, async (req, res) => {
+    try {
+        await req.room.populate([
+            { path: 'owner', select: 'username firstName lastName profilePicture' },
+            ...(req.isHost ? [{ path: 'invitees', select: 'username firstName lastName profilePicture' }] : [])
+        ]);
+
+        StudyRoomService.advanceTimer(req.room);
+        const data = {
+            ...req.room.toObject(),
+            invitees: req.isHost ? req.room.invitees : undefined,
+            timer: StudyRoomService.timerState(req.room),
+            activeSession: StudyRoomService.activeSession(req.room),
+            isHost: req.isHost
+        };
+
+        res.json({ success: true, data });
+    } catch (error) {
+        logger.error('Get study room error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load study room' });
+    }
+});
+
+/**
+ * @route   PATCH /api/study-rooms/:roomId
+ * @access  Private (host)
+ */
+router.patch('/:roomId', verifyToken, loadUser, loadRoom, requireHost, async (req, res) => {
+    try {
+        await applySettings(req.room, pickEditable(req.body));
+        await req.room.save();
+
+        res.json({ success: true, data: req.room, message: 'Study room updated' });
+    } catch (error) {
+        if (isValidationError(error)) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        logger.error('Update study room error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update study room' });
+    }
+});
+
+/**
+ * @route   DELETE /api/study-rooms/:roomId
+ * @desc    Archive the room. Attendance is kept so study hours still export.
+ * @access  Private (host)
+ */
+router.delete('/:roomId', verifyToken, loadUser, loadRoom, requireHost, async (req, res) => {
+    try {
+        req.room.isArchived = true;
+        await req.room.save();
+
+        res.json({ success: true, message: 'Study room archived' });
+    } catch (error) {
+        logger.error('Archive study room error:', error);
+        res.status(500).json({ success: false, message: 'Failed to archive study room' });
+    }
+});
+
+/**
+ * @route   POST /api/study-rooms/:roomId/sessions
+ * @desc    Schedule a session ({ title, startsAt, endsAt }), optionally
+ *          repeating weekly for repeatWeeks more weeks
+ * @access  Private (host)
+ */
+router.post('/:roomId/sessions', verifyToken, loadUser, loadRoom, requireHost, async (req, res) => {
+    try {
+        const { startsAt, endsAt } = req.body;
+        if (!startsAt || !endsAt || isNaN(new Date(startsAt)) || isNaN(new Date(endsAt))) {
+            return res.status(400).json({ success: false, message: 'startsAt and endsAt are required dates' });
+        }
+
+        const sessions = StudyRoomService.buildSessions(req.body);
+        req.room.sessions.push(...sessions);
+        await req.room.save();
+
+        const added = req.room.sessions.slice(-sessions.length);
+        res.status(201).json({ success: true, data: added, message: 'Session scheduled' });
+    } catch (error) {
+        if (isValidationError(error)) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        logger.error('Schedule study session error:', error);
+        res.status(500).json({ success: false, message: 'Failed to schedule session' });
+    }
+});
+
+/**
+ * @route   DELETE /api/study-rooms/:roomId/sessions/:sessionId
+ * @desc    Cancel a session. It stays listed so past attendance still resolves.
+ * @access  Private (host)
+ */
+router.delete('/:roomId/sessions/:sessionId', verifyToken, loadUser, loadRoom, requireHost, async (req, res) => {
+    try {
+        const session = isValidObjectId(req.params.sessionId) && req.room.sessions.id(req.params.sessionId);
+        if (!session) {
+            return res.status(404).json({ success: false, message: 'Session not found' });
+        }
+
+        session.status = 'cancelled';
+        await req.room.save();
+
+        res.json({ success: true, data: session, message: 'Session cancelled' });
+    } catch (error) {
+        logger.error('Cancel study session error:', error);
+        res.status(500).json({ success: false, message: 'Failed to cancel session' });
+    }
+});
+
+/**
+ * @route   GET /api/study-rooms/:roomId/attendance
+ * @desc    Who attended ?sessionId= (drop-ins outside any session when
+ *          omitted) and for how long
+ * @access  Private (host)
+ */
+router.get('/:roomId/attendance', verifyToken, loadUser, loadRoom, requireHost, async (req, res) => {
+    try {
+        const { sessionId } = req.query;
+        if (sessionId && (!isValidObjectId(sessionId) || !req.room.sessions.id(sessionId))) {
+            return res.status(404).json({ success: false, message: 'Session not found' });
+        }
+
+        const attendees = await StudyRoomService.sessionReport(req.room, sessionId || null);
+        res.json({ success: true, data: attendees });
+    } catch (error) {
+        logger.error('Study room attendance error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load attendance' });
+    }
+});
+
+/**
+ * @route   POST /api/study-rooms/:roomId/invitees
+ * @desc    Invite students ({ userIds: [] }); each gets a notification
+ * @access  Private (host)
+ */
+router.post('/:roomId/invitees', verifyToken, loadUser, loadRoom, requireHost, async (req, res) => {
+    try {
+        const userIds = Array.isArray(req.body.userIds) ? req.body.userIds : [];
+        if (!userIds.length || !userIds.every(isValidObjectId)) {
+            return res.status(400).json({ success: false, message: 'userIds must be a list of user IDs' });
+        }
+
+        const found = await User.find({ _id: { $in: userIds } }).distinct('_id');
+        const added = await StudyRoomService.invite(req.room, found, req.userId);
+
+        res.json({ success: true, data: added, message: `${added.length} invited` });
+    } catch (error) {
+        logger.error('Invite to study room error:', error);
+        res.status(500).json({ success: false, message: 'Failed to send invites' });
+    }
+});
+
+/**
+ * @route   DELETE /api/study-rooms/:roomId/invitees/:userId
+ * @desc    Revoke an invite, or leave an invite-only room yourself
+ * @access  Private (host or the invitee)
+ */
+router.delete('/:roomId/invitees/:userId', verifyToken, loadUser, loadRoom, async (req, res) => {
+    try {
+        const { userId } = req.params;
+        if (!req.isHost && userId !== req.userId) {
+            return res.status(403).json({ success: false, message: 'Only the host can do that' });
+        }
+
+        req.room.invitees.pull(userId);
+        await req.room.save();
+
+        res.json({ success: true, message: 'Invite removed' });
+    } catch (error) {
+        logger.error('Remove study room invite error:', error);
+        res.status(500).json({ success: false, message: 'Failed to remove invite' });
+    }
+});
+
+module.exports = router;
@@ -10,6 +10,7 @@ router.use('/auth', require('../auth'));
 router.use('/users', require('../users'));
 router.use('/posts', require('../posts'));
 router.use('/messages', require('../messages'));
+router.use('/conversations', require('../conversations'));
 router.use('/account', require('../account'));
 router.use('/search', require('../search'));
 router.use('/moderation', require('../moderation'));
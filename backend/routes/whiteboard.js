@@ -1,9 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const Whiteboard = require('../models/Whiteboard');
+const WhiteboardService = require('../services/whiteboardService');
 const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
+const { getIO } = require('../socket');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'college_media_secret_key';
 
@@ -20,6 +22,45 @@ const verifyToken = (req, res, next) => {
     }
 };
 
+// Load :roomId for owners/collaborators (or anyone, for public boards when readOnly)
+const loadBoard = (readOnly) => async (req, res, next) => {
+    try {
+        const board = await Whiteboard.findOne({ roomId: req.params.roomId });
+        if (!board) {
+            return res.status(404).json({ success: false, message: 'Whiteboard not found' });
+        }
+
+        const allowed = readOnly
+            ? WhiteboardService.canView(board, req.userId)
+            : WhiteboardService.canEdit(board, req.userId);
+        if (!allowed) {
+            return res.status(403).json({ success: false, message: 'Not authorized' });
+        }
+
+        await WhiteboardService.prepareBoard(board.roomId);
+        req.board = board;
+        next();
+    } catch (error) {
+        logger.error('Load whiteboard error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+// Push a board change to everyone connected to the room
+const broadcast = (roomId, event, payload) => {
+    try {
+        getIO().of('/whiteboard').to(roomId).emit(event, payload);
+    } catch (error) {
+        logger.warn('Whiteboard broadcast failed:', error.message);
+    }
+};
+
+const escapeXml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
 /**
  * @swagger
  * /api/whiteboard:
@@ -109,39 +150,248 @@ router.get('/:roomId', verifyToken, async (req, res) => {
  *     summary: Export whiteboard as SVG data
  *     tags: [Whiteboard]
  */
-router.get('/:roomId/export', verifyToken, async (req, res) => {
+router.get('/:roomId/export', verifyToken, loadBoard(true), async (req, res) => {
     try {
-        const board = await Whiteboard.findOne({ roomId: req.params.roomId });
+        const board = req.board;
+        let state = board;
 
-        if (!board) {
-            return res.status(404).json({ success: false, message: 'Whiteboard not found' });
+        // ?version=N renders the board as it was at that version
+        if (req.query.version !== undefined) {
+            const version = parseInt(req.query.version, 10);
+            if (!Number.isInteger(version) || version < 0) {
+                return res.status(400).json({ success: false, message: 'Invalid version' });
+            }
+
+            state = version === board.version
+                ? board
+                : await WhiteboardService.buildVersion(board.roomId, version);
+            if (!state) {
+                return res.status(404).json({ success: false, message: 'Version not available' });
+            }
         }
 
+        // Draw visible layers bottom to top
+        const layers = [...(state.layers || [])].sort((a, b) => a.order - b.order);
+        const visible = layers.filter(l => l.visible !== false).map(l => l.id);
+        const elements = state.elements
+            .filter(e => visible.includes(e.layerId || Whiteboard.DEFAULT_LAYER_ID))
+            .sort((a, b) =>
+                visible.indexOf(a.layerId || Whiteboard.DEFAULT_LAYER_ID) -
+                visible.indexOf(b.layerId || Whiteboard.DEFAULT_LAYER_ID)
+            );
+
         // Generate SVG from elements
-        let svgContent = `<svg xmlns="http://www.w3.org/2000/svg" width="1920" height="1080" style="background:${board.settings.backgroundColor}">`;
-
-        for (const element of board.elements) {
-            if (element.type === 'path' && element.data?.path) {
-                svgContent += `<path d="${element.data.path}" stroke="${element.data.stroke || '#000'}" stroke-width="${element.data.strokeWidth || 2}" fill="none"/>`;
-            } else if (element.type === 'rect' && element.data) {
-                svgContent += `<rect x="${element.data.x}" y="${element.data.y}" width="${element.data.width}" height="${element.data.height}" fill="${element.data.fill || 'none'}" stroke="${element.data.stroke || '#000'}"/>`;
-            } else if (element.type === 'circle' && element.data) {
-                svgContent += `<circle cx="${element.data.cx}" cy="${element.data.cy}" r="${element.data.r}" fill="${element.data.fill || 'none'}" stroke="${element.data.stroke || '#000'}"/>`;
-            } else if (element.type === 'text' && element.data) {
-                svgContent += `<text x="${element.data.x}" y="${element.data.y}" fill="${element.data.fill || '#000'}" font-size="${element.data.fontSize || 16}">${element.data.text}</text>`;
+        let svgContent = `<svg xmlns="http://www.w3.org/2000/svg" width="1920" height="1080" style="background:${escapeXml(board.settings.backgroundColor)}">`;
+
+        for (const element of elements) {
+            const data = element.data ? Object.fromEntries(
+                Object.entries(element.data).map(([key, value]) => [key, escapeXml(value)])
+            ) : null;
+
+            if (element.type === 'path' && data?.path) {
+                svgContent += `<path d="${data.path}" stroke="${data.stroke || '#000'}" stroke-width="${data.strokeWidth || 2}" fill="none"/>`;
+            } else if (element.type === 'rect' && data) {
+                svgContent += `<rect x="${data.x}" y="${data.y}" width="${data.width}" height="${data.height}" fill="${data.fill || 'none'}" stroke="${data.stroke || '#000'}"/>`;
+            } else if (element.type === 'circle' && data) {
+                svgContent += `<circle cx="${data.cx}" cy="${data.cy}" r="${data.r}" fill="${data.fill || 'none'}" stroke="${data.stroke || '#000'}"/>`;
+            } else if (element.type === 'text' && data) {
+                svgContent += `<text x="${data.x}" y="${data.y}" fill="${data.fill || '#000'}" font-size="${data.fontSize || 16}">${data.text}</text>`;
             }
         }
 
         svgContent += '</svg>';
 
+        const suffix = req.query.version !== undefined ? `-v${state.version}` : '';
         res.setHeader('Content-Type', 'image/svg+xml');
-        res.setHeader('Content-Disposition', `attachment; filename="${board.name}.svg"`);
+        res.setHeader('Content-Disposition', `attachment; filename="${board.name.replace(/"/g, '')}${suffix}.svg"`);
         res.send(svgContent);
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
     }
 });
 
+/**
+ * @swagger
+ * /api/whiteboard/{roomId}/layers:
+ *   post:
+ *     summary: Add a named layer on top of the existing ones
+ *     tags: [Whiteboard]
+ */
+router.post('/:roomId/layers', verifyToken, loadBoard(false), async (req, res) => {
+    try {
+        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+        if (!name || name.length > 50) {
+            return res.status(400).json({ success: false, message: 'Layer name must be 1-50 characters' });
+        }
+
+        const result = await WhiteboardService.addLayer(req.board.roomId, req.userId, { name });
+        if (result.error) {
+            return res.status(400).json({ success: false, message: result.error });
+        }
+
+        broadcast(req.board.roomId, 'layers-updated', { layers: result.layers, version: result.version });
+        res.status(201).json({ success: true, layer: result.layer, layers: result.layers });
+    } catch (error) {
+        logger.error('Add layer error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/whiteboard/{roomId}/layers/{layerId}:
+ *   patch:
+ *     summary: Rename, reorder, hide or lock a layer
+ *     tags: [Whiteboard]
+ */
+router.patch('/:roomId/layers/:layerId', verifyToken, loadBoard(false), async (req, res) => {
+    try {
+        const { name, order, visible, locked } = req.body;
+
+        if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > 50)) {
+            return res.status(400).json({ success: false, message: 'Layer name must be 1-50 characters' });
+        }
+        if (order !== undefined && !Number.isInteger(order)) {
+            return res.status(400).json({ success: false, message: 'Order must be an integer' });
+        }
+        if ([visible, locked].some(flag => flag !== undefined && typeof flag !== 'boolean')) {
+            return res.status(400).json({ success: false, message: 'visible and locked must be booleans' });
+        }
+
+        const result = await WhiteboardService.updateLayer(req.board.roomId, req.userId, req.params.layerId, {
+            name: name?.trim(),
+            order,
+            visible,
+            locked
+        });
+        if (!result) {
+            return res.status(404).json({ success: false, message: 'Layer not found' });
+        }
+
+        broadcast(req.board.roomId, 'layers-updated', { layers: result.layers, version: result.version });
+        res.json({ success: true, layer: result.layer, layers: result.layers });
+    } catch (error) {
+        logger.error('Update layer error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/whiteboard/{roomId}/layers/{layerId}:
+ *   delete:
+ *     summary: Delete a layer and everything drawn on it
+ *     tags: [Whiteboard]
+ */
+router.delete('/:roomId/layers/:layerId', verifyToken, loadBoard(false), async (req, res) => {
+    try {
+        const result = await WhiteboardService.deleteLayer(req.board.roomId, req.userId, req.params.layerId);
+        if (!result) {
+            return res.status(400).json({ success: false, message: 'Layer not found or it is the last layer' });
+        }
+
+        broadcast(req.board.roomId, 'layers-updated', { layers: result.layers, version: result.version });
+        broadcast(req.board.roomId, 'board-cleared', { elementIds: result.elementIds, userId: req.userId, version: result.version });
+        res.json({ success: true, layers: result.layers });
+    } catch (error) {
+        logger.error('Delete layer error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/whiteboard/{roomId}/snapshots:
+ *   get:
+ *     summary: List snapshot versions, newest first
+ *     tags: [Whiteboard]
+ */
+router.get('/:roomId/snapshots', verifyToken, loadBoard(true), async (req, res) => {
+    try {
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 50));
+        const before = req.query.before !== undefined ? parseInt(req.query.before, 10) : undefined;
+
+        const snapshots = await WhiteboardService.listSnapshots(req.board.roomId, { limit, before });
+        res.json({ success: true, currentVersion: req.board.version, snapshots });
+    } catch (error) {
+        logger.error('List snapshots error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/whiteboard/{roomId}/snapshots:
+ *   post:
+ *     summary: Save the current board as a named version
+ *     tags: [Whiteboard]
+ */
+router.post('/:roomId/snapshots', verifyToken, loadBoard(false), async (req, res) => {
+    try {
+        const label = typeof req.body.label === 'string' ? req.body.label.trim().slice(0, 100) : undefined;
+
+        const snapshot = await WhiteboardService.createSnapshot(req.board.roomId, {
+            trigger: 'manual',
+            label,
+            userId: req.userId
+        });
+
+        res.status(201).json({
+            success: true,
+            snapshot: {
+                _id: snapshot._id,
+                version: snapshot.version,
+                label: snapshot.label,
+                trigger: snapshot.trigger,
+                elementCount: snapshot.elementCount,
+                createdAt: snapshot.createdAt
+            }
+        });
+    } catch (error) {
+        logger.error('Create snapshot error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
+/**
+ * @swagger
+ * /api/whiteboard/{roomId}/versions/{version}/restore:
+ *   post:
+ *     summary: Restore the board to a historical version
+ *     tags: [Whiteboard]
+ */
+router.post('/:roomId/versions/:version/restore', verifyToken, loadBoard(false), async (req, res) => {
+    try {
+        const version = parseInt(req.params.version, 10);
+        if (!Number.isInteger(version) || version < 0 || version >= req.board.version) {
+            return res.status(400).json({ success: false, message: 'Invalid version' });
+        }
+
+        const result = await WhiteboardService.restoreVersion(req.board.roomId, version, req.userId);
+        if (!result) {
+            return res.status(404).json({ success: false, message: 'Version not available' });
+        }
+
+        broadcast(req.board.roomId, 'board-state', {
+            layers: result.board.layers,
+            elements: result.board.elements,
+            version: result.board.version,
+            settings: result.board.settings,
+            restoredFrom: version
+        });
+
+        res.json({
+            success: true,
+            restoredFrom: version,
+            version: result.board.version,
+            message: `Restored version ${version}`
+        });
+    } catch (error) {
+        logger.error('Restore version error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
 /**
  * @swagger
  * /api/whiteboard/{roomId}/collaborators:
@@ -187,6 +437,8 @@ router.delete('/:roomId', verifyToken, async (req, res) => {
             return res.status(403).json({ success: false, message: 'Not authorized or not found' });
         }
 
+        await WhiteboardService.purgeHistory(req.params.roomId);
+
         res.json({ success: true, message: 'Whiteboard deleted' });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
@@ -31,6 +31,7 @@ const crypto = require("crypto");
 const { randomUUID } = require("crypto");
 const { ApolloServer } = require("apollo-server-express");
 const { Server: SocketIOServer } = require("socket.io");
+const { createAdapter } = require("@socket.io/redis-adapter");
 
 /* ============================================================
    🔧 INTERNAL IMPORTS
@@ -43,6 +44,7 @@ const logger = require("./utils/logger");
 const liveStreamService = require("./services/liveStreamService");
 const initMongoSync = require("./listeners/mongoSync");
 const initEventConsumer = require("./listeners/eventConsumer");
+const scheduler = require("./jobs/scheduler");
 
 const resumeRoutes = require("./routes/resume");
 const uploadRoutes = require("./routes/upload");
@@ -89,6 +91,18 @@ const io = new SocketIOServer(server, {
   }
 });
 
+// Share rooms and broadcasts between instances (code editor, whiteboard, polls...)
+if (process.env.REDIS_URL) {
+  const { redis } = require("./utils/redisManager");
+  io.adapter(createAdapter(redis.duplicate(), redis.duplicate()));
+}
+
+// Initialize Messaging Sockets (auth, presence, message receipts)
+// Note: this authenticates the whole default namespace, so notification
+// clients must connect with a token too (see socket/index.js)
+const { initSocket } = require("./socket");
+initSocket(server, { io, app });
+
 // Initialize Whiteboard Sockets
 const initWhiteboardSockets = require("./sockets/whiteboard");
 initWhiteboardSockets(io);
@@ -97,6 +111,14 @@ initWhiteboardSockets(io);
 const initSignalingSockets = require("./sockets/signaling");
 initSignalingSockets(io);
 
+// Initialize Study Room Sockets (Pomodoro sync, attendance)
+const initStudyRoomSockets = require("./sockets/studyRooms");
+initStudyRoomSockets(io);
+
+// Initialize Poll Sockets (live results)
+const initPollSockets = require("./sockets/polls");
+initPollSockets(io);
+
 // Initialize Code Editor Sockets
 const initCodeEditorSockets = require("./sockets/codeEditor");
 initCodeEditorSockets(io);
@@ -250,13 +272,24 @@ app.get("/", (req, res) => {
 ============================================================ */
 app.use("/api/auth", distributedRateLimit('auth'), require("./routes/auth"));
 app.use("/api/users", require("./routes/users"));
+app.use("/api/posts", require("./routes/posts"));
 app.use("/api/streams", require("./routes/streams"));
 app.use("/api/search", distributedRateLimit('global'), require("./routes/search"));
+app.use("/api/hashtags", require("./routes/hashtags"));
 app.use("/api/collections", require("./routes/collections"));
 app.use("/api/admin", distributedRateLimit('admin'), require("./routes/admin"));
 app.use("/api/resume", resumeRoutes);
 app.use("/api/upload", uploadRoutes);
 app.use("/api/messages", require("./routes/messages"));
+app.use("/api/conversations", require("./routes/conversations"));
+app.use("/api/stories", require("./routes/stories"));
+app.use("/api/assignments", require("./routes/assignments"));
+app.use("/api/quizzes", require("./routes/quizzes"));
+app.use("/api/courses", require("./routes/courses"));
+app.use("/api/study-buddies", require("./routes/studyBuddies"));
+app.use("/api/study-rooms", require("./routes/studyRooms"));
+app.use("/api/alumni", require("./routes/alumni"));
+app.use("/api/jobs", require("./routes/jobs"));
 app.use("/api/keys", require("./routes/keys"));
 app.use("/api/geo", require("./routes/geo"));
 app.use("/api/notifications", require("./routes/notifications"));
@@ -312,6 +345,8 @@ const startServer = async () => {
   liveStreamService.start();
   initMongoSync();
   initEventConsumer(); // Added initEventConsumer() here
+  // Recurring jobs (scheduled posts, poll closing, reminders...) need the DB up
+  scheduler.start();
 
   const apolloServer = new ApolloServer({
     typeDefs,
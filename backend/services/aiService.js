@@ -248,19 +248,13 @@ class AIService {
   }
 
   /**
-   * Check ATS compatibility of resume
-   * @param {Object} resumeData - Complete resume data
-   * @returns {Promise<Object>} ATS analysis with score and suggestions
+   * Flatten structured resume data into the plain text the prompts expect
+   * @param {Object} resumeData - { content, summary, personalInfo }
+   * @returns {String} Resume text
    */
-  async checkATSCompatibility(resumeData) {
-    const apiKey = this.getApiKey();
-    if (!apiKey) {
-      throw new Error('Mistral API key not configured. Please set MISTRAL_API_KEY in your environment variables.');
-    }
-
-    const { content, summary, personalInfo } = resumeData;
+  buildResumeText(resumeData) {
+    const { content = {}, summary, personalInfo } = resumeData;
 
-    // Build comprehensive resume text for analysis
     let resumeText = '';
     
     if (personalInfo) {
@@ -305,6 +299,22 @@ class AIService {
       });
     }
 
+    return resumeText;
+  }
+
+  /**
+   * Check ATS compatibility of resume
+   * @param {Object} resumeData - Complete resume data
+   * @returns {Promise<Object>} ATS analysis with score and suggestions
+   */
+  async checkATSCompatibility(resumeData) {
+    const apiKey = this.getApiKey();
+    if (!apiKey) {
+      throw new Error('Mistral API key not configured. Please set MISTRAL_API_KEY in your environment variables.');
+    }
+
+    const resumeText = this.buildResumeText(resumeData);
+
     const prompt = `As an expert ATS (Applicant Tracking System) analyzer, evaluate this resume for ATS compatibility and provide detailed feedback.
 
 RESUME TO ANALYZE:
@@ -446,52 +456,7 @@ Be specific and actionable in your suggestions.`;
       throw new Error('Mistral API key not configured. Please set MISTRAL_API_KEY in your environment variables.');
     }
 
-    const { content, summary, personalInfo } = resumeData;
-
-    // Build resume text
-    let resumeText = '';
-    
-    if (personalInfo) {
-      resumeText += `PERSONAL INFORMATION:\n`;
-      resumeText += `${personalInfo.name || ''}\n`;
-      resumeText += `${personalInfo.email || ''} | ${personalInfo.phone || ''}\n`;
-      resumeText += `${personalInfo.linkedin || ''}\n\n`;
-    }
-
-    if (summary) {
-      resumeText += `PROFESSIONAL SUMMARY:\n${summary}\n\n`;
-    }
-
-    if (content.experience && content.experience.length > 0) {
-      resumeText += `EXPERIENCE:\n`;
-      content.experience.forEach(exp => {
-        resumeText += `${exp.title} at ${exp.company} (${exp.duration})\n`;
-        resumeText += `${exp.description}\n\n`;
-      });
-    }
-
-    if (content.education && content.education.length > 0) {
-      resumeText += `EDUCATION:\n`;
-      content.education.forEach(edu => {
-        resumeText += `${edu.degree} - ${edu.institution} (${edu.year})`;
-        if (edu.gpa) resumeText += ` - GPA: ${edu.gpa}`;
-        resumeText += `\n`;
-      });
-      resumeText += `\n`;
-    }
-
-    if (content.skills && content.skills.length > 0) {
-      resumeText += `SKILLS:\n${Array.isArray(content.skills) ? content.skills.join(', ') : content.skills}\n\n`;
-    }
-
-    if (content.projects && content.projects.length > 0) {
-      resumeText += `PROJECTS:\n`;
-      content.projects.forEach(proj => {
-        resumeText += `${proj.title}\n${proj.description}\n`;
-        if (proj.link) resumeText += `Link: ${proj.link}\n`;
-        resumeText += `\n`;
-      });
-    }
+    const resumeText = this.buildResumeText(resumeData);
 
     const prompt = `As an expert resume optimizer and ATS specialist, analyze this resume against the provided job description and provide specific optimization recommendations.
 
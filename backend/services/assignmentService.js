@@ -0,0 +1,256 @@
+const mongoose = require('mongoose');
+const Assignment = require('../models/Assignment');
+const AssignmentSubmission = require('../models/AssignmentSubmission');
+const CodeExecutionService = require('./codeExecution');
+const { emitToUsers } = require('../socket');
+const logger = require('../utils/logger');
+
+// Sample-test output echoed back to students is cut to this length
+const MAX_ECHOED_OUTPUT = 2000;
+// A grading run still going after this long is assumed dead (worker crash, lost job)
+const STALE_RUN_MS = 15 * 60 * 1000;
+
+/**
+ * Assignment Service - grading and score reporting for auto-graded
+ * coding assignments.
+ */
+class AssignmentService {
+    /**
+     * Grade a queued submission in the sandbox and store the outcome
+     * @param {string} submissionId
+     */
+    static async gradeSubmission(submissionId) {
+        const submission = await AssignmentSubmission.findOneAndUpdate(
+            { _id: submissionId, status: 'queued' },
+            { $set: { status: 'running', startedAt: new Date() } },
+            { new: true }
+        );
+        if (!submission) return null;
+
+        const assignment = await Assignment.findById(submission.assignment);
+        if (!assignment) {
+            submission.status = 'failed';
+            await submission.save();
+            return submission;
+        }
+
+        try {
+            const outcome = await CodeExecutionService.judge(
+                submission.language,
+                submission.code,
+                assignment.tests.map(t => ({
+                    input: t.input,
+                    expectedOutput: t.expectedOutput,
+                    timeLimitMs: t.timeLimitMs,
+                    memoryLimitMb: t.memoryLimitMb
+                })),
+                { timeLimitMs: assignment.timeLimitMs, memoryLimitMb: assignment.memoryLimitMb }
+            );
+
+            Object.assign(submission, this.scoreResults(assignment.tests, outcome.results), {
+                compileOutput: outcome.compiled ? undefined : (outcome.compileOutput || '').slice(0, MAX_ECHOED_OUTPUT),
+                status: 'graded',
+                gradedAt: new Date()
+            });
+        } catch (error) {
+            logger.error(`Grading failed for submission ${submissionId}:`, error);
+            submission.status = 'failed';
+        }
+
+        await submission.save();
+        this.notifyStudent(submission);
+
+        return submission;
+    }
+
+    /**
+     * Mark a submission whose grading will never finish as failed, so the
+     * student can submit again
+     * @returns {Promise<object|null>} The submission, or null if it was no longer pending
+     */
+    static async failSubmission(submissionId) {
+        const submission = await AssignmentSubmission.findOneAndUpdate(
+            { _id: submissionId, status: { $in: ['queued', 'running'] } },
+            { $set: { status: 'failed' } },
+            { new: true }
+        );
+        if (submission) this.notifyStudent(submission);
+        return submission;
+    }
+
+    /**
+     * Fail grading runs that started more than `olderThanMs` ago and never
+     * finished. Runs from before startedAt was recorded go by updatedAt.
+     */
+    static async failStaleRuns(olderThanMs = STALE_RUN_MS) {
+        const cutoff = new Date(Date.now() - olderThanMs);
+        const stale = await AssignmentSubmission.find({
+            status: 'running',
+            $or: [
+                { startedAt: { $lt: cutoff } },
+                { startedAt: null, updatedAt: { $lt: cutoff } }
+            ]
+        }).select('_id');
+
+        let failed = 0;
+        for (const { _id } of stale) {
+            if (await this.failSubmission(_id)) failed++;
+        }
+        return { failed };
+    }
+
+    static notifyStudent(submission) {
+        emitToUsers([submission.student.toString()], 'submission_graded', {
+            submissionId: submission._id,
+            assignmentId: submission.assignment,
+            status: submission.status,
+            verdict: submission.verdict,
+            score: submission.score,
+            maxScore: submission.maxScore
+        });
+    }
+
+    /**
+     * Partial credit: each accepted test earns its points. The overall
+     * verdict is AC only if every test passed, otherwise the first failure.
+     * @param {Array<object>} tests - Assignment test cases
+     * @param {Array<object>} results - Sandbox results, same order as tests
+     */
+    static scoreResults(tests, results) {
+        const testResults = tests.map((test, index) => {
+            const result = results[index] || { verdict: 'RE', timeMs: 0 };
+            const entry = {
+                index,
+                verdict: result.verdict,
+                timeMs: result.timeMs,
+                points: test.points,
+                earned: result.verdict === 'AC' ? test.points : 0
+            };
+
+            if (test.isSample) {
+                entry.stdout = (result.stdout || '').slice(0, MAX_ECHOED_OUTPUT);
+                entry.stderr = (result.stderr || '').slice(0, MAX_ECHOED_OUTPUT);
+            }
+            return entry;
+        });
+
+        const firstFailure = testResults.find(r => r.verdict !== 'AC');
+
+        return {
+            testResults,
+            verdict: firstFailure ? firstFailure.verdict : 'AC',
+            score: testResults.reduce((sum, r) => sum + r.earned, 0),
+            maxScore: testResults.reduce((sum, r) => sum + r.points, 0)
+        };
+    }
+
+    /**
+     * Best graded score per student for one assignment
+     * @returns {Promise<Array<{student, bestScore, maxScore, attempts, bestVerdict, lastSubmittedAt}>>}
+     */
+    static async getScoreboard(assignmentId) {
+        return AssignmentSubmission.aggregate([
+            { $match: { assignment: new mongoose.Types.ObjectId(String(assignmentId)), status: 'graded' } },
+            { $sort: { score: -1, createdAt: 1 } },
+            {
+                $group: {
+                    _id: '$student',
+                    attempts: { $sum: 1 },
+                    bestScore: { $max: '$score' },
+                    maxScore: { $max: '$maxScore' },
+                    bestVerdict: { $first: '$verdict' },
+                    lastSubmittedAt: { $max: '$createdAt' }
+                }
+            },
+            { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'student' } },
+            { $unwind: '$student' },
+            {
+                $project: {
+                    _id: 0,
+                    student: {
+                        _id: '$student._id',
+                        username: '$student.username',
+                        firstName: '$student.firstName',
+                        lastName: '$student.lastName'
+                    },
+                    attempts: 1,
+                    bestScore: 1,
+                    maxScore: 1,
+                    bestVerdict: 1,
+                    lastSubmittedAt: 1
+                }
+            },
+            { $sort: { bestScore: -1, lastSubmittedAt: 1 } }
+        ]);
+    }
+
+    /**
+     * Instructor dashboard data: per-assignment submission counts, average
+     * best score and verdict breakdown for assignments the caller owns
+     * (every assignment for admins)
+     * @param {string} userId
+     * @param {boolean} allAssignments
+     */
+    static async getInstructorDashboard(userId, allAssignments = false) {
+        const assignments = await Assignment.find(allAssignments ? {} : { createdBy: userId })
+            .select('title dueAt isPublished tests.points createdAt')
+            .sort({ createdAt: -1 })
+            .lean();
+
+        const ids = assignments.map(a => a._id);
+        const [perStudent, verdicts] = await Promise.all([
+            AssignmentSubmission.aggregate([
+                { $match: { assignment: { $in: ids }, status: 'graded' } },
+                { $group: { _id: { assignment: '$assignment', student: '$student' }, best: { $max: '$score' }, attempts: { $sum: 1 } } },
+                {
+                    $group: {
+                        _id: '$_id.assignment',
+                        students: { $sum: 1 },
+                        submissions: { $sum: '$attempts' },
+                        averageBestScore: { $avg: '$best' }
+                    }
+                }
+            ]),
+            AssignmentSubmission.aggregate([
+                { $match: { assignment: { $in: ids }, status: 'graded' } },
+                { $group: { _id: { assignment: '$assignment', verdict: '$verdict' }, count: { $sum: 1 } } }
+            ])
+        ]);
+
+        const statsById = new Map(perStudent.map(s => [s._id.toString(), s]));
+
+        const rows = assignments.map(a => {
+            const stats = statsById.get(a._id.toString());
+            const maxScore = a.tests.reduce((sum, t) => sum + (t.points || 0), 0);
+            const verdictBreakdown = Object.fromEntries(
+                verdicts
+                    .filter(v => v._id.assignment.toString() === a._id.toString())
+                    .map(v => [v._id.verdict, v.count])
+            );
+
+            return {
+                _id: a._id,
+                title: a.title,
+                dueAt: a.dueAt,
+                isPublished: a.isPublished,
+                maxScore,
+                students: stats?.students || 0,
+                submissions: stats?.submissions || 0,
+                averageBestScore: stats ? Math.round(stats.averageBestScore * 100) / 100 : null,
+                averagePercent: stats && maxScore ? Math.round((stats.averageBestScore / maxScore) * 1000) / 10 : null,
+                verdictBreakdown
+            };
+        });
+
+        return {
+            totals: {
+                assignments: rows.length,
+                published: rows.filter(r => r.isPublished).length,
+                submissions: rows.reduce((sum, r) => sum + r.submissions, 0)
+            },
+            assignments: rows
+        };
+    }
+}
+
+module.exports = AssignmentService;
@@ -0,0 +1,273 @@
+const Sfu = require('./sfu');
+
+// Largest room peers can hold a full mesh of connections for
+const MESH_MAX = parseInt(process.env.WEBRTC_MESH_MAX) || 4;
+// Largest room the SFU serves
+const SFU_MAX = parseInt(process.env.WEBRTC_MAX_PARTICIPANTS) || 25;
+// Rooms only drop back to mesh once this small, so a room hovering at the
+// threshold doesn't renegotiate on every join/leave
+const MESH_RETURN = Math.max(2, MESH_MAX - 2);
+
+const MEDIA_KINDS = ['audio', 'video'];
+
+// Call state is per process; a call lives on the node its sockets reach
+const rooms = new Map();
+
+/**
+ * Call Room Service
+ * Server-side state for /webrtc group calls: participants, the topology
+ * (mesh for small rooms, SFU past MESH_MAX when an adapter is configured),
+ * participant caps and host mute/kick controls.
+ */
+class CallRoomService {
+    static get(roomId) {
+        return rooms.get(roomId) || null;
+    }
+
+    static maxParticipants() {
+        return Sfu.isEnabled() ? SFU_MAX : MESH_MAX;
+    }
+
+    /**
+     * Add a socket to a call. `cap` and `hostId` come from a persistent
+     * study room; ad-hoc rooms are hosted by whoever opened them.
+     */
+    static async join(roomId, { socketId, userId, username }, { cap, hostId } = {}) {
+        let room = rooms.get(roomId);
+        if (!room) {
+            room = {
+                id: roomId,
+                mode: 'mesh',
+                hostId: (hostId || userId).toString(),
+                fixedHost: !!hostId,
+                cap: Math.min(cap || Infinity, CallRoomService.maxParticipants()),
+                participants: new Map(),
+                banned: new Set()
+            };
+            rooms.set(roomId, room);
+        }
+
+        if (room.banned.has(userId)) {
+            return { error: 'You were removed from this call', code: 'kicked' };
+        }
+        if (room.participants.has(socketId)) {
+            return { room, participant: room.participants.get(socketId), modeChanged: false };
+        }
+        if (room.participants.size >= room.cap) {
+            return { error: 'This call is full', code: 'full' };
+        }
+
+        const participant = {
+            socketId,
+            userId,
+            username,
+            joinedAt: Date.now(),
+            muted: { audio: false, video: false },
+            hostMuted: { audio: false, video: false },
+            producers: {}
+        };
+        room.participants.set(socketId, participant);
+
+        const modeChanged = await CallRoomService.updateMode(room);
+        return { room, participant, modeChanged };
+    }
+
+    /**
+     * Remove a socket from its call; closes the room once empty
+     */
+    static async leave(roomId, socketId) {
+        const room = rooms.get(roomId);
+        if (!room || !room.participants.has(socketId)) return { room: null };
+
+        const participant = room.participants.get(socketId);
+        room.participants.delete(socketId);
+        if (room.mode === 'sfu') await Sfu.getAdapter().leave(roomId, socketId);
+
+        if (!room.participants.size) {
+            if (room.mode === 'sfu') await Sfu.getAdapter().closeRoom(roomId);
+            rooms.delete(roomId);
+            return { room, participant, empty: true };
+        }
+
+        // Ad-hoc calls pass hosting to the longest-present participant
+        let hostChanged = false;
+        if (!room.fixedHost && participant.userId === room.hostId &&
+            ![...room.participants.values()].some(p => p.userId === room.hostId)) {
+            room.hostId = [...room.participants.values()].sort((a, b) => a.joinedAt - b.joinedAt)[0].userId;
+            hostChanged = true;
+        }
+
+        const modeChanged = await CallRoomService.updateMode(room);
+        return { room, participant, modeChanged, hostChanged };
+    }
+
+    /**
+     * Switch topology when the room crosses the mesh threshold.
+     * Returns true if the mode changed.
+     */
+    static async updateMode(room) {
+        const adapter = Sfu.getAdapter();
+        const count = room.participants.size;
+
+        if (room.mode === 'mesh' && count > MESH_MAX && adapter) {
+            await adapter.createRoom(room.id);
+            room.mode = 'sfu';
+            return true;
+        }
+
+        if (room.mode === 'sfu' && count <= MESH_RETURN) {
+            await adapter.closeRoom(room.id);
+            room.participants.forEach(participant => { participant.producers = {}; });
+            room.mode = 'mesh';
+            return true;
+        }
+
+        return false;
+    }
+
+    static isHost(room, userId) {
+        return room.hostId === userId?.toString();
+    }
+
+    /**
+     * Mesh signals may only pass between two members of the same room
+     */
+    static canRelay(room, fromSocketId, toSocketId) {
+        return !!room && room.mode === 'mesh' &&
+            room.participants.has(fromSocketId) && room.participants.has(toSocketId);
+    }
+
+    static setCap(room, actorId, cap) {
+        if (!CallRoomService.isHost(room, actorId)) return { error: 'Only the host can do that' };
+
+        const value = parseInt(cap);
+        if (!value || value < 2 || value > CallRoomService.maxParticipants()) {
+            return { error: `Cap must be between 2 and ${CallRoomService.maxParticipants()}` };
+        }
+
+        // Lowering the cap never evicts anyone already in the call
+        room.cap = value;
+        return { cap: value };
+    }
+
+    /**
+     * Host mute. In SFU mode the participant's producer is paused on the
+     * server, so the mute holds whatever their client does; in mesh mode
+     * the client is told to mute and may not unmute until the host allows.
+     */
+    static async hostMute(room, actorId, targetSocketId, kind = 'audio', muted = true) {
+        if (!CallRoomService.isHost(room, actorId)) return { error: 'Only the host can do that' };
+        if (!MEDIA_KINDS.includes(kind)) return { error: 'Unknown media kind' };
+
+        const participant = room.participants.get(targetSocketId);
+        if (!participant) return { error: 'Participant not found' };
+
+        participant.hostMuted[kind] = !!muted;
+        if (muted) {
+            participant.muted[kind] = true;
+            await CallRoomService.syncProducer(room, participant, kind);
+        }
+        return { participant };
+    }
+
+    /**
+     * A participant's own mute toggle; unmuting is refused while the host
+     * holds them muted
+     */
+    static async setMuted(room, socketId, kind, muted) {
+        if (!MEDIA_KINDS.includes(kind)) return { error: 'Unknown media kind' };
+
+        const participant = room.participants.get(socketId);
+        if (!participant) return { error: 'Join the call first' };
+        if (!muted && participant.hostMuted[kind]) return { error: 'The host has muted you' };
+
+        participant.muted[kind] = !!muted;
+        await CallRoomService.syncProducer(room, participant, kind);
+        return { participant };
+    }
+
+    static async syncProducer(room, participant, kind) {
+        const producerId = participant.producers[kind];
+        if (room.mode !== 'sfu' || !producerId) return;
+
+        const adapter = Sfu.getAdapter();
+        if (participant.muted[kind]) await adapter.pauseProducer(room.id, producerId);
+        else await adapter.resumeProducer(room.id, producerId);
+    }
+
+    /**
+     * Remove every socket of the target's user and keep them out of this
+     * call until it ends. Returns the socket IDs that were removed.
+     */
+    static async kick(room, actorId, targetSocketId) {
+        if (!CallRoomService.isHost(room, actorId)) return { error: 'Only the host can do that' };
+
+        const target = room.participants.get(targetSocketId);
+        if (!target) return { error: 'Participant not found' };
+        if (target.userId === room.hostId) return { error: 'The host cannot be removed' };
+
+        room.banned.add(target.userId);
+        const removed = [...room.participants.values()]
+            .filter(participant => participant.userId === target.userId)
+            .map(participant => participant.socketId);
+
+        let result = {};
+        for (const socketId of removed) {
+            result = await CallRoomService.leave(room.id, socketId);
+        }
+        return { removed, userId: target.userId, modeChanged: !!result.modeChanged };
+    }
+
+    /**
+     * Publish a track to the SFU. Tracks of host-muted (or self-muted)
+     * participants start paused.
+     */
+    static async produce(room, socketId, { kind, rtpParameters }) {
+        if (room.mode !== 'sfu') return { error: 'This call is not using the SFU' };
+        if (!MEDIA_KINDS.includes(kind)) return { error: 'Unknown media kind' };
+
+        const participant = room.participants.get(socketId);
+        if (!participant) return { error: 'Join the call first' };
+
+        const { producerId } = await Sfu.getAdapter().produce(room.id, socketId, { kind, rtpParameters });
+        participant.producers[kind] = producerId;
+        await CallRoomService.syncProducer(room, participant, kind);
+        return { producerId };
+    }
+
+    /**
+     * Producers a newly connected SFU peer should consume
+     */
+    static producersFor(room, socketId) {
+        return [...room.participants.values()]
+            .filter(participant => participant.socketId !== socketId)
+            .flatMap(participant => Object.entries(participant.producers).map(([kind, producerId]) => ({
+                producerId,
+                kind,
+                socketId: participant.socketId,
+                userId: participant.userId
+            })));
+    }
+
+    static toState(room) {
+        return {
+            roomId: room.id,
+            mode: room.mode,
+            hostId: room.hostId,
+            cap: room.cap,
+            participants: [...room.participants.values()].map(({ socketId, userId, username, muted, hostMuted }) => ({
+                socketId, userId, username, muted, hostMuted
+            }))
+        };
+    }
+
+    // Tests start from an empty registry
+    static reset() {
+        rooms.clear();
+    }
+}
+
+CallRoomService.MESH_MAX = MESH_MAX;
+CallRoomService.SFU_MAX = SFU_MAX;
+
+module.exports = CallRoomService;
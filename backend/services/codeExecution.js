@@ -1,9 +1,9 @@
-const DockerSandbox = require('./dockerSandbox');
+const Sandbox = require('./sandbox');
 const logger = require('../utils/logger');
 
 class CodeExecutionService {
     /**
-     * Execute code using local Docker Sandbox
+     * Execute code in the sandbox (Docker or local backend, see Sandbox)
      * @param {string} language 
      * @param {string} code 
      */
@@ -11,7 +11,7 @@ class CodeExecutionService {
         try {
             const mappedLang = this.mapLanguage(language);
 
-            const result = await DockerSandbox.run(mappedLang, code);
+            const result = await Sandbox.run(mappedLang, code);
 
             return {
                 success: result.success,
@@ -28,6 +28,44 @@ class CodeExecutionService {
         }
     }
 
+    /**
+     * Execute a multi-file project, starting from its entry file
+     * @param {string} language - Language of the entry file
+     * @param {Array<{path: string, content: string}>} files
+     * @param {string} entryFile
+     */
+    static async executeProject(language, files, entryFile) {
+        try {
+            const mappedLang = this.mapLanguage(language);
+
+            const result = await Sandbox.runProject(mappedLang, files, entryFile);
+
+            return {
+                success: result.success,
+                output: result.output || result.error,
+                statusCode: result.statusCode || (result.success ? 0 : 1)
+            };
+
+        } catch (error) {
+            logger.error('Project execution failed:', error.message);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Judge code against test cases (see Sandbox.judge)
+     * @param {string} language
+     * @param {string} code
+     * @param {Array<object>} tests - { input, expectedOutput, timeLimitMs?, memoryLimitMb? }
+     * @param {object} limits - { timeLimitMs, memoryLimitMb }
+     */
+    static async judge(language, code, tests, limits) {
+        return Sandbox.judge(this.mapLanguage(language), code, tests, limits);
+    }
+
     /**
      * Map frontend language names to Sandbox runtimes
      */
@@ -0,0 +1,348 @@
+const path = require('path');
+const CodeRoom = require('../models/CodeRoom');
+const CodeExecutionService = require('./codeExecution');
+const { redisManager, NAMESPACES, TTL } = require('../utils/redisManager');
+const logger = require('../utils/logger');
+
+const MAX_FILES = 100;
+const MAX_FILE_SIZE = 200 * 1024; // 200KB per file
+// All file contents together; keeps a room well under MongoDB's 16MB document limit
+const MAX_PROJECT_SIZE = 8 * 1024 * 1024;
+
+const DEFAULT_FILE = {
+    path: 'main.js',
+    content: '// Start coding here...',
+    language: 'javascript'
+};
+
+const EXTENSION_LANGUAGES = {
+    js: 'javascript',
+    mjs: 'javascript',
+    cjs: 'javascript',
+    ts: 'typescript',
+    py: 'python',
+    cpp: 'cpp',
+    cc: 'cpp',
+    hpp: 'cpp',
+    h: 'cpp',
+    c: 'c',
+    java: 'java',
+    json: 'json',
+    md: 'markdown',
+    html: 'html',
+    css: 'css'
+};
+
+/**
+ * Code Room Service - persistence for collaborative code-editor rooms.
+ * File contents live in Mongo so rooms survive restarts and are shared
+ * across instances. Every edit is saved as a new file version, guarded on
+ * the version it was based on, so a stale edit is refused instead of
+ * overwriting a newer one. Cursor/selection presence is kept in Redis
+ * with a short TTL.
+ */
+class CodeRoomService {
+    /**
+     * Normalise a project-relative path, or null if it is unsafe
+     * (absolute, escapes the root, or contains odd characters)
+     */
+    static normalizePath(filePath) {
+        if (typeof filePath !== 'string') return null;
+
+        const cleaned = path.posix.normalize(filePath.trim().replace(/\\/g, '/')).replace(/^\.\//, '');
+        if (!cleaned || cleaned === '.' || cleaned.length > 200) return null;
+        if (cleaned.startsWith('/') || cleaned.split('/').includes('..')) return null;
+        if (!/^[\w\-. /]+$/.test(cleaned) || cleaned.endsWith('/')) return null;
+
+        return cleaned;
+    }
+
+    static detectLanguage(filePath) {
+        const ext = path.posix.extname(filePath).slice(1).toLowerCase();
+        return EXTENSION_LANGUAGES[ext] || 'plaintext';
+    }
+
+    static isValidRoomId(roomId) {
+        return typeof roomId === 'string' && /^[\w-]{1,64}$/.test(roomId);
+    }
+
+    /**
+     * Load a room for its owner or a member, creating it with a starter file
+     * (owned by the caller) on first join
+     * @returns {Promise<object|null>} The room, or null if it belongs to someone else
+     */
+    static async join(roomId, userId) {
+        const room = await CodeRoom.findOneAndUpdate(
+            { roomId, $or: [{ owner: userId }, { members: userId }] },
+            { $set: { lastActiveAt: new Date() } },
+            { new: true }
+        ).lean();
+        if (room) return room;
+
+        try {
+            const created = await CodeRoom.create({
+                roomId,
+                owner: userId,
+                files: [{ ...DEFAULT_FILE, updatedBy: userId }],
+                entryFile: DEFAULT_FILE.path
+            });
+            return created.toObject();
+        } catch (error) {
+            // Duplicate roomId: the room exists and the caller is not in it
+            if (error.code === 11000) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Let the owner add a member
+     * @returns {Promise<boolean>} False unless `ownerId` owns the room
+     */
+    static async addMember(roomId, ownerId, userId) {
+        const result = await CodeRoom.updateOne({ roomId, owner: ownerId }, { $addToSet: { members: userId } });
+        return result.matchedCount > 0;
+    }
+
+    /**
+     * Tree view of the project: folders (explicit and implied) and files
+     */
+    static toState(room) {
+        const folders = new Set(room.folders || []);
+        room.files.forEach(file => {
+            const parts = file.path.split('/').slice(0, -1);
+            parts.forEach((_, i) => folders.add(parts.slice(0, i + 1).join('/')));
+        });
+
+        const files = [...room.files].sort((a, b) => a.path.localeCompare(b.path));
+        const entry = files.find(f => f.path === room.entryFile) || files[0];
+
+        return {
+            name: room.name,
+            entryFile: room.entryFile,
+            folders: [...folders].sort(),
+            files,
+            // Single-file fields kept for older clients
+            code: entry ? entry.content : '',
+            language: entry ? entry.language : DEFAULT_FILE.language,
+            version: entry ? entry.version : 1
+        };
+    }
+
+    /* ---------- Files ---------- */
+
+    /**
+     * Save an edit as the file's next version
+     * @param {string} roomId
+     * @param {string} filePath
+     * @param {string} content
+     * @param {string} userId
+     * @param {number} [baseVersion] - Version the edit was made on; older clients send none
+     * @returns {Promise<object>} { saved: true, version } or { saved: false, reason: 'not-found'|'conflict'|'too-large', current }
+     */
+    static async saveFile(roomId, filePath, content, userId, baseVersion) {
+        const match = Number.isInteger(baseVersion) ? { path: filePath, version: baseVersion } : { path: filePath };
+
+        const room = await CodeRoom.findOneAndUpdate(
+            { roomId, files: { $elemMatch: match }, ...this.fitsProject(Buffer.byteLength(content, 'utf8'), filePath) },
+            {
+                $set: {
+                    'files.$.content': content,
+                    'files.$.updatedBy': userId,
+                    'files.$.updatedAt': new Date(),
+                    lastActiveAt: new Date()
+                },
+                $inc: { 'files.$.version': 1 }
+            },
+            { new: true, projection: { files: { $elemMatch: { path: filePath } } } }
+        ).lean();
+        if (room) return { saved: true, version: room.files[0].version };
+
+        const current = await CodeRoom.findOne(
+            { roomId, 'files.path': filePath },
+            { files: { $elemMatch: { path: filePath } } }
+        ).lean();
+        if (!current) return { saved: false, reason: 'not-found' };
+
+        const { content: latest, version } = current.files[0];
+        if (!Number.isInteger(baseVersion) || baseVersion === version) {
+            return { saved: false, reason: 'too-large' };
+        }
+        return { saved: false, reason: 'conflict', current: { path: filePath, content: latest, version } };
+    }
+
+    static isValidContent(content) {
+        return typeof content === 'string' && Buffer.byteLength(content, 'utf8') <= MAX_FILE_SIZE;
+    }
+
+    /**
+     * Filter matching rooms that stay within MAX_PROJECT_SIZE once `addedBytes`
+     * are written, with `replacedPath` (if any) no longer counted
+     */
+    static fitsProject(addedBytes, replacedPath = null) {
+        const sizes = {
+            $map: {
+                input: '$files',
+                as: 'file',
+                in: {
+                    $cond: [
+                        { $eq: ['$$file.path', replacedPath] },
+                        0,
+                        { $strLenBytes: { $ifNull: ['$$file.content', ''] } }
+                    ]
+                }
+            }
+        };
+        return { $expr: { $lte: [{ $add: [{ $sum: sizes }, addedBytes] }, MAX_PROJECT_SIZE] } };
+    }
+
+    /**
+     * @returns {Promise<object|null>} The new file, or null if the path is taken or the project is full
+     */
+    static async createFile(roomId, filePath, { content = '', language } = {}, userId) {
+        const file = {
+            path: filePath,
+            content,
+            language: language || this.detectLanguage(filePath),
+            version: 1,
+            updatedBy: userId,
+            updatedAt: new Date()
+        };
+
+        const result = await CodeRoom.updateOne(
+            {
+                roomId,
+                'files.path': { $ne: filePath },
+                [`files.${MAX_FILES - 1}`]: { $exists: false },
+                ...this.fitsProject(Buffer.byteLength(content, 'utf8'))
+            },
+            { $push: { files: file }, $pull: { folders: filePath }, $set: { lastActiveAt: new Date() } }
+        );
+
+        return result.modifiedCount > 0 ? file : null;
+    }
+
+    static async createFolder(roomId, folderPath) {
+        const result = await CodeRoom.updateOne(
+            { roomId, 'files.path': { $ne: folderPath } },
+            { $addToSet: { folders: folderPath } }
+        );
+        return result.modifiedCount > 0;
+    }
+
+    static async renameFile(roomId, from, to) {
+        const result = await CodeRoom.updateOne(
+            { roomId, $and: [{ 'files.path': from }, { 'files.path': { $ne: to } }] },
+            {
+                $set: {
+                    'files.$[file].path': to,
+                    'files.$[file].language': this.detectLanguage(to),
+                    lastActiveAt: new Date()
+                }
+            },
+            { arrayFilters: [{ 'file.path': from }] }
+        );
+        if (result.modifiedCount === 0) return false;
+
+        await CodeRoom.updateOne({ roomId, entryFile: from }, { $set: { entryFile: to } });
+        return true;
+    }
+
+    static async deleteFile(roomId, filePath) {
+        const result = await CodeRoom.updateOne(
+            { roomId, 'files.path': filePath },
+            { $pull: { files: { path: filePath } }, $set: { lastActiveAt: new Date() } }
+        );
+        return result.modifiedCount > 0;
+    }
+
+    static async setLanguage(roomId, filePath, language) {
+        const result = await CodeRoom.updateOne(
+            { roomId, 'files.path': filePath },
+            { $set: { 'files.$.language': language } }
+        );
+        return result.matchedCount > 0;
+    }
+
+    static async setEntryFile(roomId, filePath) {
+        const result = await CodeRoom.updateOne(
+            { roomId, 'files.path': filePath },
+            { $set: { entryFile: filePath } }
+        );
+        return result.matchedCount > 0;
+    }
+
+    /**
+     * Send the whole tree to the sandbox, starting from the entry file
+     * @param {string} roomId
+     * @param {string} userId
+     * @param {string} [entryFile] - Overrides the room's saved entry file
+     */
+    static async runProject(roomId, userId, entryFile) {
+        const room = await CodeRoom.findOne({ roomId }).lean();
+        if (!room) return { success: false, error: 'Room not found' };
+
+        const entryPath = entryFile || room.entryFile;
+        const entry = room.files.find(f => f.path === entryPath);
+        if (!entry) return { success: false, error: `Entry file ${entryPath} not found` };
+
+        const files = room.files.map(f => ({ path: f.path, content: f.content }));
+        const result = await CodeExecutionService.executeProject(entry.language, files, entry.path);
+
+        await CodeRoom.updateOne({ roomId }, {
+            $set: {
+                lastRun: { at: new Date(), by: userId, success: result.success, statusCode: result.statusCode }
+            }
+        });
+
+        return { ...result, entryFile: entry.path };
+    }
+
+    /* ---------- Presence ---------- */
+
+    /**
+     * Store a member's cursor/selection. Failures are logged, not thrown:
+     * presence is best-effort and must not break editing.
+     */
+    static async setPresence(roomId, socketId, presence) {
+        try {
+            await redisManager.hashSet({
+                namespace: NAMESPACES.CODE_EDITOR_PRESENCE,
+                id: roomId,
+                field: socketId,
+                value: { ...presence, socketId, updatedAt: Date.now() },
+                ttlKey: 'CODE_EDITOR_PRESENCE'
+            });
+        } catch (error) {
+            logger.warn('Code editor presence update failed:', error.message);
+        }
+    }
+
+    /**
+     * Everyone present in a room across all instances, dropping entries
+     * that have not been refreshed within the presence TTL
+     */
+    static async getPresence(roomId) {
+        try {
+            const entries = await redisManager.hashGetAll({ namespace: NAMESPACES.CODE_EDITOR_PRESENCE, id: roomId });
+            const cutoff = Date.now() - TTL.CODE_EDITOR_PRESENCE * 1000;
+            return Object.values(entries).filter(p => p.updatedAt >= cutoff);
+        } catch (error) {
+            logger.warn('Code editor presence lookup failed:', error.message);
+            return [];
+        }
+    }
+
+    static async removePresence(roomId, socketId) {
+        try {
+            await redisManager.hashDel({ namespace: NAMESPACES.CODE_EDITOR_PRESENCE, id: roomId, field: socketId });
+        } catch (error) {
+            logger.warn('Code editor presence cleanup failed:', error.message);
+        }
+    }
+}
+
+CodeRoomService.MAX_FILES = MAX_FILES;
+CodeRoomService.MAX_FILE_SIZE = MAX_FILE_SIZE;
+CodeRoomService.MAX_PROJECT_SIZE = MAX_PROJECT_SIZE;
+
+module.exports = CodeRoomService;
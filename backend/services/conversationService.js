@@ -0,0 +1,130 @@
+const ConversationMongo = require('../models/Conversation');
+const ConversationMock = require('../mockdb/conversationDB');
+const MessageMongo = require('../models/Message');
+const MessageMock = require('../mockdb/messageDB');
+const UserMongo = require('../models/User');
+const UserMock = require('../mockdb/userDB');
+
+const ADMIN_ROLES = ['owner', 'admin'];
+
+/**
+ * Conversation Service - membership rules and per-member read state
+ * for group conversations, on top of either the Mongo or mock backend.
+ */
+class ConversationService {
+    /**
+     * Pick the conversation store for the active backend
+     * @param {boolean} useMongoDB
+     */
+    static getStore(useMongoDB) {
+        return useMongoDB ? ConversationMongo : ConversationMock;
+    }
+
+    /**
+     * Normalise Mongoose documents and mock objects to plain objects
+     */
+    static toPlain(conversation) {
+        if (!conversation) return null;
+        return typeof conversation.toObject === 'function' ? conversation.toObject() : conversation;
+    }
+
+    /**
+     * Ids in `userIds` that belong to no user on the active backend
+     */
+    static async findMissingUsers(userIds, useMongoDB) {
+        const ids = [...new Set(userIds.map(String))];
+        if (!ids.length) return [];
+
+        const found = useMongoDB
+            ? (await UserMongo.find({ _id: { $in: ids }, isDeleted: { $ne: true } }).select('_id').lean()).map(user => user._id.toString())
+            : ids.filter(id => UserMock.findById(id));
+        const existing = new Set(found);
+        return ids.filter(id => !existing.has(id));
+    }
+
+    static getMember(conversation, userId) {
+        if (!conversation || !userId) return null;
+        return conversation.members.find(m => m.user.toString() === userId.toString()) || null;
+    }
+
+    static isAdmin(conversation, userId) {
+        const member = this.getMember(conversation, userId);
+        return !!member && ADMIN_ROLES.includes(member.role);
+    }
+
+    /**
+     * Channels are broadcast-only: only owners/admins may post
+     */
+    static canPost(conversation, userId) {
+        const member = this.getMember(conversation, userId);
+        if (!member) return false;
+        return conversation.type !== 'channel' || ADMIN_ROLES.includes(member.role);
+    }
+
+    /**
+     * Count messages a member has not read yet in one conversation
+     * @param {object} conversation - Plain conversation object
+     * @param {string} userId
+     * @param {boolean} useMongoDB
+     */
+    static async countUnread(conversation, userId, useMongoDB) {
+        const member = this.getMember(conversation, userId);
+        if (!member) return 0;
+
+        const since = new Date(member.lastReadAt || member.joinedAt);
+
+        if (useMongoDB) {
+            return MessageMongo.countDocuments({
+                conversation: conversation._id,
+                sender: { $ne: userId },
+                createdAt: { $gt: since },
+                deletedBy: { $nin: [userId] }
+            });
+        }
+
+        const messages = await MessageMock.find({ conversationId: conversation._id.toString() });
+        return messages.filter(msg =>
+            msg.sender !== userId.toString() &&
+            new Date(msg.createdAt) > since &&
+            !msg.deletedBy.includes(userId.toString())
+        ).length;
+    }
+
+    /**
+     * Total unread group messages across every conversation the user belongs to
+     */
+    static async countAllUnread(userId, useMongoDB) {
+        const conversations = await this.getStore(useMongoDB).findForMember(userId);
+        const counts = await Promise.all(
+            conversations.map(c => this.countUnread(c, userId, useMongoDB))
+        );
+        return counts.reduce((sum, n) => sum + n, 0);
+    }
+
+    /**
+     * Remove a member, handing ownership over if the owner leaves.
+     * Archives the conversation once nobody is left.
+     */
+    static async removeMember(conversation, userId, useMongoDB) {
+        const store = this.getStore(useMongoDB);
+        const leaving = this.getMember(conversation, userId);
+
+        let updated = this.toPlain(await store.removeMember(conversation._id, userId));
+        if (!updated) return null;
+
+        if (updated.members.length === 0) {
+            return this.toPlain(await store.updateFields(conversation._id, { isArchived: true }));
+        }
+
+        if (leaving && leaving.role === 'owner') {
+            const successor = updated.members.find(m => m.role === 'admin') || updated.members[0];
+            updated = this.toPlain(await store.setMemberRole(conversation._id, successor.user, 'owner'));
+        }
+
+        return updated;
+    }
+}
+
+ConversationService.ADMIN_ROLES = ADMIN_ROLES;
+
+module.exports = ConversationService;
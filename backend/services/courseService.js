@@ -0,0 +1,227 @@
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const User = require('../models/User');
+
+// Lesson fields only enrolled students (and the instructor) receive
+const CONTENT_FIELDS = ['contentUrl', 'body', 'quiz', 'assignment'];
+
+/**
+ * Course Service - enrollment rules, lesson prerequisites, progress
+ * tracking and the search document for the `courses` index.
+ */
+class CourseService {
+    static allLessons(course) {
+        return course.modules.flatMap(module => module.lessons.map(lesson => ({ module, lesson })));
+    }
+
+    /**
+     * Prerequisite courses the user has not completed yet
+     * @returns {Promise<Array<{_id, title}>>}
+     */
+    static async missingCoursePrerequisites(course, userId) {
+        if (!course.prerequisites.length) return [];
+
+        const completed = await Enrollment.find({
+            user: userId,
+            course: { $in: course.prerequisites },
+            status: 'completed'
+        }).distinct('course');
+        const done = new Set(completed.map(id => id.toString()));
+
+        const missing = course.prerequisites.filter(id => !done.has(id.toString()));
+        if (!missing.length) return [];
+
+        return Course.find({ _id: { $in: missing } }).select('title').lean();
+    }
+
+    /**
+     * Ids of the lesson's prerequisites still to be completed
+     */
+    static missingLessonPrerequisites(lesson, enrollment) {
+        return lesson.prerequisites.filter(id => !enrollment || !enrollment.hasCompleted(id));
+    }
+
+    /**
+     * Overall and per-module completion for an enrollment. Lessons that
+     * were removed from the syllabus no longer count.
+     */
+    static computeProgress(course, enrollment) {
+        const modules = course.modules.map(module => {
+            const total = module.lessons.length;
+            const completed = module.lessons.filter(l => enrollment.hasCompleted(l._id)).length;
+            return { _id: module._id, title: module.title, completed, total };
+        });
+
+        const total = modules.reduce((sum, m) => sum + m.total, 0);
+        const completed = modules.reduce((sum, m) => sum + m.completed, 0);
+
+        return {
+            completed,
+            total,
+            percent: total ? Math.round((completed / total) * 1000) / 10 : 0,
+            modules
+        };
+    }
+
+    /**
+     * Mark a lesson complete once its prerequisites are done. The
+     * enrollment becomes `completed` when every lesson is.
+     * @returns {Promise<{enrollment, progress}|{error: string, status: number, missing?: Array}>}
+     */
+    static async completeLesson(course, enrollment, lessonId) {
+        const found = course.findLesson(lessonId);
+        if (!found) return { error: 'Lesson not found', status: 404 };
+
+        const missing = this.missingLessonPrerequisites(found.lesson, enrollment);
+        if (missing.length) {
+            return { error: 'Complete the prerequisite lessons first', status: 400, missing };
+        }
+
+        await Enrollment.updateOne(
+            { _id: enrollment._id, 'completedLessons.lesson': { $ne: found.lesson._id } },
+            { $push: { completedLessons: { lesson: found.lesson._id, completedAt: new Date() } } }
+        );
+
+        return this.refreshProgress(course, enrollment._id, found.lesson._id);
+    }
+
+    static async uncompleteLesson(course, enrollment, lessonId) {
+        const found = course.findLesson(lessonId);
+        if (!found) return { error: 'Lesson not found', status: 404 };
+
+        await Enrollment.updateOne(
+            { _id: enrollment._id },
+            { $pull: { completedLessons: { lesson: found.lesson._id } } }
+        );
+
+        return this.refreshProgress(course, enrollment._id, found.lesson._id);
+    }
+
+    /**
+     * Recompute and store progressPercent/status after a change
+     */
+    static async refreshProgress(course, enrollmentId, lastLessonId) {
+        const enrollment = await Enrollment.findById(enrollmentId);
+        const progress = this.computeProgress(course, enrollment);
+        const finished = progress.total > 0 && progress.completed === progress.total;
+
+        enrollment.progressPercent = progress.percent;
+        enrollment.lastLesson = lastLessonId;
+        enrollment.lastActivityAt = new Date();
+        if (finished && enrollment.status === 'active') {
+            enrollment.status = 'completed';
+            enrollment.completedAt = new Date();
+        } else if (!finished && enrollment.status === 'completed') {
+            enrollment.status = 'active';
+            enrollment.completedAt = undefined;
+        }
+        await enrollment.save();
+
+        return { enrollment, progress };
+    }
+
+    /**
+     * Syllabus as seen by the caller. Lesson content is stripped unless
+     * the caller teaches or is enrolled in the course (or the lesson is a
+     * preview); enrolled students also get completed/locked flags.
+     */
+    static syllabusView(course, { canAccessContent, enrollment }) {
+        const obj = course.toObject({ virtuals: true });
+
+        obj.modules = obj.modules.map(module => ({
+            ...module,
+            lessons: module.lessons.map(lesson => {
+                const view = { ...lesson };
+                if (!canAccessContent && !lesson.isPreview) {
+                    CONTENT_FIELDS.forEach(field => delete view[field]);
+                }
+                if (enrollment) {
+                    view.completed = enrollment.hasCompleted(lesson._id);
+                    view.locked = lesson.prerequisites.some(id => !enrollment.hasCompleted(id));
+                }
+                return view;
+            })
+        }));
+
+        return obj;
+    }
+
+    /**
+     * Document stored in the `courses` search index
+     */
+    static async toSearchDocument(course) {
+        const instructor = await User.findById(course.instructor).select('username firstName lastName').lean();
+        const instructorName = instructor
+            ? [instructor.firstName, instructor.lastName].filter(Boolean).join(' ') || instructor.username
+            : '';
+
+        return {
+            id: course._id.toString(),
+            title: course.title,
+            subtitle: course.subtitle || '',
+            description: course.description || '',
+            category: course.category || '',
+            tags: course.tags || [],
+            difficulty: course.difficulty,
+            price: course.price || 0,
+            isFree: !course.price,
+            instructorId: course.instructor.toString(),
+            instructorName,
+            lessonTitles: (course.modules || []).flatMap(m => m.lessons.map(l => l.title)),
+            enrollmentCount: course.enrollmentCount || 0,
+            createdAt: course.createdAt
+        };
+    }
+
+    /**
+     * Instructor dashboard: enrollments, completions and average progress
+     * per course the caller teaches (every course for admins)
+     */
+    static async getInstructorDashboard(userId, allCourses = false) {
+        const courses = await Course.find(allCourses ? {} : { instructor: userId })
+            .select('title status enrollmentCount publishedAt createdAt modules.lessons._id')
+            .sort({ createdAt: -1 })
+            .lean();
+
+        const stats = await Enrollment.aggregate([
+            { $match: { course: { $in: courses.map(c => c._id) }, status: { $ne: 'dropped' } } },
+            {
+                $group: {
+                    _id: '$course',
+                    students: { $sum: 1 },
+                    completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+                    averageProgress: { $avg: '$progressPercent' },
+                    lastActivityAt: { $max: '$lastActivityAt' }
+                }
+            }
+        ]);
+        const statsById = new Map(stats.map(s => [s._id.toString(), s]));
+
+        const rows = courses.map(course => {
+            const s = statsById.get(course._id.toString());
+            return {
+                _id: course._id,
+                title: course.title,
+                status: course.status,
+                publishedAt: course.publishedAt,
+                lessonCount: course.modules.reduce((sum, m) => sum + m.lessons.length, 0),
+                students: s?.students || 0,
+                completed: s?.completed || 0,
+                completionRate: s?.students ? Math.round((s.completed / s.students) * 1000) / 10 : null,
+                averageProgress: s ? Math.round(s.averageProgress * 10) / 10 : null,
+                lastActivityAt: s?.lastActivityAt || null
+            };
+        });
+
+        return {
+            totals: {
+                courses: rows.length,
+                published: rows.filter(r => r.status === 'published').length,
+                students: rows.reduce((sum, r) => sum + r.students, 0)
+            },
+            courses: rows
+        };
+    }
+}
+
+module.exports = CourseService;
@@ -0,0 +1,465 @@
+const qrcode = require('qrcode');
+const Alumni = require('../models/Alumni');
+const AlumniEvent = require('../models/AlumniEvent');
+const EventSurveyResponse = require('../models/EventSurveyResponse');
+const NotificationService = require('./notificationService');
+const UrlSigner = require('../utils/urlSigner');
+const { buildCalendar } = require('../utils/ical');
+const logger = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+// Tickets stay valid this long after the event ends (late check-in at the door)
+const TICKET_GRACE_MS = 6 * HOUR_MS;
+// Subscribed calendar feeds are re-issued from the app once a year
+const FEED_TTL_SECONDS = 365 * 24 * 60 * 60;
+// Surveys only go out for events that ended within this window
+const SURVEY_WINDOW_MS = 7 * 24 * HOUR_MS;
+
+const MAX_PROMOTION_ATTEMPTS = 100;
+
+const CLOSED_STATUSES = ['cancelled', 'completed'];
+
+const sameId = (a, b) => a?.toString() === b?.toString();
+
+/**
+ * Alumni Event Service
+ * Registration with capacity and waitlist promotion, signed QR check-in
+ * tickets, attendance, post-event surveys and iCalendar feeds for
+ * AlumniEvents. Registrants are Alumni profiles, as with registration
+ * before ticketing existed.
+ */
+class EventService {
+    static isOrganizer(event, alumni, user) {
+        return (alumni && sameId(event.organizer?._id || event.organizer, alumni._id)) || user?.role === 'admin';
+    }
+
+    /**
+     * Register, or join the waitlist when the event is full. Both pushes
+     * are conditional updates so concurrent registrations can't overfill
+     * the event or jump an existing waitlist.
+     */
+    static async register(event, alumni, now = new Date()) {
+        if (CLOSED_STATUSES.includes(event.status) || event.endDate <= now) {
+            return { error: 'Registration is closed for this event', status: 400 };
+        }
+        if (event.registrationDeadline && now > event.registrationDeadline) {
+            return { error: 'Registration deadline has passed', status: 400 };
+        }
+        if (event.findAttendee(alumni._id) || event.waitlistPosition(alumni._id)) {
+            return { error: 'Already registered for this event', status: 400 };
+        }
+
+        const notListed = { _id: event._id, 'attendees.alumni': { $ne: alumni._id }, 'waitlist.alumni': { $ne: alumni._id } };
+        const hasRoom = event.capacity
+            ? { 'waitlist.0': { $exists: false }, $expr: { $lt: [{ $size: '$attendees' }, '$capacity'] } }
+            : {};
+
+        const registered = await AlumniEvent.findOneAndUpdate(
+            { ...notListed, ...hasRoom },
+            { $push: { attendees: { alumni: alumni._id, registeredAt: now } } },
+            { new: true }
+        );
+        if (registered) return { event: registered, registration: 'registered' };
+
+        const waitlisted = await AlumniEvent.findOneAndUpdate(
+            notListed,
+            { $push: { waitlist: { alumni: alumni._id, joinedAt: now } } },
+            { new: true }
+        );
+        if (!waitlisted) return { error: 'Already registered for this event', status: 400 };
+
+        return {
+            event: waitlisted,
+            registration: 'waitlisted',
+            position: waitlisted.waitlistPosition(alumni._id)
+        };
+    }
+
+    /**
+     * Cancel a registration or leave the waitlist. A freed seat goes to
+     * the head of the waitlist.
+     */
+    static async cancel(event, alumni, now = new Date()) {
+        if (event.startDate <= now) {
+            return { error: 'The event has already started', status: 400 };
+        }
+
+        const attendee = event.findAttendee(alumni._id);
+        if (!attendee && !event.waitlistPosition(alumni._id)) {
+            return { error: 'Not registered for this event', status: 404 };
+        }
+
+        await AlumniEvent.updateOne(
+            { _id: event._id },
+            { $pull: { attendees: { alumni: alumni._id }, waitlist: { alumni: alumni._id } } }
+        );
+        const promoted = attendee ? await EventService.promoteWaitlist(event._id) : [];
+
+        return { event: await AlumniEvent.findById(event._id), promoted };
+    }
+
+    /**
+     * Move waitlisted alumni into free seats, oldest first
+     */
+    static async promoteWaitlist(eventId) {
+        const promoted = [];
+
+        // Bounded so a hot event can't keep one request spinning on lost races
+        for (let attempt = 0; attempt < MAX_PROMOTION_ATTEMPTS; attempt++) {
+            const event = await AlumniEvent.findById(eventId).select('title capacity attendees.alumni waitlist startDate status');
+            const next = event?.waitlist[0];
+            if (!next || CLOSED_STATUSES.includes(event.status) || (event.capacity && event.attendees.length >= event.capacity)) break;
+
+            const hasRoom = event.capacity ? { $expr: { $lt: [{ $size: '$attendees' }, '$capacity'] } } : {};
+            const updated = await AlumniEvent.findOneAndUpdate(
+                { _id: eventId, 'waitlist.0._id': next._id, ...hasRoom },
+                {
+                    $pop: { waitlist: -1 },
+                    $push: { attendees: { alumni: next.alumni, promotedFromWaitlist: true } }
+                }
+            );
+            // Lost a race with another promotion or registration: re-read and retry
+            if (!updated) continue;
+
+            promoted.push(next.alumni);
+            EventService.notifyAlumni([next.alumni], null, `A spot opened up: you're now registered for "${event.title}"`);
+        }
+
+        return promoted;
+    }
+
+    /**
+     * Organizer edits. Raising (or removing) capacity promotes from the
+     * waitlist; cancelling or rescheduling notifies everyone registered.
+     */
+    static async update(event, updates, userId) {
+        const before = { status: event.status, startDate: event.startDate?.getTime(), endDate: event.endDate?.getTime() };
+
+        event.set(updates);
+        await event.save();
+
+        if (event.status === 'cancelled' && before.status !== 'cancelled') {
+            EventService.notifyAlumni(EventService.registrants(event), userId, `"${event.title}" has been cancelled`);
+        } else if (event.startDate.getTime() !== before.startDate || event.endDate.getTime() !== before.endDate) {
+            EventService.notifyAlumni(EventService.registrants(event), userId, `"${event.title}" was rescheduled to ${EventService.formatLocal(event.startDate, event.timezone)}`);
+        }
+
+        const promoted = updates.capacity !== undefined || updates.status !== undefined
+            ? await EventService.promoteWaitlist(event._id)
+            : [];
+
+        return { event: promoted.length ? await AlumniEvent.findById(event._id) : event, promoted };
+    }
+
+    static registrants(event) {
+        return [...event.attendees, ...event.waitlist].map(entry => entry.alumni);
+    }
+
+    static checkInPath(eventId, alumniId) {
+        return `/api/alumni/events/${eventId}/check-in?attendee=${alumniId}`;
+    }
+
+    /**
+     * Signed check-in code (and its QR image) for a registered attendee.
+     * Valid until a few hours after the event ends.
+     */
+    static async ticket(event, alumni, now = new Date()) {
+        const attendee = event.findAttendee(alumni._id);
+        if (!attendee) {
+            const position = event.waitlistPosition(alumni._id);
+            return position
+                ? { error: `You are #${position} on the waitlist`, status: 400 }
+                : { error: 'Not registered for this event', status: 404 };
+        }
+        if (event.status === 'cancelled') {
+            return { error: 'This event has been cancelled', status: 400 };
+        }
+
+        const ttlSeconds = Math.ceil((event.endDate.getTime() + TICKET_GRACE_MS - now.getTime()) / 1000);
+        if (ttlSeconds <= 0) return { error: 'This event is over', status: 400 };
+
+        const code = UrlSigner.sign(EventService.checkInPath(event._id, alumni._id), ttlSeconds);
+        const qrCode = await qrcode.toDataURL(code);
+
+        return {
+            ticket: {
+                event: event._id,
+                attendee: alumni._id,
+                code,
+                qrCode,
+                expiresAt: new Date(now.getTime() + ttlSeconds * 1000),
+                checkedInAt: attendee.checkedInAt || null
+            }
+        };
+    }
+
+    /**
+     * Organizer scans a ticket. The code must be a valid, unexpired
+     * signature for this event and a current registrant.
+     */
+    static async checkIn(event, code, userId, now = new Date()) {
+        if (typeof code !== 'string' || !UrlSigner.verify(code)) {
+            return { error: 'Invalid or expired ticket', status: 400 };
+        }
+
+        const url = new URL(code, 'http://ticket.local');
+        const alumniId = url.searchParams.get('attendee');
+        if (url.pathname !== `/api/alumni/events/${event._id}/check-in` || !alumniId) {
+            return { error: 'This ticket is for a different event', status: 400 };
+        }
+        if (now < new Date(event.startDate.getTime() - 2 * HOUR_MS)) {
+            return { error: 'Check-in opens two hours before the event', status: 400 };
+        }
+
+        const attendee = event.findAttendee(alumniId);
+        if (!attendee) return { error: 'Ticket holder is no longer registered', status: 404 };
+        if (attendee.attended) {
+            return { error: `Already checked in at ${attendee.checkedInAt?.toISOString()}`, status: 409 };
+        }
+
+        await AlumniEvent.updateOne(
+            { _id: event._id, 'attendees.alumni': attendee.alumni },
+            { $set: { 'attendees.$.attended': true, 'attendees.$.checkedInAt': now, 'attendees.$.checkedInBy': userId } }
+        );
+
+        const profile = await Alumni.findById(alumniId).populate('user', 'name firstName lastName username profilePicture');
+        return { attendee: { alumni: profile, checkedInAt: now } };
+    }
+
+    /**
+     * Registration and check-in counts with the attendee list
+     */
+    static async attendance(event, now = new Date()) {
+        await event.populate([
+            { path: 'attendees.alumni', select: 'user graduationYear major', populate: { path: 'user', select: 'name firstName lastName username email' } },
+            { path: 'waitlist.alumni', select: 'user', populate: { path: 'user', select: 'name firstName lastName username' } }
+        ]);
+
+        const checkedIn = event.attendees.filter(a => a.attended).length;
+        const ended = event.endDate <= now;
+
+        return {
+            registered: event.attendees.length,
+            capacity: event.capacity || null,
+            waitlisted: event.waitlist.length,
+            checkedIn,
+            noShows: ended ? event.attendees.length - checkedIn : null,
+            attendanceRate: event.attendees.length ? Math.round((checkedIn / event.attendees.length) * 100) : 0,
+            attendees: event.attendees,
+            waitlist: event.waitlist
+        };
+    }
+
+    /**
+     * Post-event survey response from a checked-in attendee
+     */
+    static async submitSurvey(event, alumni, answers, now = new Date()) {
+        const questions = event.survey?.questions || [];
+        if (!questions.length) return { error: 'This event has no survey', status: 404 };
+        if (event.endDate > now) return { error: 'The survey opens after the event ends', status: 400 };
+        if (!event.findAttendee(alumni._id)?.attended) {
+            return { error: 'Only attendees who checked in can respond', status: 403 };
+        }
+        if (!Array.isArray(answers)) return { error: 'answers must be an array', status: 400 };
+
+        const byQuestion = new Map(answers.map(answer => [answer?.question?.toString(), answer]));
+        const cleaned = [];
+
+        for (const question of questions) {
+            const answer = byQuestion.get(question._id.toString());
+            const value = EventService.answerValue(question, answer);
+            if (value.error) return { error: `"${question.prompt}": ${value.error}`, status: 400 };
+            if (value.answer) cleaned.push({ question: question._id, ...value.answer });
+            else if (question.required) return { error: `"${question.prompt}" is required`, status: 400 };
+        }
+
+        try {
+            const response = await EventSurveyResponse.create({ event: event._id, alumni: alumni._id, answers: cleaned });
+            return { response };
+        } catch (error) {
+            if (error.code === 11000) return { error: 'You have already responded', status: 409 };
+            throw error;
+        }
+    }
+
+    static answerValue(question, answer) {
+        if (!answer) return {};
+
+        if (question.kind === 'rating') {
+            if (answer.rating === undefined || answer.rating === null) return {};
+            const rating = Number(answer.rating);
+            return Number.isInteger(rating) && rating >= 1 && rating <= 5
+                ? { answer: { rating } }
+                : { error: 'rating must be a whole number from 1 to 5' };
+        }
+        if (question.kind === 'choice') {
+            if (!answer.choice) return {};
+            return question.options.includes(answer.choice)
+                ? { answer: { choice: answer.choice } }
+                : { error: 'not one of the options' };
+        }
+
+        const text = (answer.text || '').toString().trim();
+        return text ? { answer: { text: text.slice(0, 2000) } } : {};
+    }
+
+    /**
+     * Per-question summary: average and distribution for ratings, counts
+     * for choices, the responses themselves for free text
+     */
+    static async surveyResults(event) {
+        const responses = await EventSurveyResponse.find({ event: event._id }).lean();
+        const questions = (event.survey?.questions || []).map(question => {
+            const answers = responses.flatMap(r => r.answers).filter(a => sameId(a.question, question._id));
+            const summary = { question: question._id, prompt: question.prompt, kind: question.kind, answered: answers.length };
+
+            if (question.kind === 'rating') {
+                const ratings = answers.map(a => a.rating);
+                summary.average = ratings.length ? Math.round((ratings.reduce((sum, r) => sum + r, 0) / ratings.length) * 10) / 10 : null;
+                summary.distribution = [1, 2, 3, 4, 5].map(r => ratings.filter(x => x === r).length);
+            } else if (question.kind === 'choice') {
+                summary.counts = Object.fromEntries(question.options.map(o => [o, answers.filter(a => a.choice === o).length]));
+            } else {
+                summary.responses = answers.map(a => a.text);
+            }
+            return summary;
+        });
+
+        const checkedIn = event.attendees.filter(a => a.attended).length;
+        return {
+            responses: responses.length,
+            responseRate: checkedIn ? Math.round((responses.length / checkedIn) * 100) : 0,
+            questions
+        };
+    }
+
+    /**
+     * Invite checked-in attendees of recently ended events to the survey
+     */
+    static async sendDueSurveys(now = new Date()) {
+        const events = await AlumniEvent.find({
+            status: { $in: ['published', 'completed'] },
+            endDate: { $lte: now, $gte: new Date(now.getTime() - SURVEY_WINDOW_MS) },
+            'survey.questions.0': { $exists: true },
+            'survey.sentAt': null
+        }).select('title organizer attendees survey');
+
+        let sent = 0;
+        for (const event of events) {
+            // Claim the event first so overlapping runs don't double-send
+            const claimed = await AlumniEvent.updateOne({ _id: event._id, 'survey.sentAt': null }, { $set: { 'survey.sentAt': now } });
+            if (!claimed.modifiedCount) continue;
+
+            const attended = event.attendees.filter(a => a.attended).map(a => a.alumni);
+            const organizer = await Alumni.findById(event.organizer).select('user');
+            EventService.notifyAlumni(attended, organizer?.user, `How was "${event.title}"? Share your feedback in the event survey`);
+            sent += attended.length;
+        }
+
+        return { events: events.length, sent };
+    }
+
+    /**
+     * Event date in the organizer's timezone, e.g. "Mon, Oct 19, 2026, 6:00 PM EDT"
+     */
+    static formatLocal(date, timeZone = 'UTC') {
+        return new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            weekday: 'short',
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit',
+            timeZoneName: 'short'
+        }).format(date);
+    }
+
+    /**
+     * VEVENT fields for an AlumniEvent. Join links are only included for
+     * people who are registered (or organizing).
+     */
+    static calendarEntry(event, { includeLink = false, waitlisted = false } = {}) {
+        const location = event.location || {};
+        const place = [location.venue, location.address, location.city, location.state, location.country].filter(Boolean).join(', ');
+        const online = includeLink && location.virtualLink ? `Online: ${location.virtualLink}` : 'Online';
+
+        let where = place;
+        if (location.type === 'virtual') where = online;
+        if (location.type === 'hybrid') where = place ? `${place} / ${online}` : online;
+
+        const timezone = event.timezone || 'UTC';
+        const description = [
+            event.description,
+            `Starts ${EventService.formatLocal(event.startDate, timezone)} (${timezone})`,
+            includeLink && location.virtualLink && location.type !== 'physical' && `Join online: ${location.virtualLink}`,
+            waitlisted && `You are on the waitlist for this event.`
+        ].filter(Boolean).join('\n\n');
+
+        let status = 'CONFIRMED';
+        if (event.status === 'cancelled') status = 'CANCELLED';
+        else if (waitlisted) status = 'TENTATIVE';
+
+        return {
+            uid: `alumni-event-${event._id}@college-media`,
+            start: event.startDate,
+            end: event.endDate,
+            summary: event.title,
+            description,
+            location: where,
+            url: includeLink && location.type !== 'physical' ? location.virtualLink : undefined,
+            status,
+            updatedAt: event.updatedAt
+        };
+    }
+
+    static eventCalendar(event, alumni, user) {
+        const includeLink = Boolean(alumni && event.findAttendee(alumni._id)) || EventService.isOrganizer(event, alumni, user);
+        return buildCalendar([EventService.calendarEntry(event, { includeLink })], { name: event.title });
+    }
+
+    /**
+     * Upcoming events a user is registered for, waitlisted on or organizing
+     */
+    static async userCalendar(userId, now = new Date()) {
+        const alumni = await Alumni.findOne({ user: userId }).select('_id');
+        const events = alumni
+            ? await AlumniEvent.find({
+                endDate: { $gte: now },
+                status: { $in: ['published', 'cancelled'] },
+                $or: [
+                    { organizer: alumni._id },
+                    { 'attendees.alumni': alumni._id },
+                    { 'waitlist.alumni': alumni._id }
+                ]
+            }).sort({ startDate: 1 }).limit(500)
+            : [];
+
+        const entries = events.map(event => {
+            const waitlisted = Boolean(event.waitlistPosition(alumni._id));
+            const includeLink = !waitlisted;
+            return EventService.calendarEntry(event, { includeLink, waitlisted });
+        });
+
+        return buildCalendar(entries, { name: 'Alumni Events' });
+    }
+
+    /**
+     * Signed, token-free URL for subscribing to the user's calendar feed
+     */
+    static feedPath(userId) {
+        return UrlSigner.sign(`/api/alumni/calendar/${userId}.ics`, FEED_TTL_SECONDS);
+    }
+
+    static notifyAlumni(alumniIds, sender, content) {
+        if (!alumniIds.length) return;
+
+        Alumni.find({ _id: { $in: alumniIds } }).select('user')
+            .then(profiles => Promise.all(profiles.map(profile =>
+                NotificationService.sendNotification({ recipient: profile.user, sender: sender || profile.user, type: 'event', content })
+            )))
+            .catch(err => logger.error('Event notification failed:', err));
+    }
+}
+
+module.exports = EventService;
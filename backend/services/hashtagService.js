@@ -0,0 +1,148 @@
+const Post = require('../models/Post');
+const User = require('../models/User');
+const UserInterest = require('../models/UserInterest');
+const EventPublisher = require('../events/publisher');
+const redisClient = require('../utils/redisClient');
+const logger = require('../utils/logger');
+
+// #tag: letters, digits and underscores, not preceded by a word character (so "a#b" and "&#39;" are not tags)
+const TAG_PATTERN = /(^|[^\p{L}\p{N}_&])#([\p{L}\p{N}_]{1,50})/gu;
+// @username, not preceded by a word character (so emails are not mentions)
+const MENTION_PATTERN = /(^|[^A-Za-z0-9_.@])@([A-Za-z0-9_][A-Za-z0-9_.]{0,29})/g;
+const MAX_TAGS = 30;
+// Mentions past this many in one post are not linked or notified
+const MAX_MENTIONS = 20;
+
+const AUTHOR_FIELDS = 'username firstName lastName profilePicture';
+
+/**
+ * Hashtag Service
+ * Pulls #tags and @mentions out of post text, notifies mentioned users
+ * once a post is published, and serves hashtag pages and follows. Followed
+ * tags live on the user's UserInterest profile, where the recommender
+ * reads them.
+ */
+class HashtagService {
+    /**
+     * Stored form of a tag: no leading '#', trimmed, lowercased
+     */
+    static normalize(tag) {
+        return typeof tag === 'string' ? tag.trim().replace(/^#/, '').toLowerCase() : '';
+    }
+
+    static extractTags(text) {
+        if (typeof text !== 'string') return [];
+        return [...new Set([...text.matchAll(TAG_PATTERN)].map(match => match[2].toLowerCase()))];
+    }
+
+    static extractUsernames(text) {
+        if (typeof text !== 'string') return [];
+        // A trailing dot ends the sentence rather than the username
+        return [...new Set([...text.matchAll(MENTION_PATTERN)].map(match => match[2].replace(/\.+$/, '')))];
+    }
+
+    /**
+     * Tags and mentioned user ids for post text. `tags` are the ones the
+     * author picked; tags written in the text are added to them.
+     */
+    static async entities(text, tags = [], authorId = null) {
+        const picked = [].concat(tags ?? []).map(HashtagService.normalize).filter(Boolean);
+        const allTags = [...new Set([...picked, ...HashtagService.extractTags(text)])].slice(0, MAX_TAGS);
+
+        const usernames = HashtagService.extractUsernames(text).slice(0, MAX_MENTIONS);
+        const users = usernames.length
+            ? await User.find({ username: { $in: usernames }, isDeleted: { $ne: true } }).select('_id').lean()
+            : [];
+        const mentions = users
+            .map(user => user._id)
+            .filter(id => !authorId || id.toString() !== authorId.toString());
+
+        return { tags: allTags, mentions };
+    }
+
+    /**
+     * Tags after the text of a post changes from `previousText` to `text`:
+     * tags that came from the old text go, tags in the new text come in
+     */
+    static retag(currentTags, previousText, text) {
+        const fromText = new Set(HashtagService.extractTags(previousText));
+        const kept = (currentTags || []).filter(tag => !fromText.has(tag));
+        return [...new Set([...kept, ...HashtagService.extractTags(text)])].slice(0, MAX_TAGS);
+    }
+
+    /**
+     * Send `mention` notifications for a published post to the users in
+     * `userIds` who can see it
+     */
+    static async notifyMentions(post, userIds = post.mentions) {
+        const authorId = (post.user._id || post.user).toString();
+
+        for (const userId of userIds || []) {
+            if (userId.toString() === authorId) continue;
+            try {
+                if (!(await post.isVisibleTo(userId))) continue;
+                EventPublisher.publish('USER_MENTIONED', {
+                    targetUserId: userId,
+                    actorId: authorId,
+                    postId: post._id,
+                    text: (post.content || '').substring(0, 100)
+                });
+            } catch (error) {
+                logger.warn(`Mention notification failed for post ${post._id}: ${error.message}`);
+            }
+        }
+    }
+
+    static followerCount(tag) {
+        return UserInterest.countDocuments({ followedHashtags: tag });
+    }
+
+    static async isFollowing(userId, tag) {
+        if (!userId) return false;
+        return !!(await UserInterest.exists({ user: userId, followedHashtags: tag }));
+    }
+
+    /**
+     * Hashtag page: public posts carrying `tag`, newest first
+     */
+    static async page(tag, { page, limit }) {
+        const filter = { tags: tag, isDeleted: false, visibility: 'public' };
+        const [posts, postCount, followerCount] = await Promise.all([
+            Post.find(filter)
+                .populate('user', AUTHOR_FIELDS)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Post.countDocuments(filter),
+            HashtagService.followerCount(tag)
+        ]);
+        return { posts, postCount, followerCount };
+    }
+
+    static async follow(userId, tag) {
+        await UserInterest.getOrCreate(userId);
+        await UserInterest.updateOne({ user: userId }, { $addToSet: { followedHashtags: tag } });
+        await HashtagService.invalidateFeed(userId);
+        return { followerCount: await HashtagService.followerCount(tag) };
+    }
+
+    static async unfollow(userId, tag) {
+        await UserInterest.updateOne({ user: userId }, { $pull: { followedHashtags: tag } });
+        await HashtagService.invalidateFeed(userId);
+        return { followerCount: await HashtagService.followerCount(tag) };
+    }
+
+    static async following(userId) {
+        const interest = await UserInterest.findOne({ user: userId }).select('followedHashtags').lean();
+        return interest?.followedHashtags || [];
+    }
+
+    // Recommended feed pages are cached; the first one should reflect the change right away
+    static async invalidateFeed(userId) {
+        if (redisClient.isConnected()) {
+            await redisClient.del(`rec:feed:${userId}:1`);
+        }
+    }
+}
+
+module.exports = HashtagService;
@@ -0,0 +1,359 @@
+const Alumni = require('../models/Alumni');
+const Job = require('../models/Job');
+const JobApplication = require('../models/JobApplication');
+const JobMatch = require('../models/JobMatch');
+const Resume = require('../models/Resume');
+const aiService = require('./aiService');
+const NotificationService = require('./notificationService');
+const logger = require('../utils/logger');
+
+// Open jobs scored by keyword overlap before the best are AI-ranked
+const RECOMMENDATION_CANDIDATES = 50;
+// Uncached AI analyses queued per recommendation request
+const MAX_QUEUED_ANALYSES = 10;
+// How long a failed AI analysis is kept before it's retried
+const RETRY_AFTER_MS = 6 * 60 * 60 * 1000;
+
+const normalize = (value) => (value || '').toString().trim().toLowerCase();
+const toSet = (values) => new Set((values || []).map(normalize).filter(Boolean));
+
+/**
+ * Job Service
+ * Job board postings, applications, alumni referrals and resume/job
+ * matching. Matches come from aiService.analyzeResumeAgainstJob and are
+ * cached per job + resume in JobMatch; when the AI is unavailable a
+ * keyword-overlap estimate stands in.
+ */
+class JobService {
+    /**
+     * Posting requires an admin role or an alumni profile. Resolves to
+     * { alumni } (null for admins without a profile) or an error.
+     */
+    static async posterProfile(user) {
+        const alumni = await Alumni.findOne({ user: user._id }).select('_id currentCompany');
+        if (!alumni && user.role !== 'admin') {
+            return { error: 'Only alumni and admins can post jobs', status: 403 };
+        }
+        return { alumni };
+    }
+
+    static isPoster(job, user) {
+        return job.postedBy.toString() === user._id.toString() || user.role === 'admin';
+    }
+
+    /**
+     * Plain-text job description handed to the analyzer
+     */
+    static jobText(job) {
+        const location = job.workplace === 'remote'
+            ? 'Remote'
+            : [job.location?.city, job.location?.state, job.location?.country].filter(Boolean).join(', ');
+
+        const header = [
+            `${job.title} at ${job.company} (${job.type}, ${job.workplace})`,
+            location && `Location: ${location}`,
+            job.skills?.length && `Required skills: ${job.skills.join(', ')}`,
+            job.tags?.length && `Tags: ${job.tags.join(', ')}`
+        ].filter(Boolean);
+
+        return `${header.join('\n')}\n\n${job.description}`;
+    }
+
+    /**
+     * Share of the job's skills and tags found anywhere in the resume
+     */
+    static keywordMatch(job, resume) {
+        const keywords = [...toSet([...(job.skills || []), ...(job.tags || [])])];
+        const resumeSkills = toSet(resume.content?.skills);
+        const text = normalize(aiService.buildResumeText(resume));
+
+        const matchingKeywords = keywords.filter(k => resumeSkills.has(k) || text.includes(k));
+        const missingKeywords = keywords.filter(k => !matchingKeywords.includes(k));
+
+        return {
+            matchScore: keywords.length ? Math.round((matchingKeywords.length / keywords.length) * 100) : 0,
+            matchingKeywords,
+            missingKeywords
+        };
+    }
+
+    /**
+     * A cached match is stale once the job or resume changes after it
+     */
+    static isFresh(match, job, resume) {
+        if (!match) return false;
+        const changedAt = Math.max(job.updatedAt?.getTime() || 0, resume.updatedAt?.getTime() || 0);
+        return match.analyzedAt.getTime() >= changedAt;
+    }
+
+    static needsAnalysis(match, job, resume) {
+        if (!JobService.isFresh(match, job, resume)) return true;
+        if (match.source === 'ai') return false;
+        // Keyword estimates are upgraded to AI when it becomes available, failures are retried later
+        if (!process.env.MISTRAL_API_KEY) return false;
+        return !match.error || Date.now() - match.analyzedAt.getTime() > RETRY_AFTER_MS;
+    }
+
+    /**
+     * Analyze a resume against a job and cache the result. Falls back to
+     * (and caches) the keyword estimate when the AI call fails.
+     */
+    static async analyze(job, resume, { force = false } = {}) {
+        const existing = await JobMatch.findOne({ job: job._id, resume: resume._id });
+        if (!force && !JobService.needsAnalysis(existing, job, resume)) return existing;
+
+        const fields = { student: resume.student, analyzedAt: new Date() };
+        let cleared;
+
+        try {
+            const analysis = await aiService.analyzeResumeAgainstJob(aiService.buildResumeText(resume), JobService.jobText(job));
+            Object.assign(fields, {
+                source: 'ai',
+                matchScore: Math.max(0, Math.min(100, Math.round(Number(analysis.matchScore) || 0))),
+                overallAssessment: analysis.overallAssessment,
+                overallRecommendation: analysis.overallRecommendation,
+                matchingKeywords: analysis.keywordAnalysis?.matchingKeywords || [],
+                missingKeywords: analysis.keywordAnalysis?.missingKeywords || [],
+                strengths: analysis.strengthsIdentified || [],
+                gaps: analysis.gapsIdentified || []
+            });
+            cleared = { error: 1 };
+        } catch (error) {
+            logger.warn(`AI job match failed for job ${job._id}, resume ${resume._id}: ${error.message}`);
+            Object.assign(fields, {
+                source: 'keywords',
+                ...JobService.keywordMatch(job, resume),
+                strengths: [],
+                gaps: [],
+                error: error.message
+            });
+            cleared = { overallAssessment: 1, overallRecommendation: 1 };
+        }
+
+        return JobMatch.findOneAndUpdate(
+            { job: job._id, resume: resume._id },
+            { $set: fields, $unset: cleared },
+            { upsert: true, new: true, runValidators: true }
+        );
+    }
+
+    /**
+     * Queue worker entry point. With applicationId the score is copied
+     * onto the application for applicant ranking.
+     */
+    static async processMatch({ jobId, resumeId, applicationId }) {
+        const [job, resume] = await Promise.all([Job.findById(jobId), Resume.findById(resumeId)]);
+        if (!job || !resume) return null;
+
+        const match = await JobService.analyze(job, resume);
+        if (applicationId) {
+            await JobApplication.updateOne(
+                { _id: applicationId, resume: resume._id },
+                { $set: { matchScore: match.matchScore, matchSource: match.source } }
+            );
+        }
+        return match;
+    }
+
+    /**
+     * Apply to a job with one of the caller's resumes
+     */
+    static async apply(job, userId, { resumeId, coverLetter, requestReferral, referralNote }) {
+        if (!job.isAcceptingApplications()) {
+            return { error: 'This job is no longer accepting applications', status: 400 };
+        }
+        if (job.postedBy.toString() === userId) {
+            return { error: 'You cannot apply to your own posting', status: 400 };
+        }
+
+        const resume = await Resume.findOne({ _id: resumeId, student: userId });
+        if (!resume) return { error: 'Resume not found', status: 404 };
+
+        const existing = await JobApplication.findOne({ job: job._id, applicant: userId });
+        if (existing && existing.status !== 'withdrawn') {
+            return { error: 'You have already applied to this job', status: 409 };
+        }
+
+        const application = existing || new JobApplication({ job: job._id, applicant: userId });
+        application.set({
+            resume: resume._id,
+            coverLetter,
+            status: 'submitted',
+            referral: { status: 'none' },
+            matchScore: undefined,
+            matchSource: undefined
+        });
+
+        // Score immediately from the cache or keywords; the queued AI analysis refines it
+        const cached = await JobMatch.findOne({ job: job._id, resume: resume._id });
+        const estimate = JobService.isFresh(cached, job, resume) ? cached : { ...JobService.keywordMatch(job, resume), source: 'keywords' };
+        application.matchScore = estimate.matchScore;
+        application.matchSource = estimate.source;
+
+        await application.save();
+        if (!existing) await Job.updateOne({ _id: job._id }, { $inc: { applicationCount: 1 } });
+
+        if (requestReferral && job.referralsEnabled) {
+            await JobService.requestReferral(job, application, referralNote);
+        } else {
+            JobService.notify(job.postedBy, userId, `applied to ${job.title} at ${job.company}`);
+        }
+
+        return { application, queueAnalysis: JobService.needsAnalysis(cached, job, resume) };
+    }
+
+    static async withdraw(application) {
+        if (['withdrawn', 'hired', 'rejected'].includes(application.status)) {
+            return { error: `Application is already ${application.status}`, status: 400 };
+        }
+        application.status = 'withdrawn';
+        if (application.referral.status === 'requested') application.referral.status = 'none';
+        await application.save();
+        return { application };
+    }
+
+    /**
+     * Poster moves an application through review
+     */
+    static async updateStatus(job, application, status, userId) {
+        if (application.status === 'withdrawn') {
+            return { error: 'The applicant withdrew this application', status: 400 };
+        }
+        application.status = status;
+        await application.save();
+
+        JobService.notify(application.applicant, userId, `updated your application for ${job.title} at ${job.company}: ${status}`);
+        return { application };
+    }
+
+    /**
+     * Ask the posting alumnus for a referral
+     */
+    static async requestReferral(job, application, note) {
+        if (!job.referralsEnabled) {
+            return { error: 'This posting does not take referral requests', status: 400 };
+        }
+        if (application.status === 'withdrawn') {
+            return { error: 'Application has been withdrawn', status: 400 };
+        }
+        if (application.referral.status !== 'none') {
+            return { error: `Referral already ${application.referral.status}`, status: 409 };
+        }
+
+        application.referral = { status: 'requested', note, requestedAt: new Date() };
+        await application.save();
+
+        JobService.notify(job.postedBy, application.applicant, `applied to ${job.title} at ${job.company} and requested a referral`);
+        return { application };
+    }
+
+    /**
+     * Posting alumnus refers or declines
+     */
+    static async respondReferral(job, application, { decision, recommendation }, userId) {
+        if (application.referral.status !== 'requested') {
+            return { error: 'No pending referral request', status: 400 };
+        }
+
+        application.referral.status = decision === 'refer' ? 'referred' : 'declined';
+        application.referral.respondedAt = new Date();
+        if (decision === 'refer') application.referral.recommendation = recommendation;
+        await application.save();
+
+        JobService.notify(
+            application.applicant,
+            userId,
+            decision === 'refer'
+                ? `referred you for ${job.title} at ${job.company}`
+                : `declined your referral request for ${job.title} at ${job.company}`
+        );
+        return { application };
+    }
+
+    /**
+     * Applications for a job, best match first. Referred candidates come
+     * first within the same score; withdrawn applications are excluded.
+     */
+    static async rankApplicants(job) {
+        const applications = await JobApplication.find({ job: job._id, status: { $ne: 'withdrawn' } })
+            .populate('applicant', 'username firstName lastName profilePicture email')
+            .populate('resume', 'summary content.skills fileUrl updatedAt')
+            .lean();
+
+        const matches = await JobMatch.find({ job: job._id, resume: { $in: applications.map(a => a.resume?._id).filter(Boolean) } }).lean();
+        const matchByResume = new Map(matches.map(m => [m.resume.toString(), m]));
+
+        const ranked = applications
+            .map(application => ({ ...application, match: matchByResume.get(application.resume?._id.toString()) || null }))
+            .sort((a, b) => (b.matchScore ?? -1) - (a.matchScore ?? -1)
+                || (b.referral?.status === 'referred') - (a.referral?.status === 'referred')
+                || a.createdAt - b.createdAt);
+
+        // Anything not yet AI-scored is handed back for the caller to queue
+        const pending = ranked.filter(a => a.resume && a.matchSource !== 'ai');
+        return { applications: ranked, pending };
+    }
+
+    /**
+     * Open jobs for a student, ranked against their resume (the given one
+     * or their most recently updated). Uses cached AI matches where
+     * available and the keyword estimate otherwise; returns the jobs that
+     * still need an AI analysis as `pending`.
+     */
+    static async recommend(userId, { resumeId, limit = 10 } = {}) {
+        const resume = resumeId
+            ? await Resume.findOne({ _id: resumeId, student: userId })
+            : await Resume.findOne({ student: userId }).sort({ updatedAt: -1 });
+        if (!resume) return { error: 'Create a resume to get job recommendations', status: 404 };
+
+        const applied = await JobApplication.find({ applicant: userId, status: { $ne: 'withdrawn' } }).distinct('job');
+        const now = new Date();
+        const jobs = await Job.find({
+            _id: { $nin: applied },
+            postedBy: { $ne: userId },
+            status: 'open',
+            $or: [{ deadline: null }, { deadline: { $gte: now } }]
+        }).sort({ createdAt: -1 }).limit(500);
+
+        const candidates = jobs
+            .map(job => ({ job, estimate: JobService.keywordMatch(job, resume) }))
+            .sort((a, b) => b.estimate.matchScore - a.estimate.matchScore)
+            .slice(0, RECOMMENDATION_CANDIDATES);
+
+        const matches = await JobMatch.find({ resume: resume._id, job: { $in: candidates.map(c => c.job._id) } });
+        const matchByJob = new Map(matches.map(m => [m.job.toString(), m]));
+
+        const scored = candidates.map(({ job, estimate }) => {
+            const cached = matchByJob.get(job._id.toString());
+            const match = JobService.isFresh(cached, job, resume) ? cached : null;
+            return {
+                job,
+                matchScore: match ? match.matchScore : estimate.matchScore,
+                source: match ? match.source : 'keywords',
+                matchingKeywords: match ? match.matchingKeywords : estimate.matchingKeywords,
+                missingKeywords: match ? match.missingKeywords : estimate.missingKeywords,
+                overallRecommendation: match?.overallRecommendation,
+                needsAnalysis: JobService.needsAnalysis(cached, job, resume)
+            };
+        }).sort((a, b) => b.matchScore - a.matchScore);
+
+        const pending = scored
+            .filter(entry => entry.needsAnalysis)
+            .slice(0, MAX_QUEUED_ANALYSES)
+            .map(entry => ({ jobId: entry.job._id.toString(), resumeId: resume._id.toString() }));
+
+        return {
+            resume: resume._id,
+            recommendations: scored.slice(0, limit).map(({ needsAnalysis, ...entry }) => entry),
+            pending
+        };
+    }
+
+    static notify(recipient, sender, content) {
+        if (!recipient) return;
+        NotificationService.sendNotification({ recipient, sender, type: 'job', content })
+            .catch(err => logger.error('Job notification failed:', err));
+    }
+}
+
+module.exports = JobService;
@@ -0,0 +1,120 @@
+const { spawn } = require('child_process');
+const os = require('os');
+const { createOutputCollector } = require('../utils/outputCollector');
+
+// Bytes a sandboxed program may write to files in its work directory
+const MAX_FILE_BYTES = 16 * 1024 * 1024;
+
+// Out-of-memory failures each runtime reports on stderr when it hits its limit
+const OOM_PATTERN = /MemoryError|std::bad_alloc|JavaScript heap out of memory|Cannot allocate memory/;
+
+// Sets the limits, then replaces itself with the real command ("$@")
+const LIMIT_SCRIPT = 'ulimit -t "$1"; ulimit -f "$2"; if [ "$3" -gt 0 ]; then ulimit -v "$3"; fi; shift 3; exec "$@"';
+
+/**
+ * Map the interpreter names used in config/sandboxRuntimes.js to
+ * binaries on this host
+ */
+const resolveBinary = (binary) => {
+    if (binary === 'node') return process.execPath;
+    if (binary === 'python') return process.env.SANDBOX_PYTHON || 'python3';
+    return binary;
+};
+
+/**
+ * Local sandbox backend: runs commands as child processes of the API
+ * server with rlimits (CPU time, address space, file size), a private
+ * work directory, a stripped environment, output caps and a wall-clock
+ * kill of the whole process group.
+ *
+ * There is no network or filesystem isolation, so this backend is meant
+ * for development and CI machines without Docker, never production.
+ */
+class LocalSandbox {
+    static async isAvailable() {
+        return process.platform !== 'win32';
+    }
+
+    /**
+     * Same contract as DockerSandbox.exec
+     * @param {object} runtime - Entry from config/sandboxRuntimes.js
+     * @param {Array<string>} cmd
+     * @param {string} workDir - Working directory of the process
+     * @param {object} options - { stdin, timeLimitMs, memoryLimitMb, outputLimit }
+     * @returns {Promise<{exitCode, stdout, stderr, timedOut, oomKilled, outputTruncated, timeMs}>}
+     */
+    static exec(runtime, cmd, workDir, { stdin = '', timeLimitMs, memoryLimitMb, outputLimit }) {
+        const [binary, ...args] = cmd;
+        const usesHeapFlag = binary === 'node' && typeof runtime.heapLimitArgs === 'function';
+        const command = [
+            resolveBinary(binary),
+            ...(usesHeapFlag ? runtime.heapLimitArgs(memoryLimitMb) : []),
+            ...args
+        ];
+
+        const cpuSeconds = Math.ceil(timeLimitMs / 1000) + 1;
+        const fileBlocks = Math.ceil(MAX_FILE_BYTES / 512);
+        const memoryKb = usesHeapFlag ? 0 : memoryLimitMb * 1024;
+
+        return new Promise((resolve, reject) => {
+            const child = spawn('sh', ['-c', LIMIT_SCRIPT, 'sandbox', String(cpuSeconds), String(fileBlocks), String(memoryKb), ...command], {
+                cwd: workDir,
+                env: { PATH: process.env.PATH, HOME: workDir, LANG: 'C.UTF-8' },
+                detached: true, // Own process group, so the kill reaches grandchildren too
+                stdio: ['pipe', 'pipe', 'pipe']
+            });
+
+            let killed = false;
+            const kill = () => {
+                if (killed) return;
+                killed = true;
+                try {
+                    process.kill(-child.pid, 'SIGKILL');
+                } catch {
+                    // Already gone
+                }
+            };
+
+            const stdout = createOutputCollector(outputLimit, kill);
+            const stderr = createOutputCollector(outputLimit, kill);
+            child.stdout.pipe(stdout);
+            child.stderr.pipe(stderr);
+
+            const startedAt = Date.now();
+            let timedOut = false;
+            const timer = setTimeout(() => {
+                timedOut = true;
+                kill();
+            }, timeLimitMs);
+
+            child.on('error', (error) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+
+            child.on('close', (code, signal) => {
+                clearTimeout(timer);
+                const stderrText = stderr.text();
+
+                resolve({
+                    exitCode: code !== null ? code : 128 + (os.constants.signals[signal] || 0),
+                    stdout: stdout.text(),
+                    stderr: stderrText,
+                    // SIGXCPU means the CPU-time rlimit ran out before the wall clock did
+                    timedOut: timedOut || signal === 'SIGXCPU',
+                    oomKilled: !timedOut && OOM_PATTERN.test(stderrText),
+                    outputTruncated: stdout.truncated() || stderr.truncated(),
+                    timeMs: Date.now() - startedAt
+                });
+            });
+
+            // A program that exits without reading stdin closes the pipe early
+            child.stdin.on('error', () => { });
+            child.stdin.end(stdin || '');
+        });
+    }
+}
+
+LocalSandbox.backendName = 'local';
+
+module.exports = LocalSandbox;
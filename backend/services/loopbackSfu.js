@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+
+const LOOPBACK_RTP_CAPABILITIES = {
+    codecs: [
+        { kind: 'audio', mimeType: 'audio/opus', clockRate: 48000, channels: 2 },
+        { kind: 'video', mimeType: 'video/VP8', clockRate: 90000 }
+    ],
+    headerExtensions: []
+};
+
+/**
+ * LoopbackSfu - an in-memory SFU adapter that forwards no media.
+ *
+ * It implements the full adapter contract (see services/sfu.js) with
+ * generated IDs and echoes each producer's RTP parameters back to its
+ * consumers, so signaling, caps and host controls can be exercised in
+ * tests and local development without a media server.
+ */
+class LoopbackSfu {
+    constructor() {
+        this.name = 'loopback';
+        this.rooms = new Map();
+    }
+
+    async isAvailable() {
+        return true;
+    }
+
+    room(roomId) {
+        const room = this.rooms.get(roomId);
+        if (!room) throw new Error(`SFU room ${roomId} is not open`);
+        return room;
+    }
+
+    async createRoom(roomId) {
+        if (!this.rooms.has(roomId)) {
+            this.rooms.set(roomId, { peers: new Map(), producers: new Map() });
+        }
+        return { rtpCapabilities: LOOPBACK_RTP_CAPABILITIES };
+    }
+
+    async closeRoom(roomId) {
+        this.rooms.delete(roomId);
+    }
+
+    async join(roomId, peerId) {
+        const room = this.room(roomId);
+        const transportId = crypto.randomUUID();
+        room.peers.set(peerId, { transportId, connected: false, producers: new Set(), consumers: new Set() });
+
+        return {
+            rtpCapabilities: LOOPBACK_RTP_CAPABILITIES,
+            transportOptions: {
+                id: transportId,
+                iceParameters: { usernameFragment: transportId.slice(0, 8), password: transportId },
+                iceCandidates: [],
+                dtlsParameters: { role: 'auto', fingerprints: [] }
+            }
+        };
+    }
+
+    async connect(roomId, peerId) {
+        const peer = this.room(roomId).peers.get(peerId);
+        if (!peer) throw new Error('Peer has not joined the SFU room');
+        peer.connected = true;
+    }
+
+    async produce(roomId, peerId, { kind, rtpParameters }) {
+        const room = this.room(roomId);
+        const peer = room.peers.get(peerId);
+        if (!peer) throw new Error('Peer has not joined the SFU room');
+
+        const producerId = crypto.randomUUID();
+        room.producers.set(producerId, { peerId, kind, rtpParameters, paused: false });
+        peer.producers.add(producerId);
+        return { producerId };
+    }
+
+    async consume(roomId, peerId, { producerId }) {
+        const room = this.room(roomId);
+        const peer = room.peers.get(peerId);
+        const producer = room.producers.get(producerId);
+        if (!peer || !producer) throw new Error('Unknown peer or producer');
+
+        const consumerId = crypto.randomUUID();
+        peer.consumers.add(consumerId);
+        return {
+            id: consumerId,
+            producerId,
+            kind: producer.kind,
+            rtpParameters: producer.rtpParameters,
+            producerPaused: producer.paused
+        };
+    }
+
+    async pauseProducer(roomId, producerId) {
+        const producer = this.room(roomId).producers.get(producerId);
+        if (producer) producer.paused = true;
+    }
+
+    async resumeProducer(roomId, producerId) {
+        const producer = this.room(roomId).producers.get(producerId);
+        if (producer) producer.paused = false;
+    }
+
+    async leave(roomId, peerId) {
+        const room = this.rooms.get(roomId);
+        const peer = room?.peers.get(peerId);
+        if (!peer) return;
+
+        peer.producers.forEach(producerId => room.producers.delete(producerId));
+        room.peers.delete(peerId);
+    }
+}
+
+module.exports = LoopbackSfu;
@@ -0,0 +1,420 @@
+const Alumni = require('../models/Alumni');
+const MentorshipOffer = require('../models/MentorshipOffer');
+const MentorshipRequest = require('../models/MentorshipRequest');
+const MentorshipSession = require('../models/MentorshipSession');
+const StudyBuddyProfile = require('../models/StudyBuddyProfile');
+const User = require('../models/User');
+const NotificationService = require('./notificationService');
+const logger = require('../utils/logger');
+
+// Share of the match score per signal
+const WEIGHTS = {
+    skills: 40,
+    industry: 25,
+    major: 20,
+    availability: 15
+};
+// Shared skills/topics that count as a perfect skills match
+const FULL_SKILL_OVERLAP = 3;
+
+const HOUR_MS = 60 * 60 * 1000;
+const REMINDERS = [
+    { key: 'dayBefore', leadMs: 24 * HOUR_MS, label: 'tomorrow' },
+    { key: 'hourBefore', leadMs: HOUR_MS, label: 'in an hour' }
+];
+
+const normalize = (value) => (value || '').toString().trim().toLowerCase();
+const toSet = (values) => new Set((values || []).map(normalize).filter(Boolean));
+
+/**
+ * Mentorship Service
+ * Matching students with alumni mentorship offers, the request → accept →
+ * book flow, session reminders and the feedback that feeds alumni stats.
+ */
+class MentorshipService {
+    /**
+     * What a student is looking for: explicit filters first, then their own
+     * alumni profile or study-buddy profile
+     */
+    static async menteeContext(userId, overrides = {}) {
+        const [alumni, studyProfile] = await Promise.all([
+            Alumni.findOne({ user: userId }).select('skills industry major').lean(),
+            StudyBuddyProfile.findOne({ user: userId }).select('major subjects').lean()
+        ]);
+
+        const list = (value) => (Array.isArray(value) ? value : String(value || '').split(','));
+        const skills = overrides.skills || overrides.topics
+            ? [...list(overrides.skills), ...list(overrides.topics)]
+            : [...(alumni?.skills || []), ...(studyProfile?.subjects || [])];
+
+        return {
+            skills: toSet(skills),
+            industry: normalize(overrides.industry || alumni?.industry),
+            major: normalize(overrides.major || alumni?.major || studyProfile?.major)
+        };
+    }
+
+    /**
+     * Score one offer (mentor populated) for a mentee, with the reasons shown
+     * to the student
+     */
+    static scoreOffer(ctx, offer, { remaining, now = new Date() }) {
+        const mentor = offer.mentor;
+        const mentorSkills = toSet([...(mentor.skills || []), ...(mentor.mentorshipAreas || []), ...(offer.topics || [])]);
+        const sharedSkills = [...ctx.skills].filter(skill => mentorSkills.has(skill));
+
+        const openSlots = offer.slots.filter(slot => slot.status === 'open' && new Date(slot.startsAt) > now).length;
+
+        const breakdown = {
+            skills: Math.round(WEIGHTS.skills * Math.min(1, sharedSkills.length / FULL_SKILL_OVERLAP)),
+            industry: ctx.industry && normalize(mentor.industry) === ctx.industry ? WEIGHTS.industry : 0,
+            major: ctx.major && normalize(mentor.major) === ctx.major ? WEIGHTS.major : 0,
+            availability: remaining > 0 ? (openSlots > 0 ? WEIGHTS.availability : Math.round(WEIGHTS.availability / 3)) : 0
+        };
+
+        const reasons = [];
+        if (sharedSkills.length) reasons.push(`Can help with ${sharedSkills.slice(0, 3).join(', ')}`);
+        if (breakdown.industry) reasons.push(`Works in ${mentor.industry}`);
+        if (breakdown.major) reasons.push(`Also studied ${mentor.major}`);
+        if (openSlots) reasons.push(`${openSlots} open slot${openSlots === 1 ? '' : 's'}`);
+
+        return {
+            score: Object.values(breakdown).reduce((sum, value) => sum + value, 0),
+            breakdown,
+            reasons,
+            sharedSkills,
+            openSlots
+        };
+    }
+
+    /**
+     * Accepted mentees per offer
+     */
+    static async activeMenteeCounts(offerIds) {
+        const counts = await MentorshipRequest.aggregate([
+            { $match: { offer: { $in: offerIds }, status: 'accepted' } },
+            { $group: { _id: '$offer', count: { $sum: 1 } } }
+        ]);
+        return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+    }
+
+    static async remainingCapacity(offer) {
+        const counts = await MentorshipService.activeMenteeCounts([offer._id]);
+        return offer.capacity - (counts.get(offer._id.toString()) || 0);
+    }
+
+    /**
+     * Active offers with room for another mentee, ranked for the caller
+     */
+    static async getMatches(userId, overrides = {}, limit = 20) {
+        const ctx = await MentorshipService.menteeContext(userId, overrides);
+
+        const offers = await MentorshipOffer.find({ isActive: true })
+            .populate({
+                path: 'mentor',
+                select: 'user skills mentorshipAreas industry major currentCompany currentPosition graduationYear visibility',
+                populate: { path: 'user', select: 'username firstName lastName profilePicture' }
+            })
+            .lean();
+
+        const visible = offers.filter(offer =>
+            offer.mentor && offer.mentor.visibility !== 'private' &&
+            offer.mentor.user?._id.toString() !== userId.toString()
+        );
+        const counts = await MentorshipService.activeMenteeCounts(visible.map(offer => offer._id));
+
+        return visible
+            .map(offer => {
+                const remaining = offer.capacity - (counts.get(offer._id.toString()) || 0);
+                return { offer, remaining, ...MentorshipService.scoreOffer(ctx, offer, { remaining }) };
+            })
+            .filter(match => match.remaining > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(({ offer, ...match }) => ({
+                ...match,
+                offer: { ...offer, slots: offer.slots.filter(slot => slot.status === 'open' && slot.startsAt > new Date()) }
+            }));
+    }
+
+    static async requestMentorship(offer, userId, { message, goals }) {
+        await offer.populate('mentor', 'user skills mentorshipAreas industry major');
+        if (!offer.isActive || !offer.mentor) return { error: 'This offer is no longer available', status: 400 };
+        if (offer.mentor.user.toString() === userId.toString()) {
+            return { error: 'You cannot request your own mentorship offer', status: 400 };
+        }
+
+        const existing = await MentorshipRequest.findOne({
+            offer: offer._id,
+            mentee: userId,
+            status: { $in: ['pending', 'accepted'] }
+        });
+        if (existing) return { error: 'You already have an open request for this offer', status: 400 };
+
+        const remaining = await MentorshipService.remainingCapacity(offer);
+        if (remaining <= 0) return { error: 'This mentor has no capacity right now', status: 400 };
+
+        const ctx = await MentorshipService.menteeContext(userId);
+        const { score, reasons } = MentorshipService.scoreOffer(ctx, offer, { remaining });
+
+        const request = await MentorshipRequest.create({
+            offer: offer._id,
+            mentor: offer.mentor._id,
+            mentee: userId,
+            message,
+            goals,
+            matchScore: score,
+            matchReasons: reasons
+        });
+
+        MentorshipService.notify(offer.mentor.user, userId, `requested mentorship: ${offer.title}`);
+        return { request };
+    }
+
+    static async respond(request, accept) {
+        if (request.status !== 'pending') return { error: 'Request already processed', status: 400 };
+
+        const offer = await MentorshipOffer.findById(request.offer);
+        if (accept && (!offer || await MentorshipService.remainingCapacity(offer) <= 0)) {
+            return { error: 'This offer is at capacity', status: 400 };
+        }
+
+        request.status = accept ? 'accepted' : 'declined';
+        request.respondedAt = new Date();
+        await request.save();
+
+        const mentor = await Alumni.findById(request.mentor).select('user');
+        MentorshipService.notify(
+            request.mentee,
+            mentor?.user,
+            accept ? `accepted your mentorship request: ${offer?.title}. Book a slot to get started.` : `declined your mentorship request: ${offer?.title}`
+        );
+        return { request };
+    }
+
+    /**
+     * End a mentorship: the mentee withdraws (cancelled) or either side
+     * wraps it up (completed). Frees the offer's capacity and cancels any
+     * sessions still booked.
+     */
+    static async closeRequest(request, userId, status) {
+        if (!['pending', 'accepted'].includes(request.status)) return { error: 'Request already closed', status: 400 };
+        if (status === 'completed' && request.status !== 'accepted') {
+            return { error: 'Only accepted mentorships can be completed', status: 400 };
+        }
+
+        request.status = status;
+        await request.save();
+
+        const booked = await MentorshipSession.find({ request: request._id, status: 'booked', startsAt: { $gt: new Date() } });
+        for (const session of booked) {
+            await MentorshipService.cancelSession(session, userId, 'Mentorship ended');
+        }
+
+        const mentor = await Alumni.findById(request.mentor).select('user');
+        const other = mentor?.user.toString() === userId.toString() ? request.mentee : mentor?.user;
+        MentorshipService.notify(other, userId, status === 'completed' ? 'marked your mentorship as complete' : 'withdrew their mentorship request');
+        return { request };
+    }
+
+    /**
+     * Book one of the offer's open slots. The slot is claimed atomically so
+     * two mentees cannot take the same time.
+     */
+    static async bookSlot(request, slotId, { agenda } = {}) {
+        if (request.status !== 'accepted') return { error: 'Your request has not been accepted', status: 400 };
+
+        const now = new Date();
+        const offer = await MentorshipOffer.findOneAndUpdate(
+            { _id: request.offer, slots: { $elemMatch: { _id: slotId, status: 'open', startsAt: { $gt: now } } } },
+            { $set: { 'slots.$.status': 'booked' } },
+            { new: true }
+        ).populate('mentor', 'user');
+        if (!offer) return { error: 'That slot is no longer available', status: 409 };
+
+        const slot = offer.slots.id(slotId);
+        let session;
+        try {
+            session = await MentorshipSession.create({
+                offer: offer._id,
+                request: request._id,
+                mentor: request.mentor,
+                mentee: request.mentee,
+                slot: slot._id,
+                startsAt: slot.startsAt,
+                endsAt: slot.endsAt,
+                agenda
+            });
+        } catch (error) {
+            await MentorshipOffer.updateOne({ _id: offer._id, 'slots._id': slotId }, { $set: { 'slots.$.status': 'open' } });
+            throw error;
+        }
+
+        await MentorshipOffer.updateOne({ _id: offer._id, 'slots._id': slotId }, { $set: { 'slots.$.session': session._id } });
+
+        const when = slot.startsAt.toISOString();
+        MentorshipService.notify(offer.mentor.user, request.mentee, `booked a mentorship session for ${when}`);
+        MentorshipService.notify(request.mentee, offer.mentor.user, `confirmed your mentorship session for ${when}`);
+        return { session };
+    }
+
+    /**
+     * Cancel a booked session; future slots reopen for other mentees
+     */
+    static async cancelSession(session, userId, reason) {
+        if (session.status !== 'booked') return { error: 'Only booked sessions can be cancelled', status: 400 };
+
+        session.status = 'cancelled';
+        session.cancelledBy = userId;
+        session.cancellationReason = reason;
+        await session.save();
+
+        if (session.startsAt > new Date()) {
+            await MentorshipOffer.updateOne(
+                { _id: session.offer, 'slots._id': session.slot },
+                { $set: { 'slots.$.status': 'open' }, $unset: { 'slots.$.session': '' } }
+            );
+        }
+
+        const mentor = await Alumni.findById(session.mentor).select('user');
+        const other = mentor?.user.toString() === userId.toString() ? session.mentee : mentor?.user;
+        MentorshipService.notify(other, userId, `cancelled the mentorship session on ${session.startsAt.toISOString()}`);
+        return { session };
+    }
+
+    /**
+     * Mentor marks a session that has started as completed or a no-show
+     */
+    static async closeSession(session, status) {
+        if (session.status !== 'booked') return { error: 'Session already closed', status: 400 };
+        if (session.startsAt > new Date()) return { error: 'The session has not started yet', status: 400 };
+
+        session.status = status;
+        await session.save();
+
+        if (status === 'completed') {
+            const mentor = await Alumni.findById(session.mentor).select('user');
+            MentorshipService.notify(session.mentee, mentor?.user, 'marked your mentorship session complete. Leave feedback to help other students.');
+        }
+        return { session };
+    }
+
+    static async submitFeedback(session, role, { rating, comment }) {
+        if (session.status !== 'completed') return { error: 'Feedback opens once the session is completed', status: 400 };
+
+        const field = role === 'mentor' ? 'mentorFeedback' : 'menteeFeedback';
+        if (session[field]?.rating) return { error: 'Feedback already submitted', status: 400 };
+
+        session[field] = { rating, comment };
+        await session.save();
+        return { session };
+    }
+
+    /**
+     * Remind both sides of booked sessions a day and an hour ahead. Each
+     * reminder is claimed on the session before it is sent, so overlapping
+     * runs never send it twice.
+     */
+    static async sendDueReminders(now = new Date()) {
+        let sent = 0;
+
+        for (const { key, leadMs, label } of REMINDERS) {
+            const due = await MentorshipSession.find({
+                status: 'booked',
+                startsAt: { $gt: now, $lte: new Date(now.getTime() + leadMs) },
+                [`remindersSent.${key}`]: null
+            })
+                .populate({ path: 'mentor', select: 'user', populate: { path: 'user', select: 'email username firstName lastName' } })
+                .populate('mentee', 'email username firstName lastName')
+                .populate('offer', 'title');
+
+            for (const session of due) {
+                // A day-before reminder that is only due inside the final hour is skipped
+                if (key === 'dayBefore' && session.startsAt - now <= HOUR_MS) {
+                    await MentorshipSession.updateOne({ _id: session._id }, { $set: { 'remindersSent.dayBefore': now } });
+                    continue;
+                }
+
+                const claimed = await MentorshipSession.updateOne(
+                    { _id: session._id, [`remindersSent.${key}`]: null },
+                    { $set: { [`remindersSent.${key}`]: now } }
+                );
+                if (!claimed.modifiedCount) continue;
+
+                const mentorUser = session.mentor?.user;
+                const details = { title: session.offer?.title, startsAt: session.startsAt, meetingLink: session.meetingLink, when: label };
+                await Promise.all([
+                    mentorUser && NotificationService.sendMentorshipReminder(mentorUser, session.mentee, details),
+                    session.mentee && NotificationService.sendMentorshipReminder(session.mentee, mentorUser, details)
+                ]);
+                sent++;
+            }
+        }
+
+        return { sent };
+    }
+
+    /**
+     * Programme-wide figures for getAlumniStats
+     */
+    static async getStats() {
+        const [activeOffers, sessionsByStatus, ratings, topMentors] = await Promise.all([
+            MentorshipOffer.countDocuments({ isActive: true }),
+            MentorshipSession.aggregate([
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ]),
+            MentorshipSession.aggregate([
+                { $match: { 'menteeFeedback.rating': { $exists: true } } },
+                { $group: { _id: null, average: { $avg: '$menteeFeedback.rating' }, count: { $sum: 1 } } }
+            ]),
+            MentorshipSession.aggregate([
+                { $match: { status: 'completed' } },
+                {
+                    $group: {
+                        _id: '$mentor',
+                        sessions: { $sum: 1 },
+                        averageRating: { $avg: '$menteeFeedback.rating' }
+                    }
+                },
+                { $sort: { sessions: -1, averageRating: -1 } },
+                { $limit: 5 },
+                { $lookup: { from: Alumni.collection.collectionName, localField: '_id', foreignField: '_id', as: 'alumni' } },
+                { $unwind: '$alumni' },
+                { $lookup: { from: User.collection.collectionName, localField: 'alumni.user', foreignField: '_id', as: 'user' } },
+                { $unwind: '$user' },
+                {
+                    $project: {
+                        sessions: 1,
+                        averageRating: { $round: ['$averageRating', 2] },
+                        major: '$alumni.major',
+                        industry: '$alumni.industry',
+                        'user._id': 1,
+                        'user.username': 1,
+                        'user.firstName': 1,
+                        'user.lastName': 1,
+                        'user.profilePicture': 1
+                    }
+                }
+            ])
+        ]);
+
+        const byStatus = Object.fromEntries(sessionsByStatus.map(({ _id, count }) => [_id, count]));
+        return {
+            activeOffers,
+            sessionsBooked: byStatus.booked || 0,
+            sessionsCompleted: byStatus.completed || 0,
+            sessionsCancelled: byStatus.cancelled || 0,
+            averageRating: ratings[0] ? Math.round(ratings[0].average * 100) / 100 : null,
+            ratingsCount: ratings[0]?.count || 0,
+            topMentors
+        };
+    }
+
+    static notify(recipient, sender, content) {
+        if (!recipient) return;
+        NotificationService.sendNotification({ recipient, sender, type: 'mentorship', content })
+            .catch(err => logger.error('Mentorship notification failed:', err));
+    }
+}
+
+module.exports = MentorshipService;
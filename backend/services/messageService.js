@@ -0,0 +1,290 @@
+const MessageMongo = require('../models/Message');
+const MessageMock = require('../mockdb/messageDB');
+const ConversationService = require('./conversationService');
+const { emitToUsers } = require('../socket');
+const cache = require('../utils/cache');
+const logger = require('../utils/logger');
+const { isValidObjectId } = require('../utils/validators');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Message Service - participant resolution, receipts and live updates
+ * shared by the REST routes and the socket layer.
+ */
+class MessageService {
+    /**
+     * Pick the message store for the active backend
+     * @param {boolean} useMongoDB
+     */
+    static getStore(useMongoDB) {
+        return useMongoDB ? MessageMongo : MessageMock;
+    }
+
+    /**
+     * Users who can see a message: both sides of a 1:1 thread,
+     * or every current member of a group conversation
+     * @returns {Promise<Array<string>>}
+     */
+    static async getParticipantIds(message, useMongoDB) {
+        if (message.conversation) {
+            const conversation = await ConversationService.getStore(useMongoDB)
+                .findByIdLean(message.conversation._id || message.conversation);
+            return conversation ? conversation.members.map(m => m.user.toString()) : [];
+        }
+
+        return [message.sender, message.receiver]
+            .filter(Boolean)
+            .map(u => (u._id || u).toString());
+    }
+
+    static async canAccess(message, userId, useMongoDB) {
+        if (!message) return false;
+        if (message.deletedBy && message.deletedBy.some(id => id.toString() === userId)) return false;
+
+        const participants = await this.getParticipantIds(message, useMongoDB);
+        return participants.includes(userId.toString());
+    }
+
+    /**
+     * A reply must quote a message from the same conversation that the
+     * sender can still see
+     */
+    static async isValidReplyTarget(replyToId, conversationId, userId, useMongoDB) {
+        if (useMongoDB && !isValidObjectId(String(replyToId))) return false;
+
+        const target = await this.getStore(useMongoDB).findByIdLean(replyToId);
+        if (!target || target.conversationId !== conversationId) return false;
+        return !target.deletedBy.some(id => id.toString() === userId.toString());
+    }
+
+    /**
+     * Initial receipts for a new message: one per recipient
+     * @param {Array<string>} recipientIds
+     * @param {string} senderId
+     */
+    static buildReceipts(recipientIds, senderId) {
+        return recipientIds
+            .map(id => id.toString())
+            .filter(id => id !== senderId.toString())
+            .map(user => ({ user }));
+    }
+
+    /**
+     * Push an update to everyone in the message's conversation
+     */
+    static async emitToParticipants(message, event, payload, useMongoDB) {
+        const participants = await this.getParticipantIds(message, useMongoDB);
+        emitToUsers(participants, event, payload);
+    }
+
+    /**
+     * Drop the cached conversation lists, unread counts and message pages
+     * of `userIds` - the same keys a new message clears
+     * @param {Array<string>} userIds
+     */
+    static async invalidateCaches(userIds) {
+        try {
+            await Promise.all([...new Set(userIds.map(String))].flatMap(userId => [
+                cache.del(cache.generateKey('user-conversations', userId)),
+                cache.del(cache.generateKey('user-unread-count', userId)),
+                cache.invalidatePattern(`cache:user-conversation-messages:${userId}:*`)
+            ]));
+        } catch (cacheErr) {
+            logger.warn('Failed to invalidate message caches:', cacheErr);
+        }
+    }
+
+    /**
+     * Record delivery or read receipts and tell each sender
+     * @param {Array<string>} messageIds
+     * @param {string} userId - Recipient acknowledging the messages
+     * @param {'deliveredAt'|'readAt'} field
+     * @param {boolean} useMongoDB
+     */
+    static async markReceipts(messageIds, userId, field, useMongoDB) {
+        if (!Array.isArray(messageIds) || messageIds.length === 0) return [];
+
+        const at = new Date();
+        const changed = await this.getStore(useMongoDB).markReceipts(messageIds, userId, field, at);
+        this.emitReceipts(changed, userId, field, at);
+        // Receipts show up in both sides' message pages; read ones also change the unread count
+        if (changed.length > 0) {
+            await this.invalidateCaches([userId, ...changed.map(msg => msg.sender)]);
+        }
+        return changed;
+    }
+
+    /**
+     * Mark a whole conversation read for one recipient and tell the senders
+     */
+    static async markConversationRead(conversationId, userId, useMongoDB) {
+        const at = new Date();
+        const changed = await this.getStore(useMongoDB).markConversationRead(conversationId, userId, at);
+        this.emitReceipts(changed, userId, 'readAt', at);
+        if (changed.length > 0) {
+            await this.invalidateCaches([userId, ...changed.map(msg => msg.sender)]);
+        }
+        return changed;
+    }
+
+    /**
+     * Search the caller's own conversations (1:1 and groups they belong to).
+     * End-to-end encrypted messages and messages the caller deleted are skipped.
+     * @param {string} userId
+     * @param {string} query - Free-text query
+     * @param {object} options - { page, limit }
+     * @param {boolean} useMongoDB
+     */
+    static async search(userId, query, { page = 1, limit = 20 } = {}, useMongoDB) {
+        const terms = this.tokenize(query);
+        if (terms.length === 0) return { results: [], total: 0 };
+        // One rule for both backends and the snippet: any term as a whole word, case-insensitive
+        const pattern = this.termPattern(terms);
+
+        const groups = await ConversationService.getStore(useMongoDB).findForMember(userId);
+        const groupIds = groups.map(c => c._id.toString());
+
+        let messages;
+        let total;
+
+        if (useMongoDB) {
+            // The text index narrows the scan to candidates; the pattern then applies
+            // the same rule as the mock backend and the snippets
+            const filter = {
+                $text: { $search: terms.join(' ') },
+                content: { $regex: pattern.source, $options: 'i' },
+                $or: [
+                    { sender: userId, conversation: null },
+                    { receiver: userId },
+                    { conversationId: { $in: groupIds } }
+                ],
+                messageType: { $ne: 'e2ee' },
+                deletedBy: { $nin: [userId] }
+            };
+
+            [messages, total] = await Promise.all([
+                MessageMongo.find(filter)
+                    .sort({ createdAt: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit)
+                    .populate('sender', 'username firstName lastName profilePicture')
+                    .lean(),
+                MessageMongo.countDocuments(filter)
+            ]);
+        } else {
+            const matches = (await MessageMock.find())
+                .filter(msg =>
+                    (msg.conversation
+                        ? groupIds.includes(msg.conversationId)
+                        : msg.sender === userId || msg.receiver === userId) &&
+                    msg.messageType !== 'e2ee' &&
+                    !msg.deletedBy.includes(userId) &&
+                    pattern.test(msg.content)
+                )
+                .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+            total = matches.length;
+            messages = matches.slice((page - 1) * limit, page * limit);
+        }
+
+        const results = messages.map(msg => ({
+            message: {
+                _id: msg._id,
+                sender: msg.sender,
+                receiver: msg.receiver,
+                conversation: msg.conversation,
+                conversationId: msg.conversationId,
+                messageType: msg.messageType,
+                isEdited: msg.isEdited,
+                createdAt: msg.createdAt
+            },
+            ...this.buildSnippet(msg.content, terms)
+        }));
+
+        return { results, total };
+    }
+
+    /**
+     * Lower-cased, de-duplicated search terms (at most 10)
+     */
+    static tokenize(query) {
+        return [...new Set(
+            String(query || '')
+                .toLowerCase()
+                .split(/\s+/)
+                .map(t => t.replace(/^["'-]+|["']+$/g, ''))
+                .filter(t => t.length > 0)
+        )].slice(0, 10);
+    }
+
+    /**
+     * Case-insensitive pattern matching any of `terms` as a whole word, the
+     * way the text index tokenizes content. Longer terms are tried first,
+     * so "c++" wins over "c" at the same spot.
+     * @param {Array<string>} terms
+     * @param {string} [flags]
+     * @returns {RegExp}
+     */
+    static termPattern(terms, flags = 'iu') {
+        const alternatives = [...terms].sort((a, b) => b.length - a.length).map(escapeRegex);
+        return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}_])`, flags);
+    }
+
+    /**
+     * Cut a window of text around the first match and report where each
+     * match occurs inside it, so clients can highlight without parsing HTML.
+     * Matches follow termPattern, the rule search itself uses.
+     * @param {string} content
+     * @param {Array<string>} terms - Lower-cased terms
+     * @param {number} radius - Characters of context on each side
+     * @returns {{ snippet: string, highlights: Array<{start: number, end: number}> }}
+     */
+    static buildSnippet(content, terms, radius = 60) {
+        const pattern = this.termPattern(terms, 'giu');
+        const hit = Math.max(0, content.search(pattern));
+        let start = Math.max(0, hit - radius);
+        let end = Math.min(content.length, hit + radius * 2);
+
+        // Avoid cutting words in half at the window edges
+        if (start > 0) {
+            const space = content.indexOf(' ', start);
+            if (space !== -1 && space < hit) start = space + 1;
+        }
+        if (end < content.length) {
+            const space = content.lastIndexOf(' ', end);
+            if (space > hit) end = space;
+        }
+
+        const prefix = start > 0 ? '…' : '';
+        const suffix = end < content.length ? '…' : '';
+        const snippet = `${prefix}${content.slice(start, end)}${suffix}`;
+
+        // Back-to-back matches read as one highlight
+        const highlights = [...snippet.matchAll(pattern)].reduce((acc, match) => {
+            const range = { start: match.index, end: match.index + match[0].length };
+            const last = acc[acc.length - 1];
+            if (last && range.start <= last.end) {
+                last.end = range.end;
+            } else {
+                acc.push(range);
+            }
+            return acc;
+        }, []);
+
+        return { snippet, highlights };
+    }
+
+    static emitReceipts(changed, userId, field, at) {
+        changed.forEach(msg => {
+            emitToUsers([msg.sender.toString()], 'message_receipt', {
+                messageId: msg._id,
+                conversationId: msg.conversationId,
+                userId,
+                [field]: at
+            });
+        });
+    }
+}
+
+module.exports = MessageService;
@@ -99,6 +99,44 @@ class NotificationService {
         }
     }
 
+    /**
+     * Remind one side of an upcoming mentorship session, by email and in-app
+     * @param {object} user - User being reminded (email, firstName, _id)
+     * @param {object} counterpart - The other participant
+     * @param {object} session - { title, startsAt, meetingLink, when }
+     */
+    static async sendMentorshipReminder(user, counterpart, session) {
+        const counterpartName = counterpart?.firstName
+            ? `${counterpart.firstName} ${counterpart.lastName || ''}`.trim()
+            : counterpart?.username;
+
+        try {
+            await emailQueue.add({
+                type: 'mentorshipReminder',
+                to: user.email,
+                data: {
+                    firstName: user.firstName,
+                    counterpartName,
+                    title: session.title,
+                    startsAt: session.startsAt,
+                    meetingLink: session.meetingLink
+                }
+            }, {
+                priority: 2
+            });
+            logger.info(`Mentorship reminder queued for ${user.email}`);
+        } catch (error) {
+            logger.error('Failed to queue mentorship reminder:', error);
+        }
+
+        await this.sendNotification({
+            recipient: user._id,
+            sender: counterpart?._id,
+            type: 'mentorship',
+            content: `Your mentorship session "${session.title}" with ${counterpartName} starts ${session.when}`
+        });
+    }
+
     /**
      * Get queue statistics
      */
@@ -143,7 +181,7 @@ class NotificationService {
             });
 
             await notification.save();
-            const populated = await notification.populate('sender', 'username profilePicture').execPopulate();
+            const populated = await notification.populate('sender', 'username profilePicture');
 
             if (this.io) {
                 this.io.to(recipient.toString()).emit('notification', populated);
@@ -4,6 +4,7 @@ const pdfParse = require('pdf-parse');
 const Tesseract = require('tesseract.js');
 const { pdfToPng } = require('pdf-to-png-converter');
 const path = require('path');
+const { getTemplate } = require('../config/resumeTemplates');
 
 /**
  * PDF Service for Resume Generation and Text Extraction
@@ -16,121 +17,136 @@ class PDFService {
    * Generate PDF from resume data
    * @param {Object} resumeData - Resume content
    * @param {Object} userInfo - User information
+   * @param {Object} [template] - Theme from config/resumeTemplates (defaults to classic)
    * @returns {PDFDocument} PDF document stream
    */
-  generateResumePDF(resumeData, userInfo) {
+  generateResumePDF(resumeData, userInfo, template = getTemplate()) {
+    const fullName = [userInfo.firstName, userInfo.lastName].filter(Boolean).join(' ');
     const doc = new PDFDocument({
       size: 'A4',
-      margins: { top: 50, bottom: 50, left: 50, right: 50 }
+      margins: { top: 50, bottom: 50, left: 50, right: 50 },
+      // Document metadata is what many ATS parsers index first
+      info: { Title: `${fullName} Resume`, Author: fullName }
     });
 
-    // Colors
-    const primaryColor = '#2563eb'; // Blue
-    const secondaryColor = '#64748b'; // Gray
-    const textColor = '#1e293b'; // Dark gray
+    const content = resumeData.content || {};
+    const sections = {
+      summary: resumeData.summary ? (box) => this.addSection(doc, template.headings.summary, resumeData.summary, template, box) : null,
+      experience: content.experience?.length > 0 ? (box) => this.addExperienceSection(doc, content.experience, template, box) : null,
+      education: content.education?.length > 0 ? (box) => this.addEducationSection(doc, content.education, template, box) : null,
+      skills: content.skills?.length > 0 ? (box) => this.addSkillsSection(doc, content.skills, template, box) : null,
+      projects: content.projects?.length > 0 ? (box) => this.addProjectsSection(doc, content.projects, template, box) : null
+    };
+    const order = ['summary', 'experience', 'education', 'skills', 'projects'];
 
     // Header Section
-    this.addHeader(doc, userInfo, primaryColor);
-    
-    // Summary Section
-    if (resumeData.summary) {
-      this.addSection(doc, 'Professional Summary', resumeData.summary, primaryColor, textColor);
-    }
-
-    // Experience Section
-    if (resumeData.content?.experience?.length > 0) {
-      this.addExperienceSection(doc, resumeData.content.experience, primaryColor, textColor, secondaryColor);
-    }
-
-    // Education Section
-    if (resumeData.content?.education?.length > 0) {
-      this.addEducationSection(doc, resumeData.content.education, primaryColor, textColor, secondaryColor);
-    }
-
-    // Skills Section
-    if (resumeData.content?.skills?.length > 0) {
-      this.addSkillsSection(doc, resumeData.content.skills, primaryColor, textColor);
-    }
-
-    // Projects Section
-    if (resumeData.content?.projects?.length > 0) {
-      this.addProjectsSection(doc, resumeData.content.projects, primaryColor, textColor, secondaryColor);
+    this.addHeader(doc, userInfo, template);
+
+    if (template.layout === 'sidebar') {
+      const sidebar = { x: 50, width: 150 };
+      const main = { x: 220, width: 325 };
+      const top = doc.y;
+      const firstPage = doc.page;
+
+      template.sidebar.forEach(name => sections[name]?.(sidebar));
+
+      // Main column starts level with the sidebar unless the sidebar ran onto another page
+      doc.y = doc.page === firstPage ? top : doc.page.margins.top;
+      order.filter(name => !template.sidebar.includes(name)).forEach(name => sections[name]?.(main));
+    } else {
+      const column = { x: 50, width: 495 };
+      order.forEach(name => sections[name]?.(column));
     }
 
     // Footer
-    this.addFooter(doc, secondaryColor);
+    if (template.footer) {
+      this.addFooter(doc, template);
+    }
 
     return doc;
   }
 
-  addHeader(doc, userInfo, primaryColor) {
+  addHeader(doc, userInfo, template) {
+    const { fonts, colors } = template;
+
     // Name
     doc.fontSize(24)
-       .fillColor(primaryColor)
-       .font('Helvetica-Bold')
-       .text(userInfo.firstName + ' ' + userInfo.lastName, { align: 'center' });
+       .fillColor(colors.primary)
+       .font(fonts.bold)
+       .text(userInfo.firstName + ' ' + userInfo.lastName, { width: 495, align: template.headerAlign });
 
     doc.moveDown(0.3);
 
-    // Contact Info
+    // Contact Info (plain separators keep the line parseable on the ATS template)
+    const separator = template.atsSafe ? ' | ' : ' • ';
     doc.fontSize(10)
-       .fillColor('#64748b')
-       .font('Helvetica')
-       .text([userInfo.email, userInfo.phone || '', userInfo.linkedin || ''].filter(Boolean).join(' • '), { align: 'center' });
+       .fillColor(colors.secondary)
+       .font(fonts.regular)
+       .text([userInfo.email, userInfo.phone || '', userInfo.linkedin || ''].filter(Boolean).join(separator), { width: 495, align: template.headerAlign });
 
-    doc.moveDown(1.5);
-    
-    // Divider
-    doc.moveTo(50, doc.y)
-       .lineTo(545, doc.y)
-       .strokeColor(primaryColor)
-       .lineWidth(2)
-       .stroke();
+    doc.moveDown(template.divider ? 1.5 : 1);
 
-    doc.moveDown(1);
+    // Divider
+    if (template.divider) {
+      doc.moveTo(50, doc.y)
+         .lineTo(545, doc.y)
+         .strokeColor(colors.primary)
+         .lineWidth(template.divider)
+         .stroke();
+
+      doc.moveDown(1);
+    }
   }
 
-  addSection(doc, title, content, primaryColor, textColor) {
-    // Section Title
-    doc.fontSize(14)
-       .fillColor(primaryColor)
-       .font('Helvetica-Bold')
-       .text(title);
+  addSectionTitle(doc, title, template, box) {
+    doc.x = box.x;
+    doc.fontSize(box.width < 200 ? 12 : 14)
+       .fillColor(template.colors.primary)
+       .font(template.fonts.bold)
+       .text(title, { width: box.width });
 
     doc.moveDown(0.5);
+  }
+
+  addSection(doc, title, content, template, box) {
+    // Section Title
+    this.addSectionTitle(doc, title, template, box);
 
     // Content
     doc.fontSize(10)
-       .fillColor(textColor)
-       .font('Helvetica')
-       .text(content, { align: 'justify', lineGap: 2 });
+       .fillColor(template.colors.text)
+       .font(template.fonts.regular)
+       .text(content, { width: box.width, align: template.atsSafe ? 'left' : 'justify', lineGap: 2 });
 
     doc.moveDown(1.5);
   }
 
-  addExperienceSection(doc, experiences, primaryColor, textColor, secondaryColor) {
-    doc.fontSize(14)
-       .fillColor(primaryColor)
-       .font('Helvetica-Bold')
-       .text('Professional Experience');
-
-    doc.moveDown(0.5);
+  addExperienceSection(doc, experiences, template, box) {
+    const { fonts, colors } = template;
+    this.addSectionTitle(doc, template.headings.experience, template, box);
 
     experiences.forEach((exp, index) => {
       // Job Title
-      doc.fontSize(12)
-         .fillColor(textColor)
-         .font('Helvetica-Bold')
-         .text(exp.title, { continued: true })
-         .font('Helvetica')
-         .fillColor(secondaryColor)
-         .text(` at ${exp.company}`);
+      if (template.atsSafe) {
+        doc.fontSize(12)
+           .fillColor(colors.text)
+           .font(fonts.bold)
+           .text([exp.title, exp.company].filter(Boolean).join(', '), { width: box.width });
+      } else {
+        doc.fontSize(12)
+           .fillColor(colors.text)
+           .font(fonts.bold)
+           .text(exp.title, { width: box.width, continued: true })
+           .font(fonts.regular)
+           .fillColor(colors.secondary)
+           .text(` at ${exp.company}`);
+      }
 
       // Duration
       doc.fontSize(9)
-         .fillColor(secondaryColor)
-         .font('Helvetica-Oblique')
-         .text(exp.duration);
+         .fillColor(colors.secondary)
+         .font(fonts.italic)
+         .text(exp.duration, { width: box.width });
 
       doc.moveDown(0.3);
 
@@ -139,9 +155,9 @@ class PDFService {
         const descriptions = exp.description.split('\n').filter(d => d.trim());
         descriptions.forEach(desc => {
           doc.fontSize(10)
-             .fillColor(textColor)
-             .font('Helvetica')
-             .text('• ' + desc.replace(/^•\s*/, ''), { indent: 10, lineGap: 2 });
+             .fillColor(colors.text)
+             .font(fonts.regular)
+             .text(`${template.bullet} ` + desc.replace(/^[•\-*]\s*/, ''), { width: box.width, indent: 10, lineGap: 2 });
         });
       }
 
@@ -153,25 +169,21 @@ class PDFService {
     doc.moveDown(1.5);
   }
 
-  addEducationSection(doc, education, primaryColor, textColor, secondaryColor) {
-    doc.fontSize(14)
-       .fillColor(primaryColor)
-       .font('Helvetica-Bold')
-       .text('Education');
-
-    doc.moveDown(0.5);
+  addEducationSection(doc, education, template, box) {
+    const { fonts, colors } = template;
+    this.addSectionTitle(doc, template.headings.education, template, box);
 
     education.forEach((edu, index) => {
       // Degree
-      doc.fontSize(12)
-         .fillColor(textColor)
-         .font('Helvetica-Bold')
-         .text(edu.degree, { continued: true });
+      doc.fontSize(box.width < 200 ? 10 : 12)
+         .fillColor(colors.text)
+         .font(fonts.bold)
+         .text(edu.degree, { width: box.width, continued: true });
 
       // GPA
       if (edu.gpa) {
-        doc.font('Helvetica')
-           .fillColor(secondaryColor)
+        doc.font(fonts.regular)
+           .fillColor(colors.secondary)
            .text(` | GPA: ${edu.gpa}`);
       } else {
         doc.text('');
@@ -179,9 +191,9 @@ class PDFService {
 
       // Institution and Year
       doc.fontSize(10)
-         .fillColor(secondaryColor)
-         .font('Helvetica')
-         .text(`${edu.institution} | ${edu.year}`);
+         .fillColor(colors.secondary)
+         .font(fonts.regular)
+         .text([edu.institution, edu.year].filter(Boolean).join(' | '), { width: box.width });
 
       if (index < education.length - 1) {
         doc.moveDown(0.8);
@@ -191,44 +203,38 @@ class PDFService {
     doc.moveDown(1.5);
   }
 
-  addSkillsSection(doc, skills, primaryColor, textColor) {
-    doc.fontSize(14)
-       .fillColor(primaryColor)
-       .font('Helvetica-Bold')
-       .text('Skills');
+  addSkillsSection(doc, skills, template, box) {
+    this.addSectionTitle(doc, template.headings.skills, template, box);
 
-    doc.moveDown(0.5);
-
-    const skillText = skills.join(' • ');
+    // One skill per line in a narrow column, comma-separated for ATS
+    const skillText = box.width < 200
+      ? skills.join('\n')
+      : skills.join(template.atsSafe ? ', ' : ' • ');
     doc.fontSize(10)
-       .fillColor(textColor)
-       .font('Helvetica')
-       .text(skillText, { lineGap: 2 });
+       .fillColor(template.colors.text)
+       .font(template.fonts.regular)
+       .text(skillText, { width: box.width, lineGap: 2 });
 
     doc.moveDown(1.5);
   }
 
-  addProjectsSection(doc, projects, primaryColor, textColor, secondaryColor) {
-    doc.fontSize(14)
-       .fillColor(primaryColor)
-       .font('Helvetica-Bold')
-       .text('Projects');
-
-    doc.moveDown(0.5);
+  addProjectsSection(doc, projects, template, box) {
+    const { fonts, colors } = template;
+    this.addSectionTitle(doc, template.headings.projects, template, box);
 
     projects.forEach((proj, index) => {
       // Project Title
       doc.fontSize(12)
-         .fillColor(textColor)
-         .font('Helvetica-Bold')
-         .text(proj.title);
+         .fillColor(colors.text)
+         .font(fonts.bold)
+         .text(proj.title, { width: box.width });
 
       // Link
       if (proj.link) {
         doc.fontSize(9)
-           .fillColor('#2563eb')
-           .font('Helvetica')
-           .text(proj.link, { link: proj.link, underline: true });
+           .fillColor(template.atsSafe ? colors.text : colors.primary)
+           .font(fonts.regular)
+           .text(proj.link, { width: box.width, link: proj.link, underline: !template.atsSafe });
       }
 
       doc.moveDown(0.3);
@@ -236,9 +242,9 @@ class PDFService {
       // Description
       if (proj.description) {
         doc.fontSize(10)
-           .fillColor(textColor)
-           .font('Helvetica')
-           .text(proj.description, { lineGap: 2 });
+           .fillColor(colors.text)
+           .font(fonts.regular)
+           .text(proj.description, { width: box.width, lineGap: 2 });
       }
 
       if (index < projects.length - 1) {
@@ -249,17 +255,17 @@ class PDFService {
     doc.moveDown(1.5);
   }
 
-  addFooter(doc, secondaryColor) {
+  addFooter(doc, template) {
     const footerY = 750;
     
     doc.fontSize(8)
-       .fillColor(secondaryColor)
-       .font('Helvetica-Oblique')
+       .fillColor(template.colors.secondary)
+       .font(template.fonts.italic)
        .text(
          `Generated on ${new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}`,
          50,
          footerY,
-         { align: 'center' }
+         { width: 495, align: 'center' }
        );
   }
 
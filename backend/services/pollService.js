@@ -0,0 +1,309 @@
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { getIO } = require('../socket');
+const logger = require('../utils/logger');
+
+const DURATION_UNITS = { minutes: 60 * 1000, hours: 60 * 60 * 1000, days: 24 * 60 * 60 * 1000 };
+const MIN_DURATION_MS = 5 * 60 * 1000;
+const MAX_DURATION_MS = 30 * DURATION_UNITS.days;
+// Voters listed per option on public polls; counts are always complete
+const VOTER_PREVIEW = 20;
+const CLOSE_BATCH = 100;
+
+const POLL_NAMESPACE = '/polls';
+
+const percentage = (votes, total) => (total ? Math.round((votes / total) * 1000) / 10 : 0);
+
+/**
+ * Poll Service
+ * Server-side voting rules for poll posts: one ballot per user (one
+ * option, or several on multi-choice polls), no votes after expiry or
+ * close, vote changes only when the poll allows them. Live results go to
+ * the `/polls` Socket.IO namespace; closing a poll freezes its final
+ * results on the post.
+ */
+class PollService {
+    /**
+     * Poll sub-document from the create-post body. Accepts `endsAt` or the
+     * PollCreator's `duration` + `durationUnit`; open-ended when neither is set.
+     */
+    static build(input, now = new Date()) {
+        if (!input || typeof input !== 'object') {
+            return { error: 'poll is required for poll posts', status: 400 };
+        }
+
+        const options = Array.isArray(input.options) ? input.options : [];
+        const poll = {
+            question: typeof input.question === 'string' ? input.question : undefined,
+            options: options.map(option => ({ text: typeof option === 'string' ? option : option?.text })),
+            allowMultipleVotes: input.allowMultipleVotes === true,
+            anonymous: input.anonymous === true,
+            allowVoteChange: input.allowVoteChange !== false
+        };
+
+        let endsAt = null;
+        if (input.endsAt !== undefined && input.endsAt !== null) {
+            endsAt = new Date(input.endsAt);
+            if (Number.isNaN(endsAt.getTime())) {
+                return { error: 'poll.endsAt must be a date', status: 400 };
+            }
+        } else if (input.duration !== undefined) {
+            const unit = DURATION_UNITS[input.durationUnit || 'days'];
+            const duration = Number(input.duration);
+            if (!unit || !Number.isFinite(duration) || duration <= 0) {
+                return { error: 'poll.duration must be a positive number of minutes, hours or days', status: 400 };
+            }
+            endsAt = new Date(now.getTime() + duration * unit);
+        }
+
+        if (endsAt) {
+            const length = endsAt.getTime() - now.getTime();
+            if (length < MIN_DURATION_MS || length > MAX_DURATION_MS) {
+                return { error: 'Polls must run between 5 minutes and 30 days', status: 400 };
+            }
+            poll.endsAt = endsAt;
+        }
+
+        return { poll };
+    }
+
+    static isClosed(post, now = new Date()) {
+        const { closedAt, endsAt } = post.poll || {};
+        return !!closedAt || (!!endsAt && endsAt <= now);
+    }
+
+    static userVotes(post, userId) {
+        if (!userId) return [];
+        return post.poll.options
+            .filter(option => option.votes.some(vote => vote.user.toString() === userId.toString()))
+            .map(option => option._id);
+    }
+
+    /**
+     * Results as seen by `viewerId` (null for broadcasts). Closed polls
+     * report their frozen snapshot; public polls list recent voters.
+     */
+    static async results(post, viewerId = null) {
+        const poll = post.poll;
+        const closed = PollService.isClosed(post);
+        const snapshot = poll.closedAt && poll.results?.options?.length ? poll.results : null;
+
+        const voters = new Set();
+        poll.options.forEach(option => option.votes.forEach(vote => voters.add(vote.user.toString())));
+
+        const counts = snapshot
+            ? new Map(snapshot.options.map(entry => [entry.option.toString(), entry.votes]))
+            : new Map(poll.options.map(option => [option._id.toString(), option.votes.length]));
+        const totalVotes = snapshot ? snapshot.totalVotes : [...counts.values()].reduce((sum, n) => sum + n, 0);
+        const totalVoters = snapshot ? snapshot.totalVoters : voters.size;
+
+        let profiles = new Map();
+        if (!poll.anonymous) {
+            const previewIds = new Set();
+            poll.options.forEach(option => option.votes.slice(-VOTER_PREVIEW).forEach(vote => previewIds.add(vote.user.toString())));
+            const users = await User.find({ _id: { $in: [...previewIds] } })
+                .select('username firstName lastName profilePicture')
+                .lean();
+            profiles = new Map(users.map(user => [user._id.toString(), user]));
+        }
+
+        return {
+            postId: post._id,
+            question: poll.question,
+            allowMultipleVotes: poll.allowMultipleVotes,
+            anonymous: poll.anonymous,
+            allowVoteChange: poll.allowVoteChange,
+            endsAt: poll.endsAt || null,
+            closed,
+            closedAt: poll.closedAt || null,
+            final: !!snapshot,
+            totalVotes,
+            totalVoters,
+            options: poll.options.map(option => {
+                const votes = counts.get(option._id.toString()) || 0;
+                // Share of voters, so multi-choice percentages can add up to more than 100
+                const entry = { _id: option._id, text: option.text, votes, percentage: percentage(votes, totalVoters) };
+                if (!poll.anonymous) {
+                    entry.voters = option.votes.slice(-VOTER_PREVIEW).reverse()
+                        .map(vote => profiles.get(vote.user.toString()))
+                        .filter(Boolean);
+                }
+                return entry;
+            }),
+            myVotes: PollService.userVotes(post, viewerId)
+        };
+    }
+
+    static async broadcast(postId) {
+        try {
+            const post = await Post.findById(postId);
+            if (!post) return;
+            const results = await PollService.results(post);
+            getIO().of(POLL_NAMESPACE).to(postId.toString()).emit(results.final ? 'poll:closed' : 'poll:results', results);
+        } catch (error) {
+            logger.warn(`Poll results broadcast failed for ${postId}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Why a conditional vote update matched nothing
+     */
+    static async rejection(postId, userId) {
+        const post = await Post.findOne({ _id: postId, isDeleted: false });
+        if (!post || post.postType !== 'poll') return { error: 'Poll not found', status: 404 };
+        if (PollService.isClosed(post)) return { error: 'This poll has ended', status: 400 };
+        if (PollService.userVotes(post, userId).length) return { error: 'You have already voted in this poll', status: 409 };
+        return { error: 'Your vote could not be recorded, please try again', status: 409 };
+    }
+
+    /**
+     * Cast a ballot for one option (several on multi-choice polls). A
+     * second ballot replaces the first when vote changes are allowed.
+     */
+    static async vote(post, userId, optionIds) {
+        const poll = post.poll;
+        const ids = [...new Set((Array.isArray(optionIds) ? optionIds : [optionIds]).filter(Boolean).map(String))];
+
+        if (!ids.length) return { error: 'Choose an option', status: 400 };
+        if (!poll.allowMultipleVotes && ids.length > 1) {
+            return { error: 'This poll allows only one choice', status: 400 };
+        }
+
+        const indexes = ids.map(id => poll.options.findIndex(option => option._id.toString() === id));
+        if (indexes.includes(-1)) return { error: 'Unknown poll option', status: 400 };
+        if (PollService.isClosed(post)) return { error: 'This poll has ended', status: 400 };
+
+        const previous = PollService.userVotes(post, userId);
+        if (previous.length && !poll.allowVoteChange) {
+            return { error: 'You have already voted in this poll', status: 409 };
+        }
+
+        const now = new Date();
+        const voter = new mongoose.Types.ObjectId(userId);
+        const open = {
+            _id: post._id,
+            isDeleted: false,
+            postType: 'poll',
+            'poll.closedAt': null,
+            $or: [{ 'poll.endsAt': null }, { 'poll.endsAt': { $gt: now } }]
+        };
+
+        let result;
+        if (previous.length) {
+            // Swap the old ballot for the new one in a single update, so a
+            // failed write leaves the previous vote in place
+            const ballot = indexes.map(index => ({
+                case: { $eq: ['$$option._id', poll.options[index]._id] },
+                then: [{ _id: new mongoose.Types.ObjectId(), user: voter, votedAt: now }]
+            }));
+            result = await Post.updateOne({ ...open, 'poll.options.votes.user': voter }, [{
+                $set: {
+                    'poll.options': {
+                        $map: {
+                            input: '$poll.options',
+                            as: 'option',
+                            in: {
+                                $mergeObjects: ['$$option', {
+                                    votes: {
+                                        $concatArrays: [
+                                            { $filter: { input: '$$option.votes', as: 'vote', cond: { $ne: ['$$vote.user', voter] } } },
+                                            { $switch: { branches: ballot, default: [] } }
+                                        ]
+                                    }
+                                }]
+                            }
+                        }
+                    }
+                }
+            }]);
+        } else {
+            const push = {};
+            indexes.forEach(index => {
+                push[`poll.options.${index}.votes`] = { user: userId, votedAt: now };
+            });
+
+            // The filter enforces one ballot per user and the expiry atomically
+            result = await Post.updateOne({ ...open, 'poll.options.votes.user': { $ne: voter } }, { $push: push });
+        }
+
+        if (!result.modifiedCount) return PollService.rejection(post._id, userId);
+
+        PollService.broadcast(post._id);
+        const updated = await Post.findById(post._id);
+        return { results: await PollService.results(updated, userId), changed: previous.length > 0 };
+    }
+
+    static async unvote(post, userId) {
+        if (!post.poll.allowVoteChange) {
+            return { error: 'Votes in this poll cannot be changed', status: 400 };
+        }
+
+        const now = new Date();
+        const result = await Post.updateOne({
+            _id: post._id,
+            isDeleted: false,
+            postType: 'poll',
+            'poll.closedAt': null,
+            $or: [{ 'poll.endsAt': null }, { 'poll.endsAt': { $gt: now } }]
+        }, { $pull: { 'poll.options.$[].votes': { user: new mongoose.Types.ObjectId(userId) } } });
+
+        if (!result.matchedCount) return PollService.rejection(post._id, userId);
+        if (!result.modifiedCount) return { error: 'You have not voted in this poll', status: 400 };
+
+        PollService.broadcast(post._id);
+        const updated = await Post.findById(post._id);
+        return { results: await PollService.results(updated, userId) };
+    }
+
+    /**
+     * Close a poll and freeze its final results. Voting is shut first so
+     * no ballot lands between counting and saving the snapshot.
+     */
+    static async close(postId, now = new Date()) {
+        const post = await Post.findOneAndUpdate(
+            { _id: postId, postType: 'poll', 'poll.closedAt': null },
+            { $set: { 'poll.closedAt': now } },
+            { new: true }
+        );
+        if (!post) return { error: 'This poll is already closed', status: 400 };
+
+        const voters = new Set();
+        const options = post.poll.options.map(option => {
+            option.votes.forEach(vote => voters.add(vote.user.toString()));
+            return { option: option._id, text: option.text, votes: option.votes.length };
+        });
+        const snapshot = {
+            totalVotes: options.reduce((sum, option) => sum + option.votes, 0),
+            totalVoters: voters.size,
+            options
+        };
+
+        await Post.updateOne({ _id: post._id }, { $set: { 'poll.results': snapshot } });
+        post.poll.results = snapshot;
+
+        PollService.broadcast(post._id);
+        logger.info(`Poll ${post._id} closed with ${snapshot.totalVotes} votes`);
+        return { post };
+    }
+
+    /**
+     * Close polls whose end time has passed (scheduler)
+     */
+    static async closeExpired(now = new Date()) {
+        const expired = await Post.find({
+            postType: 'poll',
+            'poll.closedAt': null,
+            'poll.endsAt': { $lte: now }
+        }).select('_id').limit(CLOSE_BATCH).lean();
+
+        let closed = 0;
+        for (const { _id } of expired) {
+            const result = await PollService.close(_id, now);
+            if (!result.error) closed++;
+        }
+        return { closed };
+    }
+}
+
+module.exports = PollService;
@@ -0,0 +1,120 @@
+const Post = require('../models/Post');
+const ModerationService = require('./moderationService');
+const AIModerator = require('./aiModerator');
+const EmbeddingService = require('./embeddingService');
+const EventPublisher = require('../events/publisher');
+const HashtagService = require('./hashtagService');
+const { syncPost } = require('../listeners/mongoSync');
+const logger = require('../utils/logger');
+
+// Scheduled posts must be at least this far ahead, and within a year
+const MIN_SCHEDULE_LEAD_MS = 60 * 1000;
+const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000;
+const PUBLISH_BATCH = 100;
+
+/**
+ * Post Publish Service
+ * Drafts and scheduled posts stay private to their author; a post only
+ * goes through moderation, embedding, search indexing and the
+ * POST_PUBLISHED event when it is published, either right away or by the
+ * publishScheduledPosts task at its scheduled time.
+ */
+class PostPublishService {
+    /**
+     * Publishing state from a create/edit body: { status } of 'draft' or
+     * 'published', or a future { scheduledAt }
+     */
+    static resolveState({ status, scheduledAt }, now = new Date()) {
+        if (scheduledAt !== undefined && scheduledAt !== null) {
+            const at = new Date(scheduledAt);
+            if (Number.isNaN(at.getTime())) {
+                return { error: 'scheduledAt must be a date', status: 400 };
+            }
+            if (at.getTime() - now.getTime() < MIN_SCHEDULE_LEAD_MS) {
+                return { error: 'scheduledAt must be at least a minute in the future', status: 400 };
+            }
+            if (at.getTime() - now.getTime() > MAX_SCHEDULE_AHEAD_MS) {
+                return { error: 'Posts can be scheduled at most a year ahead', status: 400 };
+            }
+            return { state: { status: 'scheduled', scheduledAt: at } };
+        }
+
+        if (status === undefined || status === 'published') return { state: { status: 'published' } };
+        if (status === 'draft') return { state: { status: 'draft', scheduledAt: undefined } };
+        if (status === 'scheduled') return { error: 'scheduledAt is required to schedule a post', status: 400 };
+        return { error: 'status must be draft or published', status: 400 };
+    }
+
+    /**
+     * Side effects of a post going live: moderation of the final text,
+     * embedding, search index, mention notifications and the
+     * POST_PUBLISHED event
+     */
+    static afterPublish(post, { scheduled = false, image = post.media?.[0]?.url || null } = {}) {
+        AIModerator.scan(post._id, 'Post', post.content, image);
+        ModerationService.checkAndFlag(post.content, 'Post', post._id, post.user);
+
+        if (post.content) {
+            EmbeddingService.generateEmbedding(post.content)
+                .then(vector => {
+                    if (vector) return Post.updateOne({ _id: post._id }, { $set: { embedding: vector } });
+                })
+                .catch(err => logger.error('Embedding Generation Failed', err));
+        }
+
+        syncPost(post).catch(err => logger.error('Post search sync error:', err));
+        HashtagService.notifyMentions(post).catch(err => logger.error('Mention notification error:', err));
+
+        EventPublisher.publish('POST_PUBLISHED', {
+            postId: post._id,
+            authorId: post.user,
+            visibility: post.visibility,
+            scheduled
+        });
+    }
+
+    /**
+     * Publish a draft or scheduled post now. The status condition makes
+     * this safe against the scheduler publishing the same post twice.
+     * Feeds sort by createdAt, so it is reset to the publish time.
+     */
+    static async publish(postId, { from = Post.UNPUBLISHED_STATUSES, now = new Date(), scheduled = false } = {}) {
+        const filter = { _id: postId, isDeleted: false, status: { $in: from } };
+        if (scheduled) filter.scheduledAt = { $lte: now };
+
+        const post = await Post.findOneAndUpdate(
+            filter,
+            { $set: { status: 'published', publishedAt: now, createdAt: now }, $unset: { scheduledAt: 1 } },
+            { new: true, overwriteImmutable: true }
+        );
+        if (!post) return { error: 'Post is not waiting to be published', status: 409 };
+
+        PostPublishService.afterPublish(post, { scheduled });
+        logger.info(`Post ${post._id} published${scheduled ? ' on schedule' : ''}`);
+        return { post };
+    }
+
+    /**
+     * Publish scheduled posts whose time has come (scheduler)
+     */
+    static async publishDue(now = new Date()) {
+        const due = await Post.find({
+            status: 'scheduled',
+            scheduledAt: { $lte: now },
+            isDeleted: false
+        }).select('_id').sort({ scheduledAt: 1 }).limit(PUBLISH_BATCH).lean();
+
+        let published = 0;
+        for (const { _id } of due) {
+            try {
+                const result = await PostPublishService.publish(_id, { from: ['scheduled'], now, scheduled: true });
+                if (!result.error) published++;
+            } catch (error) {
+                logger.error(`Failed to publish scheduled post ${_id}:`, error);
+            }
+        }
+        return { published };
+    }
+}
+
+module.exports = PostPublishService;
@@ -0,0 +1,471 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const QuizAttempt = require('../models/QuizAttempt');
+const ExamSession = require('../models/ExamSession');
+const User = require('../models/User');
+const ProctoringService = require('./proctoringService');
+const logger = require('../utils/logger');
+
+// Answers and submissions arriving this long after the deadline are still accepted (network latency)
+const DEADLINE_GRACE_MS = 5000;
+const MAX_SHORT_ANSWER = 500;
+
+/**
+ * Fisher-Yates shuffle (returns a new array)
+ */
+const shuffle = (items) => {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(i + 1);
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+};
+
+const sameIds = (a, b) => a.length === b.length && a.every(id => b.includes(id));
+
+/**
+ * Quiz Service - question drawing, answer checking, scoring and
+ * XP/badge rewards for quizzes. Scoring happens only here; clients never
+ * receive answer keys before an attempt is finished.
+ */
+class QuizService {
+    /**
+     * Pick the questions for a new attempt: `draw` random questions from
+     * each pool (or the whole bank when no pools are set), in random order
+     */
+    static drawQuestions(quiz) {
+        const picked = quiz.pools.length
+            ? quiz.pools.flatMap(pool => shuffle(quiz.questions.filter(q => q.pool === pool.name)).slice(0, pool.draw))
+            : quiz.questions;
+
+        return shuffle(picked).map(question => ({
+            questionId: question._id,
+            optionOrder: (quiz.shuffleOptions ? shuffle(question.options) : question.options).map(o => o._id),
+            points: question.points
+        }));
+    }
+
+    /**
+     * Questions of an attempt as shown to the student, without answer keys
+     */
+    static presentQuestions(quiz, attempt) {
+        return attempt.questions.map(drawn => {
+            const question = quiz.questions.id(drawn.questionId);
+            if (!question) return null;
+
+            return {
+                _id: question._id,
+                type: question.type,
+                prompt: question.prompt,
+                hint: question.hint,
+                points: drawn.points,
+                options: drawn.optionOrder
+                    .map(id => question.options.id(id))
+                    .filter(Boolean)
+                    .map(o => ({ _id: o._id, text: o.text }))
+            };
+        }).filter(Boolean);
+    }
+
+    /**
+     * Coerce a client response into the stored form for the question type,
+     * or undefined if it is not a valid answer
+     */
+    static normalizeResponse(question, response) {
+        const optionIds = question.options.map(o => o._id.toString());
+
+        switch (question.type) {
+            case 'mcq':
+                return optionIds.includes(String(response)) ? String(response) : undefined;
+            case 'multi': {
+                if (!Array.isArray(response)) return undefined;
+                const ids = [...new Set(response.map(String))];
+                return ids.every(id => optionIds.includes(id)) ? ids : undefined;
+            }
+            case 'numeric': {
+                const value = typeof response === 'string' && response.trim() !== '' ? Number(response) : response;
+                return typeof value === 'number' && Number.isFinite(value) ? value : undefined;
+            }
+            case 'short':
+                return typeof response === 'string' ? response.trim().slice(0, MAX_SHORT_ANSWER) : undefined;
+            default:
+                return undefined;
+        }
+    }
+
+    /**
+     * Whether a (normalized) response answers the question correctly.
+     * Multi-select is all-or-nothing: exactly the correct options.
+     */
+    static isCorrect(question, response) {
+        if (response === undefined || response === null) return false;
+        const correctIds = question.options.filter(o => o.isCorrect).map(o => o._id.toString());
+
+        switch (question.type) {
+            case 'mcq':
+                return correctIds[0] === response;
+            case 'multi':
+                return sameIds(response, correctIds);
+            case 'numeric':
+                return Math.abs(response - question.answer) <= (question.tolerance || 0) + Number.EPSILON;
+            case 'short': {
+                const fold = (text) => {
+                    const collapsed = String(text).trim().replace(/\s+/g, ' ');
+                    return question.caseSensitive ? collapsed : collapsed.toLowerCase();
+                };
+                return question.acceptedAnswers.some(accepted => fold(accepted) === fold(response));
+            }
+            default:
+                return false;
+        }
+    }
+
+    /* ---------- Attempts ---------- */
+
+    /**
+     * Start an attempt, or resume the caller's unfinished one.
+     * Proctored quizzes link the attempt to an ExamSession: the caller's
+     * own active session for this quiz, or a new one.
+     * @returns {Promise<{attempt, resumed}|{error: string, status: number}>}
+     */
+    static async startAttempt(quiz, userId, { examSessionId } = {}) {
+        const open = await QuizAttempt.findOne({ quiz: quiz._id, user: userId, status: 'in_progress' });
+        if (open) {
+            const closed = await this.closeIfExpired(quiz, open);
+            if (!closed) return { attempt: open, resumed: true };
+        }
+
+        if (quiz.maxAttempts) {
+            const used = await QuizAttempt.countDocuments({ quiz: quiz._id, user: userId });
+            if (used >= quiz.maxAttempts) return { error: 'No attempts left for this quiz', status: 400 };
+        }
+
+        let session = null;
+        if (quiz.requiresProctoring) {
+            if (examSessionId) {
+                if (!mongoose.isValidObjectId(examSessionId)) return { error: 'Invalid exam session ID', status: 400 };
+
+                session = await ExamSession.findOne({ _id: examSessionId, user: userId, examId: quiz._id.toString() });
+                if (!session || session.status !== 'active') {
+                    return { error: 'Exam session is not active for this quiz', status: 400 };
+                }
+                if (await QuizAttempt.exists({ examSession: session._id })) {
+                    return { error: 'Exam session is already used by another attempt', status: 409 };
+                }
+            } else {
+                session = await ProctoringService.startSession(userId, quiz._id.toString());
+            }
+        }
+
+        const startedAt = new Date();
+        let attempt;
+        try {
+            attempt = await QuizAttempt.create({
+                quiz: quiz._id,
+                user: userId,
+                questions: this.drawQuestions(quiz),
+                startedAt,
+                expiresAt: quiz.timeLimitSec ? new Date(startedAt.getTime() + quiz.timeLimitSec * 1000) : undefined,
+                examSession: session?._id
+            });
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+
+            // A concurrent start won the race: resume its attempt instead
+            const existing = await QuizAttempt.findOne({ quiz: quiz._id, user: userId, status: 'in_progress' });
+            if (!existing) throw error;
+            if (session && !examSessionId) await ProctoringService.endSession(session._id);
+            return { attempt: existing, resumed: true };
+        }
+
+        return { attempt, resumed: false };
+    }
+
+    static isPastDeadline(attempt, now = Date.now()) {
+        return !!attempt.expiresAt && now > attempt.expiresAt.getTime() + DEADLINE_GRACE_MS;
+    }
+
+    /**
+     * Save (or overwrite) answers on an unfinished attempt. Answers to
+     * questions outside the attempt or with invalid responses are rejected.
+     * @param {Array<{questionId, response}>} answers
+     * @returns {Promise<{saved: number}|{error: string, status: number}>}
+     */
+    static async saveAnswers(quiz, attempt, answers) {
+        if (attempt.isFinished()) return { error: 'Attempt is already finished', status: 400 };
+        if (this.isPastDeadline(attempt)) {
+            await this.finishAttempt(quiz, attempt);
+            return { error: 'Time is up', status: 400 };
+        }
+        if (!Array.isArray(answers)) return { error: 'answers must be an array', status: 400 };
+
+        const drawnIds = new Set(attempt.questions.map(q => q.questionId.toString()));
+        const merged = new Map(attempt.answers.map(a => [a.questionId.toString(), a]));
+
+        for (const { questionId, response } of answers) {
+            const question = drawnIds.has(String(questionId)) && quiz.questions.id(questionId);
+            if (!question) return { error: `Question ${questionId} is not part of this attempt`, status: 400 };
+
+            const normalized = this.normalizeResponse(question, response);
+            if (normalized === undefined) return { error: `Invalid answer for question ${questionId}`, status: 400 };
+
+            merged.set(question._id.toString(), { questionId: question._id, response: normalized, answeredAt: new Date() });
+        }
+
+        const result = await QuizAttempt.updateOne(
+            { _id: attempt._id, status: 'in_progress' },
+            { $set: { answers: [...merged.values()] } }
+        );
+        if (result.matchedCount === 0) return { error: 'Attempt is already finished', status: 400 };
+
+        return { saved: answers.length };
+    }
+
+    /**
+     * Close an attempt that ran out of time, scoring what was saved
+     * @returns {Promise<boolean>} Whether it was closed
+     */
+    static async closeIfExpired(quiz, attempt) {
+        if (attempt.isFinished() || !this.isPastDeadline(attempt)) return false;
+        await this.finishAttempt(quiz, attempt);
+        return true;
+    }
+
+    /**
+     * Score an attempt and close it exactly once. Late submissions are
+     * scored on the answers saved before the deadline. A proctoring
+     * session that was terminated voids the attempt.
+     * @returns {Promise<QuizAttempt>} The finished attempt
+     */
+    static async finishAttempt(quiz, attempt) {
+        const now = new Date();
+        let status = this.isPastDeadline(attempt, now.getTime()) ? 'expired' : 'submitted';
+
+        let integrityScore;
+        if (attempt.examSession) {
+            const session = await ExamSession.findById(attempt.examSession);
+            if (session?.status === 'terminated') {
+                status = 'terminated';
+            } else if (session) {
+                if (session.status === 'active') await ProctoringService.endSession(session._id);
+                integrityScore = session.integrityScore;
+            }
+        }
+
+        const graded = status === 'terminated'
+            ? { answers: attempt.answers, score: 0, maxScore: attempt.questions.reduce((sum, q) => sum + q.points, 0), percent: 0 }
+            : this.scoreAttempt(quiz, attempt);
+
+        const finished = await QuizAttempt.findOneAndUpdate(
+            { _id: attempt._id, status: 'in_progress' },
+            {
+                $set: {
+                    ...graded,
+                    status,
+                    passed: status !== 'terminated' && graded.percent >= quiz.passPercent,
+                    // Expired attempts are stamped with the deadline, not the moment they were closed
+                    submittedAt: status === 'expired' ? attempt.expiresAt : now,
+                    integrityScore
+                }
+            },
+            { new: true }
+        );
+
+        // Someone else finished it first
+        if (!finished) return QuizAttempt.findById(attempt._id);
+
+        if (status !== 'terminated') {
+            try {
+                const rewards = await this.awardRewards(quiz, finished);
+                Object.assign(finished, rewards);
+                await QuizAttempt.updateOne({ _id: finished._id }, { $set: rewards });
+            } catch (error) {
+                logger.error(`Quiz rewards failed for attempt ${finished._id}:`, error);
+            }
+        }
+
+        return finished;
+    }
+
+    /**
+     * Check every saved answer against the current answer key. Questions
+     * removed from the quiz since the attempt started earn nothing.
+     */
+    static scoreAttempt(quiz, attempt) {
+        const answersById = new Map(attempt.answers.map(a => [a.questionId.toString(), a]));
+
+        const answers = [];
+        let score = 0;
+        let maxScore = 0;
+
+        for (const drawn of attempt.questions) {
+            maxScore += drawn.points;
+            const answer = answersById.get(drawn.questionId.toString());
+            if (!answer) continue;
+
+            const question = quiz.questions.id(drawn.questionId);
+            const correct = !!question && this.isCorrect(question, answer.response);
+            const earned = correct ? drawn.points : 0;
+            score += earned;
+
+            answers.push({
+                questionId: answer.questionId,
+                response: answer.response,
+                answeredAt: answer.answeredAt,
+                correct,
+                earned
+            });
+        }
+
+        return {
+            answers,
+            score,
+            maxScore,
+            percent: maxScore ? Math.round((score / maxScore) * 10000) / 100 : 0
+        };
+    }
+
+    /**
+     * XP is paid pro rata to the score, but only for improving on the
+     * caller's previous attempts, so retaking a quiz can't farm XP.
+     * Badges are awarded once per quiz.
+     * @returns {Promise<{xpAwarded: number, badgesAwarded: Array<string>}>}
+     */
+    static async awardRewards(quiz, attempt) {
+        const [previous] = await QuizAttempt.aggregate([
+            { $match: { quiz: quiz._id, user: attempt.user, _id: { $ne: attempt._id } } },
+            { $group: { _id: null, xp: { $sum: '$xpAwarded' } } }
+        ]);
+
+        const earned = Math.round(quiz.xpReward * attempt.percent / 100);
+        const xpAwarded = Math.max(0, earned - (previous?.xp || 0));
+        if (xpAwarded > 0) {
+            await User.updateOne({ _id: attempt.user }, { $inc: { xp: xpAwarded } });
+        }
+
+        const badgesAwarded = [];
+        for (const badge of quiz.badges.filter(b => attempt.percent >= b.minPercent)) {
+            const result = await User.updateOne(
+                { _id: attempt.user, badges: { $not: { $elemMatch: { key: badge.key, quiz: quiz._id } } } },
+                { $push: { badges: { key: badge.key, name: badge.name, icon: badge.icon, quiz: quiz._id, awardedAt: new Date() } } }
+            );
+            if (result.modifiedCount > 0) badgesAwarded.push(badge.key);
+        }
+
+        return { xpAwarded, badgesAwarded };
+    }
+
+    /**
+     * Per-question breakdown of a finished attempt, with the answer key
+     */
+    static reviewAttempt(quiz, attempt) {
+        const answersById = new Map(attempt.answers.map(a => [a.questionId.toString(), a]));
+
+        return attempt.questions.map(drawn => {
+            const question = quiz.questions.id(drawn.questionId);
+            const answer = answersById.get(drawn.questionId.toString());
+            if (!question) {
+                return { _id: drawn.questionId, removed: true, points: drawn.points, earned: 0 };
+            }
+
+            return {
+                _id: question._id,
+                type: question.type,
+                prompt: question.prompt,
+                explanation: question.explanation,
+                points: drawn.points,
+                options: drawn.optionOrder
+                    .map(id => question.options.id(id))
+                    .filter(Boolean)
+                    .map(o => ({ _id: o._id, text: o.text, isCorrect: o.isCorrect })),
+                answer: question.type === 'numeric' ? { value: question.answer, tolerance: question.tolerance } : undefined,
+                acceptedAnswers: question.type === 'short' ? question.acceptedAnswers : undefined,
+                response: answer ? answer.response : null,
+                correct: !!answer?.correct,
+                earned: answer?.earned || 0
+            };
+        });
+    }
+
+    /* ---------- Leaderboards ---------- */
+
+    /**
+     * Best finished attempt per user: highest percentage, then fastest
+     */
+    static async getLeaderboard(quizId, limit = 20) {
+        return QuizAttempt.aggregate([
+            { $match: { quiz: new mongoose.Types.ObjectId(String(quizId)), status: { $in: ['submitted', 'expired'] } } },
+            { $addFields: { timeTakenMs: { $subtract: ['$submittedAt', '$startedAt'] } } },
+            { $sort: { percent: -1, timeTakenMs: 1 } },
+            {
+                $group: {
+                    _id: '$user',
+                    percent: { $first: '$percent' },
+                    score: { $first: '$score' },
+                    maxScore: { $first: '$maxScore' },
+                    timeTakenMs: { $first: '$timeTakenMs' },
+                    attempts: { $sum: 1 }
+                }
+            },
+            { $sort: { percent: -1, timeTakenMs: 1 } },
+            { $limit: limit },
+            { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+            { $unwind: '$user' },
+            {
+                $project: {
+                    _id: 0,
+                    user: {
+                        _id: '$user._id',
+                        username: '$user.username',
+                        firstName: '$user.firstName',
+                        lastName: '$user.lastName',
+                        profilePicture: '$user.profilePicture'
+                    },
+                    percent: 1,
+                    score: 1,
+                    maxScore: 1,
+                    timeTakenSec: { $round: [{ $divide: ['$timeTakenMs', 1000] }, 0] },
+                    attempts: 1
+                }
+            }
+        ]);
+    }
+
+    /**
+     * Users ranked by total XP, plus the caller's own rank
+     */
+    static async getXpLeaderboard(userId, limit = 20) {
+        const [leaders, me] = await Promise.all([
+            User.find({ xp: { $gt: 0 }, isDeleted: { $ne: true } })
+                .select('username firstName lastName profilePicture xp badges')
+                .sort({ xp: -1, _id: 1 })
+                .limit(limit)
+                .lean(),
+            User.findById(userId).select('xp badges').lean()
+        ]);
+
+        const myXp = me?.xp || 0;
+        const ahead = await User.countDocuments({ xp: { $gt: myXp }, isDeleted: { $ne: true } });
+
+        return {
+            leaders: leaders.map((user, index) => ({
+                rank: index + 1,
+                user: {
+                    _id: user._id,
+                    username: user.username,
+                    firstName: user.firstName,
+                    lastName: user.lastName,
+                    profilePicture: user.profilePicture
+                },
+                xp: user.xp,
+                badgeCount: (user.badges || []).length
+            })),
+            me: { rank: ahead + 1, xp: myXp, badges: me?.badges || [] }
+        };
+    }
+}
+
+QuizService.DEADLINE_GRACE_MS = DEADLINE_GRACE_MS;
+
+module.exports = QuizService;
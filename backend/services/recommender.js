@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const UserInterest = require('../models/UserInterest');
 const Post = require('../models/Post');
 const User = require('../models/User');
@@ -6,6 +7,8 @@ const logger = require('../utils/logger');
 
 const CACHE_TTL = 300; // 5 minutes
 const CACHE_PREFIX = 'rec:';
+// Each followed hashtag on a post counts for more than an inferred interest
+const FOLLOWED_TAG_BOOST = 4;
 
 /**
  * Recommendation Service - AI-powered content and user recommendations
@@ -33,6 +36,7 @@ class RecommenderService {
             const userInterest = await UserInterest.getOrCreate(userId);
             const topTags = userInterest.getTopTags(15);
             const topAffinities = userInterest.getTopAffinities(10);
+            const followedTags = userInterest.followedHashtags || [];
 
             // Build recommendation query using aggregation
             const recommendations = await this.buildRecommendationPipeline(
@@ -40,7 +44,8 @@ class RecommenderService {
                 topTags,
                 topAffinities,
                 page,
-                limit
+                limit,
+                followedTags
             );
 
             const result = {
@@ -66,7 +71,7 @@ class RecommenderService {
     /**
      * Build MongoDB aggregation pipeline for recommendations
      */
-    static async buildRecommendationPipeline(userId, topTags, topAffinities, page, limit) {
+    static async buildRecommendationPipeline(userId, topTags, topAffinities, page, limit, followedTags = []) {
         const skip = (page - 1) * limit;
         const tagNames = topTags.map(t => t.tag);
         const affinityUserIds = topAffinities.map(a => a.userId);
@@ -74,6 +79,8 @@ class RecommenderService {
         // Calculate tag weight map for scoring
         const tagWeightMap = {};
         topTags.forEach(t => { tagWeightMap[t.tag] = t.weight; });
+        // Aggregation stages are not cast against the schema
+        const viewerId = new mongoose.Types.ObjectId(userId);
 
         const pipeline = [
             // Match non-deleted, public posts
@@ -81,7 +88,7 @@ class RecommenderService {
                 $match: {
                     isDeleted: false,
                     visibility: 'public',
-                    author: { $ne: userId } // Exclude own posts
+                    user: { $ne: viewerId } // Exclude own posts
                 }
             },
             // Add relevance score
@@ -96,10 +103,19 @@ class RecommenderService {
                             ]
                         }
                     },
+                    // Followed hashtag score
+                    followedTagScore: {
+                        $size: {
+                            $ifNull: [
+                                { $setIntersection: ['$tags', followedTags] },
+                                []
+                            ]
+                        }
+                    },
                     // Author affinity score (if from followed/interacted users)
                     affinityScore: {
                         $cond: [
-                            { $in: [{ $toString: '$author' }, affinityUserIds] },
+                            { $in: [{ $toString: '$user' }, affinityUserIds] },
                             2,
                             0
                         ]
@@ -124,8 +140,8 @@ class RecommenderService {
                     // Engagement score
                     engagementScore: {
                         $add: [
-                            { $ifNull: ['$likeCount', 0] },
-                            { $multiply: [{ $ifNull: ['$commentCount', 0] }, 2] }
+                            { $ifNull: ['$likesCount', 0] },
+                            { $multiply: [{ $ifNull: ['$commentsCount', 0] }, 2] }
                         ]
                     }
                 }
@@ -136,6 +152,7 @@ class RecommenderService {
                     relevanceScore: {
                         $add: [
                             { $multiply: ['$tagScore', 3] },
+                            { $multiply: ['$followedTagScore', FOLLOWED_TAG_BOOST] },
                             { $multiply: ['$affinityScore', 2] },
                             { $multiply: ['$recencyScore', 1] },
                             { $multiply: ['$engagementScore', 0.1] }
@@ -152,24 +169,24 @@ class RecommenderService {
             {
                 $lookup: {
                     from: 'users',
-                    localField: 'author',
+                    localField: 'user',
                     foreignField: '_id',
-                    as: 'author',
+                    as: 'user',
                     pipeline: [
                         { $project: { username: 1, firstName: 1, lastName: 1, profilePicture: 1 } }
                     ]
                 }
             },
-            { $unwind: '$author' },
+            { $unwind: '$user' },
             // Clean up response
             {
                 $project: {
                     content: 1,
                     tags: 1,
                     images: 1,
-                    author: 1,
-                    likeCount: 1,
-                    commentCount: 1,
+                    user: 1,
+                    likesCount: 1,
+                    commentsCount: 1,
                     createdAt: 1,
                     relevanceScore: 1
                 }
@@ -188,9 +205,9 @@ class RecommenderService {
         const posts = await Post.find({
             isDeleted: false,
             visibility: 'public',
-            author: { $ne: userId }
+            user: { $ne: userId }
         })
-            .populate('author', 'username firstName lastName profilePicture')
+            .populate('user', 'username firstName lastName profilePicture')
             .sort({ createdAt: -1 })
             .skip(skip)
             .limit(limit);
@@ -283,7 +300,7 @@ class RecommenderService {
 
             if (targetType === 'post') {
                 // Get post tags and update weights
-                const post = await Post.findById(targetId).select('tags author');
+                const post = await Post.findById(targetId).select('tags user');
                 if (post) {
                     // Update tag weights
                     if (post.tags && post.tags.length > 0) {
@@ -292,8 +309,8 @@ class RecommenderService {
                         });
                     }
                     // Update author affinity
-                    if (post.author) {
-                        userInterest.updateUserAffinity(post.author, interactionType);
+                    if (post.user) {
+                        userInterest.updateUserAffinity(post.user, interactionType);
                     }
                 }
             } else if (targetType === 'user') {
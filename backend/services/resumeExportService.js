@@ -0,0 +1,394 @@
+const { getTemplate } = require('../config/resumeTemplates');
+const { createZip } = require('../utils/zip');
+
+const JSON_RESUME_SCHEMA = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+const MAX_IMPORT_ENTRIES = 50;
+const MAX_IMPORT_SKILLS = 100;
+// JSON Resume sections mapped onto resume content; everything else is reported as ignored
+const IMPORTED_SECTIONS = ['basics', 'work', 'education', 'skills', 'projects', 'meta', '$schema'];
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const ONGOING = /^(present|current|now|ongoing)$/i;
+
+const WORD_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+const escapeMarkdown = (value) => String(value ?? '').replace(/([\\`*_[\]<>#|])/g, '\\$1');
+
+const escapeXml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+
+// Description text as bullet lines without their list markers
+const descriptionLines = (text) => String(text || '')
+    .split('\n')
+    .map(line => line.trim().replace(/^[•\-*]\s*/, ''))
+    .filter(Boolean);
+
+const fullName = (userInfo) => [userInfo?.firstName, userInfo?.lastName].filter(Boolean).join(' ');
+
+/**
+ * Parse one side of a free-text duration ("Jan 2022", "01/2022", "2022-01", "2022")
+ * into an ISO 8601 partial date
+ */
+const parseDatePart = (text) => {
+    const value = String(text || '').trim();
+    let match = value.match(/^(\d{4})-(\d{1,2})(?:-\d{1,2})?$/);
+    if (match) return `${match[1]}-${match[2].padStart(2, '0')}`;
+
+    match = value.match(/^(\d{1,2})\/(\d{4})$/);
+    if (match && Number(match[1]) >= 1 && Number(match[1]) <= 12) return `${match[2]}-${match[1].padStart(2, '0')}`;
+
+    match = value.match(/^([a-z]{3})[a-z]*\.?,?\s+(\d{4})$/i);
+    if (match) {
+        const month = MONTHS.findIndex(name => name.toLowerCase() === match[1].toLowerCase());
+        if (month !== -1) return `${match[2]}-${String(month + 1).padStart(2, '0')}`;
+    }
+
+    match = value.match(/^(\d{4})$/);
+    return match ? match[1] : null;
+};
+
+/**
+ * Split a duration such as "Jan 2022 - Present" into JSON Resume start and
+ * end dates; unparseable text yields no dates
+ */
+const parseDuration = (duration) => {
+    const text = String(duration || '').trim();
+    if (!text) return {};
+
+    let parts = text.split(/\s+(?:-|–|—|to)\s+|\s*[–—]\s*/i);
+    if (parts.length === 1) {
+        const years = text.match(/^(\d{4})-(\d{4}|present|current|now)$/i);
+        parts = years ? [years[1], years[2]] : parts;
+    }
+    if (parts.length > 2) return {};
+
+    const startDate = parseDatePart(parts[0]);
+    if (parts.length === 1) return startDate ? { endDate: startDate } : {};
+    if (!startDate) return {};
+
+    if (ONGOING.test(parts[1].trim())) return { startDate };
+    const endDate = parseDatePart(parts[1]);
+    return endDate ? { startDate, endDate } : {};
+};
+
+// "2022-01-15" -> "Jan 2022", "2022" -> "2022"
+const formatDatePart = (iso) => {
+    const match = String(iso || '').trim().match(/^(\d{4})(?:-(\d{2}))?/);
+    if (!match) return '';
+    const month = match[2] ? MONTHS[Number(match[2]) - 1] : null;
+    return month ? `${month} ${match[1]}` : match[1];
+};
+
+const formatDuration = (startDate, endDate) => {
+    const start = formatDatePart(startDate);
+    const end = formatDatePart(endDate);
+    if (start && end) return `${start} - ${end}`;
+    if (start) return `${start} - Present`;
+    return end;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Imported strings are trimmed and capped; numbers (e.g. a GPA score) are accepted as text
+const importText = (value, max = 5000) => {
+    if (typeof value === 'number') return String(value);
+    return typeof value === 'string' ? value.trim().slice(0, max) : '';
+};
+
+const importList = (value) => (Array.isArray(value) ? value.map(item => importText(item)).filter(Boolean) : []);
+
+/**
+ * Resume Export Service
+ * Converts resume content (a Resume or ResumeVersion) to Markdown, DOCX
+ * and the JSON Resume schema (https://jsonresume.org/schema), and maps
+ * JSON Resume documents from other tools back onto resume content.
+ * Name and contact details always come from the student's profile.
+ */
+class ResumeExportService {
+    static toMarkdown(resumeData, userInfo) {
+        const content = resumeData.content || {};
+        const lines = [`# ${escapeMarkdown(fullName(userInfo))}`, ''];
+
+        const contact = [userInfo?.email, userInfo?.phone, userInfo?.linkedin].filter(Boolean);
+        if (contact.length) lines.push(contact.map(escapeMarkdown).join(' | '), '');
+
+        if (resumeData.summary) {
+            lines.push('## Summary', '', escapeMarkdown(resumeData.summary), '');
+        }
+
+        if (content.experience?.length) {
+            lines.push('## Experience', '');
+            content.experience.forEach(exp => {
+                lines.push(`### ${escapeMarkdown([exp.title, exp.company].filter(Boolean).join(', '))}`);
+                if (exp.duration) lines.push(`*${escapeMarkdown(exp.duration)}*`);
+                lines.push('');
+                const bullets = descriptionLines(exp.description);
+                if (bullets.length) lines.push(...bullets.map(line => `- ${escapeMarkdown(line)}`), '');
+            });
+        }
+
+        if (content.education?.length) {
+            lines.push('## Education', '');
+            content.education.forEach(edu => {
+                const details = [edu.institution, edu.year, edu.gpa && `GPA: ${edu.gpa}`].filter(Boolean);
+                lines.push(`- **${escapeMarkdown(edu.degree)}**${details.length ? ` - ${details.map(escapeMarkdown).join(' | ')}` : ''}`);
+            });
+            lines.push('');
+        }
+
+        if (content.skills?.length) {
+            lines.push('## Skills', '', content.skills.map(escapeMarkdown).join(', '), '');
+        }
+
+        if (content.projects?.length) {
+            lines.push('## Projects', '');
+            content.projects.forEach(proj => {
+                const title = escapeMarkdown(proj.title);
+                lines.push(proj.link ? `### [${title}](<${proj.link}>)` : `### ${title}`, '');
+                if (proj.description) lines.push(escapeMarkdown(proj.description), '');
+            });
+        }
+
+        return lines.join('\n').trimEnd() + '\n';
+    }
+
+    static toJsonResume(resumeData, userInfo) {
+        const content = resumeData.content || {};
+        const basics = {
+            name: fullName(userInfo),
+            email: userInfo?.email || undefined,
+            phone: userInfo?.phone || undefined,
+            summary: resumeData.summary || undefined,
+            profiles: userInfo?.linkedin ? [{ network: 'LinkedIn', url: userInfo.linkedin }] : []
+        };
+
+        return {
+            $schema: JSON_RESUME_SCHEMA,
+            basics,
+            work: (content.experience || []).map(exp => {
+                const lines = descriptionLines(exp.description);
+                return {
+                    name: exp.company || undefined,
+                    position: exp.title || undefined,
+                    ...parseDuration(exp.duration),
+                    // A single paragraph reads as a summary, several lines as highlights
+                    summary: lines.length === 1 ? lines[0] : undefined,
+                    highlights: lines.length > 1 ? lines : []
+                };
+            }),
+            education: (content.education || []).map(edu => ({
+                institution: edu.institution || undefined,
+                studyType: edu.degree || undefined,
+                ...parseDuration(edu.year),
+                score: edu.gpa || undefined
+            })),
+            skills: (content.skills || []).map(name => ({ name })),
+            projects: (content.projects || []).map(proj => ({
+                name: proj.title || undefined,
+                description: proj.description || undefined,
+                url: proj.link || undefined
+            })),
+            meta: {
+                version: 'v1.0.0',
+                lastModified: resumeData.updatedAt || resumeData.createdAt || undefined
+            }
+        };
+    }
+
+    /**
+     * Map a JSON Resume document onto resume content and summary.
+     * Returns { content, summary, ignored } with the names of sections that
+     * have no counterpart here, or { error, status } for malformed input.
+     */
+    static fromJsonResume(json) {
+        if (!isPlainObject(json)) {
+            return { error: 'Expected a JSON Resume object', status: 400 };
+        }
+        if (json.basics !== undefined && !isPlainObject(json.basics)) {
+            return { error: 'basics must be an object', status: 400 };
+        }
+        for (const section of ['work', 'education', 'skills', 'projects']) {
+            if (json[section] === undefined) continue;
+            if (!Array.isArray(json[section]) || json[section].some(entry => !isPlainObject(entry))) {
+                return { error: `${section} must be an array of objects`, status: 400 };
+            }
+            if (json[section].length > MAX_IMPORT_ENTRIES) {
+                return { error: `${section} can have at most ${MAX_IMPORT_ENTRIES} entries`, status: 400 };
+            }
+        }
+
+        const experience = (json.work || []).map(work => ({
+            title: importText(work.position, 200),
+            company: importText(work.name, 200),
+            duration: formatDuration(work.startDate, work.endDate),
+            description: [
+                importText(work.summary),
+                ...importList(work.highlights).map(line => `• ${line}`)
+            ].filter(Boolean).join('\n')
+        })).filter(entry => entry.title || entry.company || entry.description);
+
+        const education = (json.education || []).map(edu => {
+            const studyType = importText(edu.studyType, 200);
+            const area = importText(edu.area, 200);
+            const start = formatDatePart(edu.startDate).slice(-4);
+            const end = formatDatePart(edu.endDate).slice(-4);
+            return {
+                degree: studyType && area ? `${studyType} in ${area}` : studyType || area,
+                institution: importText(edu.institution, 200),
+                year: start && end && start !== end ? `${start} - ${end}` : end || start,
+                gpa: importText(edu.score, 20)
+            };
+        }).filter(entry => entry.degree || entry.institution);
+
+        // Skill names and their keywords, deduplicated case-insensitively
+        const seen = new Set();
+        const skills = (json.skills || [])
+            .flatMap(skill => [importText(skill.name, 100), ...importList(skill.keywords).map(keyword => keyword.slice(0, 100))])
+            .filter(skill => {
+                const key = skill.toLowerCase();
+                if (!skill || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .slice(0, MAX_IMPORT_SKILLS);
+
+        const projects = (json.projects || []).map(proj => ({
+            title: importText(proj.name, 200),
+            description: [
+                importText(proj.description),
+                ...importList(proj.highlights).map(line => `• ${line}`)
+            ].filter(Boolean).join('\n'),
+            link: importText(proj.url, 500)
+        })).filter(entry => entry.title || entry.description);
+
+        const summary = importText(json.basics?.summary);
+
+        if (!experience.length && !education.length && !skills.length && !projects.length && !summary) {
+            return { error: 'The JSON Resume has no summary, work, education, skills or projects to import', status: 400 };
+        }
+
+        const ignored = Object.keys(json).filter(key => {
+            const value = json[key];
+            const empty = value === undefined || value === null ||
+                (Array.isArray(value) && !value.length) || (isPlainObject(value) && !Object.keys(value).length);
+            return !empty && !IMPORTED_SECTIONS.includes(key);
+        });
+
+        return {
+            content: { experience, education, skills, projects },
+            summary,
+            ignored
+        };
+    }
+
+    /**
+     * Build a DOCX document. DOCX is always single column so it stays
+     * editable and ATS-friendly; the template only picks fonts, heading
+     * color and heading names.
+     */
+    static toDocx(resumeData, userInfo, template = getTemplate()) {
+        const content = resumeData.content || {};
+        const font = template.fonts.regular.startsWith('Times') ? 'Times New Roman' : 'Arial';
+        const accent = template.colors.primary.replace('#', '');
+        const muted = template.colors.secondary.replace('#', '');
+
+        const run = (text, props = '') =>
+            `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+        const paragraph = (runs, { style, align, bullet } = {}) => {
+            const props = [
+                style ? `<w:pStyle w:val="${style}"/>` : '',
+                bullet ? '<w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr>' : '',
+                align && align !== 'left' ? `<w:jc w:val="${align}"/>` : ''
+            ].join('');
+            return `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ''}${runs}</w:p>`;
+        };
+        const italic = template.atsSafe ? '' : '<w:i/>';
+
+        const body = [
+            paragraph(run(fullName(userInfo)), { style: 'Title', align: template.headerAlign }),
+            paragraph(run([userInfo?.email, userInfo?.phone, userInfo?.linkedin].filter(Boolean).join(' | '), `<w:color w:val="${muted}"/>`), { align: template.headerAlign })
+        ];
+
+        if (resumeData.summary) {
+            body.push(paragraph(run(template.headings.summary), { style: 'Heading1' }));
+            body.push(...String(resumeData.summary).split('\n').filter(line => line.trim()).map(line => paragraph(run(line))));
+        }
+
+        if (content.experience?.length) {
+            body.push(paragraph(run(template.headings.experience), { style: 'Heading1' }));
+            content.experience.forEach(exp => {
+                body.push(paragraph(run([exp.title, exp.company].filter(Boolean).join(', ')), { style: 'Heading2' }));
+                if (exp.duration) body.push(paragraph(run(exp.duration, `${italic}<w:color w:val="${muted}"/>`)));
+                descriptionLines(exp.description).forEach(line => body.push(paragraph(run(line), { style: 'ListParagraph', bullet: true })));
+            });
+        }
+
+        if (content.education?.length) {
+            body.push(paragraph(run(template.headings.education), { style: 'Heading1' }));
+            content.education.forEach(edu => {
+                body.push(paragraph(run(edu.degree || edu.institution), { style: 'Heading2' }));
+                const details = [edu.degree && edu.institution, edu.year, edu.gpa && `GPA: ${edu.gpa}`].filter(Boolean);
+                if (details.length) body.push(paragraph(run(details.join(' | '))));
+            });
+        }
+
+        if (content.skills?.length) {
+            body.push(paragraph(run(template.headings.skills), { style: 'Heading1' }));
+            body.push(paragraph(run(content.skills.join(', '))));
+        }
+
+        if (content.projects?.length) {
+            body.push(paragraph(run(template.headings.projects), { style: 'Heading1' }));
+            content.projects.forEach(proj => {
+                body.push(paragraph(run(proj.title), { style: 'Heading2' }));
+                if (proj.link) body.push(paragraph(run(proj.link, `<w:color w:val="${muted}"/>`)));
+                descriptionLines(proj.description).forEach(line => body.push(paragraph(run(line))));
+            });
+        }
+
+        const document = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="${WORD_NS}"><w:body>${body.join('')}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1000" w:right="1000" w:bottom="1000" w:left="1000" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr></w:body></w:document>`;
+
+        const heading = (id, name, size, color, spacing) =>
+            `<w:style w:type="paragraph" w:styleId="${id}"><w:name w:val="${name}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="${spacing}" w:after="60"/>${id === 'Heading1' ? '<w:outlineLvl w:val="0"/>' : '<w:outlineLvl w:val="1"/>'}</w:pPr><w:rPr><w:b/><w:color w:val="${color}"/><w:sz w:val="${size}"/></w:rPr></w:style>`;
+
+        const styles = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="${WORD_NS}"><w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="${font}" w:hAnsi="${font}" w:cs="${font}" w:eastAsia="${font}"/><w:sz w:val="21"/><w:szCs w:val="21"/><w:lang w:val="en-US"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="80" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults><w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style><w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="60"/></w:pPr><w:rPr><w:b/><w:color w:val="${accent}"/><w:sz w:val="48"/></w:rPr></w:style>${heading('Heading1', 'heading 1', 28, accent, 240)}${heading('Heading2', 'heading 2', 23, template.colors.text.replace('#', ''), 120)}<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:ind w:left="720"/></w:pPr></w:style></w:styles>`;
+
+        const numbering = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="${WORD_NS}"><w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="singleLevel"/><w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="bullet"/><w:lvlText w:val="${template.bullet}"/><w:lvlJc w:val="left"/><w:pPr><w:ind w:left="720" w:hanging="360"/></w:pPr></w:lvl></w:abstractNum><w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num></w:numbering>`;
+
+        const now = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+        const core = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"><dc:title>${escapeXml(`${fullName(userInfo)} Resume`)}</dc:title><dc:creator>${escapeXml(fullName(userInfo))}</dc:creator><dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created></cp:coreProperties>`;
+
+        return createZip([
+            {
+                name: '[Content_Types].xml',
+                data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/><Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/><Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/><Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/></Types>`
+            },
+            {
+                name: '_rels/.rels',
+                data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/><Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/></Relationships>`
+            },
+            {
+                name: 'word/_rels/document.xml.rels',
+                data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/><Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/></Relationships>`
+            },
+            { name: 'word/document.xml', data: document },
+            { name: 'word/styles.xml', data: styles },
+            { name: 'word/numbering.xml', data: numbering },
+            { name: 'docProps/core.xml', data: core }
+        ]);
+    }
+}
+
+module.exports = ResumeExportService;
@@ -0,0 +1,509 @@
+const Alumni = require('../models/Alumni');
+const Resume = require('../models/Resume');
+const ResumeReview = require('../models/ResumeReview');
+const NotificationService = require('./notificationService');
+const ResumeVersionService = require('./resumeVersionService');
+const logger = require('../utils/logger');
+
+// Reviews a reviewer can have assigned or in progress at once
+const MAX_ACTIVE_REVIEWS = 5;
+const MAX_REVIEWERS = 3;
+// Queued resumes retried each time a reviewer frees up
+const QUEUE_BATCH = 20;
+
+const ENTRY_FIELDS = Resume.ENTRY_FIELDS;
+const ACTIVE = ResumeReview.ACTIVE_STATUSES;
+const FINISHED = ['submitted', 'completed'];
+
+const sameId = (a, b) => a?.toString() === b?.toString();
+
+/**
+ * Resume Review Service
+ * Multi-reviewer resume reviews: a request queue that assigns alumni
+ * reviewers by current load, inline comments and suggestions anchored to
+ * resume sections (content.experience[i].description, summary, ...), the
+ * review status lifecycle, and applying accepted suggestions as a new
+ * resume version.
+ */
+class ResumeReviewService {
+    /**
+     * Alumni (profile or legacy role) and admins review resumes
+     */
+    static async isReviewer(user) {
+        if (['alumni', 'admin'].includes(user.role)) return true;
+        return Boolean(await Alumni.exists({ user: user._id || user.id }));
+    }
+
+    /**
+     * Resolve a section anchor on the current resume. Returns the anchored
+     * value and whether a suggestion could replace it.
+     */
+    static resolveAnchor(resume, { section, index, field }) {
+        const content = resume.content || {};
+        const hasIndex = index !== undefined && index !== null;
+
+        if (section === 'summary') {
+            return { value: resume.summary || '', replaceable: true };
+        }
+
+        if (section === 'skills') {
+            const skills = content.skills || [];
+            if (!hasIndex) return { value: skills.join(', '), replaceable: true };
+            if (index >= skills.length) return { error: `skills[${index}] does not exist` };
+            return { value: skills[index], replaceable: true };
+        }
+
+        const entries = content[section];
+        if (!ENTRY_FIELDS[section]) return { error: `Unknown section: ${section}` };
+        if (!hasIndex) return { value: null, replaceable: false };
+        if (!entries || index >= entries.length) return { error: `${section}[${index}] does not exist` };
+        if (!field) return { value: null, replaceable: false };
+        if (!ENTRY_FIELDS[section].includes(field)) {
+            return { error: `${section} entries have no field "${field}"` };
+        }
+        return { value: entries[index][field] || '', replaceable: true };
+    }
+
+    static applyAnchor(resume, { section, index, field }, replacement) {
+        const hasIndex = index !== undefined && index !== null;
+
+        if (section === 'summary') {
+            resume.summary = replacement;
+        } else if (section === 'skills' && !hasIndex) {
+            resume.content.skills = replacement.split(',').map(skill => skill.trim()).filter(Boolean);
+        } else if (section === 'skills') {
+            resume.content.skills.set(index, replacement);
+        } else {
+            resume.content[section][index][field] = replacement;
+        }
+        resume.markModified('content');
+    }
+
+    /**
+     * Current load for each candidate reviewer
+     */
+    static async reviewerLoads(userIds) {
+        const rows = await ResumeReview.aggregate([
+            { $match: { reviewer: { $in: userIds }, status: { $in: ACTIVE } } },
+            { $group: { _id: '$reviewer', active: { $sum: 1 } } }
+        ]);
+        return new Map(rows.map(row => [row._id.toString(), row.active]));
+    }
+
+    /**
+     * Least-loaded eligible reviewers for a resume. Ties go to whoever
+     * was assigned least recently, so work spreads across the pool.
+     */
+    static async pickReviewers(resume, count) {
+        const previous = await ResumeReview.find({ resume: resume._id }).distinct('reviewer');
+        const excluded = [resume.student, ...previous].map(id => id.toString());
+
+        const candidates = (await Alumni.find().select('user').lean())
+            .map(profile => profile.user)
+            .filter(userId => userId && !excluded.includes(userId.toString()));
+        if (!candidates.length) return [];
+
+        const [loads, recent] = await Promise.all([
+            ResumeReviewService.reviewerLoads(candidates),
+            ResumeReview.aggregate([
+                { $match: { reviewer: { $in: candidates } } },
+                { $group: { _id: '$reviewer', lastAssignedAt: { $max: '$assignedAt' } } }
+            ])
+        ]);
+        const lastAssigned = new Map(recent.map(row => [row._id.toString(), row.lastAssignedAt.getTime()]));
+
+        return candidates
+            .map(userId => ({
+                userId,
+                load: loads.get(userId.toString()) || 0,
+                lastAssignedAt: lastAssigned.get(userId.toString()) || 0
+            }))
+            .filter(candidate => candidate.load < MAX_ACTIVE_REVIEWS)
+            .sort((a, b) => a.load - b.load || a.lastAssignedAt - b.lastAssignedAt)
+            .slice(0, count)
+            .map(candidate => candidate.userId);
+    }
+
+    /**
+     * Assign as many of the requested reviewers as there is capacity for.
+     * The remainder stays queued on resume.reviewRequest.
+     */
+    static async assignReviewers(resume) {
+        const needed = resume.reviewRequest?.reviewersNeeded || 0;
+        if (!needed) return [];
+
+        const reviewerIds = await ResumeReviewService.pickReviewers(resume, needed);
+
+        // Take slots one at a time, as claim does: a concurrent claim, decline
+        // or drain may have changed how many are still open since we read it
+        let taken = 0;
+        while (taken < reviewerIds.length && await ResumeReviewService.takeSlot(resume._id)) taken++;
+        if (!taken) return [];
+
+        let reviews;
+        try {
+            reviews = await ResumeReview.insertMany(reviewerIds.slice(0, taken).map(reviewer => ({
+                resume: resume._id,
+                reviewer,
+                student: resume.student,
+                resumeVersion: resume.version
+            })));
+        } catch (error) {
+            // Put the slots back so the request stays queued
+            await Resume.updateOne({ _id: resume._id }, { $inc: { 'reviewRequest.reviewersNeeded': taken } });
+            throw error;
+        }
+        await ResumeReviewService.clearFilledRequest(resume._id);
+
+        reviews.forEach(review => ResumeReviewService.notify(review.reviewer, resume.student, 'asked you to review their resume'));
+        return reviews;
+    }
+
+    /**
+     * Take one open reviewer slot
+     * @returns {Promise<boolean>} Whether a slot was taken
+     */
+    static async takeSlot(resumeId) {
+        const taken = await Resume.findOneAndUpdate(
+            { _id: resumeId, 'reviewRequest.reviewersNeeded': { $gt: 0 } },
+            { $inc: { 'reviewRequest.reviewersNeeded': -1 }, $set: { status: 'in_review' } }
+        );
+        return Boolean(taken);
+    }
+
+    // Drop the request once every slot is filled (but not one a decline has just re-opened)
+    static async clearFilledRequest(resumeId) {
+        await Resume.updateOne(
+            { _id: resumeId, 'reviewRequest.reviewersNeeded': { $lte: 0 } },
+            { $unset: { reviewRequest: 1 } }
+        );
+    }
+
+    /**
+     * Student asks for 1-3 reviewers
+     */
+    static async requestReview(resume, { reviewers = 1, note } = {}) {
+        if (resume.reviewRequest?.reviewersNeeded) {
+            return { error: 'This resume is already waiting for reviewers', status: 409 };
+        }
+
+        const active = await ResumeReview.countDocuments({ resume: resume._id, status: { $in: ACTIVE } });
+        const requested = Math.min(MAX_REVIEWERS, Math.max(1, parseInt(reviewers) || 1));
+        if (active + requested > MAX_REVIEWERS) {
+            return { error: `A resume can have at most ${MAX_REVIEWERS} reviewers at a time (${active} active)`, status: 400 };
+        }
+
+        resume.reviewRequest = { reviewersNeeded: requested, note, requestedAt: new Date() };
+        resume.status = 'submitted';
+        await resume.save();
+
+        const assigned = await ResumeReviewService.assignReviewers(resume);
+        await ResumeReviewService.syncResumeStatus(resume._id);
+        return {
+            resume: await Resume.findById(resume._id),
+            assigned: assigned.length,
+            queued: requested - assigned.length
+        };
+    }
+
+    /**
+     * Retry queued requests, oldest first, after reviewers free up
+     */
+    static async drainQueue() {
+        const queued = await Resume.find({ 'reviewRequest.reviewersNeeded': { $gt: 0 } })
+            .sort({ 'reviewRequest.requestedAt': 1 })
+            .limit(QUEUE_BATCH);
+
+        let assigned = 0;
+        for (const resume of queued) {
+            assigned += (await ResumeReviewService.assignReviewers(resume)).length;
+        }
+        return assigned;
+    }
+
+    static drainQueueInBackground() {
+        ResumeReviewService.drainQueue().catch(err => logger.error('Resume review queue drain failed:', err));
+    }
+
+    /**
+     * A reviewer picks a queued resume from the feed themselves
+     */
+    static async claim(resume, user) {
+        if (sameId(resume.student, user._id)) {
+            return { error: 'You cannot review your own resume', status: 400 };
+        }
+        if (!resume.reviewRequest?.reviewersNeeded) {
+            return { error: 'This resume is not waiting for reviewers', status: 400 };
+        }
+        if (await ResumeReview.exists({ resume: resume._id, reviewer: user._id })) {
+            return { error: 'You have already reviewed this resume', status: 409 };
+        }
+        const load = await ResumeReview.countDocuments({ reviewer: user._id, status: { $in: ACTIVE } });
+        if (load >= MAX_ACTIVE_REVIEWS) {
+            return { error: `You already have ${load} reviews in progress`, status: 400 };
+        }
+
+        // Take the slot atomically so two reviewers can't claim the last one
+        if (!(await ResumeReviewService.takeSlot(resume._id))) {
+            return { error: 'This resume is not waiting for reviewers', status: 400 };
+        }
+        await ResumeReviewService.clearFilledRequest(resume._id);
+
+        const review = await ResumeReview.create({
+            resume: resume._id,
+            reviewer: user._id,
+            student: resume.student,
+            resumeVersion: resume.version
+        });
+        ResumeReviewService.notify(resume.student, user._id, 'started reviewing your resume');
+        return { review };
+    }
+
+    /**
+     * Reviewer adds an inline comment or suggestion
+     */
+    static async addComment(review, resume, { section, index, field, body, kind = 'comment', replacement }) {
+        if (!ACTIVE.includes(review.status)) {
+            return { error: `Cannot comment on a ${review.status} review`, status: 400 };
+        }
+
+        const anchor = ResumeReviewService.resolveAnchor(resume, { section, index, field });
+        if (anchor.error) return { error: anchor.error, status: 400 };
+        if (kind === 'suggestion' && !anchor.replaceable) {
+            return { error: 'Suggestions must target a field, the summary or skills', status: 400 };
+        }
+
+        review.inlineComments.push({
+            section,
+            index,
+            field,
+            quote: anchor.value ?? undefined,
+            body,
+            kind,
+            replacement: kind === 'suggestion' ? replacement : undefined
+        });
+        review.status = 'in_progress';
+        review.resumeVersion = resume.version;
+        await review.save();
+
+        return { review, comment: review.inlineComments[review.inlineComments.length - 1] };
+    }
+
+    static async removeComment(review, commentId) {
+        if (!ACTIVE.includes(review.status)) {
+            return { error: 'Submitted reviews cannot be edited', status: 400 };
+        }
+        const comment = review.inlineComments.id(commentId);
+        if (!comment) return { error: 'Comment not found', status: 404 };
+
+        comment.deleteOne();
+        await review.save();
+        return { review };
+    }
+
+    /**
+     * Reviewer finishes: overall comments, rating and general suggestions
+     */
+    static async submit(review, { comments, rating, suggestions }) {
+        if (!ACTIVE.includes(review.status)) {
+            return { error: `Review is already ${review.status}`, status: 400 };
+        }
+
+        review.set({
+            comments,
+            rating,
+            suggestions: Array.isArray(suggestions) ? suggestions : review.suggestions,
+            status: 'submitted',
+            submittedAt: new Date()
+        });
+        if (!review.inlineComments.length) {
+            // Nothing for the student to act on
+            review.status = 'completed';
+            review.completedAt = review.submittedAt;
+        }
+        await review.save();
+
+        await ResumeReviewService.syncResumeStatus(review.resume);
+        ResumeReviewService.notify(review.student, review.reviewer, 'submitted a review of your resume');
+        ResumeReviewService.drainQueueInBackground();
+        return { review };
+    }
+
+    /**
+     * Reviewer hands the review back; the slot is re-queued for someone else
+     */
+    static async decline(review, reason) {
+        if (!ACTIVE.includes(review.status)) {
+            return { error: `Review is already ${review.status}`, status: 400 };
+        }
+
+        review.status = 'declined';
+        review.declineReason = reason;
+        await review.save();
+
+        const resume = await Resume.findByIdAndUpdate(
+            review.resume,
+            {
+                $inc: { 'reviewRequest.reviewersNeeded': 1 },
+                $min: { 'reviewRequest.requestedAt': new Date() }
+            },
+            { new: true }
+        );
+        if (resume) await ResumeReviewService.assignReviewers(resume);
+        await ResumeReviewService.syncResumeStatus(review.resume);
+
+        ResumeReviewService.notify(review.student, review.reviewer, 'could not review your resume; it has been passed to another reviewer');
+        ResumeReviewService.drainQueueInBackground();
+        return { review };
+    }
+
+    /**
+     * Student withdraws a review that hasn't been submitted
+     */
+    static async cancel(review) {
+        if (!ACTIVE.includes(review.status)) {
+            return { error: `Review is already ${review.status}`, status: 400 };
+        }
+
+        review.status = 'cancelled';
+        await review.save();
+        await ResumeReviewService.syncResumeStatus(review.resume);
+
+        ResumeReviewService.notify(review.reviewer, review.student, 'cancelled their resume review request');
+        ResumeReviewService.drainQueueInBackground();
+        return { review };
+    }
+
+    /**
+     * Student resolves, accepts, rejects or reopens an inline comment.
+     * The review completes once nothing is left open.
+     */
+    static async updateComment(review, commentId, action) {
+        if (!FINISHED.includes(review.status)) {
+            return { error: 'Comments can be addressed once the review is submitted', status: 400 };
+        }
+
+        const comment = review.inlineComments.id(commentId);
+        if (!comment) return { error: 'Comment not found', status: 404 };
+        if (comment.appliedInVersion) {
+            return { error: `This suggestion was already applied in version ${comment.appliedInVersion}`, status: 400 };
+        }
+        if (['accept', 'reject'].includes(action) && comment.kind !== 'suggestion') {
+            return { error: 'Only suggestions can be accepted or rejected', status: 400 };
+        }
+
+        const statuses = { resolve: 'resolved', accept: 'accepted', reject: 'rejected', reopen: 'open' };
+        comment.status = statuses[action];
+        comment.resolvedAt = action === 'reopen' ? undefined : new Date();
+
+        ResumeReviewService.updateCompletion(review);
+        await review.save();
+        return { review, comment };
+    }
+
+    static updateCompletion(review) {
+        const open = review.inlineComments.some(comment => comment.status === 'open');
+        if (!open && review.status === 'submitted') {
+            review.status = 'completed';
+            review.completedAt = new Date();
+        } else if (open && review.status === 'completed') {
+            review.status = 'submitted';
+            review.completedAt = undefined;
+        }
+    }
+
+    /**
+     * Apply every accepted, not yet applied suggestion as one new resume
+     * version. Suggestions whose anchored text has changed since the
+     * reviewer saw it are skipped and reported as conflicts.
+     */
+    static async applySuggestions(resume) {
+        const reviews = await ResumeReview.find({
+            resume: resume._id,
+            status: { $in: FINISHED },
+            inlineComments: { $elemMatch: { status: 'accepted', appliedInVersion: null } }
+        }).sort({ submittedAt: 1 });
+
+        const pending = reviews.flatMap(review => review.inlineComments
+            .filter(comment => comment.status === 'accepted' && !comment.appliedInVersion)
+            .map(comment => ({ review, comment })));
+        if (!pending.length) return { error: 'There are no accepted suggestions to apply', status: 400 };
+
+        const applied = [];
+        const conflicts = [];
+
+        for (const { review, comment } of pending) {
+            const anchor = ResumeReviewService.resolveAnchor(resume, comment);
+            if (anchor.error || (anchor.value || '') !== (comment.quote || '')) {
+                conflicts.push({ review: review._id, comment: comment._id, reason: anchor.error || 'The resume changed since this suggestion was made' });
+                continue;
+            }
+            ResumeReviewService.applyAnchor(resume, comment, comment.replacement);
+            applied.push({ review, comment });
+        }
+        if (!applied.length) return { error: 'No suggestions could be applied', status: 409, conflicts };
+
+        const reviewIds = [...new Set(applied.map(entry => entry.review._id.toString()))];
+        const saved = await ResumeVersionService.commit(resume, {
+            source: 'review',
+            userId: resume.student,
+            note: `Applied ${applied.length} review suggestion(s)`,
+            meta: { reviews: reviewIds }
+        });
+        if (saved.error) return saved;
+
+        for (const review of new Set(applied.map(entry => entry.review))) {
+            applied.filter(entry => entry.review === review).forEach(({ comment }) => { comment.appliedInVersion = resume.version; });
+            await review.save();
+        }
+
+        return {
+            resume,
+            version: resume.version,
+            applied: applied.map(({ review, comment }) => ({ review: review._id, comment: comment._id })),
+            conflicts
+        };
+    }
+
+    /**
+     * Flag comments whose anchored text no longer matches the resume
+     */
+    static withAnchorState(review, resume) {
+        const data = review.toObject();
+        data.inlineComments = data.inlineComments.map(comment => {
+            const anchor = ResumeReviewService.resolveAnchor(resume, comment);
+            const outdated = Boolean(anchor.error) || (anchor.replaceable && (anchor.value || '') !== (comment.quote || ''));
+            return { ...comment, outdated: !comment.appliedInVersion && outdated };
+        });
+        return data;
+    }
+
+    /**
+     * Resume status follows its reviews: in_review while any is active,
+     * reviewed once one has been submitted and none are active
+     */
+    static async syncResumeStatus(resumeId) {
+        const resume = await Resume.findById(resumeId).select('status reviewRequest');
+        if (!resume) return;
+
+        const [active, finished] = await Promise.all([
+            ResumeReview.exists({ resume: resumeId, status: { $in: ACTIVE } }),
+            ResumeReview.exists({ resume: resumeId, status: { $in: FINISHED } })
+        ]);
+
+        let status = resume.status;
+        if (active) status = 'in_review';
+        else if (resume.reviewRequest?.reviewersNeeded) status = 'submitted';
+        else if (finished) status = 'reviewed';
+
+        if (status !== resume.status) await Resume.updateOne({ _id: resumeId }, { $set: { status } });
+    }
+
+    static notify(recipient, sender, content) {
+        if (!recipient) return;
+        NotificationService.sendNotification({ recipient, sender, type: 'resume_review', content })
+            .catch(err => logger.error('Resume review notification failed:', err));
+    }
+}
+
+module.exports = ResumeReviewService;
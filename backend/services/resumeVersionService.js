@@ -0,0 +1,192 @@
+const Resume = require('../models/Resume');
+const ResumeVersion = require('../models/ResumeVersion');
+const logger = require('../utils/logger');
+
+const LIST_SECTIONS = Object.keys(Resume.ENTRY_FIELDS);
+
+const plainEntries = (entries, fields) => (entries || []).map(entry =>
+    Object.fromEntries(fields.map(field => [field, entry?.[field] ?? '']))
+);
+
+/**
+ * Resume Version Service
+ * Every content change is committed as an immutable ResumeVersion
+ * snapshot tagged with its source (manual edit, AI generate/enhance,
+ * job optimization, accepted review suggestions, rollback, import), so AI
+ * rewrites never lose hand-written text. Provides section-level diffs
+ * and rollback.
+ */
+class ResumeVersionService {
+    /**
+     * Plain snapshot of the versioned fields
+     */
+    static snapshotOf(resume) {
+        const content = resume.content || {};
+        return {
+            content: {
+                ...Object.fromEntries(LIST_SECTIONS.map(section => [
+                    section,
+                    plainEntries(content[section], Resume.ENTRY_FIELDS[section])
+                ])),
+                skills: [...(content.skills || [])]
+            },
+            summary: resume.summary || ''
+        };
+    }
+
+    /**
+     * Resumes saved before versioning have no history; snapshot their
+     * stored state first so the first tracked change can be rolled back.
+     */
+    static async ensureBaseline(resumeId) {
+        if (await ResumeVersion.exists({ resume: resumeId })) return;
+
+        const stored = await Resume.findById(resumeId).lean();
+        if (!stored) return;
+
+        try {
+            await ResumeVersion.create({
+                resume: stored._id,
+                student: stored.student,
+                version: stored.version || 1,
+                source: stored.aiGenerated ? 'ai_generate' : 'manual',
+                note: 'Version before history was tracked',
+                ...ResumeVersionService.snapshotOf(stored)
+            });
+        } catch (error) {
+            // A concurrent request created the baseline first
+            if (error.code !== 11000) throw error;
+        }
+    }
+
+    /**
+     * Save a resume whose content the caller has changed (or a new one)
+     * as the next version. The save only succeeds if nobody else committed
+     * a version in between; otherwise it resolves to a 409 result.
+     */
+    static async commit(resume, { source, userId, note, meta }) {
+        if (resume.isNew) {
+            resume.version = 1;
+        } else {
+            await ResumeVersionService.ensureBaseline(resume._id);
+            const previous = resume.version;
+            resume.version = previous + 1;
+            resume.$where = { version: previous };
+        }
+
+        try {
+            await resume.save();
+        } catch (error) {
+            if (error.name === 'DocumentNotFoundError') {
+                return { error: 'The resume was changed by another request. Reload and try again.', status: 409 };
+            }
+            throw error;
+        } finally {
+            resume.$where = undefined;
+        }
+
+        const version = await ResumeVersion.create({
+            resume: resume._id,
+            student: resume.student,
+            version: resume.version,
+            source,
+            note,
+            meta,
+            createdBy: userId,
+            ...ResumeVersionService.snapshotOf(resume)
+        });
+
+        logger.info(`Resume ${resume._id} saved as version ${resume.version} (${source})`);
+        return { resume, version };
+    }
+
+    /**
+     * Version metadata, newest first (content omitted)
+     */
+    static list(resumeId) {
+        return ResumeVersion.find({ resume: resumeId })
+            .select('-content -summary')
+            .populate('createdBy', 'username firstName lastName')
+            .sort({ version: -1 });
+    }
+
+    static find(resumeId, version) {
+        return ResumeVersion.findOne({ resume: resumeId, version });
+    }
+
+    /**
+     * Section-level diff between two snapshots. List sections are
+     * compared by position: entries are added, removed or modified (with
+     * the changed fields); skills are compared as a set.
+     */
+    static diff(from, to) {
+        const sections = {};
+
+        const before = from.summary || '';
+        const after = to.summary || '';
+        if (before !== after) sections.summary = { changed: true, from: before, to: after };
+
+        const oldSkills = from.content?.skills || [];
+        const newSkills = to.content?.skills || [];
+        const added = newSkills.filter(skill => !oldSkills.includes(skill));
+        const removed = oldSkills.filter(skill => !newSkills.includes(skill));
+        if (added.length || removed.length) sections.skills = { changed: true, added, removed };
+
+        LIST_SECTIONS.forEach(section => {
+            const fields = Resume.ENTRY_FIELDS[section];
+            const oldEntries = plainEntries(from.content?.[section], fields);
+            const newEntries = plainEntries(to.content?.[section], fields);
+            const changes = [];
+
+            for (let index = 0; index < Math.max(oldEntries.length, newEntries.length); index++) {
+                const oldEntry = oldEntries[index];
+                const newEntry = newEntries[index];
+
+                if (!oldEntry) {
+                    changes.push({ index, type: 'added', entry: newEntry });
+                } else if (!newEntry) {
+                    changes.push({ index, type: 'removed', entry: oldEntry });
+                } else {
+                    const fieldChanges = fields
+                        .filter(field => oldEntry[field] !== newEntry[field])
+                        .map(field => ({ field, from: oldEntry[field], to: newEntry[field] }));
+                    if (fieldChanges.length) changes.push({ index, type: 'modified', fields: fieldChanges });
+                }
+            }
+
+            if (changes.length) sections[section] = { changed: true, changes };
+        });
+
+        return {
+            from: from.version,
+            to: to.version,
+            changed: Object.keys(sections),
+            sections
+        };
+    }
+
+    /**
+     * Restore an earlier version's content as a new version; history is
+     * never rewritten
+     */
+    static async rollback(resume, versionNumber, userId) {
+        const target = await ResumeVersionService.find(resume._id, versionNumber);
+        if (!target) return { error: `Version ${versionNumber} not found`, status: 404 };
+        if (target.version === resume.version) {
+            return { error: 'That is already the current version', status: 400 };
+        }
+
+        const snapshot = ResumeVersionService.snapshotOf(target);
+        resume.content = snapshot.content;
+        resume.summary = snapshot.summary;
+
+        return ResumeVersionService.commit(resume, {
+            source: 'rollback',
+            userId,
+            note: `Restored version ${target.version}`,
+            meta: { restoredFrom: target.version }
+        });
+    }
+}
+
+module.exports = ResumeVersionService;
@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+const RUNTIMES = require('../config/sandboxRuntimes');
+const DockerSandbox = require('./dockerSandbox');
+const LocalSandbox = require('./localSandbox');
+const logger = require('../utils/logger');
+
+const TEMP_DIR = path.join(__dirname, '../temp/sandbox');
+
+// Ensure temp dir exists
+if (!fs.existsSync(TEMP_DIR)) {
+    fs.mkdirSync(TEMP_DIR, { recursive: true });
+}
+
+const BACKENDS = {
+    docker: DockerSandbox,
+    local: LocalSandbox
+};
+
+// Limits for free-form runs (editor "Run" button, project runs)
+const RUN_TIME_LIMIT_MS = 10000;
+const RUN_MEMORY_LIMIT_MB = 128;
+// Limits for the compile step of a judged run
+const COMPILE_TIME_LIMIT_MS = 15000;
+const COMPILE_MEMORY_LIMIT_MB = 512;
+// Output kept per stream
+const MAX_OUTPUT = 64 * 1024;
+
+/**
+ * Compare program output with the expected output, ignoring trailing
+ * whitespace on each line and trailing blank lines
+ */
+const normalizeOutput = (text) => String(text || '')
+    .replace(/\r\n/g, '\n')
+    .split('\n')
+    .map(line => line.trimEnd())
+    .join('\n')
+    .trimEnd();
+
+let selectedBackend = null;
+
+/**
+ * Sandbox - runs untrusted code on a pluggable backend.
+ *
+ * SANDBOX_BACKEND picks the backend: `docker`, `local`, or `auto` (the
+ * default) which uses Docker when the daemon answers and otherwise falls
+ * back to local processes outside production. Both backends share the
+ * RUNTIMES table and return the same result shape from `exec`.
+ */
+class Sandbox {
+    /**
+     * Resolve (once) which backend to use
+     */
+    static async getBackend() {
+        if (selectedBackend) return selectedBackend;
+
+        const requested = (process.env.SANDBOX_BACKEND || 'auto').toLowerCase();
+        if (BACKENDS[requested]) {
+            selectedBackend = BACKENDS[requested];
+        } else {
+            if (requested !== 'auto') {
+                logger.warn(`Unknown SANDBOX_BACKEND "${requested}", using auto detection`);
+            }
+
+            if (await DockerSandbox.isAvailable()) {
+                selectedBackend = DockerSandbox;
+            } else if (process.env.NODE_ENV !== 'production' && await LocalSandbox.isAvailable()) {
+                logger.warn('Docker is not reachable; running code with the local process sandbox');
+                selectedBackend = LocalSandbox;
+            } else {
+                // Fail per run rather than silently executing code on the host
+                selectedBackend = DockerSandbox;
+            }
+        }
+
+        logger.info(`Code sandbox backend: ${selectedBackend.backendName}`);
+        return selectedBackend;
+    }
+
+    static getRuntime(language) {
+        const runtime = RUNTIMES[language.toLowerCase()];
+        if (!runtime) {
+            throw new Error(`Language ${language} not supported in sandbox.`);
+        }
+        return runtime;
+    }
+
+    /**
+     * Create a fresh work directory, hand it to `fn` and always remove it
+     */
+    static async withWorkDir(fn) {
+        const workDir = fs.mkdtempSync(path.join(TEMP_DIR, 'run-'));
+        try {
+            return await fn(workDir);
+        } finally {
+            fs.rmSync(workDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Run a single source file
+     * @param {string} language
+     * @param {string} code
+     * @returns {Promise<{success: boolean, output: string, statusCode?: number, error?: string}>}
+     */
+    static async run(language, code) {
+        const runtime = this.getRuntime(language);
+
+        try {
+            return await this.withWorkDir(async (workDir) => {
+                fs.writeFileSync(path.join(workDir, runtime.filename), code);
+                return this.runForOutput(runtime, runtime.cmd, workDir);
+            });
+        } catch (error) {
+            logger.error('Sandbox Error:', error);
+            return {
+                success: false,
+                output: '',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Run a multi-file project. The tree is written to a temporary
+     * directory that becomes the program's working directory.
+     * @param {string} language - Runtime of the entry file
+     * @param {Array<{path: string, content: string}>} files - Paths relative to the project root
+     * @param {string} entryFile - Path of the file to execute
+     */
+    static async runProject(language, files, entryFile) {
+        const runtime = this.getRuntime(language);
+
+        try {
+            return await this.withWorkDir(async (workDir) => {
+                for (const file of files) {
+                    const target = path.resolve(workDir, file.path);
+                    if (!target.startsWith(workDir + path.sep)) {
+                        throw new Error(`Invalid file path: ${file.path}`);
+                    }
+                    fs.mkdirSync(path.dirname(target), { recursive: true });
+                    fs.writeFileSync(target, file.content);
+                }
+
+                return this.runForOutput(runtime, runtime.projectCmd(entryFile), workDir);
+            });
+        } catch (error) {
+            logger.error('Sandbox Error:', error);
+            return {
+                success: false,
+                output: '',
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Execute with the free-form run limits and fold the result into the
+     * { success, output, statusCode } shape the editor expects
+     */
+    static async runForOutput(runtime, cmd, workDir) {
+        const backend = await this.getBackend();
+        const result = await backend.exec(runtime, cmd, workDir, {
+            timeLimitMs: RUN_TIME_LIMIT_MS,
+            memoryLimitMb: RUN_MEMORY_LIMIT_MB,
+            outputLimit: MAX_OUTPUT
+        });
+
+        let output = result.stdout + result.stderr;
+        if (result.outputTruncated) output += '\n[Output truncated]';
+        if (result.timedOut) output += `\n[Time limit of ${RUN_TIME_LIMIT_MS / 1000}s exceeded]`;
+        if (result.oomKilled) output += `\n[Memory limit of ${RUN_MEMORY_LIMIT_MB}MB exceeded]`;
+
+        return {
+            success: result.exitCode === 0 && !result.timedOut,
+            output,
+            statusCode: result.exitCode
+        };
+    }
+
+    /**
+     * Judge a submission against test cases. The source is compiled (or
+     * syntax-checked) once, then run separately per test with that test's
+     * stdin, time limit and memory limit.
+     * @param {string} language
+     * @param {string} code
+     * @param {Array<{input: string, expectedOutput: string, timeLimitMs?: number, memoryLimitMb?: number}>} tests
+     * @param {object} limits - Defaults: { timeLimitMs, memoryLimitMb }
+     * @returns {Promise<{compiled: boolean, compileOutput: string, results: Array<object>}>}
+     *          Each result: { verdict: AC|WA|TLE|MLE|OLE|RE|CE, timeMs, exitCode, stdout, stderr }
+     */
+    static async judge(language, code, tests, { timeLimitMs = 2000, memoryLimitMb = 128 } = {}) {
+        const runtime = this.getRuntime(language);
+        const backend = await this.getBackend();
+
+        return this.withWorkDir(async (workDir) => {
+            fs.writeFileSync(path.join(workDir, runtime.filename), code);
+
+            const compile = await backend.exec(runtime, runtime.compileCmd, workDir, {
+                timeLimitMs: COMPILE_TIME_LIMIT_MS,
+                memoryLimitMb: COMPILE_MEMORY_LIMIT_MB,
+                outputLimit: MAX_OUTPUT
+            });
+            const compileOutput = compile.stderr || compile.stdout;
+
+            if (compile.timedOut || compile.exitCode !== 0) {
+                return {
+                    compiled: false,
+                    compileOutput: compile.timedOut ? 'Compilation timed out' : compileOutput,
+                    results: tests.map(() => ({ verdict: 'CE', timeMs: 0 }))
+                };
+            }
+
+            const results = [];
+            for (const test of tests) {
+                const run = await backend.exec(runtime, runtime.runCmd, workDir, {
+                    stdin: test.input,
+                    timeLimitMs: test.timeLimitMs || timeLimitMs,
+                    memoryLimitMb: test.memoryLimitMb || memoryLimitMb,
+                    outputLimit: MAX_OUTPUT
+                });
+                results.push({ verdict: this.verdictFor(run, test.expectedOutput), ...run });
+            }
+
+            return { compiled: true, compileOutput, results };
+        });
+    }
+
+    static verdictFor(run, expectedOutput) {
+        if (run.timedOut) return 'TLE';
+        if (run.oomKilled) return 'MLE';
+        // Output past the cap can't be compared, so it can't be accepted. Checked
+        // before the exit code: hitting the cap kills the process (exit 137).
+        if (run.outputTruncated) return 'OLE';
+        if (run.exitCode !== 0) return 'RE';
+        return normalizeOutput(run.stdout) === normalizeOutput(expectedOutput) ? 'AC' : 'WA';
+    }
+}
+
+Sandbox.RUNTIMES = RUNTIMES;
+
+module.exports = Sandbox;
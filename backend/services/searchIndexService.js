@@ -13,7 +13,8 @@ class SearchIndexService {
         this.indexes = {
             posts: this.client.index('posts'),
             users: this.client.index('users'),
-            products: this.client.index('products')
+            products: this.client.index('products'),
+            courses: this.client.index('courses')
         };
         this.initIndexes();
     }
@@ -35,6 +36,13 @@ class SearchIndexService {
                 sortableAttributes: ['followersCount']
             });
 
+            // Configure Course Index (published courses only)
+            await this.indexes.courses.updateSettings({
+                searchableAttributes: ['title', 'subtitle', 'tags', 'category', 'instructorName', 'lessonTitles', 'description'],
+                filterableAttributes: ['category', 'difficulty', 'tags', 'instructorId', 'isFree'],
+                sortableAttributes: ['createdAt', 'enrollmentCount', 'price']
+            });
+
             logger.info('MeiliSearch indexes initialized.');
         } catch (error) {
             logger.warn('MeiliSearch initialization warning (is server running?):', error.message);
@@ -43,7 +51,7 @@ class SearchIndexService {
 
     /**
      * Add or Update document
-     * @param {string} indexName - 'posts' | 'users'
+     * @param {string} indexName - 'posts' | 'users' | 'products' | 'courses'
      * @param {Object} data 
      */
     async upsertDocument(indexName, data) {
@@ -73,20 +81,48 @@ class SearchIndexService {
      */
     async searchGlobal(query, filters = {}) {
         try {
-            const [posts, users, products] = await Promise.all([
+            const [posts, users, products, courses] = await Promise.all([
                 this.indexes.posts.search(query, { limit: 5, filter: filters.posts }),
                 this.indexes.users.search(query, { limit: 5, filter: filters.users }),
-                this.indexes.products.search(query, { limit: 5 })
+                this.indexes.products.search(query, { limit: 5 }),
+                this.indexes.courses.search(query, { limit: 5, filter: filters.courses })
             ]);
 
             return {
                 posts: posts.hits,
                 users: users.hits,
-                products: products.hits
+                products: products.hits,
+                courses: courses.hits
             };
         } catch (error) {
             logger.error('Global Search Error:', error.message);
-            return { posts: [], users: [], products: [] }; // Fail safe
+            return { posts: [], users: [], products: [], courses: [] }; // Fail safe
+        }
+    }
+
+    /**
+     * Search the course catalog
+     * @param {string} query
+     * @param {Object} options - { filter, sort, limit, offset }
+     * @returns {Promise<{ids: string[], total: number}|null>} null when MeiliSearch is unavailable
+     */
+    async searchCourses(query, { filter, sort, limit = 20, offset = 0 } = {}) {
+        try {
+            const result = await this.indexes.courses.search(query, {
+                filter,
+                sort,
+                limit,
+                offset,
+                attributesToRetrieve: ['id']
+            });
+
+            return {
+                ids: result.hits.map(hit => hit.id),
+                total: result.estimatedTotalHits ?? result.hits.length
+            };
+        } catch (error) {
+            logger.error('Course Search Error:', error.message);
+            return null;
         }
     }
 }
@@ -0,0 +1,72 @@
+const LoopbackSfu = require('./loopbackSfu');
+const logger = require('../utils/logger');
+
+/**
+ * SFU adapter contract. Every method is async and takes the call room ID;
+ * peer IDs are socket IDs. Transport, RTP and DTLS payloads are opaque to
+ * the server and relayed between the client and the adapter unchanged.
+ *
+ * @typedef {Object} SfuAdapter
+ * @property {string} name
+ * @property {() => Promise<boolean>} isAvailable
+ * @property {(roomId) => Promise<{ rtpCapabilities }>} createRoom
+ * @property {(roomId) => Promise<void>} closeRoom
+ * @property {(roomId, peerId) => Promise<{ rtpCapabilities, transportOptions }>} join
+ * @property {(roomId, peerId, { transportId, dtlsParameters }) => Promise<void>} connect
+ * @property {(roomId, peerId, { kind, rtpParameters }) => Promise<{ producerId }>} produce
+ * @property {(roomId, peerId, { producerId, rtpCapabilities }) => Promise<Object>} consume
+ * @property {(roomId, producerId) => Promise<void>} pauseProducer
+ * @property {(roomId, producerId) => Promise<void>} resumeProducer
+ * @property {(roomId, peerId) => Promise<void>} leave
+ */
+
+const adapters = {
+    loopback: () => new LoopbackSfu()
+};
+
+let selectedAdapter;
+
+/**
+ * Sfu - the selective forwarding unit behind large /webrtc rooms.
+ *
+ * SFU_ADAPTER names the adapter. Unset (or `none`) keeps every room on
+ * peer-to-peer mesh, capped at the mesh size. `loopback` forwards no
+ * media and is meant for tests; media-server integrations register their
+ * own adapter factory with Sfu.register at startup.
+ */
+class Sfu {
+    static register(name, factory) {
+        adapters[name] = factory;
+        selectedAdapter = undefined;
+    }
+
+    /**
+     * Resolve (once) the configured adapter, or null when SFU mode is off
+     */
+    static getAdapter() {
+        if (selectedAdapter !== undefined) return selectedAdapter;
+
+        const requested = (process.env.SFU_ADAPTER || 'none').toLowerCase();
+        if (requested === 'none') {
+            selectedAdapter = null;
+        } else if (adapters[requested]) {
+            selectedAdapter = adapters[requested]();
+            logger.info(`WebRTC SFU adapter: ${selectedAdapter.name}`);
+        } else {
+            logger.warn(`Unknown SFU_ADAPTER "${requested}", large rooms stay on mesh`);
+            selectedAdapter = null;
+        }
+        return selectedAdapter;
+    }
+
+    static isEnabled() {
+        return !!Sfu.getAdapter();
+    }
+
+    // Tests swap adapters between cases
+    static reset() {
+        selectedAdapter = undefined;
+    }
+}
+
+module.exports = Sfu;
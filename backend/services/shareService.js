@@ -0,0 +1,176 @@
+const Post = require('../models/Post');
+const RecommendationEngine = require('./recommendationEngine');
+const PostPublishService = require('./postPublishService');
+const HashtagService = require('./hashtagService');
+const EventPublisher = require('../events/publisher');
+const logger = require('../utils/logger');
+
+const AUTHOR_FIELDS = 'username firstName lastName profilePicture';
+// How far GET /:postId/attribution follows quotes of quotes
+const MAX_CHAIN_DEPTH = 10;
+
+const idOf = (ref) => (ref?._id || ref).toString();
+
+/**
+ * Share Service
+ * Reposts and quote-posts. A repost of a repost shares the underlying
+ * post, since it adds nothing of its own; a quote keeps pointing at what
+ * it quoted, so quotes of quotes form an attribution chain. Shares are
+ * resolved when read: once the shared post is deleted or no longer
+ * visible to the reader, reposts drop out of the feed and quotes show a
+ * tombstone in its place.
+ */
+class ShareService {
+    /**
+     * The post a share of `postId` should point at, if it may be shared
+     */
+    static async resolveSource(postId) {
+        let source = await Post.findOne({ _id: postId, isDeleted: false });
+        if (source?.shareKind === 'repost') {
+            source = await Post.findOne({ _id: source.sharedPost, isDeleted: false });
+        }
+        if (!source) return { error: 'Post not found', status: 404 };
+
+        // Followers-only and private posts would reach a wider audience than intended
+        if (source.visibility !== 'public') {
+            return { error: 'Only public posts can be shared', status: 403 };
+        }
+        return { source };
+    }
+
+    static async share(userId, postId, { kind, content, visibility } = {}) {
+        const resolved = await ShareService.resolveSource(postId);
+        if (resolved.error) return resolved;
+        const { source } = resolved;
+
+        if (kind === 'repost' && source.user.toString() === userId.toString()) {
+            return { error: 'You cannot repost your own post', status: 400 };
+        }
+
+        const entities = kind === 'quote' ? await HashtagService.entities(content, [], userId) : {};
+
+        let post;
+        try {
+            post = await Post.create({
+                user: userId,
+                postType: 'shared',
+                shareKind: kind,
+                sharedPost: source._id,
+                content: kind === 'quote' ? content : undefined,
+                visibility: kind === 'quote' ? visibility : undefined,
+                tags: entities.tags,
+                mentions: entities.mentions,
+                publishedAt: new Date()
+            });
+        } catch (error) {
+            if (error.code === 11000) return { error: 'You have already reposted this post', status: 409 };
+            throw error;
+        }
+
+        // A quote is a post of its own: moderated, embedded and indexed
+        if (kind === 'quote') PostPublishService.afterPublish(post);
+
+        await Post.updateOne({ _id: source._id }, { $inc: { sharesCount: 1 } });
+        await RecommendationEngine.trackInteraction(userId, source._id, 'Post', 'SHARE');
+
+        if (source.user.toString() !== userId.toString()) {
+            EventPublisher.publish('POST_SHARED', {
+                targetUserId: source.user,
+                actorId: userId,
+                postId: source._id,
+                shareId: post._id,
+                kind,
+                text: kind === 'quote' ? post.content.substring(0, 100) : undefined
+            });
+        }
+
+        logger.info(`Post ${source._id} ${kind === 'quote' ? 'quoted' : 'reposted'} by ${userId}`);
+        return { post, source };
+    }
+
+    /**
+     * Undo a repost. `postId` may be the reposted post or the repost itself.
+     */
+    static async unrepost(userId, postId) {
+        const target = await Post.findById(postId).select('shareKind sharedPost user');
+        if (!target) return { error: 'Post not found', status: 404 };
+        const sourceId = target.shareKind === 'repost' && target.user.toString() === userId.toString()
+            ? target.sharedPost
+            : target._id;
+
+        const repost = await Post.findOneAndUpdate(
+            { user: userId, sharedPost: sourceId, shareKind: 'repost', isDeleted: false },
+            { $set: { isDeleted: true, deletedAt: new Date() } },
+            { new: true }
+        );
+        if (!repost) return { error: 'You have not reposted this post', status: 404 };
+
+        await Post.updateOne({ _id: sourceId, sharesCount: { $gt: 0 } }, { $inc: { sharesCount: -1 } });
+        return { repost };
+    }
+
+    /**
+     * Stand-in for a shared post the reader can no longer see
+     */
+    static tombstone(postId, reason) {
+        return { _id: postId, tombstone: true, reason };
+    }
+
+    /**
+     * The shared post as `viewerId` may see it, or a tombstone
+     */
+    static async present(source, sourceId, viewerId) {
+        if (!source || source.isDeleted) return ShareService.tombstone(sourceId, 'deleted');
+        if (!(await source.isVisibleTo(viewerId))) return ShareService.tombstone(sourceId, 'unavailable');
+        return source.toJSON();
+    }
+
+    /**
+     * Feed output for `posts`: shared posts are embedded with their author,
+     * quotes of unavailable posts carry a tombstone and reposts of them are
+     * left out
+     */
+    static async attachShared(posts, viewerId) {
+        const ids = [...new Set(posts.filter(post => post.sharedPost).map(post => idOf(post.sharedPost)))];
+        const sources = ids.length
+            ? await Post.find({ _id: { $in: ids } }).populate('user', AUTHOR_FIELDS)
+            : [];
+        const byId = new Map(sources.map(source => [source._id.toString(), source]));
+
+        const presented = new Map();
+        for (const id of ids) {
+            presented.set(id, await ShareService.present(byId.get(id), id, viewerId));
+        }
+
+        return posts.reduce((out, post) => {
+            const obj = typeof post.toJSON === 'function' ? post.toJSON() : { ...post };
+            if (obj.sharedPost) {
+                obj.sharedPost = presented.get(idOf(obj.sharedPost));
+                if (obj.shareKind === 'repost' && obj.sharedPost.tombstone) return out;
+            }
+            out.push(obj);
+            return out;
+        }, []);
+    }
+
+    /**
+     * Attribution chain of a share, from the post it shares back to the
+     * original. The chain stops at the first tombstone.
+     */
+    static async attribution(post, viewerId) {
+        const chain = [];
+        let sourceId = post.sharedPost;
+
+        while (sourceId && chain.length < MAX_CHAIN_DEPTH) {
+            const source = await Post.findById(sourceId).populate('user', AUTHOR_FIELDS);
+            const presented = await ShareService.present(source, sourceId, viewerId);
+            chain.push(presented);
+            if (presented.tombstone) break;
+            sourceId = source.sharedPost;
+        }
+
+        return chain;
+    }
+}
+
+module.exports = ShareService;
@@ -0,0 +1,103 @@
+const Story = require('../models/Story');
+const User = require('../models/User');
+const { isValidObjectId } = require('../utils/validators');
+
+const VIEWER_FIELDS = '_id blockedUsers';
+const OWNER_FIELDS = '_id username firstName lastName profilePicture followers blockedUsers settings.privacy';
+
+/**
+ * Story Service - visibility rules shared by the stories routes and
+ * story replies sent through the messages API.
+ */
+class StoryService {
+    static async loadViewer(userId) {
+        return User.findById(userId).select(VIEWER_FIELDS);
+    }
+
+    /**
+     * Fetch an active story together with its owner, or null if the story
+     * expired or the viewer is not allowed to see it
+     * @param {string} storyId
+     * @param {object} viewer - User document with _id and blockedUsers
+     */
+    static async getVisibleStory(storyId, viewer) {
+        if (!isValidObjectId(String(storyId)) || !viewer) return null;
+
+        const story = await Story.findById(storyId).active();
+        if (!story) return null;
+
+        const owner = await User.findOne({ _id: story.user, isDeleted: false }).select(OWNER_FIELDS);
+        if (!owner || !owner.canBeViewedBy(viewer)) return null;
+
+        return { story, owner };
+    }
+
+    /**
+     * Active stories from the viewer and everyone they follow, grouped per
+     * author (own stories first, then authors with unseen stories)
+     */
+    static async getFeed(viewerId) {
+        const viewer = await User.findById(viewerId).select('_id following blockedUsers');
+        if (!viewer) return [];
+
+        const owners = await User.find({
+            _id: { $in: [viewer._id, ...viewer.following] },
+            isDeleted: false
+        }).select(OWNER_FIELDS);
+
+        const visible = owners.filter(owner => owner.canBeViewedBy(viewer));
+        if (visible.length === 0) return [];
+
+        const stories = await Story.find({ user: { $in: visible.map(o => o._id) } })
+            .active()
+            .sort({ createdAt: 1 })
+            .select('-viewers.viewedAt');
+
+        const groups = visible
+            .map(owner => {
+                const own = stories.filter(s => s.user.toString() === owner._id.toString());
+                return {
+                    user: this.publicOwner(owner),
+                    stories: own.map(s => this.serialize(s, viewerId)),
+                    hasUnseen: own.some(s => !s.hasBeenViewedBy(viewerId)),
+                    latestAt: own.length ? own[own.length - 1].createdAt : null
+                };
+            })
+            .filter(group => group.stories.length > 0);
+
+        return groups.sort((a, b) => {
+            const aSelf = a.user._id.toString() === viewerId.toString();
+            const bSelf = b.user._id.toString() === viewerId.toString();
+            if (aSelf !== bSelf) return aSelf ? -1 : 1;
+            if (a.hasUnseen !== b.hasUnseen) return a.hasUnseen ? -1 : 1;
+            return b.latestAt - a.latestAt;
+        });
+    }
+
+    static publicOwner(owner) {
+        return {
+            _id: owner._id,
+            username: owner.username,
+            firstName: owner.firstName,
+            lastName: owner.lastName,
+            profilePicture: owner.profilePicture
+        };
+    }
+
+    /**
+     * Shape a story for API output. The viewer list is only exposed to the
+     * owner through the dedicated viewers endpoint.
+     */
+    static serialize(story, viewerId) {
+        const obj = story.toObject();
+        const isOwner = story.user.toString() === viewerId.toString();
+
+        obj.seen = isOwner || story.hasBeenViewedBy(viewerId);
+        delete obj.viewers;
+        if (!isOwner) delete obj.viewersCount;
+
+        return obj;
+    }
+}
+
+module.exports = StoryService;
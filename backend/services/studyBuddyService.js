@@ -0,0 +1,513 @@
+const mongoose = require('mongoose');
+const StudyBuddyProfile = require('../models/StudyBuddyProfile');
+const StudyMatch = require('../models/StudyMatch');
+const User = require('../models/User');
+const UserInterest = require('../models/UserInterest');
+const Enrollment = require('../models/Enrollment');
+const InteractionGraph = require('../models/InteractionGraph');
+const NotificationService = require('./notificationService');
+const logger = require('../utils/logger');
+
+const MINUTES_PER_WEEK = 7 * 24 * 60;
+// A weekly overlap of this many minutes counts as a perfect availability match
+const FULL_OVERLAP_MINUTES = 6 * 60;
+// Interaction weight (InteractionGraph + UserInterest affinity) that counts as a perfect affinity match
+const FULL_AFFINITY = 10;
+const MAX_CANDIDATES = 300;
+const TOP_INTEREST_TAGS = 20;
+
+// Share of the compatibility score per signal
+const WEIGHTS = {
+    courses: 30,
+    interests: 25,
+    availability: 25,
+    proximity: 10,
+    affinity: 10
+};
+
+/**
+ * Minutes a timezone is ahead of UTC at the given moment
+ */
+const timezoneOffsetMinutes = (timeZone, date = new Date()) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+    }).formatToParts(date);
+    const get = (type) => Number(parts.find(p => p.type === type).value);
+    const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'));
+    return Math.round((asUtc - date.getTime()) / 60000);
+};
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Availability windows as [start, end) minutes of a UTC week, split
+ * where a window wraps past Saturday midnight
+ */
+const weeklyUtcIntervals = (profile, now = new Date()) => {
+    const offset = timezoneOffsetMinutes(profile.timezone || 'UTC', now);
+
+    return (profile.availability || []).flatMap(slot => {
+        const start = (((slot.day * 1440 + toMinutes(slot.start) - offset) % MINUTES_PER_WEEK) + MINUTES_PER_WEEK) % MINUTES_PER_WEEK;
+        const end = start + (toMinutes(slot.end) - toMinutes(slot.start));
+        return end <= MINUTES_PER_WEEK
+            ? [[start, end]]
+            : [[start, MINUTES_PER_WEEK], [0, end - MINUTES_PER_WEEK]];
+    });
+};
+
+const overlapMinutes = (a, b) => {
+    let total = 0;
+    for (const [aStart, aEnd] of a) {
+        for (const [bStart, bEnd] of b) {
+            total += Math.max(0, Math.min(aEnd, bEnd) - Math.max(aStart, bStart));
+        }
+    }
+    return total;
+};
+
+/**
+ * Great-circle distance between two GeoJSON points
+ */
+const distanceKm = (a, b) => {
+    const [lng1, lat1] = a.coordinates;
+    const [lng2, lat2] = b.coordinates;
+    const rad = (deg) => deg * Math.PI / 180;
+    const h = Math.sin(rad(lat2 - lat1) / 2) ** 2
+        + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lng2 - lng1) / 2) ** 2;
+    return 2 * 6371 * Math.asin(Math.sqrt(h));
+};
+
+const hasLocation = (user) => Array.isArray(user?.lastLocation?.coordinates) && user.lastLocation.coordinates.length === 2;
+
+const overlapCoefficient = (shared, a, b) => {
+    const smaller = Math.min(a, b);
+    return smaller ? shared / smaller : 0;
+};
+
+const formatHours = (minutes) => {
+    const hours = Math.round((minutes / 60) * 10) / 10;
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+};
+
+/**
+ * Study Buddy Service - suggests study partners from shared courses,
+ * interests, overlapping availability, proximity and prior interaction,
+ * and runs the mutual opt-in flow that turns a suggestion into a match.
+ */
+class StudyBuddyService {
+    /**
+     * Everything about one student that scoring needs
+     */
+    static async loadContext(userId) {
+        const [profile, user, interest, courseIds] = await Promise.all([
+            StudyBuddyProfile.findOne({ user: userId }).lean(),
+            User.findById(userId).select('lastLocation blockedUsers').lean(),
+            UserInterest.findOne({ user: userId }).lean(),
+            Enrollment.find({ user: userId, status: { $ne: 'dropped' } }).distinct('course')
+        ]);
+
+        return {
+            userId: userId.toString(),
+            profile,
+            user,
+            tags: this.interestTags(profile, interest),
+            courseIds: courseIds.map(String),
+            affinities: interest?.userAffinities || {}
+        };
+    }
+
+    /**
+     * Declared subjects plus the strongest tags from UserInterest, lowercased
+     */
+    static interestTags(profile, interest) {
+        const weights = Object.entries(interest?.tagWeights || {})
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, TOP_INTEREST_TAGS)
+            .map(([tag]) => tag.toLowerCase());
+
+        return new Set([...(profile?.subjects || []), ...weights]);
+    }
+
+    /**
+     * Users worth scoring: those sharing a subject or course, nearby, or
+     * already connected in the interaction graph. Falls back to recently
+     * active profiles when none of those turn anything up.
+     */
+    static async candidateIds(ctx, excluded) {
+        const exclude = [...excluded];
+        const ids = new Set();
+
+        const [bySubject, byCourse, byGraph] = await Promise.all([
+            ctx.profile.subjects.length
+                ? StudyBuddyProfile.find({ isActive: true, user: { $nin: exclude }, subjects: { $in: ctx.profile.subjects } })
+                    .select('user').limit(MAX_CANDIDATES).lean()
+                : [],
+            ctx.courseIds.length
+                ? Enrollment.aggregate([
+                    { $match: { course: { $in: ctx.courseIds.map(id => new mongoose.Types.ObjectId(id)) }, status: { $ne: 'dropped' } } },
+                    { $group: { _id: '$user' } },
+                    { $limit: MAX_CANDIDATES }
+                ])
+                : [],
+            InteractionGraph.find({
+                targetModel: 'User',
+                $or: [{ source: ctx.userId }, { target: ctx.userId }]
+            }).select('source target').limit(MAX_CANDIDATES).lean()
+        ]);
+
+        bySubject.forEach(p => ids.add(p.user.toString()));
+        byCourse.forEach(e => ids.add(e._id.toString()));
+        byGraph.forEach(edge => ids.add(edge.source.toString() === ctx.userId ? edge.target.toString() : edge.source.toString()));
+
+        if (ctx.profile.mode !== 'online' && hasLocation(ctx.user)) {
+            const nearby = await User.find({
+                lastLocation: {
+                    $near: {
+                        $geometry: { type: 'Point', coordinates: ctx.user.lastLocation.coordinates },
+                        $maxDistance: ctx.profile.maxDistanceKm * 1000
+                    }
+                },
+                isActive: true,
+                isDeleted: false
+            }).select('_id').limit(100).lean();
+            nearby.forEach(u => ids.add(u._id.toString()));
+        }
+
+        exclude.forEach(id => ids.delete(id));
+
+        if (ids.size === 0) {
+            const recent = await StudyBuddyProfile.find({ isActive: true, user: { $nin: exclude } })
+                .select('user').sort({ updatedAt: -1 }).limit(100).lean();
+            recent.forEach(p => ids.add(p.user.toString()));
+        }
+
+        return [...ids].slice(0, MAX_CANDIDATES);
+    }
+
+    /**
+     * Ranked suggestions for a student who has opted in
+     * @returns {Promise<Array<{user, compatibilityScore, breakdown, reasons, sharedInterests, sharedCourses}>>}
+     */
+    static async getSuggestions(userId, limit = 10) {
+        const ctx = await this.loadContext(userId);
+        if (!ctx.profile || !ctx.profile.isActive) return null;
+
+        const existing = await StudyMatch.find({ users: userId }).select('users').lean();
+        const excluded = new Set([
+            ctx.userId,
+            ...(ctx.user?.blockedUsers || []).map(String),
+            ...existing.flatMap(m => m.users.map(String))
+        ]);
+
+        const ids = await this.candidateIds(ctx, excluded);
+        if (!ids.length) return [];
+
+        const [profiles, users, interests, enrollments, edges] = await Promise.all([
+            StudyBuddyProfile.find({ user: { $in: ids }, isActive: true }).lean(),
+            User.find({ _id: { $in: ids }, isActive: true, isDeleted: false, blockedUsers: { $ne: userId } })
+                .select('username firstName lastName profilePicture bio lastLocation').lean(),
+            UserInterest.find({ user: { $in: ids } }).select('user tagWeights userAffinities').lean(),
+            Enrollment.find({ user: { $in: ids }, course: { $in: ctx.courseIds }, status: { $ne: 'dropped' } })
+                .select('user course').populate('course', 'title').lean(),
+            InteractionGraph.find({
+                targetModel: 'User',
+                $or: [
+                    { source: userId, target: { $in: ids } },
+                    { source: { $in: ids }, target: userId }
+                ]
+            }).select('source target weight').lean()
+        ]);
+
+        const usersById = new Map(users.map(u => [u._id.toString(), u]));
+        const interestsById = new Map(interests.map(i => [i.user.toString(), i]));
+        const coursesById = new Map();
+        enrollments.forEach(e => {
+            if (!e.course) return;
+            const key = e.user.toString();
+            if (!coursesById.has(key)) coursesById.set(key, []);
+            coursesById.get(key).push(e.course);
+        });
+        const graphById = new Map();
+        edges.forEach(edge => {
+            const other = edge.source.toString() === ctx.userId ? edge.target.toString() : edge.source.toString();
+            graphById.set(other, (graphById.get(other) || 0) + (edge.weight || 1));
+        });
+
+        const now = new Date();
+        const myIntervals = weeklyUtcIntervals(ctx.profile, now);
+
+        const suggestions = profiles
+            .filter(p => usersById.has(p.user.toString()))
+            .map(profile => {
+                const id = profile.user.toString();
+                const interest = interestsById.get(id);
+                const theirAffinity = interest?.userAffinities?.[ctx.userId] || 0;
+
+                return this.scoreCandidate(ctx, myIntervals, {
+                    profile,
+                    user: usersById.get(id),
+                    tags: this.interestTags(profile, interest),
+                    sharedCourses: coursesById.get(id) || [],
+                    affinity: (graphById.get(id) || 0) + (ctx.affinities[id] || 0) + theirAffinity,
+                    intervals: weeklyUtcIntervals(profile, now)
+                });
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.compatibilityScore - a.compatibilityScore);
+
+        return suggestions.slice(0, limit);
+    }
+
+    /**
+     * Compatibility (0-100) of one candidate with a human-readable reason
+     * for every signal that contributed. Returns null for pairs that can't
+     * meet (in-person vs online only, or too far apart for in-person).
+     */
+    static scoreCandidate(ctx, myIntervals, candidate) {
+        const mine = ctx.profile;
+        const theirs = candidate.profile;
+
+        if ((mine.mode === 'online' && theirs.mode === 'in_person') || (mine.mode === 'in_person' && theirs.mode === 'online')) {
+            return null;
+        }
+
+        const breakdown = {};
+        const reasons = [];
+        const applicable = { ...WEIGHTS };
+
+        // Shared courses
+        const sharedCourses = candidate.sharedCourses;
+        breakdown.courses = ctx.courseIds.length ? Math.min(1, sharedCourses.length / Math.min(ctx.courseIds.length, 3)) : 0;
+        if (sharedCourses.length) {
+            reasons.push(`Enrolled in ${sharedCourses.length === 1 ? 'the same course' : `${sharedCourses.length} of the same courses`}: ${sharedCourses.map(c => c.title).join(', ')}`);
+        }
+
+        // Interests and subjects
+        const sharedInterests = [...ctx.tags].filter(tag => candidate.tags.has(tag));
+        breakdown.interests = Math.min(1, overlapCoefficient(sharedInterests.length, ctx.tags.size, candidate.tags.size));
+        if (sharedInterests.length) {
+            reasons.push(`Shares interest in ${sharedInterests.slice(0, 5).join(', ')}`);
+        }
+
+        // Availability
+        const overlap = overlapMinutes(myIntervals, candidate.intervals);
+        breakdown.availability = Math.min(1, overlap / FULL_OVERLAP_MINUTES);
+        if (overlap > 0) {
+            reasons.push(`Both free for ${formatHours(overlap)} a week`);
+        }
+
+        // Proximity only matters if either wants to meet in person
+        let distance = null;
+        const inPerson = mine.mode !== 'online' && theirs.mode !== 'online';
+        if (inPerson && hasLocation(ctx.user) && hasLocation(candidate.user)) {
+            distance = distanceKm(ctx.user.lastLocation, candidate.user.lastLocation);
+            const reach = Math.min(mine.maxDistanceKm, theirs.maxDistanceKm);
+            if ((mine.mode === 'in_person' || theirs.mode === 'in_person') && distance > reach) return null;
+
+            breakdown.proximity = Math.max(0, 1 - distance / reach);
+            if (breakdown.proximity > 0) reasons.push(`About ${Math.max(1, Math.round(distance))} km away`);
+        } else if (mine.mode === 'in_person' || theirs.mode === 'in_person') {
+            // In-person only, but no way to tell how far apart they are
+            return null;
+        } else {
+            delete applicable.proximity;
+        }
+
+        // Prior interaction
+        breakdown.affinity = Math.min(1, candidate.affinity / FULL_AFFINITY);
+        if (candidate.affinity > 0) reasons.push('You have interacted before');
+
+        if (mine.major && theirs.major && mine.major.toLowerCase() === theirs.major.toLowerCase()) {
+            reasons.push(`Same major: ${theirs.major}`);
+        }
+        if (mine.studyStyle === theirs.studyStyle && mine.studyStyle !== 'mixed') {
+            reasons.push(`Both prefer ${mine.studyStyle === 'quiet' ? 'quiet study' : 'discussion'}`);
+        }
+
+        const totalWeight = Object.values(applicable).reduce((sum, w) => sum + w, 0);
+        const weighted = Object.entries(applicable).reduce((sum, [key, w]) => sum + w * (breakdown[key] || 0), 0);
+        const compatibilityScore = Math.round((weighted / totalWeight) * 100);
+        if (compatibilityScore === 0) return null;
+
+        return {
+            user: {
+                _id: candidate.user._id,
+                username: candidate.user.username,
+                firstName: candidate.user.firstName,
+                lastName: candidate.user.lastName,
+                profilePicture: candidate.user.profilePicture,
+                bio: candidate.user.bio
+            },
+            major: theirs.major,
+            subjects: theirs.subjects,
+            studyStyle: theirs.studyStyle,
+            mode: theirs.mode,
+            compatibilityScore,
+            breakdown: Object.fromEntries(Object.entries(breakdown).map(([k, v]) => [k, Math.round(v * 100)])),
+            reasons,
+            sharedInterests,
+            sharedCourses: sharedCourses.map(c => ({ _id: c._id, title: c.title })),
+            overlapMinutesPerWeek: overlap,
+            distanceKm: distance === null ? null : Math.round(distance * 10) / 10
+        };
+    }
+
+    /* ---------- Mutual opt-in ---------- */
+
+    /**
+     * Accept a suggested buddy. If they already accepted the caller, the
+     * match becomes a connection; otherwise it waits for their answer.
+     * @returns {Promise<{match, connected}|{error: string, status: number}>}
+     */
+    static async requestMatch(userId, targetId) {
+        if (userId === targetId) return { error: 'You cannot match with yourself', status: 400 };
+
+        const [mine, theirs, target, me] = await Promise.all([
+            StudyBuddyProfile.findOne({ user: userId, isActive: true }).lean(),
+            StudyBuddyProfile.findOne({ user: targetId, isActive: true }).lean(),
+            User.findById(targetId).select('blockedUsers isActive isDeleted').lean(),
+            User.findById(userId).select('blockedUsers username').lean()
+        ]);
+        if (!mine) return { error: 'Turn on study-buddy matching first', status: 400 };
+        if (!theirs || !target || !target.isActive || target.isDeleted) {
+            return { error: 'This student is not looking for study buddies', status: 404 };
+        }
+        const blocked = (target.blockedUsers || []).some(id => id.toString() === userId)
+            || (me.blockedUsers || []).some(id => id.toString() === targetId);
+        if (blocked) return { error: 'This student is not looking for study buddies', status: 404 };
+
+        const pairKey = StudyMatch.pairKeyFor(userId, targetId);
+        const existing = await StudyMatch.findOne({ pairKey });
+
+        if (existing) {
+            if (existing.status === 'accepted') return { error: 'Already study buddies', status: 409 };
+            if (existing.status === 'declined') return { error: 'This student is not looking for study buddies', status: 404 };
+            if (existing.status === 'pending') {
+                if (existing.requestedBy.toString() === userId) return { error: 'Request already sent', status: 409 };
+                return this.respond(existing, userId, true);
+            }
+        }
+
+        // Snapshot why they were suggested, for the other side to see
+        const suggestion = await this.explainPair(userId, targetId);
+
+        const fields = {
+            users: [userId, targetId].sort(),
+            pairKey,
+            requestedBy: userId,
+            acceptedBy: [userId],
+            status: 'pending',
+            score: suggestion?.compatibilityScore,
+            reasons: suggestion?.reasons || [],
+            respondedAt: undefined,
+            endedBy: undefined
+        };
+
+        let match;
+        if (existing) {
+            // A previously ended match can be proposed again
+            existing.set(fields);
+            match = await existing.save();
+        } else {
+            match = await StudyMatch.create(fields);
+        }
+
+        this.notify(targetId, userId, `${me.username} wants to be your study buddy`);
+        return { match, connected: false };
+    }
+
+    /**
+     * Score one specific pair (used to snapshot a match's explanation)
+     */
+    static async explainPair(userId, targetId) {
+        try {
+            const ctx = await this.loadContext(userId);
+            const [profile, user, interest, shared, edges] = await Promise.all([
+                StudyBuddyProfile.findOne({ user: targetId }).lean(),
+                User.findById(targetId).select('username firstName lastName profilePicture bio lastLocation').lean(),
+                UserInterest.findOne({ user: targetId }).lean(),
+                Enrollment.find({ user: targetId, course: { $in: ctx.courseIds }, status: { $ne: 'dropped' } })
+                    .populate('course', 'title').lean(),
+                InteractionGraph.find({
+                    targetModel: 'User',
+                    $or: [{ source: userId, target: targetId }, { source: targetId, target: userId }]
+                }).select('weight').lean()
+            ]);
+            if (!ctx.profile || !profile || !user) return null;
+
+            return this.scoreCandidate(ctx, weeklyUtcIntervals(ctx.profile), {
+                profile,
+                user,
+                tags: this.interestTags(profile, interest),
+                sharedCourses: shared.map(e => e.course).filter(Boolean),
+                affinity: edges.reduce((sum, e) => sum + (e.weight || 1), 0)
+                    + (ctx.affinities[targetId] || 0)
+                    + (interest?.userAffinities?.[userId] || 0),
+                intervals: weeklyUtcIntervals(profile)
+            });
+        } catch (error) {
+            logger.warn('Study buddy explanation failed:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Accept or decline a pending request addressed to the caller
+     */
+    static async respond(match, userId, accept) {
+        if (!match.users.some(id => id.toString() === userId)) return { error: 'Match not found', status: 404 };
+        if (match.status !== 'pending') return { error: 'This request is no longer pending', status: 400 };
+        if (match.requestedBy.toString() === userId) return { error: 'Waiting for the other student', status: 400 };
+
+        const updated = await StudyMatch.findOneAndUpdate(
+            { _id: match._id, status: 'pending' },
+            accept
+                ? { $set: { status: 'accepted', respondedAt: new Date() }, $addToSet: { acceptedBy: userId } }
+                : { $set: { status: 'declined', respondedAt: new Date() } },
+            { new: true }
+        );
+        if (!updated) return { error: 'This request is no longer pending', status: 400 };
+
+        if (accept) {
+            const me = await User.findById(userId).select('username').lean();
+            this.notify(match.requestedBy, userId, `${me?.username || 'Someone'} accepted your study buddy request`);
+        }
+
+        return { match: updated, connected: accept };
+    }
+
+    /**
+     * Withdraw a pending request or end an existing connection
+     */
+    static async endMatch(match, userId) {
+        if (!match.users.some(id => id.toString() === userId)) return { error: 'Match not found', status: 404 };
+
+        const canEnd = match.status === 'accepted'
+            || (match.status === 'pending' && match.requestedBy.toString() === userId);
+        if (!canEnd) return { error: 'Nothing to end', status: 400 };
+
+        match.status = 'ended';
+        match.endedBy = userId;
+        await match.save();
+        return { match };
+    }
+
+    static notify(recipient, sender, content) {
+        NotificationService.sendNotification({ recipient, sender, type: 'study_buddy', content })
+            .catch(err => logger.error('Study buddy notification failed:', err));
+    }
+}
+
+StudyBuddyService.weeklyUtcIntervals = weeklyUtcIntervals;
+StudyBuddyService.overlapMinutes = overlapMinutes;
+
+module.exports = StudyBuddyService;
@@ -0,0 +1,333 @@
+const StudyRoom = require('../models/StudyRoom');
+const StudyAttendance = require('../models/StudyAttendance');
+const NotificationService = require('./notificationService');
+const logger = require('../utils/logger');
+
+// Members may join this long before a session starts and still count toward it
+const EARLY_JOIN_MS = 10 * 60 * 1000;
+const MAX_REPEAT_WEEKS = 12;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const PHASE_SETTINGS = {
+    focus: 'focusMinutes',
+    short_break: 'shortBreakMinutes',
+    long_break: 'longBreakMinutes'
+};
+
+const emailDomain = (email) => (email || '').split('@')[1]?.toLowerCase() || null;
+
+const csvCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Study Room Service
+ * Access policy, session scheduling, the server-authoritative Pomodoro
+ * timer and per-session attendance for persistent study rooms.
+ */
+class StudyRoomService {
+    static emailDomain(email) {
+        return emailDomain(email);
+    }
+
+    /**
+     * Whether a user ({ _id, email }) may see and join a room
+     */
+    static canAccess(room, user) {
+        const userId = user._id.toString();
+        if (room.owner.toString() === userId) return true;
+        if (room.isArchived) return false;
+        if (room.invitees.some(id => id.toString() === userId)) return true;
+        if (room.visibility === 'public') return true;
+        return room.visibility === 'campus' && emailDomain(user.email) === room.campusDomain;
+    }
+
+    /**
+     * Query for every room the user can see
+     */
+    static accessFilter(user) {
+        const visible = [
+            { visibility: 'public' },
+            { invitees: user._id }
+        ];
+        const domain = emailDomain(user.email);
+        if (domain) visible.push({ visibility: 'campus', campusDomain: domain });
+
+        return {
+            $or: [
+                { owner: user._id },
+                { isArchived: false, $or: visible }
+            ]
+        };
+    }
+
+    static isHost(room, userId) {
+        return room.owner.toString() === userId.toString();
+    }
+
+    /**
+     * The scheduled session a join at `now` belongs to, if any
+     */
+    static activeSession(room, now = new Date()) {
+        return room.sessions.find(session =>
+            session.status === 'scheduled' &&
+            session.startsAt.getTime() - EARLY_JOIN_MS <= now.getTime() &&
+            now < session.endsAt
+        ) || null;
+    }
+
+    /**
+     * Expand { title, startsAt, endsAt, repeatWeeks } into session entries
+     */
+    static buildSessions({ title, startsAt, endsAt, repeatWeeks = 0 }) {
+        const start = new Date(startsAt);
+        const end = new Date(endsAt);
+        const repeats = Math.min(MAX_REPEAT_WEEKS, Math.max(0, parseInt(repeatWeeks) || 0));
+
+        return Array.from({ length: repeats + 1 }, (_, week) => ({
+            title,
+            startsAt: new Date(start.getTime() + week * WEEK_MS),
+            endsAt: new Date(end.getTime() + week * WEEK_MS)
+        }));
+    }
+
+    static async invite(room, userIds, inviterId) {
+        const existing = new Set(room.invitees.map(id => id.toString()));
+        const added = [...new Set(userIds.map(String))]
+            .filter(id => !existing.has(id) && id !== room.owner.toString());
+
+        if (added.length) {
+            room.invitees.push(...added);
+            await room.save();
+            added.forEach(recipient => StudyRoomService.notify(
+                recipient, inviterId, `invited you to the study room "${room.name}"`
+            ));
+        }
+        return added;
+    }
+
+    // ---------------------------------------------------------------
+    // Pomodoro timer
+    // ---------------------------------------------------------------
+
+    static phaseMs(settings, phase) {
+        return settings[PHASE_SETTINGS[phase]] * 60 * 1000;
+    }
+
+    static nextPhase(settings, { phase, cycle }) {
+        if (phase !== 'focus') return { phase: 'focus', cycle: cycle + 1 };
+        return {
+            phase: cycle % settings.cyclesBeforeLongBreak === 0 ? 'long_break' : 'short_break',
+            cycle
+        };
+    }
+
+    /**
+     * Roll a running timer forward past every phase that has already
+     * ended. Returns true if the phase changed.
+     */
+    static advanceTimer(room, now = new Date()) {
+        const timer = room.timer;
+        if (timer.status !== 'running' || !timer.phaseEndsAt) return false;
+
+        let changed = false;
+        let endsAt = timer.phaseEndsAt.getTime();
+        while (endsAt <= now.getTime()) {
+            Object.assign(timer, StudyRoomService.nextPhase(room.pomodoro, timer));
+            endsAt += StudyRoomService.phaseMs(room.pomodoro, timer.phase);
+            changed = true;
+        }
+        timer.phaseEndsAt = new Date(endsAt);
+        return changed;
+    }
+
+    /**
+     * Apply start | pause | reset | skip to the room's timer in place
+     */
+    static applyTimerAction(room, action, now = new Date()) {
+        const timer = room.timer;
+        StudyRoomService.advanceTimer(room, now);
+
+        switch (action) {
+            case 'start':
+                if (timer.status === 'running') return { error: 'Timer is already running' };
+                timer.phaseEndsAt = new Date(now.getTime() + (timer.status === 'paused'
+                    ? timer.remainingMs
+                    : StudyRoomService.phaseMs(room.pomodoro, timer.phase)));
+                timer.remainingMs = undefined;
+                timer.status = 'running';
+                break;
+            case 'pause':
+                if (timer.status !== 'running') return { error: 'Timer is not running' };
+                timer.remainingMs = Math.max(0, timer.phaseEndsAt.getTime() - now.getTime());
+                timer.phaseEndsAt = undefined;
+                timer.status = 'paused';
+                break;
+            case 'reset':
+                Object.assign(timer, { status: 'idle', phase: 'focus', cycle: 1, phaseEndsAt: undefined, remainingMs: undefined });
+                break;
+            case 'skip': {
+                Object.assign(timer, StudyRoomService.nextPhase(room.pomodoro, timer));
+                const duration = StudyRoomService.phaseMs(room.pomodoro, timer.phase);
+                if (timer.status === 'running') timer.phaseEndsAt = new Date(now.getTime() + duration);
+                else if (timer.status === 'paused') timer.remainingMs = duration;
+                break;
+            }
+            default:
+                return { error: 'Unknown timer action' };
+        }
+        return { ok: true };
+    }
+
+    /**
+     * What clients render. They count down against phaseEndsAt, correcting
+     * for clock skew with serverTime.
+     */
+    static timerState(room, now = new Date()) {
+        const { status, phase, cycle, phaseEndsAt } = room.timer;
+        const remainingMs = status === 'running'
+            ? Math.max(0, phaseEndsAt.getTime() - now.getTime())
+            : status === 'paused' ? room.timer.remainingMs : StudyRoomService.phaseMs(room.pomodoro, phase);
+
+        return {
+            status,
+            phase,
+            cycle,
+            phaseEndsAt: status === 'running' ? phaseEndsAt : null,
+            remainingMs,
+            settings: room.pomodoro,
+            serverTime: now
+        };
+    }
+
+    static async saveTimer(room) {
+        await StudyRoom.updateOne({ _id: room._id }, { $set: { timer: room.timer } });
+    }
+
+    // ---------------------------------------------------------------
+    // Attendance
+    // ---------------------------------------------------------------
+
+    static intervalSeconds({ joinedAt, leftAt }, now = new Date()) {
+        return Math.max(0, Math.round(((leftAt || now) - joinedAt) / 1000));
+    }
+
+    /**
+     * Open an attendance interval for the user's first connection to a room
+     */
+    static async recordJoin(room, userId, now = new Date()) {
+        // Intervals left open by a crash or lost disconnect end where their
+        // session did; drop-ins count nothing rather than guess
+        const stale = await StudyAttendance.find({ room: room._id, user: userId, 'intervals.leftAt': null });
+        for (const attendance of stale) {
+            const session = attendance.session && room.sessions.id(attendance.session);
+            const open = attendance.intervals[attendance.intervals.length - 1];
+            if (!open || open.leftAt) continue;
+            open.leftAt = session ? new Date(Math.min(session.endsAt, now)) : open.joinedAt;
+            attendance.totalSeconds += StudyRoomService.intervalSeconds(open);
+            await attendance.save();
+        }
+
+        const session = StudyRoomService.activeSession(room, now);
+        return StudyAttendance.findOneAndUpdate(
+            { room: room._id, session: session ? session._id : null, user: userId },
+            { $push: { intervals: { joinedAt: now } } },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+    }
+
+    /**
+     * Close the open interval once the user's last connection leaves
+     */
+    static async recordLeave(roomId, userId, now = new Date()) {
+        const open = await StudyAttendance.find({ room: roomId, user: userId, 'intervals.leftAt': null });
+        for (const attendance of open) {
+            const interval = attendance.intervals[attendance.intervals.length - 1];
+            if (!interval || interval.leftAt) continue;
+            interval.leftAt = now;
+            attendance.totalSeconds += StudyRoomService.intervalSeconds(interval);
+            await attendance.save();
+        }
+    }
+
+    static attendanceSeconds(attendance, now = new Date()) {
+        const open = attendance.intervals.filter(interval => !interval.leftAt);
+        return attendance.totalSeconds + open.reduce((sum, interval) => sum + StudyRoomService.intervalSeconds(interval, now), 0);
+    }
+
+    /**
+     * Who attended a session (or the room's drop-ins when sessionId is null)
+     */
+    static async sessionReport(room, sessionId) {
+        const records = await StudyAttendance.find({ room: room._id, session: sessionId })
+            .populate('user', 'username firstName lastName profilePicture')
+            .lean();
+
+        return records
+            .map(record => ({
+                user: record.user,
+                seconds: StudyRoomService.attendanceSeconds(record),
+                present: !record.intervals[record.intervals.length - 1]?.leftAt,
+                intervals: record.intervals
+            }))
+            .sort((a, b) => b.seconds - a.seconds);
+    }
+
+    /**
+     * A student's study hours, one row per room session attended
+     */
+    static async studyHours(userId, { from, to } = {}) {
+        const query = { user: userId };
+        if (from || to) {
+            query['intervals.joinedAt'] = {};
+            if (from) query['intervals.joinedAt'].$gte = from;
+            if (to) query['intervals.joinedAt'].$lte = to;
+        }
+
+        const records = await StudyAttendance.find(query)
+            .populate('room', 'name subject sessions')
+            .sort({ createdAt: 1 })
+            .lean();
+
+        const rows = records.map(record => {
+            const session = record.room && record.session
+                ? record.room.sessions.find(s => s._id.toString() === record.session.toString())
+                : null;
+            const seconds = StudyRoomService.attendanceSeconds(record);
+
+            return {
+                room: record.room?._id || record.room,
+                roomName: record.room?.name || 'Deleted room',
+                subject: record.room?.subject || '',
+                session: record.session,
+                sessionTitle: session?.title || (record.session ? '' : 'Drop-in'),
+                sessionStartsAt: session?.startsAt || null,
+                firstJoinedAt: record.intervals[0]?.joinedAt || null,
+                lastLeftAt: record.intervals[record.intervals.length - 1]?.leftAt || null,
+                minutes: Math.round(seconds / 60),
+                hours: Math.round(seconds / 36) / 100
+            };
+        });
+
+        const totalHours = Math.round(rows.reduce((sum, row) => sum + row.hours, 0) * 100) / 100;
+        return { rows, totalHours };
+    }
+
+    static toCsv(rows) {
+        const columns = ['roomName', 'subject', 'sessionTitle', 'sessionStartsAt', 'firstJoinedAt', 'lastLeftAt', 'minutes', 'hours'];
+        const format = (value) => value instanceof Date ? value.toISOString() : value;
+
+        return [
+            columns.join(','),
+            ...rows.map(row => columns.map(column => csvCell(format(row[column]))).join(','))
+        ].join('\n');
+    }
+
+    static notify(recipient, sender, content) {
+        NotificationService.sendNotification({ recipient, sender, type: 'study_room', content })
+            .catch(err => logger.error('Study room notification failed:', err));
+    }
+}
+
+module.exports = StudyRoomService;
@@ -0,0 +1,623 @@
+const { v4: uuidv4 } = require('uuid');
+const Whiteboard = require('../models/Whiteboard');
+const WhiteboardOperation = require('../models/WhiteboardOperation');
+const WhiteboardSnapshot = require('../models/WhiteboardSnapshot');
+
+const { DEFAULT_LAYER_ID } = Whiteboard;
+
+// Take an automatic snapshot every N board versions
+const SNAPSHOT_EVERY = 50;
+const MAX_LAYERS = 20;
+const UNDOABLE_TYPES = ['add', 'update', 'delete', 'clear'];
+const ELEMENT_TYPES = Whiteboard.schema.path('elements').schema.path('type').enumValues;
+
+const now = () => new Date();
+
+const plainElement = (element) => {
+    if (!element) return null;
+    const obj = typeof element.toObject === 'function' ? element.toObject() : { ...element };
+    delete obj._id;
+    return obj;
+};
+
+/**
+ * Whiteboard Service - versioned board operations shared by the
+ * /whiteboard socket namespace and the REST routes.
+ *
+ * Every change is a conditional single-document update that bumps the
+ * board version, so concurrent writers never overwrite each other:
+ * updates and deletes carry the element version they were based on and are
+ * rejected if someone else changed the element first. Each change is then
+ * logged with its before/after state, which drives per-user undo/redo
+ * and lets any historical version be rebuilt from the nearest snapshot.
+ */
+class WhiteboardService {
+    static canView(board, userId) {
+        return board.settings?.isPublic || this.canEdit(board, userId);
+    }
+
+    static canEdit(board, userId) {
+        if (!board || !userId) return false;
+        const ownerId = (board.owner?._id || board.owner).toString();
+        return ownerId === userId.toString() ||
+            board.collaborators.some(c => (c._id || c).toString() === userId.toString());
+    }
+
+    /**
+     * Bring boards created before layers/snapshots existed up to date:
+     * add the default layer, tag loose elements with it and record a
+     * baseline snapshot so earlier versions stay renderable from here on.
+     */
+    static async prepareBoard(roomId) {
+        await Whiteboard.updateOne(
+            { roomId, $or: [{ layers: { $exists: false } }, { layers: { $size: 0 } }] },
+            { $set: { layers: [{ id: DEFAULT_LAYER_ID, name: 'Layer 1', order: 0, visible: true, locked: false }] } }
+        );
+        await Whiteboard.updateOne(
+            { roomId, 'elements.layerId': null },
+            { $set: { 'elements.$[loose].layerId': DEFAULT_LAYER_ID } },
+            { arrayFilters: [{ 'loose.layerId': null }] }
+        );
+
+        const hasSnapshot = await WhiteboardSnapshot.exists({ roomId });
+        if (!hasSnapshot) await this.createSnapshot(roomId, { trigger: 'auto', label: 'Baseline' });
+    }
+
+    /**
+     * Apply a drawing operation from a client
+     * @param {string} roomId
+     * @param {string} userId
+     * @param {object} op - { action: 'add'|'update'|'delete', element, baseVersion }
+     * @returns {Promise<object>} { applied, version, element } or { applied: false, reason, current }
+     */
+    static async applyOperation(roomId, userId, { action, element, baseVersion } = {}) {
+        if (!element || typeof element !== 'object') return { applied: false, reason: 'invalid' };
+
+        const board = await Whiteboard.findOne({ roomId }).select('roomId layers');
+        if (!board) return { applied: false, reason: 'not-found' };
+
+        let result;
+        if (action === 'add') {
+            result = await this.addElement(board, userId, element);
+        } else if (action === 'update') {
+            result = await this.updateElement(board, userId, element, baseVersion);
+        } else if (action === 'delete') {
+            result = await this.deleteElement(board, userId, element.id, baseVersion);
+        } else {
+            return { applied: false, reason: 'invalid' };
+        }
+
+        if (!result.applied) return result;
+
+        await this.logOperation(roomId, userId, result.log);
+        return { applied: true, action, version: result.log.seq, element: result.element };
+    }
+
+    static async addElement(board, userId, element) {
+        const layerId = element.layerId || DEFAULT_LAYER_ID;
+        if (!ELEMENT_TYPES.includes(element.type)) return { applied: false, reason: 'invalid' };
+        if (!this.isLayerWritable(board, layerId)) return { applied: false, reason: 'layer-locked' };
+
+        const created = {
+            id: element.id || uuidv4(),
+            type: element.type,
+            data: element.data,
+            layerId,
+            createdBy: userId,
+            updatedBy: userId,
+            createdAt: now(),
+            version: 1
+        };
+
+        const prev = await Whiteboard.findOneAndUpdate(
+            { roomId: board.roomId, 'elements.id': { $ne: created.id } },
+            { $push: { elements: created }, $inc: { version: 1 }, $set: { lastModified: now() } },
+            { projection: { version: 1 }, runValidators: true }
+        );
+        if (!prev) return { applied: false, reason: 'duplicate' };
+
+        return {
+            applied: true,
+            element: created,
+            log: { seq: prev.version + 1, type: 'add', elementId: created.id, before: null, after: created, guard: 1 }
+        };
+    }
+
+    static async updateElement(board, userId, element, baseVersion) {
+        const match = { id: element.id };
+        if (Number.isInteger(baseVersion)) match.version = baseVersion;
+
+        const current = await this.findElement(board.roomId, element.id);
+        if (!current) return { applied: false, reason: 'not-found' };
+
+        const data = element.data !== undefined ? element.data : current.data;
+
+        const layerId = element.layerId || current.layerId || DEFAULT_LAYER_ID;
+        if (!this.isLayerWritable(board, current.layerId || DEFAULT_LAYER_ID) || !this.isLayerWritable(board, layerId)) {
+            return { applied: false, reason: 'layer-locked' };
+        }
+
+        const prev = await Whiteboard.findOneAndUpdate(
+            { roomId: board.roomId, elements: { $elemMatch: match } },
+            {
+                $set: {
+                    'elements.$.data': data,
+                    'elements.$.layerId': layerId,
+                    'elements.$.updatedBy': userId,
+                    lastModified: now()
+                },
+                $inc: { version: 1, 'elements.$.version': 1 }
+            },
+            { projection: { version: 1, 'elements.$': 1 } }
+        );
+        if (!prev) return this.conflict(board.roomId, element.id);
+
+        const before = plainElement(prev.elements[0]);
+        const after = { ...before, data, layerId, updatedBy: userId, version: before.version + 1 };
+
+        return {
+            applied: true,
+            element: after,
+            log: { seq: prev.version + 1, type: 'update', elementId: element.id, before, after, guard: after.version }
+        };
+    }
+
+    static async deleteElement(board, userId, elementId, baseVersion) {
+        const match = { id: elementId };
+        if (Number.isInteger(baseVersion)) match.version = baseVersion;
+
+        const current = await this.findElement(board.roomId, elementId);
+        if (!current) return { applied: false, reason: 'not-found' };
+        if (!this.isLayerWritable(board, current.layerId || DEFAULT_LAYER_ID)) {
+            return { applied: false, reason: 'layer-locked' };
+        }
+
+        const prev = await Whiteboard.findOneAndUpdate(
+            { roomId: board.roomId, elements: { $elemMatch: match } },
+            { $pull: { elements: { id: elementId } }, $inc: { version: 1 }, $set: { lastModified: now() } },
+            { projection: { version: 1, 'elements.$': 1 } }
+        );
+        if (!prev) return this.conflict(board.roomId, elementId);
+
+        const before = plainElement(prev.elements[0]);
+        return {
+            applied: true,
+            element: before,
+            log: { seq: prev.version + 1, type: 'delete', elementId, before, after: null, guard: before.version }
+        };
+    }
+
+    /**
+     * Remove every element on unlocked layers
+     */
+    static async clearBoard(roomId, userId) {
+        const board = await Whiteboard.findOne({ roomId }).select('layers');
+        if (!board) return { applied: false, reason: 'not-found' };
+
+        const unlocked = board.layers.filter(l => !l.locked).map(l => l.id);
+        if (unlocked.length === 0) return { applied: false, reason: 'layer-locked' };
+
+        const prev = await Whiteboard.findOneAndUpdate(
+            { roomId },
+            {
+                $pull: { elements: { layerId: { $in: unlocked } } },
+                $inc: { version: 1 },
+                $set: { lastModified: now() }
+            },
+            { projection: { version: 1, elements: 1 } }
+        );
+
+        const removed = prev.elements
+            .filter(e => unlocked.includes(e.layerId || DEFAULT_LAYER_ID))
+            .map(plainElement);
+        const seq = prev.version + 1;
+
+        await this.logOperation(roomId, userId, {
+            seq,
+            type: 'clear',
+            before: removed,
+            after: null,
+            guard: Object.fromEntries(removed.map(e => [e.id, e.version]))
+        });
+
+        return { applied: true, version: seq, elementIds: removed.map(e => e.id) };
+    }
+
+    /**
+     * Undo the caller's most recent operation that is still applied.
+     * If someone else has since changed the same element the undo is
+     * refused and that entry is dropped from the caller's history.
+     */
+    static async undo(roomId, userId) {
+        const board = await Whiteboard.findOne({ roomId }).select('historyFloor');
+        if (!board) return { applied: false, reason: 'not-found' };
+
+        const op = await WhiteboardOperation.findOneAndUpdate(
+            {
+                roomId,
+                user: userId,
+                status: 'applied',
+                type: { $in: UNDOABLE_TYPES },
+                undoOf: null,
+                redoOf: null,
+                seq: { $gt: board.historyFloor }
+            },
+            { $set: { status: 'undone', undoneAt: now() } },
+            { sort: { seq: -1 }, new: true }
+        );
+        if (!op) return { applied: false, reason: 'empty' };
+
+        return this.replay(roomId, userId, op, 'undo');
+    }
+
+    /**
+     * Re-apply the caller's most recently undone operation
+     */
+    static async redo(roomId, userId) {
+        const op = await WhiteboardOperation.findOneAndUpdate(
+            { roomId, user: userId, status: 'undone' },
+            { $set: { status: 'applied' }, $unset: { undoneAt: 1 } },
+            { sort: { undoneAt: -1 }, new: true }
+        );
+        if (!op) return { applied: false, reason: 'empty' };
+
+        return this.replay(roomId, userId, op, 'redo');
+    }
+
+    /**
+     * Apply the inverse (undo) or the original effect (redo) of a logged
+     * operation, guarded on the element versions recorded last time
+     */
+    static async replay(roomId, userId, op, direction) {
+        const inverse = direction === 'undo';
+        // Whether this step takes elements off the board (undo of add, redo of delete/clear)
+        const removes = op.type !== 'update' && (inverse ? op.type === 'add' : op.type !== 'add');
+        let result;
+
+        if (op.type === 'update') {
+            const target = inverse ? op.before : op.after;
+            result = await this.setElementGuarded(roomId, userId, op.elementId, op.guard, target);
+        } else if (op.type === 'clear') {
+            result = removes
+                ? await this.pullElementsGuarded(roomId, op.guard)
+                : await this.pushElements(roomId, op.before.map(e => ({ ...e, version: op.guard[e.id] + 1 })));
+        } else if (removes) {
+            result = await this.pullElementsGuarded(roomId, { [op.elementId]: op.guard });
+        } else {
+            const source = op.type === 'add' ? op.after : op.before;
+            result = await this.pushElements(roomId, [{ ...source, version: op.guard + 1 }]);
+        }
+
+        if (!result) {
+            await WhiteboardOperation.updateOne({ _id: op._id }, { $set: { status: 'conflict' } });
+            return { applied: false, reason: 'conflict' };
+        }
+
+        const guard = op.type === 'clear'
+            ? (removes ? op.guard : Object.fromEntries(result.elements.map(e => [e.id, e.version])))
+            : (removes ? op.guard : result.elements[0].version);
+        await WhiteboardOperation.updateOne({ _id: op._id }, { $set: { guard } });
+
+        const single = op.type !== 'clear';
+        let type = 'update';
+        if (op.type === 'clear') type = removes ? 'clear' : 'restore-elements';
+        else if (op.type !== 'update') type = removes ? 'delete' : 'add';
+
+        await this.logOperation(roomId, userId, {
+            seq: result.seq,
+            type,
+            elementId: single ? op.elementId : undefined,
+            before: single ? (result.before[0] || null) : result.before,
+            after: single ? (removes ? null : result.elements[0]) : (removes ? null : result.elements),
+            [inverse ? 'undoOf' : 'redoOf']: op._id
+        }, { keepRedo: true });
+
+        return {
+            applied: true,
+            version: result.seq,
+            changes: removes
+                ? result.before.map(e => ({ action: 'delete', element: e }))
+                : result.elements.map(e => ({ action: op.type === 'update' ? 'update' : 'add', element: e }))
+        };
+    }
+
+    static async setElementGuarded(roomId, userId, elementId, guard, target) {
+        const prev = await Whiteboard.findOneAndUpdate(
+            { roomId, elements: { $elemMatch: { id: elementId, version: guard } } },
+            {
+                $set: {
+                    'elements.$.data': target.data,
+                    'elements.$.layerId': target.layerId,
+                    'elements.$.updatedBy': userId,
+                    'elements.$.version': guard + 1,
+                    lastModified: now()
+                },
+                $inc: { version: 1 }
+            },
+            { projection: { version: 1, 'elements.$': 1 } }
+        );
+        if (!prev) return null;
+
+        const before = plainElement(prev.elements[0]);
+        return {
+            seq: prev.version + 1,
+            before: [before],
+            elements: [{ ...before, data: target.data, layerId: target.layerId, updatedBy: userId, version: guard + 1 }]
+        };
+    }
+
+    /**
+     * Remove elements only if each is still at the expected version
+     * @param {object} versions - Map of element id to expected version
+     */
+    static async pullElementsGuarded(roomId, versions) {
+        const conditions = Object.entries(versions).map(([id, version]) => ({ id, version }));
+        if (conditions.length === 0) return null;
+
+        const prev = await Whiteboard.findOneAndUpdate(
+            { roomId, $and: conditions.map(c => ({ elements: { $elemMatch: c } })) },
+            { $pull: { elements: { $or: conditions } }, $inc: { version: 1 }, $set: { lastModified: now() } },
+            { projection: { version: 1, elements: 1 } }
+        );
+        if (!prev) return null;
+
+        const ids = new Set(Object.keys(versions));
+        return {
+            seq: prev.version + 1,
+            before: prev.elements.filter(e => ids.has(e.id)).map(plainElement),
+            elements: []
+        };
+    }
+
+    /**
+     * Put elements back, only if none of them exists on the board already
+     */
+    static async pushElements(roomId, elements) {
+        const ids = elements.map(e => e.id);
+        const prev = await Whiteboard.findOneAndUpdate(
+            { roomId, 'elements.id': { $nin: ids } },
+            { $push: { elements: { $each: elements } }, $inc: { version: 1 }, $set: { lastModified: now() } },
+            { projection: { version: 1 } }
+        );
+        if (!prev) return null;
+
+        return { seq: prev.version + 1, before: [], elements };
+    }
+
+    /* ---------- Layers ---------- */
+
+    static isLayerWritable(board, layerId) {
+        const layer = board.layers.find(l => l.id === layerId);
+        return !!layer && !layer.locked;
+    }
+
+    static async addLayer(roomId, userId, { name }) {
+        const layer = { id: uuidv4(), name, visible: true, locked: false };
+
+        const board = await Whiteboard.findOne({ roomId }).select('layers');
+        if (!board) return null;
+        if (board.layers.length >= MAX_LAYERS) return { error: `A board can have at most ${MAX_LAYERS} layers` };
+        layer.order = board.layers.reduce((max, l) => Math.max(max, l.order), -1) + 1;
+
+        const updated = await Whiteboard.findOneAndUpdate(
+            { roomId },
+            { $push: { layers: layer }, $inc: { version: 1 }, $set: { lastModified: now() } },
+            { new: true, projection: { version: 1, layers: 1 }, runValidators: true }
+        );
+
+        await this.logLayers(roomId, userId, updated);
+        return { layer, layers: updated.layers, version: updated.version };
+    }
+
+    /**
+     * Rename, reorder, hide/show or lock/unlock a layer
+     */
+    static async updateLayer(roomId, userId, layerId, changes) {
+        const $set = { lastModified: now() };
+        ['name', 'order', 'visible', 'locked'].forEach(field => {
+            if (changes[field] !== undefined) $set[`layers.$.${field}`] = changes[field];
+        });
+
+        const updated = await Whiteboard.findOneAndUpdate(
+            { roomId, 'layers.id': layerId },
+            { $set, $inc: { version: 1 } },
+            { new: true, projection: { version: 1, layers: 1 }, runValidators: true }
+        );
+        if (!updated) return null;
+
+        await this.logLayers(roomId, userId, updated);
+        return { layer: updated.layers.find(l => l.id === layerId), layers: updated.layers, version: updated.version };
+    }
+
+    /**
+     * Delete a layer and the elements on it. The last layer cannot be removed.
+     */
+    static async deleteLayer(roomId, userId, layerId) {
+        const prev = await Whiteboard.findOneAndUpdate(
+            { roomId, 'layers.id': layerId, 'layers.1': { $exists: true } },
+            {
+                $pull: { layers: { id: layerId }, elements: { layerId } },
+                $inc: { version: 1 },
+                $set: { lastModified: now() }
+            },
+            { projection: { version: 1, layers: 1, elements: 1 } }
+        );
+        if (!prev) return null;
+
+        const layers = prev.layers.filter(l => l.id !== layerId).map(l => l.toObject());
+        const removed = prev.elements.filter(e => e.layerId === layerId).map(plainElement);
+        const seq = prev.version + 1;
+
+        await this.logOperation(roomId, userId, { seq, type: 'layers', layers, before: removed }, { keepRedo: true });
+        return { layers, version: seq, elementIds: removed.map(e => e.id) };
+    }
+
+    static async logLayers(roomId, userId, board) {
+        await this.logOperation(roomId, userId, {
+            seq: board.version,
+            type: 'layers',
+            layers: board.layers.map(l => l.toObject())
+        }, { keepRedo: true });
+    }
+
+    /* ---------- Log & snapshots ---------- */
+
+    /**
+     * Record an operation. A fresh user action empties that user's redo
+     * stack; every SNAPSHOT_EVERY versions the board is snapshotted.
+     */
+    static async logOperation(roomId, userId, entry, { keepRedo = false } = {}) {
+        await WhiteboardOperation.create({ roomId, user: userId, ...entry });
+
+        if (!keepRedo) {
+            await WhiteboardOperation.updateMany(
+                { roomId, user: userId, status: 'undone' },
+                { $set: { status: 'discarded' } }
+            );
+        }
+
+        if (entry.seq % SNAPSHOT_EVERY === 0) {
+            await this.createSnapshot(roomId, { trigger: 'auto' });
+        }
+    }
+
+    static async createSnapshot(roomId, { trigger = 'manual', label, userId } = {}) {
+        const board = await Whiteboard.findOne({ roomId }).select('version layers elements').lean();
+        if (!board) return null;
+
+        return WhiteboardSnapshot.create({
+            roomId,
+            version: board.version,
+            label,
+            trigger,
+            layers: board.layers,
+            elements: board.elements.map(plainElement),
+            elementCount: board.elements.length,
+            createdBy: userId
+        });
+    }
+
+    static async listSnapshots(roomId, { limit = 50, before } = {}) {
+        const filter = { roomId };
+        if (Number.isInteger(before)) filter.version = { $lt: before };
+
+        return WhiteboardSnapshot.find(filter)
+            .select('-elements -layers')
+            .sort({ version: -1, createdAt: -1 })
+            .limit(limit)
+            .populate('createdBy', 'username profilePicture')
+            .lean();
+    }
+
+    /**
+     * Rebuild the board as it was at `version` from the closest earlier
+     * snapshot plus the operations logged after it
+     * @returns {Promise<{version: number, layers: Array, elements: Array}|null>}
+     */
+    static async buildVersion(roomId, version) {
+        const snapshot = await WhiteboardSnapshot.findOne({ roomId, version: { $lte: version } })
+            .sort({ version: -1, createdAt: -1 })
+            .lean();
+        if (!snapshot) return null;
+
+        const ops = await WhiteboardOperation.find({ roomId, seq: { $gt: snapshot.version, $lte: version } })
+            .sort({ seq: 1 })
+            .lean();
+
+        // A gap in the log means this version cannot be reproduced exactly
+        const contiguous = ops.every((op, i) => op.seq === snapshot.version + i + 1);
+        if (!contiguous || snapshot.version + ops.length !== version) return null;
+
+        let layers = snapshot.layers;
+        let elements = snapshot.elements;
+
+        ops.forEach(op => {
+            switch (op.type) {
+                case 'add':
+                    elements = [...elements, op.after];
+                    break;
+                case 'update':
+                    elements = elements.map(e => (e.id === op.elementId ? op.after : e));
+                    break;
+                case 'delete':
+                    elements = elements.filter(e => e.id !== op.elementId);
+                    break;
+                case 'clear':
+                case 'layers': {
+                    const removed = new Set((op.before || []).map(e => e.id));
+                    elements = elements.filter(e => !removed.has(e.id));
+                    if (op.layers) layers = op.layers;
+                    break;
+                }
+                case 'restore-elements':
+                    elements = [...elements, ...op.after];
+                    break;
+                case 'restore':
+                    layers = op.layers;
+                    elements = op.elements;
+                    break;
+                default:
+                    break;
+            }
+        });
+
+        return { version, layers, elements };
+    }
+
+    /**
+     * Replace the live board with a historical version. The current state
+     * is snapshotted first, and earlier operations can no longer be undone.
+     */
+    static async restoreVersion(roomId, version, userId) {
+        const state = await this.buildVersion(roomId, version);
+        if (!state) return null;
+
+        const current = await Whiteboard.findOne({ roomId }).select('version').lean();
+        await this.createSnapshot(roomId, { trigger: 'restore', label: `Before restoring v${version}`, userId });
+
+        const updated = await Whiteboard.findOneAndUpdate(
+            { roomId },
+            {
+                $set: { layers: state.layers, elements: state.elements, lastModified: now() },
+                $inc: { version: 1 }
+            },
+            { new: true, projection: { version: 1, layers: 1, elements: 1, settings: 1 } }
+        );
+        await Whiteboard.updateOne({ roomId }, { $max: { historyFloor: updated.version } });
+
+        await this.logOperation(roomId, userId, {
+            seq: updated.version,
+            type: 'restore',
+            layers: state.layers,
+            elements: state.elements
+        }, { keepRedo: true });
+        await WhiteboardOperation.updateMany({ roomId, status: 'undone' }, { $set: { status: 'discarded' } });
+
+        return { restoredFrom: version, previousVersion: current.version, board: updated };
+    }
+
+    static async purgeHistory(roomId) {
+        await Promise.all([
+            WhiteboardOperation.deleteMany({ roomId }),
+            WhiteboardSnapshot.deleteMany({ roomId })
+        ]);
+    }
+
+    /* ---------- Helpers ---------- */
+
+    static async findElement(roomId, elementId) {
+        const board = await Whiteboard.findOne(
+            { roomId, 'elements.id': elementId },
+            { 'elements.$': 1 }
+        ).lean();
+        return board ? board.elements[0] : null;
+    }
+
+    static async conflict(roomId, elementId) {
+        return { applied: false, reason: 'conflict', current: await this.findElement(roomId, elementId) };
+    }
+}
+
+WhiteboardService.SNAPSHOT_EVERY = SNAPSHOT_EVERY;
+
+module.exports = WhiteboardService;
@@ -5,14 +5,27 @@ const logger = require('../utils/logger');
 let io;
 const onlineUsers = new Map(); // userId -> Set<socketId>
 
-const initSocket = (server) => {
-    io = socketIO(server, {
+/**
+ * Authenticates the default namespace. When `options.io` is the server
+ * shared with the other socket handlers, every default-namespace connection
+ * - notifications included - must send a JWT in `auth.token` or
+ * `query.token`, and is put in the room named by its userId on connect.
+ * Handlers on their own namespaces (e.g. /code-editor) are unaffected.
+ * @param {http.Server} server
+ * @param {object} [options]
+ * @param {SocketIO.Server} [options.io] - Reuse an existing Socket.io server instead of creating one
+ * @param {Express.Application} [options.app] - Used to resolve the active DB backend
+ */
+const initSocket = (server, { io: existingIO, app } = {}) => {
+    io = existingIO || socketIO(server, {
         cors: {
             origin: "*", // Allow all origins for now, essentially the client URL
             methods: ["GET", "POST"]
         }
     });
 
+    const useMongoDB = () => !!app?.get('dbConnection')?.useMongoDB;
+
     // Apply Auth Middleware
     io.use(authorizeSocket);
 
@@ -32,6 +45,21 @@ const initSocket = (server) => {
         // Broadcast user online status
         socket.broadcast.emit('user_status_change', { userId, status: 'online' });
 
+        // Delivery/read acknowledgements: { messageIds: [...] }
+        const acknowledge = (field) => async (data = {}) => {
+            try {
+                // Required lazily: the message service emits through this module
+                const MessageService = require('../services/messageService');
+                const messageIds = Array.isArray(data.messageIds) ? data.messageIds.slice(0, 100) : [];
+                await MessageService.markReceipts(messageIds, userId, field, useMongoDB());
+            } catch (error) {
+                logger.error(`Message receipt (${field}) error:`, error);
+            }
+        };
+
+        socket.on('message_delivered', acknowledge('deliveredAt'));
+        socket.on('message_read', acknowledge('readAt'));
+
         // Handle disconnected
         socket.on('disconnect', () => {
             logger.info(`User disconnected: ${userId}`);
@@ -62,8 +90,23 @@ const isUserOnline = (userId) => {
     return onlineUsers.has(userId);
 };
 
+/**
+ * Emit to each user's personal room. No-op (with a warning) before init.
+ * @param {Array<string>} userIds
+ * @param {string} event
+ * @param {object} payload
+ */
+const emitToUsers = (userIds, event, payload) => {
+    if (!io) {
+        logger.warn(`Socket.io not initialized, dropping '${event}'`);
+        return;
+    }
+    new Set(userIds.map(String)).forEach(userId => io.to(userId).emit(event, payload));
+};
+
 module.exports = {
     initSocket,
     getIO,
-    isUserOnline
+    isUserOnline,
+    emitToUsers
 };
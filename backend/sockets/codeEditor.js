@@ -1,13 +1,11 @@
 const CodeExecutionService = require('../services/codeExecution');
+const CodeRoomService = require('../services/codeRoomService');
 const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
+const { isValidObjectId } = require('../utils/validators');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'college_media_secret_key';
 
-// Store room state in memory (for simplicity)
-// In production, use Redis
-const roomState = new Map();
-
 function initCodeEditorSockets(io) {
     const editorNamespace = io.of('/code-editor');
 
@@ -29,105 +27,294 @@ function initCodeEditorSockets(io) {
     editorNamespace.on('connection', (socket) => {
         logger.info(`CodeEditor: User ${socket.userId} connected`);
 
-        socket.on('join-room', (roomId) => {
-            socket.join(roomId);
-            socket.roomId = roomId;
+        // Only act on the room this socket joined
+        const inRoom = (data) => !!socket.roomId && (!data?.roomId || data.roomId === socket.roomId);
+
+        socket.on('join-room', async (roomId) => {
+            try {
+                if (!CodeRoomService.isValidRoomId(roomId)) {
+                    return socket.emit('editor-error', { message: 'Invalid room' });
+                }
+
+                const room = await CodeRoomService.join(roomId, socket.userId);
+                if (!room) {
+                    return socket.emit('editor-error', { message: 'You are not a member of this room' });
+                }
+
+                socket.join(roomId);
+                socket.roomId = roomId;
+                socket.entryFile = room.entryFile;
 
-            // Initialize room if not exists
-            if (!roomState.has(roomId)) {
-                roomState.set(roomId, {
-                    code: '// Start coding here...',
-                    language: 'javascript',
-                    users: new Set()
+                await CodeRoomService.setPresence(roomId, socket.id, {
+                    userId: socket.userId,
+                    username: socket.username
+                });
+
+                // Send current state
+                socket.emit('init-state', {
+                    ...CodeRoomService.toState(room),
+                    users: await CodeRoomService.getPresence(roomId)
+                });
+
+                // Notify others
+                socket.to(roomId).emit('user-joined', {
+                    socketId: socket.id,
+                    username: socket.username,
+                    userId: socket.userId
                 });
+            } catch (error) {
+                logger.error('Code editor join error:', error);
+                socket.emit('editor-error', { message: 'Failed to join room' });
             }
+        });
 
-            const room = roomState.get(roomId);
-            room.users.add({ socketId: socket.id, username: socket.username, userId: socket.userId });
+        // Sync Code Changes: each edit is saved as the file's next version and
+        // only then broadcast. `baseVersion` is the version the client edited;
+        // stale edits get `code-rejected` with the current file to rebase on.
+        // A socket's edits are handled one at a time so they land in order.
+        let saving = Promise.resolve();
 
-            // Send current state
-            socket.emit('init-state', {
-                code: room.code,
-                language: room.language,
-                users: Array.from(room.users)
-            });
+        const saveChange = async (data, reply) => {
+            try {
+                if (!inRoom(data)) return;
 
-            // Notify others
-            socket.to(roomId).emit('user-joined', {
-                socketId: socket.id,
-                username: socket.username,
-                userId: socket.userId
-            });
-        });
+                // Older clients send no path: they edit the entry file
+                const filePath = data.path ? CodeRoomService.normalizePath(data.path) : socket.entryFile;
+
+                if (!filePath || !CodeRoomService.isValidContent(data.code)) {
+                    socket.emit('editor-error', { message: 'Invalid file or content too large' });
+                    return reply({ success: false, reason: 'invalid' });
+                }
 
-        // Sync Code Changes
-        socket.on('code-change', (data) => {
-            const { roomId, code } = data;
+                const result = await CodeRoomService.saveFile(socket.roomId, filePath, data.code, socket.userId, data.baseVersion);
 
-            // Update server state
-            if (roomState.has(roomId)) {
-                roomState.get(roomId).code = code;
+                if (!result.saved) {
+                    if (result.reason === 'conflict') {
+                        socket.emit('code-rejected', { path: filePath, current: result.current });
+                    } else if (result.reason === 'too-large') {
+                        socket.emit('editor-error', { message: 'Project size limit reached' });
+                    } else {
+                        socket.emit('editor-error', { message: `File ${filePath} not found` });
+                    }
+                    return reply({ success: false, reason: result.reason, current: result.current || null });
+                }
+
+                // Broadcast to others (exclude sender)
+                socket.to(socket.roomId).emit('code-change', {
+                    path: filePath,
+                    code: data.code,
+                    version: result.version,
+                    userId: socket.userId
+                });
+                reply({ success: true, path: filePath, version: result.version });
+            } catch (error) {
+                logger.error('Code change error:', error);
+                reply({ success: false, reason: 'error' });
             }
+        };
 
-            // Broadcast to others (exclude sender)
-            socket.to(roomId).emit('code-change', { code });
+        socket.on('code-change', (data, ack) => {
+            const reply = typeof ack === 'function' ? ack : () => {};
+            saving = saving.then(() => saveChange(data, reply));
         });
 
         // Sync Cursor/Selection
-        socket.on('cursor-change', (data) => {
-            const { roomId, cursor } = data;
-            socket.to(roomId).emit('cursor-change', {
-                socketId: socket.id,
+        socket.on('cursor-change', async (data) => {
+            if (!inRoom(data)) return;
+
+            const presence = {
+                userId: socket.userId,
                 username: socket.username,
-                cursor
-            });
+                path: data.path ? CodeRoomService.normalizePath(data.path) : null,
+                cursor: data.cursor || null,
+                selection: data.selection || null,
+                color: data.color
+            };
+
+            socket.to(socket.roomId).emit('cursor-change', { socketId: socket.id, ...presence });
+            await CodeRoomService.setPresence(socket.roomId, socket.id, presence);
+        });
+
+        // Language Change (per file)
+        socket.on('language-change', async (data) => {
+            try {
+                if (!inRoom(data) || typeof data.language !== 'string') return;
+
+                const filePath = data.path ? CodeRoomService.normalizePath(data.path) : socket.entryFile;
+
+                if (await CodeRoomService.setLanguage(socket.roomId, filePath, data.language)) {
+                    socket.to(socket.roomId).emit('language-change', { path: filePath, language: data.language });
+                }
+            } catch (error) {
+                logger.error('Language change error:', error);
+            }
         });
 
-        // Language Change
-        socket.on('language-change', (data) => {
-            const { roomId, language } = data;
-            if (roomState.has(roomId)) {
-                roomState.get(roomId).language = language;
+        // File tree operations; every member gets the resulting event
+        socket.on('file-create', async (data, ack) => {
+            const reply = typeof ack === 'function' ? ack : () => {};
+            try {
+                const filePath = CodeRoomService.normalizePath(data?.path);
+                const content = data?.content || '';
+                if (!inRoom(data) || !filePath || !CodeRoomService.isValidContent(content)) {
+                    return reply({ success: false, message: 'Invalid path or content' });
+                }
+
+                const file = await CodeRoomService.createFile(socket.roomId, filePath, {
+                    content,
+                    language: data.language
+                }, socket.userId);
+                if (!file) {
+                    return reply({ success: false, message: 'File exists or project is full' });
+                }
+
+                editorNamespace.to(socket.roomId).emit('file-created', { file, userId: socket.userId });
+                reply({ success: true, file });
+            } catch (error) {
+                logger.error('File create error:', error);
+                reply({ success: false, message: 'Failed to create file' });
+            }
+        });
+
+        socket.on('folder-create', async (data, ack) => {
+            const reply = typeof ack === 'function' ? ack : () => {};
+            try {
+                const folderPath = CodeRoomService.normalizePath(data?.path);
+                if (!inRoom(data) || !folderPath) {
+                    return reply({ success: false, message: 'Invalid path' });
+                }
+
+                if (await CodeRoomService.createFolder(socket.roomId, folderPath)) {
+                    editorNamespace.to(socket.roomId).emit('folder-created', { path: folderPath, userId: socket.userId });
+                }
+                reply({ success: true, path: folderPath });
+            } catch (error) {
+                logger.error('Folder create error:', error);
+                reply({ success: false, message: 'Failed to create folder' });
+            }
+        });
+
+        socket.on('file-rename', async (data, ack) => {
+            const reply = typeof ack === 'function' ? ack : () => {};
+            try {
+                const from = CodeRoomService.normalizePath(data?.from);
+                const to = CodeRoomService.normalizePath(data?.to);
+                if (!inRoom(data) || !from || !to || from === to) {
+                    return reply({ success: false, message: 'Invalid path' });
+                }
+
+                if (!(await CodeRoomService.renameFile(socket.roomId, from, to))) {
+                    return reply({ success: false, message: 'File not found or target exists' });
+                }
+
+                editorNamespace.to(socket.roomId).emit('file-renamed', {
+                    from,
+                    to,
+                    language: CodeRoomService.detectLanguage(to),
+                    userId: socket.userId
+                });
+                reply({ success: true });
+            } catch (error) {
+                logger.error('File rename error:', error);
+                reply({ success: false, message: 'Failed to rename file' });
+            }
+        });
+
+        socket.on('file-delete', async (data, ack) => {
+            const reply = typeof ack === 'function' ? ack : () => {};
+            try {
+                const filePath = CodeRoomService.normalizePath(data?.path);
+                if (!inRoom(data) || !filePath) {
+                    return reply({ success: false, message: 'Invalid path' });
+                }
+
+                if (!(await CodeRoomService.deleteFile(socket.roomId, filePath))) {
+                    return reply({ success: false, message: 'File not found' });
+                }
+
+                editorNamespace.to(socket.roomId).emit('file-deleted', { path: filePath, userId: socket.userId });
+                reply({ success: true });
+            } catch (error) {
+                logger.error('File delete error:', error);
+                reply({ success: false, message: 'Failed to delete file' });
+            }
+        });
+
+        socket.on('set-entry-file', async (data) => {
+            try {
+                const filePath = CodeRoomService.normalizePath(data?.path);
+                if (!inRoom(data) || !filePath) return;
+
+                if (await CodeRoomService.setEntryFile(socket.roomId, filePath)) {
+                    editorNamespace.to(socket.roomId).emit('entry-file-changed', { path: filePath });
+                }
+            } catch (error) {
+                logger.error('Set entry file error:', error);
+            }
+        });
+
+        // Owner-only: let another user into the room
+        socket.on('add-member', async (data, ack) => {
+            const reply = typeof ack === 'function' ? ack : () => {};
+            try {
+                if (!inRoom(data) || !isValidObjectId(String(data.userId))) {
+                    return reply({ success: false, message: 'Invalid user' });
+                }
+
+                if (!(await CodeRoomService.addMember(socket.roomId, socket.userId, data.userId))) {
+                    return reply({ success: false, message: 'Only the owner can add members' });
+                }
+                reply({ success: true });
+            } catch (error) {
+                logger.error('Add member error:', error);
+                reply({ success: false, message: 'Failed to add member' });
             }
-            socket.to(roomId).emit('language-change', { language });
         });
 
         // Run Code
         socket.on('run-code', async (data) => {
-            const { roomId, code, language } = data;
+            if (!inRoom(data) || !CodeRoomService.isValidContent(data.code)) return;
+
+            const roomId = socket.roomId;
 
             // Notify everyone execution started
             editorNamespace.to(roomId).emit('execution-start');
 
             try {
-                const result = await CodeExecutionService.execute(language, code);
+                const result = await CodeExecutionService.execute(data.language, data.code);
                 editorNamespace.to(roomId).emit('execution-result', result);
             } catch (error) {
                 editorNamespace.to(roomId).emit('execution-error', { error: error.message });
             }
         });
 
-        socket.on('disconnect', () => {
-            if (socket.roomId && roomState.has(socket.roomId)) {
-                const room = roomState.get(socket.roomId);
-                // Remove user
-                room.users = new Set(Array.from(room.users).filter(u => u.socketId !== socket.id));
+        // Run the whole project tree from its entry file
+        socket.on('run-project', async (data) => {
+            if (!inRoom(data)) return;
 
-                socket.to(socket.roomId).emit('user-left', {
-                    socketId: socket.id,
-                    username: socket.username
-                });
+            const roomId = socket.roomId;
+            const entryFile = data?.entryFile ? CodeRoomService.normalizePath(data.entryFile) : undefined;
 
-                // Cleanup empty rooms after timeout
-                if (room.users.size === 0) {
-                    setTimeout(() => {
-                        if (roomState.has(socket.roomId) && roomState.get(socket.roomId).users.size === 0) {
-                            roomState.delete(socket.roomId);
-                        }
-                    }, 300000); // 5 mins
-                }
+            editorNamespace.to(roomId).emit('execution-start', { project: true, userId: socket.userId });
+
+            try {
+                const result = await CodeRoomService.runProject(roomId, socket.userId, entryFile);
+                editorNamespace.to(roomId).emit('execution-result', result);
+            } catch (error) {
+                editorNamespace.to(roomId).emit('execution-error', { error: error.message });
             }
         });
+
+        socket.on('disconnect', async () => {
+            if (!socket.roomId) return;
+
+            socket.to(socket.roomId).emit('user-left', {
+                socketId: socket.id,
+                username: socket.username
+            });
+
+            await CodeRoomService.removePresence(socket.roomId, socket.id);
+        });
     });
 
     return editorNamespace;
@@ -6,7 +6,9 @@ const NotificationService = require('../services/notificationService');
 module.exports = (io) => {
     NotificationService.init(io);
 
-    // We rely on the default namespace for general notifications
+    // We rely on the default namespace for general notifications. Connections
+    // there are authenticated by socket/index.js, which already puts each
+    // socket in its user's room; join_notifications is kept for older clients
     io.on('connection', (socket) => {
         // Users join a room named after their userId for targeted emits
         socket.on('join_notifications', (userId) => {
@@ -0,0 +1,60 @@
+const Post = require('../models/Post');
+const PollService = require('../services/pollService');
+const jwt = require('jsonwebtoken');
+const logger = require('../utils/logger');
+const { isValidObjectId } = require('../utils/validators');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'college_media_secret_key';
+
+/**
+ * Initialize Poll Socket Handlers
+ * Clients subscribe to the polls they are showing and receive
+ * `poll:results` after every vote and `poll:closed` with the final
+ * snapshot. Voting itself goes through the REST endpoints.
+ * @param {SocketIO.Server} io - Socket.io server instance
+ */
+function initPollSockets(io) {
+    const pollNamespace = io.of('/polls');
+
+    // Authentication middleware
+    pollNamespace.use((socket, next) => {
+        const token = socket.handshake.auth.token;
+        if (!token) return next(new Error('Authentication required'));
+
+        try {
+            const decoded = jwt.verify(token, JWT_SECRET);
+            socket.userId = decoded.userId;
+            next();
+        } catch (err) {
+            next(new Error('Invalid token'));
+        }
+    });
+
+    pollNamespace.on('connection', (socket) => {
+        socket.on('poll:subscribe', async ({ postId } = {}) => {
+            try {
+                if (!isValidObjectId(postId)) {
+                    return socket.emit('poll:error', { postId, message: 'Invalid post ID' });
+                }
+
+                const post = await Post.findOne({ _id: postId, isDeleted: false, postType: 'poll' });
+                if (!post || !(await post.isVisibleTo(socket.userId))) {
+                    return socket.emit('poll:error', { postId, message: 'Poll not found' });
+                }
+
+                socket.join(postId);
+                socket.emit(post.poll.results?.options?.length ? 'poll:closed' : 'poll:results',
+                    await PollService.results(post, socket.userId));
+            } catch (error) {
+                logger.error('Poll subscribe error:', error);
+                socket.emit('poll:error', { postId, message: 'Could not load poll' });
+            }
+        });
+
+        socket.on('poll:unsubscribe', ({ postId } = {}) => {
+            if (typeof postId === 'string') socket.leave(postId);
+        });
+    });
+}
+
+module.exports = initPollSockets;
@@ -1,5 +1,11 @@
 const jwt = require('jsonwebtoken');
+const StudyRoom = require('../models/StudyRoom');
+const User = require('../models/User');
+const StudyRoomService = require('../services/studyRoomService');
+const CallRoomService = require('../services/callRoomService');
+const Sfu = require('../services/sfu');
 const logger = require('../utils/logger');
+const { isValidObjectId } = require('../utils/validators');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'college_media_secret_key';
 
@@ -87,23 +93,113 @@ function initSignalingSockets(io) {
 
         /**
          * GROUP CALLS (Room based)
+         * Small rooms run as a peer-to-peer mesh. Past CallRoomService.MESH_MAX
+         * participants, and only when an SFU adapter is configured, the room
+         * switches to the SFU and everyone is told via `room-mode`. Caps and
+         * host controls are enforced here, whatever the client does.
          */
-        socket.on('join-room', (roomId) => {
-            // Check room capacity (e.g., max 4)
-            const room = signalingNamespace.adapter.rooms.get(roomId);
-            if (room && room.size >= 4) {
-                socket.emit('room-full');
-                return;
-            }
+        const callRoom = () => socket.callRoomId ? CallRoomService.get(socket.callRoomId) : null;
+
+        // Per-room view of the topology, host and participants
+        const broadcastRoomState = (room) => {
+            signalingNamespace.to(room.id).emit('room-state', CallRoomService.toState(room));
+        };
+
+        // On a mode switch every member renegotiates: SFU peers re-join the
+        // SFU; mesh peers each dial the members who joined before them
+        const announceMode = (room) => {
+            const participants = [...room.participants.values()].sort((a, b) => a.joinedAt - b.joinedAt);
+            participants.forEach((participant, index) => {
+                signalingNamespace.to(participant.socketId).emit('room-mode', {
+                    mode: room.mode,
+                    peers: room.mode === 'mesh' ? participants.slice(0, index).map(p => p.socketId) : []
+                });
+            });
+        };
+
+        const leaveCall = async () => {
+            const roomId = socket.callRoomId;
+            if (!roomId) return;
+            socket.callRoomId = null;
+            socket.leave(roomId);
+
+            const { room, modeChanged, empty } = await CallRoomService.leave(roomId, socket.id);
+            if (!room || empty) return;
+
+            signalingNamespace.to(roomId).emit('user-left', { socketId: socket.id, userId: socket.userId });
+            if (modeChanged) announceMode(room);
+            broadcastRoomState(room);
+        };
+
+        const replyFor = (ack) => (typeof ack === 'function' ? ack : () => {});
+
+        socket.on('join-room', async (roomId, ack) => {
+            const reply = replyFor(ack);
+            try {
+                if (typeof roomId !== 'string' || !roomId) return reply({ ok: false, message: 'Invalid room' });
+                if (socket.callRoomId === roomId) return reply({ ok: true, ...CallRoomService.toState(callRoom()) });
+
+                // Persistent study rooms bring their access policy, capacity and host
+                let settings = {};
+                if (isValidObjectId(roomId)) {
+                    const [studyRoom, user] = await Promise.all([
+                        StudyRoom.findById(roomId).select('owner invitees visibility campusDomain isArchived capacity'),
+                        User.findById(socket.userId).select('email')
+                    ]);
+                    if (studyRoom) {
+                        if (!user || !StudyRoomService.canAccess(studyRoom, user)) {
+                            socket.emit('room-denied');
+                            return reply({ ok: false, message: 'Study room not found' });
+                        }
+                        settings = { cap: studyRoom.capacity, hostId: studyRoom.owner };
+                    }
+                }
+
+                if (socket.callRoomId) await leaveCall();
+
+                const result = await CallRoomService.join(roomId, {
+                    socketId: socket.id,
+                    userId: socket.userId,
+                    username: socket.username
+                }, settings);
+
+                if (result.error) {
+                    socket.emit(result.code === 'full' ? 'room-full' : 'room-denied', { message: result.error });
+                    return reply({ ok: false, message: result.error });
+                }
 
-            socket.join(roomId);
-            const users = Array.from(room || []).filter(id => id !== socket.id);
+                const { room, modeChanged } = result;
+                socket.join(roomId);
+                socket.callRoomId = roomId;
 
-            // Return list of other users to connect to (Mesh topology)
-            socket.emit('all-users', users);
+                if (modeChanged) {
+                    announceMode(room);
+                } else if (room.mode === 'mesh') {
+                    // Return list of other users to connect to (Mesh topology)
+                    socket.emit('all-users', [...room.participants.keys()].filter(id => id !== socket.id));
+                } else {
+                    socket.emit('room-mode', { mode: 'sfu', peers: [] });
+                }
+
+                broadcastRoomState(room);
+                reply({ ok: true, ...CallRoomService.toState(room) });
+            } catch (error) {
+                logger.error('WebRTC: join room failed:', error);
+                socket.emit('room-denied');
+                reply({ ok: false, message: 'Failed to join call' });
+            }
+        });
+
+        socket.on('leave-room', async () => {
+            try {
+                await leaveCall();
+            } catch (error) {
+                logger.error('WebRTC: leave room failed:', error);
+            }
         });
 
         socket.on('sending-signal', (payload) => {
+            if (!CallRoomService.canRelay(callRoom(), socket.id, payload?.userToSignal)) return;
             signalingNamespace.to(payload.userToSignal).emit('user-joined', {
                 signal: payload.signal,
                 callerID: socket.id
@@ -111,15 +207,142 @@ function initSignalingSockets(io) {
         });
 
         socket.on('returning-signal', (payload) => {
+            if (!CallRoomService.canRelay(callRoom(), socket.id, payload?.callerID)) return;
             signalingNamespace.to(payload.callerID).emit('receiving-returned-signal', {
                 signal: payload.signal,
                 id: socket.id
             });
         });
 
-        socket.on('disconnect', () => {
+        /**
+         * SFU NEGOTIATION
+         * Payloads are opaque to the server and passed to the adapter as-is.
+         */
+        const sfuHandler = (handler) => async (data, ack) => {
+            const reply = replyFor(ack);
+            try {
+                const room = callRoom();
+                if (!room || room.mode !== 'sfu') return reply({ ok: false, message: 'This call is not using the SFU' });
+                const result = await handler(room, data || {});
+                if (result.error) return reply({ ok: false, message: result.error });
+                reply({ ok: true, ...result });
+            } catch (error) {
+                logger.error('WebRTC: SFU request failed:', error);
+                reply({ ok: false, message: 'SFU request failed' });
+            }
+        };
+
+        socket.on('sfu-join', sfuHandler(async (room) => ({
+            ...(await Sfu.getAdapter().join(room.id, socket.id)),
+            producers: CallRoomService.producersFor(room, socket.id)
+        })));
+
+        socket.on('sfu-connect', sfuHandler(async (room, { transportId, dtlsParameters }) => {
+            await Sfu.getAdapter().connect(room.id, socket.id, { transportId, dtlsParameters });
+            return {};
+        }));
+
+        socket.on('sfu-produce', sfuHandler(async (room, { kind, rtpParameters }) => {
+            const result = await CallRoomService.produce(room, socket.id, { kind, rtpParameters });
+            if (result.error) return result;
+
+            socket.to(room.id).emit('new-producer', {
+                producerId: result.producerId,
+                kind,
+                socketId: socket.id,
+                userId: socket.userId
+            });
+            return result;
+        }));
+
+        socket.on('sfu-consume', sfuHandler(async (room, { producerId, rtpCapabilities }) => ({
+            consumer: await Sfu.getAdapter().consume(room.id, socket.id, { producerId, rtpCapabilities })
+        })));
+
+        /**
+         * MEDIA STATE AND HOST CONTROLS
+         */
+        socket.on('media-state', async ({ kind, muted } = {}, ack) => {
+            const reply = replyFor(ack);
+            try {
+                const room = callRoom();
+                if (!room) return reply({ ok: false, message: 'Join the call first' });
+
+                const result = await CallRoomService.setMuted(room, socket.id, kind, muted);
+                if (result.error) return reply({ ok: false, message: result.error });
+
+                broadcastRoomState(room);
+                reply({ ok: true });
+            } catch (error) {
+                logger.error('WebRTC: media state failed:', error);
+                reply({ ok: false, message: 'Failed to update media state' });
+            }
+        });
+
+        socket.on('host-mute', async ({ socketId, kind = 'audio', muted = true } = {}, ack) => {
+            const reply = replyFor(ack);
+            try {
+                const room = callRoom();
+                if (!room) return reply({ ok: false, message: 'Join the call first' });
+
+                const result = await CallRoomService.hostMute(room, socket.userId, socketId, kind, muted);
+                if (result.error) return reply({ ok: false, message: result.error });
+
+                signalingNamespace.to(socketId).emit(muted ? 'force-mute' : 'mute-released', { kind, by: socket.userId });
+                broadcastRoomState(room);
+                reply({ ok: true });
+            } catch (error) {
+                logger.error('WebRTC: host mute failed:', error);
+                reply({ ok: false, message: 'Failed to mute participant' });
+            }
+        });
+
+        socket.on('host-kick', async ({ socketId } = {}, ack) => {
+            const reply = replyFor(ack);
+            try {
+                const room = callRoom();
+                if (!room) return reply({ ok: false, message: 'Join the call first' });
+
+                const result = await CallRoomService.kick(room, socket.userId, socketId);
+                if (result.error) return reply({ ok: false, message: result.error });
+
+                result.removed.forEach(id => {
+                    const target = signalingNamespace.sockets.get(id);
+                    if (!target) return;
+                    target.emit('kicked', { roomId: room.id });
+                    target.leave(room.id);
+                    target.callRoomId = null;
+                    signalingNamespace.to(room.id).emit('user-left', { socketId: id, userId: result.userId });
+                });
+
+                if (result.modeChanged) announceMode(room);
+                broadcastRoomState(room);
+                reply({ ok: true });
+            } catch (error) {
+                logger.error('WebRTC: host kick failed:', error);
+                reply({ ok: false, message: 'Failed to remove participant' });
+            }
+        });
+
+        socket.on('set-room-cap', async ({ cap } = {}, ack) => {
+            const reply = replyFor(ack);
+            const room = callRoom();
+            if (!room) return reply({ ok: false, message: 'Join the call first' });
+
+            const result = CallRoomService.setCap(room, socket.userId, cap);
+            if (result.error) return reply({ ok: false, message: result.error });
+
+            broadcastRoomState(room);
+            reply({ ok: true, cap: result.cap });
+        });
+
+        socket.on('disconnect', async () => {
             logger.info(`WebRTC: User ${socket.userId} disconnected`);
-            // Notify others if in active call...
+            try {
+                await leaveCall();
+            } catch (error) {
+                logger.error('WebRTC: disconnect cleanup failed:', error);
+            }
         });
     });
 
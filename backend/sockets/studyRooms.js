@@ -0,0 +1,205 @@
+const StudyRoom = require('../models/StudyRoom');
+const User = require('../models/User');
+const StudyRoomService = require('../services/studyRoomService');
+const jwt = require('jsonwebtoken');
+const logger = require('../utils/logger');
+const { isValidObjectId } = require('../utils/validators');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'college_media_secret_key';
+
+const TIMER_ACTIONS = ['start', 'pause', 'reset', 'skip'];
+
+/**
+ * Initialize Study Room Socket Handlers
+ * Membership, attendance and the shared Pomodoro timer for persistent
+ * study rooms. The timer is server-authoritative: clients send actions
+ * and render the `pomodoro-state` broadcasts.
+ * @param {SocketIO.Server} io - Socket.io server instance
+ */
+function initStudyRoomSockets(io) {
+    const studyRoomNamespace = io.of('/study-rooms');
+
+    // Pending phase-change broadcasts, one per occupied room
+    const phaseTimers = new Map();
+
+    // Authentication middleware
+    studyRoomNamespace.use((socket, next) => {
+        const token = socket.handshake.auth.token;
+        if (!token) return next(new Error('Authentication required'));
+
+        try {
+            const decoded = jwt.verify(token, JWT_SECRET);
+            socket.userId = decoded.userId;
+            socket.username = decoded.username || 'Anonymous';
+            next();
+        } catch (err) {
+            next(new Error('Invalid token'));
+        }
+    });
+
+    const roomMembers = async (roomId) => {
+        const sockets = await studyRoomNamespace.in(roomId).fetchSockets().catch(() => []);
+        const members = new Map();
+        sockets.forEach(s => members.set(s.userId, { userId: s.userId, username: s.username }));
+        return [...members.values()];
+    };
+
+    const broadcastTimer = (room) => {
+        studyRoomNamespace.to(room._id.toString()).emit('pomodoro-state', StudyRoomService.timerState(room));
+    };
+
+    // Re-arm the broadcast for the moment the current phase ends
+    const scheduleNextPhase = (room) => {
+        const roomId = room._id.toString();
+        clearTimeout(phaseTimers.get(roomId));
+        phaseTimers.delete(roomId);
+
+        if (room.timer.status !== 'running') return;
+
+        const delay = Math.max(0, room.timer.phaseEndsAt.getTime() - Date.now());
+        phaseTimers.set(roomId, setTimeout(async () => {
+            try {
+                const fresh = await StudyRoom.findById(roomId);
+                if (!fresh) return;
+                if (StudyRoomService.advanceTimer(fresh)) await StudyRoomService.saveTimer(fresh);
+                broadcastTimer(fresh);
+                scheduleNextPhase(fresh);
+            } catch (error) {
+                logger.error('Pomodoro phase change error:', error);
+            }
+        }, delay));
+    };
+
+    studyRoomNamespace.on('connection', (socket) => {
+        logger.info(`StudyRoom: User ${socket.userId} connected`);
+
+        const leave = async () => {
+            const roomId = socket.roomId;
+            if (!roomId) return;
+            socket.roomId = null;
+            socket.leave(roomId);
+
+            const members = await roomMembers(roomId);
+            if (!members.some(member => member.userId === socket.userId)) {
+                await StudyRoomService.recordLeave(roomId, socket.userId);
+                studyRoomNamespace.to(roomId).emit('member-left', { userId: socket.userId, username: socket.username });
+            }
+
+            if (!members.length) {
+                clearTimeout(phaseTimers.get(roomId));
+                phaseTimers.delete(roomId);
+            }
+        };
+
+        socket.on('join-room', async (roomId, ack) => {
+            const reply = typeof ack === 'function' ? ack : () => {};
+            try {
+                if (!isValidObjectId(roomId)) return reply({ ok: false, message: 'Invalid room ID' });
+                if (socket.roomId === roomId) return reply({ ok: true });
+
+                const [room, user] = await Promise.all([
+                    StudyRoom.findById(roomId),
+                    User.findById(socket.userId).select('email')
+                ]);
+                if (!room || !user || !StudyRoomService.canAccess(room, user)) {
+                    return reply({ ok: false, message: 'Study room not found' });
+                }
+
+                const members = await roomMembers(roomId);
+                const alreadyIn = members.some(member => member.userId === socket.userId);
+                if (!alreadyIn && members.length >= room.capacity) {
+                    return reply({ ok: false, message: 'Study room is full' });
+                }
+
+                if (socket.roomId) await leave();
+
+                socket.join(roomId);
+                socket.roomId = roomId;
+
+                // Another tab already holds this user's attendance open
+                if (!alreadyIn) {
+                    await StudyRoomService.recordJoin(room, socket.userId);
+                    socket.to(roomId).emit('member-joined', { userId: socket.userId, username: socket.username });
+                }
+
+                if (StudyRoomService.advanceTimer(room)) await StudyRoomService.saveTimer(room);
+                if (!phaseTimers.has(roomId)) scheduleNextPhase(room);
+
+                const session = StudyRoomService.activeSession(room);
+                reply({
+                    ok: true,
+                    session,
+                    isHost: StudyRoomService.isHost(room, socket.userId),
+                    timer: StudyRoomService.timerState(room),
+                    members: await roomMembers(roomId)
+                });
+            } catch (error) {
+                logger.error('Study room join error:', error);
+                reply({ ok: false, message: 'Failed to join study room' });
+            }
+        });
+
+        // pomodoro-start | pomodoro-pause | pomodoro-reset | pomodoro-skip
+        TIMER_ACTIONS.forEach(action => {
+            socket.on(`pomodoro-${action}`, async (data, ack) => {
+                const reply = typeof ack === 'function' ? ack : (typeof data === 'function' ? data : () => {});
+                try {
+                    if (!socket.roomId) return reply({ ok: false, message: 'Join a study room first' });
+
+                    const room = await StudyRoom.findById(socket.roomId);
+                    if (!room) return reply({ ok: false, message: 'Study room not found' });
+                    if (room.pomodoro.hostOnly && !StudyRoomService.isHost(room, socket.userId)) {
+                        return reply({ ok: false, message: 'Only the host can control the timer' });
+                    }
+
+                    const result = StudyRoomService.applyTimerAction(room, action);
+                    if (result.error) return reply({ ok: false, message: result.error });
+
+                    await StudyRoomService.saveTimer(room);
+                    scheduleNextPhase(room);
+                    broadcastTimer(room);
+                    reply({ ok: true });
+                } catch (error) {
+                    logger.error(`Pomodoro ${action} error:`, error);
+                    reply({ ok: false, message: 'Failed to update timer' });
+                }
+            });
+        });
+
+        // Clients resync after waking from sleep or a reconnect
+        socket.on('pomodoro-sync', async (ack) => {
+            const reply = typeof ack === 'function' ? ack : () => {};
+            try {
+                if (!socket.roomId) return reply({ ok: false, message: 'Join a study room first' });
+                const room = await StudyRoom.findById(socket.roomId);
+                if (!room) return reply({ ok: false, message: 'Study room not found' });
+                StudyRoomService.advanceTimer(room);
+                reply({ ok: true, timer: StudyRoomService.timerState(room) });
+            } catch (error) {
+                logger.error('Pomodoro sync error:', error);
+                reply({ ok: false, message: 'Failed to load timer' });
+            }
+        });
+
+        socket.on('leave-room', async () => {
+            try {
+                await leave();
+            } catch (error) {
+                logger.error('Study room leave error:', error);
+            }
+        });
+
+        socket.on('disconnect', async () => {
+            try {
+                await leave();
+            } catch (error) {
+                logger.error('Study room disconnect error:', error);
+            }
+            logger.info(`StudyRoom: User ${socket.userId} disconnected`);
+        });
+    });
+
+    return studyRoomNamespace;
+}
+
+module.exports = initStudyRoomSockets;
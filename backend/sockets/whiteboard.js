@@ -1,4 +1,5 @@
 const Whiteboard = require('../models/Whiteboard');
+const WhiteboardService = require('../services/whiteboardService');
 const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
 const { v4: uuidv4 } = require('uuid');
@@ -30,6 +31,13 @@ function initWhiteboardSockets(io) {
     whiteboardNamespace.on('connection', (socket) => {
         logger.info(`Whiteboard: User ${socket.userId} connected`);
 
+        // Checked on every change, so removed collaborators lose write access right away
+        const canEditRoom = async (roomId) => {
+            if (!roomId) return false;
+            const board = await Whiteboard.findOne({ roomId }).select('owner collaborators').lean();
+            return WhiteboardService.canEdit(board, socket.userId);
+        };
+
         // Join a whiteboard room
         socket.on('join-room', async (roomId) => {
             try {
@@ -45,11 +53,19 @@ function initWhiteboardSockets(io) {
                     });
                 }
 
+                if (!WhiteboardService.canView(board, socket.userId)) {
+                    return socket.emit('error', { message: 'Not authorized to view this whiteboard' });
+                }
+
+                await WhiteboardService.prepareBoard(roomId);
+                board = await Whiteboard.findOne({ roomId });
+
                 socket.join(roomId);
                 socket.roomId = roomId;
 
                 // Send current state to joining user
                 socket.emit('board-state', {
+                    layers: board.layers,
                     elements: board.elements,
                     version: board.version,
                     settings: board.settings
@@ -68,49 +84,36 @@ function initWhiteboardSockets(io) {
             }
         });
 
-        // Handle drawing operations
-        socket.on('draw', async (data) => {
+        // Handle drawing operations. Each one is applied atomically and only
+        // broadcast once persisted; `baseVersion` guards updates/deletes.
+        socket.on('draw', async (data, ack) => {
+            const reply = typeof ack === 'function' ? ack : () => {};
             try {
-                const { roomId, element, action } = data;
+                const { roomId, element, action, baseVersion } = data || {};
+                if (!roomId || roomId !== socket.roomId) {
+                    return reply({ success: false, reason: 'not-joined' });
+                }
+                if (!(await canEditRoom(roomId))) {
+                    return reply({ success: false, reason: 'forbidden' });
+                }
+
+                const result = await WhiteboardService.applyOperation(roomId, socket.userId, { action, element, baseVersion });
+
+                if (!result.applied) {
+                    socket.emit('draw-rejected', { element, action, reason: result.reason, current: result.current || null });
+                    return reply({ success: false, reason: result.reason, current: result.current || null });
+                }
 
-                // Broadcast to other users immediately (optimistic update)
                 socket.to(roomId).emit('draw', {
-                    element,
+                    element: result.element,
                     action,
-                    userId: socket.userId
+                    userId: socket.userId,
+                    version: result.version
                 });
-
-                // Persist to database (batched/debounced in production)
-                if (action === 'add') {
-                    await Whiteboard.updateOne(
-                        { roomId },
-                        {
-                            $push: { elements: { ...element, createdBy: socket.userId } },
-                            $inc: { version: 1 },
-                            $set: { lastModified: new Date() }
-                        }
-                    );
-                } else if (action === 'update') {
-                    await Whiteboard.updateOne(
-                        { roomId, 'elements.id': element.id },
-                        {
-                            $set: { 'elements.$': element },
-                            $inc: { version: 1 },
-                            $set: { lastModified: new Date() }
-                        }
-                    );
-                } else if (action === 'delete') {
-                    await Whiteboard.updateOne(
-                        { roomId },
-                        {
-                            $pull: { elements: { id: element.id } },
-                            $inc: { version: 1 },
-                            $set: { lastModified: new Date() }
-                        }
-                    );
-                }
+                reply({ success: true, element: result.element, version: result.version });
             } catch (error) {
                 logger.error('Draw operation error:', error);
+                reply({ success: false, reason: 'error' });
             }
         });
 
@@ -125,49 +128,56 @@ function initWhiteboardSockets(io) {
             });
         });
 
-        // Clear board
+        // Clear board (elements on locked layers are kept)
         socket.on('clear-board', async () => {
             try {
-                await Whiteboard.updateOne(
-                    { roomId: socket.roomId },
-                    {
-                        $set: { elements: [], lastModified: new Date() },
-                        $inc: { version: 1 }
-                    }
-                );
-                whiteboardNamespace.to(socket.roomId).emit('board-cleared');
+                if (!(await canEditRoom(socket.roomId))) {
+                    return socket.emit('clear-rejected', { reason: 'forbidden' });
+                }
+
+                const result = await WhiteboardService.clearBoard(socket.roomId, socket.userId);
+                if (!result.applied) {
+                    return socket.emit('clear-rejected', { reason: result.reason });
+                }
+
+                whiteboardNamespace.to(socket.roomId).emit('board-cleared', {
+                    elementIds: result.elementIds,
+                    userId: socket.userId,
+                    version: result.version
+                });
             } catch (error) {
                 logger.error('Clear board error:', error);
             }
         });
 
-        // Undo (simplified - last element by user)
-        socket.on('undo', async () => {
+        // Per-user undo/redo: only the caller's own operations are reverted,
+        // and only if nobody has changed the same elements since
+        const handleHistory = (direction) => async () => {
             try {
-                const board = await Whiteboard.findOne({ roomId: socket.roomId });
-                if (!board) return;
-
-                // Find last element by this user
-                const userElements = board.elements.filter(e =>
-                    e.createdBy?.toString() === socket.userId
-                );
-
-                if (userElements.length > 0) {
-                    const lastElement = userElements[userElements.length - 1];
-                    await Whiteboard.updateOne(
-                        { roomId: socket.roomId },
-                        { $pull: { elements: { id: lastElement.id } } }
-                    );
+                if (!(await canEditRoom(socket.roomId))) {
+                    return socket.emit(`${direction}-rejected`, { reason: 'forbidden' });
+                }
+
+                const result = await WhiteboardService[direction](socket.roomId, socket.userId);
+                if (!result.applied) {
+                    return socket.emit(`${direction}-rejected`, { reason: result.reason });
+                }
+
+                result.changes.forEach(change => {
                     whiteboardNamespace.to(socket.roomId).emit('draw', {
-                        element: lastElement,
-                        action: 'delete',
-                        userId: socket.userId
+                        element: change.element,
+                        action: change.action,
+                        userId: socket.userId,
+                        version: result.version
                     });
-                }
+                });
             } catch (error) {
-                logger.error('Undo error:', error);
+                logger.error(`${direction} error:`, error);
             }
-        });
+        };
+
+        socket.on('undo', handleHistory('undo'));
+        socket.on('redo', handleHistory('redo'));
 
         // Disconnect
         socket.on('disconnect', () => {
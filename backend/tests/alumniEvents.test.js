@@ -0,0 +1,261 @@
+jest.mock('../utils/logger', () => require('./mocks/logger'));
+jest.mock('../services/notificationService', () => ({ sendNotification: jest.fn(async () => {}) }));
+
+const Alumni = require('../models/Alumni');
+const AlumniEvent = require('../models/AlumniEvent');
+const EventSurveyResponse = require('../models/EventSurveyResponse');
+const User = require('../models/User');
+const EventService = require('../services/eventService');
+const { query } = require('./mocks/query');
+const { objectId } = require('./mocks/fixtures');
+const { routeApp } = require('./mocks/app');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const buildEvent = (fields = {}) => new AlumniEvent({
+    title: 'Alumni mixer',
+    description: 'Meet the class of 2015',
+    organizer: objectId(),
+    eventType: 'networking',
+    startDate: new Date(Date.now() + 24 * HOUR_MS),
+    endDate: new Date(Date.now() + 26 * HOUR_MS),
+    location: { type: 'physical', address: 'Main hall' },
+    status: 'published',
+    ...fields
+});
+
+describe('Event waitlist', () => {
+    beforeEach(() => {
+        jest.spyOn(EventService, 'notifyAlumni').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    // Serve findById/findOneAndUpdate from one in-memory event, honouring the promotion guard
+    const useStore = (event) => {
+        jest.spyOn(AlumniEvent, 'findById').mockImplementation(() => query(event));
+        return jest.spyOn(AlumniEvent, 'findOneAndUpdate').mockImplementation(async (filter) => {
+            const head = event.waitlist[0];
+            const hasRoom = !event.capacity || event.attendees.length < event.capacity;
+            if (!head || head._id.toString() !== filter['waitlist.0._id'].toString() || !hasRoom) return null;
+
+            event.waitlist.shift();
+            event.attendees.push({ alumni: head.alumni, promotedFromWaitlist: true });
+            return event;
+        });
+    };
+
+    it('puts registrations past capacity on the waitlist', async () => {
+        const event = buildEvent({ capacity: 1, attendees: [{ alumni: objectId() }] });
+        const late = { _id: objectId() };
+        const waitlisted = buildEvent({ waitlist: [{ alumni: late._id }] });
+
+        const update = jest.spyOn(AlumniEvent, 'findOneAndUpdate')
+            .mockResolvedValueOnce(null) // no seat left
+            .mockResolvedValueOnce(waitlisted);
+
+        const result = await EventService.register(event, late);
+
+        expect(result).toMatchObject({ registration: 'waitlisted', position: 1 });
+        // The seat check also refuses to jump an existing waitlist
+        expect(update.mock.calls[0][0]).toMatchObject({ 'waitlist.0': { $exists: false } });
+    });
+
+    it('promotes the oldest waitlisted alumni into freed seats, up to capacity', async () => {
+        const [first, second, third] = [objectId(), objectId(), objectId()];
+        const event = buildEvent({
+            capacity: 3,
+            attendees: [{ alumni: objectId() }],
+            waitlist: [{ alumni: first }, { alumni: second }, { alumni: third }]
+        });
+        useStore(event);
+
+        const promoted = await EventService.promoteWaitlist(event._id);
+
+        expect(promoted).toEqual([first, second]);
+        expect(event.waitlist.map(w => w.alumni)).toEqual([third]);
+        expect(EventService.notifyAlumni).toHaveBeenCalledTimes(2);
+    });
+
+    it('retries a promotion that lost a race', async () => {
+        const next = objectId();
+        const event = buildEvent({ capacity: 1, waitlist: [{ alumni: next }] });
+        const update = useStore(event);
+        update.mockResolvedValueOnce(null);
+
+        const promoted = await EventService.promoteWaitlist(event._id);
+
+        expect(promoted).toEqual([next]);
+        expect(update).toHaveBeenCalledTimes(2);
+    });
+
+    it('does not promote into a cancelled event', async () => {
+        const event = buildEvent({ capacity: 1, status: 'cancelled', waitlist: [{ alumni: objectId() }] });
+        const update = useStore(event);
+
+        expect(await EventService.promoteWaitlist(event._id)).toEqual([]);
+        expect(update).not.toHaveBeenCalled();
+    });
+});
+
+describe('Event check-in', () => {
+    const organizerId = objectId();
+
+    const ticketFor = async (event, alumni) => (await EventService.ticket(event, alumni)).ticket.code;
+
+    beforeEach(() => {
+        jest.spyOn(AlumniEvent, 'updateOne').mockResolvedValue({});
+        jest.spyOn(Alumni, 'findById').mockImplementation((id) => query({ _id: id }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('checks in the holder of a signed ticket once', async () => {
+        const alumni = { _id: objectId() };
+        const event = buildEvent({ startDate: new Date(Date.now() + HOUR_MS), attendees: [{ alumni: alumni._id }] });
+        const code = await ticketFor(event, alumni);
+
+        const result = await EventService.checkIn(event, code, organizerId);
+
+        expect(result.attendee.alumni._id).toEqual(alumni._id.toString());
+        expect(AlumniEvent.updateOne.mock.calls[0][1].$set).toMatchObject({ 'attendees.$.attended': true });
+
+        event.attendees[0].attended = true;
+        const again = await EventService.checkIn(event, code, organizerId);
+        expect(again.status).toBe(409);
+    });
+
+    it('rejects tickets that were tampered with', async () => {
+        const alumni = { _id: objectId() };
+        const event = buildEvent({ startDate: new Date(Date.now() + HOUR_MS), attendees: [{ alumni: alumni._id }] });
+        const code = await ticketFor(event, alumni);
+
+        const forged = code.replace(alumni._id.toString(), objectId().toString());
+
+        expect(await EventService.checkIn(event, forged, organizerId)).toEqual({ error: 'Invalid or expired ticket', status: 400 });
+        expect(AlumniEvent.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('rejects a ticket for another event', async () => {
+        const alumni = { _id: objectId() };
+        const other = buildEvent({ attendees: [{ alumni: alumni._id }] });
+        const event = buildEvent({ startDate: new Date(Date.now() + HOUR_MS), attendees: [{ alumni: alumni._id }] });
+
+        const result = await EventService.checkIn(event, await ticketFor(other, alumni), organizerId);
+
+        expect(result).toEqual({ error: 'This ticket is for a different event', status: 400 });
+    });
+
+    it('opens check-in two hours before the start', async () => {
+        const alumni = { _id: objectId() };
+        const event = buildEvent({ attendees: [{ alumni: alumni._id }] });
+
+        const result = await EventService.checkIn(event, await ticketFor(event, alumni), organizerId);
+
+        expect(result.status).toBe(400);
+        expect(result.error).toMatch(/two hours/);
+    });
+
+    it('only issues tickets to registered attendees, not the waitlist', async () => {
+        const waiting = { _id: objectId() };
+        const event = buildEvent({ waitlist: [{ alumni: objectId() }, { alumni: waiting._id }] });
+
+        expect(await EventService.ticket(event, waiting)).toEqual({ error: 'You are #2 on the waitlist', status: 400 });
+    });
+});
+
+describe('Event routes', () => {
+    const api = routeApp('/api/alumni', require('../routes/alumni'));
+
+    const organizerUser = objectId();
+    const attendeeUser = objectId();
+    const organizer = { _id: objectId(), user: organizerUser };
+    const attendee = { _id: objectId(), user: attendeeUser };
+
+    let event;
+
+    beforeEach(() => {
+        event = buildEvent({ organizer: organizer._id });
+        jest.spyOn(User, 'findById').mockImplementation((id) => query(new User({ _id: id })));
+        jest.spyOn(Alumni, 'findOne').mockImplementation(({ user }) => query(
+            [organizer, attendee].find(profile => profile.user.toString() === user) || null
+        ));
+        jest.spyOn(AlumniEvent, 'findById').mockImplementation(() => query(event));
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+        jest.restoreAllMocks();
+    });
+
+    it('requires a token', async () => {
+        expect((await api.anonymous().post(`/api/alumni/events/${event._id}/register`)).statusCode).toBe(401);
+    });
+
+    it('answers 202 with the waitlist position when the event is full', async () => {
+        event.set({ capacity: 1, attendees: [{ alumni: objectId() }] });
+        const waitlisted = buildEvent({ _id: event._id, waitlist: [{ alumni: objectId() }, { alumni: attendee._id }] });
+        jest.spyOn(AlumniEvent, 'findOneAndUpdate').mockResolvedValueOnce(null).mockResolvedValueOnce(waitlisted);
+        jest.spyOn(waitlisted, 'populate').mockResolvedValue(waitlisted);
+
+        const res = await api.as(attendeeUser).post(`/api/alumni/events/${event._id}/register`);
+
+        expect(res.statusCode).toBe(202);
+        expect(res.body).toMatchObject({ registration: 'waitlisted', waitlistPosition: 2 });
+    });
+
+    it('only lets the organizer check attendees in', async () => {
+        event.attendees.push({ alumni: attendee._id });
+        const update = jest.spyOn(AlumniEvent, 'updateOne').mockResolvedValue({});
+
+        const res = await api.as(attendeeUser).post(`/api/alumni/events/${event._id}/check-in`, { code: 'anything' });
+
+        expect(res.statusCode).toBe(403);
+        expect(update).not.toHaveBeenCalled();
+    });
+
+    describe('surveys', () => {
+        beforeEach(() => {
+            event.set({
+                startDate: new Date(Date.now() - 3 * HOUR_MS),
+                endDate: new Date(Date.now() - HOUR_MS),
+                survey: { questions: [{ prompt: 'How was it?', kind: 'rating', required: true }] }
+            });
+        });
+
+        const answer = (rating) => ({ answers: [{ question: event.survey.questions[0]._id.toString(), rating }] });
+
+        it('only takes responses from attendees who checked in', async () => {
+            event.attendees.push({ alumni: attendee._id });
+            const create = jest.spyOn(EventSurveyResponse, 'create');
+
+            const res = await api.as(attendeeUser).post(`/api/alumni/events/${event._id}/survey`, answer(5));
+
+            expect(res.statusCode).toBe(403);
+            expect(create).not.toHaveBeenCalled();
+        });
+
+        it('records one response per attendee', async () => {
+            event.attendees.push({ alumni: attendee._id, attended: true });
+            const create = jest.spyOn(EventSurveyResponse, 'create').mockImplementation(async (fields) => new EventSurveyResponse(fields));
+
+            const res = await api.as(attendeeUser).post(`/api/alumni/events/${event._id}/survey`, answer(4));
+            create.mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: 11000 }));
+            const again = await api.as(attendeeUser).post(`/api/alumni/events/${event._id}/survey`, answer(5));
+
+            expect(res.statusCode).toBe(201);
+            expect(res.body.data.answers).toEqual([expect.objectContaining({ question: event.survey.questions[0]._id.toString(), rating: 4 })]);
+            expect(again.statusCode).toBe(409);
+        });
+
+        it('hides results from attendees', async () => {
+            const res = await api.as(attendeeUser).get(`/api/alumni/events/${event._id}/survey/results`);
+
+            expect(res.statusCode).toBe(403);
+        });
+    });
+});
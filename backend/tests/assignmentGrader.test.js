@@ -0,0 +1,84 @@
+jest.mock('../utils/logger', () => require('./mocks/logger'));
+jest.mock('../socket', () => ({ emitToUsers: jest.fn() }));
+jest.mock('bull', () => jest.fn().mockImplementation(() => ({ process: jest.fn(), on: jest.fn() })));
+
+const mongoose = require('mongoose');
+const AssignmentSubmission = require('../models/AssignmentSubmission');
+const AssignmentService = require('../services/assignmentService');
+const { emitToUsers } = require('../socket');
+const failStaleSubmissions = require('../jobs/tasks/failStaleSubmissions');
+const { query } = require('./mocks/query');
+const { objectId } = require('./mocks/fixtures');
+
+const submission = (fields = {}) => new AssignmentSubmission({
+    assignment: objectId(),
+    student: objectId(),
+    language: 'python',
+    code: 'print(1)',
+    ...fields
+});
+
+afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+});
+
+describe('failStaleSubmissions task', () => {
+    it('fails runs that started before the cutoff and tells the students', async () => {
+        const [stuck, finished] = [submission(), submission()];
+        const find = jest.spyOn(AssignmentSubmission, 'find').mockReturnValue(query([{ _id: stuck._id }, { _id: finished._id }]));
+        const update = jest.spyOn(AssignmentSubmission, 'findOneAndUpdate').mockImplementation(async ({ _id }) => (
+            _id === stuck._id ? Object.assign(stuck, { status: 'failed' }) : null
+        ));
+        const before = Date.now();
+
+        const result = await failStaleSubmissions.execute();
+        const after = Date.now();
+
+        const [{ status, $or: [{ startedAt }] }] = find.mock.calls[0];
+        expect(status).toBe('running');
+        expect(startedAt.$lt.getTime()).toBeGreaterThanOrEqual(before - 15 * 60 * 1000);
+        expect(startedAt.$lt.getTime()).toBeLessThanOrEqual(after - 15 * 60 * 1000);
+        expect(update).toHaveBeenCalledWith(
+            { _id: stuck._id, status: { $in: ['queued', 'running'] } },
+            { $set: { status: 'failed' } },
+            { new: true }
+        );
+        expect(result).toEqual({ failed: 1 });
+        expect(emitToUsers).toHaveBeenCalledTimes(1);
+        expect(emitToUsers).toHaveBeenCalledWith([stuck.student.toString()], 'submission_graded', expect.objectContaining({ status: 'failed' }));
+    });
+
+    it('rethrows so the scheduler records the failure', async () => {
+        jest.spyOn(AssignmentService, 'failStaleRuns').mockRejectedValue(new Error('db down'));
+
+        await expect(failStaleSubmissions.execute()).rejects.toThrow('db down');
+    });
+});
+
+describe('Assignment grading worker', () => {
+    let onFailed;
+
+    beforeAll(() => {
+        jest.spyOn(AssignmentService, 'failStaleRuns').mockResolvedValue({ failed: 0 });
+        const gradingQueue = require('../jobs/assignmentGrader');
+        [, onFailed] = gradingQueue.on.mock.calls.find(([event]) => event === 'failed');
+    });
+
+    it('sweeps stale runs once the database connects', () => {
+        expect(AssignmentService.failStaleRuns).not.toHaveBeenCalled();
+
+        jest.spyOn(AssignmentService, 'failStaleRuns').mockResolvedValue({ failed: 2 });
+        mongoose.connection.emit('connected');
+
+        expect(AssignmentService.failStaleRuns).toHaveBeenCalledTimes(1);
+    });
+
+    it('fails the submission of a job that ran out of retries', async () => {
+        const failSubmission = jest.spyOn(AssignmentService, 'failSubmission').mockResolvedValue(null);
+
+        await onFailed({ data: { submissionId: 'sub-1' } }, new Error('stalled'));
+
+        expect(failSubmission).toHaveBeenCalledWith('sub-1');
+    });
+});
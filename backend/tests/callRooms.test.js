@@ -0,0 +1,103 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const Sfu = require('../services/sfu');
+const CallRoomService = require('../services/callRoomService');
+
+const { MESH_MAX } = CallRoomService;
+
+describe('WebRTC call rooms', () => {
+    const participant = (n) => ({ socketId: `socket-${n}`, userId: `user-${n}`, username: `user${n}` });
+
+    const fill = async (roomId, count, settings) => {
+        for (let n = 1; n <= count; n++) {
+            await CallRoomService.join(roomId, participant(n), settings);
+        }
+        return CallRoomService.get(roomId);
+    };
+
+    afterEach(() => {
+        CallRoomService.reset();
+        Sfu.reset();
+        delete process.env.SFU_ADAPTER;
+    });
+
+    describe('without an SFU adapter', () => {
+        it('keeps the room on mesh and caps it at the mesh size', async () => {
+            const room = await fill('mesh-room', MESH_MAX);
+            expect(room.mode).toBe('mesh');
+
+            const result = await CallRoomService.join('mesh-room', participant(MESH_MAX + 1));
+            expect(result.code).toBe('full');
+        });
+
+        it('only relays mesh signals between members of the room', async () => {
+            const room = await fill('mesh-room', 2);
+            expect(CallRoomService.canRelay(room, 'socket-1', 'socket-2')).toBe(true);
+            expect(CallRoomService.canRelay(room, 'socket-1', 'socket-outsider')).toBe(false);
+        });
+    });
+
+    describe('with the loopback SFU', () => {
+        beforeEach(() => {
+            process.env.SFU_ADAPTER = 'loopback';
+        });
+
+        it('switches to the SFU past the mesh size and back once the room shrinks', async () => {
+            const room = await fill('big-room', MESH_MAX);
+            expect(room.mode).toBe('mesh');
+
+            const { modeChanged } = await CallRoomService.join('big-room', participant(MESH_MAX + 1));
+            expect(modeChanged).toBe(true);
+            expect(room.mode).toBe('sfu');
+            expect(Sfu.getAdapter().rooms.has('big-room')).toBe(true);
+
+            for (let n = MESH_MAX + 1; room.mode === 'sfu'; n--) {
+                await CallRoomService.leave('big-room', `socket-${n}`);
+            }
+            expect(room.mode).toBe('mesh');
+            expect(Sfu.getAdapter().rooms.has('big-room')).toBe(false);
+        });
+
+        it('enforces the per-room cap from a study room', async () => {
+            await fill('study-room', 3, { cap: 3, hostId: 'user-1' });
+
+            const result = await CallRoomService.join('study-room', participant(4), { cap: 3, hostId: 'user-1' });
+            expect(result.code).toBe('full');
+        });
+
+        it('pauses the producer of a host-muted participant and refuses their unmute', async () => {
+            const room = await fill('sfu-room', MESH_MAX + 1);
+            const adapter = Sfu.getAdapter();
+            await adapter.join('sfu-room', 'socket-2');
+            const { producerId } = await CallRoomService.produce(room, 'socket-2', { kind: 'audio', rtpParameters: {} });
+
+            const denied = await CallRoomService.hostMute(room, 'user-3', 'socket-2', 'audio');
+            expect(denied.error).toBeDefined();
+
+            await CallRoomService.hostMute(room, 'user-1', 'socket-2', 'audio');
+            expect(adapter.rooms.get('sfu-room').producers.get(producerId).paused).toBe(true);
+
+            const unmute = await CallRoomService.setMuted(room, 'socket-2', 'audio', false);
+            expect(unmute.error).toBe('The host has muted you');
+        });
+
+        it('removes a kicked user and keeps them out of the call', async () => {
+            const room = await fill('kick-room', 3);
+
+            const { removed } = await CallRoomService.kick(room, 'user-1', 'socket-3');
+            expect(removed).toEqual(['socket-3']);
+            expect(room.participants.has('socket-3')).toBe(false);
+
+            const rejoin = await CallRoomService.join('kick-room', participant(3));
+            expect(rejoin.code).toBe('kicked');
+        });
+
+        it('hands an ad-hoc call to the longest-present participant when the host leaves', async () => {
+            const room = await fill('adhoc-room', 3);
+            const { hostChanged } = await CallRoomService.leave('adhoc-room', 'socket-1');
+
+            expect(hostChanged).toBe(true);
+            expect(room.hostId).toBe('user-2');
+        });
+    });
+});
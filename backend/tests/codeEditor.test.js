@@ -0,0 +1,202 @@
+jest.mock('../utils/logger', () => require('./mocks/logger'));
+jest.mock('../utils/redisManager', () => ({
+    redisManager: { hashSet: jest.fn(), hashGetAll: jest.fn(async () => ({})), hashDel: jest.fn() },
+    NAMESPACES: { CODE_EDITOR_PRESENCE: 'code-editor-presence' },
+    TTL: { CODE_EDITOR_PRESENCE: 60 }
+}));
+jest.mock('../services/codeExecution', () => ({ execute: jest.fn(), executeProject: jest.fn() }));
+
+const CodeRoom = require('../models/CodeRoom');
+const CodeRoomService = require('../services/codeRoomService');
+const CodeExecutionService = require('../services/codeExecution');
+const initCodeEditorSockets = require('../sockets/codeEditor');
+const { query } = require('./mocks/query');
+const { objectId } = require('./mocks/fixtures');
+
+const owner = objectId().toString();
+const member = objectId().toString();
+
+// Just enough of a socket.io namespace to connect sockets and record room broadcasts
+const fakeNamespace = () => {
+    const broadcasts = [];
+    const namespace = {
+        broadcasts,
+        to: (room) => ({ emit: (event, payload) => broadcasts.push({ room, event, payload }) }),
+        use: jest.fn(),
+        on: (event, handler) => { namespace.onConnection = handler; }
+    };
+    return namespace;
+};
+
+const connect = (namespace, userId) => {
+    const handlers = {};
+    const socket = {
+        id: `socket-${userId}`,
+        userId,
+        username: 'coder',
+        on: (event, handler) => { handlers[event] = handler; },
+        emit: jest.fn(),
+        join: jest.fn(),
+        to: () => ({ emit: jest.fn() }),
+        trigger: (event, ...args) => handlers[event](...args)
+    };
+    namespace.onConnection(socket);
+    return socket;
+};
+
+const buildRoom = (fields = {}) => ({
+    roomId: 'algo-club',
+    owner,
+    members: [],
+    files: [{ path: 'main.js', content: 'console.log(1)', language: 'javascript', version: 1 }],
+    entryFile: 'main.js',
+    ...fields
+});
+
+describe('Code editor sockets', () => {
+    let namespace;
+
+    beforeEach(() => {
+        namespace = fakeNamespace();
+        initCodeEditorSockets({ of: () => namespace });
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+        jest.restoreAllMocks();
+    });
+
+    describe('join-room', () => {
+        it('lets members into an existing room', async () => {
+            jest.spyOn(CodeRoom, 'findOneAndUpdate').mockReturnValue(query(buildRoom({ members: [member] })));
+            const socket = connect(namespace, member);
+
+            await socket.trigger('join-room', 'algo-club');
+
+            expect(CodeRoom.findOneAndUpdate.mock.calls[0][0]).toEqual({
+                roomId: 'algo-club',
+                $or: [{ owner: member }, { members: member }]
+            });
+            expect(socket.join).toHaveBeenCalledWith('algo-club');
+            expect(socket.emit).toHaveBeenCalledWith('init-state', expect.objectContaining({ entryFile: 'main.js' }));
+        });
+
+        it('creates a missing room owned by the first user to join', async () => {
+            jest.spyOn(CodeRoom, 'findOneAndUpdate').mockReturnValue(query(null));
+            const create = jest.spyOn(CodeRoom, 'create').mockImplementation(async (fields) => new CodeRoom(fields));
+            const socket = connect(namespace, owner);
+
+            await socket.trigger('join-room', 'new-room');
+
+            expect(create).toHaveBeenCalledWith(expect.objectContaining({ roomId: 'new-room', owner }));
+            expect(socket.join).toHaveBeenCalledWith('new-room');
+        });
+
+        it("keeps other users out of someone else's room", async () => {
+            jest.spyOn(CodeRoom, 'findOneAndUpdate').mockReturnValue(query(null));
+            jest.spyOn(CodeRoom, 'create').mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+            const socket = connect(namespace, member);
+
+            await socket.trigger('join-room', 'algo-club');
+
+            expect(socket.join).not.toHaveBeenCalled();
+            expect(socket.emit).toHaveBeenCalledWith('editor-error', { message: 'You are not a member of this room' });
+        });
+
+        it('rejects malformed room ids', async () => {
+            const findOneAndUpdate = jest.spyOn(CodeRoom, 'findOneAndUpdate');
+            const socket = connect(namespace, owner);
+
+            await socket.trigger('join-room', { $ne: null });
+            await socket.trigger('join-room', 'x'.repeat(65));
+
+            expect(findOneAndUpdate).not.toHaveBeenCalled();
+            expect(socket.join).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('run-code', () => {
+        it('ignores sockets that have not joined a room', async () => {
+            const socket = connect(namespace, member);
+
+            await socket.trigger('run-code', { roomId: 'algo-club', language: 'javascript', code: '1' });
+
+            expect(CodeExecutionService.execute).not.toHaveBeenCalled();
+            expect(namespace.broadcasts).toEqual([]);
+        });
+
+        it('only runs code for the joined room', async () => {
+            jest.spyOn(CodeRoom, 'findOneAndUpdate').mockReturnValue(query(buildRoom()));
+            CodeExecutionService.execute.mockResolvedValue({ success: true, output: '2' });
+            const socket = connect(namespace, owner);
+            await socket.trigger('join-room', 'algo-club');
+
+            await socket.trigger('run-code', { roomId: 'other-room', language: 'javascript', code: '1' });
+            await socket.trigger('run-code', { language: 'javascript', code: '1 + 1' });
+
+            expect(CodeExecutionService.execute).toHaveBeenCalledTimes(1);
+            expect(CodeExecutionService.execute).toHaveBeenCalledWith('javascript', '1 + 1');
+            expect(namespace.broadcasts.map(b => [b.room, b.event])).toEqual([
+                ['algo-club', 'execution-start'],
+                ['algo-club', 'execution-result']
+            ]);
+        });
+    });
+
+    describe('add-member', () => {
+        it('only lets the owner add members', async () => {
+            jest.spyOn(CodeRoom, 'findOneAndUpdate').mockReturnValue(query(buildRoom({ members: [member] })));
+            const updateOne = jest.spyOn(CodeRoom, 'updateOne').mockResolvedValue({ matchedCount: 0 });
+            const socket = connect(namespace, member);
+            await socket.trigger('join-room', 'algo-club');
+            const ack = jest.fn();
+
+            const newcomer = objectId().toString();
+            await socket.trigger('add-member', { userId: newcomer }, ack);
+
+            expect(updateOne).toHaveBeenCalledWith({ roomId: 'algo-club', owner: member }, { $addToSet: { members: newcomer } });
+            expect(ack).toHaveBeenCalledWith({ success: false, message: 'Only the owner can add members' });
+        });
+    });
+});
+
+describe('Code room size limits', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('only creates a file when the project stays under the size cap', async () => {
+        const updateOne = jest.spyOn(CodeRoom, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+        const file = await CodeRoomService.createFile('algo-club', 'big.js', { content: 'é'.repeat(10) }, owner);
+
+        expect(file).toBeNull();
+        expect(updateOne.mock.calls[0][0]).toMatchObject(CodeRoomService.fitsProject(20));
+    });
+
+    it('counts an edited file at its new size instead of its old one', async () => {
+        const findOneAndUpdate = jest.spyOn(CodeRoom, 'findOneAndUpdate').mockReturnValue(query(null));
+        jest.spyOn(CodeRoom, 'findOne').mockReturnValue(query(buildRoom()));
+
+        const result = await CodeRoomService.saveFile('algo-club', 'main.js', 'x'.repeat(100), owner, 1);
+
+        expect(findOneAndUpdate.mock.calls[0][0]).toMatchObject(CodeRoomService.fitsProject(100, 'main.js'));
+        expect(result).toEqual({ saved: false, reason: 'too-large' });
+    });
+
+    it('still reports a stale edit as a conflict', async () => {
+        jest.spyOn(CodeRoom, 'findOneAndUpdate').mockReturnValue(query(null));
+        jest.spyOn(CodeRoom, 'findOne').mockReturnValue(query(buildRoom({
+            files: [{ path: 'main.js', content: 'newer', version: 3 }]
+        })));
+
+        const result = await CodeRoomService.saveFile('algo-club', 'main.js', 'older', owner, 2);
+
+        expect(result).toEqual({ saved: false, reason: 'conflict', current: { path: 'main.js', content: 'newer', version: 3 } });
+    });
+
+    it('keeps the whole project well below the 16MB document limit', () => {
+        expect(CodeRoomService.MAX_PROJECT_SIZE).toBeLessThan(16 * 1024 * 1024);
+        expect(CodeRoomService.MAX_PROJECT_SIZE).toBeGreaterThanOrEqual(CodeRoomService.MAX_FILE_SIZE);
+    });
+});
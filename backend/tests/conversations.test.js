@@ -0,0 +1,169 @@
+const fs = require('fs');
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../utils/logger', () => require('./mocks/logger'));
+jest.mock('../socket', () => ({ emitToUsers: jest.fn(), getIO: jest.fn(), isUserOnline: jest.fn() }));
+jest.mock('../middleware/rateLimitMiddleware', () => ({ apiLimiter: (req, res, next) => next() }));
+jest.mock('../utils/cache', () => ({
+    del: jest.fn().mockResolvedValue(1),
+    invalidatePattern: jest.fn().mockResolvedValue(0),
+    generateKey: (prefix, identifier) => `cache:${prefix}:${identifier}`
+}));
+
+const cache = require('../utils/cache');
+const ConversationMock = require('../mockdb/conversationDB');
+const ConversationService = require('../services/conversationService');
+const User = require('../models/User');
+const UserMock = require('../mockdb/userDB');
+const { query } = require('./mocks/query');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'college_media_secret_key';
+
+// Group conversations on the file-backed mock store
+describe('Group conversations', () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/conversations', require('../routes/conversations'));
+
+    const token = (userId) => `Bearer ${jwt.sign({ userId }, JWT_SECRET)}`;
+    const as = (userId) => ({
+        post: (url, body) => request(app).post(url).set('Authorization', token(userId)).send(body),
+        put: (url, body) => request(app).put(url).set('Authorization', token(userId)).send(body),
+        delete: (url) => request(app).delete(url).set('Authorization', token(userId))
+    });
+
+    const createConversation = async (body) => {
+        const res = await as('owner').post('/api/conversations', { title: 'Robotics club', ...body });
+        expect(res.statusCode).toBe(201);
+        return res.body.data;
+    };
+
+    // Users the mock store knows about
+    const USERS = new Set(['owner', 'newcomer', 'reader', 'member', 'deputy', 'admin-a', 'admin-b', 'alice', 'bob']);
+
+    beforeEach(() => {
+        // The mock backend persists to mockdb/*.json; keep test data in memory
+        jest.spyOn(fs, 'writeFileSync').mockImplementation(() => {});
+        jest.spyOn(UserMock, 'findById').mockImplementation(id => (USERS.has(id) ? { _id: id } : undefined));
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+        jest.restoreAllMocks();
+    });
+
+    describe('join policy', () => {
+        it('lets anyone join an open conversation', async () => {
+            const conversation = await createConversation({ joinPolicy: 'open' });
+
+            const res = await as('newcomer').post(`/api/conversations/${conversation._id}/join`);
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data.members.map(m => m.user)).toContain('newcomer');
+        });
+
+        it('turns a join into a pending request on request-only conversations', async () => {
+            const conversation = await createConversation({ joinPolicy: 'request' });
+
+            const res = await as('newcomer').post(`/api/conversations/${conversation._id}/join`);
+            expect(res.statusCode).toBe(202);
+
+            const stored = await ConversationMock.findByIdLean(conversation._id);
+            expect(stored.members.map(m => m.user)).not.toContain('newcomer');
+            expect(stored.pendingRequests.map(r => r.user)).toContain('newcomer');
+        });
+
+        it('hides invite-only conversations from people who were not invited', async () => {
+            const conversation = await createConversation({ joinPolicy: 'invite' });
+
+            const res = await as('newcomer').post(`/api/conversations/${conversation._id}/join`);
+            expect(res.statusCode).toBe(404);
+        });
+    });
+
+    describe('member roles', () => {
+        it('only lets admins post in a channel', async () => {
+            const channel = await createConversation({ type: 'channel', memberIds: ['reader'] });
+
+            const denied = await as('reader').post(`/api/conversations/${channel._id}/messages`, { content: 'hello' });
+            expect(denied.statusCode).toBe(403);
+
+            const sent = await as('owner').post(`/api/conversations/${channel._id}/messages`, { content: 'Meeting at 5' });
+            expect(sent.statusCode).toBe(201);
+        });
+
+        it('does not let an admin remove another admin', async () => {
+            const conversation = await createConversation({ memberIds: ['admin-a', 'admin-b'] });
+            await as('owner').put(`/api/conversations/${conversation._id}/members/admin-a/role`, { role: 'admin' });
+            await as('owner').put(`/api/conversations/${conversation._id}/members/admin-b/role`, { role: 'admin' });
+
+            const res = await as('admin-a').delete(`/api/conversations/${conversation._id}/members/admin-b`);
+            expect(res.statusCode).toBe(403);
+        });
+
+        it('hands ownership to an admin when the owner leaves', async () => {
+            const conversation = await createConversation({ memberIds: ['member', 'deputy'] });
+            await as('owner').put(`/api/conversations/${conversation._id}/members/deputy/role`, { role: 'admin' });
+
+            const res = await as('owner').delete(`/api/conversations/${conversation._id}/members/owner`);
+            expect(res.statusCode).toBe(200);
+
+            const deputy = res.body.data.members.find(m => m.user === 'deputy');
+            expect(deputy.role).toBe('owner');
+        });
+
+        it('adds existing users and refuses unknown ones', async () => {
+            const conversation = await createConversation();
+
+            const added = await as('owner').post(`/api/conversations/${conversation._id}/members`, { userId: 'alice' });
+            const unknown = await as('owner').post(`/api/conversations/${conversation._id}/members`, { userId: 'ghost' });
+
+            expect(added.statusCode).toBe(201);
+            expect(unknown.statusCode).toBe(400);
+            const stored = await ConversationMock.findByIdLean(conversation._id);
+            expect(stored.members.map(m => m.user)).toEqual(['owner', 'alice']);
+        });
+
+        it('refuses to create a conversation with unknown members', async () => {
+            const res = await as('owner').post('/api/conversations', { title: 'Robotics club', memberIds: ['alice', 'ghost'] });
+            expect(res.statusCode).toBe(400);
+        });
+
+        it('answers 404 when the conversation disappears while a member is removed', async () => {
+            const conversation = await createConversation({ memberIds: ['member'] });
+            jest.spyOn(ConversationMock, 'removeMember').mockResolvedValueOnce(null);
+
+            const res = await as('member').delete(`/api/conversations/${conversation._id}/members/member`);
+            expect(res.statusCode).toBe(404);
+        });
+    });
+
+    it("clears every member's cached unread count when a message is sent", async () => {
+        const conversation = await createConversation({ memberIds: ['alice', 'bob'] });
+
+        const res = await as('owner').post(`/api/conversations/${conversation._id}/messages`, { content: 'Hi all' });
+        expect(res.statusCode).toBe(201);
+
+        const cleared = cache.del.mock.calls.map(([key]) => key);
+        expect(cleared).toEqual(expect.arrayContaining([
+            'cache:user-unread-count:owner',
+            'cache:user-unread-count:alice',
+            'cache:user-unread-count:bob'
+        ]));
+    });
+});
+
+describe('Member lookup on MongoDB', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('reports ids that match no active user', async () => {
+        const [known, unknown] = ['64b000000000000000000001', '64b000000000000000000002'];
+        const find = jest.spyOn(User, 'find').mockReturnValue(query([{ _id: known }]));
+
+        expect(await ConversationService.findMissingUsers([known, unknown, known], true)).toEqual([unknown]);
+        expect(find).toHaveBeenCalledWith({ _id: { $in: [known, unknown] }, isDeleted: { $ne: true } });
+    });
+});
@@ -0,0 +1,234 @@
+jest.mock('../utils/logger', () => require('./mocks/logger'));
+jest.mock('../middleware/rateLimitMiddleware', () => ({ apiLimiter: (req, res, next) => next() }));
+jest.mock('../services/searchIndexService', () => ({ searchCourses: jest.fn() }));
+
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const User = require('../models/User');
+const { query } = require('./mocks/query');
+const { objectId } = require('./mocks/fixtures');
+const { routeApp } = require('./mocks/app');
+
+const api = routeApp('/api/courses', require('../routes/courses'));
+
+const instructor = objectId();
+const student = objectId();
+
+const buildCourse = (fields = {}) => {
+    const intro = { _id: objectId(), title: 'Intro' };
+    const project = { _id: objectId(), title: 'Project', prerequisites: [intro._id] };
+    return new Course({
+        title: 'Data Structures',
+        instructor,
+        status: 'published',
+        modules: [{ title: 'Basics', lessons: [intro, project] }],
+        ...fields
+    });
+};
+
+const buildEnrollment = (course, fields = {}) => new Enrollment({ course: course._id, user: student, ...fields });
+
+beforeEach(() => {
+    jest.spyOn(User, 'findById').mockImplementation((id) => query({
+        _id: id,
+        role: id.toString() === instructor.toString() ? 'instructor' : 'user'
+    }));
+    jest.spyOn(Course, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('Course management', () => {
+    it('only lets instructors create courses', async () => {
+        const create = jest.spyOn(Course, 'create').mockImplementation(async (fields) => new Course(fields));
+
+        const denied = await api.as(student).post('/api/courses', { title: 'My course' });
+        const res = await api.as(instructor).post('/api/courses', { title: 'Algorithms', enrollmentCount: 999 });
+
+        expect(denied.statusCode).toBe(403);
+        expect(res.statusCode).toBe(201);
+        expect(create).toHaveBeenCalledTimes(1);
+        expect(res.body.data).toMatchObject({ title: 'Algorithms', instructor: instructor.toString(), status: 'draft', enrollmentCount: 0 });
+    });
+
+    it('hides drafts from everyone but their instructor', async () => {
+        const course = buildCourse({ status: 'draft' });
+        jest.spyOn(Course, 'findById').mockResolvedValue(course);
+
+        const res = await api.as(student).post(`/api/courses/${course._id}/enroll`);
+
+        expect(res.statusCode).toBe(404);
+    });
+
+    it("refuses edits from anyone but the course's instructor", async () => {
+        const course = buildCourse({ instructor: objectId() });
+        jest.spyOn(Course, 'findById').mockResolvedValue(course);
+        const save = jest.spyOn(course, 'save');
+
+        const res = await api.as(instructor).patch(`/api/courses/${course._id}`, { title: 'Taken over' });
+
+        expect(res.statusCode).toBe(403);
+        expect(save).not.toHaveBeenCalled();
+    });
+});
+
+describe('POST /api/courses/:courseId/enroll', () => {
+    let course;
+
+    beforeEach(() => {
+        course = buildCourse();
+        jest.spyOn(Course, 'findById').mockResolvedValue(course);
+    });
+
+    it('requires a token', async () => {
+        const res = await api.anonymous().post(`/api/courses/${course._id}/enroll`);
+
+        expect(res.statusCode).toBe(401);
+    });
+
+    it('enrolls a new student and counts them once', async () => {
+        jest.spyOn(Enrollment, 'findOne').mockResolvedValue(null);
+        const create = jest.spyOn(Enrollment, 'create').mockImplementation(async (fields) => new Enrollment(fields));
+
+        const res = await api.as(student).post(`/api/courses/${course._id}/enroll`);
+
+        expect(res.statusCode).toBe(201);
+        expect(create).toHaveBeenCalledWith(expect.objectContaining({ course: course._id, user: student.toString() }));
+        expect(Course.updateOne).toHaveBeenCalledWith({ _id: course._id }, { $inc: { enrollmentCount: 1 } });
+    });
+
+    it('does not let instructors enroll in their own course', async () => {
+        const res = await api.as(instructor).post(`/api/courses/${course._id}/enroll`);
+
+        expect(res.statusCode).toBe(400);
+        expect(Course.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('returns 409 to students who are already enrolled', async () => {
+        jest.spyOn(Enrollment, 'findOne').mockResolvedValue(buildEnrollment(course));
+
+        const res = await api.as(student).post(`/api/courses/${course._id}/enroll`);
+
+        expect(res.statusCode).toBe(409);
+        expect(Course.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('lists prerequisite courses that are not completed yet', async () => {
+        const basics = objectId();
+        course.prerequisites = [basics];
+        jest.spyOn(Enrollment, 'findOne').mockResolvedValue(null);
+        jest.spyOn(Enrollment, 'find').mockReturnValue({ distinct: async () => [] });
+        jest.spyOn(Course, 'find').mockReturnValue(query([{ _id: basics, title: 'Programming 101' }]));
+
+        const res = await api.as(student).post(`/api/courses/${course._id}/enroll`);
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.data.missingPrerequisites).toEqual([{ _id: basics.toString(), title: 'Programming 101' }]);
+    });
+
+    it('reactivates a dropped enrollment with its progress and counts it again', async () => {
+        const [intro] = course.modules[0].lessons;
+        const dropped = buildEnrollment(course, { status: 'dropped', completedLessons: [{ lesson: intro._id }], lastLesson: intro._id });
+        const reactivated = buildEnrollment(course, { _id: dropped._id, completedLessons: [{ lesson: intro._id }] });
+        jest.spyOn(Enrollment, 'findOne').mockResolvedValue(dropped);
+        const reactivate = jest.spyOn(Enrollment, 'findOneAndUpdate').mockResolvedValue(reactivated);
+        jest.spyOn(Enrollment, 'findById').mockResolvedValue(reactivated);
+        jest.spyOn(reactivated, 'save').mockResolvedValue(reactivated);
+
+        const res = await api.as(student).post(`/api/courses/${course._id}/enroll`);
+
+        expect(res.statusCode).toBe(201);
+        expect(reactivate.mock.calls[0][0]).toEqual({ _id: dropped._id, status: 'dropped' });
+        expect(res.body.data).toMatchObject({ status: 'active', progressPercent: 50 });
+        expect(Course.updateOne).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not count a re-enrollment that lost the race to another request', async () => {
+        jest.spyOn(Enrollment, 'findOne').mockResolvedValue(buildEnrollment(course, { status: 'dropped' }));
+        jest.spyOn(Enrollment, 'findOneAndUpdate').mockResolvedValue(null);
+
+        const res = await api.as(student).post(`/api/courses/${course._id}/enroll`);
+
+        expect(res.statusCode).toBe(409);
+        expect(Course.updateOne).not.toHaveBeenCalled();
+    });
+});
+
+describe('DELETE /api/courses/:courseId/enroll', () => {
+    let course;
+
+    beforeEach(() => {
+        course = buildCourse();
+        jest.spyOn(Course, 'findById').mockResolvedValue(course);
+    });
+
+    it('drops the course and decrements the count', async () => {
+        const drop = jest.spyOn(Enrollment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+        const res = await api.as(student).delete(`/api/courses/${course._id}/enroll`);
+
+        expect(res.statusCode).toBe(200);
+        expect(drop.mock.calls[0][0]).toEqual({ course: course._id, user: student.toString(), status: { $ne: 'dropped' } });
+        expect(Course.updateOne).toHaveBeenCalledWith(
+            { _id: course._id, enrollmentCount: { $gt: 0 } },
+            { $inc: { enrollmentCount: -1 } }
+        );
+    });
+
+    it('leaves the count alone for students who were not enrolled', async () => {
+        jest.spyOn(Enrollment, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+        const res = await api.as(student).delete(`/api/courses/${course._id}/enroll`);
+
+        expect(res.statusCode).toBe(404);
+        expect(Course.updateOne).not.toHaveBeenCalled();
+    });
+});
+
+describe('Lesson progress', () => {
+    let course;
+
+    beforeEach(() => {
+        course = buildCourse();
+        jest.spyOn(Course, 'findById').mockResolvedValue(course);
+    });
+
+    it('requires an enrollment', async () => {
+        jest.spyOn(Enrollment, 'findOne').mockResolvedValue(null);
+        const [intro] = course.modules[0].lessons;
+
+        const res = await api.as(student).post(`/api/courses/${course._id}/lessons/${intro._id}/complete`);
+
+        expect(res.statusCode).toBe(403);
+    });
+
+    it('blocks lessons whose prerequisite lessons are not done', async () => {
+        const [intro, project] = course.modules[0].lessons;
+        jest.spyOn(Enrollment, 'findOne').mockResolvedValue(buildEnrollment(course));
+        const update = jest.spyOn(Enrollment, 'updateOne');
+
+        const res = await api.as(student).post(`/api/courses/${course._id}/lessons/${project._id}/complete`);
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.data.missingPrerequisites).toEqual([intro._id.toString()]);
+        expect(update).not.toHaveBeenCalled();
+    });
+
+    it('completes the course with its last lesson', async () => {
+        const [intro, project] = course.modules[0].lessons;
+        const enrollment = buildEnrollment(course, { completedLessons: [{ lesson: intro._id }] });
+        const updated = buildEnrollment(course, { _id: enrollment._id, completedLessons: [{ lesson: intro._id }, { lesson: project._id }] });
+        jest.spyOn(Enrollment, 'findOne').mockResolvedValue(enrollment);
+        jest.spyOn(Enrollment, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+        jest.spyOn(Enrollment, 'findById').mockResolvedValue(updated);
+        jest.spyOn(updated, 'save').mockResolvedValue(updated);
+
+        const res = await api.as(student).post(`/api/courses/${course._id}/lessons/${project._id}/complete`);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data).toMatchObject({ status: 'completed', completed: 2, total: 2, percent: 100 });
+        expect(updated.completedAt).toBeInstanceOf(Date);
+    });
+});
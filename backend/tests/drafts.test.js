@@ -0,0 +1,100 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../socket', () => ({ emitToUsers: jest.fn(), getIO: jest.fn(), isUserOnline: jest.fn() }));
+jest.mock('../services/notificationService', () => ({ sendNotification: jest.fn() }));
+jest.mock('../middleware/rateLimitMiddleware', () => ({ apiLimiter: (req, res, next) => next() }));
+jest.mock('../services/aiModerator', () => ({}));
+jest.mock('../services/searchIndexService', () => ({ upsertDocument: jest.fn(), deleteDocument: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const SearchController = require('../controllers/searchController');
+const SearchIndexService = require('../services/searchIndexService');
+const { syncPost } = require('../listeners/mongoSync');
+
+const HIDDEN = { $nin: ['draft', 'scheduled'] };
+
+describe('Drafts stay out of listings and search', () => {
+    let filters;
+
+    // Run queries through the schema hooks, then record the filter that would reach MongoDB
+    beforeEach(() => {
+        filters = [];
+        const record = (result) => async function () {
+            filters.push(this.getFilter());
+            return result;
+        };
+        jest.spyOn(mongoose.Query.prototype, '_find').mockImplementation(record([]));
+        jest.spyOn(mongoose.Query.prototype, '_countDocuments').mockImplementation(record(0));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('GET /api/posts only asks for published posts', async () => {
+        const app = express();
+        app.use('/api/posts', require('../routes/posts'));
+
+        const res = await request(app).get('/api/posts');
+
+        expect(res.statusCode).toBe(200);
+        expect(filters[0]).toMatchObject({ isDeleted: false, visibility: 'public', status: HIDDEN });
+    });
+
+    it('post search only matches and counts published posts', async () => {
+        await SearchController.searchPosts('hackathon', { sortBy: 'recent' });
+
+        expect(filters).toHaveLength(2);
+        filters.forEach(filter => expect(filter).toMatchObject({ $text: { $search: 'hackathon' }, status: HIDDEN }));
+    });
+
+    it('hides unpublished posts from aggregations such as trending tags', async () => {
+        jest.spyOn(Post.collection, 'aggregate').mockImplementation(() => ({ toArray: async () => [] }));
+        const aggregate = Post.aggregate([{ $match: { isDeleted: false } }, { $unwind: '$tags' }]);
+
+        await aggregate.exec();
+
+        expect(aggregate.pipeline()[0]).toEqual({ $match: { status: HIDDEN } });
+    });
+
+    it('still finds drafts for queries that ask for them by status', async () => {
+        await Post.find({ user: new mongoose.Types.ObjectId(), status: 'draft' });
+
+        expect(filters[0].status).toBe('draft');
+    });
+});
+
+describe('Search index sync for drafts', () => {
+    const doc = (fields = {}) => ({
+        _id: new mongoose.Types.ObjectId(),
+        user: new mongoose.Types.ObjectId(),
+        content: 'Hackathon next week',
+        visibility: 'public',
+        isDeleted: false,
+        ...fields
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it.each(['draft', 'scheduled'])('removes %s posts from the index', async (status) => {
+        const post = doc({ status });
+
+        await syncPost(post);
+
+        expect(SearchIndexService.upsertDocument).not.toHaveBeenCalled();
+        expect(SearchIndexService.deleteDocument).toHaveBeenCalledWith('posts', post._id.toString());
+    });
+
+    it('indexes a post once it is published', async () => {
+        const post = doc({ status: 'published' });
+
+        await syncPost(post);
+
+        expect(SearchIndexService.upsertDocument).toHaveBeenCalledWith('posts', expect.objectContaining({ id: post._id.toString() }));
+    });
+});
@@ -0,0 +1,185 @@
+jest.mock('../utils/logger', () => require('./mocks/logger'));
+jest.mock('../socket', () => require('./mocks/socket'));
+jest.mock('../services/notificationService', () => ({ sendNotification: jest.fn(async () => {}) }));
+jest.mock('../middleware/rateLimitMiddleware', () => ({ apiLimiter: (req, res, next) => next() }));
+jest.mock('../services/aiModerator', () => ({}));
+jest.mock('../events/publisher', () => ({ publish: jest.fn() }));
+jest.mock('../utils/redisClient', () => ({ isConnected: () => false, del: jest.fn() }));
+
+const Post = require('../models/Post');
+const User = require('../models/User');
+const UserInterest = require('../models/UserInterest');
+const EventPublisher = require('../events/publisher');
+const HashtagService = require('../services/hashtagService');
+const { query } = require('./mocks/query');
+const { objectId, buildPost } = require('./mocks/fixtures');
+const { routeApp } = require('./mocks/app');
+
+describe('Tag extraction', () => {
+    it('lowercases and dedupes tags written in the text', () => {
+        expect(HashtagService.extractTags('#Hackathon tonight! #hackathon #AI_club #2026'))
+            .toEqual(['hackathon', 'ai_club', '2026']);
+    });
+
+    it('accepts tags in other scripts and after punctuation', () => {
+        expect(HashtagService.extractTags('(#café) ,#日本語')).toEqual(['café', '日本語']);
+    });
+
+    it('ignores a # inside a word or an HTML entity', () => {
+        expect(HashtagService.extractTags('C#sharp a#b it&#39;s issue#12')).toEqual([]);
+    });
+
+    it('returns nothing for missing text', () => {
+        expect(HashtagService.extractTags(undefined)).toEqual([]);
+        expect(HashtagService.extractTags('# alone')).toEqual([]);
+    });
+
+    it('normalizes picked tags', () => {
+        expect(HashtagService.normalize('  #WebDev ')).toBe('webdev');
+        expect(HashtagService.normalize(42)).toBe('');
+    });
+});
+
+describe('Mention extraction', () => {
+    it('finds @usernames and drops a sentence-ending dot', () => {
+        expect(HashtagService.extractUsernames('Thanks @jane.doe and @sam_k. See you, @jane.doe!'))
+            .toEqual(['jane.doe', 'sam_k']);
+    });
+
+    it('does not treat email addresses as mentions', () => {
+        expect(HashtagService.extractUsernames('Mail jane@example.com or first.last@uni.edu')).toEqual([]);
+    });
+
+    it('ignores a lone @ and names that start with a dot', () => {
+        expect(HashtagService.extractUsernames('meet @ 5pm, @.hidden')).toEqual([]);
+    });
+});
+
+describe('Post entities', () => {
+    const authorId = objectId();
+    const jane = objectId();
+
+    afterEach(() => {
+        jest.clearAllMocks();
+        jest.restoreAllMocks();
+    });
+
+    it('merges picked tags with tags from the text', async () => {
+        const result = await HashtagService.entities('Demo day #Robotics', ['#robotics', ' Showcase ', ''], authorId);
+
+        expect(result).toEqual({ tags: ['robotics', 'showcase'], mentions: [] });
+    });
+
+    it('resolves mentions to users and leaves out the author', async () => {
+        const find = jest.spyOn(User, 'find').mockReturnValue(query([{ _id: jane }, { _id: authorId }]));
+
+        const { mentions } = await HashtagService.entities('cc @jane @me @ghost', [], authorId);
+
+        expect(find).toHaveBeenCalledWith({ username: { $in: ['jane', 'me', 'ghost'] }, isDeleted: { $ne: true } });
+        expect(mentions).toEqual([jane]);
+    });
+
+    it('skips the user lookup when nobody is mentioned', async () => {
+        const find = jest.spyOn(User, 'find');
+
+        await HashtagService.entities('No mentions, mail me@example.com', [], authorId);
+
+        expect(find).not.toHaveBeenCalled();
+    });
+
+    it('swaps tags from the old text for tags from the new text on edit', () => {
+        const tags = HashtagService.retag(['picked', 'old', 'kept'], 'Was #old and #kept', 'Now #new and #kept');
+
+        expect(tags).toEqual(['picked', 'new', 'kept']);
+    });
+});
+
+describe('Mention notifications', () => {
+    afterEach(() => {
+        jest.clearAllMocks();
+        jest.restoreAllMocks();
+    });
+
+    it('notifies mentioned users who can see the post, never the author', async () => {
+        const [author, follower, stranger] = [0, 1, 2].map(objectId);
+        const post = buildPost({ user: author, content: 'Great talk @follower @stranger', visibility: 'followers' });
+        jest.spyOn(User, 'exists').mockImplementation(async ({ followers }) => followers.equals(follower));
+
+        await HashtagService.notifyMentions(post, [author, follower, stranger]);
+
+        expect(EventPublisher.publish).toHaveBeenCalledTimes(1);
+        expect(EventPublisher.publish).toHaveBeenCalledWith('USER_MENTIONED', expect.objectContaining({
+            targetUserId: follower,
+            actorId: author.toString(),
+            postId: post._id
+        }));
+    });
+});
+
+describe('Hashtag routes', () => {
+    const api = routeApp('/api/hashtags', require('../routes/hashtags'));
+    const reader = objectId();
+
+    afterEach(() => {
+        jest.clearAllMocks();
+        jest.restoreAllMocks();
+    });
+
+    it('serves a hashtag page with its public posts and follower count', async () => {
+        const post = buildPost({ content: 'Team up for the #hackathon', tags: ['hackathon'] });
+        const find = jest.spyOn(Post, 'find').mockReturnValue(query([post]));
+        jest.spyOn(Post, 'countDocuments').mockResolvedValue(1);
+        jest.spyOn(UserInterest, 'countDocuments').mockResolvedValue(12);
+        jest.spyOn(UserInterest, 'exists').mockResolvedValue({ _id: objectId() });
+
+        const res = await api.as(reader).get('/api/hashtags/%23Hackathon');
+
+        expect(res.statusCode).toBe(200);
+        expect(find).toHaveBeenCalledWith({ tags: 'hackathon', isDeleted: false, visibility: 'public' });
+        expect(res.body.data).toMatchObject({ tag: 'hackathon', postCount: 1, followerCount: 12, isFollowing: true });
+        expect(res.body.data.posts.map(p => p._id)).toEqual([post._id.toString()]);
+    });
+
+    it('rejects tags that could not have been written in a post', async () => {
+        expect((await api.anonymous().get('/api/hashtags/not-a-tag')).statusCode).toBe(400);
+    });
+
+    it('needs a token to follow a hashtag', async () => {
+        expect((await api.anonymous().post('/api/hashtags/hackathon/follow')).statusCode).toBe(401);
+    });
+
+    it('follows a hashtag and reports the new follower count', async () => {
+        jest.spyOn(UserInterest, 'getOrCreate').mockResolvedValue(new UserInterest({ user: reader }));
+        const update = jest.spyOn(UserInterest, 'updateOne').mockResolvedValue({});
+        jest.spyOn(UserInterest, 'countDocuments').mockResolvedValue(13);
+
+        const res = await api.as(reader).post('/api/hashtags/Hackathon/follow');
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data).toEqual({ tag: 'hackathon', isFollowing: true, followerCount: 13 });
+        expect(update).toHaveBeenCalledWith({ user: reader.toString() }, { $addToSet: { followedHashtags: 'hackathon' } });
+    });
+});
+
+describe('Followed hashtags in the recommended feed', () => {
+    const api = routeApp('/api/posts', require('../routes/posts'));
+    const reader = objectId();
+
+    afterEach(() => {
+        jest.clearAllMocks();
+        jest.restoreAllMocks();
+    });
+
+    it('scores followed tags and leaves out the reader\'s own posts', async () => {
+        jest.spyOn(UserInterest, 'getOrCreate').mockResolvedValue(new UserInterest({ user: reader, followedHashtags: ['hackathon'] }));
+        const aggregate = jest.spyOn(Post, 'aggregate').mockResolvedValue([]);
+
+        const res = await api.as(reader).get('/api/posts/feed/recommended');
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data.isFallback).toBeUndefined();
+        const [pipeline] = aggregate.mock.calls[0];
+        expect(pipeline[0].$match.user).toEqual({ $ne: reader });
+        expect(pipeline[1].$addFields.followedTagScore).toEqual({ $size: { $ifNull: [{ $setIntersection: ['$tags', ['hackathon']] }, []] } });
+    });
+});
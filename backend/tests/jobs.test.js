@@ -0,0 +1,318 @@
+jest.mock('../utils/logger', () => require('./mocks/logger'));
+jest.mock('../middleware/rateLimitMiddleware', () => ({ apiLimiter: (req, res, next) => next() }));
+jest.mock('../services/notificationService', () => ({ sendNotification: jest.fn(async () => {}) }));
+jest.mock('../jobs/jobMatcher', () => ({ add: jest.fn(async () => {}) }));
+
+const Alumni = require('../models/Alumni');
+const Job = require('../models/Job');
+const JobApplication = require('../models/JobApplication');
+const JobMatch = require('../models/JobMatch');
+const Resume = require('../models/Resume');
+const User = require('../models/User');
+const NotificationService = require('../services/notificationService');
+const JobService = require('../services/jobService');
+const aiService = require('../services/aiService');
+const matchQueue = require('../jobs/jobMatcher');
+const { query } = require('./mocks/query');
+const { objectId } = require('./mocks/fixtures');
+const { routeApp } = require('./mocks/app');
+
+const api = routeApp('/api/jobs', require('../routes/jobs'));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const alumnus = objectId();
+const admin = objectId();
+const student = objectId();
+
+const alumniProfile = { _id: objectId(), currentCompany: 'Acme' };
+
+const buildJob = (fields = {}) => new Job({
+    title: 'Frontend intern',
+    company: 'Acme',
+    description: 'Build dashboards',
+    type: 'internship',
+    skills: ['react', 'node'],
+    tags: ['frontend'],
+    postedBy: alumnus,
+    alumni: alumniProfile._id,
+    referralsEnabled: true,
+    ...fields
+});
+
+const buildResume = (fields = {}) => new Resume({
+    student,
+    summary: 'Built frontend dashboards for a campus club',
+    content: { skills: ['React'] },
+    ...fields
+});
+
+const buildApplication = (job, fields = {}) => new JobApplication({
+    job: job._id,
+    applicant: student,
+    resume: objectId(),
+    ...fields
+});
+
+beforeEach(() => {
+    jest.spyOn(User, 'findById').mockImplementation((id) => query(new User({ _id: id, role: id === admin.toString() ? 'admin' : 'user' })));
+    jest.spyOn(Alumni, 'findOne').mockImplementation(({ user }) => query(user.toString() === alumnus.toString() ? alumniProfile : null));
+    jest.spyOn(Job.prototype, 'save').mockImplementation(async function () {
+        await this.validate();
+        return this;
+    });
+    jest.spyOn(JobApplication.prototype, 'save').mockImplementation(async function () {
+        await this.validate();
+        return this;
+    });
+    jest.spyOn(Job, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(JobMatch, 'findOne').mockResolvedValue(null);
+});
+
+afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+});
+
+describe('Posting jobs', () => {
+    it('requires a token', async () => {
+        expect((await api.anonymous().get('/api/jobs')).statusCode).toBe(401);
+    });
+
+    it('lets alumni post open jobs at their current company', async () => {
+        const res = await api.as(alumnus).post('/api/jobs', {
+            title: 'Backend engineer',
+            description: 'APIs and queues',
+            referralsEnabled: true,
+            status: 'closed',
+            applicationCount: 40
+        });
+
+        expect(res.statusCode).toBe(201);
+        expect(res.body.data).toMatchObject({
+            company: 'Acme',
+            status: 'open',
+            applicationCount: 0,
+            postedBy: alumnus.toString(),
+            alumni: alumniProfile._id.toString(),
+            referralsEnabled: true
+        });
+    });
+
+    it('refuses postings from students', async () => {
+        const res = await api.as(student).post('/api/jobs', { title: 'Tutor', company: 'Me', description: 'Help' });
+
+        expect(res.statusCode).toBe(403);
+        expect(Job.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('only takes referral requests on alumni postings', async () => {
+        const res = await api.as(admin).post('/api/jobs', { title: 'TA', company: 'University', description: 'Grading', referralsEnabled: true });
+
+        expect(res.statusCode).toBe(400);
+    });
+
+    it('only lets the poster or an admin edit a posting', async () => {
+        const job = buildJob();
+        jest.spyOn(Job, 'findById').mockResolvedValue(job);
+
+        const denied = await api.as(student).patch(`/api/jobs/${job._id}`, { title: 'Senior intern' });
+        expect(denied.statusCode).toBe(403);
+        expect(job.title).toBe('Frontend intern');
+
+        const res = await api.as(admin).patch(`/api/jobs/${job._id}`, { status: 'closed' });
+        expect(res.statusCode).toBe(200);
+        expect(job.status).toBe('closed');
+    });
+});
+
+describe('Applying', () => {
+    let job;
+    let resume;
+
+    beforeEach(() => {
+        job = buildJob();
+        resume = buildResume();
+        jest.spyOn(Job, 'findById').mockResolvedValue(job);
+        jest.spyOn(Resume, 'findOne').mockResolvedValue(resume);
+        jest.spyOn(JobApplication, 'findOne').mockResolvedValue(null);
+    });
+
+    it('scores the application from resume keywords and queues an AI match', async () => {
+        const res = await api.as(student).post(`/api/jobs/${job._id}/apply`, { resumeId: resume._id.toString(), coverLetter: 'Hi' });
+
+        expect(res.statusCode).toBe(201);
+        expect(Resume.findOne).toHaveBeenCalledWith({ _id: resume._id.toString(), student: student.toString() });
+        expect(res.body.data).toMatchObject({ status: 'submitted', matchScore: 67, matchSource: 'keywords', referral: { status: 'none' } });
+        expect(Job.updateOne).toHaveBeenCalledWith({ _id: job._id }, { $inc: { applicationCount: 1 } });
+        expect(matchQueue.add).toHaveBeenCalledWith(
+            expect.objectContaining({ jobId: job._id.toString(), resumeId: resume._id.toString() }),
+            expect.objectContaining({ jobId: expect.stringContaining(`${job._id}:${resume._id}:`) })
+        );
+        expect(NotificationService.sendNotification).toHaveBeenCalledWith(expect.objectContaining({ recipient: alumnus, type: 'job' }));
+    });
+
+    it('asks the posting alumnus for a referral when requested', async () => {
+        const res = await api.as(student).post(`/api/jobs/${job._id}/apply`, { resumeId: resume._id.toString(), requestReferral: true, referralNote: 'We met at the mixer' });
+
+        expect(res.statusCode).toBe(201);
+        expect(res.body.data.referral).toMatchObject({ status: 'requested', note: 'We met at the mixer' });
+        expect(NotificationService.sendNotification).toHaveBeenCalledTimes(1);
+        expect(NotificationService.sendNotification.mock.calls[0][0].content).toMatch(/requested a referral$/);
+    });
+
+    it.each([
+        ['their own posting', alumnus, {}],
+        ['a job past its deadline', student, { deadline: new Date(Date.now() - DAY_MS) }],
+        ['a closed job', student, { status: 'closed' }]
+    ])('refuses applications to %s', async (_, applicant, fields) => {
+        job.set(fields);
+
+        const res = await api.as(applicant).post(`/api/jobs/${job._id}/apply`, { resumeId: resume._id.toString() });
+
+        expect(res.statusCode).toBe(400);
+        expect(JobApplication.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it("refuses someone else's resume", async () => {
+        Resume.findOne.mockResolvedValue(null);
+
+        const res = await api.as(student).post(`/api/jobs/${job._id}/apply`, { resumeId: objectId().toString() });
+
+        expect(res.statusCode).toBe(404);
+    });
+
+    it('returns 409 to students who already applied, but lets them re-apply after withdrawing', async () => {
+        JobApplication.findOne.mockResolvedValue(buildApplication(job));
+        const duplicate = await api.as(student).post(`/api/jobs/${job._id}/apply`, { resumeId: resume._id.toString() });
+
+        JobApplication.findOne.mockResolvedValue(buildApplication(job, { status: 'withdrawn' }));
+        const again = await api.as(student).post(`/api/jobs/${job._id}/apply`, { resumeId: resume._id.toString() });
+
+        expect(duplicate.statusCode).toBe(409);
+        expect(again.statusCode).toBe(201);
+        expect(again.body.data.status).toBe('submitted');
+        expect(Job.updateOne).not.toHaveBeenCalled();
+    });
+});
+
+describe('Referrals and review', () => {
+    let job;
+    let application;
+
+    beforeEach(() => {
+        job = buildJob();
+        application = buildApplication(job, { referral: { status: 'requested', note: 'Hi' } });
+        jest.spyOn(Job, 'findById').mockResolvedValue(job);
+        jest.spyOn(JobApplication, 'findOne').mockResolvedValue(application);
+    });
+
+    it('lets the posting alumnus refer the candidate', async () => {
+        const res = await api.as(alumnus).patch(`/api/jobs/${job._id}/applications/${application._id}/referral`, {
+            decision: 'refer',
+            recommendation: 'Strong React skills'
+        });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data.referral).toMatchObject({ status: 'referred', recommendation: 'Strong React skills' });
+        expect(NotificationService.sendNotification).toHaveBeenCalledWith(expect.objectContaining({
+            recipient: student,
+            content: 'referred you for Frontend intern at Acme'
+        }));
+    });
+
+    it('does not let applicants answer their own referral request', async () => {
+        const res = await api.as(student).patch(`/api/jobs/${job._id}/applications/${application._id}/referral`, { decision: 'refer' });
+
+        expect(res.statusCode).toBe(403);
+        expect(application.referral.status).toBe('requested');
+    });
+
+    it('hides applications from everyone but the applicant and poster', async () => {
+        const res = await api.as(objectId()).delete(`/api/jobs/${job._id}/applications/${application._id}`);
+
+        expect(res.statusCode).toBe(404);
+        expect(application.status).toBe('submitted');
+    });
+
+    it('ranks applicants by match, referred candidates first on a tie', async () => {
+        const applied = new Date('2026-10-01');
+        const entry = (name, fields) => ({ _id: objectId(), applicant: { username: name }, resume: { _id: objectId() }, referral: { status: 'none' }, createdAt: applied, ...fields });
+        const applicants = [
+            entry('unscored', {}),
+            entry('plain', { matchScore: 80, matchSource: 'ai' }),
+            entry('referred', { matchScore: 80, matchSource: 'keywords', referral: { status: 'referred' } })
+        ];
+        jest.spyOn(JobApplication, 'find').mockReturnValue(query(applicants));
+        jest.spyOn(JobMatch, 'find').mockReturnValue(query([]));
+
+        const denied = await api.as(student).get(`/api/jobs/${job._id}/applications`);
+        const res = await api.as(alumnus).get(`/api/jobs/${job._id}/applications`);
+
+        expect(denied.statusCode).toBe(403);
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data.map(a => a.applicant.username)).toEqual(['referred', 'plain', 'unscored']);
+        expect(res.body.analyzing).toBe(2);
+        expect(matchQueue.add).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('Resume matching', () => {
+    const job = buildJob();
+    const resume = buildResume();
+
+    it('caches AI analyses', async () => {
+        jest.spyOn(aiService, 'analyzeResumeAgainstJob').mockResolvedValue({
+            matchScore: 104,
+            overallRecommendation: 'Apply',
+            keywordAnalysis: { matchingKeywords: ['react'], missingKeywords: ['node'] }
+        });
+        const upsert = jest.spyOn(JobMatch, 'findOneAndUpdate').mockImplementation(async (filter, update) => update.$set);
+
+        const match = await JobService.analyze(job, resume);
+
+        expect(aiService.analyzeResumeAgainstJob.mock.calls[0][1]).toMatch(/^Frontend intern at Acme \(internship, onsite\)\nRequired skills: react, node/);
+        expect(upsert.mock.calls[0][0]).toEqual({ job: job._id, resume: resume._id });
+        expect(match).toMatchObject({ source: 'ai', matchScore: 100, missingKeywords: ['node'] });
+    });
+
+    it('falls back to the keyword estimate when the AI is unavailable', async () => {
+        jest.spyOn(aiService, 'analyzeResumeAgainstJob').mockRejectedValue(new Error('Mistral API key not configured'));
+        jest.spyOn(JobMatch, 'findOneAndUpdate').mockImplementation(async (filter, update) => update.$set);
+
+        const match = await JobService.analyze(job, resume);
+
+        expect(match).toMatchObject({
+            source: 'keywords',
+            matchScore: 67,
+            matchingKeywords: ['react', 'frontend'],
+            missingKeywords: ['node'],
+            error: 'Mistral API key not configured'
+        });
+    });
+
+    it('recommends open jobs the student has not applied to, best match first, and queues their analyses', async () => {
+        const applied = objectId();
+        const jobs = [buildJob({ title: 'Designer', skills: ['figma'], tags: [] }), buildJob()];
+        jest.spyOn(Resume, 'findOne').mockReturnValue(query(resume));
+        jest.spyOn(JobApplication, 'find').mockReturnValue({ distinct: async () => [applied] });
+        const find = jest.spyOn(Job, 'find').mockReturnValue(query(jobs));
+        jest.spyOn(JobMatch, 'find').mockResolvedValue([]);
+
+        const res = await api.as(student).get('/api/jobs/recommended');
+
+        expect(res.statusCode).toBe(200);
+        expect(find.mock.calls[0][0]).toMatchObject({ _id: { $nin: [applied] }, postedBy: { $ne: student.toString() }, status: 'open' });
+        expect(res.body.data.map(r => [r.job.title, r.matchScore])).toEqual([['Frontend intern', 67], ['Designer', 0]]);
+        expect(res.body.analyzing).toBe(2);
+        expect(matchQueue.add).toHaveBeenCalledTimes(2);
+    });
+
+    it('asks students without a resume to create one', async () => {
+        jest.spyOn(Resume, 'findOne').mockReturnValue(query(null));
+
+        const res = await api.as(student).get('/api/jobs/recommended');
+
+        expect(res.statusCode).toBe(404);
+    });
+});
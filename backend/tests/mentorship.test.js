@@ -0,0 +1,353 @@
+jest.mock('../utils/logger', () => require('./mocks/logger'));
+jest.mock('../services/notificationService', () => ({
+    sendNotification: jest.fn(async () => {}),
+    sendMentorshipReminder: jest.fn(async () => {})
+}));
+
+const Alumni = require('../models/Alumni');
+const MentorshipOffer = require('../models/MentorshipOffer');
+const MentorshipRequest = require('../models/MentorshipRequest');
+const MentorshipSession = require('../models/MentorshipSession');
+const StudyBuddyProfile = require('../models/StudyBuddyProfile');
+const User = require('../models/User');
+const NotificationService = require('../services/notificationService');
+const MentorshipService = require('../services/mentorshipService');
+const { query } = require('./mocks/query');
+const { objectId } = require('./mocks/fixtures');
+const { routeApp } = require('./mocks/app');
+
+const api = routeApp('/api/alumni', require('../routes/alumni'));
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const mentorUser = objectId();
+const otherMentorUser = objectId();
+const student = objectId();
+
+const buildAlumni = (user, fields = {}) => new Alumni({
+    user,
+    graduationYear: 2015,
+    degree: 'BTech',
+    major: 'Computer Science',
+    industry: 'Software',
+    skills: ['React', 'Node'],
+    ...fields
+});
+
+const mentorProfile = buildAlumni(mentorUser);
+const otherMentorProfile = buildAlumni(otherMentorUser);
+const PROFILES = {
+    [mentorUser]: mentorProfile,
+    [otherMentorUser]: otherMentorProfile
+};
+
+const buildOffer = (fields = {}) => new MentorshipOffer({
+    mentor: mentorProfile._id,
+    title: 'Breaking into frontend',
+    topics: ['react'],
+    capacity: 3,
+    slots: [{ startsAt: new Date(Date.now() + 48 * HOUR_MS), endsAt: new Date(Date.now() + 49 * HOUR_MS) }],
+    ...fields
+});
+
+const buildRequest = (offer, fields = {}) => new MentorshipRequest({
+    offer: offer._id,
+    mentor: mentorProfile._id,
+    mentee: student,
+    ...fields
+});
+
+const buildSession = (offer, fields = {}) => new MentorshipSession({
+    offer: offer._id,
+    request: objectId(),
+    mentor: mentorProfile._id,
+    mentee: student,
+    slot: offer.slots[0]._id,
+    startsAt: new Date(Date.now() - 2 * HOUR_MS),
+    endsAt: new Date(Date.now() - HOUR_MS),
+    ...fields
+});
+
+// Stand in for offer.populate('mentor') with the mentor's alumni profile
+const populateMentor = (offer) => jest.spyOn(offer, 'populate').mockImplementation(async function () {
+    this.mentor = mentorProfile;
+    return this;
+});
+
+const saves = (doc) => jest.spyOn(doc, 'save').mockResolvedValue(doc);
+
+beforeEach(() => {
+    jest.spyOn(User, 'findById').mockImplementation((id) => query(new User({ _id: id, username: `user-${id}` })));
+    jest.spyOn(Alumni, 'findOne').mockImplementation(({ user }) => query(PROFILES[user] || null));
+    jest.spyOn(Alumni, 'findById').mockImplementation((id) => query(
+        Object.values(PROFILES).find(profile => profile._id.toString() === id.toString()) || null
+    ));
+    jest.spyOn(StudyBuddyProfile, 'findOne').mockReturnValue(query(null));
+    jest.spyOn(MentorshipRequest, 'aggregate').mockResolvedValue([]);
+});
+
+afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+});
+
+describe('Mentorship offers', () => {
+    it('requires a token', async () => {
+        expect((await api.anonymous().get('/api/alumni/mentorship/offers')).statusCode).toBe(401);
+    });
+
+    it('lets alumni publish offers and marks them available for mentorship', async () => {
+        jest.spyOn(MentorshipOffer, 'create').mockImplementation(async (fields) => {
+            const offer = new MentorshipOffer(fields);
+            await offer.validate();
+            return offer;
+        });
+        const profileSave = saves(mentorProfile);
+        const startsAt = new Date(Date.now() + 24 * HOUR_MS);
+
+        const res = await api.as(mentorUser).post('/api/alumni/mentorship/offers', {
+            title: 'System design office hours',
+            topics: ['Architecture'],
+            slots: [{ startsAt: startsAt.toISOString(), endsAt: new Date(startsAt.getTime() + HOUR_MS).toISOString(), status: 'booked' }]
+        });
+
+        expect(res.statusCode).toBe(201);
+        expect(res.body.data).toMatchObject({ mentor: mentorProfile._id.toString(), topics: ['architecture'], capacity: 3 });
+        expect(res.body.data.slots).toEqual([expect.objectContaining({ status: 'open' })]);
+        expect(mentorProfile.mentorshipAvailable).toBe(true);
+        expect(profileSave).toHaveBeenCalled();
+    });
+
+    it('refuses offers from students without an alumni profile', async () => {
+        const create = jest.spyOn(MentorshipOffer, 'create');
+
+        const res = await api.as(student).post('/api/alumni/mentorship/offers', { title: 'Not an alumnus' });
+
+        expect(res.statusCode).toBe(404);
+        expect(create).not.toHaveBeenCalled();
+    });
+
+    it("refuses changes to another alumnus's offer", async () => {
+        const offer = buildOffer();
+        jest.spyOn(MentorshipOffer, 'findById').mockResolvedValue(offer);
+        const save = jest.spyOn(offer, 'save');
+
+        const res = await api.as(otherMentorUser).put(`/api/alumni/mentorship/offers/${offer._id}`, { capacity: 10 });
+
+        expect(res.statusCode).toBe(403);
+        expect(save).not.toHaveBeenCalled();
+    });
+});
+
+describe('Mentorship requests', () => {
+    it('records why the mentor was a match and tells the mentor', async () => {
+        const offer = buildOffer();
+        jest.spyOn(MentorshipOffer, 'findById').mockResolvedValue(offer);
+        populateMentor(offer);
+        jest.spyOn(MentorshipRequest, 'findOne').mockResolvedValue(null);
+        jest.spyOn(StudyBuddyProfile, 'findOne').mockReturnValue(query({ major: 'computer science', subjects: ['react'] }));
+        const create = jest.spyOn(MentorshipRequest, 'create').mockImplementation(async (fields) => new MentorshipRequest(fields));
+
+        const res = await api.as(student).post(`/api/alumni/mentorship/offers/${offer._id}/requests`, { goals: 'Land an internship' });
+
+        expect(res.statusCode).toBe(201);
+        expect(create).toHaveBeenCalledWith(expect.objectContaining({
+            mentor: mentorProfile._id,
+            mentee: student.toString(),
+            matchScore: 48,
+            matchReasons: ['Can help with react', 'Also studied Computer Science', '1 open slot']
+        }));
+        expect(NotificationService.sendNotification).toHaveBeenCalledWith(expect.objectContaining({ recipient: mentorUser, type: 'mentorship' }));
+    });
+
+    it('does not let alumni request their own offer', async () => {
+        const offer = buildOffer();
+        jest.spyOn(MentorshipOffer, 'findById').mockResolvedValue(offer);
+        populateMentor(offer);
+
+        const res = await api.as(mentorUser).post(`/api/alumni/mentorship/offers/${offer._id}/requests`, {});
+
+        expect(res.statusCode).toBe(400);
+    });
+
+    it('turns students away once the mentor is at capacity', async () => {
+        const offer = buildOffer({ capacity: 1 });
+        jest.spyOn(MentorshipOffer, 'findById').mockResolvedValue(offer);
+        populateMentor(offer);
+        jest.spyOn(MentorshipRequest, 'findOne').mockResolvedValue(null);
+        jest.spyOn(MentorshipRequest, 'aggregate').mockResolvedValue([{ _id: offer._id, count: 1 }]);
+        const create = jest.spyOn(MentorshipRequest, 'create');
+
+        const res = await api.as(student).post(`/api/alumni/mentorship/offers/${offer._id}/requests`, {});
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.message).toBe('This mentor has no capacity right now');
+        expect(create).not.toHaveBeenCalled();
+    });
+
+    it('only lets the mentor answer a request', async () => {
+        const offer = buildOffer();
+        const request = buildRequest(offer);
+        jest.spyOn(MentorshipRequest, 'findById').mockResolvedValue(request);
+        jest.spyOn(MentorshipOffer, 'findById').mockResolvedValue(offer);
+        saves(request);
+
+        const mentee = await api.as(student).put(`/api/alumni/mentorship/requests/${request._id}`, { status: 'accepted' });
+        expect(mentee.statusCode).toBe(403);
+
+        const mentor = await api.as(mentorUser).put(`/api/alumni/mentorship/requests/${request._id}`, { status: 'accepted' });
+        expect(mentor.statusCode).toBe(200);
+        expect(mentor.body.data.status).toBe('accepted');
+        expect(NotificationService.sendNotification).toHaveBeenCalledWith(expect.objectContaining({ recipient: student, sender: mentorUser }));
+    });
+});
+
+describe('Booking sessions', () => {
+    let offer;
+
+    beforeEach(() => {
+        offer = buildOffer();
+        offer.mentor = mentorProfile;
+    });
+
+    it('requires an accepted request', async () => {
+        jest.spyOn(MentorshipRequest, 'findById').mockResolvedValue(buildRequest(offer));
+        const claim = jest.spyOn(MentorshipOffer, 'findOneAndUpdate');
+
+        const res = await api.as(student).post(`/api/alumni/mentorship/requests/${objectId()}/book`, { slotId: offer.slots[0]._id.toString() });
+
+        expect(res.statusCode).toBe(400);
+        expect(claim).not.toHaveBeenCalled();
+    });
+
+    it("hides other students' requests", async () => {
+        jest.spyOn(MentorshipRequest, 'findById').mockResolvedValue(buildRequest(offer, { status: 'accepted', mentee: objectId() }));
+
+        const res = await api.as(student).post(`/api/alumni/mentorship/requests/${objectId()}/book`, { slotId: offer.slots[0]._id.toString() });
+
+        expect(res.statusCode).toBe(404);
+    });
+
+    it('claims the slot atomically and returns 409 when it is gone', async () => {
+        const request = buildRequest(offer, { status: 'accepted' });
+        jest.spyOn(MentorshipRequest, 'findById').mockResolvedValue(request);
+        const claim = jest.spyOn(MentorshipOffer, 'findOneAndUpdate').mockReturnValue(query(null));
+        const create = jest.spyOn(MentorshipSession, 'create');
+        const slotId = offer.slots[0]._id.toString();
+
+        const res = await api.as(student).post(`/api/alumni/mentorship/requests/${request._id}/book`, { slotId });
+
+        expect(res.statusCode).toBe(409);
+        expect(claim.mock.calls[0][0]).toEqual({
+            _id: offer._id,
+            slots: { $elemMatch: { _id: slotId, status: 'open', startsAt: { $gt: expect.any(Date) } } }
+        });
+        expect(create).not.toHaveBeenCalled();
+    });
+
+    it('books the slot and confirms it to both sides', async () => {
+        const request = buildRequest(offer, { status: 'accepted' });
+        const [slot] = offer.slots;
+        slot.status = 'booked';
+        jest.spyOn(MentorshipRequest, 'findById').mockResolvedValue(request);
+        jest.spyOn(MentorshipOffer, 'findOneAndUpdate').mockReturnValue(query(offer));
+        jest.spyOn(MentorshipSession, 'create').mockImplementation(async (fields) => new MentorshipSession(fields));
+        const link = jest.spyOn(MentorshipOffer, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+        const res = await api.as(student).post(`/api/alumni/mentorship/requests/${request._id}/book`, { slotId: slot._id.toString(), agenda: 'Portfolio review' });
+
+        expect(res.statusCode).toBe(201);
+        expect(res.body.data).toMatchObject({ slot: slot._id.toString(), startsAt: slot.startsAt.toISOString(), agenda: 'Portfolio review', status: 'booked' });
+        expect(link).toHaveBeenCalledWith(
+            { _id: offer._id, 'slots._id': slot._id.toString() },
+            { $set: { 'slots.$.session': expect.anything() } }
+        );
+        expect(NotificationService.sendNotification.mock.calls.map(([{ recipient }]) => recipient.toString()))
+            .toEqual([mentorUser.toString(), student.toString()]);
+    });
+});
+
+describe('Session outcomes and feedback', () => {
+    const offer = buildOffer();
+
+    it('only lets the mentor close a session', async () => {
+        const session = buildSession(offer);
+        jest.spyOn(MentorshipSession, 'findById').mockResolvedValue(session);
+        saves(session);
+
+        const mentee = await api.as(student).put(`/api/alumni/mentorship/sessions/${session._id}`, { status: 'completed' });
+        const outsider = await api.as(otherMentorUser).put(`/api/alumni/mentorship/sessions/${session._id}`, { status: 'cancelled' });
+        const mentor = await api.as(mentorUser).put(`/api/alumni/mentorship/sessions/${session._id}`, { status: 'completed' });
+
+        expect(mentee.statusCode).toBe(403);
+        expect(outsider.statusCode).toBe(403);
+        expect(mentor.statusCode).toBe(200);
+        expect(session.status).toBe('completed');
+    });
+
+    it('does not close sessions that have not started', async () => {
+        const session = buildSession(offer, { startsAt: new Date(Date.now() + HOUR_MS), endsAt: new Date(Date.now() + 2 * HOUR_MS) });
+        jest.spyOn(MentorshipSession, 'findById').mockResolvedValue(session);
+
+        const res = await api.as(mentorUser).put(`/api/alumni/mentorship/sessions/${session._id}`, { status: 'no-show' });
+
+        expect(res.statusCode).toBe(400);
+        expect(session.status).toBe('booked');
+    });
+
+    it('takes one rating from each side once the session is completed', async () => {
+        const booked = buildSession(offer);
+        const completed = buildSession(offer, { status: 'completed' });
+        const findById = jest.spyOn(MentorshipSession, 'findById').mockResolvedValue(booked);
+        saves(completed);
+
+        const early = await api.as(student).post(`/api/alumni/mentorship/sessions/${booked._id}/feedback`, { rating: 5 });
+        findById.mockResolvedValue(completed);
+        const first = await api.as(student).post(`/api/alumni/mentorship/sessions/${completed._id}/feedback`, { rating: 5, comment: 'Very helpful' });
+        const again = await api.as(student).post(`/api/alumni/mentorship/sessions/${completed._id}/feedback`, { rating: 1 });
+
+        expect(early.statusCode).toBe(400);
+        expect(first.statusCode).toBe(200);
+        expect(first.body.data.menteeFeedback).toMatchObject({ rating: 5, comment: 'Very helpful' });
+        expect(again.statusCode).toBe(400);
+    });
+});
+
+describe('Session reminders', () => {
+    const now = new Date('2026-11-02T14:00:00Z');
+    const upcoming = (minutes) => ({
+        _id: objectId(),
+        startsAt: new Date(now.getTime() + minutes * 60 * 1000),
+        mentor: { user: { _id: mentorUser, email: 'mentor@example.com' } },
+        mentee: { _id: student, email: 'student@example.com' },
+        offer: { title: 'Breaking into frontend' }
+    });
+
+    it('sends the hour-before reminder once and skips a day-before reminder that came too late', async () => {
+        const soon = upcoming(30);
+        jest.spyOn(MentorshipSession, 'find').mockReturnValue(query([soon]));
+        const update = jest.spyOn(MentorshipSession, 'updateOne')
+            .mockResolvedValueOnce({ modifiedCount: 1 })
+            .mockResolvedValueOnce({ modifiedCount: 1 });
+
+        const result = await MentorshipService.sendDueReminders(now);
+
+        expect(result).toEqual({ sent: 1 });
+        expect(update.mock.calls).toEqual([
+            [{ _id: soon._id }, { $set: { 'remindersSent.dayBefore': now } }],
+            [{ _id: soon._id, 'remindersSent.hourBefore': null }, { $set: { 'remindersSent.hourBefore': now } }]
+        ]);
+        expect(NotificationService.sendMentorshipReminder).toHaveBeenCalledTimes(2);
+        expect(NotificationService.sendMentorshipReminder).toHaveBeenCalledWith(soon.mentee, soon.mentor.user, expect.objectContaining({ when: 'in an hour' }));
+    });
+
+    it('leaves reminders another run already claimed', async () => {
+        jest.spyOn(MentorshipSession, 'find').mockImplementation((filter) => query(
+            filter['remindersSent.dayBefore'] === null ? [upcoming(6 * 60)] : []
+        ));
+        jest.spyOn(MentorshipSession, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+        expect(await MentorshipService.sendDueReminders(now)).toEqual({ sent: 0 });
+        expect(NotificationService.sendMentorshipReminder).not.toHaveBeenCalled();
+    });
+});
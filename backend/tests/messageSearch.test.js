@@ -0,0 +1,132 @@
+jest.mock('../utils/logger', () => require('./mocks/logger'));
+jest.mock('../socket', () => ({ emitToUsers: jest.fn(), getIO: jest.fn(), isUserOnline: jest.fn() }));
+jest.mock('../services/notificationService', () => ({ sendNotification: jest.fn() }));
+jest.mock('../middleware/rateLimitMiddleware', () => ({ apiLimiter: (req, res, next) => next() }));
+
+const MessageMongo = require('../models/Message');
+const MessageMock = require('../mockdb/messageDB');
+const ConversationMongo = require('../models/Conversation');
+const ConversationMock = require('../mockdb/conversationDB');
+const MessageService = require('../services/messageService');
+const { query } = require('./mocks/query');
+const { routeApp } = require('./mocks/app');
+
+const message = (fields) => ({
+    messageType: 'text',
+    deletedBy: [],
+    isEdited: false,
+    createdAt: '2026-03-01T10:00:00.000Z',
+    ...fields
+});
+
+describe('GET /api/messages/search', () => {
+    const api = routeApp('/api/messages', require('../routes/messages'));
+    const store = [
+        message({ _id: 'dm', sender: 'alice', receiver: 'bob', conversationId: 'alice_bob', content: 'Is the database migration done?' }),
+        message({ _id: 'partial', sender: 'bob', receiver: 'alice', conversationId: 'alice_bob', content: 'Databases are hard', createdAt: '2026-03-02T10:00:00.000Z' }),
+        message({ _id: 'group', sender: 'carol', conversation: 'g1', conversationId: 'g1', content: 'Database review at 5', createdAt: '2026-03-03T10:00:00.000Z' }),
+        message({ _id: 'other-group', sender: 'carol', conversation: 'g2', conversationId: 'g2', content: 'database' }),
+        message({ _id: 'strangers', sender: 'carol', receiver: 'dave', conversationId: 'carol_dave', content: 'database' }),
+        message({ _id: 'hidden', sender: 'bob', receiver: 'alice', conversationId: 'alice_bob', content: 'database', deletedBy: ['alice'] }),
+        message({ _id: 'sealed', sender: 'bob', receiver: 'alice', conversationId: 'alice_bob', content: 'database', messageType: 'e2ee' })
+    ];
+
+    beforeEach(() => {
+        jest.spyOn(MessageMock, 'find').mockResolvedValue(store);
+        jest.spyOn(ConversationMock, 'findForMember').mockResolvedValue([{ _id: 'g1' }]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('requires a token and a 2-100 character query', async () => {
+        expect((await api.anonymous().get('/api/messages/search?q=database')).statusCode).toBe(401);
+        expect((await api.as('alice').get('/api/messages/search?q=d')).statusCode).toBe(400);
+    });
+
+    it("matches whole words in the caller's own chats and groups, newest first", async () => {
+        const res = await api.as('alice').get('/api/messages/search?q=DATABASE');
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data.results.map(r => r.message._id)).toEqual(['group', 'dm']);
+        expect(res.body.data.pagination).toMatchObject({ totalResults: 2, currentPage: 1 });
+        expect(res.body.data.results[1]).toMatchObject({
+            snippet: 'Is the database migration done?',
+            highlights: [{ start: 7, end: 15 }]
+        });
+    });
+
+    it('pages through the matches', async () => {
+        const res = await api.as('alice').get('/api/messages/search?q=database&limit=1&page=2');
+
+        expect(res.body.data.results.map(r => r.message._id)).toEqual(['dm']);
+        expect(res.body.data.pagination).toMatchObject({ totalPages: 2, totalResults: 2 });
+    });
+});
+
+describe('Message search on MongoDB', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('looks up candidates through the text index and filters them with the search pattern', async () => {
+        jest.spyOn(ConversationMongo, 'findForMember').mockReturnValue(query([{ _id: 'g1' }]));
+        const find = jest.spyOn(MessageMongo, 'find').mockReturnValue(query([
+            message({ _id: 'm1', sender: { _id: 'bob' }, receiver: 'alice', content: 'Exam on Friday' })
+        ]));
+        jest.spyOn(MessageMongo, 'countDocuments').mockResolvedValue(1);
+
+        const { results, total } = await MessageService.search('alice', 'exam friday', {}, true);
+
+        const filter = find.mock.calls[0][0];
+        expect(filter.$text).toEqual({ $search: 'exam friday' });
+        expect(filter.content.$options).toBe('i');
+        expect(new RegExp(filter.content.$regex, 'iu').test('Exams on Friday')).toBe(true);
+        expect(new RegExp(filter.content.$regex, 'iu').test('Examples only')).toBe(false);
+        expect(filter.$or).toEqual(expect.arrayContaining([{ conversationId: { $in: ['g1'] } }]));
+        expect(MessageMongo.countDocuments).toHaveBeenCalledWith(filter);
+        expect(total).toBe(1);
+        expect(results[0].highlights).toEqual([{ start: 0, end: 4 }, { start: 8, end: 14 }]);
+    });
+
+    it('declares a text index on message content', () => {
+        const index = MessageMongo.schema.indexes().find(([fields]) => fields.content === 'text');
+        expect(index[1]).toMatchObject({ default_language: 'none' });
+    });
+});
+
+describe('Message search helpers', () => {
+    it('tokenizes queries into lower-cased, unique terms without quotes or leading dashes', () => {
+        expect(MessageService.tokenize('  "Exam"  -exam Room-B  ')).toEqual(['exam', 'room-b']);
+        expect(MessageService.tokenize(undefined)).toEqual([]);
+        expect(MessageService.tokenize('a b c d e f g h i j k l')).toHaveLength(10);
+    });
+
+    it('treats regex characters in terms literally', () => {
+        const pattern = MessageService.termPattern(['c++', '(draft)']);
+
+        expect(pattern.test('Learning C++ today')).toBe(true);
+        expect(pattern.test('see (draft)')).toBe(true);
+        expect(pattern.test('cc')).toBe(false);
+    });
+
+    it('cuts a snippet around the first match without splitting words', () => {
+        const content = `${'intro '.repeat(20)}the deadline moved ${'outro '.repeat(30)}`;
+
+        const { snippet, highlights } = MessageService.buildSnippet(content, ['deadline'], 20);
+
+        expect(snippet.startsWith('…')).toBe(true);
+        expect(snippet.endsWith('…')).toBe(true);
+        expect(snippet).toContain('the deadline moved');
+        expect(highlights).toHaveLength(1);
+        expect(snippet.slice(highlights[0].start, highlights[0].end)).toBe('deadline');
+    });
+
+    it('highlights every match in the snippet, preferring the longest term', () => {
+        const { snippet, highlights } = MessageService.buildSnippet('Room B, room-b', ['room', 'room-b']);
+
+        expect(snippet).toBe('Room B, room-b');
+        expect(highlights).toEqual([{ start: 0, end: 4 }, { start: 8, end: 14 }]);
+    });
+});
@@ -0,0 +1,32 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'college_media_secret_key';
+// authMiddleware's protect reads the secret straight from the environment
+process.env.JWT_SECRET = JWT_SECRET;
+
+const tokenFor = (userId) => jwt.sign({ userId: userId.toString() }, JWT_SECRET);
+
+/**
+ * Serve one router at `path` and hand back supertest clients:
+ * `as(userId)` sends that user's bearer token, `anonymous()` sends none.
+ */
+const routeApp = (path, router) => {
+    const app = express();
+    app.use(express.json());
+    app.use(path, router);
+
+    const client = (userId) => ['get', 'post', 'put', 'patch', 'delete'].reduce((methods, method) => {
+        methods[method] = (url, body) => {
+            let req = request(app)[method](url);
+            if (userId) req = req.set('Authorization', `Bearer ${tokenFor(userId)}`);
+            return body === undefined ? req : req.send(body);
+        };
+        return methods;
+    }, {});
+
+    return { app, as: client, anonymous: () => client(null) };
+};
+
+module.exports = { routeApp, tokenFor, JWT_SECRET };
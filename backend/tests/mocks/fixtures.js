@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const Post = require('../../models/Post');
+const Resume = require('../../models/Resume');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const buildPost = (fields = {}) => new Post({
+    user: objectId(),
+    content: 'Slides from the ML meetup',
+    visibility: 'public',
+    ...fields
+});
+
+const buildPoll = (poll = {}, fields = {}) => buildPost({
+    content: 'Where should the hackathon be?',
+    postType: 'poll',
+    poll: {
+        question: 'Where should the hackathon be?',
+        options: [{ text: 'Library' }, { text: 'Main hall' }, { text: 'Online' }],
+        ...poll
+    },
+    ...fields
+});
+
+const buildResume = (fields = {}) => new Resume({
+    student: objectId(),
+    summary: 'Backend developer',
+    content: {
+        experience: [{ title: 'Intern', company: 'Acme', duration: '2025', description: 'Wrote tests' }],
+        skills: ['Node.js', 'MongoDB']
+    },
+    ...fields
+});
+
+module.exports = { objectId, buildPost, buildPoll, buildResume };
@@ -0,0 +1,10 @@
+// Silent logger: jest.mock('../utils/logger', () => require('./mocks/logger'))
+module.exports = {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    critical: jest.fn(),
+    logRequest: jest.fn(),
+    logResponse: jest.fn()
+};
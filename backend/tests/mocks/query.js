@@ -0,0 +1,19 @@
+// Query builder methods (and schema query helpers) chained before awaiting a query
+const CHAIN_METHODS = ['select', 'sort', 'skip', 'limit', 'lean', 'populate', 'session', 'where', 'setOptions', 'active'];
+
+/**
+ * Stand-in for a mongoose query: chainable, and resolves to `result`
+ * when awaited or exec'd
+ */
+const query = (result) => {
+    const q = {
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+        exec: () => Promise.resolve(result)
+    };
+    CHAIN_METHODS.forEach(method => {
+        q[method] = () => q;
+    });
+    return q;
+};
+
+module.exports = { query };
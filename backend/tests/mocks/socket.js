@@ -0,0 +1,13 @@
+// Socket stand-in: jest.mock('../socket', () => require('./mocks/socket'))
+// Every namespace and room emit lands on the shared `emit` mock
+const emit = jest.fn();
+const room = { emit };
+const namespace = { to: () => room, emit };
+
+module.exports = {
+    emit,
+    initSocket: jest.fn(),
+    getIO: () => ({ of: () => namespace, to: () => room, emit }),
+    isUserOnline: jest.fn(() => false),
+    emitToUsers: jest.fn()
+};
@@ -0,0 +1,249 @@
+jest.mock('../utils/logger', () => require('./mocks/logger'));
+jest.mock('../socket', () => require('./mocks/socket'));
+jest.mock('../services/notificationService', () => ({ sendNotification: jest.fn(async () => {}) }));
+jest.mock('../middleware/rateLimitMiddleware', () => ({ apiLimiter: (req, res, next) => next() }));
+jest.mock('../services/aiModerator', () => ({}));
+
+const Post = require('../models/Post');
+const User = require('../models/User');
+const PollService = require('../services/pollService');
+const { query } = require('./mocks/query');
+const { objectId, buildPoll } = require('./mocks/fixtures');
+const { routeApp } = require('./mocks/app');
+
+const voteFor = (post, index, user) => post.poll.options[index].votes.push({ user, votedAt: new Date() });
+const optionId = (post, index) => post.poll.options[index]._id.toString();
+
+describe('Poll voting', () => {
+    const voter = objectId();
+
+    beforeEach(() => {
+        jest.spyOn(User, 'find').mockReturnValue(query([]));
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+        jest.restoreAllMocks();
+    });
+
+    it('rejects ballots that break the poll rules before writing anything', async () => {
+        const post = buildPoll();
+        const update = jest.spyOn(Post, 'updateOne');
+
+        expect(await PollService.vote(post, voter, [])).toEqual({ error: 'Choose an option', status: 400 });
+        expect(await PollService.vote(post, voter, [optionId(post, 0), optionId(post, 1)]))
+            .toEqual({ error: 'This poll allows only one choice', status: 400 });
+        expect(await PollService.vote(post, voter, objectId().toString()))
+            .toEqual({ error: 'Unknown poll option', status: 400 });
+
+        const ended = buildPoll({ endsAt: new Date(Date.now() - 1000) });
+        expect(await PollService.vote(ended, voter, optionId(ended, 0))).toEqual({ error: 'This poll has ended', status: 400 });
+
+        expect(update).not.toHaveBeenCalled();
+    });
+
+    it('records a first ballot only while the voter has none', async () => {
+        const post = buildPoll({ allowMultipleVotes: true });
+        const update = jest.spyOn(Post, 'updateOne').mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+        jest.spyOn(Post, 'findById').mockResolvedValue(post);
+
+        const result = await PollService.vote(post, voter, [optionId(post, 0), optionId(post, 2)]);
+
+        expect(result.changed).toBe(false);
+        const [filter, change] = update.mock.calls[0];
+        expect(filter).toMatchObject({ _id: post._id, 'poll.closedAt': null, 'poll.options.votes.user': { $ne: voter } });
+        expect(Object.keys(change.$push)).toEqual(['poll.options.0.votes', 'poll.options.2.votes']);
+    });
+
+    it('refuses a second ballot when votes cannot be changed', async () => {
+        const post = buildPoll({ allowVoteChange: false });
+        voteFor(post, 0, voter);
+        const update = jest.spyOn(Post, 'updateOne');
+
+        expect(await PollService.vote(post, voter, optionId(post, 1)))
+            .toEqual({ error: 'You have already voted in this poll', status: 409 });
+        expect(update).not.toHaveBeenCalled();
+    });
+
+    it('replaces a changed ballot in one update guarded on the previous one', async () => {
+        const post = buildPoll();
+        voteFor(post, 0, voter);
+        const update = jest.spyOn(Post, 'updateOne').mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+        jest.spyOn(Post, 'findById').mockResolvedValue(post);
+
+        const result = await PollService.vote(post, voter, optionId(post, 1));
+
+        expect(result.changed).toBe(true);
+        expect(update).toHaveBeenCalledTimes(1);
+        const [filter, pipeline] = update.mock.calls[0];
+        expect(filter).toMatchObject({ _id: post._id, 'poll.options.votes.user': voter });
+        expect(Array.isArray(pipeline)).toBe(true);
+
+        const { votes } = pipeline[0].$set['poll.options'].$map.in.$mergeObjects[1];
+        const [kept, added] = votes.$concatArrays;
+        expect(kept.$filter.cond).toEqual({ $ne: ['$$vote.user', voter] });
+        expect(added.$switch.branches).toEqual([{
+            case: { $eq: ['$$option._id', post.poll.options[1]._id] },
+            then: [expect.objectContaining({ user: voter })]
+        }]);
+    });
+
+    it('keeps the previous ballot when the change cannot be written', async () => {
+        const post = buildPoll();
+        voteFor(post, 0, voter);
+        const update = jest.spyOn(Post, 'updateOne').mockResolvedValue({ matchedCount: 0, modifiedCount: 0 });
+        // The poll was closed between reading and voting
+        const closed = buildPoll({ closedAt: new Date() });
+        jest.spyOn(Post, 'findOne').mockResolvedValue(closed);
+
+        const result = await PollService.vote(post, voter, optionId(post, 1));
+
+        expect(result).toEqual({ error: 'This poll has ended', status: 400 });
+        // No separate unvote ran ahead of the failed write
+        expect(update).toHaveBeenCalledTimes(1);
+        expect(update.mock.calls[0][1]).not.toHaveProperty('$pull');
+    });
+});
+
+describe('Closing polls', () => {
+    beforeEach(() => {
+        jest.spyOn(User, 'find').mockReturnValue(query([]));
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+        jest.restoreAllMocks();
+    });
+
+    it('freezes vote and voter totals when the poll closes', async () => {
+        const post = buildPoll({ allowMultipleVotes: true });
+        const [a, b] = [objectId(), objectId()];
+        voteFor(post, 0, a);
+        voteFor(post, 1, a);
+        voteFor(post, 1, b);
+        const now = new Date();
+        const shut = jest.spyOn(Post, 'findOneAndUpdate').mockResolvedValue(post);
+        const save = jest.spyOn(Post, 'updateOne').mockResolvedValue({});
+        jest.spyOn(Post, 'findById').mockResolvedValue(post);
+
+        await PollService.close(post._id, now);
+
+        expect(shut.mock.calls[0][0]).toEqual({ _id: post._id, postType: 'poll', 'poll.closedAt': null });
+        expect(save).toHaveBeenCalledWith({ _id: post._id }, {
+            $set: {
+                'poll.results': {
+                    totalVotes: 3,
+                    totalVoters: 2,
+                    options: post.poll.options.map((option, i) => ({ option: option._id, text: option.text, votes: [1, 2, 0][i] }))
+                }
+            }
+        });
+    });
+
+    it('does not close a poll twice', async () => {
+        jest.spyOn(Post, 'findOneAndUpdate').mockResolvedValue(null);
+        const save = jest.spyOn(Post, 'updateOne');
+
+        expect(await PollService.close(objectId())).toEqual({ error: 'This poll is already closed', status: 400 });
+        expect(save).not.toHaveBeenCalled();
+    });
+
+    it('reports the frozen snapshot once the poll is final', async () => {
+        const post = buildPoll();
+        const voter = objectId();
+        voteFor(post, 0, voter);
+        post.poll.closedAt = new Date();
+        post.poll.results = {
+            totalVotes: 4,
+            totalVoters: 4,
+            options: post.poll.options.map((option, i) => ({ option: option._id, text: option.text, votes: [1, 3, 0][i] }))
+        };
+
+        const results = await PollService.results(post, voter);
+
+        expect(results).toMatchObject({ closed: true, final: true, totalVotes: 4, totalVoters: 4 });
+        expect(results.options.map(o => [o.votes, o.percentage])).toEqual([[1, 25], [3, 75], [0, 0]]);
+        expect(results.myVotes).toEqual([post.poll.options[0]._id]);
+    });
+});
+
+describe('Poll routes', () => {
+    const api = routeApp('/api/posts', require('../routes/posts'));
+    const author = objectId();
+    const voter = objectId();
+    let post;
+
+    beforeEach(() => {
+        post = buildPoll({}, { user: author });
+        jest.spyOn(User, 'find').mockReturnValue(query([]));
+        jest.spyOn(Post, 'findOne').mockResolvedValue(post);
+        jest.spyOn(Post, 'findById').mockResolvedValue(post);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+        jest.restoreAllMocks();
+    });
+
+    it('needs a token to vote', async () => {
+        const res = await api.anonymous().post(`/api/posts/${post._id}/poll/vote`, { optionId: optionId(post, 0) });
+
+        expect(res.statusCode).toBe(401);
+    });
+
+    it('hides follower-only polls from everyone else', async () => {
+        post.visibility = 'followers';
+        jest.spyOn(User, 'exists').mockResolvedValue(null);
+        const update = jest.spyOn(Post, 'updateOne');
+
+        const res = await api.as(voter).post(`/api/posts/${post._id}/poll/vote`, { optionId: optionId(post, 0) });
+
+        expect(res.statusCode).toBe(404);
+        expect(update).not.toHaveBeenCalled();
+    });
+
+    it('records a vote and returns the live results', async () => {
+        jest.spyOn(Post, 'updateOne').mockImplementation(async () => {
+            voteFor(post, 1, voter);
+            return { matchedCount: 1, modifiedCount: 1 };
+        });
+
+        const res = await api.as(voter).post(`/api/posts/${post._id}/poll/vote`, { optionIds: [optionId(post, 1)] });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.message).toBe('Vote recorded');
+        expect(res.body.data).toMatchObject({ closed: false, totalVotes: 1, myVotes: [optionId(post, 1)] });
+    });
+
+    it('lets only the author close the poll early', async () => {
+        voteFor(post, 0, voter);
+        jest.spyOn(Post, 'findOneAndUpdate').mockImplementation(async () => {
+            post.poll.closedAt = new Date();
+            return post;
+        });
+        jest.spyOn(Post, 'updateOne').mockResolvedValue({});
+
+        const denied = await api.as(voter).post(`/api/posts/${post._id}/poll/close`);
+        const closed = await api.as(author).post(`/api/posts/${post._id}/poll/close`);
+
+        expect(denied.statusCode).toBe(403);
+        expect(closed.statusCode).toBe(200);
+        expect(closed.body.data).toMatchObject({ closed: true, final: true, totalVotes: 1, totalVoters: 1 });
+        expect(Post.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    });
+
+    it('closes an expired poll on first read', async () => {
+        post.poll.endsAt = new Date(Date.now() - 1000);
+        const shut = jest.spyOn(Post, 'findOneAndUpdate').mockImplementation(async (filter, { $set }) => {
+            post.poll.closedAt = $set['poll.closedAt'];
+            return post;
+        });
+        jest.spyOn(Post, 'updateOne').mockResolvedValue({});
+
+        const res = await api.anonymous().get(`/api/posts/${post._id}/poll`);
+
+        expect(res.statusCode).toBe(200);
+        expect(shut).toHaveBeenCalledTimes(1);
+        expect(res.body.data).toMatchObject({ closed: true, final: true });
+    });
+});
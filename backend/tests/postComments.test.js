@@ -0,0 +1,162 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../server');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Comment = require('../models/Comment');
+
+require('./setup');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'college_media_secret_key';
+
+describe('Post Comments API', () => {
+    let author;
+    let commenter;
+    let authorToken;
+    let commenterToken;
+    let post;
+
+    const createUser = (username) => User.create({
+        username,
+        email: `${username}@example.com`,
+        password: 'Password123!',
+        firstName: 'Test',
+        lastName: 'User'
+    });
+
+    // Collections are cleared after every test, so fixtures are rebuilt each time
+    beforeEach(async () => {
+        author = await createUser('post_author');
+        commenter = await createUser('post_commenter');
+        authorToken = jwt.sign({ userId: author._id.toString() }, JWT_SECRET);
+        commenterToken = jwt.sign({ userId: commenter._id.toString() }, JWT_SECRET);
+        post = await Post.create({ user: author._id, content: 'Post with a thread' });
+    });
+
+    const comment = (token, body) => request(app)
+        .post(`/api/posts/${post._id}/comments`)
+        .set('Authorization', `Bearer ${token}`)
+        .send(body);
+
+    describe('POST /api/posts/:postId/comments', () => {
+        it('should create a top-level comment and bump commentsCount', async () => {
+            const res = await comment(commenterToken, { content: 'First!' });
+
+            expect(res.statusCode).toEqual(201);
+            expect(res.body.data.depth).toBe(0);
+            expect(res.body.data.parentComment).toBeNull();
+
+            const updated = await Post.findById(post._id);
+            expect(updated.commentsCount).toBe(1);
+        });
+
+        it('should create a nested reply one level deeper', async () => {
+            const parent = await comment(commenterToken, { content: 'Parent' });
+            const res = await comment(authorToken, {
+                content: 'Reply',
+                parentCommentId: parent.body.data._id
+            });
+
+            expect(res.statusCode).toEqual(201);
+            expect(res.body.data.depth).toBe(1);
+
+            const storedParent = await Comment.findById(parent.body.data._id);
+            expect(storedParent.repliesCount).toBe(1);
+        });
+
+        it('should reject empty content', async () => {
+            const res = await comment(commenterToken, { content: '   ' });
+            expect(res.statusCode).toEqual(400);
+        });
+    });
+
+    describe('GET /api/posts/:postId/comments', () => {
+        it('should paginate top-level comments with a cursor', async () => {
+            for (let i = 0; i < 3; i++) {
+                await comment(commenterToken, { content: `Comment ${i}` });
+            }
+
+            const first = await request(app).get(`/api/posts/${post._id}/comments?limit=2`);
+            expect(first.body.data.comments).toHaveLength(2);
+            expect(first.body.data.pagination.hasNextPage).toBe(true);
+
+            const second = await request(app)
+                .get(`/api/posts/${post._id}/comments?limit=2&cursor=${first.body.data.pagination.nextCursor}`);
+            expect(second.body.data.comments).toHaveLength(1);
+            expect(second.body.data.comments[0].content).toBe('Comment 2');
+        });
+
+        it('should only return direct replies when loading a level', async () => {
+            const root = await comment(commenterToken, { content: 'Root' });
+            const child = await comment(authorToken, { content: 'Child', parentCommentId: root.body.data._id });
+            await comment(commenterToken, { content: 'Grandchild', parentCommentId: child.body.data._id });
+
+            const res = await request(app)
+                .get(`/api/posts/${post._id}/comments/${root.body.data._id}/replies`);
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.data.comments).toHaveLength(1);
+            expect(res.body.data.comments[0].content).toBe('Child');
+            expect(res.body.data.comments[0].repliesCount).toBe(1);
+        });
+    });
+
+    describe('PATCH /api/posts/:postId/comments/:commentId', () => {
+        it('should edit a comment and keep the previous version', async () => {
+            const created = await comment(commenterToken, { content: 'Typo' });
+            const res = await request(app)
+                .patch(`/api/posts/${post._id}/comments/${created.body.data._id}`)
+                .set('Authorization', `Bearer ${commenterToken}`)
+                .send({ content: 'Fixed' });
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.data.isEdited).toBe(true);
+
+            const history = await request(app)
+                .get(`/api/posts/${post._id}/comments/${created.body.data._id}/history`);
+            expect(history.body.data.history[0].content).toBe('Typo');
+        });
+
+        it('should not let another user edit the comment', async () => {
+            const created = await comment(commenterToken, { content: 'Mine' });
+            const res = await request(app)
+                .patch(`/api/posts/${post._id}/comments/${created.body.data._id}`)
+                .set('Authorization', `Bearer ${authorToken}`)
+                .send({ content: 'Hijacked' });
+
+            expect(res.statusCode).toEqual(403);
+        });
+    });
+
+    describe('DELETE /api/posts/:postId/comments/:commentId', () => {
+        it('should soft delete and keep replies reachable', async () => {
+            const root = await comment(commenterToken, { content: 'Root' });
+            await comment(authorToken, { content: 'Reply', parentCommentId: root.body.data._id });
+
+            const res = await request(app)
+                .delete(`/api/posts/${post._id}/comments/${root.body.data._id}`)
+                .set('Authorization', `Bearer ${commenterToken}`);
+            expect(res.statusCode).toEqual(200);
+
+            const list = await request(app).get(`/api/posts/${post._id}/comments`);
+            expect(list.body.data.comments[0].content).toBe('[deleted]');
+            expect(list.body.data.comments[0].repliesCount).toBe(1);
+
+            const updated = await Post.findById(post._id);
+            expect(updated.commentsCount).toBe(1);
+        });
+    });
+
+    describe('POST /api/posts/:postId/comments/:commentId/like', () => {
+        it('should toggle a like', async () => {
+            const created = await comment(commenterToken, { content: 'Like me' });
+            const url = `/api/posts/${post._id}/comments/${created.body.data._id}/like`;
+
+            const liked = await request(app).post(url).set('Authorization', `Bearer ${authorToken}`);
+            expect(liked.body.data).toEqual({ liked: true, likesCount: 1 });
+
+            const unliked = await request(app).post(url).set('Authorization', `Bearer ${authorToken}`);
+            expect(unliked.body.data).toEqual({ liked: false, likesCount: 0 });
+        });
+    });
+});
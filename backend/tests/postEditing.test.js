@@ -0,0 +1,177 @@
+jest.mock('../utils/logger', () => require('./mocks/logger'));
+jest.mock('../socket', () => require('./mocks/socket'));
+jest.mock('../services/notificationService', () => ({ sendNotification: jest.fn(async () => {}) }));
+jest.mock('../middleware/rateLimitMiddleware', () => ({ apiLimiter: (req, res, next) => next() }));
+jest.mock('../services/aiModerator', () => ({ scan: jest.fn() }));
+jest.mock('../services/moderationService', () => ({ checkAndFlag: jest.fn() }));
+jest.mock('../services/embeddingService', () => ({ generateEmbedding: jest.fn(async () => null) }));
+jest.mock('../listeners/mongoSync', () => ({ syncPost: jest.fn(async () => {}) }));
+
+const Post = require('../models/Post');
+const User = require('../models/User');
+const AIModerator = require('../services/aiModerator');
+const ModerationService = require('../services/moderationService');
+const HashtagService = require('../services/hashtagService');
+const { syncPost } = require('../listeners/mongoSync');
+const { query } = require('./mocks/query');
+const { objectId, buildPost } = require('./mocks/fixtures');
+const { routeApp } = require('./mocks/app');
+
+const api = routeApp('/api/posts', require('../routes/posts'));
+
+const author = objectId();
+const moderator = objectId();
+const reader = objectId();
+
+let post;
+
+beforeEach(() => {
+    post = buildPost({ user: author, content: 'Slides from the #ml meetup', tags: ['ml', 'slides'] });
+    post.isNew = false;
+    jest.spyOn(Post, 'findOne').mockReturnValue(query(post));
+    jest.spyOn(User, 'find').mockReturnValue(query([]));
+    jest.spyOn(User, 'findById').mockImplementation((id) => query(new User({
+        _id: id,
+        role: id === moderator.toString() ? 'moderator' : 'user'
+    })));
+    jest.spyOn(Post.prototype, 'save').mockImplementation(async function () {
+        await this.validate();
+        return this;
+    });
+});
+
+afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+});
+
+describe('Editing posts', () => {
+    const edit = (user, body) => api.as(user).patch(`/api/posts/${post._id}`, body);
+
+    it('requires a token', async () => {
+        expect((await api.anonymous().patch(`/api/posts/${post._id}`, { content: 'Hi' })).statusCode).toBe(401);
+    });
+
+    it('is only open to the author', async () => {
+        const res = await edit(reader, { content: 'Defaced' });
+
+        expect(res.statusCode).toBe(403);
+        expect(Post.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('keeps the previous text as a revision and marks the post edited', async () => {
+        const res = await edit(author, { content: '  Slides from the #ai meetup  ' });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data).toMatchObject({ content: 'Slides from the #ai meetup', tags: ['slides', 'ai'], isEdited: true });
+        expect(res.body.data).not.toHaveProperty('revisions');
+        expect(post.revisions.map(({ content, tags, visibility, editedBy }) => ({ content, tags: [...tags], visibility, editedBy })))
+            .toEqual([{ content: 'Slides from the #ml meetup', tags: ['ml', 'slides'], visibility: 'public', editedBy: author }]);
+    });
+
+    it('re-runs moderation and re-syncs search on new text', async () => {
+        await edit(author, { content: 'Slides from the ML meetup, now with notes' });
+
+        expect(AIModerator.scan).toHaveBeenCalledWith(post._id, 'Post', 'Slides from the ML meetup, now with notes', null);
+        expect(ModerationService.checkAndFlag).toHaveBeenCalledWith('Slides from the ML meetup, now with notes', 'Post', post._id, author.toString());
+        expect(syncPost).toHaveBeenCalledWith(post);
+    });
+
+    it('re-syncs search but skips moderation when only the visibility changes', async () => {
+        const res = await edit(author, { visibility: 'followers' });
+
+        expect(res.statusCode).toBe(200);
+        expect(post.revisions).toHaveLength(1);
+        expect(AIModerator.scan).not.toHaveBeenCalled();
+        expect(ModerationService.checkAndFlag).not.toHaveBeenCalled();
+        expect(syncPost).toHaveBeenCalledWith(post);
+    });
+
+    it('saves nothing when nothing changed', async () => {
+        const res = await edit(author, { content: 'Slides from the #ml meetup', tags: ['ML', 'slides'] });
+
+        expect(res.body.message).toBe('No changes to save');
+        expect(Post.prototype.save).not.toHaveBeenCalled();
+        expect(post.isEdited).toBe(false);
+    });
+
+    it('notifies only people newly mentioned by the edit', async () => {
+        const sam = objectId();
+        post.content = 'Thanks @jane';
+        post.mentions = [objectId()];
+        User.find.mockReturnValue(query([{ _id: post.mentions[0] }, { _id: sam }]));
+        const notify = jest.spyOn(HashtagService, 'notifyMentions').mockResolvedValue();
+
+        await edit(author, { content: 'Thanks @jane and @sam' });
+
+        expect(notify).toHaveBeenCalledWith(post, [sam]);
+    });
+
+    it.each([
+        ['blank content', { content: '   ' }, 'Post content is required'],
+        ['a poll', { poll: { question: 'Lunch?' } }, 'Post type and poll options cannot be edited'],
+        ['turning it back into a draft', { status: 'draft' }, 'Published posts cannot be scheduled or turned back into drafts']
+    ])('rejects %s', async (_, body, message) => {
+        const res = await edit(author, body);
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.message).toBe(message);
+    });
+
+    it('rejects edits to reposts', async () => {
+        post.postType = 'shared';
+        post.shareKind = 'repost';
+        post.sharedPost = objectId();
+
+        expect((await edit(author, { content: 'Mine now' })).statusCode).toBe(400);
+    });
+
+    it('returns 409 when another request saved first', async () => {
+        Post.prototype.save.mockRejectedValue(Object.assign(new Error('No matching document'), { name: 'VersionError' }));
+
+        expect((await edit(author, { content: 'Second tab' })).statusCode).toBe(409);
+    });
+
+    it('edits drafts in place without a revision or moderation', async () => {
+        post.status = 'draft';
+
+        const res = await edit(author, { content: 'Rough notes' });
+
+        expect(res.statusCode).toBe(200);
+        expect(post.revisions).toHaveLength(0);
+        expect(post.isEdited).toBe(false);
+        expect(AIModerator.scan).not.toHaveBeenCalled();
+        expect(syncPost).not.toHaveBeenCalled();
+    });
+
+    it('hides other people\'s drafts', async () => {
+        post.status = 'draft';
+
+        expect((await edit(reader, { content: 'Peek' })).statusCode).toBe(404);
+    });
+});
+
+describe('Revision history', () => {
+    const revisions = (user) => api.as(user).get(`/api/posts/${post._id}/revisions`);
+
+    beforeEach(async () => {
+        jest.spyOn(post, 'populate').mockResolvedValue(post);
+        await post.edit({ content: 'Second draft' }, author);
+        await post.edit({ content: 'Third draft' }, author);
+    });
+
+    it.each([
+        ['the author', 200, author],
+        ['a moderator', 200, moderator],
+        ['anyone else', 403, reader]
+    ])('answers %s with %i', async (_, status, user) => {
+        expect((await revisions(user)).statusCode).toBe(status);
+    });
+
+    it('lists earlier versions newest first', async () => {
+        const res = await revisions(author);
+
+        expect(res.body.data.current).toMatchObject({ content: 'Third draft', isEdited: true });
+        expect(res.body.data.revisions.map(revision => revision.content)).toEqual(['Second draft', 'Slides from the #ml meetup']);
+    });
+});
@@ -45,7 +45,7 @@ describe('Posts API', () => {
             expect(res.body.success).toBe(true);
             expect(res.body.data).toHaveProperty('_id');
             expect(res.body.data.content).toBe(postData.content);
-            expect(res.body.data.author).toBe(testUser._id);
+            expect(res.body.data.user).toBe(testUser._id);
         });
 
         it('should fail without authentication', async () => {
@@ -141,6 +141,35 @@ describe('Posts API', () => {
         });
     });
 
+    describe('GET /api/posts/feed/recommended', () => {
+        it('ranks posts with a followed hashtag above newer ones without it', async () => {
+            const author = await User.create({
+                username: 'recommended_author',
+                email: 'recommended_author@example.com',
+                password: 'Password123!',
+                firstName: 'Rec',
+                lastName: 'Author'
+            });
+            const followed = await Post.create({ user: author._id, content: 'Team up for the #hackathon', tags: ['hackathon'] });
+            const newer = await Post.create({ user: author._id, content: 'Weekend baking club', tags: ['cooking'] });
+            await Post.create({ user: testUser._id, content: 'My own #hackathon notes', tags: ['hackathon'] });
+
+            await request(app)
+                .post('/api/hashtags/hackathon/follow')
+                .set('Authorization', `Bearer ${authToken}`);
+
+            const res = await request(app)
+                .get('/api/posts/feed/recommended')
+                .set('Authorization', `Bearer ${authToken}`);
+
+            expect(res.statusCode).toEqual(200);
+            expect(res.body.data.isFallback).toBeUndefined();
+            // The reader's own posts are left out
+            expect(res.body.data.posts.map(post => post._id)).toEqual([followed._id.toString(), newer._id.toString()]);
+            expect(res.body.data.posts[0].user.username).toBe('recommended_author');
+        });
+    });
+
     describe('PUT /api/posts/:id', () => {
         let postId;
 
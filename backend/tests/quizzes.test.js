@@ -0,0 +1,151 @@
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const QuizService = require('../services/quizService');
+
+const buildQuiz = (overrides = {}) => new Quiz({
+    title: 'Data structures',
+    createdBy: new mongoose.Types.ObjectId(),
+    shuffleOptions: false,
+    xpReward: 0,
+    questions: [
+        { type: 'mcq', prompt: 'Stack order?', points: 2, options: [{ text: 'LIFO', isCorrect: true }, { text: 'FIFO' }] },
+        { type: 'multi', prompt: 'Linear structures?', points: 2, options: [{ text: 'Queue', isCorrect: true }, { text: 'List', isCorrect: true }, { text: 'Tree' }] },
+        { type: 'numeric', prompt: 'log2(1000)?', points: 1, answer: 9.97, tolerance: 0.01 },
+        { type: 'short', prompt: 'FIFO structure?', points: 1, acceptedAnswers: ['Queue'] }
+    ],
+    ...overrides
+});
+
+const optionId = (question, text) => question.options.find(o => o.text === text)._id.toString();
+
+// An attempt over every question of the quiz, in bank order
+const buildAttempt = (quiz, fields = {}) => new QuizAttempt({
+    quiz: quiz._id,
+    user: new mongoose.Types.ObjectId(),
+    questions: quiz.questions.map(q => ({ questionId: q._id, optionOrder: q.options.map(o => o._id), points: q.points })),
+    startedAt: new Date(),
+    ...fields
+});
+
+const answer = (question, response) => ({ questionId: question._id, response, answeredAt: new Date() });
+
+describe('Quiz scoring', () => {
+    it('awards full points only for fully correct answers', () => {
+        const quiz = buildQuiz();
+        const [mcq, multi, numeric, short] = quiz.questions;
+        const attempt = buildAttempt(quiz, {
+            answers: [
+                answer(mcq, optionId(mcq, 'LIFO')),
+                // Multi-select is all-or-nothing
+                answer(multi, [optionId(multi, 'Queue')]),
+                answer(numeric, 9.975),
+                answer(short, '  queue ')
+            ]
+        });
+
+        const graded = QuizService.scoreAttempt(quiz, attempt);
+
+        expect(graded.answers.map(a => a.correct)).toEqual([true, false, true, true]);
+        expect(graded.score).toBe(4);
+        expect(graded.maxScore).toBe(6);
+        expect(graded.percent).toBe(66.67);
+    });
+
+    it('honours numeric tolerance and case-sensitive short answers', () => {
+        const quiz = buildQuiz();
+        const [, , numeric, short] = quiz.questions;
+        short.caseSensitive = true;
+
+        expect(QuizService.isCorrect(numeric, 9.99)).toBe(false);
+        expect(QuizService.isCorrect(short, 'queue')).toBe(false);
+        expect(QuizService.isCorrect(short, 'Queue')).toBe(true);
+    });
+
+    it('gives nothing for questions removed from the quiz after the attempt started', () => {
+        const quiz = buildQuiz();
+        const [mcq] = quiz.questions;
+        const attempt = buildAttempt(quiz, { answers: [answer(mcq, optionId(mcq, 'LIFO'))] });
+        quiz.questions.pull(mcq._id);
+
+        const graded = QuizService.scoreAttempt(quiz, attempt);
+
+        expect(graded.answers[0]).toMatchObject({ correct: false, earned: 0 });
+        expect(graded.maxScore).toBe(6);
+    });
+});
+
+describe('Quiz deadlines', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('allows a short grace period after the deadline', () => {
+        const attempt = buildAttempt(buildQuiz(), { expiresAt: new Date('2026-01-01T10:00:00Z') });
+        const deadline = attempt.expiresAt.getTime();
+
+        expect(QuizService.isPastDeadline(attempt, deadline + 4000)).toBe(false);
+        expect(QuizService.isPastDeadline(attempt, deadline + 6000)).toBe(true);
+        expect(QuizService.isPastDeadline(buildAttempt(buildQuiz()), Date.now() + 1e9)).toBe(false);
+    });
+
+    it('closes an attempt that ran out of time instead of saving answers', async () => {
+        const quiz = buildQuiz();
+        const attempt = buildAttempt(quiz, { expiresAt: new Date(Date.now() - 60000) });
+        const finish = jest.spyOn(QuizService, 'finishAttempt').mockResolvedValue(attempt);
+        const update = jest.spyOn(QuizAttempt, 'updateOne');
+
+        const result = await QuizService.saveAnswers(quiz, attempt, [answer(quiz.questions[0], 'x')]);
+
+        expect(result).toEqual({ error: 'Time is up', status: 400 });
+        expect(finish).toHaveBeenCalledWith(quiz, attempt);
+        expect(update).not.toHaveBeenCalled();
+    });
+
+    it('stamps expired attempts with the deadline and scores only saved answers', async () => {
+        const quiz = buildQuiz();
+        const [mcq] = quiz.questions;
+        const expiresAt = new Date(Date.now() - 60000);
+        const attempt = buildAttempt(quiz, { expiresAt, answers: [answer(mcq, optionId(mcq, 'LIFO'))] });
+        const close = jest.spyOn(QuizAttempt, 'findOneAndUpdate').mockImplementation(async (filter, update) => ({ ...update.$set }));
+        jest.spyOn(QuizAttempt, 'aggregate').mockResolvedValue([]);
+        jest.spyOn(QuizAttempt, 'updateOne').mockResolvedValue({});
+
+        const finished = await QuizService.finishAttempt(quiz, attempt);
+
+        expect(close.mock.calls[0][0]).toEqual({ _id: attempt._id, status: 'in_progress' });
+        expect(finished).toMatchObject({ status: 'expired', submittedAt: expiresAt, score: 2, passed: false });
+    });
+});
+
+describe('Starting attempts', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('resumes the open attempt when a concurrent start wins the unique index', async () => {
+        const quiz = buildQuiz();
+        const userId = new mongoose.Types.ObjectId();
+        const winner = buildAttempt(quiz, { user: userId });
+
+        jest.spyOn(QuizAttempt, 'findOne')
+            .mockResolvedValueOnce(null) // nothing open when this request checked
+            .mockResolvedValueOnce(winner); // ...but the other request created one first
+        jest.spyOn(QuizAttempt, 'create').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+        const result = await QuizService.startAttempt(quiz, userId);
+
+        expect(result).toEqual({ attempt: winner, resumed: true });
+    });
+
+    it('declares the unique partial index on open attempts', () => {
+        const index = QuizAttempt.schema.indexes().find(([, options]) => options.name === 'one_open_attempt_per_user');
+
+        expect(index).toEqual([
+            { quiz: 1, user: 1 },
+            expect.objectContaining({ unique: true, partialFilterExpression: { status: 'in_progress' } })
+        ]);
+    });
+});
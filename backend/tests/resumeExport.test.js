@@ -0,0 +1,203 @@
+jest.mock('../utils/logger', () => require('./mocks/logger'));
+jest.mock('../services/notificationService', () => ({ sendNotification: jest.fn(async () => {}) }));
+// PDF rendering is not exercised here, only which template it is handed
+jest.mock('../services/pdfService', () => ({
+    generateResumePDF: jest.fn(() => ({ pipe: (res) => res.end('%PDF-1.4'), end: () => {} }))
+}));
+
+const zlib = require('zlib');
+const Resume = require('../models/Resume');
+const ResumeVersion = require('../models/ResumeVersion');
+const User = require('../models/User');
+const pdfService = require('../services/pdfService');
+const ResumeExportService = require('../services/resumeExportService');
+const ResumeVersionService = require('../services/resumeVersionService');
+const { query } = require('./mocks/query');
+const { objectId, buildResume } = require('./mocks/fixtures');
+const { routeApp } = require('./mocks/app');
+
+const api = routeApp('/api/resume', require('../routes/resume'));
+
+const student = objectId();
+const alumnus = objectId();
+const classmate = objectId();
+
+const profile = { firstName: 'Jane', lastName: 'Doe', email: 'jane@uni.edu' };
+
+// Entry name -> text for an archive written by utils/zip (deflated local entries)
+const unzip = (buffer) => {
+    const entries = {};
+    let offset = 0;
+    while (buffer.readUInt32LE(offset) === 0x04034b50) {
+        const size = buffer.readUInt32LE(offset + 18);
+        const nameLength = buffer.readUInt16LE(offset + 26);
+        const extraLength = buffer.readUInt16LE(offset + 28);
+        const start = offset + 30 + nameLength + extraLength;
+        const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+        entries[name] = zlib.inflateRawSync(buffer.subarray(start, start + size)).toString('utf8');
+        offset = start + size;
+    }
+    return entries;
+};
+
+let resume;
+
+beforeEach(() => {
+    resume = buildResume({ student: new User({ _id: student, ...profile }) });
+    resume.isNew = false;
+    jest.spyOn(User, 'findById').mockImplementation((id) => query(new User({
+        _id: id,
+        role: id === alumnus.toString() ? 'alumni' : 'user'
+    })));
+    jest.spyOn(Resume, 'findById').mockReturnValue(query(resume));
+});
+
+afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+});
+
+describe('Templates', () => {
+    it('lists every template with the ATS-safe one flagged', async () => {
+        const res = await api.as(student).get('/api/resume/templates');
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data.map(t => t.id)).toEqual(['classic', 'minimal', 'modern', 'ats']);
+        expect(res.body.data.filter(t => t.atsSafe).map(t => t.id)).toEqual(['ats']);
+        expect(res.body.data.find(t => t.default).id).toBe('classic');
+    });
+
+    it('renders the PDF with the requested template', async () => {
+        const res = await api.as(student).get(`/api/resume/${resume._id}/download?template=ats`);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.headers['content-disposition']).toBe('attachment; filename="Jane_Doe_Resume.pdf"');
+        expect(pdfService.generateResumePDF).toHaveBeenCalledWith(resume, resume.student, expect.objectContaining({ id: 'ats', atsSafe: true }));
+    });
+
+    it('rejects unknown templates', async () => {
+        const res = await api.as(student).get(`/api/resume/${resume._id}/download?template=fancy`);
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.message).toBe('Unknown template. Available templates: classic, minimal, modern, ats');
+        expect(Resume.findById).not.toHaveBeenCalled();
+    });
+});
+
+describe('Export', () => {
+    const url = (format, search = '') => `/api/resume/${resume._id}/export/${format}${search}`;
+
+    it.each([
+        ['the owner', 200, student],
+        ['an alumni reviewer', 200, alumnus],
+        ['another student', 403, classmate]
+    ])('answers %s with %i', async (_, status, user) => {
+        expect((await api.as(user).get(url('markdown'))).statusCode).toBe(status);
+    });
+
+    it('rejects formats it cannot produce', async () => {
+        const res = await api.as(student).get(url('odt'));
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.message).toBe('Unsupported format. Use one of: docx, markdown, json');
+    });
+
+    it('exports Markdown', async () => {
+        const res = await api.as(student).get(url('markdown'));
+
+        expect(res.headers['content-type']).toBe('text/markdown; charset=utf-8');
+        expect(res.headers['content-disposition']).toBe('attachment; filename="Jane_Doe_Resume.md"');
+        expect(res.text).toBe([
+            '# Jane Doe', '', 'jane@uni.edu', '',
+            '## Summary', '', 'Backend developer', '',
+            '## Experience', '', '### Intern, Acme', '*2025*', '', '- Wrote tests', '',
+            '## Skills', '', 'Node.js, MongoDB', ''
+        ].join('\n'));
+    });
+
+    it('exports an earlier version as JSON Resume', async () => {
+        const version = new ResumeVersion({
+            resume: resume._id,
+            student,
+            version: 1,
+            source: 'manual',
+            ...ResumeVersionService.snapshotOf(buildResume({ summary: 'Student' }))
+        });
+        jest.spyOn(ResumeVersion, 'findOne').mockResolvedValue(version);
+
+        const res = await api.as(student).get(url('json', '?version=1'));
+
+        expect(res.headers['content-disposition']).toBe('attachment; filename="Jane_Doe_Resume_v1.json"');
+        const json = JSON.parse(res.text);
+        expect(json.basics).toMatchObject({ name: 'Jane Doe', email: 'jane@uni.edu', summary: 'Student' });
+        expect(json.work).toEqual([{ name: 'Acme', position: 'Intern', endDate: '2025', summary: 'Wrote tests', highlights: [] }]);
+        expect(json.skills).toEqual([{ name: 'Node.js' }, { name: 'MongoDB' }]);
+    });
+
+    it('exports DOCX with the template headings', async () => {
+        const res = await api.as(student).get(url('docx', '?template=ats')).responseType('blob');
+
+        expect(res.statusCode).toBe(200);
+        expect(res.headers['content-disposition']).toBe('attachment; filename="Jane_Doe_Resume.docx"');
+        const files = unzip(res.body);
+        expect(Object.keys(files)).toEqual(expect.arrayContaining(['[Content_Types].xml', 'word/document.xml', 'word/styles.xml']));
+        expect(files['word/document.xml']).toContain('<w:t xml:space="preserve">EXPERIENCE</w:t>');
+        expect(files['word/document.xml']).not.toContain('<w:i/>');
+    });
+});
+
+describe('JSON Resume import', () => {
+    const jsonResume = {
+        basics: { name: 'Jane Doe', summary: 'Full-stack developer' },
+        work: [{ name: 'Acme', position: 'Engineer', startDate: '2022-01-15', summary: 'Built APIs', highlights: ['Cut latency by 40%'] }],
+        education: [{ institution: 'State University', studyType: 'BSc', area: 'Computer Science', startDate: '2018', endDate: '2022', score: 3.8 }],
+        skills: [{ name: 'JavaScript', keywords: ['Node.js', 'javascript'] }],
+        awards: [{ title: 'Dean\'s list' }]
+    };
+
+    beforeEach(() => {
+        jest.spyOn(Resume, 'findOne').mockResolvedValue(resume);
+        jest.spyOn(resume, 'save').mockResolvedValue(resume);
+        jest.spyOn(ResumeVersion, 'exists').mockResolvedValue({ _id: objectId() });
+        jest.spyOn(ResumeVersion, 'create').mockImplementation(async (fields) => new ResumeVersion(fields));
+    });
+
+    it('maps the document onto resume content as a new version', async () => {
+        const res = await api.as(student).post('/api/resume/import/json-resume', jsonResume);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.ignored).toEqual(['awards']);
+        expect(res.body.data.summary).toBe('Full-stack developer');
+        expect(res.body.data.content).toMatchObject({
+            experience: [{ title: 'Engineer', company: 'Acme', duration: 'Jan 2022 - Present', description: 'Built APIs\n• Cut latency by 40%' }],
+            education: [{ degree: 'BSc in Computer Science', institution: 'State University', year: '2018 - 2022', gpa: '3.8' }],
+            skills: ['JavaScript', 'Node.js']
+        });
+        expect(ResumeVersion.create).toHaveBeenCalledWith(expect.objectContaining({
+            source: 'import',
+            meta: { format: 'json-resume', ignored: ['awards'] }
+        }));
+    });
+
+    it.each([
+        [[], 'Expected a JSON Resume object'],
+        [{ work: 'Acme' }, 'work must be an array of objects'],
+        [{ basics: { name: 'Jane Doe' } }, 'The JSON Resume has no summary, work, education, skills or projects to import']
+    ])('rejects %j', async (body, message) => {
+        const res = await api.as(student).post('/api/resume/import/json-resume', body);
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.message).toBe(message);
+        expect(resume.save).not.toHaveBeenCalled();
+    });
+
+    it('reads back what it exports', () => {
+        resume.content.experience[0].duration = 'Mar 2023 - Present';
+
+        const imported = ResumeExportService.fromJsonResume(ResumeExportService.toJsonResume(resume, profile));
+
+        expect(imported.summary).toBe(resume.summary);
+        expect(imported.content.experience).toEqual([{ title: 'Intern', company: 'Acme', duration: 'Mar 2023 - Present', description: 'Wrote tests' }]);
+        expect(imported.content.skills).toEqual(['Node.js', 'MongoDB']);
+    });
+});
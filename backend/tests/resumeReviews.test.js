@@ -0,0 +1,265 @@
+jest.mock('../utils/logger', () => require('./mocks/logger'));
+jest.mock('../services/notificationService', () => ({ sendNotification: jest.fn(async () => {}) }));
+// PDF rendering is not exercised here
+jest.mock('../services/pdfService', () => ({}));
+
+const Alumni = require('../models/Alumni');
+const Resume = require('../models/Resume');
+const ResumeReview = require('../models/ResumeReview');
+const User = require('../models/User');
+const ResumeReviewService = require('../services/resumeReviewService');
+const ResumeVersionService = require('../services/resumeVersionService');
+const { query } = require('./mocks/query');
+const { objectId, buildResume } = require('./mocks/fixtures');
+const { routeApp } = require('./mocks/app');
+
+const buildReview = (resume, comments, fields = {}) => new ResumeReview({
+    resume: resume._id,
+    reviewer: objectId(),
+    student: resume.student,
+    status: 'submitted',
+    submittedAt: new Date(),
+    comments: 'See inline',
+    inlineComments: comments.map(comment => ({ kind: 'suggestion', status: 'accepted', body: 'Try this', ...comment })),
+    ...fields
+});
+
+describe('Applying review suggestions', () => {
+    beforeEach(() => {
+        jest.spyOn(ResumeReview.prototype, 'save').mockResolvedValue();
+        jest.spyOn(ResumeVersionService, 'commit').mockImplementation(async (resume) => {
+            resume.version += 1;
+            return { resume };
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('applies suggestions whose anchored text is unchanged and reports the rest as conflicts', async () => {
+        const resume = buildResume();
+        const review = buildReview(resume, [
+            { section: 'summary', quote: 'Backend developer', replacement: 'Backend developer focused on APIs' },
+            // Written against an older description
+            { section: 'experience', index: 0, field: 'description', quote: 'Wrote some tests', replacement: 'Wrote integration tests' }
+        ]);
+        jest.spyOn(ResumeReview, 'find').mockReturnValue(query([review]));
+
+        const result = await ResumeReviewService.applySuggestions(resume);
+
+        expect(resume.summary).toBe('Backend developer focused on APIs');
+        expect(resume.content.experience[0].description).toBe('Wrote tests');
+        expect(result.version).toBe(2);
+        expect(result.applied).toEqual([{ review: review._id, comment: review.inlineComments[0]._id }]);
+        expect(result.conflicts).toEqual([expect.objectContaining({ comment: review.inlineComments[1]._id })]);
+        expect(review.inlineComments[0].appliedInVersion).toBe(2);
+        expect(review.inlineComments[1].appliedInVersion).toBeUndefined();
+    });
+
+    it('applies only the earliest of two suggestions on the same anchor', async () => {
+        const resume = buildResume();
+        const first = buildReview(resume, [
+            { section: 'skills', index: 1, quote: 'MongoDB', replacement: 'MongoDB (aggregation, indexing)' }
+        ], { submittedAt: new Date('2026-03-01') });
+        const second = buildReview(resume, [
+            { section: 'skills', index: 1, quote: 'MongoDB', replacement: 'MongoDB, Redis' }
+        ], { submittedAt: new Date('2026-03-02') });
+        // Reviews come back oldest submission first
+        jest.spyOn(ResumeReview, 'find').mockReturnValue(query([first, second]));
+
+        const result = await ResumeReviewService.applySuggestions(resume);
+
+        expect(resume.content.skills[1]).toBe('MongoDB (aggregation, indexing)');
+        expect(result.applied.map(a => a.review)).toEqual([first._id]);
+        expect(result.conflicts).toEqual([{
+            review: second._id,
+            comment: second.inlineComments[0]._id,
+            reason: 'The resume changed since this suggestion was made'
+        }]);
+    });
+
+    it('saves no version when every suggestion conflicts', async () => {
+        const resume = buildResume();
+        const review = buildReview(resume, [
+            // The entry was removed since
+            { section: 'experience', index: 3, field: 'title', quote: 'Lead', replacement: 'Tech lead' }
+        ]);
+        jest.spyOn(ResumeReview, 'find').mockReturnValue(query([review]));
+
+        const result = await ResumeReviewService.applySuggestions(resume);
+
+        expect(result).toMatchObject({ status: 409, conflicts: [{ reason: 'experience[3] does not exist' }] });
+        expect(ResumeVersionService.commit).not.toHaveBeenCalled();
+        expect(ResumeReview.prototype.save).not.toHaveBeenCalled();
+    });
+});
+
+describe('Assigning reviewers', () => {
+    const reviewers = [objectId(), objectId()];
+
+    beforeEach(() => {
+        jest.spyOn(ResumeReviewService, 'pickReviewers').mockResolvedValue(reviewers);
+        jest.spyOn(Resume, 'updateOne').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('only creates reviews for the slots it actually took', async () => {
+        const resume = buildResume({ reviewRequest: { reviewersNeeded: 2 } });
+        // A reviewer claimed one of the two slots after we read the resume
+        jest.spyOn(Resume, 'findOneAndUpdate')
+            .mockResolvedValueOnce(resume)
+            .mockResolvedValueOnce(null);
+        const insert = jest.spyOn(ResumeReview, 'insertMany').mockImplementation(async docs => docs);
+
+        const reviews = await ResumeReviewService.assignReviewers(resume);
+
+        expect(reviews.map(r => r.reviewer)).toEqual([reviewers[0]]);
+        expect(insert).toHaveBeenCalledTimes(1);
+        expect(Resume.findOneAndUpdate.mock.calls[0]).toEqual([
+            { _id: resume._id, 'reviewRequest.reviewersNeeded': { $gt: 0 } },
+            { $inc: { 'reviewRequest.reviewersNeeded': -1 }, $set: { status: 'in_review' } }
+        ]);
+        expect(Resume.updateOne).toHaveBeenCalledWith(
+            { _id: resume._id, 'reviewRequest.reviewersNeeded': { $lte: 0 } },
+            { $unset: { reviewRequest: 1 } }
+        );
+    });
+
+    it('assigns nobody once the slots are gone', async () => {
+        const resume = buildResume({ reviewRequest: { reviewersNeeded: 1 } });
+        jest.spyOn(Resume, 'findOneAndUpdate').mockResolvedValue(null);
+        const insert = jest.spyOn(ResumeReview, 'insertMany');
+
+        expect(await ResumeReviewService.assignReviewers(resume)).toEqual([]);
+        expect(insert).not.toHaveBeenCalled();
+    });
+
+    it('gives the slots back when the reviews cannot be created', async () => {
+        const resume = buildResume({ reviewRequest: { reviewersNeeded: 2 } });
+        jest.spyOn(Resume, 'findOneAndUpdate').mockResolvedValue(resume);
+        jest.spyOn(ResumeReview, 'insertMany').mockRejectedValue(new Error('write failed'));
+
+        await expect(ResumeReviewService.assignReviewers(resume)).rejects.toThrow('write failed');
+        expect(Resume.updateOne).toHaveBeenCalledWith({ _id: resume._id }, { $inc: { 'reviewRequest.reviewersNeeded': 2 } });
+    });
+});
+
+describe('Review routes', () => {
+    const api = routeApp('/api/resume', require('../routes/resume'));
+
+    const student = objectId();
+    const reviewer = objectId();
+    const outsider = objectId();
+
+    let resume;
+    let review;
+
+    beforeEach(() => {
+        resume = buildResume({ student });
+        review = buildReview(resume, [], { reviewer, status: 'assigned', submittedAt: undefined });
+        jest.spyOn(User, 'findById').mockImplementation((id) => query(new User({ _id: id })));
+        jest.spyOn(Resume, 'findById').mockResolvedValue(resume);
+        jest.spyOn(ResumeReview, 'findOne').mockResolvedValue(review);
+        jest.spyOn(ResumeReview.prototype, 'save').mockImplementation(async function () {
+            await this.validate();
+            return this;
+        });
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+        jest.restoreAllMocks();
+    });
+
+    it('requires a token', async () => {
+        expect((await api.anonymous().get(`/api/resume/${resume._id}/reviews`)).statusCode).toBe(401);
+    });
+
+    it("does not let students request reviews of someone else's resume", async () => {
+        const findOne = jest.spyOn(Resume, 'findOne').mockResolvedValue(null);
+        const request = jest.spyOn(ResumeReviewService, 'requestReview');
+
+        const res = await api.as(outsider).post(`/api/resume/${resume._id}/request-review`, { reviewers: 2 });
+
+        expect(res.statusCode).toBe(404);
+        expect(findOne).toHaveBeenCalledWith({ _id: resume._id.toString(), student: outsider.toString() });
+        expect(request).not.toHaveBeenCalled();
+    });
+
+    it('caps a resume at three active reviewers', async () => {
+        jest.spyOn(Resume, 'findOne').mockResolvedValue(resume);
+        jest.spyOn(ResumeReview, 'countDocuments').mockResolvedValue(2);
+        const save = jest.spyOn(resume, 'save');
+
+        const res = await api.as(student).post(`/api/resume/${resume._id}/request-review`, { reviewers: 2 });
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.message).toBe('A resume can have at most 3 reviewers at a time (2 active)');
+        expect(save).not.toHaveBeenCalled();
+    });
+
+    it('only lets alumni claim queued resumes', async () => {
+        jest.spyOn(Alumni, 'exists').mockResolvedValue(null);
+        const claim = jest.spyOn(ResumeReviewService, 'claim');
+
+        const res = await api.as(outsider).post(`/api/resume/${resume._id}/claim`);
+
+        expect(res.statusCode).toBe(403);
+        expect(claim).not.toHaveBeenCalled();
+    });
+
+    it('anchors reviewer suggestions to the current text', async () => {
+        const res = await api.as(reviewer).post(`/api/resume/${resume._id}/reviews/${review._id}/comments`, {
+            section: 'summary',
+            kind: 'suggestion',
+            body: 'Say what you build',
+            replacement: 'Backend developer building payment APIs'
+        });
+
+        expect(res.statusCode).toBe(201);
+        expect(res.body.data).toMatchObject({ section: 'summary', quote: 'Backend developer', status: 'open' });
+        expect(review.status).toBe('in_progress');
+    });
+
+    it.each([
+        ['the resume owner', student, 403],
+        ['anyone else', outsider, 404]
+    ])('refuses comments from %s', async (_, user, status) => {
+        const res = await api.as(user).post(`/api/resume/${resume._id}/reviews/${review._id}/comments`, { section: 'summary', body: 'Hi' });
+
+        expect(res.statusCode).toBe(status);
+        expect(review.inlineComments).toHaveLength(0);
+    });
+
+    it('lets only the owner accept a suggestion once the review is submitted', async () => {
+        const submitted = buildReview(resume, [{ section: 'summary', quote: 'Backend developer', replacement: 'API developer', status: 'open' }], { reviewer });
+        ResumeReview.findOne.mockResolvedValue(submitted);
+        const [comment] = submitted.inlineComments;
+        const url = `/api/resume/${resume._id}/reviews/${submitted._id}/comments/${comment._id}`;
+
+        const byReviewer = await api.as(reviewer).patch(url, { action: 'accept' });
+        const byOwner = await api.as(student).patch(url, { action: 'accept' });
+
+        expect(byReviewer.statusCode).toBe(403);
+        expect(byOwner.statusCode).toBe(200);
+        expect(comment.status).toBe('accepted');
+    });
+
+    it('flags comments whose anchored text changed since', async () => {
+        const stale = buildReview(resume, [{ section: 'summary', quote: 'Frontend developer', replacement: 'x' }], { reviewer });
+        jest.spyOn(ResumeReview, 'find').mockReturnValue(query([stale]));
+
+        const owner = await api.as(student).get(`/api/resume/${resume._id}/reviews`);
+        ResumeReview.find.mockReturnValue(query([]));
+        const other = await api.as(outsider).get(`/api/resume/${resume._id}/reviews`);
+
+        expect(owner.statusCode).toBe(200);
+        expect(owner.body.data[0].inlineComments[0].outdated).toBe(true);
+        expect(other.statusCode).toBe(404);
+        expect(ResumeReview.find).toHaveBeenLastCalledWith({ resume: resume._id, reviewer: outsider.toString() });
+    });
+});
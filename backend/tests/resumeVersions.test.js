@@ -0,0 +1,186 @@
+jest.mock('../utils/logger', () => require('./mocks/logger'));
+jest.mock('../services/notificationService', () => ({ sendNotification: jest.fn(async () => {}) }));
+// PDF rendering is not exercised here
+jest.mock('../services/pdfService', () => ({}));
+
+const Resume = require('../models/Resume');
+const ResumeReview = require('../models/ResumeReview');
+const ResumeVersion = require('../models/ResumeVersion');
+const User = require('../models/User');
+const ResumeVersionService = require('../services/resumeVersionService');
+const { query } = require('./mocks/query');
+const { objectId, buildResume } = require('./mocks/fixtures');
+const { routeApp } = require('./mocks/app');
+
+const api = routeApp('/api/resume', require('../routes/resume'));
+
+const student = objectId();
+const reviewer = objectId();
+const outsider = objectId();
+
+const buildVersion = (resume, version, fields = {}) => new ResumeVersion({
+    resume: resume._id,
+    student: resume.student,
+    version,
+    source: 'manual',
+    ...ResumeVersionService.snapshotOf(resume),
+    ...fields
+});
+
+let resume;
+
+beforeEach(() => {
+    resume = buildResume({ student, version: 2 });
+    resume.isNew = false;
+    jest.spyOn(User, 'findById').mockImplementation((id) => query(new User({ _id: id })));
+    jest.spyOn(Resume, 'findById').mockReturnValue(query(resume));
+    jest.spyOn(ResumeReview, 'exists').mockImplementation(async ({ reviewer: id }) => (id === reviewer.toString() ? { _id: objectId() } : null));
+    jest.spyOn(ResumeVersion, 'exists').mockResolvedValue({ _id: objectId() });
+    jest.spyOn(ResumeVersion, 'create').mockImplementation(async (fields) => new ResumeVersion(fields));
+});
+
+afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+});
+
+describe('Committing versions', () => {
+    it('requires a token', async () => {
+        expect((await api.anonymous().get(`/api/resume/${resume._id}/versions`)).statusCode).toBe(401);
+    });
+
+    it('saves every edit as the next version, conditional on the version it read', async () => {
+        jest.spyOn(Resume, 'findOne').mockResolvedValue(resume);
+        const save = jest.spyOn(resume, 'save').mockImplementation(async function () {
+            expect(this.$where).toEqual({ version: 2 });
+            return this;
+        });
+
+        const res = await api.as(student).post('/api/resume', { skills: ['Go'] });
+
+        expect(res.statusCode).toBe(200);
+        expect(save).toHaveBeenCalledTimes(1);
+        expect(res.body.data.version).toBe(3);
+        expect(ResumeVersion.create).toHaveBeenCalledWith(expect.objectContaining({
+            resume: resume._id,
+            version: 3,
+            source: 'manual',
+            createdBy: student.toString(),
+            content: expect.objectContaining({ skills: ['Go'] })
+        }));
+    });
+
+    it('returns 409 when another request committed first', async () => {
+        jest.spyOn(Resume, 'findOne').mockResolvedValue(resume);
+        jest.spyOn(resume, 'save').mockRejectedValue(Object.assign(new Error('No document found'), { name: 'DocumentNotFoundError' }));
+
+        const res = await api.as(student).post('/api/resume', { skills: ['Go'] });
+
+        expect(res.statusCode).toBe(409);
+        expect(ResumeVersion.create).not.toHaveBeenCalled();
+    });
+
+    it('snapshots resumes saved before history was tracked first', async () => {
+        ResumeVersion.exists.mockResolvedValue(null);
+        Resume.findById.mockReturnValue(query(resume.toObject()));
+        jest.spyOn(resume, 'save').mockResolvedValue(resume);
+        resume.content.skills = ['Go'];
+
+        await ResumeVersionService.commit(resume, { source: 'ai_enhance', userId: student });
+
+        expect(ResumeVersion.create.mock.calls.map(([fields]) => [fields.version, fields.source, fields.content.skills]))
+            .toEqual([[2, 'manual', ['Node.js', 'MongoDB']], [3, 'ai_enhance', ['Go']]]);
+    });
+
+    it('never changes a stored version', async () => {
+        const stored = buildVersion(resume, 1);
+        stored.isNew = false;
+
+        await expect(stored.save()).rejects.toThrow('Resume versions are immutable');
+        await expect(ResumeVersion.updateOne({ _id: stored._id }, { summary: 'rewritten' })).rejects.toThrow('Resume versions are immutable');
+    });
+});
+
+describe('Version history', () => {
+    it.each([
+        ['the owner', 200, student],
+        ['an assigned reviewer', 200, reviewer],
+        ['anyone else', 404, outsider]
+    ])('answers %s with %i', async (_, status, user) => {
+        jest.spyOn(ResumeVersion, 'find').mockReturnValue(query([buildVersion(resume, 2), buildVersion(resume, 1)]));
+
+        const res = await api.as(user).get(`/api/resume/${resume._id}/versions`);
+
+        expect(res.statusCode).toBe(status);
+    });
+
+    it('diffs sections between two versions', () => {
+        const before = buildVersion(resume, 1);
+        const after = buildVersion(resume, 2, {
+            summary: 'Backend developer focused on APIs',
+            content: {
+                experience: [
+                    { title: 'Intern', company: 'Acme', duration: '2025', description: 'Wrote integration tests' },
+                    { title: 'TA', company: 'University', duration: '2026', description: 'Graded labs' }
+                ],
+                skills: ['Node.js', 'Redis']
+            }
+        });
+
+        const diff = ResumeVersionService.diff(before, after);
+
+        expect(diff.changed).toEqual(['summary', 'skills', 'experience']);
+        expect(diff.sections.skills).toEqual({ changed: true, added: ['Redis'], removed: ['MongoDB'] });
+        expect(diff.sections.experience.changes).toEqual([
+            { index: 0, type: 'modified', fields: [{ field: 'description', from: 'Wrote tests', to: 'Wrote integration tests' }] },
+            { index: 1, type: 'added', entry: { title: 'TA', company: 'University', duration: '2026', description: 'Graded labs' } }
+        ]);
+    });
+
+    it('answers 404 for versions that do not exist', async () => {
+        jest.spyOn(ResumeVersion, 'findOne').mockImplementation(async ({ version }) => (version === 1 ? buildVersion(resume, 1) : null));
+
+        const diff = await api.as(student).get(`/api/resume/${resume._id}/versions/diff?from=1&to=7`);
+        const bad = await api.as(student).get(`/api/resume/${resume._id}/versions/diff?from=first`);
+        const download = await api.as(student).get(`/api/resume/${resume._id}/download?version=7`);
+
+        expect(diff.statusCode).toBe(404);
+        expect(bad.statusCode).toBe(400);
+        expect(download.statusCode).toBe(404);
+    });
+});
+
+describe('Rollback', () => {
+    const url = (version) => `/api/resume/${resume._id}/versions/${version}/rollback`;
+
+    it('restores an earlier version as a new version', async () => {
+        const original = buildVersion(buildResume({ _id: resume._id, student, summary: 'Student' }), 1);
+        jest.spyOn(ResumeVersion, 'findOne').mockResolvedValue(original);
+        jest.spyOn(resume, 'save').mockResolvedValue(resume);
+
+        const res = await api.as(student).post(url(1));
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data).toMatchObject({ version: 3, summary: 'Student' });
+        expect(ResumeVersion.create).toHaveBeenCalledWith(expect.objectContaining({
+            version: 3,
+            source: 'rollback',
+            meta: { restoredFrom: 1 }
+        }));
+    });
+
+    it('refuses to restore the current version', async () => {
+        jest.spyOn(ResumeVersion, 'findOne').mockResolvedValue(buildVersion(resume, 2));
+
+        expect((await api.as(student).post(url(2))).statusCode).toBe(400);
+    });
+
+    it('is only open to the owner, not reviewers', async () => {
+        const findOne = jest.spyOn(ResumeVersion, 'findOne');
+
+        const res = await api.as(reviewer).post(url(1));
+
+        expect(res.statusCode).toBe(404);
+        expect(findOne).not.toHaveBeenCalled();
+    });
+});
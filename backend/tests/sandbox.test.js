@@ -0,0 +1,157 @@
+jest.mock('../utils/logger', () => require('./mocks/logger'));
+
+const RUNTIMES = require('../config/sandboxRuntimes');
+
+// Sandbox caches its backend, so every test gets fresh copies of it and its backends
+const loadSandbox = () => {
+    let modules;
+    jest.isolateModules(() => {
+        modules = {
+            Sandbox: require('../services/sandbox'),
+            DockerSandbox: require('../services/dockerSandbox'),
+            LocalSandbox: require('../services/localSandbox')
+        };
+    });
+    return modules;
+};
+
+const env = { ...process.env };
+
+afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+});
+
+describe('Sandbox backend selection', () => {
+    it('uses the backend named by SANDBOX_BACKEND without probing Docker', async () => {
+        process.env.SANDBOX_BACKEND = 'local';
+        const { Sandbox, DockerSandbox } = loadSandbox();
+        const ping = jest.spyOn(DockerSandbox, 'isAvailable');
+
+        const backend = await Sandbox.getBackend();
+
+        expect(backend.backendName).toBe('local');
+        expect(ping).not.toHaveBeenCalled();
+    });
+
+    it('prefers Docker when the daemon answers', async () => {
+        process.env.SANDBOX_BACKEND = 'auto';
+        const { Sandbox, DockerSandbox } = loadSandbox();
+        jest.spyOn(DockerSandbox, 'isAvailable').mockResolvedValue(true);
+
+        expect((await Sandbox.getBackend()).backendName).toBe('docker');
+    });
+
+    it('falls back to local processes outside production', async () => {
+        process.env.SANDBOX_BACKEND = 'auto';
+        process.env.NODE_ENV = 'development';
+        const { Sandbox, DockerSandbox } = loadSandbox();
+        jest.spyOn(DockerSandbox, 'isAvailable').mockResolvedValue(false);
+
+        expect((await Sandbox.getBackend()).backendName).toBe('local');
+    });
+
+    it('never runs code on the host in production', async () => {
+        process.env.SANDBOX_BACKEND = 'bogus';
+        process.env.NODE_ENV = 'production';
+        const { Sandbox, DockerSandbox, LocalSandbox } = loadSandbox();
+        jest.spyOn(DockerSandbox, 'isAvailable').mockResolvedValue(false);
+        const local = jest.spyOn(LocalSandbox, 'isAvailable');
+
+        expect((await Sandbox.getBackend()).backendName).toBe('docker');
+        expect(local).not.toHaveBeenCalled();
+    });
+
+    it('rejects unsupported languages', () => {
+        expect(() => loadSandbox().Sandbox.getRuntime('cobol')).toThrow('Language cobol not supported in sandbox.');
+    });
+});
+
+describe('Verdicts', () => {
+    const { Sandbox } = loadSandbox();
+    const run = (fields) => ({ exitCode: 0, stdout: '', timedOut: false, oomKilled: false, outputTruncated: false, ...fields });
+
+    it('accepts output that differs only in trailing whitespace', () => {
+        expect(Sandbox.verdictFor(run({ stdout: '1 2  \r\n3\n\n' }), '1 2\n3')).toBe('AC');
+        expect(Sandbox.verdictFor(run({ stdout: '1 2\n4' }), '1 2\n3')).toBe('WA');
+    });
+
+    it('reports limits before the exit code', () => {
+        expect(Sandbox.verdictFor(run({ timedOut: true, exitCode: 137 }), '')).toBe('TLE');
+        expect(Sandbox.verdictFor(run({ oomKilled: true, exitCode: 137 }), '')).toBe('MLE');
+        expect(Sandbox.verdictFor(run({ outputTruncated: true, exitCode: 137 }), '')).toBe('OLE');
+        expect(Sandbox.verdictFor(run({ exitCode: 1 }), '')).toBe('RE');
+    });
+});
+
+describe('Local sandbox', () => {
+    const limits = { timeLimitMs: 5000, memoryLimitMb: 128, outputLimit: 1024 };
+    let Sandbox;
+    let LocalSandbox;
+
+    beforeEach(() => {
+        process.env.SANDBOX_BACKEND = 'local';
+        ({ Sandbox, LocalSandbox } = loadSandbox());
+    });
+
+    it('runs a program with stdin in its work directory and a stripped environment', async () => {
+        const result = await Sandbox.withWorkDir(async (workDir) => {
+            const code = 'process.stdin.on("data", d => console.log(String(d).trim().toUpperCase(), process.cwd() === process.env.HOME, process.env.JWT_SECRET))';
+            require('fs').writeFileSync(`${workDir}/main.js`, code);
+            return LocalSandbox.exec(RUNTIMES.javascript, RUNTIMES.javascript.runCmd, workDir, { ...limits, stdin: 'hello' });
+        });
+
+        expect(result).toMatchObject({ exitCode: 0, stdout: 'HELLO true undefined\n', timedOut: false, outputTruncated: false });
+    });
+
+    it('kills programs that run past the time limit', async () => {
+        const result = await Sandbox.withWorkDir(async (workDir) => {
+            require('fs').writeFileSync(`${workDir}/main.js`, 'while (true) {}');
+            return LocalSandbox.exec(RUNTIMES.javascript, RUNTIMES.javascript.runCmd, workDir, { ...limits, timeLimitMs: 500 });
+        });
+
+        expect(result.timedOut).toBe(true);
+        expect(result.exitCode).not.toBe(0);
+    });
+
+    it('stops collecting output at the limit', async () => {
+        const result = await Sandbox.withWorkDir(async (workDir) => {
+            require('fs').writeFileSync(`${workDir}/main.js`, 'for (;;) process.stdout.write("x".repeat(512))');
+            return LocalSandbox.exec(RUNTIMES.javascript, RUNTIMES.javascript.runCmd, workDir, limits);
+        });
+
+        expect(result.outputTruncated).toBe(true);
+        expect(result.stdout).toHaveLength(1024);
+    });
+
+    it('runs a multi-file project from its entry file', async () => {
+        const result = await Sandbox.runProject('javascript', [
+            { path: 'lib/greet.js', content: 'module.exports = (name) => `Hello, ${name}`;' },
+            { path: 'app.js', content: 'console.log(require("./lib/greet")("class"))' }
+        ], 'app.js');
+
+        expect(result).toEqual({ success: true, output: 'Hello, class\n', statusCode: 0 });
+    });
+
+    it('refuses project files outside the work directory', async () => {
+        const result = await Sandbox.runProject('javascript', [{ path: '../escape.js', content: '' }], 'escape.js');
+
+        expect(result).toMatchObject({ success: false, error: 'Invalid file path: ../escape.js' });
+    });
+
+    it('judges every test and reports compile errors for each', async () => {
+        const tests = [
+            { input: '2 3', expectedOutput: '5' },
+            { input: '2 2', expectedOutput: '5' }
+        ];
+        const sum = 'const [a, b] = require("fs").readFileSync(0, "utf8").split(" ").map(Number); console.log(a + b)';
+
+        const judged = await Sandbox.judge('javascript', sum, tests);
+        const broken = await Sandbox.judge('javascript', 'const = ;', tests);
+
+        expect(judged.compiled).toBe(true);
+        expect(judged.results.map(r => r.verdict)).toEqual(['AC', 'WA']);
+        expect(broken).toMatchObject({ compiled: false, results: [{ verdict: 'CE' }, { verdict: 'CE' }] });
+        expect(broken.compileOutput).toMatch(/SyntaxError/);
+    });
+});
@@ -0,0 +1,190 @@
+jest.mock('../utils/logger', () => require('./mocks/logger'));
+jest.mock('../socket', () => require('./mocks/socket'));
+jest.mock('../services/notificationService', () => ({ sendNotification: jest.fn(async () => {}) }));
+jest.mock('../services/aiModerator', () => ({ scan: jest.fn() }));
+jest.mock('../services/moderationService', () => ({ checkAndFlag: jest.fn() }));
+jest.mock('../services/embeddingService', () => ({ generateEmbedding: jest.fn(async () => null) }));
+jest.mock('../listeners/mongoSync', () => ({ syncPost: jest.fn(async () => {}) }));
+jest.mock('../events/publisher', () => ({ publish: jest.fn() }));
+// Timers are never started; tests call the scheduled callbacks themselves
+jest.mock('node-cron', () => ({ validate: () => true, schedule: jest.fn(() => ({ stop: () => {} })) }));
+
+const cron = require('node-cron');
+
+const Alumni = require('../models/Alumni');
+const AlumniEvent = require('../models/AlumniEvent');
+const Post = require('../models/Post');
+const EventPublisher = require('../events/publisher');
+const MentorshipService = require('../services/mentorshipService');
+const NotificationService = require('../services/notificationService');
+const PollService = require('../services/pollService');
+const logger = require('../utils/logger');
+const scheduler = require('../jobs/scheduler');
+const closeExpiredPolls = require('../jobs/tasks/closeExpiredPolls');
+const publishScheduledPosts = require('../jobs/tasks/publishScheduledPosts');
+const sendEventSurveys = require('../jobs/tasks/sendEventSurveys');
+const sendMentorshipReminders = require('../jobs/tasks/sendMentorshipReminders');
+const { query } = require('./mocks/query');
+const { objectId, buildPost, buildPoll } = require('./mocks/fixtures');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+});
+
+describe('Scheduler', () => {
+    const TASKS = [
+        'aggregateMetrics',
+        'sendMentorshipReminders',
+        'sendEventSurveys',
+        'closeExpiredPolls',
+        'publishScheduledPosts',
+        'failStaleSubmissions'
+    ];
+
+    afterEach(() => {
+        scheduler.stop();
+    });
+
+    it('registers every task', () => {
+        expect(scheduler.getStatus().map(task => task.name)).toEqual(TASKS);
+    });
+
+    it('schedules each enabled task on start and records its runs', async () => {
+        jest.spyOn(PollService, 'closeExpired').mockResolvedValue({ closed: 2 });
+
+        scheduler.start();
+
+        expect(cron.schedule.mock.calls.map(([schedule]) => schedule))
+            .toEqual(TASKS.map(name => scheduler.tasks.get(name).schedule));
+        const [, runClosePolls] = cron.schedule.mock.calls[TASKS.indexOf('closeExpiredPolls')];
+        await runClosePolls();
+
+        expect(scheduler.getStatus().find(task => task.name === 'closeExpiredPolls'))
+            .toMatchObject({ running: true, runCount: 1, lastResult: { success: true, closed: 2 } });
+    });
+});
+
+describe('publishScheduledPosts task', () => {
+    it('publishes posts whose scheduled time has passed', async () => {
+        const due = buildPost({ status: 'scheduled', scheduledAt: new Date(Date.now() - 5 * 60 * 1000) });
+        const later = buildPost({ status: 'scheduled', scheduledAt: new Date(Date.now() + HOUR_MS) });
+        const posts = [due, later];
+        // Answer the task's queries from `posts`, applying their filters
+        jest.spyOn(Post, 'find').mockImplementation(({ status, scheduledAt }) => query(
+            posts.filter(post => post.status === status && post.scheduledAt <= scheduledAt.$lte).map(({ _id }) => ({ _id }))
+        ));
+        jest.spyOn(Post, 'findOneAndUpdate').mockImplementation(async ({ _id, status, scheduledAt }, { $set }) => {
+            const post = posts.find(p => p._id.equals(_id) && status.$in.includes(p.status) && p.scheduledAt <= scheduledAt.$lte);
+            if (!post) return null;
+            Object.assign(post, $set, { scheduledAt: undefined });
+            return post;
+        });
+
+        expect(await publishScheduledPosts.execute()).toEqual({ published: 1 });
+        expect(due.status).toBe('published');
+        expect(later.status).toBe('scheduled');
+        expect(EventPublisher.publish).toHaveBeenCalledWith('POST_PUBLISHED', expect.objectContaining({ postId: due._id, scheduled: true }));
+        expect(logger.info).toHaveBeenCalledWith('Published 1 scheduled posts');
+    });
+});
+
+describe('closeExpiredPolls task', () => {
+    it('closes polls past their end time and freezes their results', async () => {
+        const expired = buildPoll({ endsAt: new Date(Date.now() - HOUR_MS) });
+        expired.poll.options[0].votes.push({ user: objectId() });
+        // A reader closed this one between the scan and the task reaching it
+        const alreadyClosed = buildPoll({ endsAt: new Date(Date.now() - HOUR_MS) });
+        const find = jest.spyOn(Post, 'find').mockReturnValue(query([{ _id: expired._id }, { _id: alreadyClosed._id }]));
+        jest.spyOn(Post, 'findOneAndUpdate').mockImplementation(async ({ _id }) => (_id === expired._id ? expired : null));
+        const freeze = jest.spyOn(Post, 'updateOne').mockResolvedValue({});
+
+        expect(await closeExpiredPolls.execute()).toEqual({ closed: 1 });
+        expect(find.mock.calls[0][0]).toEqual({
+            postType: 'poll',
+            'poll.closedAt': null,
+            'poll.endsAt': { $lte: expect.any(Date) }
+        });
+        expect(freeze).toHaveBeenCalledWith({ _id: expired._id }, {
+            $set: { 'poll.results': expect.objectContaining({ totalVotes: 1, totalVoters: 1 }) }
+        });
+        expect(logger.info).toHaveBeenCalledWith('Closed 1 expired polls');
+    });
+
+    it('stays quiet when no poll has expired', async () => {
+        jest.spyOn(Post, 'find').mockReturnValue(query([]));
+
+        expect(await closeExpiredPolls.execute()).toEqual({ closed: 0 });
+        expect(logger.info).not.toHaveBeenCalled();
+    });
+});
+
+describe('sendEventSurveys task', () => {
+    const organizerUser = objectId();
+    const attended = objectId();
+
+    const endedEvent = () => new AlumniEvent({
+        title: 'Alumni mixer',
+        description: 'Meet the class of 2015',
+        organizer: objectId(),
+        eventType: 'networking',
+        startDate: new Date(Date.now() - 3 * HOUR_MS),
+        endDate: new Date(Date.now() - HOUR_MS),
+        location: { type: 'physical', address: 'Main hall' },
+        status: 'published',
+        attendees: [{ alumni: attended, attended: true }, { alumni: objectId() }],
+        survey: { questions: [{ prompt: 'How was it?', kind: 'rating' }] }
+    });
+
+    beforeEach(() => {
+        jest.spyOn(Alumni, 'findById').mockImplementation(() => query({ user: organizerUser }));
+        jest.spyOn(Alumni, 'find').mockImplementation(({ _id: { $in: ids } }) => query(ids.map(id => ({ _id: id, user: objectId() }))));
+    });
+
+    it('invites checked-in attendees of ended events once and logs the run', async () => {
+        const event = endedEvent();
+        jest.spyOn(AlumniEvent, 'find').mockReturnValue(query([event]));
+        const claim = jest.spyOn(AlumniEvent, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+        const result = await sendEventSurveys.execute();
+
+        expect(result).toEqual({ events: 1, sent: 1 });
+        expect(claim.mock.calls[0][0]).toEqual({ _id: event._id, 'survey.sentAt': null });
+        expect(Alumni.find).toHaveBeenCalledWith({ _id: { $in: [attended] } });
+        expect(logger.info).toHaveBeenCalledWith('Sent 1 survey invitations for 1 events');
+    });
+
+    it('skips events another run already claimed', async () => {
+        jest.spyOn(AlumniEvent, 'find').mockReturnValue(query([endedEvent()]));
+        jest.spyOn(AlumniEvent, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+        expect(await sendEventSurveys.execute()).toEqual({ events: 1, sent: 0 });
+        expect(NotificationService.sendNotification).not.toHaveBeenCalled();
+    });
+
+    it('stays quiet when no event has ended', async () => {
+        jest.spyOn(AlumniEvent, 'find').mockReturnValue(query([]));
+
+        expect(await sendEventSurveys.execute()).toEqual({ events: 0, sent: 0 });
+        expect(logger.info).not.toHaveBeenCalled();
+    });
+});
+
+describe('sendMentorshipReminders task', () => {
+    it('returns the number of reminders sent', async () => {
+        jest.spyOn(MentorshipService, 'sendDueReminders').mockResolvedValue({ sent: 3 });
+
+        expect(await sendMentorshipReminders.execute()).toEqual({ sent: 3 });
+        expect(logger.info).toHaveBeenCalledWith('Sent 3 mentorship session reminders');
+    });
+
+    it('logs and rethrows failures so the scheduler records them', async () => {
+        const error = new Error('db down');
+        jest.spyOn(MentorshipService, 'sendDueReminders').mockRejectedValue(error);
+
+        await expect(sendMentorshipReminders.execute()).rejects.toThrow('db down');
+        expect(logger.error).toHaveBeenCalledWith('Task sendMentorshipReminders failed:', error);
+    });
+});
@@ -0,0 +1,198 @@
+jest.mock('../utils/logger', () => require('./mocks/logger'));
+jest.mock('../socket', () => require('./mocks/socket'));
+jest.mock('../services/notificationService', () => ({ sendNotification: jest.fn(async () => {}) }));
+jest.mock('../middleware/rateLimitMiddleware', () => ({ apiLimiter: (req, res, next) => next() }));
+jest.mock('../services/aiModerator', () => ({}));
+jest.mock('../services/postPublishService', () => ({ afterPublish: jest.fn() }));
+jest.mock('../events/publisher', () => ({ publish: jest.fn() }));
+
+const Post = require('../models/Post');
+const User = require('../models/User');
+const EventPublisher = require('../events/publisher');
+const PostPublishService = require('../services/postPublishService');
+const RecommendationEngine = require('../services/recommendationEngine');
+const ShareService = require('../services/shareService');
+const { query } = require('./mocks/query');
+const { objectId, buildPost } = require('./mocks/fixtures');
+const { routeApp } = require('./mocks/app');
+
+const author = objectId();
+const reader = objectId();
+
+const repostOf = (source) => new Post({ user: reader, postType: 'shared', shareKind: 'repost', sharedPost: source._id });
+const quoteOf = (source, content = 'Worth a read') => new Post({
+    user: reader, postType: 'shared', shareKind: 'quote', sharedPost: source._id, content
+});
+
+describe('Repost tombstones', () => {
+    afterEach(() => {
+        jest.clearAllMocks();
+        jest.restoreAllMocks();
+    });
+
+    it('embeds shared posts the reader can see, loading each source once', async () => {
+        const source = buildPost();
+        const find = jest.spyOn(Post, 'find').mockReturnValue(query([source]));
+
+        const feed = await ShareService.attachShared([quoteOf(source), repostOf(source)], reader);
+
+        expect(find).toHaveBeenCalledTimes(1);
+        expect(find.mock.calls[0][0]).toEqual({ _id: { $in: [source._id.toString()] } });
+        expect(feed).toHaveLength(2);
+        feed.forEach(post => expect(post.sharedPost).toMatchObject({ _id: source._id, content: source.content }));
+    });
+
+    it('shows a tombstone in quotes of a deleted post and drops reposts of it', async () => {
+        const source = buildPost({ isDeleted: true });
+        const quote = quoteOf(source);
+        const own = buildPost({ content: 'Unrelated' });
+        jest.spyOn(Post, 'find').mockReturnValue(query([source]));
+
+        const feed = await ShareService.attachShared([quote, repostOf(source), own], reader);
+
+        expect(feed.map(post => post._id)).toEqual([quote._id, own._id]);
+        expect(feed[0].sharedPost).toEqual({ _id: source._id.toString(), tombstone: true, reason: 'deleted' });
+        expect(feed[0].content).toBe('Worth a read');
+    });
+
+    it('treats a source that no longer exists as deleted', async () => {
+        const source = buildPost();
+        jest.spyOn(Post, 'find').mockReturnValue(query([]));
+
+        const [quote] = await ShareService.attachShared([quoteOf(source)], reader);
+
+        expect(quote.sharedPost).toMatchObject({ tombstone: true, reason: 'deleted' });
+    });
+
+    it('hides a source the reader may not see behind an "unavailable" tombstone', async () => {
+        const source = buildPost({ user: author, visibility: 'followers' });
+        jest.spyOn(Post, 'find').mockReturnValue(query([source]));
+        const follows = jest.spyOn(User, 'exists').mockResolvedValue(null);
+
+        const feed = await ShareService.attachShared([quoteOf(source), repostOf(source)], reader);
+
+        expect(follows).toHaveBeenCalledWith({ _id: author.toString(), followers: reader });
+        expect(feed).toHaveLength(1);
+        expect(feed[0].sharedPost).toEqual({ _id: source._id.toString(), tombstone: true, reason: 'unavailable' });
+    });
+
+    it('lets followers see followers-only sources', async () => {
+        const source = buildPost({ user: author, visibility: 'followers' });
+        jest.spyOn(Post, 'find').mockReturnValue(query([source]));
+        jest.spyOn(User, 'exists').mockResolvedValue({ _id: author });
+
+        const [repost] = await ShareService.attachShared([repostOf(source)], reader);
+
+        expect(repost.sharedPost.tombstone).toBeUndefined();
+        expect(repost.sharedPost._id).toEqual(source._id);
+    });
+
+    it('stops the attribution chain at the first tombstone', async () => {
+        const original = buildPost();
+        const removed = quoteOf(original, 'Deleted quote');
+        removed.isDeleted = true;
+        const quote = quoteOf(removed, 'Quote of a quote');
+        const findById = jest.spyOn(Post, 'findById').mockImplementation((id) => query(
+            [original, removed].find(post => post._id.equals(id)) || null
+        ));
+
+        const chain = await ShareService.attribution(quote, reader);
+
+        expect(chain).toEqual([{ _id: removed._id, tombstone: true, reason: 'deleted' }]);
+        expect(findById).toHaveBeenCalledTimes(1);
+    });
+
+    it('follows quotes of quotes back to the original', async () => {
+        const original = buildPost();
+        const middle = quoteOf(original, 'First take');
+        const quote = quoteOf(middle, 'Second take');
+        jest.spyOn(Post, 'findById').mockImplementation((id) => query(
+            [original, middle].find(post => post._id.equals(id)) || null
+        ));
+
+        const chain = await ShareService.attribution(quote, reader);
+
+        expect(chain.map(post => post._id)).toEqual([middle._id, original._id]);
+    });
+});
+
+describe('Share routes', () => {
+    const api = routeApp('/api/posts', require('../routes/posts'));
+    let source;
+
+    beforeEach(() => {
+        source = buildPost({ user: author });
+        jest.spyOn(Post, 'findOne').mockImplementation(async ({ _id }) => (source._id.equals(_id) ? source : null));
+        jest.spyOn(Post, 'create').mockImplementation(async (fields) => new Post(fields));
+        jest.spyOn(Post, 'updateOne').mockResolvedValue({});
+        jest.spyOn(RecommendationEngine, 'trackInteraction').mockResolvedValue();
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+        jest.restoreAllMocks();
+    });
+
+    it('needs a token to share', async () => {
+        expect((await api.anonymous().post(`/api/posts/${source._id}/repost`)).statusCode).toBe(401);
+    });
+
+    it('reposts a public post and tells its author', async () => {
+        const res = await api.as(reader).post(`/api/posts/${source._id}/repost`);
+
+        expect(res.statusCode).toBe(201);
+        expect(res.body.data).toMatchObject({ postType: 'shared', shareKind: 'repost', sharedPost: source._id.toString() });
+        expect(Post.updateOne).toHaveBeenCalledWith({ _id: source._id }, { $inc: { sharesCount: 1 } });
+        expect(EventPublisher.publish).toHaveBeenCalledWith('POST_SHARED', expect.objectContaining({
+            targetUserId: author,
+            actorId: reader.toString(),
+            kind: 'repost'
+        }));
+    });
+
+    it('shares the original when reposting a repost', async () => {
+        const repost = repostOf(source);
+        Post.findOne.mockImplementation(async ({ _id }) => [source, repost].find(post => post._id.equals(_id)) || null);
+
+        const res = await api.as(objectId()).post(`/api/posts/${repost._id}/repost`);
+
+        expect(res.body.data.sharedPost).toBe(source._id.toString());
+    });
+
+    it.each([
+        ['your own post', author, {}, 400, 'You cannot repost your own post'],
+        ['a followers-only post', reader, { visibility: 'followers' }, 403, 'Only public posts can be shared']
+    ])('refuses to repost %s', async (_, user, fields, status, message) => {
+        Object.assign(source, fields);
+
+        const res = await api.as(user).post(`/api/posts/${source._id}/repost`);
+
+        expect(res.statusCode).toBe(status);
+        expect(res.body.message).toBe(message);
+        expect(Post.create).not.toHaveBeenCalled();
+    });
+
+    it('refuses a second repost of the same post', async () => {
+        Post.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+        const res = await api.as(reader).post(`/api/posts/${source._id}/repost`);
+
+        expect(res.statusCode).toBe(409);
+        expect(Post.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('publishes a quote as a post of its own with the source embedded', async () => {
+        jest.spyOn(Post, 'find').mockReturnValue(query([source]));
+
+        const res = await api.as(reader).post(`/api/posts/${source._id}/quote`, { content: 'Worth a read #ml' });
+
+        expect(res.statusCode).toBe(201);
+        expect(res.body.data).toMatchObject({ shareKind: 'quote', content: 'Worth a read #ml', tags: ['ml'] });
+        expect(res.body.data.sharedPost).toMatchObject({ _id: source._id.toString(), content: source.content });
+        expect(PostPublishService.afterPublish).toHaveBeenCalledTimes(1);
+    });
+
+    it('needs text to quote', async () => {
+        expect((await api.as(reader).post(`/api/posts/${source._id}/quote`, { content: ' ' })).statusCode).toBe(400);
+    });
+});
@@ -0,0 +1,200 @@
+jest.mock('../utils/logger', () => require('./mocks/logger'));
+jest.mock('../middleware/rateLimitMiddleware', () => ({ apiLimiter: (req, res, next) => next() }));
+
+const Story = require('../models/Story');
+const StoryHighlight = require('../models/StoryHighlight');
+const User = require('../models/User');
+const { query } = require('./mocks/query');
+const { objectId } = require('./mocks/fixtures');
+const { routeApp } = require('./mocks/app');
+
+const api = routeApp('/api/stories', require('../routes/stories'));
+
+const author = objectId();
+const follower = objectId();
+const stranger = objectId();
+
+const buildUser = (_id, fields = {}) => new User({
+    _id,
+    username: `user${_id.toString().slice(-4)}`,
+    email: `${_id}@uni.edu`,
+    password: 'secret123',
+    ...fields
+});
+
+const buildStory = (fields = {}) => new Story({
+    user: author,
+    mediaType: 'image',
+    mediaUrl: 'https://cdn.example.com/story.jpg',
+    ...fields
+});
+
+// Serve the viewer and story owner the way StoryService looks them up
+const stubUsers = (owner) => {
+    jest.spyOn(User, 'findById').mockImplementation((id) => query(buildUser(id)));
+    jest.spyOn(User, 'findOne').mockReturnValue(query(owner));
+};
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('POST /api/stories', () => {
+    beforeEach(() => {
+        jest.spyOn(Story, 'countDocuments').mockReturnValue(query(0));
+        jest.spyOn(Story, 'create').mockImplementation(async (fields) => new Story(fields));
+    });
+
+    it('requires a token', async () => {
+        const res = await api.anonymous().post('/api/stories', { mediaType: 'text', text: 'Hi' });
+
+        expect(res.statusCode).toBe(401);
+        expect(Story.create).not.toHaveBeenCalled();
+    });
+
+    it('posts a story that expires in 24 hours', async () => {
+        const before = Date.now();
+
+        const res = await api.as(author).post('/api/stories', { mediaType: 'text', text: 'Exams are over!' });
+
+        expect(res.statusCode).toBe(201);
+        expect(res.body.data).toMatchObject({ text: 'Exams are over!', seen: true, viewersCount: 0 });
+        expect(res.body.data.viewers).toBeUndefined();
+        expect(new Date(res.body.data.expiresAt) - before).toBeGreaterThanOrEqual(24 * 60 * 60 * 1000);
+    });
+
+    it('rejects media stories without a valid URL', async () => {
+        const res = await api.as(author).post('/api/stories', { mediaType: 'image', mediaUrl: 'not a url' });
+
+        expect(res.statusCode).toBe(400);
+    });
+
+    it('caps the number of active stories', async () => {
+        Story.countDocuments.mockReturnValue(query(30));
+
+        const res = await api.as(author).post('/api/stories', { mediaType: 'text', text: 'One more' });
+
+        expect(res.statusCode).toBe(429);
+        expect(Story.create).not.toHaveBeenCalled();
+    });
+});
+
+describe('Viewing stories', () => {
+    it('shows a story to followers of a followers-only profile without the viewer list', async () => {
+        const story = buildStory({ viewers: [{ user: stranger }], viewersCount: 1 });
+        jest.spyOn(Story, 'findById').mockReturnValue(query(story));
+        stubUsers(buildUser(author, { followers: [follower], settings: { privacy: { profileVisibility: 'followers' } } }));
+
+        const res = await api.as(follower).get(`/api/stories/${story._id}`);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data).toMatchObject({ seen: false, user: { _id: author.toString() } });
+        expect(res.body.data.viewers).toBeUndefined();
+        expect(res.body.data.viewersCount).toBeUndefined();
+    });
+
+    it.each([
+        ['the profile is followers-only', { settings: { privacy: { profileVisibility: 'followers' } } }],
+        ['the author blocked the viewer', { blockedUsers: [stranger] }]
+    ])('hides a story when %s', async (_, ownerFields) => {
+        const story = buildStory();
+        jest.spyOn(Story, 'findById').mockReturnValue(query(story));
+        stubUsers(buildUser(author, ownerFields));
+
+        const res = await api.as(stranger).get(`/api/stories/${story._id}`);
+
+        expect(res.statusCode).toBe(404);
+    });
+
+    it('returns 404 once a story has expired', async () => {
+        jest.spyOn(Story, 'findById').mockReturnValue(query(null));
+        stubUsers(buildUser(author));
+
+        const res = await api.as(follower).get(`/api/stories/${objectId()}`);
+
+        expect(res.statusCode).toBe(404);
+    });
+
+    it("records a viewer's first view but never the author's own", async () => {
+        const story = buildStory();
+        jest.spyOn(Story, 'findById').mockReturnValue(query(story));
+        stubUsers(buildUser(author));
+        const recordView = jest.spyOn(Story, 'recordView').mockResolvedValue(true);
+
+        const viewed = await api.as(follower).post(`/api/stories/${story._id}/view`);
+        const own = await api.as(author).post(`/api/stories/${story._id}/view`);
+
+        expect(viewed.body.data).toEqual({ recorded: true });
+        expect(own.body.data).toEqual({ recorded: false });
+        expect(recordView).toHaveBeenCalledTimes(1);
+        expect(recordView).toHaveBeenCalledWith(story._id, follower.toString());
+    });
+
+    it('lists viewers to the author only', async () => {
+        const story = buildStory({ viewers: [{ user: follower }], viewersCount: 1 });
+        jest.spyOn(Story, 'findById').mockReturnValue(query(story));
+        jest.spyOn(story, 'populate').mockResolvedValue(story);
+        stubUsers(buildUser(author));
+
+        const denied = await api.as(follower).get(`/api/stories/${story._id}/viewers`);
+        const res = await api.as(author).get(`/api/stories/${story._id}/viewers`);
+
+        expect(denied.statusCode).toBe(403);
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data.viewersCount).toBe(1);
+        expect(res.body.data.viewers[0].user).toBe(follower.toString());
+    });
+
+    it('only lets the author delete a story', async () => {
+        const story = buildStory();
+        jest.spyOn(Story, 'findById').mockReturnValue(query(story));
+        const deleteOne = jest.spyOn(story, 'deleteOne').mockResolvedValue({});
+        stubUsers(buildUser(author));
+
+        const denied = await api.as(follower).delete(`/api/stories/${story._id}`);
+        const res = await api.as(author).delete(`/api/stories/${story._id}`);
+
+        expect(denied.statusCode).toBe(403);
+        expect(res.statusCode).toBe(200);
+        expect(deleteOne).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('Story highlights', () => {
+    beforeEach(() => {
+        jest.spyOn(StoryHighlight, 'countDocuments').mockResolvedValue(0);
+        jest.spyOn(StoryHighlight, 'create').mockImplementation(async (fields) => new StoryHighlight(fields));
+    });
+
+    it('snapshots the author\'s own stories into a highlight', async () => {
+        const story = buildStory({ thumbnail: 'https://cdn.example.com/thumb.jpg' });
+        const find = jest.spyOn(Story, 'find').mockResolvedValue([story]);
+
+        const res = await api.as(author).post('/api/stories/highlights', { title: 'Fest', storyIds: [story._id.toString()] });
+
+        expect(res.statusCode).toBe(201);
+        expect(find).toHaveBeenCalledWith({ _id: { $in: [story._id.toString()] }, user: author.toString() });
+        expect(res.body.data).toMatchObject({ title: 'Fest', coverUrl: 'https://cdn.example.com/thumb.jpg' });
+        expect(res.body.data.items[0]).toMatchObject({ story: story._id.toString(), mediaUrl: story.mediaUrl });
+    });
+
+    it("refuses to add someone else's story", async () => {
+        jest.spyOn(Story, 'find').mockResolvedValue([]);
+
+        const res = await api.as(follower).post('/api/stories/highlights', { title: 'Stolen', storyIds: [objectId().toString()] });
+
+        expect(res.statusCode).toBe(400);
+        expect(StoryHighlight.create).not.toHaveBeenCalled();
+    });
+
+    it("hides another user's highlight from edits", async () => {
+        const highlight = new StoryHighlight({ user: author, title: 'Fest' });
+        jest.spyOn(StoryHighlight, 'findById').mockResolvedValue(highlight);
+        const save = jest.spyOn(highlight, 'save');
+
+        const res = await api.as(follower).patch(`/api/stories/highlights/${highlight._id}`, { title: 'Mine now' });
+
+        expect(res.statusCode).toBe(404);
+        expect(save).not.toHaveBeenCalled();
+    });
+});
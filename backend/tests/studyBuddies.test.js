@@ -0,0 +1,209 @@
+jest.mock('../utils/logger', () => require('./mocks/logger'));
+jest.mock('../middleware/rateLimitMiddleware', () => ({ apiLimiter: (req, res, next) => next() }));
+jest.mock('../services/notificationService', () => ({ sendNotification: jest.fn(async () => {}) }));
+
+const StudyBuddyProfile = require('../models/StudyBuddyProfile');
+const StudyMatch = require('../models/StudyMatch');
+const User = require('../models/User');
+const UserInterest = require('../models/UserInterest');
+const Enrollment = require('../models/Enrollment');
+const NotificationService = require('../services/notificationService');
+const StudyBuddyService = require('../services/studyBuddyService');
+const { query } = require('./mocks/query');
+const { objectId } = require('./mocks/fixtures');
+const { routeApp } = require('./mocks/app');
+
+const api = routeApp('/api/study-buddies', require('../routes/studyBuddies'));
+
+const me = objectId().toString();
+const buddy = objectId().toString();
+
+const buildMatch = (fields = {}) => new StudyMatch({
+    users: [me, buddy].sort(),
+    pairKey: StudyMatch.pairKeyFor(me, buddy),
+    requestedBy: buddy,
+    acceptedBy: [buddy],
+    ...fields
+});
+
+afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+});
+
+describe('Study buddy profile', () => {
+    beforeEach(() => {
+        jest.spyOn(StudyBuddyProfile, 'findOne').mockResolvedValue(null);
+        jest.spyOn(StudyBuddyProfile.prototype, 'save').mockImplementation(async function () {
+            await this.validate();
+            return this;
+        });
+    });
+
+    it('requires a token', async () => {
+        expect((await api.anonymous().get('/api/study-buddies/profile')).statusCode).toBe(401);
+    });
+
+    it('opts the caller in with only the editable fields', async () => {
+        const res = await api.as(me).put('/api/study-buddies/profile', {
+            subjects: ['Calculus'],
+            availability: [{ day: 1, start: '18:00', end: '20:00' }],
+            timezone: 'Asia/Kolkata',
+            user: buddy
+        });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data).toMatchObject({ user: me, isActive: true, subjects: ['calculus'], timezone: 'Asia/Kolkata' });
+    });
+
+    it.each([
+        ['an unknown timezone', { timezone: 'Mars/Olympus' }],
+        ['a window that ends before it starts', { availability: [{ day: 2, start: '20:00', end: '18:00' }] }]
+    ])('rejects %s', async (_, body) => {
+        const res = await api.as(me).put('/api/study-buddies/profile', body);
+
+        expect(res.statusCode).toBe(400);
+    });
+
+    it('asks students who have not opted in to do so before suggesting buddies', async () => {
+        jest.spyOn(StudyBuddyProfile, 'findOne').mockReturnValue(query(null));
+        jest.spyOn(User, 'findById').mockReturnValue(query({ _id: me }));
+        jest.spyOn(UserInterest, 'findOne').mockReturnValue(query(null));
+        jest.spyOn(Enrollment, 'find').mockReturnValue({ distinct: async () => [] });
+
+        const res = await api.as(me).get('/api/study-buddies/suggestions');
+
+        expect(res.statusCode).toBe(400);
+    });
+});
+
+describe('Compatibility scoring', () => {
+    const profile = (fields = {}) => ({ subjects: [], mode: 'either', maxDistanceKm: 10, studyStyle: 'mixed', timezone: 'UTC', ...fields });
+    const context = (fields = {}) => ({ userId: me, profile: profile(fields), user: {}, tags: new Set(fields.subjects), courseIds: ['c1'], affinities: {} });
+    const candidate = (fields = {}, extra = {}) => ({
+        profile: profile(fields),
+        user: { _id: buddy, username: 'buddy' },
+        tags: new Set(fields.subjects),
+        sharedCourses: [],
+        affinity: 0,
+        intervals: StudyBuddyService.weeklyUtcIntervals(profile(fields)),
+        ...extra
+    });
+
+    it('compares availability across timezones', () => {
+        const kolkata = StudyBuddyService.weeklyUtcIntervals(profile({ timezone: 'Asia/Kolkata', availability: [{ day: 1, start: '18:00', end: '20:00' }] }));
+        const utc = StudyBuddyService.weeklyUtcIntervals(profile({ availability: [{ day: 1, start: '12:30', end: '14:30' }] }));
+
+        expect(StudyBuddyService.overlapMinutes(kolkata, utc)).toBe(120);
+    });
+
+    it('explains every signal that contributed to the score', () => {
+        const ctx = context({ subjects: ['calculus', 'physics'], availability: [{ day: 3, start: '10:00', end: '16:00' }] });
+        const result = StudyBuddyService.scoreCandidate(
+            ctx,
+            StudyBuddyService.weeklyUtcIntervals(ctx.profile),
+            candidate(
+                { subjects: ['calculus'], availability: [{ day: 3, start: '13:00', end: '19:00' }] },
+                { sharedCourses: [{ _id: 'c1', title: 'Linear Algebra' }], affinity: 5 }
+            )
+        );
+
+        expect(result.reasons).toEqual([
+            'Enrolled in the same course: Linear Algebra',
+            'Shares interest in calculus',
+            'Both free for 3 hours a week',
+            'You have interacted before'
+        ]);
+        expect(result.breakdown).toEqual({ courses: 100, interests: 100, availability: 50, affinity: 50 });
+        expect(result.compatibilityScore).toBe(81);
+    });
+
+    it('never pairs in-person-only students with online-only ones', () => {
+        const ctx = context({ mode: 'in_person', subjects: ['calculus'] });
+
+        expect(StudyBuddyService.scoreCandidate(ctx, [], candidate({ mode: 'online', subjects: ['calculus'] }))).toBeNull();
+    });
+});
+
+describe('Mutual opt-in', () => {
+    const stubProfiles = ({ target = {} } = {}) => {
+        jest.spyOn(StudyBuddyProfile, 'findOne').mockImplementation(({ user }) => query({ user, isActive: true }));
+        jest.spyOn(User, 'findById').mockImplementation((id) => query(
+            id === buddy ? { _id: buddy, isActive: true, isDeleted: false, blockedUsers: [], ...target } : { _id: me, username: 'me', blockedUsers: [] }
+        ));
+    };
+
+    it('refuses to match a student with themselves', async () => {
+        const res = await api.as(me).post('/api/study-buddies/matches', { userId: me });
+
+        expect(res.statusCode).toBe(400);
+    });
+
+    it('hides students who blocked the caller', async () => {
+        stubProfiles({ target: { blockedUsers: [me] } });
+        const create = jest.spyOn(StudyMatch, 'create');
+
+        const res = await api.as(me).post('/api/study-buddies/matches', { userId: buddy });
+
+        expect(res.statusCode).toBe(404);
+        expect(create).not.toHaveBeenCalled();
+    });
+
+    it('sends a request that snapshots why the pair was suggested', async () => {
+        stubProfiles();
+        jest.spyOn(StudyMatch, 'findOne').mockResolvedValue(null);
+        jest.spyOn(StudyBuddyService, 'explainPair').mockResolvedValue({ compatibilityScore: 72, reasons: ['Shares interest in calculus'] });
+        const create = jest.spyOn(StudyMatch, 'create').mockImplementation(async (fields) => new StudyMatch(fields));
+
+        const res = await api.as(me).post('/api/study-buddies/matches', { userId: buddy });
+
+        expect(res.statusCode).toBe(201);
+        expect(res.body.connected).toBe(false);
+        expect(create).toHaveBeenCalledWith(expect.objectContaining({
+            requestedBy: me,
+            status: 'pending',
+            score: 72,
+            reasons: ['Shares interest in calculus']
+        }));
+        expect(NotificationService.sendNotification).toHaveBeenCalledWith(expect.objectContaining({ recipient: buddy, type: 'study_buddy' }));
+    });
+
+    it('connects straight away when the other student already asked', async () => {
+        stubProfiles();
+        const pending = buildMatch();
+        jest.spyOn(StudyMatch, 'findOne').mockResolvedValue(pending);
+        const accept = jest.spyOn(StudyMatch, 'findOneAndUpdate').mockResolvedValue(buildMatch({ _id: pending._id, status: 'accepted' }));
+
+        const res = await api.as(me).post('/api/study-buddies/matches', { userId: buddy });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toMatchObject({ connected: true, data: { status: 'accepted' } });
+        expect(accept.mock.calls[0][0]).toEqual({ _id: pending._id, status: 'pending' });
+    });
+
+    it('only lets the recipient answer a request', async () => {
+        const pending = buildMatch();
+        jest.spyOn(StudyMatch, 'findById').mockResolvedValue(pending);
+        const update = jest.spyOn(StudyMatch, 'findOneAndUpdate');
+
+        const own = await api.as(buddy).post(`/api/study-buddies/matches/${pending._id}/accept`);
+        const outsider = await api.as(objectId()).post(`/api/study-buddies/matches/${pending._id}/decline`);
+
+        expect(own.statusCode).toBe(400);
+        expect(outsider.statusCode).toBe(404);
+        expect(update).not.toHaveBeenCalled();
+    });
+
+    it('lets the requester withdraw a pending request but not the recipient', async () => {
+        const pending = buildMatch();
+        jest.spyOn(StudyMatch, 'findById').mockResolvedValue(pending);
+        jest.spyOn(pending, 'save').mockResolvedValue(pending);
+
+        const recipient = await api.as(me).delete(`/api/study-buddies/matches/${pending._id}`);
+        const requester = await api.as(buddy).delete(`/api/study-buddies/matches/${pending._id}`);
+
+        expect(recipient.statusCode).toBe(400);
+        expect(requester.statusCode).toBe(200);
+        expect(requester.body.data).toMatchObject({ status: 'ended', endedBy: buddy });
+    });
+});
@@ -0,0 +1,226 @@
+jest.mock('../utils/logger', () => require('./mocks/logger'));
+jest.mock('../middleware/rateLimitMiddleware', () => ({ apiLimiter: (req, res, next) => next() }));
+jest.mock('../services/notificationService', () => ({ sendNotification: jest.fn(async () => {}) }));
+
+const StudyRoom = require('../models/StudyRoom');
+const StudyAttendance = require('../models/StudyAttendance');
+const User = require('../models/User');
+const NotificationService = require('../services/notificationService');
+const StudyRoomService = require('../services/studyRoomService');
+const { query } = require('./mocks/query');
+const { objectId } = require('./mocks/fixtures');
+const { routeApp } = require('./mocks/app');
+
+const api = routeApp('/api/study-rooms', require('../routes/studyRooms'));
+
+const host = objectId();
+const classmate = objectId();
+const outsider = objectId();
+
+const USERS = {
+    [host]: { _id: host, email: 'host@iitb.ac.in', role: 'user' },
+    [classmate]: { _id: classmate, email: 'classmate@IITB.ac.in', role: 'user' },
+    [outsider]: { _id: outsider, email: 'someone@other.edu', role: 'user' }
+};
+
+const buildRoom = (fields = {}) => new StudyRoom({ name: 'DSA prep', owner: host, ...fields });
+
+const HOUR = 60 * 60 * 1000;
+
+beforeEach(() => {
+    jest.spyOn(User, 'findById').mockImplementation((id) => query(USERS[id] || null));
+    jest.spyOn(StudyRoom.prototype, 'save').mockImplementation(async function () {
+        await this.validate();
+        return this;
+    });
+});
+
+afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+});
+
+describe('Creating study rooms', () => {
+    it('requires a token', async () => {
+        expect((await api.anonymous().post('/api/study-rooms', { name: 'Late night' })).statusCode).toBe(401);
+    });
+
+    it("scopes campus rooms to the host's email domain and expands weekly sessions", async () => {
+        const startsAt = new Date('2026-11-02T14:00:00Z');
+
+        const res = await api.as(host).post('/api/study-rooms', {
+            name: 'Compilers',
+            visibility: 'campus',
+            campusDomain: 'anything.edu',
+            sessions: [{ title: 'Weekly', startsAt, endsAt: new Date(startsAt.getTime() + HOUR), repeatWeeks: 2 }]
+        });
+
+        expect(res.statusCode).toBe(201);
+        expect(res.body.data).toMatchObject({ owner: host.toString(), visibility: 'campus', campusDomain: 'iitb.ac.in' });
+        expect(res.body.data.sessions.map(s => s.startsAt)).toEqual([
+            '2026-11-02T14:00:00.000Z',
+            '2026-11-09T14:00:00.000Z',
+            '2026-11-16T14:00:00.000Z'
+        ]);
+    });
+
+    it('rejects overlapping sessions', async () => {
+        const res = await api.as(host).post('/api/study-rooms', {
+            name: 'Clash',
+            sessions: [
+                { startsAt: '2026-11-02T14:00:00Z', endsAt: '2026-11-02T16:00:00Z' },
+                { startsAt: '2026-11-02T15:00:00Z', endsAt: '2026-11-02T17:00:00Z' }
+            ]
+        });
+
+        expect(res.statusCode).toBe(400);
+    });
+});
+
+describe('Room access', () => {
+    it.each([
+        ['invite-only rooms from people without an invite', { visibility: 'invite' }, outsider, 404],
+        ['invite-only rooms to invitees', { visibility: 'invite', invitees: [outsider] }, outsider, 200],
+        ['campus rooms to students of that campus', { visibility: 'campus', campusDomain: 'iitb.ac.in' }, classmate, 200],
+        ['campus rooms from other campuses', { visibility: 'campus', campusDomain: 'iitb.ac.in' }, outsider, 404],
+        ['archived rooms from everyone but the host', { visibility: 'public', isArchived: true }, classmate, 404]
+    ])('hides or shows %s', async (_, fields, viewer, status) => {
+        const room = buildRoom(fields);
+        jest.spyOn(StudyRoom, 'findById').mockResolvedValue(room);
+        jest.spyOn(room, 'populate').mockResolvedValue(room);
+
+        const res = await api.as(viewer).get(`/api/study-rooms/${room._id}`);
+
+        expect(res.statusCode).toBe(status);
+    });
+
+    it('only shows the invitee list to the host', async () => {
+        const room = buildRoom({ visibility: 'public', invitees: [outsider] });
+        jest.spyOn(StudyRoom, 'findById').mockResolvedValue(room);
+        jest.spyOn(room, 'populate').mockResolvedValue(room);
+
+        const member = await api.as(classmate).get(`/api/study-rooms/${room._id}`);
+        const owner = await api.as(host).get(`/api/study-rooms/${room._id}`);
+
+        expect(member.body.data).toMatchObject({ isHost: false });
+        expect(member.body.data.invitees).toBeUndefined();
+        expect(owner.body.data).toMatchObject({ isHost: true, invitees: [outsider.toString()] });
+    });
+
+    it('only lets the host change settings', async () => {
+        const room = buildRoom({ visibility: 'public' });
+        jest.spyOn(StudyRoom, 'findById').mockResolvedValue(room);
+
+        const res = await api.as(classmate).patch(`/api/study-rooms/${room._id}`, { visibility: 'invite' });
+
+        expect(res.statusCode).toBe(403);
+        expect(room.visibility).toBe('public');
+    });
+
+    it('invites existing users once and notifies them', async () => {
+        const room = buildRoom();
+        jest.spyOn(StudyRoom, 'findById').mockResolvedValue(room);
+        const find = jest.spyOn(User, 'find').mockReturnValue({ distinct: async () => [classmate] });
+
+        const res = await api.as(host).post(`/api/study-rooms/${room._id}/invitees`, { userIds: [classmate.toString(), objectId().toString()] });
+
+        expect(res.statusCode).toBe(200);
+        expect(find).toHaveBeenCalledTimes(1);
+        expect(res.body.data).toEqual([classmate.toString()]);
+        expect(NotificationService.sendNotification).toHaveBeenCalledWith(expect.objectContaining({ recipient: classmate.toString(), type: 'study_room' }));
+    });
+
+    it('lets invitees leave but not remove others', async () => {
+        const room = buildRoom({ invitees: [classmate, outsider] });
+        jest.spyOn(StudyRoom, 'findById').mockResolvedValue(room);
+
+        const kick = await api.as(outsider).delete(`/api/study-rooms/${room._id}/invitees/${classmate}`);
+        const leave = await api.as(outsider).delete(`/api/study-rooms/${room._id}/invitees/${outsider}`);
+
+        expect(kick.statusCode).toBe(403);
+        expect(leave.statusCode).toBe(200);
+        expect(room.invitees).toEqual([classmate]);
+    });
+});
+
+describe('Pomodoro timer', () => {
+    const start = new Date('2026-11-02T14:00:00Z');
+    const at = (minutes) => new Date(start.getTime() + minutes * 60 * 1000);
+
+    it('pauses and resumes with the time that was left', () => {
+        const room = buildRoom();
+
+        StudyRoomService.applyTimerAction(room, 'start', start);
+        StudyRoomService.applyTimerAction(room, 'pause', at(10));
+        expect(StudyRoomService.timerState(room, at(20))).toMatchObject({ status: 'paused', remainingMs: 15 * 60 * 1000 });
+
+        StudyRoomService.applyTimerAction(room, 'start', at(20));
+        expect(StudyRoomService.timerState(room, at(20)).phaseEndsAt).toEqual(at(35));
+    });
+
+    it('rolls through breaks on its own, with a long break after every fourth focus block', () => {
+        const room = buildRoom();
+        StudyRoomService.applyTimerAction(room, 'start', start);
+
+        // 4 x 25 min focus + 3 x 5 min short breaks = 115 minutes
+        StudyRoomService.advanceTimer(room, at(116));
+
+        expect(room.timer).toMatchObject({ phase: 'long_break', cycle: 4 });
+        expect(room.timer.phaseEndsAt).toEqual(at(130));
+    });
+
+    it('refuses to start a running timer', () => {
+        const room = buildRoom();
+        StudyRoomService.applyTimerAction(room, 'start', start);
+
+        expect(StudyRoomService.applyTimerAction(room, 'start', at(1))).toEqual({ error: 'Timer is already running' });
+    });
+});
+
+describe('Attendance', () => {
+    it('closes intervals left open by a crash at the end of their session', async () => {
+        const sessionStart = new Date(Date.now() - 3 * HOUR);
+        const room = buildRoom({ sessions: [{ startsAt: sessionStart, endsAt: new Date(sessionStart.getTime() + HOUR) }] });
+        const stale = new StudyAttendance({
+            room: room._id,
+            session: room.sessions[0]._id,
+            user: classmate,
+            intervals: [{ joinedAt: sessionStart }]
+        });
+        jest.spyOn(StudyAttendance, 'find').mockResolvedValue([stale]);
+        jest.spyOn(stale, 'save').mockResolvedValue(stale);
+        const upsert = jest.spyOn(StudyAttendance, 'findOneAndUpdate').mockResolvedValue(null);
+
+        await StudyRoomService.recordJoin(room, classmate);
+
+        expect(stale.totalSeconds).toBe(3600);
+        expect(upsert.mock.calls[0][0]).toEqual({ room: room._id, session: null, user: classmate });
+    });
+
+    it("exports the caller's study hours as CSV", async () => {
+        const room = buildRoom({ name: 'Algorithms, Part I', subject: 'cs' });
+        const joinedAt = new Date('2026-11-02T14:00:00Z');
+        const find = jest.spyOn(StudyAttendance, 'find').mockReturnValue(query([{
+            room: room.toObject(),
+            session: null,
+            intervals: [{ joinedAt, leftAt: new Date(joinedAt.getTime() + 90 * 60 * 1000) }],
+            totalSeconds: 5400
+        }]));
+
+        const res = await api.as(classmate).get('/api/study-rooms/attendance/export?format=csv&from=2026-11-01');
+
+        expect(res.statusCode).toBe(200);
+        expect(res.headers['content-type']).toMatch(/text\/csv/);
+        expect(find.mock.calls[0][0]).toEqual({ user: classmate.toString(), 'intervals.joinedAt': { $gte: new Date('2026-11-01') } });
+        expect(res.text.split('\n')).toEqual([
+            'roomName,subject,sessionTitle,sessionStartsAt,firstJoinedAt,lastLeftAt,minutes,hours',
+            '"Algorithms, Part I",cs,Drop-in,,2026-11-02T14:00:00.000Z,2026-11-02T15:30:00.000Z,90,1.5'
+        ]);
+    });
+
+    it('rejects invalid export dates', async () => {
+        const res = await api.as(classmate).get('/api/study-rooms/attendance/export?from=yesterday');
+
+        expect(res.statusCode).toBe(400);
+    });
+});
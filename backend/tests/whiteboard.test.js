@@ -0,0 +1,270 @@
+jest.mock('../utils/logger', () => require('./mocks/logger'));
+jest.mock('../socket', () => {
+    const emit = jest.fn();
+    return { emit, getIO: () => ({ of: () => ({ to: () => ({ emit }) }) }) };
+});
+
+const jwt = require('jsonwebtoken');
+const { emit: broadcast } = require('../socket');
+const Whiteboard = require('../models/Whiteboard');
+const WhiteboardOperation = require('../models/WhiteboardOperation');
+const WhiteboardSnapshot = require('../models/WhiteboardSnapshot');
+const WhiteboardService = require('../services/whiteboardService');
+const initWhiteboardSockets = require('../sockets/whiteboard');
+const { query } = require('./mocks/query');
+const { routeApp, JWT_SECRET } = require('./mocks/app');
+
+const element = (id, version, data = {}) => ({ id, type: 'rectangle', layerId: 'default', version, data });
+const layers = [{ id: 'default', name: 'Layer 1', order: 0 }];
+
+describe('Whiteboard history', () => {
+    beforeEach(() => {
+        jest.spyOn(WhiteboardOperation, 'create').mockResolvedValue({});
+        jest.spyOn(WhiteboardOperation, 'updateOne').mockResolvedValue({});
+        jest.spyOn(WhiteboardOperation, 'updateMany').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('undo/redo', () => {
+        it("undoes the caller's add by removing the element at the version it was added with", async () => {
+            jest.spyOn(Whiteboard, 'findOne').mockReturnValue(query({ historyFloor: 0 }));
+            jest.spyOn(WhiteboardOperation, 'findOneAndUpdate').mockResolvedValue({
+                _id: 'op-1', type: 'add', elementId: 'a', guard: 1, after: element('a', 1)
+            });
+            const pull = jest.spyOn(Whiteboard, 'findOneAndUpdate').mockResolvedValue({
+                version: 4, elements: [element('a', 1)]
+            });
+
+            const result = await WhiteboardService.undo('room', 'alice');
+
+            expect(result).toMatchObject({ applied: true, version: 5, changes: [{ action: 'delete' }] });
+            expect(pull.mock.calls[0][0]).toMatchObject({
+                $and: [{ elements: { $elemMatch: { id: 'a', version: 1 } } }]
+            });
+            expect(WhiteboardOperation.create).toHaveBeenCalledWith(
+                expect.objectContaining({ seq: 5, type: 'delete', undoOf: 'op-1' })
+            );
+            // Undo keeps the redo stack
+            expect(WhiteboardOperation.updateMany).not.toHaveBeenCalled();
+        });
+
+        it('refuses the undo once someone else changed the element, and drops it from history', async () => {
+            jest.spyOn(Whiteboard, 'findOne').mockReturnValue(query({ historyFloor: 0 }));
+            jest.spyOn(WhiteboardOperation, 'findOneAndUpdate').mockResolvedValue({
+                _id: 'op-1', type: 'update', elementId: 'a', guard: 2,
+                before: element('a', 1, { w: 10 }), after: element('a', 2, { w: 20 })
+            });
+            // The element is at version 3 now, so the guarded update matches nothing
+            jest.spyOn(Whiteboard, 'findOneAndUpdate').mockResolvedValue(null);
+
+            const result = await WhiteboardService.undo('room', 'alice');
+
+            expect(result).toEqual({ applied: false, reason: 'conflict' });
+            expect(WhiteboardOperation.updateOne).toHaveBeenCalledWith({ _id: 'op-1' }, { $set: { status: 'conflict' } });
+            expect(WhiteboardOperation.create).not.toHaveBeenCalled();
+        });
+
+        it('only undoes operations after the history floor', async () => {
+            jest.spyOn(Whiteboard, 'findOne').mockReturnValue(query({ historyFloor: 7 }));
+            const find = jest.spyOn(WhiteboardOperation, 'findOneAndUpdate').mockResolvedValue(null);
+
+            const result = await WhiteboardService.undo('room', 'alice');
+
+            expect(result).toEqual({ applied: false, reason: 'empty' });
+            expect(find.mock.calls[0][0]).toMatchObject({ user: 'alice', status: 'applied', seq: { $gt: 7 } });
+        });
+
+        it('redoes an undone add by putting the element back one version on', async () => {
+            jest.spyOn(WhiteboardOperation, 'findOneAndUpdate').mockResolvedValue({
+                _id: 'op-2', type: 'add', elementId: 'a', guard: 3, after: element('a', 1)
+            });
+            const push = jest.spyOn(Whiteboard, 'findOneAndUpdate').mockResolvedValue({ version: 8 });
+
+            const result = await WhiteboardService.redo('room', 'alice');
+
+            expect(result).toMatchObject({ applied: true, version: 9 });
+            expect(result.changes).toEqual([{ action: 'add', element: expect.objectContaining({ id: 'a', version: 4 }) }]);
+            expect(push.mock.calls[0][0]).toEqual({ roomId: 'room', 'elements.id': { $nin: ['a'] } });
+            expect(WhiteboardOperation.create).toHaveBeenCalledWith(
+                expect.objectContaining({ type: 'add', redoOf: 'op-2' })
+            );
+        });
+    });
+
+    describe('versions', () => {
+        const snapshot = { version: 2, layers, elements: [element('a', 1, { w: 10 })] };
+        const ops = [
+            { seq: 3, type: 'add', elementId: 'b', after: element('b', 1) },
+            { seq: 4, type: 'update', elementId: 'a', after: element('a', 2, { w: 20 }) },
+            { seq: 5, type: 'delete', elementId: 'b' }
+        ];
+
+        it('rebuilds a version from the closest snapshot and the operations after it', async () => {
+            jest.spyOn(WhiteboardSnapshot, 'findOne').mockReturnValue(query(snapshot));
+            jest.spyOn(WhiteboardOperation, 'find').mockReturnValue(query(ops));
+
+            const state = await WhiteboardService.buildVersion('room', 5);
+
+            expect(state).toEqual({ version: 5, layers, elements: [element('a', 2, { w: 20 })] });
+        });
+
+        it('refuses to rebuild a version across a gap in the operation log', async () => {
+            jest.spyOn(WhiteboardSnapshot, 'findOne').mockReturnValue(query(snapshot));
+            jest.spyOn(WhiteboardOperation, 'find').mockReturnValue(query([ops[0], ops[2]]));
+
+            expect(await WhiteboardService.buildVersion('room', 5)).toBeNull();
+        });
+
+        it('restores a version as a new one and closes off earlier undo history', async () => {
+            jest.spyOn(WhiteboardSnapshot, 'findOne').mockReturnValue(query(snapshot));
+            jest.spyOn(WhiteboardOperation, 'find').mockReturnValue(query(ops.slice(0, 1)));
+            jest.spyOn(Whiteboard, 'findOne').mockReturnValue(query({ version: 9, layers, elements: [] }));
+            const saveSnapshot = jest.spyOn(WhiteboardSnapshot, 'create').mockResolvedValue({});
+            const replace = jest.spyOn(Whiteboard, 'findOneAndUpdate').mockResolvedValue({ version: 10, layers, elements: [] });
+            const raiseFloor = jest.spyOn(Whiteboard, 'updateOne').mockResolvedValue({});
+
+            const result = await WhiteboardService.restoreVersion('room', 3, 'alice');
+
+            expect(result).toMatchObject({ restoredFrom: 3, previousVersion: 9 });
+            expect(saveSnapshot).toHaveBeenCalledWith(expect.objectContaining({ trigger: 'restore', version: 9 }));
+            expect(replace.mock.calls[0][1]).toMatchObject({
+                $set: { layers, elements: [element('a', 1, { w: 10 }), element('b', 1)] },
+                $inc: { version: 1 }
+            });
+            expect(raiseFloor).toHaveBeenCalledWith({ roomId: 'room' }, { $max: { historyFloor: 10 } });
+            expect(WhiteboardOperation.create).toHaveBeenCalledWith(expect.objectContaining({ seq: 10, type: 'restore' }));
+            expect(WhiteboardOperation.updateMany).toHaveBeenCalledWith(
+                { roomId: 'room', status: 'undone' },
+                { $set: { status: 'discarded' } }
+            );
+        });
+    });
+});
+
+describe('Whiteboard socket permissions', () => {
+    const board = { roomId: 'room', owner: 'owner', collaborators: ['editor'], settings: { isPublic: true } };
+
+    // Fake /whiteboard namespace: runs the auth middleware, then hands back the socket's handlers
+    const connect = (userId) => {
+        const namespace = { handlers: {}, use(fn) { this.auth = fn; }, on(event, fn) { this.handlers[event] = fn; }, to: () => ({ emit: jest.fn() }) };
+        initWhiteboardSockets({ of: () => namespace });
+
+        const handlers = {};
+        const socket = {
+            handshake: { auth: { token: jwt.sign({ userId }, JWT_SECRET) } },
+            on: (event, fn) => { handlers[event] = fn; },
+            emit: jest.fn(),
+            join: jest.fn(),
+            to: () => ({ emit: jest.fn() })
+        };
+        namespace.auth(socket, () => {});
+        namespace.handlers.connection(socket);
+        return { socket, handlers };
+    };
+
+    beforeEach(() => {
+        jest.spyOn(WhiteboardService, 'prepareBoard').mockResolvedValue();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('keeps people out of private boards they do not collaborate on', async () => {
+        jest.spyOn(Whiteboard, 'findOne').mockReturnValue(query({ ...board, settings: { isPublic: false } }));
+        const { socket, handlers } = connect('stranger');
+
+        await handlers['join-room']('room');
+
+        expect(socket.join).not.toHaveBeenCalled();
+        expect(socket.emit).toHaveBeenCalledWith('error', expect.objectContaining({ message: expect.any(String) }));
+    });
+
+    it('lets viewers of a public board watch but not draw, clear or undo', async () => {
+        jest.spyOn(Whiteboard, 'findOne').mockReturnValue(query(board));
+        const apply = jest.spyOn(WhiteboardService, 'applyOperation');
+        const clear = jest.spyOn(WhiteboardService, 'clearBoard');
+        const undo = jest.spyOn(WhiteboardService, 'undo');
+        const { socket, handlers } = connect('viewer');
+
+        await handlers['join-room']('room');
+        expect(socket.join).toHaveBeenCalledWith('room');
+
+        const ack = jest.fn();
+        await handlers.draw({ roomId: 'room', action: 'add', element: element('a', 0) }, ack);
+        await handlers['clear-board']();
+        await handlers.undo();
+
+        expect(ack).toHaveBeenCalledWith({ success: false, reason: 'forbidden' });
+        expect(socket.emit).toHaveBeenCalledWith('clear-rejected', { reason: 'forbidden' });
+        expect(socket.emit).toHaveBeenCalledWith('undo-rejected', { reason: 'forbidden' });
+        expect(apply).not.toHaveBeenCalled();
+        expect(clear).not.toHaveBeenCalled();
+        expect(undo).not.toHaveBeenCalled();
+    });
+
+    it('lets collaborators draw', async () => {
+        jest.spyOn(Whiteboard, 'findOne').mockReturnValue(query(board));
+        jest.spyOn(WhiteboardService, 'applyOperation').mockResolvedValue({ applied: true, element: element('a', 1), version: 1 });
+        const { handlers } = connect('editor');
+
+        await handlers['join-room']('room');
+        const ack = jest.fn();
+        await handlers.draw({ roomId: 'room', action: 'add', element: element('a', 0) }, ack);
+
+        expect(ack).toHaveBeenCalledWith({ success: true, element: element('a', 1), version: 1 });
+    });
+});
+
+describe('Whiteboard version routes', () => {
+    const api = routeApp('/api/whiteboard', require('../routes/whiteboard'));
+    const board = { roomId: 'room', owner: 'owner', collaborators: ['editor'], version: 6, settings: { isPublic: true } };
+
+    beforeEach(() => {
+        jest.spyOn(Whiteboard, 'findOne').mockReturnValue(query(board));
+        jest.spyOn(WhiteboardService, 'prepareBoard').mockResolvedValue();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        broadcast.mockClear();
+    });
+
+    it('requires a token', async () => {
+        const res = await api.anonymous().post('/api/whiteboard/room/versions/2/restore');
+        expect(res.statusCode).toBe(401);
+    });
+
+    it('lets viewers list snapshots of a public board but not restore them', async () => {
+        jest.spyOn(WhiteboardService, 'listSnapshots').mockResolvedValue([{ version: 2 }]);
+        const restore = jest.spyOn(WhiteboardService, 'restoreVersion');
+
+        const list = await api.as('viewer').get('/api/whiteboard/room/snapshots');
+        const denied = await api.as('viewer').post('/api/whiteboard/room/versions/2/restore');
+
+        expect(list.statusCode).toBe(200);
+        expect(list.body).toMatchObject({ currentVersion: 6, snapshots: [{ version: 2 }] });
+        expect(denied.statusCode).toBe(403);
+        expect(restore).not.toHaveBeenCalled();
+    });
+
+    it('only restores versions before the current one', async () => {
+        const res = await api.as('editor').post('/api/whiteboard/room/versions/6/restore');
+        expect(res.statusCode).toBe(400);
+    });
+
+    it('restores a version for collaborators and pushes the new state to the room', async () => {
+        const restored = { layers: [], elements: [element('a', 1)], version: 7, settings: board.settings };
+        const restore = jest.spyOn(WhiteboardService, 'restoreVersion').mockResolvedValue({ board: restored });
+
+        const res = await api.as('editor').post('/api/whiteboard/room/versions/2/restore');
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toMatchObject({ restoredFrom: 2, version: 7 });
+        expect(restore).toHaveBeenCalledWith('room', 2, 'editor');
+        expect(broadcast).toHaveBeenCalledWith('board-state', expect.objectContaining({ version: 7, restoredFrom: 2 }));
+    });
+});
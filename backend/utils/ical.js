@@ -0,0 +1,109 @@
+/**
+ * iCalendar (RFC 5545) helpers for calendar feeds and .ics downloads
+ */
+
+const PRODUCT_ID = '-//College Media//Events//EN';
+// Content lines longer than this many octets are folded
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma and newlines)
+ * @param {string} value - Raw text
+ * @returns {string} - Escaped text
+ */
+const escapeText = (value) => String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Format a date as a UTC DATE-TIME (e.g. 20261019T180000Z). Emitting UTC
+ * keeps the instant exact whatever zone the calendar client is in.
+ * @param {Date} date - Date to format
+ * @returns {string} - iCalendar UTC date-time
+ */
+const formatDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Fold a content line at 75 octets without splitting multi-byte characters
+ * @param {string} line - Unfolded content line
+ * @returns {string} - Folded line joined with CRLF + space
+ */
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        // Continuation lines lose one octet to the leading space
+        const limit = parts.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+        if (octets + size > limit) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+};
+
+/**
+ * Build a VEVENT block
+ * @param {Object} event - { uid, start, end, summary, description, location, url, status, sequence, updatedAt }
+ * @returns {string[]} - Unfolded content lines
+ */
+const buildEvent = (event) => {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${formatDateTime(event.updatedAt || new Date())}`,
+        `DTSTART:${formatDateTime(event.start)}`,
+        `DTEND:${formatDateTime(event.end)}`,
+        `SUMMARY:${escapeText(event.summary)}`
+    ];
+
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    if (event.status) lines.push(`STATUS:${event.status}`);
+    if (event.sequence !== undefined) lines.push(`SEQUENCE:${event.sequence}`);
+    if (event.updatedAt) lines.push(`LAST-MODIFIED:${formatDateTime(event.updatedAt)}`);
+
+    lines.push('END:VEVENT');
+    return lines;
+};
+
+/**
+ * Build a complete VCALENDAR document
+ * @param {Object[]} events - Events as accepted by buildEvent
+ * @param {Object} options - { name } calendar display name
+ * @returns {string} - iCalendar text with CRLF line endings
+ */
+const buildCalendar = (events, { name } = {}) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+    if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+
+    events.forEach(event => lines.push(...buildEvent(event)));
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    escapeText,
+    formatDateTime,
+    foldLine,
+    buildEvent,
+    buildCalendar,
+};
@@ -0,0 +1,27 @@
+const { Writable } = require('stream');
+
+/**
+ * Writable that keeps at most `limit` bytes of what is written to it.
+ * `onOverflow` fires once when the limit is first exceeded.
+ * @param {number} limit - Bytes to keep
+ * @param {Function} [onOverflow]
+ */
+const createOutputCollector = (limit, onOverflow) => {
+    const chunks = [];
+    let size = 0;
+
+    const collector = new Writable({
+        write(chunk, encoding, callback) {
+            if (size < limit) chunks.push(chunk.subarray(0, limit - size));
+            if (size <= limit && size + chunk.length > limit && onOverflow) onOverflow();
+            size += chunk.length;
+            callback();
+        }
+    });
+
+    collector.text = () => Buffer.concat(chunks).toString('utf8');
+    collector.truncated = () => size > limit;
+    return collector;
+};
+
+module.exports = { createOutputCollector };
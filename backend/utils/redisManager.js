@@ -42,6 +42,7 @@ const NAMESPACES = Object.freeze({
   RATE_LIMIT: "ratelimit",
   FEATURE_FLAG: "feature-flag",
   AUDIT_LOG: "audit",
+  CODE_EDITOR_PRESENCE: "code-editor:presence",
   GENERIC: "generic",
 });
 
@@ -57,6 +58,7 @@ const TTL = Object.freeze({
   FEATURE_FLAG: Number(process.env.REDIS_TTL_FEATURE_FLAG || 60),
   RATE_LIMIT: Number(process.env.REDIS_TTL_RATE_LIMIT || 60),
   AUDIT_LOG: Number(process.env.REDIS_TTL_AUDIT || 86400),
+  CODE_EDITOR_PRESENCE: Number(process.env.REDIS_TTL_CODE_EDITOR_PRESENCE || 120),
   GENERIC: Number(process.env.REDIS_TTL_GENERIC || 120),
 });
 
@@ -206,6 +208,40 @@ class RedisManager {
     return fresh;
   }
 
+  /* ================================================================
+     🗂️ HASH HELPERS (one field per member, whole key shares a TTL)
+  ================================================================= */
+  async hashSet({ namespace, id, field, value, ttlKey }) {
+    if (!namespace || !id || !field) {
+      throw new Error("Redis hashSet requires namespace, id and field");
+    }
+
+    const payload = safeStringify(value);
+    if (!payload) return;
+
+    const key = buildKey(namespace, id);
+    await this.client
+      .multi()
+      .hset(key, field, payload)
+      .expire(key, TTL[ttlKey] || TTL.GENERIC)
+      .exec();
+  }
+
+  async hashGetAll({ namespace, id }) {
+    if (!namespace || !id) return {};
+
+    const raw = await this.client.hgetall(buildKey(namespace, id));
+    return Object.fromEntries(
+      Object.entries(raw || {})
+        .map(([field, value]) => [field, safeParse(value)])
+        .filter(([, value]) => value !== null)
+    );
+  }
+
+  async hashDel({ namespace, id, field }) {
+    await this.client.hdel(buildKey(namespace, id), field);
+  }
+
   /* ================================================================
      📊 METRICS
   ================================================================= */
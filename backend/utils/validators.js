@@ -162,6 +162,17 @@ const isValidJWT = (token) => {
     return validator.isJWT(token);
 };
 
+/**
+ * Validate a single emoji (including ZWJ sequences, skin tones and flags)
+ * @param {string} emoji - Emoji to validate
+ * @returns {boolean} - True if the string is one emoji
+ */
+const isValidEmoji = (emoji) => {
+    if (!emoji || typeof emoji !== 'string' || emoji.length > 32) return false;
+    const emojiRegex = /^(?:\p{Regional_Indicator}{2}|\p{Extended_Pictographic}(?:\p{Emoji_Modifier}|\uFE0F)?(?:\u200D\p{Extended_Pictographic}(?:\p{Emoji_Modifier}|\uFE0F)?)*)$/u;
+    return emojiRegex.test(emoji);
+};
+
 module.exports = {
     isValidEmail,
     isValidUsername,
@@ -174,5 +185,6 @@ module.exports = {
     isValidMessageContent,
     isValidOTP,
     isValidJWT,
+    isValidEmoji,
     sanitizeString,
 };
@@ -0,0 +1,90 @@
+/**
+ * Minimal ZIP archive writer (deflate, no ZIP64) for generated
+ * Office Open XML documents such as DOCX exports
+ */
+
+const zlib = require('zlib');
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const VERSION = 20;
+const METHOD_DEFLATE = 8;
+// General purpose flag bit 11: file names are UTF-8
+const FLAG_UTF8 = 0x0800;
+
+/**
+ * Pack a date into MS-DOS time and date fields (2-second resolution)
+ * @param {Date} date - Modification date
+ * @returns {{ time: number, date: number }}
+ */
+const dosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Build a ZIP archive in memory
+ * @param {Object[]} entries - { name, data } with data as a string (UTF-8) or Buffer
+ * @param {Object} options - { date } modification date for every entry
+ * @returns {Buffer} - Archive bytes
+ */
+const createZip = (entries, { date = new Date() } = {}) => {
+    const stamp = dosDateTime(date);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    entries.forEach(({ name, data }) => {
+        const raw = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+        const compressed = zlib.deflateRawSync(raw);
+        const fileName = Buffer.from(name, 'utf8');
+        const crc = zlib.crc32(raw);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(LOCAL_HEADER, 0);
+        local.writeUInt16LE(VERSION, 4);
+        local.writeUInt16LE(FLAG_UTF8, 6);
+        local.writeUInt16LE(METHOD_DEFLATE, 8);
+        local.writeUInt16LE(stamp.time, 10);
+        local.writeUInt16LE(stamp.date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(raw.length, 22);
+        local.writeUInt16LE(fileName.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(CENTRAL_HEADER, 0);
+        central.writeUInt16LE(VERSION, 4);
+        central.writeUInt16LE(VERSION, 6);
+        central.writeUInt16LE(FLAG_UTF8, 8);
+        central.writeUInt16LE(METHOD_DEFLATE, 10);
+        central.writeUInt16LE(stamp.time, 12);
+        central.writeUInt16LE(stamp.date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(raw.length, 24);
+        central.writeUInt16LE(fileName.length, 28);
+        // Extra field, comment, disk number, internal and external attributes stay zero
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, fileName, compressed);
+        centralParts.push(central, fileName);
+        offset += local.length + fileName.length + compressed.length;
+    });
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+module.exports = {
+    createZip,
+};
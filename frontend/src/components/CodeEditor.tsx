@@ -11,6 +11,8 @@ const CodeEditor = ({ roomId, token, currentUser }) => {
 
     const socketRef = useRef(null);
     const editorRef = useRef(null);
+    // Server version of the entry file our next edit is based on
+    const versionRef = useRef(1);
 
     useEffect(() => {
         // Connect to Socket.io
@@ -27,12 +29,14 @@ const CodeEditor = ({ roomId, token, currentUser }) => {
         });
 
         socket.on('init-state', (state) => {
+            versionRef.current = state.version;
             setCode(state.code);
             setLanguage(state.language);
             setCollaborators(state.users);
         });
 
         socket.on('code-change', (data) => {
+            versionRef.current = data.version;
             // Only update if content is different to avoid cursor jump
             if (editorRef.current && editorRef.current.getValue() !== data.code) {
                 // This is a simple update, for real OT utilize Y.js binding
@@ -40,6 +44,15 @@ const CodeEditor = ({ roomId, token, currentUser }) => {
             }
         });
 
+        // Our edit was based on an old version: take the saved file instead
+        socket.on('code-rejected', ({ current }) => {
+            versionRef.current = current.version;
+            setCode(current.content);
+            if (editorRef.current && editorRef.current.getValue() !== current.content) {
+                editorRef.current.setValue(current.content);
+            }
+        });
+
         socket.on('language-change', (data) => {
             setLanguage(data.language);
         });
@@ -77,7 +90,10 @@ const CodeEditor = ({ roomId, token, currentUser }) => {
     // Handle Local Changes
     const handleEditorChange = (value) => {
         setCode(value);
-        socketRef.current.emit('code-change', { roomId, code: value });
+        // Edits are saved in order, so the next one builds on this one's version
+        const baseVersion = versionRef.current;
+        versionRef.current = baseVersion + 1;
+        socketRef.current.emit('code-change', { roomId, code: value, baseVersion });
     };
 
     const handleLanguageChange = (e) => {
@@ -95,7 +95,7 @@ const ChatList = ({ conversations, activeChat, onChatSelect }) => {
                   </h3>
                   {conversation.last_message && (
                     <span className="text-xs text-gray-500">
-                      {formatTime(conversation.last_message.created_at)}
+                      {formatTime(conversation.last_message.createdAt)}
                     </span>
                   )}
                 </div>
@@ -8,7 +8,9 @@ import { useAuth } from '../contexts/AuthContext';
  */
 const MessageBubble = ({ message }) => {
   const { user } = useAuth();
-  const isOwnMessage = message.sender_id === user?.id;
+  // The server sends the sender as an id or as a populated user
+  const senderId = message.sender?._id || message.sender;
+  const isOwnMessage = !!user && String(senderId) === String(user._id || user.id);
 
   /**
    * Format message timestamp
@@ -34,9 +36,9 @@ const MessageBubble = ({ message }) => {
           <span className={`text-xs ${
             isOwnMessage ? 'text-purple-200' : 'text-gray-500'
           }`}>
-            {formatTime(message.created_at)}
+            {formatTime(message.createdAt)}
           </span>
-          {isOwnMessage && message.is_read && (
+          {isOwnMessage && message.isRead && (
             <svg className="w-3 h-3 text-purple-200" fill="currentColor" viewBox="0 0 20 20">
               <path fillRule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clipRule="evenodd" />
             </svg>
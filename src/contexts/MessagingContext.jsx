@@ -8,6 +8,17 @@ import { useAuth } from './AuthContext';
  */
 const MessagingContext = createContext();
 
+/**
+ * Id of a message participant, which the server sends either as an id
+ * or as a populated user
+ * @param {string|Object} ref - User id or user object
+ * @returns {string|undefined} - User ID
+ */
+const idOf = (ref) => {
+  const id = ref && typeof ref === 'object' ? ref._id || ref.id : ref;
+  return id == null ? undefined : String(id);
+};
+
 /**
  * MessagingProvider component that wraps the app and provides messaging state
  * @param {Object} props - React props
@@ -45,11 +56,34 @@ export const MessagingProvider = ({ children }) => {
         setIsConnected(false);
       });
 
-      // Message events
-      newSocket.on('message:new', (messageData) => {
+      // Message events (direct and group messages alike)
+      newSocket.on('new_message', (messageData) => {
         handleNewMessage(messageData);
       });
 
+      // Live message updates (reactions, edits, receipts)
+      newSocket.on('message_reaction', ({ conversationId, messageId, reactions }) => {
+        updateMessage(conversationId, messageId, { reactions });
+      });
+
+      newSocket.on('message_edited', ({ conversationId, messageId, content, editedAt }) => {
+        updateMessage(conversationId, messageId, { content, isEdited: true, editedAt });
+      });
+
+      newSocket.on('message_receipt', ({ conversationId, messageId, userId, deliveredAt, readAt }) => {
+        updateMessage(conversationId, messageId, (message) => ({
+          receipts: (message.receipts || []).map(receipt => (
+            receipt.user === userId
+              ? {
+                ...receipt,
+                deliveredAt: receipt.deliveredAt || deliveredAt || readAt,
+                readAt: receipt.readAt || readAt || null
+              }
+              : receipt
+          ))
+        }));
+      });
+
       // User status events
       newSocket.on('user:online', (data) => {
         setOnlineUsers(prev => new Set([...prev, data.user_id]));
@@ -83,7 +117,8 @@ export const MessagingProvider = ({ children }) => {
    * @param {Object} messageData - Message data from server
    */
   const handleNewMessage = (messageData) => {
-    const conversationId = getConversationId(messageData.sender_id, messageData.recipient_id);
+    const conversationId = messageData.conversationId ||
+      getConversationId(idOf(messageData.sender), idOf(messageData.receiver));
 
     setMessages(prev => ({
       ...prev,
@@ -91,7 +126,10 @@ export const MessagingProvider = ({ children }) => {
     }));
 
     // Update unread count if message is not from current user
-    if (messageData.sender_id !== user?.id) {
+    if (idOf(messageData.sender) !== idOf(user)) {
+      // Acknowledge delivery so the sender sees the receipt update
+      socketRef.current?.emit('message_delivered', { messageIds: [messageData._id || messageData.id] });
+
       setUnreadCounts(prev => ({
         ...prev,
         [conversationId]: (prev[conversationId] || 0) + 1
@@ -102,6 +140,28 @@ export const MessagingProvider = ({ children }) => {
     updateConversationsList(messageData);
   };
 
+  /**
+   * Merge changes into a single message held in state
+   * @param {string} conversationId - Conversation ID
+   * @param {string} messageId - Message ID
+   * @param {Object|Function} patch - Fields to merge, or a function of the current message
+   */
+  const updateMessage = (conversationId, messageId, patch) => {
+    setMessages(prev => {
+      const list = prev[conversationId];
+      if (!list) return prev;
+
+      return {
+        ...prev,
+        [conversationId]: list.map(message => {
+          if (message._id !== messageId && message.id !== messageId) return message;
+          const changes = typeof patch === 'function' ? patch(message) : patch;
+          return { ...message, ...changes };
+        })
+      };
+    });
+  };
+
   /**
    * Generate conversation ID from two user IDs
    * @param {string} userId1 - First user ID
@@ -117,14 +177,15 @@ export const MessagingProvider = ({ children }) => {
    * @param {Object} messageData - Message data
    */
   const updateConversationsList = (messageData) => {
-    const otherUserId = messageData.sender_id === user?.id ? messageData.recipient_id : messageData.sender_id;
+    const fromMe = idOf(messageData.sender) === idOf(user);
+    const otherUserId = fromMe ? idOf(messageData.receiver) : idOf(messageData.sender);
 
     setConversations(prev => {
       const existingIndex = prev.findIndex(conv => conv.user_id === otherUserId);
       const conversationItem = {
         user_id: otherUserId,
         last_message: messageData,
-        unread_count: messageData.sender_id !== user?.id ? 1 : 0
+        unread_count: fromMe ? 0 : 1
       };
 
       if (existingIndex >= 0) {
@@ -156,16 +217,17 @@ export const MessagingProvider = ({ children }) => {
     socket.emit('message:send', messageData);
 
     // Optimistically add message to local state
+    const conversationId = getConversationId(idOf(user), recipientId);
     const tempMessage = {
       id: `temp_${Date.now()}`,
-      sender_id: user.id,
-      recipient_id: recipientId,
+      sender: idOf(user),
+      receiver: recipientId,
+      conversationId,
       content: content.trim(),
-      created_at: new Date().toISOString(),
-      is_read: false
+      createdAt: new Date().toISOString(),
+      isRead: false
     };
 
-    const conversationId = getConversationId(user.id, recipientId);
     setMessages(prev => ({
       ...prev,
       [conversationId]: [...(prev[conversationId] || []), tempMessage]
@@ -189,7 +251,7 @@ export const MessagingProvider = ({ children }) => {
 
       if (response.ok) {
         const data = await response.json();
-        const conversationId = getConversationId(user.id, otherUserId);
+        const conversationId = getConversationId(idOf(user), otherUserId);
 
         setMessages(prev => ({
           ...prev,
@@ -212,6 +274,14 @@ export const MessagingProvider = ({ children }) => {
    * @param {string} conversationId - Conversation ID
    */
   const markAsRead = (conversationId) => {
+    const incomingIds = (messages[conversationId] || [])
+      .filter(message => idOf(message.sender) !== idOf(user))
+      .map(message => message._id || message.id);
+
+    if (socket && incomingIds.length > 0) {
+      socket.emit('message_read', { messageIds: incomingIds });
+    }
+
     setUnreadCounts(prev => ({
       ...prev,
       [conversationId]: 0
@@ -0,0 +1,68 @@
+import React from 'react';
+import { render, screen, act } from '@testing-library/react';
+import { io } from 'socket.io-client';
+import { MessagingProvider, useMessaging } from './MessagingContext';
+
+jest.mock('socket.io-client', () => ({ io: jest.fn() }));
+
+jest.mock('./AuthContext', () => ({
+  useAuth: () => ({ user: { _id: 'me', username: 'me' }, token: 'token', isAuthenticated: true })
+}));
+
+const UnreadCount = () => {
+  const { getTotalUnreadCount } = useMessaging();
+  return <span data-testid="unread">{getTotalUnreadCount()}</span>;
+};
+
+describe('MessagingProvider', () => {
+  let handlers;
+  let socket;
+
+  beforeEach(() => {
+    handlers = {};
+    socket = {
+      on: jest.fn((event, handler) => { handlers[event] = handler; }),
+      emit: jest.fn(),
+      disconnect: jest.fn()
+    };
+    io.mockReturnValue(socket);
+
+    render(
+      <MessagingProvider>
+        <UnreadCount />
+      </MessagingProvider>
+    );
+  });
+
+  test('acknowledges delivery of messages the server pushes', () => {
+    act(() => {
+      handlers.new_message({
+        _id: 'm1',
+        sender: { _id: 'friend', username: 'friend' },
+        receiver: 'me',
+        conversationId: 'friend_me',
+        content: 'Hi!'
+      });
+    });
+
+    expect(socket.emit).toHaveBeenCalledWith('message_delivered', { messageIds: ['m1'] });
+    expect(screen.getByTestId('unread')).toHaveTextContent('1');
+  });
+
+  test('acknowledges group messages too', () => {
+    act(() => {
+      handlers.new_message({ _id: 'm2', sender: 'friend', conversationId: 'group-1', content: 'Meeting at 5' });
+    });
+
+    expect(socket.emit).toHaveBeenCalledWith('message_delivered', { messageIds: ['m2'] });
+  });
+
+  test('does not acknowledge its own messages echoed back', () => {
+    act(() => {
+      handlers.new_message({ _id: 'm3', sender: { _id: 'me' }, receiver: 'friend', conversationId: 'friend_me', content: 'Hello' });
+    });
+
+    expect(socket.emit).not.toHaveBeenCalledWith('message_delivered', expect.anything());
+    expect(screen.getByTestId('unread')).toHaveTextContent('0');
+  });
+});